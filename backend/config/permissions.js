@@ -0,0 +1,70 @@
+/**
+ * Admin permission matrix
+ * For each admin resource, the roles allowed to perform each action. Resources follow the
+ * admin panel sections, so the panel can hide what a role cannot use. Managers run the
+ * day-to-day (orders, stock, products, content) but cannot delete, change settings, issue
+ * refunds or touch coin balances; admin accounts and the audit log are for Super Admins only.
+ */
+
+export const ADMIN_ROLES = ['Super Admin', 'Admin', 'Manager']
+
+const EVERYONE = ADMIN_ROLES
+const ADMINS = ['Super Admin', 'Admin']
+const SUPER_ADMINS = ['Super Admin']
+
+export const PERMISSIONS = {
+  dashboard: { view: EVERYONE },
+  orders: { view: EVERYONE, update: EVERYONE },
+  products: { view: EVERYONE, create: EVERYONE, update: EVERYONE, delete: ADMINS },
+  categories: { view: EVERYONE, create: ADMINS, update: ADMINS, delete: ADMINS },
+  inventory: { view: EVERYONE, update: EVERYONE },
+  customers: { view: EVERYONE, update: ADMINS },
+  queries: { view: EVERYONE, update: EVERYONE },
+  returns: { view: EVERYONE, update: EVERYONE, refund: ADMINS },
+  discounts: { view: EVERYONE, create: ADMINS, update: ADMINS, delete: ADMINS },
+  coupons: { view: EVERYONE, create: ADMINS, update: ADMINS, delete: ADMINS },
+  coins: { view: EVERYONE, adjust: ADMINS },
+  // Banners and sale strips
+  banners: { view: EVERYONE, create: EVERYONE, update: EVERYONE, delete: ADMINS },
+  newsletter: { view: EVERYONE, send: ADMINS, delete: ADMINS },
+  // Home page content, new arrivals and testimonials
+  content: { view: EVERYONE, create: EVERYONE, update: EVERYONE, delete: ADMINS },
+  email_templates: { view: EVERYONE, create: ADMINS, update: ADMINS },
+  messages: { view: EVERYONE, retry: EVERYONE },
+  // Includes the coin, shipping and tax rules stored as settings
+  settings: { view: EVERYONE, update: ADMINS },
+  admins: { view: SUPER_ADMINS, manage: SUPER_ADMINS },
+  audit: { view: SUPER_ADMINS }
+}
+
+/**
+ * Whether a role may perform an action on a resource
+ * @param {string} role - Admin.role
+ * @param {string} resource - Key of PERMISSIONS
+ * @param {string} action - e.g. 'view', 'update'
+ * @returns {boolean}
+ */
+export const hasPermission = (role, resource, action) =>
+  Boolean(PERMISSIONS[resource]?.[action]?.includes(role))
+
+/**
+ * Everything a role may do, for the admin panel
+ * @param {string} role - Admin.role
+ * @returns {Object} - { resource: [actions] } (resources with no allowed action are left out)
+ */
+export const getPermissions = (role) =>
+  Object.fromEntries(
+    Object.entries(PERMISSIONS)
+      .map(([resource, actions]) => [
+        resource,
+        Object.keys(actions).filter(action => actions[action].includes(role))
+      ])
+      .filter(([, actions]) => actions.length > 0)
+  )
+
+export default {
+  ADMIN_ROLES,
+  PERMISSIONS,
+  hasPermission,
+  getPermissions
+}
@@ -1,7 +1,13 @@
 import jwt from 'jsonwebtoken'
 import Admin from '../models/Admin.js'
+import { hasPermission } from '../config/permissions.js'
+import { auditAdminRequest } from '../services/auditService.js'
+import { isTwoFactorRequired } from '../services/twoFactorService.js'
 
-export const adminProtect = async (req, res, next) => {
+// Verifies the admin's token. Unless allowTwoFactorSetup is set, an admin whose role must use
+// two-factor authentication (see services/twoFactorService.js) but who has not set it up is
+// refused everything except the routes that let them set it up.
+const authenticateAdmin = ({ allowTwoFactorSetup = false } = {}) => async (req, res, next) => {
   let token
 
   if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
@@ -9,6 +15,11 @@ export const adminProtect = async (req, res, next) => {
       token = req.headers.authorization.split(' ')[1]
       const decoded = jwt.verify(token, process.env.JWT_SECRET)
 
+      // Two-factor challenge tokens only work for finishing sign-in
+      if (decoded.purpose) {
+        return res.status(401).json({ message: 'Not authorized, token failed' })
+      }
+
       // Verify admin exists and is active
       const admin = await Admin.findByPk(decoded.id)
       
@@ -16,6 +27,13 @@ export const adminProtect = async (req, res, next) => {
         return res.status(401).json({ message: 'Admin not found or inactive' })
       }
 
+      if (!allowTwoFactorSetup && !admin.twoFactorEnabled && await isTwoFactorRequired(admin.role)) {
+        return res.status(403).json({
+          message: 'Your role requires two-factor authentication. Set it up under Account Security to continue.',
+          code: 'TWO_FACTOR_SETUP_REQUIRED'
+        })
+      }
+
       const adminData = admin.toJSON()
       req.admin = {
         id: adminData.id,
@@ -35,3 +53,23 @@ export const adminProtect = async (req, res, next) => {
     return res.status(401).json({ message: 'Not authorized, no token' })
   }
 }
+
+export const adminProtect = authenticateAdmin()
+
+// For the admin's own account and two-factor setup, which must work before two-factor is on
+export const adminProtectAllowingTwoFactorSetup = authenticateAdmin({ allowTwoFactorSetup: true })
+
+// Use after adminProtect: only lets the request through if the admin's role may perform
+// the action on the resource (see config/permissions.js). Anything beyond viewing is
+// recorded in the audit log.
+export const requirePermission = (resource, action) => (req, res, next) => {
+  if (!req.admin || !hasPermission(req.admin.role, resource, action)) {
+    return res.status(403).json({
+      message: 'You do not have permission to do this',
+      resource,
+      action
+    })
+  }
+  if (action === 'view') return next()
+  auditAdminRequest(req, res, { resource, action }, next)
+}
@@ -1,5 +1,7 @@
 import jwt from 'jsonwebtoken'
 import User from '../models/User.js'
+import { isSessionActive } from '../services/sessionService.js'
+import { readGuestToken } from '../services/guestCheckoutService.js'
 
 export const protect = async (req, res, next) => {
   let token
@@ -12,16 +14,24 @@ export const protect = async (req, res, next) => {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET)
 
-      // Get user from token
-      const user = await User.findByPk(decoded.id)
-      
+      // Get user from token; the token only works while its session is signed in
+      const [user, sessionActive] = await Promise.all([
+        User.findByPk(decoded.id),
+        isSessionActive(decoded.sid)
+      ])
+
       if (!user) {
         return res.status(401).json({ message: 'User not found' })
       }
 
+      if (!sessionActive) {
+        return res.status(401).json({ message: 'Session expired, please sign in again' })
+      }
+
       // Remove password from user object
       const userData = user.toJSON()
       req.user = userData
+      req.sessionId = decoded.sid
 
       next()
     } catch (error) {
@@ -43,9 +53,13 @@ export const optionalAuth = async (req, res, next) => {
     try {
       token = req.headers.authorization.split(' ')[1]
       const decoded = jwt.verify(token, process.env.JWT_SECRET)
-      const user = await User.findByPk(decoded.id)
-      if (user) {
+      const [user, sessionActive] = await Promise.all([
+        User.findByPk(decoded.id),
+        isSessionActive(decoded.sid)
+      ])
+      if (user && sessionActive) {
         req.user = user.toJSON()
+        req.sessionId = decoded.sid
       }
     } catch (error) {
       // Ignore errors for optional auth
@@ -54,3 +68,15 @@ export const optionalAuth = async (req, res, next) => {
 
   next()
 }
+
+// Signed-in customer or guest - a bearer token must be valid (as with protect); without one
+// the request is a guest's, with req.guestToken from the X-Guest-Token header (null until
+// the guest's first cart item)
+export const protectOrGuest = (req, res, next) => {
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    return protect(req, res, next)
+  }
+
+  req.guestToken = readGuestToken(req)
+  next()
+}
@@ -0,0 +1,46 @@
+import { getRateLimits, hitRateLimit } from '../services/rateLimitService.js'
+
+const waitText = (seconds) => {
+  const minutes = Math.ceil(seconds / 60)
+  return minutes <= 1 ? 'a minute' : `${minutes} minutes`
+}
+
+// Limits an endpoint per IP and, when accountKey returns a value for the request, per account.
+// endpoint names its limits in the rate_limits setting (see services/rateLimitService.js).
+// If the counter store fails the request is let through rather than blocking sign-in.
+export const rateLimit = (endpoint, { accountKey } = {}) => async (req, res, next) => {
+  try {
+    const limits = (await getRateLimits())[endpoint]
+    if (!limits) return next()
+
+    const windowMs = limits.windowMinutes * 60 * 1000
+    const account = accountKey ? accountKey(req) : null
+    const buckets = [
+      { scope: 'ip', value: req.ip, max: limits.maxPerIp },
+      { scope: 'account', value: account, max: limits.maxPerAccount }
+    ].filter(bucket => bucket.value && bucket.max > 0)
+
+    for (const bucket of buckets) {
+      const { count, resetAt } = await hitRateLimit(endpoint, bucket.scope, bucket.value, windowMs)
+      if (count > bucket.max) {
+        const retryAfter = Math.max(1, Math.ceil((resetAt.getTime() - Date.now()) / 1000))
+        res.set('Retry-After', String(retryAfter))
+        return res.status(429).json({
+          message: `Too many attempts. Please try again in ${waitText(retryAfter)}.`,
+          retryAfter
+        })
+      }
+    }
+
+    next()
+  } catch (error) {
+    console.error('Rate limit error:', error)
+    next()
+  }
+}
+
+// Account key for sign-in and reset requests: the email or mobile in the body
+export const accountFromBody = (req) => {
+  const value = req.body?.email || req.body?.mobile
+  return typeof value === 'string' && value.trim() ? value.trim().toLowerCase() : null
+}
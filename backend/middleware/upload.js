@@ -6,25 +6,26 @@ import fs from 'fs'
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
 
-// Create uploads directory if it doesn't exist
-const uploadsDir = path.join(__dirname, '../uploads/products')
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true })
-}
-
-// Configure storage
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, uploadsDir)
-  },
-  filename: (req, file, cb) => {
-    // Generate unique filename: timestamp-random-originalname
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9)
-    const ext = path.extname(file.originalname)
-    const name = path.basename(file.originalname, ext).replace(/\s+/g, '-')
-    cb(null, `${name}-${uniqueSuffix}${ext}`)
+// Disk storage in uploads/<folder>, created if it doesn't exist
+const diskStorage = (folder) => {
+  const uploadsDir = path.join(__dirname, '../uploads', folder)
+  if (!fs.existsSync(uploadsDir)) {
+    fs.mkdirSync(uploadsDir, { recursive: true })
   }
-})
+
+  return multer.diskStorage({
+    destination: (req, file, cb) => {
+      cb(null, uploadsDir)
+    },
+    filename: (req, file, cb) => {
+      // Generate unique filename: timestamp-random-originalname
+      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9)
+      const ext = path.extname(file.originalname)
+      const name = path.basename(file.originalname, ext).replace(/\s+/g, '-')
+      cb(null, `${name}-${uniqueSuffix}${ext}`)
+    }
+  })
+}
 
 // File filter - only images
 const fileFilter = (req, file, cb) => {
@@ -41,12 +42,20 @@ const fileFilter = (req, file, cb) => {
 
 // Configure multer
 const upload = multer({
-  storage: storage,
+  storage: diskStorage('products'),
   limits: {
     fileSize: 10 * 1024 * 1024 // 10MB max file size
   },
   fileFilter: fileFilter
 })
 
-export default upload
+// Photos customers attach to return requests
+export const returnPhotoUpload = multer({
+  storage: diskStorage('returns'),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB max file size
+  },
+  fileFilter: fileFilter
+})
 
+export default upload
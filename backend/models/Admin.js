@@ -38,6 +38,47 @@ const Admin = sequelize.define('Admin', {
   lastLogin: {
     type: DataTypes.DATE,
     allowNull: true
+  },
+  // Wrong passwords since the last successful sign-in; see services/loginLockoutService.js
+  failedLoginAttempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  lockedUntil: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Invited admins set their own password through the emailed link (token stored hashed)
+  inviteToken: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  inviteExpires: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Authenticator app sign-in; see services/twoFactorService.js. The secret is stored
+  // encrypted and set before twoFactorEnabled, while the admin is enrolling
+  twoFactorEnabled: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  twoFactorSecret: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // SHA-256 hashes of the unused recovery codes
+  twoFactorRecoveryCodes: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+  },
+  // Last 30-second step a code was accepted for, so a code cannot be used twice
+  twoFactorLastUsedStep: {
+    type: DataTypes.INTEGER,
+    allowNull: true
   }
 }, {
   tableName: 'admins',
@@ -61,6 +102,12 @@ Admin.prototype.matchPassword = async function(enteredPassword) {
 Admin.prototype.toJSON = function() {
   const values = { ...this.get() }
   delete values.password
+  delete values.inviteToken
+  delete values.twoFactorSecret
+  delete values.twoFactorRecoveryCodes
+  delete values.twoFactorLastUsedStep
+  values.invitePending = Boolean(values.inviteExpires)
+  values.recoveryCodesRemaining = (this.twoFactorRecoveryCodes || []).length
   return values
 }
 
@@ -0,0 +1,83 @@
+import { DataTypes } from 'sequelize'
+import { sequelize } from '../config/db.js'
+
+// Append-only record of admin writes (see services/auditService.js)
+const AuditLog = sequelize.define('AuditLog', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  adminId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'admins',
+      key: 'id'
+    }
+  },
+  action: {
+    type: DataTypes.STRING,
+    allowNull: false // Permission used, e.g. orders.update, coupons.delete, returns.refund
+  },
+  operation: {
+    type: DataTypes.ENUM('create', 'update', 'delete', 'request'),
+    allowNull: false // request: a write with no model change to diff (raw SQL, queued jobs)
+  },
+  entityType: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  entityId: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  before: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  after: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  method: {
+    type: DataTypes.STRING(10),
+    allowNull: false
+  },
+  path: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  ipAddress: {
+    type: DataTypes.STRING,
+    allowNull: true
+  }
+}, {
+  tableName: 'audit_logs',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['createdAt']
+    },
+    {
+      fields: ['adminId', 'createdAt']
+    },
+    {
+      fields: ['entityType', 'entityId']
+    },
+    {
+      fields: ['action']
+    }
+  ],
+  hooks: {
+    beforeUpdate: () => {
+      throw new Error('Audit log entries cannot be changed')
+    },
+    beforeDestroy: () => {
+      throw new Error('Audit log entries cannot be deleted')
+    }
+  }
+})
+
+export default AuditLog
@@ -1,6 +1,8 @@
 import { DataTypes } from 'sequelize'
 import { sequelize } from '../config/db.js'
 
+// A signed-in customer's cart (userId), or a guest's cart keyed by a hash of the anonymous
+// token their browser sends in X-Guest-Token. See services/guestCheckoutService.js.
 const Cart = sequelize.define('Cart', {
   id: {
     type: DataTypes.UUID,
@@ -9,13 +11,18 @@ const Cart = sequelize.define('Cart', {
   },
   userId: {
     type: DataTypes.UUID,
-    allowNull: false,
+    allowNull: true,
     unique: true,
     references: {
       model: 'users',
       key: 'id'
     }
   },
+  guestTokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    unique: true
+  },
   items: {
     type: DataTypes.JSONB,
     defaultValue: []
@@ -25,6 +25,15 @@ const Category = sequelize.define('Category', {
     type: DataTypes.STRING,
     allowNull: true
   },
+  hsnCode: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  gstSlabs: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'GST slabs [{ upTo, rate }] for products in this category'
+  },
   position: {
     type: DataTypes.INTEGER,
     defaultValue: 0
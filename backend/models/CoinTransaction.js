@@ -16,7 +16,8 @@ const CoinTransaction = sequelize.define('CoinTransaction', {
     }
   },
   type: {
-    type: DataTypes.ENUM('earned', 'spent', 'expired', 'refunded'),
+    // Credits: earned, refunded, admin_credit. Debits: spent, expired, clawback, admin_debit
+    type: DataTypes.ENUM('earned', 'spent', 'expired', 'refunded', 'clawback', 'admin_credit', 'admin_debit'),
     allowNull: false
   },
   amount: {
@@ -33,6 +34,22 @@ const CoinTransaction = sequelize.define('CoinTransaction', {
       min: 0
     }
   },
+  remaining: {
+    type: DataTypes.INTEGER,
+    allowNull: true // Credits only: coins of this credit not yet spent, expired or clawed back
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true // Credits only: when the remaining coins expire (null = never)
+  },
+  holdStatus: {
+    type: DataTypes.ENUM('held', 'committed', 'released'),
+    allowNull: true // Redemptions made before the order exists: held until the order is saved (committed) or payment fails (released)
+  },
+  holdReference: {
+    type: DataTypes.STRING,
+    allowNull: true // Razorpay order ID the held coins pay for
+  },
   description: {
     type: DataTypes.STRING,
     allowNull: false
@@ -61,6 +78,15 @@ const CoinTransaction = sequelize.define('CoinTransaction', {
     },
     {
       fields: ['type']
+    },
+    {
+      fields: ['userId', 'expiresAt']
+    },
+    {
+      fields: ['holdReference']
+    },
+    {
+      fields: ['holdStatus', 'createdAt']
     }
   ]
 })
@@ -15,6 +15,14 @@ const InventoryLog = sequelize.define('InventoryLog', {
       key: 'id'
     }
   },
+  variantId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'product_variants',
+      key: 'id'
+    }
+  },
   quantity: {
     type: DataTypes.INTEGER,
     allowNull: false
@@ -27,6 +35,10 @@ const InventoryLog = sequelize.define('InventoryLog', {
     type: DataTypes.STRING,
     allowNull: true
   },
+  orderId: {
+    type: DataTypes.STRING,
+    allowNull: true // Set for stock movements caused by an order
+  },
   createdBy: {
     type: DataTypes.UUID,
     allowNull: true,
@@ -44,6 +56,9 @@ const InventoryLog = sequelize.define('InventoryLog', {
     },
     {
       fields: ['type']
+    },
+    {
+      fields: ['orderId']
     }
   ]
 })
@@ -0,0 +1,93 @@
+import { DataTypes } from 'sequelize'
+import { sequelize } from '../config/db.js'
+
+// One row per outgoing email or SMS to one recipient. The message is rendered when it is
+// queued; the worker (worker.js) delivers it, retrying with backoff until it is sent or dead.
+const MessageJob = sequelize.define('MessageJob', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  channel: {
+    type: DataTypes.ENUM('email', 'sms'),
+    allowNull: false
+  },
+  kind: {
+    type: DataTypes.STRING,
+    allowNull: false // order_confirmation, invoice, password_reset, newsletter, order_placed, ...
+  },
+  recipient: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  payload: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {} // email: { subject, html, text, pdfPath, pdfName }; sms: { body }
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'processing', 'sent', 'dead'),
+    defaultValue: 'pending'
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  maxAttempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 5
+  },
+  runAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW // Not picked up before this time (backoff)
+  },
+  lockedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lockedBy: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  attemptLog: {
+    type: DataTypes.JSONB,
+    defaultValue: [] // [{ at, error }] for each failed attempt
+  },
+  providerMessageId: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  sentAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  batchId: {
+    type: DataTypes.STRING,
+    allowNull: true // Groups the messages of one newsletter send
+  },
+  metadata: {
+    type: DataTypes.JSONB,
+    defaultValue: {} // orderId, subscriberId, ...
+  }
+}, {
+  tableName: 'message_jobs',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['status', 'runAt']
+    },
+    {
+      fields: ['batchId']
+    },
+    {
+      fields: ['channel', 'kind']
+    }
+  ]
+})
+
+export default MessageJob
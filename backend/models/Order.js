@@ -14,12 +14,26 @@ const Order = sequelize.define('Order', {
   },
   userId: {
     type: DataTypes.UUID,
-    allowNull: false,
+    allowNull: true, // null for a guest order until the customer claims it
     references: {
       model: 'users',
       key: 'id'
     }
   },
+  // Guest orders: the checkout's contact details (for order lookup) and a hash of the
+  // browser's guest token (to claim the order when that browser signs in)
+  guestEmail: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  guestMobile: {
+    type: DataTypes.STRING(10),
+    allowNull: true
+  },
+  guestTokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
   items: {
     type: DataTypes.JSONB,
     allowNull: false,
@@ -47,6 +61,17 @@ const Order = sequelize.define('Order', {
       min: 0
     }
   },
+  shippingMethod: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  codFee: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0,
+    validate: {
+      min: 0
+    }
+  },
   tax: {
     type: DataTypes.DECIMAL(10, 2),
     defaultValue: 0,
@@ -54,6 +79,41 @@ const Order = sequelize.define('Order', {
       min: 0
     }
   },
+  taxBreakdown: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'GST per line (HSN, taxable value, rate, CGST/SGST/IGST), seller GSTIN and place of supply'
+  },
+  discount: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0,
+    validate: {
+      min: 0
+    },
+    comment: 'Coupon + discount code + coin reductions, as recomputed by the server'
+  },
+  couponCode: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  discountCode: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  coinsRedeemed: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    }
+  },
+  coinDiscount: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0,
+    validate: {
+      min: 0
+    }
+  },
   total: {
     type: DataTypes.DECIMAL(10, 2),
     allowNull: false,
@@ -67,8 +127,12 @@ const Order = sequelize.define('Order', {
     allowNull: true
   },
   status: {
-    type: DataTypes.ENUM('Processing', 'Shipped', 'Delivered', 'Cancelled', 'Returned'),
-    defaultValue: 'Processing'
+    // Moves only through services/orderLifecycleService.js
+    type: DataTypes.ENUM(
+      'Pending Payment', 'Pending Confirmation', 'Confirmed', 'Packed', 'Shipped', 'Out for Delivery',
+      'Delivered', 'Cancelled', 'Return Requested', 'Returned', 'Refunded'
+    ),
+    defaultValue: 'Confirmed'
   },
   statusHistory: {
     type: DataTypes.JSONB,
@@ -80,6 +144,12 @@ const Order = sequelize.define('Order', {
   indexes: [
     {
       fields: ['userId', 'createdAt']
+    },
+    {
+      fields: ['guestTokenHash']
+    },
+    {
+      fields: ['guestMobile']
     }
   ]
 })
@@ -0,0 +1,46 @@
+import { DataTypes } from 'sequelize'
+import { sequelize } from '../config/db.js'
+
+// One row per one-time code sent by SMS, to sign in, to verify a mobile number at signup or to
+// look up an order. Only a keyed hash of the code is kept; a code stops working when it expires,
+// after too many wrong guesses or once it is used. See services/otpService.js.
+const OtpCode = sequelize.define('OtpCode', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  mobile: {
+    type: DataTypes.STRING(10),
+    allowNull: false
+  },
+  purpose: {
+    type: DataTypes.ENUM('login', 'signup', 'order_lookup'),
+    allowNull: false
+  },
+  codeHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    allowNull: false
+  },
+  consumedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'otp_codes',
+  timestamps: true,
+  indexes: [
+    { fields: ['mobile', 'purpose', 'createdAt'] }
+  ]
+})
+
+export default OtpCode
@@ -0,0 +1,74 @@
+import { DataTypes } from 'sequelize'
+import { sequelize } from '../config/db.js'
+
+// One row per Razorpay order opened from checkout, holding what is needed to
+// create the store order if the browser never reports back after payment
+const PaymentSession = sequelize.define('PaymentSession', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  razorpayOrderId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: true, // null when a guest pays
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  guestTokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    validate: {
+      min: 0
+    }
+  },
+  currency: {
+    type: DataTypes.STRING,
+    defaultValue: 'INR'
+  },
+  checkout: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {} // shippingAddress, shippingMethod, couponCode, discountCode, paymentMethod, ...
+  },
+  status: {
+    type: DataTypes.ENUM('created', 'paid', 'failed'),
+    defaultValue: 'created'
+  },
+  razorpayPaymentId: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  orderId: {
+    type: DataTypes.STRING,
+    allowNull: true // Order.orderId once the order exists
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'payment_sessions',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['razorpayOrderId']
+    },
+    {
+      fields: ['userId', 'status']
+    }
+  ]
+})
+
+export default PaymentSession
@@ -0,0 +1,60 @@
+import { DataTypes } from 'sequelize'
+import { sequelize } from '../config/db.js'
+
+const PaymentWebhookEvent = sequelize.define('PaymentWebhookEvent', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  eventId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true // X-Razorpay-Event-Id - makes redelivered events a no-op
+  },
+  provider: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'razorpay'
+  },
+  event: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  entityId: {
+    type: DataTypes.STRING,
+    allowNull: true // Payment or refund ID the event is about
+  },
+  orderId: {
+    type: DataTypes.STRING,
+    allowNull: true // Order.orderId affected by the event
+  },
+  status: {
+    type: DataTypes.ENUM('processed', 'ignored', 'failed'),
+    allowNull: false
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  payload: {
+    type: DataTypes.JSONB,
+    defaultValue: {}
+  }
+}, {
+  tableName: 'payment_webhook_events',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['eventId']
+    },
+    {
+      fields: ['event', 'createdAt']
+    },
+    {
+      fields: ['orderId']
+    }
+  ]
+})
+
+export default PaymentWebhookEvent
@@ -117,6 +117,15 @@ const Product = sequelize.define('Product', {
     type: DataTypes.JSONB,
     defaultValue: {}
   },
+  hsnCode: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  gstSlabs: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'GST slabs [{ upTo, rate }] overriding the category and store defaults'
+  },
   isActive: {
     type: DataTypes.BOOLEAN,
     defaultValue: true
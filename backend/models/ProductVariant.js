@@ -0,0 +1,72 @@
+import { DataTypes } from 'sequelize'
+import { sequelize } from '../config/db.js'
+
+const ProductVariant = sequelize.define('ProductVariant', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  productId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'products',
+      key: 'id'
+    }
+  },
+  sku: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  },
+  size: {
+    type: DataTypes.STRING,
+    allowNull: true // null = applies to every size (single-variant products)
+  },
+  color: {
+    type: DataTypes.STRING,
+    allowNull: true // Color name from Product.colors; null = applies to every color
+  },
+  stockCount: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    allowNull: false,
+    validate: {
+      min: 0
+    }
+  },
+  price: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true, // Overrides Product.price when set
+    validate: {
+      min: 0
+    }
+  },
+  barcode: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    unique: true
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'product_variants',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['productId', 'size', 'color'],
+      unique: true
+    },
+    {
+      fields: ['sku']
+    },
+    {
+      fields: ['stockCount']
+    }
+  ]
+})
+
+export default ProductVariant
@@ -0,0 +1,29 @@
+import { DataTypes } from 'sequelize'
+import { sequelize } from '../config/db.js'
+
+// Request counter for one rate-limit bucket (an endpoint plus an IP or account) when
+// RATE_LIMIT_STORE=postgres. Keys hold a hash of the IP or account, not the value itself.
+// See services/rateLimitService.js.
+const RateLimitBucket = sequelize.define('RateLimitBucket', {
+  key: {
+    type: DataTypes.STRING(128),
+    primaryKey: true
+  },
+  count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  resetAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  tableName: 'rate_limit_buckets',
+  timestamps: false,
+  indexes: [
+    { fields: ['resetAt'] }
+  ]
+})
+
+export default RateLimitBucket
@@ -0,0 +1,97 @@
+import { DataTypes } from 'sequelize'
+import { sequelize } from '../config/db.js'
+
+// One row per refund issued on an order, to the original payment (Razorpay) or as store
+// credit (coins). Gateway refunds start pending and are settled by the refund webhooks or
+// by asking Razorpay for their status; see services/refundService.js.
+const Refund = sequelize.define('Refund', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  orderId: {
+    type: DataTypes.STRING,
+    allowNull: false // Order.orderId
+  },
+  returnId: {
+    type: DataTypes.STRING,
+    allowNull: true // Return.returnId, when the refund is for a return
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  method: {
+    type: DataTypes.ENUM('original', 'coins'),
+    allowNull: false
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    validate: {
+      min: 0.01
+    }
+  },
+  coins: {
+    type: DataTypes.INTEGER,
+    allowNull: true // Coins credited, for store credit refunds
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'processed', 'failed'),
+    defaultValue: 'pending'
+  },
+  gatewayPaymentId: {
+    type: DataTypes.STRING,
+    allowNull: true // Razorpay payment the refund is made against (pay_xxx)
+  },
+  gatewayRefundId: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    unique: true // Razorpay refund ID (rfnd_xxx)
+  },
+  gatewayStatus: {
+    type: DataTypes.STRING,
+    allowNull: true // Last status Razorpay reported
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  failureReason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true, // Admin who issued it; null for automatic refunds
+    references: {
+      model: 'admins',
+      key: 'id'
+    }
+  },
+  processedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'refunds',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['orderId']
+    },
+    {
+      fields: ['returnId']
+    },
+    {
+      fields: ['status']
+    }
+  ]
+})
+
+export default Refund
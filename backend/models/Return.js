@@ -24,26 +24,69 @@ const Return = sequelize.define('Return', {
       key: 'id'
     }
   },
+  // Product of the first returned line; the lines themselves are in items
   productId: {
     type: DataTypes.UUID,
-    allowNull: false,
+    allowNull: true,
     references: {
       model: 'products',
       key: 'id'
     }
   },
+  // Summary of the returned lines, e.g. "Silk Saree + 1 more"
   productName: {
     type: DataTypes.STRING,
     allowNull: false
   },
+  items: {
+    type: DataTypes.JSONB,
+    defaultValue: [],
+    comment: 'Returned order lines [{ lineIndex, productId, variantId, name, size, color, image, quantity, unitPrice, amount, exchangeSize, exchangeColor, exchangeVariantId }]'
+  },
+  resolution: {
+    type: DataTypes.ENUM('refund', 'exchange'),
+    defaultValue: 'refund'
+  },
   reason: {
     type: DataTypes.TEXT,
     allowNull: false
   },
+  comment: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  photos: {
+    type: DataTypes.JSONB,
+    defaultValue: []
+  },
   status: {
-    type: DataTypes.ENUM('pending', 'approved', 'rejected', 'refunded'),
+    type: DataTypes.ENUM(
+      'pending',
+      'approved',
+      'rejected',
+      'pickup_scheduled',
+      'picked_up',
+      'received',
+      'qc_passed',
+      'qc_failed',
+      'refunded',
+      'exchanged'
+    ),
     defaultValue: 'pending'
   },
+  statusHistory: {
+    type: DataTypes.JSONB,
+    defaultValue: []
+  },
+  pickup: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Reverse pickup details { date, courier, trackingNumber }'
+  },
+  qcNotes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
   requestedAt: {
     type: DataTypes.DATE,
     defaultValue: DataTypes.NOW
@@ -56,6 +99,10 @@ const Return = sequelize.define('Return', {
     type: DataTypes.DATE,
     allowNull: true
   },
+  exchangedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
   amount: {
     type: DataTypes.DECIMAL(10, 2),
     allowNull: false,
@@ -0,0 +1,63 @@
+import { DataTypes } from 'sequelize'
+import { sequelize } from '../config/db.js'
+
+// One row per signed-in customer device. The device holds a refresh token that is swapped for
+// a new one each time it is used; only hashes of the current and the previous token are kept,
+// so replaying an already-used token can be spotted. See services/sessionService.js.
+const Session = sequelize.define('Session', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  refreshTokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  previousTokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  userAgent: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  ipAddress: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  lastUsedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // e.g. logout, password_changed, password_reset, remote_logout, token_reuse
+  revokedReason: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  }
+}, {
+  tableName: 'user_sessions',
+  timestamps: true,
+  indexes: [
+    { fields: ['userId'] }
+  ]
+})
+
+export default Session
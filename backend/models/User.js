@@ -17,6 +17,12 @@ const User = sequelize.define('User', {
       isNumeric: true
     }
   },
+  // Set once the customer has entered a code sent to their mobile (signup or OTP sign-in)
+  mobileVerified: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    allowNull: false
+  },
   password: {
     type: DataTypes.STRING,
     allowNull: false,
@@ -47,6 +53,16 @@ const User = sequelize.define('User', {
     allowNull: true,
     field: 'password_reset_expires'
   },
+  // Wrong passwords since the last successful sign-in; see services/loginLockoutService.js
+  failedLoginAttempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  lockedUntil: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
   addresses: {
     type: DataTypes.JSONB,
     defaultValue: []
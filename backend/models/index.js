@@ -22,6 +22,15 @@ import NewArrival from './NewArrival.js'
 import Testimonial from './Testimonial.js'
 import SaleStrip from './SaleStrip.js'
 import CoinTransaction from './CoinTransaction.js'
+import ProductVariant from './ProductVariant.js'
+import PaymentSession from './PaymentSession.js'
+import PaymentWebhookEvent from './PaymentWebhookEvent.js'
+import MessageJob from './MessageJob.js'
+import AuditLog from './AuditLog.js'
+import Refund from './Refund.js'
+import OtpCode from './OtpCode.js'
+import Session from './Session.js'
+import RateLimitBucket from './RateLimitBucket.js'
 
 // Set up associations
 User.hasOne(Cart, { foreignKey: 'userId', as: 'cart' })
@@ -30,6 +39,7 @@ User.hasMany(Review, { foreignKey: 'userId', as: 'userReviews' })
 User.hasMany(Return, { foreignKey: 'userId', as: 'returns' })
 User.hasMany(CouponUsage, { foreignKey: 'userId', as: 'couponUsages' })
 User.hasMany(CoinTransaction, { foreignKey: 'userId', as: 'coinTransactions' })
+User.hasMany(Session, { foreignKey: 'userId', as: 'sessions' })
 
 Cart.belongsTo(User, { foreignKey: 'userId', as: 'user' })
 
@@ -37,9 +47,15 @@ Order.belongsTo(User, { foreignKey: 'userId', as: 'user' })
 
 CoinTransaction.belongsTo(User, { foreignKey: 'userId', as: 'user' })
 
+PaymentSession.belongsTo(User, { foreignKey: 'userId', as: 'user' })
+
 Product.hasMany(Review, { foreignKey: 'productId', as: 'productReviews' })
 Product.hasMany(Return, { foreignKey: 'productId', as: 'productReturns' })
 Product.hasMany(InventoryLog, { foreignKey: 'productId', as: 'inventoryLogs' })
+Product.hasMany(ProductVariant, { foreignKey: 'productId', as: 'variants' })
+
+ProductVariant.belongsTo(Product, { foreignKey: 'productId', as: 'product' })
+ProductVariant.hasMany(InventoryLog, { foreignKey: 'variantId', as: 'inventoryLogs' })
 
 Review.belongsTo(Product, { foreignKey: 'productId', as: 'product' })
 Review.belongsTo(User, { foreignKey: 'userId', as: 'user' })
@@ -61,10 +77,17 @@ CouponUsage.belongsTo(Coupon, { foreignKey: 'couponId', as: 'coupon' })
 CouponUsage.belongsTo(User, { foreignKey: 'userId', as: 'user' })
 
 InventoryLog.belongsTo(Product, { foreignKey: 'productId', as: 'product' })
+InventoryLog.belongsTo(ProductVariant, { foreignKey: 'variantId', as: 'variant' })
 InventoryLog.belongsTo(Admin, { foreignKey: 'createdBy', as: 'admin' })
 
 Admin.hasMany(InventoryLog, { foreignKey: 'createdBy', as: 'inventoryLogs' })
 
+AuditLog.belongsTo(Admin, { foreignKey: 'adminId', as: 'admin' })
+Admin.hasMany(AuditLog, { foreignKey: 'adminId', as: 'auditLogs' })
+
+Refund.belongsTo(User, { foreignKey: 'userId', as: 'user' })
+Refund.belongsTo(Admin, { foreignKey: 'createdBy', as: 'admin' })
+
 // Export all models
 export {
   User,
@@ -89,5 +112,14 @@ export {
   NewArrival,
   Testimonial,
   SaleStrip,
-  CoinTransaction
+  CoinTransaction,
+  ProductVariant,
+  PaymentSession,
+  PaymentWebhookEvent,
+  MessageJob,
+  AuditLog,
+  Refund,
+  OtpCode,
+  Session,
+  RateLimitBucket
 }
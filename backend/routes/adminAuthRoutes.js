@@ -1,14 +1,60 @@
 import express from 'express'
+import crypto from 'crypto'
+import { Op } from 'sequelize'
 import Admin from '../models/Admin.js'
-import { generateToken } from '../utils/generateToken.js'
-import { adminProtect } from '../middleware/adminAuth.js'
+import jwt from 'jsonwebtoken'
+import { generateToken, generateTwoFactorChallengeToken } from '../utils/generateToken.js'
+import { adminProtectAllowingTwoFactorSetup } from '../middleware/adminAuth.js'
+import { rateLimit, accountFromBody } from '../middleware/rateLimit.js'
+import {
+  isAccountLocked,
+  lockoutMessage,
+  recordFailedLogin,
+  clearFailedLogins
+} from '../services/loginLockoutService.js'
+import {
+  isTwoFactorRequired,
+  startEnrollment,
+  enableTwoFactor,
+  verifyTwoFactorCode,
+  regenerateRecoveryCodes,
+  disableTwoFactor
+} from '../services/twoFactorService.js'
+import { getPermissions } from '../config/permissions.js'
 
 const router = express.Router()
 
+// What a completed admin sign-in returns
+const adminLoginResponse = async (admin) => {
+  admin.lastLogin = new Date()
+  await admin.save()
+  await clearFailedLogins(admin)
+
+  return {
+    _id: admin.id,
+    id: admin.id,
+    email: admin.email,
+    name: admin.name,
+    role: admin.role,
+    permissions: getPermissions(admin.role),
+    twoFactorEnabled: admin.twoFactorEnabled,
+    twoFactorRequired: await isTwoFactorRequired(admin.role),
+    token: generateToken(admin.id)
+  }
+}
+
+const twoFactorErrorResponse = (res, error, label) => {
+  if (error.name === 'TwoFactorError') {
+    return res.status(error.statusCode).json({ message: error.message })
+  }
+  console.error(`${label} error:`, error)
+  res.status(500).json({ message: 'Server error' })
+}
+
 // @route   POST /api/admin/auth/login
 // @desc    Admin login
 // @access  Public
-router.post('/login', async (req, res) => {
+router.post('/login', rateLimit('adminLogin', { accountKey: accountFromBody }), async (req, res) => {
   try {
     const { email, password } = req.body
 
@@ -30,23 +76,26 @@ router.post('/login', async (req, res) => {
       return res.status(401).json({ message: 'Invalid email or password' })
     }
 
+    if (isAccountLocked(admin)) {
+      return res.status(423).json({ message: lockoutMessage(admin.lockedUntil), lockedUntil: admin.lockedUntil })
+    }
+
     const isPasswordValid = await admin.matchPassword(password)
     
     if (isPasswordValid) {
-      // Update last login
-      admin.lastLogin = new Date()
-      await admin.save()
-
-      const token = generateToken(admin.id)
-      res.json({
-        _id: admin.id,
-        id: admin.id,
-        email: admin.email,
-        name: admin.name,
-        role: admin.role,
-        token
-      })
+      // With two-factor on, the failed attempt count is only cleared once the code is right too
+      if (admin.twoFactorEnabled) {
+        return res.json({
+          twoFactorRequired: true,
+          challengeToken: generateTwoFactorChallengeToken(admin.id)
+        })
+      }
+      res.json(await adminLoginResponse(admin))
     } else {
+      const { lockedUntil } = await recordFailedLogin(admin)
+      if (lockedUntil) {
+        return res.status(423).json({ message: lockoutMessage(lockedUntil), lockedUntil })
+      }
       res.status(401).json({ message: 'Invalid email or password' })
     }
   } catch (error) {
@@ -70,20 +119,189 @@ router.post('/login', async (req, res) => {
   }
 })
 
+// @route   POST /api/admin/auth/2fa/verify
+// @desc    Finish signing in with an authenticator code or a recovery code
+// @access  Public (with the challenge token from login)
+router.post('/2fa/verify', rateLimit('adminLogin'), async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body
+
+    if (!challengeToken || !code) {
+      return res.status(400).json({ message: 'Please enter the code from your authenticator app' })
+    }
+
+    let decoded
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET)
+    } catch (error) {
+      decoded = null
+    }
+    if (!decoded || decoded.purpose !== 'admin_2fa') {
+      return res.status(401).json({ message: 'Your sign-in has timed out. Please enter your password again.' })
+    }
+
+    const admin = await Admin.findByPk(decoded.id)
+    if (!admin || !admin.isActive || !admin.twoFactorEnabled) {
+      return res.status(401).json({ message: 'Your sign-in has timed out. Please enter your password again.' })
+    }
+    if (isAccountLocked(admin)) {
+      return res.status(423).json({ message: lockoutMessage(admin.lockedUntil), lockedUntil: admin.lockedUntil })
+    }
+
+    const verified = await verifyTwoFactorCode(admin, code)
+    if (!verified) {
+      const { lockedUntil } = await recordFailedLogin(admin)
+      if (lockedUntil) {
+        return res.status(423).json({ message: lockoutMessage(lockedUntil), lockedUntil })
+      }
+      return res.status(401).json({ message: 'Invalid verification code' })
+    }
+
+    const response = await adminLoginResponse(admin)
+    res.json({
+      ...response,
+      ...(verified.method === 'recovery' && { recoveryCodesRemaining: admin.twoFactorRecoveryCodes.length })
+    })
+  } catch (error) {
+    twoFactorErrorResponse(res, error, 'Admin two-factor verify')
+  }
+})
+
+// @route   POST /api/admin/auth/2fa/setup
+// @desc    Start two-factor setup: a new secret and QR code for an authenticator app
+// @access  Admin
+router.post('/2fa/setup', adminProtectAllowingTwoFactorSetup, async (req, res) => {
+  try {
+    const admin = await Admin.findByPk(req.admin.id)
+    const { secret, otpauthUrl, qrCode } = await startEnrollment(admin)
+    res.json({ secret, otpauthUrl, qrCode })
+  } catch (error) {
+    twoFactorErrorResponse(res, error, 'Admin two-factor setup')
+  }
+})
+
+// @route   POST /api/admin/auth/2fa/enable
+// @desc    Confirm two-factor setup with a code from the app; returns recovery codes
+// @access  Admin
+router.post('/2fa/enable', adminProtectAllowingTwoFactorSetup, async (req, res) => {
+  try {
+    const admin = await Admin.findByPk(req.admin.id)
+    const recoveryCodes = await enableTwoFactor(admin, req.body.code)
+    res.json({
+      message: 'Two-factor authentication is on',
+      twoFactorEnabled: true,
+      recoveryCodes
+    })
+  } catch (error) {
+    twoFactorErrorResponse(res, error, 'Admin two-factor enable')
+  }
+})
+
+// @route   POST /api/admin/auth/2fa/recovery-codes
+// @desc    Replace the recovery codes (needs a current code)
+// @access  Admin
+router.post('/2fa/recovery-codes', adminProtectAllowingTwoFactorSetup, async (req, res) => {
+  try {
+    const admin = await Admin.findByPk(req.admin.id)
+    if (!admin.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not on' })
+    }
+    if (!(await verifyTwoFactorCode(admin, req.body.code))) {
+      return res.status(400).json({ message: 'Invalid verification code' })
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(admin)
+    res.json({ message: 'New recovery codes created. The old ones no longer work.', recoveryCodes })
+  } catch (error) {
+    twoFactorErrorResponse(res, error, 'Admin recovery codes')
+  }
+})
+
+// @route   POST /api/admin/auth/2fa/disable
+// @desc    Turn two-factor off (needs the password and a current code)
+// @access  Admin
+router.post('/2fa/disable', adminProtectAllowingTwoFactorSetup, async (req, res) => {
+  try {
+    const { password, code } = req.body
+    const admin = await Admin.findByPk(req.admin.id)
+
+    if (!admin.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not on' })
+    }
+    if (await isTwoFactorRequired(admin.role)) {
+      return res.status(400).json({ message: 'Your role requires two-factor authentication, so it cannot be turned off' })
+    }
+    if (!password || !(await admin.matchPassword(password))) {
+      return res.status(400).json({ message: 'Password is incorrect' })
+    }
+    if (!(await verifyTwoFactorCode(admin, code))) {
+      return res.status(400).json({ message: 'Invalid verification code' })
+    }
+
+    await disableTwoFactor(admin)
+    res.json({ message: 'Two-factor authentication is off', twoFactorEnabled: false })
+  } catch (error) {
+    twoFactorErrorResponse(res, error, 'Admin two-factor disable')
+  }
+})
+
 // @route   GET /api/admin/auth/me
 // @desc    Get current admin
 // @access  Admin
-router.get('/me', adminProtect, async (req, res) => {
+router.get('/me', adminProtectAllowingTwoFactorSetup, async (req, res) => {
   try {
     const admin = await Admin.findByPk(req.admin.id)
     if (!admin) {
       return res.status(404).json({ message: 'Admin not found' })
     }
-    res.json(admin.toJSON())
+    res.json({
+      ...admin.toJSON(),
+      permissions: getPermissions(admin.role),
+      twoFactorRequired: await isTwoFactorRequired(admin.role)
+    })
   } catch (error) {
     console.error('Get admin error:', error)
     res.status(500).json({ message: 'Server error' })
   }
 })
 
+// @route   POST /api/admin/auth/accept-invite
+// @desc    Set a password from an admin invite link and activate the account
+// @access  Public
+router.post('/accept-invite', async (req, res) => {
+  try {
+    const { token, password } = req.body
+
+    if (!token || !password) {
+      return res.status(400).json({ message: 'Token and password are required' })
+    }
+    if (password.length < 8) {
+      return res.status(400).json({ message: 'Password must be at least 8 characters' })
+    }
+
+    const hashedToken = crypto.createHash('sha256').update(token).digest('hex')
+    const admin = await Admin.findOne({
+      where: {
+        inviteToken: hashedToken,
+        inviteExpires: { [Op.gt]: new Date() }
+      }
+    })
+
+    if (!admin) {
+      return res.status(400).json({ message: 'This invite link is invalid or has expired. Ask a Super Admin to resend it.' })
+    }
+
+    admin.password = password
+    admin.inviteToken = null
+    admin.inviteExpires = null
+    admin.isActive = true
+    await admin.save()
+
+    res.json({ message: 'Your account is ready. You can now log in.', email: admin.email })
+  } catch (error) {
+    console.error('Accept admin invite error:', error)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
 export default router
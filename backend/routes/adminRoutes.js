@@ -4,10 +4,17 @@ import Product from '../models/Product.js'
 import Order from '../models/Order.js'
 import User from '../models/User.js'
 import Return from '../models/Return.js'
+import CoinTransaction from '../models/CoinTransaction.js'
 import InventoryLog from '../models/InventoryLog.js'
-import { adminProtect } from '../middleware/adminAuth.js'
+import ProductVariant from '../models/ProductVariant.js'
+import { sequelize } from '../config/db.js'
+import { adminProtect, requirePermission } from '../middleware/adminAuth.js'
+import { generateSku, syncProductStock } from '../services/inventoryService.js'
 import { generateInvoicePDF } from '../utils/invoiceGenerator.js'
-import { sendEmailWithPDF } from '../services/emailService.js'
+import { sendInvoiceEmail } from '../services/emailService.js'
+import { adjustCoins, getExpiringCoins } from '../services/coinService.js'
+import { isAccountLocked, clearFailedLogins } from '../services/loginLockoutService.js'
+import { ORDER_STATUSES, getAllowedTransitions, transitionOrder } from '../services/orderLifecycleService.js'
 import path from 'path'
 import { fileURLToPath } from 'url'
 import { dirname } from 'path'
@@ -21,6 +28,9 @@ const router = express.Router()
 // All admin routes require admin authentication
 router.use(adminProtect)
 
+// Status history actor for changes made from the admin panel
+const adminActor = (admin) => ({ type: 'admin', id: admin?.id || null, name: admin?.name || null })
+
 // Helper function to build WHERE condition for order lookup
 // Handles UUID vs orderId string to avoid PostgreSQL UUID type errors
 const buildOrderWhereCondition = (idParam) => {
@@ -49,7 +59,7 @@ const buildOrderWhereCondition = (idParam) => {
 // @route   GET /api/admin/stats
 // @desc    Get dashboard statistics
 // @access  Admin
-router.get('/stats', async (req, res) => {
+router.get('/stats', requirePermission('dashboard', 'view'), async (req, res) => {
   try {
     const totalProducts = await Product.count({ where: { isActive: true } })
     const totalOrders = await Order.count()
@@ -82,7 +92,7 @@ router.get('/stats', async (req, res) => {
 // @route   GET /api/admin/recent-orders
 // @desc    Get recent orders
 // @access  Admin
-router.get('/recent-orders', async (req, res) => {
+router.get('/recent-orders', requirePermission('dashboard', 'view'), async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 10
     const orders = await Order.findAll({
@@ -101,6 +111,8 @@ router.get('/recent-orders', async (req, res) => {
       mobile: order.user?.mobile || order.shippingAddress?.mobile || '',
       amount: order.total,
       status: order.status,
+      paymentMethod: order.payment?.method || null,
+      paymentStatus: order.payment?.status || null,
       date: order.createdAt,
       items: order.items?.length || 0
     }))
@@ -115,7 +127,7 @@ router.get('/recent-orders', async (req, res) => {
 // @route   GET /api/admin/top-products
 // @desc    Get top selling products
 // @access  Admin
-router.get('/top-products', async (req, res) => {
+router.get('/top-products', requirePermission('dashboard', 'view'), async (req, res) => {
   try {
     // Aggregate products by sales (from orders)
     const orders = await Order.findAll({ 
@@ -172,7 +184,7 @@ router.get('/top-products', async (req, res) => {
 // @route   GET /api/admin/revenue-chart
 // @desc    Get revenue chart data for selected period
 // @access  Admin
-router.get('/revenue-chart', async (req, res) => {
+router.get('/revenue-chart', requirePermission('dashboard', 'view'), async (req, res) => {
   try {
     const { period = '7days' } = req.query
     
@@ -264,27 +276,17 @@ router.get('/revenue-chart', async (req, res) => {
 // @route   GET /api/admin/order-status-breakdown
 // @desc    Get order status breakdown for dashboard
 // @access  Admin
-router.get('/order-status-breakdown', async (req, res) => {
+router.get('/order-status-breakdown', requirePermission('dashboard', 'view'), async (req, res) => {
   try {
     const orders = await Order.findAll({
       attributes: ['status']
     })
     
-    const statusCounts = {
-      'Pending': 0,
-      'Processing': 0,
-      'Shipped': 0,
-      'Delivered': 0,
-      'Cancelled': 0,
-      'Returned': 0
-    }
+    const statusCounts = Object.fromEntries(ORDER_STATUSES.map(status => [status, 0]))
     
     orders.forEach(order => {
-      const status = order.status || 'Pending'
-      if (statusCounts.hasOwnProperty(status)) {
-        statusCounts[status]++
-      } else {
-        statusCounts['Pending']++
+      if (statusCounts.hasOwnProperty(order.status)) {
+        statusCounts[order.status]++
       }
     })
     
@@ -308,7 +310,7 @@ router.get('/order-status-breakdown', async (req, res) => {
 // @route   GET /api/admin/returns-summary
 // @desc    Get returns and refunds summary for dashboard
 // @access  Admin
-router.get('/returns-summary', async (req, res) => {
+router.get('/returns-summary', requirePermission('dashboard', 'view'), async (req, res) => {
   try {
     const returns = await Return.findAll({
       attributes: ['status', 'amount']
@@ -340,7 +342,7 @@ router.get('/returns-summary', async (req, res) => {
 // @route   GET /api/admin/top-customers
 // @desc    Get top customers by total spent
 // @access  Admin
-router.get('/top-customers', async (req, res) => {
+router.get('/top-customers', requirePermission('dashboard', 'view'), async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 5
     
@@ -384,7 +386,7 @@ router.get('/top-customers', async (req, res) => {
 // @route   GET /api/admin/products
 // @desc    Get all products (admin view)
 // @access  Admin
-router.get('/products', async (req, res) => {
+router.get('/products', requirePermission('products', 'view'), async (req, res) => {
   try {
     const { search, status, page = 1, limit = 20 } = req.query
     const where = {}
@@ -431,7 +433,7 @@ router.get('/products', async (req, res) => {
 // @route   POST /api/admin/products
 // @desc    Create new product
 // @access  Admin
-router.post('/products', async (req, res) => {
+router.post('/products', requirePermission('products', 'create'), async (req, res) => {
   try {
     const productData = req.body
     console.log('Creating product with data:', productData)
@@ -467,19 +469,38 @@ router.post('/products', async (req, res) => {
       ]
     })
     
-    // Create inventory log entry for initial stock
+    // Create variants (one per size/color sent, or a single default variant) with their initial stock logs
     try {
-      await InventoryLog.create({
-        productId: product.id,
-        quantity: product.stockCount || 0,
-        type: product.stockCount > 0 ? 'in' : 'adjustment',
-        reason: product.stockCount > 0 ? 'Initial stock - Product created' : 'Product created with zero stock',
-        createdBy: req.admin?.id
-      })
-      console.log('Inventory log created for new product:', product.id, 'Stock:', product.stockCount)
-    } catch (logError) {
-      // Log error but don't fail product creation
-      console.error('Failed to create inventory log:', logError)
+      const requestedVariants = Array.isArray(productData.variants) && productData.variants.length > 0
+        ? productData.variants
+        : [{ size: null, color: null, stockCount: product.stockCount || 0 }]
+
+      for (const variantData of requestedVariants) {
+        const variant = await ProductVariant.create({
+          productId: product.id,
+          size: variantData.size || null,
+          color: variantData.color || null,
+          sku: variantData.sku || generateSku(product, variantData.size, variantData.color),
+          barcode: variantData.barcode || null,
+          price: variantData.price === '' || variantData.price === undefined ? null : variantData.price,
+          stockCount: Number(variantData.stockCount) || 0
+        })
+
+        await InventoryLog.create({
+          productId: product.id,
+          variantId: variant.id,
+          quantity: variant.stockCount,
+          type: variant.stockCount > 0 ? 'in' : 'adjustment',
+          reason: variant.stockCount > 0 ? 'Initial stock - Product created' : 'Product created with zero stock',
+          createdBy: req.admin?.id
+        })
+      }
+
+      await syncProductStock(product.id)
+      await product.reload()
+    } catch (variantError) {
+      // Log error but don't fail product creation - stock falls back to the product row
+      console.error('Failed to create product variants:', variantError)
     }
     
     console.log('Product created successfully:', {
@@ -510,7 +531,7 @@ router.post('/products', async (req, res) => {
 // @route   GET /api/admin/products/:id
 // @desc    Get single product (admin)
 // @access  Admin
-router.get('/products/:id', async (req, res) => {
+router.get('/products/:id', requirePermission('products', 'view'), async (req, res) => {
   try {
     const product = await Product.findByPk(req.params.id, {
       include: [
@@ -539,15 +560,43 @@ router.get('/products/:id', async (req, res) => {
 // @route   PUT /api/admin/products/:id
 // @desc    Update product
 // @access  Admin
-router.put('/products/:id', async (req, res) => {
+router.put('/products/:id', requirePermission('products', 'update'), async (req, res) => {
   try {
-    const product = await Product.findByPk(req.params.id)
+    const product = await Product.findByPk(req.params.id, {
+      include: [{ association: 'variants', required: false }]
+    })
 
     if (!product) {
       return res.status(404).json({ message: 'Product not found' })
     }
 
-    await product.update(req.body)
+    const { variants: _variants, ...updates } = req.body
+    const variants = product.variants || []
+
+    // Stock of variant products is managed per variant; a single default variant follows the product form
+    if (variants.length > 0 && updates.stockCount !== undefined) {
+      const newStock = Number(updates.stockCount)
+      const [variant] = variants
+      if (variants.length === 1 && variant.size === null && variant.color === null && newStock >= 0 && newStock !== variant.stockCount) {
+        await InventoryLog.create({
+          productId: product.id,
+          variantId: variant.id,
+          quantity: Math.abs(newStock - variant.stockCount),
+          type: 'adjustment',
+          reason: 'Stock updated from product form',
+          createdBy: req.admin?.id
+        })
+        variant.stockCount = newStock
+        await variant.save()
+      }
+      delete updates.stockCount
+      delete updates.inStock
+    }
+
+    await product.update(updates)
+    if (variants.length > 0) {
+      await syncProductStock(product.id)
+    }
     await product.reload({
       include: [
         {
@@ -571,7 +620,7 @@ router.put('/products/:id', async (req, res) => {
 // @route   DELETE /api/admin/products/:id
 // @desc    Delete product
 // @access  Admin
-router.delete('/products/:id', async (req, res) => {
+router.delete('/products/:id', requirePermission('products', 'delete'), async (req, res) => {
   try {
     const product = await Product.findByPk(req.params.id)
 
@@ -591,7 +640,7 @@ router.delete('/products/:id', async (req, res) => {
 // @route   PUT /api/admin/products/:id/status
 // @desc    Toggle product status
 // @access  Admin
-router.put('/products/:id/status', async (req, res) => {
+router.put('/products/:id/status', requirePermission('products', 'update'), async (req, res) => {
   try {
     const product = await Product.findByPk(req.params.id)
 
@@ -612,7 +661,7 @@ router.put('/products/:id/status', async (req, res) => {
 // @route   GET /api/admin/orders
 // @desc    Get all orders (admin view)
 // @access  Admin
-router.get('/orders', async (req, res) => {
+router.get('/orders', requirePermission('orders', 'view'), async (req, res) => {
   try {
     const { search, status, page = 1, limit = 20 } = req.query
     const where = {}
@@ -647,6 +696,10 @@ router.get('/orders', async (req, res) => {
       mobile: order.user?.mobile || order.shippingAddress?.mobile || '',
       amount: order.total,
       status: order.status,
+      nextStatuses: getAllowedTransitions(order.status),
+      paymentMethod: order.payment?.method || null,
+      paymentStatus: order.payment?.status || null,
+      refundStatus: order.payment?.refundStatus || null,
       date: order.createdAt,
       items: order.items?.length || 0,
       tracking: order.tracking
@@ -667,7 +720,7 @@ router.get('/orders', async (req, res) => {
 // @route   GET /api/admin/orders/:id
 // @desc    Get order details
 // @access  Admin
-router.get('/orders/:id', async (req, res) => {
+router.get('/orders/:id', requirePermission('orders', 'view'), async (req, res) => {
   try {
     const order = await Order.findOne({
       where: buildOrderWhereCondition(req.params.id),
@@ -688,17 +741,41 @@ router.get('/orders/:id', async (req, res) => {
 })
 
 // @route   PUT /api/admin/orders/:id/status
-// @desc    Update order status
+// @desc    Move an order to its next status (only moves the order lifecycle allows)
 // @access  Admin
-router.put('/orders/:id/status', async (req, res) => {
+router.put('/orders/:id/status', requirePermission('orders', 'update'), async (req, res) => {
   try {
-    const { status } = req.body
-    const validStatuses = ['Processing', 'Shipped', 'Delivered', 'Cancelled', 'Returned']
+    const { status, note } = req.body
+
+    const order = await Order.findOne({
+      where: buildOrderWhereCondition(req.params.id)
+    })
 
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({ message: 'Invalid status' })
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' })
+    }
+
+    await transitionOrder(order, status, {
+      actor: adminActor(req.admin),
+      note: note?.trim() || undefined
+    })
+
+    res.json(order)
+  } catch (error) {
+    if (error.name === 'OrderStatusError') {
+      return res.status(error.statusCode).json({ message: error.message })
     }
+    console.error('Update order status error:', error)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
 
+// @route   PUT /api/admin/orders/:id/confirm-cod
+// @desc    Confirm a Cash on Delivery order (e.g. after calling the customer) so it can be packed
+// @access  Admin
+router.put('/orders/:id/confirm-cod', requirePermission('orders', 'update'), async (req, res) => {
+  try {
+    const { note } = req.body
     const order = await Order.findOne({
       where: buildOrderWhereCondition(req.params.id)
     })
@@ -706,21 +783,30 @@ router.put('/orders/:id/status', async (req, res) => {
     if (!order) {
       return res.status(404).json({ message: 'Order not found' })
     }
+    if (order.payment?.method !== 'cod' || order.status !== 'Pending Confirmation') {
+      return res.status(400).json({ message: 'Only Cash on Delivery orders awaiting confirmation can be confirmed' })
+    }
 
-    order.status = status
-    const statusHistory = order.statusHistory || []
-    statusHistory.push({
-      status,
-      date: new Date(),
-      note: `Status updated to ${status}`
+    await sequelize.transaction(async (transaction) => {
+      await transitionOrder(order, 'Confirmed', {
+        actor: adminActor(req.admin),
+        note: note ? `Cash on Delivery order confirmed: ${note}` : 'Cash on Delivery order confirmed',
+        transaction
+      })
+      order.payment = {
+        ...order.payment,
+        confirmedAt: new Date().toISOString(),
+        confirmedBy: req.admin?.id || null
+      }
+      await order.save({ transaction })
     })
-    order.statusHistory = statusHistory
-
-    await order.save()
 
     res.json(order)
   } catch (error) {
-    console.error('Update order status error:', error)
+    if (error.name === 'OrderStatusError') {
+      return res.status(error.statusCode).json({ message: error.message })
+    }
+    console.error('Confirm COD order error:', error)
     res.status(500).json({ message: 'Server error' })
   }
 })
@@ -728,7 +814,7 @@ router.put('/orders/:id/status', async (req, res) => {
 // @route   GET /api/admin/orders/:id/invoice
 // @desc    Download invoice PDF (admin)
 // @access  Admin
-router.get('/orders/:id/invoice', async (req, res) => {
+router.get('/orders/:id/invoice', requirePermission('orders', 'view'), async (req, res) => {
   try {
     const order = await Order.findOne({
       where: buildOrderWhereCondition(req.params.id),
@@ -778,7 +864,7 @@ router.get('/orders/:id/invoice', async (req, res) => {
 // @route   POST /api/admin/orders/:id/send-invoice
 // @desc    Send invoice to customer via email (PDF attachment) - Admin
 // @access  Admin
-router.post('/orders/:id/send-invoice', async (req, res) => {
+router.post('/orders/:id/send-invoice', requirePermission('orders', 'update'), async (req, res) => {
   try {
     const order = await Order.findOne({
       where: buildOrderWhereCondition(req.params.id),
@@ -811,25 +897,11 @@ router.post('/orders/:id/send-invoice', async (req, res) => {
       message: ''
     }
 
-    const emailResult = await sendEmailWithPDF({
-      to: hasEmail,
-      subject: `Invoice for Order ${order.orderId} - Arudhra Fashions`,
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h2 style="color: #333;">Invoice for Order ${order.orderId}</h2>
-          <p>Dear ${user.name || 'Customer'},</p>
-          <p>Please find attached your invoice for order <strong>${order.orderId}</strong>.</p>
-          <p><strong>Order Total:</strong> ₹${parseFloat(order.total || 0).toFixed(2)}</p>
-          <p>Thank you for shopping with Arudhra Fashions!</p>
-        </div>
-      `,
-      pdfPath: invoicePath,
-      pdfName: `invoice-${order.orderId}.pdf`
-    })
+    const emailResult = await sendInvoiceEmail(order, user, invoicePath)
 
     results.emailSent = emailResult.success
     if (emailResult.success) {
-      results.message = 'Invoice sent via email'
+      results.message = 'Invoice queued for email delivery'
     } else {
       results.message = emailResult.message || 'Failed to send email'
     }
@@ -846,13 +918,17 @@ router.post('/orders/:id/send-invoice', async (req, res) => {
 })
 
 // @route   GET /api/admin/customers
-// @desc    Get all customers
+// @desc    Get all customers (locked=true lists only accounts locked after failed sign-ins)
 // @access  Admin
-router.get('/customers', async (req, res) => {
+router.get('/customers', requirePermission('customers', 'view'), async (req, res) => {
   try {
-    const { search, page = 1, limit = 20 } = req.query
+    const { search, locked, page = 1, limit = 20 } = req.query
     const where = {}
 
+    if (locked === 'true') {
+      where.lockedUntil = { [Op.gt]: new Date() }
+    }
+
     if (search) {
       where[Op.or] = [
         { name: { [Op.iLike]: `%${search}%` } },
@@ -883,15 +959,21 @@ router.get('/customers', async (req, res) => {
         orders: orders.length,
         totalSpent,
         joined: user.createdAt,
-        status: user.status || 'active'
+        status: user.status || 'active',
+        locked: isAccountLocked(user),
+        lockedUntil: isAccountLocked(user) ? user.lockedUntil : null,
+        failedLoginAttempts: user.failedLoginAttempts || 0
       }
     }))
 
+    const lockedCount = await User.count({ where: { lockedUntil: { [Op.gt]: new Date() } } })
+
     res.json({
       customers,
       page: Number(page),
       pages: Math.ceil(count / limit),
-      total: count
+      total: count,
+      lockedCount
     })
   } catch (error) {
     console.error('Get admin customers error:', error)
@@ -902,7 +984,7 @@ router.get('/customers', async (req, res) => {
 // @route   GET /api/admin/customers/:id
 // @desc    Get customer details
 // @access  Admin
-router.get('/customers/:id', async (req, res) => {
+router.get('/customers/:id', requirePermission('customers', 'view'), async (req, res) => {
   try {
     const user = await User.findByPk(req.params.id, {
       attributes: { exclude: ['password'] },
@@ -921,7 +1003,8 @@ router.get('/customers/:id', async (req, res) => {
     res.json({
       ...user.toJSON(),
       ordersCount: orders.length,
-      totalSpent
+      totalSpent,
+      locked: isAccountLocked(user)
     })
   } catch (error) {
     console.error('Get customer details error:', error)
@@ -932,7 +1015,7 @@ router.get('/customers/:id', async (req, res) => {
 // @route   PUT /api/admin/customers/:id/status
 // @desc    Toggle customer status
 // @access  Admin
-router.put('/customers/:id/status', async (req, res) => {
+router.put('/customers/:id/status', requirePermission('customers', 'update'), async (req, res) => {
   try {
     const user = await User.findByPk(req.params.id)
 
@@ -953,4 +1036,155 @@ router.put('/customers/:id/status', async (req, res) => {
   }
 })
 
+// @route   PUT /api/admin/customers/:id/unlock
+// @desc    Lift a lock from failed sign-ins and reset the failed attempt count
+// @access  Admin
+router.put('/customers/:id/unlock', requirePermission('customers', 'update'), async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.id)
+
+    if (!user) {
+      return res.status(404).json({ message: 'Customer not found' })
+    }
+
+    await clearFailedLogins(user)
+
+    res.json({ message: 'Customer account unlocked', id: user.id, locked: false })
+  } catch (error) {
+    console.error('Unlock customer error:', error)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// @route   GET /api/admin/customers/:id/coins
+// @desc    Get a customer's coin balance, coins about to expire and coin history
+// @access  Admin
+router.get('/customers/:id/coins', requirePermission('coins', 'view'), async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.id, {
+      attributes: ['id', 'name', 'email', 'mobile', 'coins']
+    })
+    if (!user) {
+      return res.status(404).json({ message: 'Customer not found' })
+    }
+
+    const transactions = await CoinTransaction.findAll({
+      where: { userId: user.id },
+      order: [['createdAt', 'DESC']],
+      limit: 50
+    })
+
+    res.json({
+      customer: user,
+      balance: user.coins || 0,
+      expiring: await getExpiringCoins(user.id),
+      transactions
+    })
+  } catch (error) {
+    console.error('Get customer coins error:', error)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// @route   POST /api/admin/customers/:id/coins
+// @desc    Credit (positive amount) or debit (negative amount) a customer's coins with a reason
+// @access  Admin
+router.post('/customers/:id/coins', requirePermission('coins', 'adjust'), async (req, res) => {
+  try {
+    const { amount, reason, expiresInDays } = req.body
+    const transaction = await adjustCoins({
+      userId: req.params.id,
+      amount,
+      reason,
+      expiresInDays,
+      adminId: req.admin?.id
+    })
+
+    res.status(201).json(transaction)
+  } catch (error) {
+    if (error.name === 'CoinError') {
+      return res.status(error.statusCode).json({ message: error.message })
+    }
+    console.error('Adjust customer coins error:', error)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// @route   GET /api/admin/coins/transactions
+// @desc    Get the coin ledger across customers
+// @access  Admin
+router.get('/coins/transactions', requirePermission('coins', 'view'), async (req, res) => {
+  try {
+    const { type, search, page = 1, limit = 20 } = req.query
+    const where = {}
+    const userWhere = {}
+
+    if (type) where.type = type
+    if (search) {
+      userWhere[Op.or] = [
+        { name: { [Op.iLike]: `%${search}%` } },
+        { email: { [Op.iLike]: `%${search}%` } },
+        { mobile: { [Op.iLike]: `%${search}%` } }
+      ]
+    }
+
+    const offset = (page - 1) * limit
+    const { count, rows } = await CoinTransaction.findAndCountAll({
+      where,
+      include: [{
+        model: User,
+        as: 'user',
+        attributes: ['id', 'name', 'email', 'mobile'],
+        where: userWhere
+      }],
+      order: [['createdAt', 'DESC']],
+      limit: Number(limit),
+      offset: Number(offset)
+    })
+
+    res.json({
+      transactions: rows,
+      total: count,
+      page: Number(page),
+      pages: Math.ceil(count / limit)
+    })
+  } catch (error) {
+    console.error('Get coin transactions error:', error)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// @route   GET /api/admin/coins/summary
+// @desc    Get coins outstanding, coins expiring in the next 30 days and totals by transaction type
+// @access  Admin
+router.get('/coins/summary', requirePermission('coins', 'view'), async (req, res) => {
+  try {
+    const outstanding = await User.sum('coins') || 0
+    const expiringSoon = await CoinTransaction.sum('remaining', {
+      where: {
+        remaining: { [Op.gt]: 0 },
+        expiresAt: {
+          [Op.gt]: new Date(),
+          [Op.lte]: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000)
+        }
+      }
+    }) || 0
+
+    const rows = await CoinTransaction.findAll({
+      attributes: ['type', [sequelize.fn('SUM', sequelize.col('amount')), 'total']],
+      group: ['type'],
+      raw: true
+    })
+    const byType = {}
+    rows.forEach(row => {
+      byType[row.type] = parseInt(row.total, 10)
+    })
+
+    res.json({ outstanding, expiringSoon, byType })
+  } catch (error) {
+    console.error('Get coin summary error:', error)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
 export default router
@@ -0,0 +1,234 @@
+import express from 'express'
+import crypto from 'crypto'
+import { Op } from 'sequelize'
+import Admin from '../models/Admin.js'
+import { adminProtect, requirePermission } from '../middleware/adminAuth.js'
+import { ADMIN_ROLES } from '../config/permissions.js'
+import { sendAdminInviteEmail } from '../services/emailService.js'
+import { getTwoFactorPolicy, setTwoFactorPolicy, disableTwoFactor } from '../services/twoFactorService.js'
+
+const router = express.Router()
+
+const INVITE_EXPIRY_MS = 7 * 24 * 60 * 60 * 1000 // 7 days
+
+// Invited admins stay inactive until they accept; the emailed token is only stored hashed
+const issueInvite = async (admin, invitedBy) => {
+  const inviteToken = crypto.randomBytes(32).toString('hex')
+  admin.inviteToken = crypto.createHash('sha256').update(inviteToken).digest('hex')
+  admin.inviteExpires = new Date(Date.now() + INVITE_EXPIRY_MS)
+  admin.isActive = false
+  await admin.save()
+
+  await sendAdminInviteEmail(admin.email, inviteToken, {
+    adminName: admin.name,
+    role: admin.role,
+    invitedBy
+  })
+}
+
+// Whether changing this admin would leave the store without an active Super Admin
+const isLastSuperAdmin = async (admin) => {
+  if (admin.role !== 'Super Admin' || !admin.isActive) return false
+  const others = await Admin.count({
+    where: { role: 'Super Admin', isActive: true, id: { [Op.ne]: admin.id } }
+  })
+  return others === 0
+}
+
+// @route   GET /api/admin/users
+// @desc    Get all admin accounts
+// @access  Super Admin
+router.get('/', adminProtect, requirePermission('admins', 'view'), async (req, res) => {
+  try {
+    const admins = await Admin.findAll({ order: [['createdAt', 'ASC']] })
+    res.json({ admins: admins.map(admin => admin.toJSON()), roles: ADMIN_ROLES })
+  } catch (error) {
+    console.error('Get admin users error:', error)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// @route   GET /api/admin/users/two-factor-policy
+// @desc    Get the roles that must use two-factor authentication
+// @access  Super Admin
+router.get('/two-factor-policy', adminProtect, requirePermission('admins', 'view'), async (req, res) => {
+  try {
+    res.json(await getTwoFactorPolicy())
+  } catch (error) {
+    console.error('Get two-factor policy error:', error)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// @route   PUT /api/admin/users/two-factor-policy
+// @desc    Choose the roles that must use two-factor authentication. Admins in those roles
+//          without it are sent to set it up before they can use the panel
+// @access  Super Admin
+router.put('/two-factor-policy', adminProtect, requirePermission('admins', 'manage'), async (req, res) => {
+  try {
+    res.json(await setTwoFactorPolicy(req.body.requiredRoles))
+  } catch (error) {
+    if (error.name === 'TwoFactorError') {
+      return res.status(error.statusCode).json({ message: error.message })
+    }
+    console.error('Update two-factor policy error:', error)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// @route   POST /api/admin/users/invite
+// @desc    Invite a new admin by email
+// @access  Super Admin
+router.post('/invite', adminProtect, requirePermission('admins', 'manage'), async (req, res) => {
+  try {
+    const { name, role } = req.body
+    const email = req.body.email?.trim().toLowerCase()
+
+    if (!email || !name?.trim()) {
+      return res.status(400).json({ message: 'Name and email are required' })
+    }
+    if (!ADMIN_ROLES.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of: ${ADMIN_ROLES.join(', ')}` })
+    }
+
+    const existing = await Admin.findOne({ where: { email } })
+    if (existing) {
+      return res.status(400).json({ message: 'An admin with this email already exists' })
+    }
+
+    // Placeholder password nobody knows; the invitee sets their own when accepting
+    const admin = Admin.build({
+      email,
+      name: name.trim(),
+      role,
+      password: crypto.randomBytes(24).toString('hex')
+    })
+    await issueInvite(admin, req.admin.name)
+
+    res.status(201).json(admin.toJSON())
+  } catch (error) {
+    console.error('Invite admin error:', error)
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ message: error.errors.map(e => e.message).join(', ') })
+    }
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// @route   POST /api/admin/users/:id/resend-invite
+// @desc    Send a fresh invite link to an admin who has not accepted yet
+// @access  Super Admin
+router.post('/:id/resend-invite', adminProtect, requirePermission('admins', 'manage'), async (req, res) => {
+  try {
+    const admin = await Admin.findByPk(req.params.id)
+    if (!admin) {
+      return res.status(404).json({ message: 'Admin not found' })
+    }
+    if (!admin.inviteExpires) {
+      return res.status(400).json({ message: 'This admin has already accepted their invite' })
+    }
+
+    await issueInvite(admin, req.admin.name)
+    res.json(admin.toJSON())
+  } catch (error) {
+    console.error('Resend admin invite error:', error)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// @route   PUT /api/admin/users/:id/role
+// @desc    Change an admin's role
+// @access  Super Admin
+router.put('/:id/role', adminProtect, requirePermission('admins', 'manage'), async (req, res) => {
+  try {
+    const { role } = req.body
+    if (!ADMIN_ROLES.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of: ${ADMIN_ROLES.join(', ')}` })
+    }
+    if (req.params.id === req.admin.id) {
+      return res.status(400).json({ message: 'You cannot change your own role' })
+    }
+
+    const admin = await Admin.findByPk(req.params.id)
+    if (!admin) {
+      return res.status(404).json({ message: 'Admin not found' })
+    }
+    if (role !== 'Super Admin' && await isLastSuperAdmin(admin)) {
+      return res.status(400).json({ message: 'The store needs at least one active Super Admin' })
+    }
+
+    admin.role = role
+    await admin.save()
+    res.json(admin.toJSON())
+  } catch (error) {
+    console.error('Update admin role error:', error)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// @route   POST /api/admin/users/:id/reset-two-factor
+// @desc    Turn off two-factor for an admin who lost their authenticator and recovery codes;
+//          if their role requires it they set it up again at their next sign-in
+// @access  Super Admin
+router.post('/:id/reset-two-factor', adminProtect, requirePermission('admins', 'manage'), async (req, res) => {
+  try {
+    if (req.params.id === req.admin.id) {
+      return res.status(400).json({ message: 'You cannot reset your own two-factor authentication' })
+    }
+
+    const admin = await Admin.findByPk(req.params.id)
+    if (!admin) {
+      return res.status(404).json({ message: 'Admin not found' })
+    }
+    if (!admin.twoFactorEnabled && !admin.twoFactorSecret) {
+      return res.status(400).json({ message: 'This admin does not use two-factor authentication' })
+    }
+
+    await disableTwoFactor(admin)
+    res.json(admin.toJSON())
+  } catch (error) {
+    console.error('Reset admin two-factor error:', error)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// @route   PUT /api/admin/users/:id/status
+// @desc    Activate or deactivate an admin
+// @access  Super Admin
+router.put('/:id/status', adminProtect, requirePermission('admins', 'manage'), async (req, res) => {
+  try {
+    const { isActive } = req.body
+    if (typeof isActive !== 'boolean') {
+      return res.status(400).json({ message: 'isActive must be true or false' })
+    }
+    if (req.params.id === req.admin.id) {
+      return res.status(400).json({ message: 'You cannot change your own status' })
+    }
+
+    const admin = await Admin.findByPk(req.params.id)
+    if (!admin) {
+      return res.status(404).json({ message: 'Admin not found' })
+    }
+
+    if (isActive) {
+      if (admin.inviteExpires) {
+        return res.status(400).json({ message: 'This admin has not accepted their invite yet. Resend the invite instead.' })
+      }
+    } else {
+      if (await isLastSuperAdmin(admin)) {
+        return res.status(400).json({ message: 'The store needs at least one active Super Admin' })
+      }
+      // A pending invite link stops working too; resending the invite issues a new one
+      admin.inviteToken = null
+    }
+
+    admin.isActive = isActive
+    await admin.save()
+    res.json(admin.toJSON())
+  } catch (error) {
+    console.error('Update admin status error:', error)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+export default router
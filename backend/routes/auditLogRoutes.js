@@ -0,0 +1,86 @@
+import express from 'express'
+import { fn, col } from 'sequelize'
+import AuditLog from '../models/AuditLog.js'
+import Admin from '../models/Admin.js'
+import { adminProtect, requirePermission } from '../middleware/adminAuth.js'
+import { buildAuditWhere, streamAuditCsv } from '../services/auditService.js'
+
+const router = express.Router()
+
+// @route   GET /api/admin/audit-logs
+// @desc    Get audit log entries, newest first (filter by admin, action, operation, entity, date range)
+// @access  Super Admin
+router.get('/', adminProtect, requirePermission('audit', 'view'), async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query
+    const offset = (page - 1) * limit
+
+    const { count, rows } = await AuditLog.findAndCountAll({
+      where: buildAuditWhere(req.query),
+      include: [{ model: Admin, as: 'admin', attributes: ['id', 'name', 'email', 'role'] }],
+      order: [['createdAt', 'DESC'], ['id', 'ASC']],
+      limit: Number(limit),
+      offset: Number(offset)
+    })
+
+    res.json({
+      logs: rows,
+      total: count,
+      page: Number(page),
+      pages: Math.ceil(count / limit)
+    })
+  } catch (error) {
+    console.error('Get audit logs error:', error)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// @route   GET /api/admin/audit-logs/filters
+// @desc    Admins, actions and entity types that appear in the audit log (for the filter menus)
+// @access  Super Admin
+router.get('/filters', adminProtect, requirePermission('audit', 'view'), async (req, res) => {
+  try {
+    const distinct = async (field) => {
+      const rows = await AuditLog.findAll({
+        attributes: [[fn('DISTINCT', col(field)), field]],
+        order: [[col(field), 'ASC']],
+        raw: true
+      })
+      return rows.map(row => row[field])
+    }
+
+    const [admins, actions, entityTypes] = await Promise.all([
+      Admin.findAll({ attributes: ['id', 'name', 'email'], order: [['name', 'ASC']] }),
+      distinct('action'),
+      distinct('entityType')
+    ])
+
+    res.json({ admins, actions, entityTypes })
+  } catch (error) {
+    console.error('Get audit log filters error:', error)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// @route   GET /api/admin/audit-logs/export
+// @desc    Download the audit log entries matching the filters as CSV
+// @access  Super Admin
+router.get('/export', adminProtect, requirePermission('audit', 'view'), async (req, res) => {
+  try {
+    const where = buildAuditWhere(req.query)
+    const date = new Date().toISOString().split('T')[0]
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8')
+    res.setHeader('Content-Disposition', `attachment; filename="audit-log-${date}.csv"`)
+    await streamAuditCsv(where, res)
+    res.end()
+  } catch (error) {
+    console.error('Export audit logs error:', error)
+    if (!res.headersSent) {
+      return res.status(500).json({ message: 'Server error' })
+    }
+    res.end()
+  }
+})
+
+export default router
@@ -3,18 +3,63 @@ import { Op } from 'sequelize'
 import crypto from 'crypto'
 import User from '../models/User.js'
 import Product from '../models/Product.js'
-import { generateToken } from '../utils/generateToken.js'
 import { protect } from '../middleware/auth.js'
+import { rateLimit, accountFromBody } from '../middleware/rateLimit.js'
 import { sendPasswordResetEmail } from '../services/emailService.js'
+import { requestOtp, verifyOtp, isValidMobile } from '../services/otpService.js'
+import {
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeUserSessions,
+  listActiveSessions
+} from '../services/sessionService.js'
+import {
+  isAccountLocked,
+  lockoutMessage,
+  recordFailedLogin,
+  clearFailedLogins
+} from '../services/loginLockoutService.js'
+import { readGuestToken, claimGuestCheckout } from '../services/guestCheckoutService.js'
 
 const router = express.Router()
 
+// Bring the guest cart and guest orders into the account; signing in does not fail if this does
+const claimGuestCheckoutFor = async (user, req) => {
+  try {
+    const { claimedOrders } = await claimGuestCheckout(user, readGuestToken(req))
+    return claimedOrders
+  } catch (error) {
+    console.error('Claim guest checkout error:', error)
+    return 0
+  }
+}
+
+// What a successful sign-in or signup returns: the customer with a new session's tokens
+// (and how many guest orders were moved to the account)
+const authResponse = async (user, req) => {
+  const { accessToken, refreshToken } = await createSession(user, req)
+  const claimedOrders = await claimGuestCheckoutFor(user, req)
+  return {
+    _id: user.id,
+    id: user.id,
+    mobile: user.mobile,
+    mobileVerified: user.mobileVerified,
+    name: user.name,
+    email: user.email,
+    token: accessToken,
+    refreshToken,
+    claimedOrders
+  }
+}
+
 // @route   POST /api/auth/register
-// @desc    Register a new user
+// @desc    Register a new user; otp is the code sent by POST /api/auth/otp/request with purpose 'signup'.
+//          Guest orders placed from this browser (X-Guest-Token) or with this mobile move to the account
 // @access  Public
 router.post('/register', async (req, res) => {
   try {
-    const { mobile, password, name, email } = req.body
+    const { mobile, password, name, email, otp } = req.body
     const trimmedMobile = mobile?.trim() || ''
     const trimmedEmail = email?.trim() || ''
 
@@ -48,28 +93,29 @@ router.post('/register', async (req, res) => {
       return res.status(400).json({ message: 'Email address already registered' })
     }
 
+    if (!otp) {
+      return res.status(400).json({ message: 'Please verify your mobile number with the code we send to it' })
+    }
+    await verifyOtp(trimmedMobile, 'signup', otp)
+
     const user = await User.create({
       mobile: trimmedMobile,
+      mobileVerified: true,
       password,
       name,
       email: trimmedEmail
     })
 
     if (user) {
-      const token = generateToken(user.id)
-      res.status(201).json({
-        _id: user.id,
-        id: user.id,
-        mobile: user.mobile,
-        name: user.name,
-        email: user.email,
-        token
-      })
+      res.status(201).json(await authResponse(user, req))
     } else {
       res.status(400).json({ message: 'Invalid user data' })
     }
   } catch (error) {
     console.error('Register error:', error)
+    if (error.name === 'OtpError') {
+      return res.status(error.statusCode).json({ message: error.message })
+    }
     if (error.name === 'SequelizeUniqueConstraintError') {
       return res.status(400).json({ message: 'Mobile number or email already registered' })
     }
@@ -80,7 +126,7 @@ router.post('/register', async (req, res) => {
 // @route   POST /api/auth/login
 // @desc    Login user
 // @access  Public
-router.post('/login', async (req, res) => {
+router.post('/login', rateLimit('login', { accountKey: accountFromBody }), async (req, res) => {
   try {
     const { mobile, email, password } = req.body
 
@@ -100,17 +146,20 @@ router.post('/login', async (req, res) => {
       user = await User.findOne({ where: { email } })
     }
 
+    if (user && isAccountLocked(user)) {
+      return res.status(423).json({ message: lockoutMessage(user.lockedUntil), lockedUntil: user.lockedUntil })
+    }
+
     if (user && (await user.matchPassword(password))) {
-      const token = generateToken(user.id)
-      res.json({
-        _id: user.id,
-        id: user.id,
-        mobile: user.mobile,
-        name: user.name,
-        email: user.email,
-        token
-      })
+      await clearFailedLogins(user)
+      res.json(await authResponse(user, req))
     } else {
+      if (user) {
+        const { lockedUntil } = await recordFailedLogin(user)
+        if (lockedUntil) {
+          return res.status(423).json({ message: lockoutMessage(lockedUntil), lockedUntil })
+        }
+      }
       res.status(401).json({ message: 'Invalid credentials' })
     }
   } catch (error) {
@@ -119,10 +168,173 @@ router.post('/login', async (req, res) => {
   }
 })
 
+// @route   POST /api/auth/otp/request
+// @desc    Send a one-time code to a mobile number, to sign in (purpose 'login') or to verify
+//          the number before registering (purpose 'signup')
+// @access  Public
+router.post('/otp/request', rateLimit('otpRequest', { accountKey: accountFromBody }), async (req, res) => {
+  try {
+    const { purpose = 'login' } = req.body
+    const mobile = req.body.mobile?.trim() || ''
+
+    if (!isValidMobile(mobile)) {
+      return res.status(400).json({ message: 'Please enter a valid 10-digit mobile number' })
+    }
+
+    // Order lookup codes are sent by POST /api/orders/lookup/otp
+    if (purpose !== 'login' && purpose !== 'signup') {
+      return res.status(400).json({ message: 'Invalid verification purpose' })
+    }
+
+    const user = await User.findOne({ where: { mobile } })
+    if (purpose === 'login' && !user) {
+      return res.status(404).json({ message: 'No account found with this mobile number. Please register first.' })
+    }
+    if (purpose === 'signup' && user) {
+      return res.status(400).json({ message: 'Mobile number already registered' })
+    }
+
+    const { expiresAt, resendAfter } = await requestOtp(mobile, purpose)
+    res.json({
+      message: `We have sent a verification code to ${mobile}`,
+      expiresAt,
+      resendAfter
+    })
+  } catch (error) {
+    console.error('Request OTP error:', error)
+    if (error.name === 'OtpError') {
+      return res.status(error.statusCode).json({ message: error.message })
+    }
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// @route   POST /api/auth/otp/verify
+// @desc    Sign in with a one-time code sent to the customer's mobile
+// @access  Public
+router.post('/otp/verify', rateLimit('otpVerify', { accountKey: accountFromBody }), async (req, res) => {
+  try {
+    const { otp } = req.body
+    const mobile = req.body.mobile?.trim() || ''
+
+    if (!isValidMobile(mobile) || !otp) {
+      return res.status(400).json({ message: 'Please provide your mobile number and the code we sent to it' })
+    }
+
+    await verifyOtp(mobile, 'login', otp)
+
+    const user = await User.findOne({ where: { mobile } })
+    if (!user) {
+      return res.status(404).json({ message: 'No account found with this mobile number. Please register first.' })
+    }
+    if (!user.mobileVerified) {
+      user.mobileVerified = true
+      await user.save()
+    }
+    // The code proves the customer owns the account, so a password lockout is lifted
+    await clearFailedLogins(user)
+
+    res.json(await authResponse(user, req))
+  } catch (error) {
+    console.error('Verify OTP error:', error)
+    if (error.name === 'OtpError') {
+      return res.status(error.statusCode).json({ message: error.message })
+    }
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token and refresh token
+// @access  Public
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body
+
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Refresh token is required' })
+    }
+
+    const { accessToken, refreshToken: nextRefreshToken } = await refreshSession(refreshToken, req)
+    res.json({ token: accessToken, refreshToken: nextRefreshToken })
+  } catch (error) {
+    if (error.name === 'SessionError') {
+      return res.status(error.statusCode).json({ message: error.message })
+    }
+    console.error('Refresh token error:', error)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// @route   POST /api/auth/logout
+// @desc    Sign this device out
+// @access  Private
+router.post('/logout', protect, async (req, res) => {
+  try {
+    await revokeSession(req.sessionId, req.user.id, 'logout')
+    res.json({ message: 'Logged out' })
+  } catch (error) {
+    console.error('Logout error:', error)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// @route   GET /api/auth/sessions
+// @desc    List the devices the customer is signed in on
+// @access  Private
+router.get('/sessions', protect, async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user.id)
+    res.json(sessions.map(session => ({
+      id: session.id,
+      userAgent: session.userAgent,
+      ipAddress: session.ipAddress,
+      lastUsedAt: session.lastUsedAt,
+      createdAt: session.createdAt,
+      current: session.id === req.sessionId
+    })))
+  } catch (error) {
+    console.error('Get sessions error:', error)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// @route   DELETE /api/auth/sessions
+// @desc    Sign out every other device
+// @access  Private
+router.delete('/sessions', protect, async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user.id, {
+      exceptSessionId: req.sessionId,
+      reason: 'remote_logout'
+    })
+    res.json({ message: revoked > 0 ? `Signed out of ${revoked} other device${revoked === 1 ? '' : 's'}` : 'No other devices are signed in', revoked })
+  } catch (error) {
+    console.error('Revoke sessions error:', error)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Sign out one of the customer's devices
+// @access  Private
+router.delete('/sessions/:id', protect, async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.params.id, req.user.id, 'remote_logout')
+    if (!revoked) {
+      return res.status(404).json({ message: 'Session not found' })
+    }
+    res.json({ message: 'Device signed out', current: req.params.id === req.sessionId })
+  } catch (error) {
+    console.error('Revoke session error:', error)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
 // @route   POST /api/auth/forgot-password
 // @desc    Send password reset instructions
 // @access  Public
-router.post('/forgot-password', async (req, res) => {
+router.post('/forgot-password', rateLimit('forgotPassword', { accountKey: accountFromBody }), async (req, res) => {
   try {
     const { email } = req.body
     const trimmedEmail = email?.trim() || ''
@@ -207,8 +419,13 @@ router.post('/reset-password', async (req, res) => {
     user.password = newPassword
     user.passwordResetToken = null
     user.passwordResetExpires = null
+    user.failedLoginAttempts = 0
+    user.lockedUntil = null
     await user.save()
 
+    // Whoever had the old password may be signed in somewhere
+    await revokeUserSessions(user.id, { reason: 'password_reset' })
+
     res.json({ message: 'Password reset successful' })
   } catch (error) {
     console.error('Reset password error:', error)
@@ -301,11 +518,12 @@ router.put('/change-password', protect, async (req, res) => {
       return res.status(401).json({ message: 'Current password is incorrect' })
     }
 
-    // Update password
+    // Update password and sign out every other device
     user.password = newPassword
     await user.save()
+    await revokeUserSessions(user.id, { exceptSessionId: req.sessionId, reason: 'password_changed' })
 
-    res.json({ message: 'Password changed successfully' })
+    res.json({ message: 'Password changed successfully. Other devices have been signed out.' })
   } catch (error) {
     console.error('Change password error:', error)
     res.status(500).json({ message: 'Server error' })
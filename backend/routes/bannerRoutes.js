@@ -1,7 +1,7 @@
 import express from 'express'
 import { Op } from 'sequelize'
 import Banner from '../models/Banner.js'
-import { adminProtect } from '../middleware/adminAuth.js'
+import { adminProtect, requirePermission } from '../middleware/adminAuth.js'
 
 const router = express.Router()
 
@@ -42,7 +42,7 @@ router.get('/', async (req, res) => {
 // @route   GET /api/admin/banners
 // @desc    Get all banners (admin)
 // @access  Admin
-router.get('/all', adminProtect, async (req, res) => {
+router.get('/all', adminProtect, requirePermission('banners', 'view'), async (req, res) => {
   try {
     const banners = await Banner.findAll({
       order: [['position', 'ASC'], ['createdAt', 'DESC']]
@@ -58,7 +58,7 @@ router.get('/all', adminProtect, async (req, res) => {
 // @route   POST /api/admin/banners
 // @desc    Create banner
 // @access  Admin
-router.post('/create', adminProtect, async (req, res) => {
+router.post('/create', adminProtect, requirePermission('banners', 'create'), async (req, res) => {
   try {
     const banner = await Banner.create(req.body)
     res.status(201).json(banner)
@@ -71,7 +71,7 @@ router.post('/create', adminProtect, async (req, res) => {
 // @route   PUT /api/admin/banners/:id
 // @desc    Update banner
 // @access  Admin
-router.put('/update/:id', adminProtect, async (req, res) => {
+router.put('/update/:id', adminProtect, requirePermission('banners', 'update'), async (req, res) => {
   try {
     const banner = await Banner.findByPk(req.params.id)
     if (!banner) {
@@ -91,7 +91,7 @@ router.put('/update/:id', adminProtect, async (req, res) => {
 // @route   DELETE /api/admin/banners/:id
 // @desc    Delete banner
 // @access  Admin
-router.delete('/delete/:id', adminProtect, async (req, res) => {
+router.delete('/delete/:id', adminProtect, requirePermission('banners', 'delete'), async (req, res) => {
   try {
     const banner = await Banner.findByPk(req.params.id)
     if (!banner) {
@@ -109,7 +109,7 @@ router.delete('/delete/:id', adminProtect, async (req, res) => {
 // @route   PUT /api/admin/banners/:id/position
 // @desc    Update banner position
 // @access  Admin
-router.put('/position/:id', adminProtect, async (req, res) => {
+router.put('/position/:id', adminProtect, requirePermission('banners', 'update'), async (req, res) => {
   try {
     const { position } = req.body
     const banner = await Banner.findByPk(req.params.id)
@@ -130,7 +130,7 @@ router.put('/position/:id', adminProtect, async (req, res) => {
 // @route   PUT /api/admin/banners/:id/visibility
 // @desc    Toggle banner visibility
 // @access  Admin
-router.put('/visibility/:id', adminProtect, async (req, res) => {
+router.put('/visibility/:id', adminProtect, requirePermission('banners', 'update'), async (req, res) => {
   try {
     const banner = await Banner.findByPk(req.params.id)
     if (!banner) {
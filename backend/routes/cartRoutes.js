@@ -1,18 +1,32 @@
 import express from 'express'
 import Cart from '../models/Cart.js'
 import Product from '../models/Product.js'
-import { protect } from '../middleware/auth.js'
+import ProductVariant from '../models/ProductVariant.js'
+import { protectOrGuest } from '../middleware/auth.js'
+import { resolveVariant } from '../services/inventoryService.js'
+import { createGuestToken, hashGuestToken } from '../services/guestCheckoutService.js'
 
 const router = express.Router()
 
+// Carts belong to the signed-in customer or to the guest token (see services/guestCheckoutService.js)
+const cartOwner = (req) => (req.user
+  ? { userId: req.user.id }
+  : { guestTokenHash: hashGuestToken(req.guestToken) })
+
+// A guest without a token has no cart yet
+const findCart = (req) => (req.user || req.guestToken ? Cart.findOne({ where: cartOwner(req) }) : null)
+
 // @route   GET /api/cart
-// @desc    Get user cart
-// @access  Private
-router.get('/', protect, async (req, res) => {
+// @desc    Get the customer's or guest's cart
+// @access  Private or guest (X-Guest-Token)
+router.get('/', protectOrGuest, async (req, res) => {
   try {
-    let cart = await Cart.findOne({ where: { userId: req.user.id } })
+    let cart = await findCart(req)
 
     if (!cart) {
+      if (!req.user) {
+        return res.json({ items: [] })
+      }
       cart = await Cart.create({ userId: req.user.id, items: [] })
     }
 
@@ -32,9 +46,9 @@ router.get('/', protect, async (req, res) => {
 })
 
 // @route   POST /api/cart
-// @desc    Add item to cart
-// @access  Private
-router.post('/', protect, async (req, res) => {
+// @desc    Add item to cart; a guest's first item starts their cart and returns a guestToken
+// @access  Private or guest (X-Guest-Token)
+router.post('/', protectOrGuest, async (req, res) => {
   try {
     const { productId, quantity = 1, size, color } = req.body
     const normalizeOption = (value) => value === undefined || value === null || value === '' ? null : value
@@ -50,10 +64,23 @@ router.post('/', protect, async (req, res) => {
       return res.status(404).json({ message: 'Product not found' })
     }
 
-    let cart = await Cart.findOne({ where: { userId: req.user.id } })
+    // Products with variants are stocked per size/color; others still use Product.stockCount
+    const variants = await ProductVariant.findAll({ where: { productId } })
+    const variant = variants.length > 0 ? resolveVariant(variants, normalizedSize, normalizedColor) : null
+    if (variants.length > 0 && !variant) {
+      return res.status(400).json({ message: 'Selected size/color is not available' })
+    }
+
+    let issuedGuestToken = null
+    if (!req.user && !req.guestToken) {
+      issuedGuestToken = createGuestToken()
+      req.guestToken = issuedGuestToken
+    }
+
+    let cart = await findCart(req)
 
     if (!cart) {
-      cart = await Cart.create({ userId: req.user.id, items: [] })
+      cart = await Cart.create({ ...cartOwner(req), items: [] })
     }
 
     // Get current items array - ensure it's an array
@@ -74,6 +101,15 @@ router.post('/', protect, async (req, res) => {
       )
     })
 
+    const available = (variant || product).stockCount || 0
+    const alreadyInCart = existingItemIndex >= 0 ? items[existingItemIndex].quantity : 0
+    if (alreadyInCart + quantity > available) {
+      return res.status(400).json({
+        message: available > 0 ? `Only ${available} left in stock` : 'This item is out of stock',
+        available
+      })
+    }
+
     if (existingItemIndex >= 0) {
       // Update quantity
       items[existingItemIndex].quantity += quantity
@@ -84,7 +120,9 @@ router.post('/', protect, async (req, res) => {
         product: productId,
         name: product.name,
         image: product.images && product.images.length > 0 ? product.images[0] : '',
-        price: parseFloat(product.price),
+        price: parseFloat(variant?.price ?? product.price),
+        variantId: variant?.id || null,
+        sku: variant?.sku || null,
         quantity,
         size: normalizedSize,
         color: normalizedColor
@@ -115,7 +153,8 @@ router.post('/', protect, async (req, res) => {
     console.log('Cart after reload - items count:', cart.items?.length || 0)
     console.log('Cart after reload - items:', JSON.stringify(cart.items, null, 2))
     
-    res.json(cart)
+    // The browser keeps the new guest token and sends it with every cart request
+    res.json(issuedGuestToken ? { ...cart.toJSON(), guestToken: issuedGuestToken } : cart)
   } catch (error) {
     console.error('Add to cart error:', error)
     console.error('Error stack:', error.stack)
@@ -125,8 +164,8 @@ router.post('/', protect, async (req, res) => {
 
 // @route   PUT /api/cart/:itemId
 // @desc    Update cart item quantity
-// @access  Private
-router.put('/:itemId', protect, async (req, res) => {
+// @access  Private or guest (X-Guest-Token)
+router.put('/:itemId', protectOrGuest, async (req, res) => {
   try {
     const { quantity } = req.body
 
@@ -134,7 +173,7 @@ router.put('/:itemId', protect, async (req, res) => {
       return res.status(400).json({ message: 'Quantity must be at least 1' })
     }
 
-    const cart = await Cart.findOne({ where: { userId: req.user.id } })
+    const cart = await findCart(req)
     if (!cart) {
       return res.status(404).json({ message: 'Cart not found' })
     }
@@ -146,6 +185,18 @@ router.put('/:itemId', protect, async (req, res) => {
       return res.status(404).json({ message: 'Item not found in cart' })
     }
 
+    const item = items[itemIndex]
+    const stockSource = item.variantId
+      ? await ProductVariant.findByPk(item.variantId)
+      : await Product.findByPk(item.product)
+    const available = stockSource?.stockCount || 0
+    if (quantity > available) {
+      return res.status(400).json({
+        message: available > 0 ? `Only ${available} left in stock` : 'This item is out of stock',
+        available
+      })
+    }
+
     items[itemIndex].quantity = quantity
     // Use raw query to update JSONB field
     await Cart.sequelize.query(
@@ -171,10 +222,10 @@ router.put('/:itemId', protect, async (req, res) => {
 
 // @route   DELETE /api/cart/:itemId
 // @desc    Remove item from cart
-// @access  Private
-router.delete('/:itemId', protect, async (req, res) => {
+// @access  Private or guest (X-Guest-Token)
+router.delete('/:itemId', protectOrGuest, async (req, res) => {
   try {
-    const cart = await Cart.findOne({ where: { userId: req.user.id } })
+    const cart = await findCart(req)
     if (!cart) {
       return res.status(404).json({ message: 'Cart not found' })
     }
@@ -204,10 +255,10 @@ router.delete('/:itemId', protect, async (req, res) => {
 
 // @route   DELETE /api/cart
 // @desc    Clear cart
-// @access  Private
-router.delete('/', protect, async (req, res) => {
+// @access  Private or guest (X-Guest-Token)
+router.delete('/', protectOrGuest, async (req, res) => {
   try {
-    const cart = await Cart.findOne({ where: { userId: req.user.id } })
+    const cart = await findCart(req)
     if (!cart) {
       return res.status(404).json({ message: 'Cart not found' })
     }
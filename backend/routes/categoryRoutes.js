@@ -2,7 +2,7 @@ import express from 'express'
 import { Op } from 'sequelize'
 import Category from '../models/Category.js'
 import Subcategory from '../models/Subcategory.js'
-import { adminProtect } from '../middleware/adminAuth.js'
+import { adminProtect, requirePermission } from '../middleware/adminAuth.js'
 
 const router = express.Router()
 
@@ -31,7 +31,7 @@ router.get('/', async (req, res) => {
 // @route   GET /api/categories/all
 // @desc    Get all categories (admin - includes inactive)
 // @access  Admin
-router.get('/all', adminProtect, async (req, res) => {
+router.get('/all', adminProtect, requirePermission('categories', 'view'), async (req, res) => {
   try {
     const categories = await Category.findAll({
       include: [{
@@ -72,9 +72,9 @@ router.get('/:categoryId/subcategories', async (req, res) => {
 // @route   POST /api/categories
 // @desc    Create category
 // @access  Admin
-router.post('/create', adminProtect, async (req, res) => {
+router.post('/create', adminProtect, requirePermission('categories', 'create'), async (req, res) => {
   try {
-    const { name, description, image, position } = req.body
+    const { name, description, image, position, hsnCode, gstSlabs } = req.body
 
     if (!name) {
       return res.status(400).json({ message: 'Category name is required' })
@@ -88,6 +88,8 @@ router.post('/create', adminProtect, async (req, res) => {
       description,
       image,
       position: position || 0,
+      hsnCode: hsnCode || null,
+      gstSlabs: gstSlabs || null,
       isActive: true
     })
 
@@ -104,7 +106,7 @@ router.post('/create', adminProtect, async (req, res) => {
 // @route   PUT /api/categories/:id
 // @desc    Update category
 // @access  Admin
-router.put('/update/:id', adminProtect, async (req, res) => {
+router.put('/update/:id', adminProtect, requirePermission('categories', 'update'), async (req, res) => {
   try {
     const category = await Category.findByPk(req.params.id, {
       include: [{
@@ -139,7 +141,7 @@ router.put('/update/:id', adminProtect, async (req, res) => {
 // @route   DELETE /api/categories/:id
 // @desc    Delete category
 // @access  Admin
-router.delete('/delete/:id', adminProtect, async (req, res) => {
+router.delete('/delete/:id', adminProtect, requirePermission('categories', 'delete'), async (req, res) => {
   try {
     const category = await Category.findByPk(req.params.id)
     if (!category) {
@@ -168,7 +170,7 @@ router.delete('/delete/:id', adminProtect, async (req, res) => {
 // @route   POST /api/categories/:id/subcategories
 // @desc    Add subcategory
 // @access  Admin
-router.post('/subcategory/:categoryId', adminProtect, async (req, res) => {
+router.post('/subcategory/:categoryId', adminProtect, requirePermission('categories', 'create'), async (req, res) => {
   try {
     const { categoryId } = req.params
     const { name, description, position } = req.body
@@ -190,6 +192,8 @@ router.post('/subcategory/:categoryId', adminProtect, async (req, res) => {
       slug,
       description,
       position: position || 0,
+      hsnCode: hsnCode || null,
+      gstSlabs: gstSlabs || null,
       isActive: true
     })
 
@@ -206,7 +210,7 @@ router.post('/subcategory/:categoryId', adminProtect, async (req, res) => {
 // @route   PUT /api/categories/:id/subcategories/:subId
 // @desc    Update subcategory
 // @access  Admin
-router.put('/subcategory/:subId', adminProtect, async (req, res) => {
+router.put('/subcategory/:subId', adminProtect, requirePermission('categories', 'update'), async (req, res) => {
   try {
     const subcategory = await Subcategory.findByPk(req.params.subId, {
       include: [{
@@ -241,7 +245,7 @@ router.put('/subcategory/:subId', adminProtect, async (req, res) => {
 // @route   DELETE /api/categories/:id/subcategories/:subId
 // @desc    Delete subcategory
 // @access  Admin
-router.delete('/subcategory/:subId', adminProtect, async (req, res) => {
+router.delete('/subcategory/:subId', adminProtect, requirePermission('categories', 'delete'), async (req, res) => {
   try {
     const subcategory = await Subcategory.findByPk(req.params.subId)
     if (!subcategory) {
@@ -1,14 +1,15 @@
 import express from 'express'
 import { Op } from 'sequelize'
 import ContactQuery from '../models/ContactQuery.js'
-import { adminProtect } from '../middleware/adminAuth.js'
+import { adminProtect, requirePermission } from '../middleware/adminAuth.js'
+import { rateLimit, accountFromBody } from '../middleware/rateLimit.js'
 
 const router = express.Router()
 
 // @route   POST /api/contact
 // @desc    Submit contact form
 // @access  Public
-router.post('/', async (req, res) => {
+router.post('/', rateLimit('contact', { accountKey: accountFromBody }), async (req, res) => {
   try {
     const { name, email, mobile, subject, message } = req.body
 
@@ -38,7 +39,7 @@ router.post('/', async (req, res) => {
 // @route   GET /api/admin/queries
 // @desc    Get all contact queries (admin)
 // @access  Admin
-router.get('/all', adminProtect, async (req, res) => {
+router.get('/all', adminProtect, requirePermission('queries', 'view'), async (req, res) => {
   try {
     const { search, status, page = 1, limit = 20 } = req.query
     const where = {}
@@ -78,7 +79,7 @@ router.get('/all', adminProtect, async (req, res) => {
 // @route   GET /api/admin/queries/details/:id
 // @desc    Get query details (admin)
 // @access  Admin
-router.get('/details/:id', adminProtect, async (req, res) => {
+router.get('/details/:id', adminProtect, requirePermission('queries', 'view'), async (req, res) => {
   try {
     const query = await ContactQuery.findByPk(req.params.id)
     if (!query) {
@@ -95,7 +96,7 @@ router.get('/details/:id', adminProtect, async (req, res) => {
 // @route   PUT /api/admin/queries/:id/status
 // @desc    Update query status (admin)
 // @access  Admin
-router.put('/status/:id', adminProtect, async (req, res) => {
+router.put('/status/:id', adminProtect, requirePermission('queries', 'update'), async (req, res) => {
   try {
     const { status } = req.body
     const validStatuses = ['new', 'in-progress', 'resolved']
@@ -125,7 +126,7 @@ router.put('/status/:id', adminProtect, async (req, res) => {
 // @route   POST /api/admin/queries/:id/reply
 // @desc    Reply to query (admin)
 // @access  Admin
-router.post('/reply/:id', adminProtect, async (req, res) => {
+router.post('/reply/:id', adminProtect, requirePermission('queries', 'update'), async (req, res) => {
   try {
     const { reply } = req.body
 
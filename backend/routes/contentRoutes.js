@@ -1,6 +1,6 @@
 import express from 'express'
 import ContentSetting from '../models/ContentSetting.js'
-import { adminProtect } from '../middleware/adminAuth.js'
+import { adminProtect, requirePermission } from '../middleware/adminAuth.js'
 
 const router = express.Router()
 
@@ -49,7 +49,7 @@ router.get('/featured-products', async (req, res) => {
 // @route   GET /api/content
 // @desc    Get all content settings (admin)
 // @access  Admin
-router.get('/all', adminProtect, async (req, res) => {
+router.get('/all', adminProtect, requirePermission('content', 'view'), async (req, res) => {
   try {
     const { section } = req.query
     const where = {}
@@ -82,7 +82,7 @@ router.get('/all', adminProtect, async (req, res) => {
 // @route   PUT /api/content
 // @desc    Update content settings (admin)
 // @access  Admin
-router.put('/update', adminProtect, async (req, res) => {
+router.put('/update', adminProtect, requirePermission('content', 'update'), async (req, res) => {
   try {
     const { section, content } = req.body
 
@@ -121,7 +121,7 @@ router.put('/update', adminProtect, async (req, res) => {
 // @route   GET /api/admin/content/featured-products
 // @desc    Get featured product IDs (admin)
 // @access  Admin
-router.get('/featured-products', adminProtect, async (req, res) => {
+router.get('/featured-products', adminProtect, requirePermission('content', 'view'), async (req, res) => {
   try {
     const setting = await ContentSetting.findOne({
       where: { section: 'featured', key: 'productIds' }
@@ -142,7 +142,7 @@ router.get('/featured-products', adminProtect, async (req, res) => {
 // @route   PUT /api/admin/content/featured-products
 // @desc    Update featured product IDs (admin)
 // @access  Admin
-router.put('/featured-products', adminProtect, async (req, res) => {
+router.put('/featured-products', adminProtect, requirePermission('content', 'update'), async (req, res) => {
   try {
     const { productIds } = req.body
 
@@ -2,8 +2,10 @@ import express from 'express'
 import { Op } from 'sequelize'
 import Coupon from '../models/Coupon.js'
 import CouponUsage from '../models/CouponUsage.js'
-import { adminProtect } from '../middleware/adminAuth.js'
+import { adminProtect, requirePermission } from '../middleware/adminAuth.js'
 import { protect, optionalAuth } from '../middleware/auth.js'
+import { rateLimit } from '../middleware/rateLimit.js'
+import { validateCoupon, calculateCouponAmount } from '../services/pricingService.js'
 
 const router = express.Router()
 
@@ -137,62 +139,19 @@ router.get('/available', optionalAuth, async (req, res) => {
 // @route   GET /api/coupons/validate/:code
 // @desc    Validate coupon code (public, but checks user usage if authenticated)
 // @access  Public (but can be protected if needed)
-router.get('/validate/:code', optionalAuth, async (req, res) => {
+router.get('/validate/:code', optionalAuth, rateLimit('couponValidate', { accountKey: (req) => req.user?.id }), async (req, res) => {
   try {
     const { code } = req.params
     const { orderTotal } = req.query
     const userId = req.user?.id // Get user ID if authenticated (optional)
 
-    const coupon = await Coupon.findOne({
-      where: {
-        code: code.toUpperCase(),
-        status: 'active'
-      }
-    })
-
-    if (!coupon) {
-      return res.status(404).json({ message: 'Invalid coupon code' })
-    }
-
-    const now = new Date()
-    if (coupon.validFrom > now || coupon.validUntil < now) {
-      return res.status(400).json({ message: 'Coupon has expired' })
-    }
-
-    // Check per-user usage limit if user is authenticated
-    if (userId && coupon.usageLimit) {
-      const userUsageCount = await CouponUsage.count({
-        where: {
-          couponId: coupon.id,
-          userId: userId
-        }
-      })
+    const subtotal = orderTotal ? parseFloat(orderTotal) : undefined
+    const coupon = await validateCoupon(code, { subtotal, userId })
 
-      if (userUsageCount >= coupon.usageLimit) {
-        return res.status(400).json({ 
-          message: `You have reached the usage limit for this coupon. You can use it ${coupon.usageLimit} time${coupon.usageLimit > 1 ? 's' : ''} per account.` 
-        })
-      }
-    }
-
-    if (orderTotal && parseFloat(orderTotal) < parseFloat(coupon.minPurchase)) {
-      return res.status(400).json({ 
-        message: `Minimum purchase of ₹${coupon.minPurchase} required` 
-      })
-    }
-
-    // Calculate discount for display purposes
-    let calculatedDiscount = 0
-    if (coupon.type === 'percentage') {
-      calculatedDiscount = (parseFloat(orderTotal || 0) * parseFloat(coupon.discount)) / 100
-      if (coupon.maxDiscount && calculatedDiscount > parseFloat(coupon.maxDiscount)) {
-        calculatedDiscount = parseFloat(coupon.maxDiscount)
-      }
-    } else if (coupon.type === 'fixed') {
-      calculatedDiscount = parseFloat(coupon.discount)
-    } else if (coupon.type === 'free_shipping') {
-      calculatedDiscount = 0 // Free shipping handled separately on frontend
-    }
+    // Calculate discount for display purposes (free shipping is applied to the shipping line)
+    const calculatedDiscount = coupon.type === 'free_shipping'
+      ? 0
+      : calculateCouponAmount(coupon, parseFloat(orderTotal || 0))
 
     res.json({
       valid: true,
@@ -208,6 +167,9 @@ router.get('/validate/:code', optionalAuth, async (req, res) => {
       }
     })
   } catch (error) {
+    if (error.name === 'PricingError') {
+      return res.status(error.statusCode).json({ message: error.message })
+    }
     console.error('Validate coupon error:', error)
     res.status(500).json({ message: 'Server error' })
   }
@@ -216,7 +178,7 @@ router.get('/validate/:code', optionalAuth, async (req, res) => {
 // @route   GET /api/admin/coupons
 // @desc    Get all coupons (admin)
 // @access  Admin
-router.get('/all', adminProtect, async (req, res) => {
+router.get('/all', adminProtect, requirePermission('coupons', 'view'), async (req, res) => {
   try {
     const { search, status, page = 1, limit = 20 } = req.query
     const where = {}
@@ -255,7 +217,7 @@ router.get('/all', adminProtect, async (req, res) => {
 // @route   POST /api/admin/coupons
 // @desc    Create coupon
 // @access  Admin
-router.post('/create', adminProtect, async (req, res) => {
+router.post('/create', adminProtect, requirePermission('coupons', 'create'), async (req, res) => {
   try {
     // Ensure dates are properly formatted
     const couponData = {
@@ -296,7 +258,7 @@ router.post('/create', adminProtect, async (req, res) => {
 // @route   PUT /api/admin/coupons/:id
 // @desc    Update coupon
 // @access  Admin
-router.put('/update/:id', adminProtect, async (req, res) => {
+router.put('/update/:id', adminProtect, requirePermission('coupons', 'update'), async (req, res) => {
   try {
     const coupon = await Coupon.findByPk(req.params.id)
     if (!coupon) {
@@ -321,7 +283,7 @@ router.put('/update/:id', adminProtect, async (req, res) => {
 // @route   DELETE /api/admin/coupons/:id
 // @desc    Delete coupon
 // @access  Admin
-router.delete('/delete/:id', adminProtect, async (req, res) => {
+router.delete('/delete/:id', adminProtect, requirePermission('coupons', 'delete'), async (req, res) => {
   try {
     const coupon = await Coupon.findByPk(req.params.id)
     if (!coupon) {
@@ -339,7 +301,7 @@ router.delete('/delete/:id', adminProtect, async (req, res) => {
 // @route   PUT /api/admin/coupons/:id/status
 // @desc    Toggle coupon status
 // @access  Admin
-router.put('/status/:id', adminProtect, async (req, res) => {
+router.put('/status/:id', adminProtect, requirePermission('coupons', 'update'), async (req, res) => {
   try {
     const coupon = await Coupon.findByPk(req.params.id)
     if (!coupon) {
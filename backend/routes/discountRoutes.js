@@ -1,15 +1,16 @@
 import express from 'express'
 import { Op } from 'sequelize'
 import Discount from '../models/Discount.js'
-import { adminProtect } from '../middleware/adminAuth.js'
+import { adminProtect, requirePermission } from '../middleware/adminAuth.js'
 import { optionalAuth } from '../middleware/auth.js'
+import { validateDiscount, calculateDiscountAmount } from '../services/pricingService.js'
 
 const router = express.Router()
 
 // @route   GET /api/discounts
 // @desc    Get all discounts (admin)
 // @access  Admin
-router.get('/all', adminProtect, async (req, res) => {
+router.get('/all', adminProtect, requirePermission('discounts', 'view'), async (req, res) => {
   try {
     const { search, status, page = 1, limit = 20 } = req.query
     const where = {}
@@ -48,7 +49,7 @@ router.get('/all', adminProtect, async (req, res) => {
 // @route   POST /api/discounts
 // @desc    Create discount
 // @access  Admin
-router.post('/create', adminProtect, async (req, res) => {
+router.post('/create', adminProtect, requirePermission('discounts', 'create'), async (req, res) => {
   try {
     const discount = await Discount.create({
       ...req.body,
@@ -67,7 +68,7 @@ router.post('/create', adminProtect, async (req, res) => {
 // @route   PUT /api/discounts/:id
 // @desc    Update discount
 // @access  Admin
-router.put('/update/:id', adminProtect, async (req, res) => {
+router.put('/update/:id', adminProtect, requirePermission('discounts', 'update'), async (req, res) => {
   try {
     const discount = await Discount.findByPk(req.params.id)
     if (!discount) {
@@ -92,7 +93,7 @@ router.put('/update/:id', adminProtect, async (req, res) => {
 // @route   DELETE /api/discounts/:id
 // @desc    Delete discount
 // @access  Admin
-router.delete('/delete/:id', adminProtect, async (req, res) => {
+router.delete('/delete/:id', adminProtect, requirePermission('discounts', 'delete'), async (req, res) => {
   try {
     const discount = await Discount.findByPk(req.params.id)
     if (!discount) {
@@ -110,7 +111,7 @@ router.delete('/delete/:id', adminProtect, async (req, res) => {
 // @route   PUT /api/discounts/:id/status
 // @desc    Toggle discount status
 // @access  Admin
-router.put('/status/:id', adminProtect, async (req, res) => {
+router.put('/status/:id', adminProtect, requirePermission('discounts', 'update'), async (req, res) => {
   try {
     const discount = await Discount.findByPk(req.params.id)
     if (!discount) {
@@ -206,34 +207,9 @@ router.get('/validate/:code', optionalAuth, async (req, res) => {
     const { code } = req.params
     const { orderTotal, cartItems } = req.query
     
-    const discount = await Discount.findOne({
-      where: {
-        code: code.toUpperCase(),
-        status: 'active'
-      }
-    })
-    
-    if (!discount) {
-      return res.status(404).json({ message: 'Invalid discount code' })
-    }
-    
-    const now = new Date()
-    if (discount.startDate > now || discount.endDate < now) {
-      return res.status(400).json({ message: 'Discount has expired' })
-    }
-    
-    // Check global usage limit
-    if (discount.usageLimit && discount.used >= discount.usageLimit) {
-      return res.status(400).json({ message: 'Discount usage limit reached' })
-    }
-    
-    // Check minimum order
-    if (orderTotal && parseFloat(orderTotal) < parseFloat(discount.minOrder)) {
-      return res.status(400).json({ 
-        message: `Minimum purchase of ₹${discount.minOrder} required` 
-      })
-    }
-    
+    const subtotal = orderTotal ? parseFloat(orderTotal) : undefined
+    const discount = await validateDiscount(code, { subtotal })
+
     // Parse cart items if provided for custom discount logic
     let parsedCartItems = []
     if (cartItems) {
@@ -243,30 +219,14 @@ router.get('/validate/:code', optionalAuth, async (req, res) => {
         console.error('Error parsing cart items:', e)
       }
     }
-    
-    // Calculate discount based on type
-    let calculatedDiscount = 0
-    let discountDetails = {
+
+    const calculatedDiscount = calculateDiscountAmount(discount, parseFloat(orderTotal || 0), parsedCartItems)
+    const discountDetails = {
       type: discount.type,
-      instruction: discount.instruction
+      instruction: discount.instruction,
+      ...(discount.type === 'custom' && { calculatedDiscount })
     }
-    
-    if (discount.type === 'percentage') {
-      calculatedDiscount = (parseFloat(orderTotal || 0) * parseFloat(discount.value)) / 100
-      if (discount.maxDiscount && calculatedDiscount > parseFloat(discount.maxDiscount)) {
-        calculatedDiscount = parseFloat(discount.maxDiscount)
-      }
-    } else if (discount.type === 'fixed') {
-      calculatedDiscount = parseFloat(discount.value)
-      if (calculatedDiscount > parseFloat(orderTotal || 0)) {
-        calculatedDiscount = parseFloat(orderTotal || 0)
-      }
-    } else if (discount.type === 'custom' && discount.instruction) {
-      // Parse instruction and calculate discount
-      calculatedDiscount = parseDiscountInstruction(discount.instruction, parsedCartItems, parseFloat(orderTotal || 0))
-      discountDetails.calculatedDiscount = calculatedDiscount
-    }
-    
+
     res.json({
       valid: true,
       discount: {
@@ -283,75 +243,13 @@ router.get('/validate/:code', optionalAuth, async (req, res) => {
       }
     })
   } catch (error) {
+    if (error.name === 'PricingError') {
+      return res.status(error.statusCode).json({ message: error.message })
+    }
     console.error('Validate discount error:', error)
     res.status(500).json({ message: 'Server error' })
   }
 })
 
-// Helper function to parse discount instructions
-function parseDiscountInstruction(instruction, cartItems, orderTotal) {
-  if (!instruction || !cartItems || cartItems.length === 0) {
-    return 0
-  }
-  
-  const instructionLower = instruction.toLowerCase()
-  
-  // Buy X Get Y Free pattern
-  const buyXGetYMatch = instructionLower.match(/buy\s+(\d+)\s+get\s+(\d+)\s+free/i)
-  if (buyXGetYMatch) {
-    const buyCount = parseInt(buyXGetYMatch[1])
-    const freeCount = parseInt(buyXGetYMatch[2])
-    const minItems = buyCount + freeCount
-    
-    // Check if cart has minimum items
-    const totalQuantity = cartItems.reduce((sum, item) => sum + (item.quantity || 1), 0)
-    if (totalQuantity < minItems) {
-      return 0
-    }
-    
-    // Sort items by price (lowest first) and mark free items
-    const sortedItems = [...cartItems].sort((a, b) => {
-      const priceA = parseFloat(a.product?.price || a.price || 0)
-      const priceB = parseFloat(b.product?.price || b.price || 0)
-      return priceA - priceB
-    })
-    
-    // Calculate total discount (free items' prices)
-    let discount = 0
-    let itemsToMakeFree = freeCount
-    let remainingQuantity = totalQuantity
-    
-    for (const item of sortedItems) {
-      if (itemsToMakeFree <= 0) break
-      
-      const itemPrice = parseFloat(item.product?.price || item.price || 0)
-      const itemQuantity = item.quantity || 1
-      const freeFromThisItem = Math.min(itemsToMakeFree, itemQuantity)
-      
-      discount += itemPrice * freeFromThisItem
-      itemsToMakeFree -= freeFromThisItem
-    }
-    
-    return discount
-  }
-  
-  // Percentage off pattern
-  const percentMatch = instructionLower.match(/(\d+(?:\.\d+)?)\s*%\s*(?:off|discount)/i)
-  if (percentMatch) {
-    const percent = parseFloat(percentMatch[1])
-    return (orderTotal * percent) / 100
-  }
-  
-  // Fixed amount off pattern
-  const fixedMatch = instructionLower.match(/₹?\s*(\d+(?:\.\d+)?)\s*(?:off|discount)/i)
-  if (fixedMatch) {
-    const amount = parseFloat(fixedMatch[1])
-    return Math.min(amount, orderTotal)
-  }
-  
-  // Default: return 0 if instruction doesn't match known patterns
-  return 0
-}
-
 export default router
 
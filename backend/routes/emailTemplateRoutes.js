@@ -1,22 +1,30 @@
 import express from 'express'
 import EmailTemplate from '../models/EmailTemplate.js'
-import { adminProtect } from '../middleware/adminAuth.js'
+import Order from '../models/Order.js'
+import User from '../models/User.js'
+import { adminProtect, requirePermission } from '../middleware/adminAuth.js'
+import {
+  getTemplateTypes,
+  saveCustomTemplateTypes,
+  validateTemplate,
+  previewTemplate
+} from '../services/emailTemplateService.js'
 
 const router = express.Router()
 
 // @route   GET /api/email-templates
-// @desc    Get all email templates
+// @desc    Get all email templates (?channel=sms for SMS templates)
 // @access  Admin
-router.get('/all', adminProtect, async (req, res) => {
+router.get('/all', adminProtect, requirePermission('email_templates', 'view'), async (req, res) => {
   try {
-    const { type } = req.query
+    const { type, channel } = req.query
     const where = {}
 
     if (type) {
       where.type = type
     }
 
-    where.channel = 'email'
+    where.channel = channel === 'sms' ? 'sms' : 'email'
 
     const templates = await EmailTemplate.findAll({
       where,
@@ -30,10 +38,88 @@ router.get('/all', adminProtect, async (req, res) => {
   }
 })
 
+// @route   GET /api/admin/email-templates/types
+// @desc    Get template types with their variables (built-in types are the ones the store sends)
+// @access  Admin
+router.get('/types', adminProtect, requirePermission('email_templates', 'view'), async (req, res) => {
+  try {
+    res.json(await getTemplateTypes())
+  } catch (error) {
+    console.error('Get email template types error:', error)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// @route   PUT /api/admin/email-templates/types
+// @desc    Save the admin-defined template types and their variables
+// @access  Admin
+router.put('/types', adminProtect, requirePermission('email_templates', 'update'), async (req, res) => {
+  try {
+    const { types } = req.body
+
+    if (!Array.isArray(types)) {
+      return res.status(400).json({ message: 'Types must be a list' })
+    }
+
+    res.json(await saveCustomTemplateTypes(types))
+  } catch (error) {
+    console.error('Save email template types error:', error)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// @route   POST /api/admin/email-templates/preview
+// @desc    Render a template (saved by id, or unsaved subject/body) against a sample order or a real one
+// @access  Admin
+router.post('/preview', adminProtect, requirePermission('email_templates', 'view'), async (req, res) => {
+  try {
+    const { id, orderId } = req.body
+    let template = {
+      type: req.body.type,
+      channel: req.body.channel,
+      subject: req.body.subject,
+      body: req.body.body,
+      variables: req.body.variables
+    }
+
+    if (id) {
+      const saved = await EmailTemplate.findByPk(id)
+      if (!saved) {
+        return res.status(404).json({ message: 'Template not found' })
+      }
+      template = saved.toJSON()
+    }
+
+    if (!template.type) {
+      return res.status(400).json({ message: 'Template type is required' })
+    }
+
+    let order = null
+    if (orderId) {
+      order = await Order.findOne({
+        where: { orderId },
+        include: [{ model: User, as: 'user', attributes: ['name', 'email'] }]
+      })
+      if (!order) {
+        return res.status(404).json({ message: 'Order not found' })
+      }
+    }
+
+    const preview = await previewTemplate(template, { order, user: order?.user })
+    res.json(preview)
+  } catch (error) {
+    if (error.name === 'TemplateError') {
+      return res.status(400).json({ message: error.message })
+    }
+    console.error('Preview email template error:', error)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
 // @route   GET /api/email-templates/:id
 // @desc    Get email template
 // @access  Admin
-router.get('/:id', adminProtect, async (req, res) => {
+router.get('/:id', adminProtect, requirePermission('email_templates', 'view'), async (req, res) => {
   try {
     const template = await EmailTemplate.findByPk(req.params.id)
     if (!template) {
@@ -50,29 +136,35 @@ router.get('/:id', adminProtect, async (req, res) => {
 // @route   POST /api/email-templates
 // @desc    Create email template
 // @access  Admin
-router.post('/create', adminProtect, async (req, res) => {
+router.post('/create', adminProtect, requirePermission('email_templates', 'create'), async (req, res) => {
   try {
     const { name, type, subject, body, variables } = req.body
+    const channel = req.body.channel === 'sms' ? 'sms' : 'email'
 
     if (!name || !type || !body) {
       return res.status(400).json({ message: 'Name, type, and body are required' })
     }
 
-    if (!subject) {
+    if (channel === 'email' && !subject) {
       return res.status(400).json({ message: 'Subject is required for email templates' })
     }
 
+    validateTemplate({ subject, body })
+
     const template = await EmailTemplate.create({
       name,
       type,
-      channel: 'email',
-      subject,
+      channel,
+      subject: channel === 'email' ? subject : null,
       body,
       variables: variables || []
     })
 
     res.status(201).json(template)
   } catch (error) {
+    if (error.name === 'TemplateError') {
+      return res.status(400).json({ message: error.message })
+    }
     console.error('Create email template error:', error)
     if (error.name === 'SequelizeUniqueConstraintError') {
       return res.status(400).json({ message: 'Template name already exists' })
@@ -84,7 +176,7 @@ router.post('/create', adminProtect, async (req, res) => {
 // @route   PUT /api/email-templates/:id
 // @desc    Update email template
 // @access  Admin
-router.put('/update/:id', adminProtect, async (req, res) => {
+router.put('/update/:id', adminProtect, requirePermission('email_templates', 'update'), async (req, res) => {
   try {
     const template = await EmailTemplate.findByPk(req.params.id)
     if (!template) {
@@ -94,6 +186,7 @@ router.put('/update/:id', adminProtect, async (req, res) => {
     if (req.body.subject !== undefined) template.subject = req.body.subject
     if (req.body.body) template.body = req.body.body
     if (req.body.variables) template.variables = req.body.variables
+    validateTemplate(template)
     template.lastModified = new Date()
 
     await template.save()
@@ -101,6 +194,9 @@ router.put('/update/:id', adminProtect, async (req, res) => {
 
     res.json(template)
   } catch (error) {
+    if (error.name === 'TemplateError') {
+      return res.status(400).json({ message: error.message })
+    }
     console.error('Update email template error:', error)
     res.status(500).json({ message: 'Server error' })
   }
@@ -1,15 +1,41 @@
 import express from 'express'
 import { Op } from 'sequelize'
 import Product from '../models/Product.js'
+import ProductVariant from '../models/ProductVariant.js'
 import InventoryLog from '../models/InventoryLog.js'
-import { adminProtect } from '../middleware/adminAuth.js'
+import { sequelize } from '../config/db.js'
+import { adminProtect, requirePermission } from '../middleware/adminAuth.js'
+import { applyStockMovement, generateSku, syncProductStock } from '../services/inventoryService.js'
 
 const router = express.Router()
 
+const LOW_STOCK_THRESHOLD = 20
+
+const stockStatus = (stockCount, threshold = LOW_STOCK_THRESHOLD) => {
+  if (stockCount === 0) return 'out-of-stock'
+  if (stockCount < threshold) return 'low-stock'
+  return 'in-stock'
+}
+
+const formatVariant = (variant) => ({
+  id: variant.id,
+  productId: variant.productId,
+  sku: variant.sku,
+  size: variant.size,
+  color: variant.color,
+  label: [variant.size, variant.color].filter(Boolean).join(' / ') || 'Standard',
+  stockCount: variant.stockCount,
+  price: variant.price !== null && variant.price !== undefined ? parseFloat(variant.price) : null,
+  barcode: variant.barcode,
+  isActive: variant.isActive,
+  status: stockStatus(variant.stockCount),
+  updatedAt: variant.updatedAt
+})
+
 // @route   GET /api/inventory
 // @desc    Get inventory status
 // @access  Admin
-router.get('/all', adminProtect, async (req, res) => {
+router.get('/all', adminProtect, requirePermission('inventory', 'view'), async (req, res) => {
   try {
     const { search, status, page = 1, limit = 20 } = req.query
     const where = { isActive: true }
@@ -48,21 +74,21 @@ router.get('/all', adminProtect, async (req, res) => {
           association: 'subcategory',
           required: false,
           attributes: ['id', 'name']
+        },
+        {
+          association: 'variants',
+          required: false
         }
       ],
-      order: [['name', 'ASC']],
+      order: [['name', 'ASC'], ['variants', 'size', 'ASC'], ['variants', 'color', 'ASC']],
       limit: Number(limit),
-      offset: Number(offset)
+      offset: Number(offset),
+      distinct: true
     })
 
     // Add inventory status
     const inventory = products.map(product => {
-      let status = 'in-stock'
-      if (product.stockCount === 0) {
-        status = 'out-of-stock'
-      } else if (product.stockCount < 20) { // Low stock threshold
-        status = 'low-stock'
-      }
+      const status = stockStatus(product.stockCount)
 
       return {
         id: product.id,
@@ -72,8 +98,9 @@ router.get('/all', adminProtect, async (req, res) => {
         stockCount: product.stockCount,
         stock: product.stockCount, // Keep for backward compatibility
         category: `${product.category?.name || 'N/A'} - ${product.subcategory?.name || 'N/A'}`,
-        lowStockThreshold: 20, // Can be made configurable
+        lowStockThreshold: LOW_STOCK_THRESHOLD, // Can be made configurable
         status,
+        variants: (product.variants || []).map(formatVariant),
         updatedAt: product.updatedAt
       }
     })
@@ -91,82 +118,236 @@ router.get('/all', adminProtect, async (req, res) => {
 })
 
 // @route   PUT /api/inventory/:productId
-// @desc    Update stock
+// @desc    Update stock (products without variants, or with a single variant)
 // @access  Admin
-router.put('/update/:productId', adminProtect, async (req, res) => {
+router.put('/update/:productId', adminProtect, requirePermission('inventory', 'update'), async (req, res) => {
   try {
     const { productId } = req.params
     const { stockCount, type, reason } = req.body
 
-    const product = await Product.findByPk(productId)
+    const product = await Product.findByPk(productId, {
+      include: [{ association: 'variants', required: false }]
+    })
     if (!product) {
       return res.status(404).json({ message: 'Product not found' })
     }
 
-    const oldStock = product.stockCount
-    let newStock = stockCount
-
-    // If type is provided, adjust stock
-    if (type) {
-      if (type === 'in' || type === 'restock') {
-        newStock = oldStock + (stockCount || 0)
-      } else if (type === 'out' || type === 'sale') {
-        newStock = oldStock - (stockCount || 0)
-      } else if (type === 'adjustment' || type === 'return') {
-        if (type === 'adjustment') {
-          newStock = stockCount
-        } else if (type === 'return') {
-          newStock = oldStock + (stockCount || 0)
-        }
-      }
+    const variants = product.variants || []
+    if (variants.length > 1) {
+      return res.status(400).json({ message: 'This product has several variants - update stock per variant' })
     }
 
+    const variant = variants[0] || null
+    const oldStock = (variant || product).stockCount
+    const { newStock, logType } = type
+      ? applyStockMovement(oldStock, stockCount, type)
+      : { newStock: stockCount, logType: null }
+
     if (newStock < 0) {
       return res.status(400).json({ message: 'Stock cannot be negative' })
     }
 
-    product.stockCount = newStock
-    product.inStock = newStock > 0
-    await product.save()
-
-    // Log inventory change
-    if (type) {
-      // Map frontend types to backend log types
-      let logType = type
-      if (type === 'restock') logType = 'in'
-      if (type === 'sale') logType = 'out'
-      if (type === 'return') logType = 'in'
-      
+    await sequelize.transaction(async (transaction) => {
+      if (variant) {
+        variant.stockCount = newStock
+        await variant.save({ transaction })
+        await syncProductStock(product.id, { transaction })
+      } else {
+        product.stockCount = newStock
+        product.inStock = newStock > 0
+        await product.save({ transaction })
+      }
+
+      // Log inventory change
+      if (logType) {
+        await InventoryLog.create({
+          productId,
+          variantId: variant?.id || null,
+          quantity: Math.abs(newStock - oldStock),
+          type: logType,
+          reason: reason || `Stock ${type}`,
+          createdBy: req.admin?.id
+        }, { transaction })
+      }
+    })
+
+    await product.reload()
+    res.json(product)
+  } catch (error) {
+    console.error('Update inventory error:', error)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// @route   GET /api/inventory/products/:productId/variants
+// @desc    Get variants of a product
+// @access  Admin
+router.get('/products/:productId/variants', adminProtect, requirePermission('inventory', 'view'), async (req, res) => {
+  try {
+    const variants = await ProductVariant.findAll({
+      where: { productId: req.params.productId },
+      order: [['size', 'ASC'], ['color', 'ASC']]
+    })
+
+    res.json(variants.map(formatVariant))
+  } catch (error) {
+    console.error('Get variants error:', error)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// @route   POST /api/inventory/products/:productId/variants
+// @desc    Add a size/color variant to a product
+// @access  Admin
+router.post('/products/:productId/variants', adminProtect, requirePermission('inventory', 'update'), async (req, res) => {
+  try {
+    const { size, color, sku, barcode, price, stockCount = 0 } = req.body
+
+    const product = await Product.findByPk(req.params.productId)
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' })
+    }
+
+    if (Number(stockCount) < 0) {
+      return res.status(400).json({ message: 'Stock cannot be negative' })
+    }
+
+    const variant = await sequelize.transaction(async (transaction) => {
+      const created = await ProductVariant.create({
+        productId: product.id,
+        size: size || null,
+        color: color || null,
+        sku: sku || generateSku(product, size, color),
+        barcode: barcode || null,
+        price: price === '' || price === undefined ? null : price,
+        stockCount: Number(stockCount) || 0
+      }, { transaction })
+
+      if (created.stockCount > 0) {
+        await InventoryLog.create({
+          productId: product.id,
+          variantId: created.id,
+          quantity: created.stockCount,
+          type: 'in',
+          reason: 'Initial stock - Variant created',
+          createdBy: req.admin?.id
+        }, { transaction })
+      }
+
+      await syncProductStock(product.id, { transaction })
+      return created
+    })
+
+    res.status(201).json(formatVariant(variant))
+  } catch (error) {
+    console.error('Create variant error:', error)
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(400).json({ message: 'A variant with this size/color, SKU or barcode already exists' })
+    }
+    if (error.name === 'SequelizeValidationError') {
+      const messages = error.errors.map(e => e.message).join(', ')
+      return res.status(400).json({ message: `Validation error: ${messages}` })
+    }
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// @route   PUT /api/inventory/variants/:variantId
+// @desc    Update variant details (SKU, barcode, price override, active flag)
+// @access  Admin
+router.put('/variants/:variantId', adminProtect, requirePermission('inventory', 'update'), async (req, res) => {
+  try {
+    const variant = await ProductVariant.findByPk(req.params.variantId)
+    if (!variant) {
+      return res.status(404).json({ message: 'Variant not found' })
+    }
+
+    const { sku, barcode, price, isActive } = req.body
+
+    await sequelize.transaction(async (transaction) => {
+      if (sku !== undefined) variant.sku = sku
+      if (barcode !== undefined) variant.barcode = barcode || null
+      if (price !== undefined) variant.price = price === '' || price === null ? null : price
+      if (isActive !== undefined) variant.isActive = Boolean(isActive)
+      await variant.save({ transaction })
+
+      await syncProductStock(variant.productId, { transaction })
+    })
+
+    res.json(formatVariant(variant))
+  } catch (error) {
+    console.error('Update variant error:', error)
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(400).json({ message: 'SKU or barcode is already in use' })
+    }
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// @route   PUT /api/inventory/variants/:variantId/stock
+// @desc    Update variant stock
+// @access  Admin
+router.put('/variants/:variantId/stock', adminProtect, requirePermission('inventory', 'update'), async (req, res) => {
+  try {
+    const { stockCount, type = 'adjustment', reason } = req.body
+
+    const variant = await sequelize.transaction(async (transaction) => {
+      const locked = await ProductVariant.findByPk(req.params.variantId, {
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      })
+      if (!locked) {
+        return null
+      }
+
+      const oldStock = locked.stockCount
+      const { newStock, logType } = applyStockMovement(oldStock, stockCount, type)
+      if (newStock < 0) {
+        const error = new Error('Stock cannot be negative')
+        error.statusCode = 400
+        throw error
+      }
+
+      locked.stockCount = newStock
+      await locked.save({ transaction })
+
       await InventoryLog.create({
-        productId,
+        productId: locked.productId,
+        variantId: locked.id,
         quantity: Math.abs(newStock - oldStock),
         type: logType,
         reason: reason || `Stock ${type}`,
         createdBy: req.admin?.id
-      })
+      }, { transaction })
+
+      await syncProductStock(locked.productId, { transaction })
+      return locked
+    })
+
+    if (!variant) {
+      return res.status(404).json({ message: 'Variant not found' })
     }
 
-    res.json(product)
+    res.json(formatVariant(variant))
   } catch (error) {
-    console.error('Update inventory error:', error)
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message })
+    }
+    console.error('Update variant stock error:', error)
     res.status(500).json({ message: 'Server error' })
   }
 })
 
-// @route   GET /api/inventory/low-stock
-// @desc    Get low stock products
-// @access  Admin
-router.get('/low-stock', adminProtect, async (req, res) => {
-  try {
-    const { threshold = 20 } = req.query
-
-    const products = await Product.findAll({
-      where: {
-        isActive: true,
-        stockCount: {
-          [Op.lte]: Number(threshold)
-        }
-      },
+// Variants of active products, plus products that are not split into variants yet,
+// whose stock matches the given condition
+const findStockAlerts = async (stockCondition) => {
+  const variants = await ProductVariant.findAll({
+    where: { isActive: true, stockCount: stockCondition },
+    include: [{
+      association: 'product',
+      required: true,
+      where: { isActive: true },
+      attributes: ['id', 'name'],
       include: [
         {
           association: 'category',
@@ -178,24 +359,70 @@ router.get('/low-stock', adminProtect, async (req, res) => {
           required: false,
           attributes: ['id', 'name']
         }
-      ],
-      order: [['stockCount', 'ASC']]
-    })
+      ]
+    }],
+    order: [['stockCount', 'ASC']]
+  })
 
-    const lowStock = products.map(product => ({
+  const products = await Product.findAll({
+    where: {
+      isActive: true,
+      stockCount: stockCondition,
+      [Op.and]: [sequelize.literal('NOT EXISTS (SELECT 1 FROM product_variants v WHERE v."productId" = "Product"."id")')]
+    },
+    include: [
+      {
+        association: 'category',
+        required: false,
+        attributes: ['id', 'name']
+      },
+      {
+        association: 'subcategory',
+        required: false,
+        attributes: ['id', 'name']
+      }
+    ],
+    order: [['stockCount', 'ASC']]
+  })
+
+  const category = (product) => `${product.category?.name || 'N/A'} - ${product.subcategory?.name || 'N/A'}`
+
+  return [
+    ...variants.map(variant => ({
+      ...formatVariant(variant),
+      id: variant.product.id,
+      variantId: variant.id,
+      productName: variant.product.name,
+      name: variant.product.name,
+      stock: variant.stockCount,
+      category: category(variant.product)
+    })),
+    ...products.map(product => ({
       id: product.id,
+      variantId: null,
       productName: product.name,
       name: product.name,
       sku: product.id.substring(0, 8).toUpperCase(),
+      label: 'Standard',
       stockCount: product.stockCount,
       stock: product.stockCount,
-      category: `${product.category?.name || 'N/A'} - ${product.subcategory?.name || 'N/A'}`,
-      threshold: Number(threshold),
-      status: product.stockCount === 0 ? 'out-of-stock' : 'low-stock',
+      category: category(product),
+      status: stockStatus(product.stockCount),
       updatedAt: product.updatedAt
     }))
+  ].sort((a, b) => a.stockCount - b.stockCount)
+}
+
+// @route   GET /api/inventory/low-stock
+// @desc    Get low stock variants/products
+// @access  Admin
+router.get('/low-stock', adminProtect, requirePermission('inventory', 'view'), async (req, res) => {
+  try {
+    const { threshold = LOW_STOCK_THRESHOLD } = req.query
 
-    res.json(lowStock)
+    const lowStock = await findStockAlerts({ [Op.lte]: Number(threshold) })
+
+    res.json(lowStock.map(item => ({ ...item, threshold: Number(threshold) })))
   } catch (error) {
     console.error('Get low stock error:', error)
     res.status(500).json({ message: 'Server error' })
@@ -203,41 +430,11 @@ router.get('/low-stock', adminProtect, async (req, res) => {
 })
 
 // @route   GET /api/inventory/out-of-stock
-// @desc    Get out of stock products
+// @desc    Get out of stock variants/products
 // @access  Admin
-router.get('/out-of-stock', adminProtect, async (req, res) => {
+router.get('/out-of-stock', adminProtect, requirePermission('inventory', 'view'), async (req, res) => {
   try {
-    const products = await Product.findAll({
-      where: {
-        isActive: true,
-        stockCount: 0
-      },
-      include: [
-        {
-          association: 'category',
-          required: false,
-          attributes: ['id', 'name']
-        },
-        {
-          association: 'subcategory',
-          required: false,
-          attributes: ['id', 'name']
-        }
-      ],
-      order: [['name', 'ASC']]
-    })
-
-    const outOfStock = products.map(product => ({
-      id: product.id,
-      productName: product.name,
-      name: product.name,
-      sku: product.id.substring(0, 8).toUpperCase(),
-      stockCount: 0,
-      stock: 0,
-      category: `${product.category?.name || 'N/A'} - ${product.subcategory?.name || 'N/A'}`,
-      status: 'out-of-stock',
-      updatedAt: product.updatedAt
-    }))
+    const outOfStock = await findStockAlerts(0)
 
     res.json(outOfStock)
   } catch (error) {
@@ -0,0 +1,128 @@
+import express from 'express'
+import { Op } from 'sequelize'
+import MessageJob from '../models/MessageJob.js'
+import { adminProtect, requirePermission } from '../middleware/adminAuth.js'
+import { retryJob, getQueueStats } from '../services/messageQueueService.js'
+
+const router = express.Router()
+
+// Leave the rendered HTML out of lists; it is fetched per message
+const summarize = (job) => {
+  const { payload, ...rest } = job.toJSON()
+  return {
+    ...rest,
+    subject: payload?.subject || null,
+    body: job.channel === 'sms' ? payload?.body || null : undefined
+  }
+}
+
+// @route   GET /api/admin/messages
+// @desc    Get queued/sent/failed messages (status defaults to dead, i.e. failed sends)
+// @access  Admin
+router.get('/', adminProtect, requirePermission('messages', 'view'), async (req, res) => {
+  try {
+    const { status = 'dead', channel, kind, batchId, search, page = 1, limit = 20 } = req.query
+    const where = {}
+
+    if (status === 'retrying') {
+      where.status = 'pending'
+      where.attempts = { [Op.gt]: 0 }
+    } else if (status !== 'all') {
+      where.status = status
+    }
+    if (channel) where.channel = channel
+    if (kind) where.kind = kind
+    if (batchId) where.batchId = batchId
+    if (search) {
+      where.recipient = { [Op.iLike]: `%${search}%` }
+    }
+
+    const offset = (page - 1) * limit
+    const { count, rows } = await MessageJob.findAndCountAll({
+      where,
+      order: [['updatedAt', 'DESC']],
+      limit: Number(limit),
+      offset: Number(offset)
+    })
+
+    res.json({
+      messages: rows.map(summarize),
+      total: count,
+      page: Number(page),
+      pages: Math.ceil(count / limit)
+    })
+  } catch (error) {
+    console.error('Get messages error:', error)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// @route   GET /api/admin/messages/stats
+// @desc    Count messages by status (optionally for one batch, e.g. a newsletter send)
+// @access  Admin
+router.get('/stats', adminProtect, requirePermission('messages', 'view'), async (req, res) => {
+  try {
+    const { batchId } = req.query
+    res.json(await getQueueStats(batchId ? { batchId } : {}))
+  } catch (error) {
+    console.error('Get message stats error:', error)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// @route   POST /api/admin/messages/retry-dead
+// @desc    Retry every failed message (optionally of one channel or batch)
+// @access  Admin
+router.post('/retry-dead', adminProtect, requirePermission('messages', 'retry'), async (req, res) => {
+  try {
+    const { channel, batchId } = req.body
+    const where = { status: 'dead' }
+    if (channel) where.channel = channel
+    if (batchId) where.batchId = batchId
+
+    const [retried] = await MessageJob.update(
+      { status: 'pending', attempts: 0, runAt: new Date() },
+      { where }
+    )
+
+    res.json({ message: `${retried} message(s) queued again`, retried })
+  } catch (error) {
+    console.error('Retry failed messages error:', error)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// @route   GET /api/admin/messages/:id
+// @desc    Get a message with its rendered content and attempt log
+// @access  Admin
+router.get('/:id', adminProtect, requirePermission('messages', 'view'), async (req, res) => {
+  try {
+    const job = await MessageJob.findByPk(req.params.id)
+    if (!job) {
+      return res.status(404).json({ message: 'Message not found' })
+    }
+
+    res.json(job)
+  } catch (error) {
+    console.error('Get message error:', error)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// @route   POST /api/admin/messages/:id/retry
+// @desc    Retry a failed message
+// @access  Admin
+router.post('/:id/retry', adminProtect, requirePermission('messages', 'retry'), async (req, res) => {
+  try {
+    const job = await retryJob(req.params.id)
+    res.json(summarize(job))
+  } catch (error) {
+    if (error.name === 'QueueError') {
+      return res.status(error.statusCode).json({ message: error.message })
+    }
+    console.error('Retry message error:', error)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+export default router
@@ -1,7 +1,7 @@
 import express from 'express'
 import { Op } from 'sequelize'
 import NewArrival from '../models/NewArrival.js'
-import { adminProtect } from '../middleware/adminAuth.js'
+import { adminProtect, requirePermission } from '../middleware/adminAuth.js'
 import upload from '../middleware/upload.js'
 
 const router = express.Router()
@@ -28,7 +28,7 @@ router.get('/', async (req, res) => {
 // @route   GET /api/admin/new-arrivals
 // @desc    Get all new arrivals (admin)
 // @access  Admin
-router.get('/all', adminProtect, async (req, res) => {
+router.get('/all', adminProtect, requirePermission('content', 'view'), async (req, res) => {
   try {
     const arrivals = await NewArrival.findAll({
       order: [['position', 'ASC'], ['createdAt', 'DESC']]
@@ -44,7 +44,7 @@ router.get('/all', adminProtect, async (req, res) => {
 // @route   POST /api/admin/new-arrivals
 // @desc    Create new arrival
 // @access  Admin
-router.post('/create', adminProtect, upload.single('image'), async (req, res) => {
+router.post('/create', adminProtect, requirePermission('content', 'create'), upload.single('image'), async (req, res) => {
   try {
     const { title, description, price, originalPrice, link, position } = req.body
     
@@ -87,7 +87,7 @@ router.post('/create', adminProtect, upload.single('image'), async (req, res) =>
 // @route   PUT /api/admin/new-arrivals/:id
 // @desc    Update new arrival
 // @access  Admin
-router.put('/update/:id', adminProtect, upload.single('image'), async (req, res) => {
+router.put('/update/:id', adminProtect, requirePermission('content', 'update'), upload.single('image'), async (req, res) => {
   try {
     const arrival = await NewArrival.findByPk(req.params.id)
     if (!arrival) {
@@ -123,7 +123,7 @@ router.put('/update/:id', adminProtect, upload.single('image'), async (req, res)
 // @route   DELETE /api/admin/new-arrivals/:id
 // @desc    Delete new arrival
 // @access  Admin
-router.delete('/delete/:id', adminProtect, async (req, res) => {
+router.delete('/delete/:id', adminProtect, requirePermission('content', 'delete'), async (req, res) => {
   try {
     const arrival = await NewArrival.findByPk(req.params.id)
     if (!arrival) {
@@ -141,7 +141,7 @@ router.delete('/delete/:id', adminProtect, async (req, res) => {
 // @route   PUT /api/admin/new-arrivals/:id/position
 // @desc    Update new arrival position
 // @access  Admin
-router.put('/position/:id', adminProtect, async (req, res) => {
+router.put('/position/:id', adminProtect, requirePermission('content', 'update'), async (req, res) => {
   try {
     const { position } = req.body
     const arrival = await NewArrival.findByPk(req.params.id)
@@ -162,7 +162,7 @@ router.put('/position/:id', adminProtect, async (req, res) => {
 // @route   PUT /api/admin/new-arrivals/:id/visibility
 // @desc    Toggle new arrival visibility
 // @access  Admin
-router.put('/visibility/:id', adminProtect, async (req, res) => {
+router.put('/visibility/:id', adminProtect, requirePermission('content', 'update'), async (req, res) => {
   try {
     const arrival = await NewArrival.findByPk(req.params.id)
     if (!arrival) {
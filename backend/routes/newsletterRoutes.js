@@ -2,9 +2,10 @@ import express from 'express'
 import { Op } from 'sequelize'
 import NewsletterSubscriber from '../models/NewsletterSubscriber.js'
 import User from '../models/User.js'
-import { adminProtect } from '../middleware/adminAuth.js'
+import { adminProtect, requirePermission } from '../middleware/adminAuth.js'
 import { protect } from '../middleware/auth.js'
-import { sendEmail } from '../services/emailService.js'
+import { renderEmail, getActiveTemplate, getStoreName } from '../services/emailTemplateService.js'
+import { enqueueMessages } from '../services/messageQueueService.js'
 
 const router = express.Router()
 
@@ -82,7 +83,7 @@ router.post('/unsubscribe', async (req, res) => {
 // @route   GET /api/newsletter/subscribers
 // @desc    Get all subscribers (admin)
 // @access  Admin
-router.get('/subscribers', adminProtect, async (req, res) => {
+router.get('/subscribers', adminProtect, requirePermission('newsletter', 'view'), async (req, res) => {
   try {
     const { search, status, page = 1, limit = 20 } = req.query
     const where = {}
@@ -121,7 +122,7 @@ router.get('/subscribers', adminProtect, async (req, res) => {
 // @route   POST /api/newsletter/send
 // @desc    Send newsletter (admin)
 // @access  Admin
-router.post('/send', adminProtect, async (req, res) => {
+router.post('/send', adminProtect, requirePermission('newsletter', 'send'), async (req, res) => {
   try {
     const { subject, content } = req.body
 
@@ -138,47 +139,37 @@ router.post('/send', adminProtect, async (req, res) => {
       return res.status(400).json({ message: 'No active newsletter subscribers found' })
     }
 
-    const sendResults = await Promise.allSettled(
-      subscribers.map(subscriber => {
-        const html = `
-          <div style="font-family: Arial, Helvetica, sans-serif; line-height: 1.6; color: #1f2933;">
-            <p>Dear ${subscriber.name || 'fashion enthusiast'},</p>
-            ${content}
-            <p style="margin-top: 1.5rem; font-size: 0.9rem; color: #475569;">
-              You are receiving this email because you subscribed to the Arudhra Fashions newsletter.
-              If you wish to unsubscribe, please reply to this email with “unsubscribe.”
-            </p>
-          </div>
-        `
-        return sendEmail({
-          to: subscriber.email,
-          subject,
-          html
-        })
+    // One template for the whole run; each subscriber gets their own greeting.
+    // The emails are queued, so the request returns at once and failed sends are retried.
+    const template = await getActiveTemplate('newsletter')
+    const storeName = await getStoreName()
+    const batchId = `NL-${Date.now()}-${Math.random().toString(36).substr(2, 6).toUpperCase()}`
+
+    const messages = []
+    for (const subscriber of subscribers) {
+      const email = await renderEmail('newsletter', {
+        storeName,
+        subscriberName: subscriber.name || 'fashion enthusiast',
+        subscriberEmail: subscriber.email,
+        subject,
+        content
+      }, { template })
+      messages.push({
+        channel: 'email',
+        kind: 'newsletter',
+        to: subscriber.email,
+        payload: { subject: email.subject, html: email.html },
+        batchId,
+        metadata: { subscriberId: subscriber.id }
       })
-    )
-
-    const successful = []
-    const failed = []
-    sendResults.forEach((result, index) => {
-      const email = subscribers[index].email
-      if (result.status === 'fulfilled' && result.value?.success) {
-        successful.push(email)
-      } else {
-        failed.push({
-          email,
-          error: (result.value && result.value.message) || (result.reason && result.reason.message) || 'Unknown error'
-        })
-      }
-    })
+    }
+    await enqueueMessages(messages)
 
     res.json({
-      message: `Newsletter send job completed`,
+      message: `Newsletter queued for ${messages.length} subscriber(s)`,
+      batchId,
       requested: subscribers.length,
-      sent: successful.length,
-      failed: failed.length,
-      failedDetails: failed,
-      successful: successful.slice(0, 10) // limit payload
+      queued: messages.length
     })
   } catch (error) {
     console.error('Send newsletter error:', error)
@@ -189,7 +180,7 @@ router.post('/send', adminProtect, async (req, res) => {
 // @route   DELETE /api/newsletter/subscribers/:id
 // @desc    Remove subscriber (admin)
 // @access  Admin
-router.delete('/subscribers/:id', adminProtect, async (req, res) => {
+router.delete('/subscribers/:id', adminProtect, requirePermission('newsletter', 'delete'), async (req, res) => {
   try {
     const subscriber = await NewsletterSubscriber.findByPk(req.params.id)
     if (!subscriber) {
@@ -1,280 +1,171 @@
 import express from 'express'
 import { Op } from 'sequelize'
 import Order from '../models/Order.js'
-import Cart from '../models/Cart.js'
 import User from '../models/User.js'
-import Coupon from '../models/Coupon.js'
-import CouponUsage from '../models/CouponUsage.js'
-import Discount from '../models/Discount.js'
-import CoinTransaction from '../models/CoinTransaction.js'
-import Setting from '../models/Setting.js'
-import { protect } from '../middleware/auth.js'
+import { protect, protectOrGuest } from '../middleware/auth.js'
+import { rateLimit } from '../middleware/rateLimit.js'
+import { createOrderFromCart } from '../services/orderService.js'
+import {
+  hashGuestToken,
+  findOrderByReference,
+  orderMatchesEmail,
+  getOrderLookupMobile,
+  toOrderLookupView
+} from '../services/guestCheckoutService.js'
+import { requestOtp, verifyOtp } from '../services/otpService.js'
+import { CUSTOMER_CANCELLABLE_STATUSES, transitionOrder } from '../services/orderLifecycleService.js'
+import { razorpayRequest, verifyPaymentSignature } from '../services/razorpayService.js'
 import { generateInvoicePDF } from '../utils/invoiceGenerator.js'
-import { sendEmailWithPDF, sendOrderConfirmationEmail } from '../services/emailService.js'
+import { sendInvoiceEmail } from '../services/emailService.js'
 import path from 'path'
 import { fileURLToPath } from 'url'
 import { dirname } from 'path'
 import fs from 'fs'
-import crypto from 'crypto'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = dirname(__filename)
 
 const router = express.Router()
 
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+// Reasons offered in the customer's cancel dialog
+const CANCELLATION_REASONS = [
+  'Ordered by mistake',
+  'Found a better price elsewhere',
+  'Delivery is taking too long',
+  'Want to change size or colour',
+  'Want to change the delivery address',
+  'Other'
+]
+
+// Rate-limit account key for order lookups: the order ID or tracking number asked about
+const orderReferenceFromBody = (req) => {
+  const value = req.body?.orderId
+  return typeof value === 'string' && value.trim() ? value.trim().toUpperCase() : null
+}
+
+const LOOKUP_NOT_FOUND = 'We could not find an order with those details'
+
 // @route   POST /api/orders
-// @desc    Create new order
-// @access  Private
-router.post('/', protect, async (req, res) => {
+// @desc    Create new order (guests send X-Guest-Token and an email and mobile in shippingAddress)
+// @access  Private or guest
+router.post('/', protectOrGuest, async (req, res) => {
   try {
-    const { shippingAddress, payment, shippingMethod, couponCode, discountCode, discount, discountDiscount, coinsRedeemed } = req.body
+    // The amount paid only ever comes from Razorpay
+    const { amountPaid, ...payment } = req.body.payment || {}
+    let paymentVerified = false
 
     // Verify Razorpay payment if provided
-    if (payment.razorpayPaymentId && payment.razorpayOrderId && payment.razorpaySignature) {
-      const RAZORPAY_KEY_SECRET = process.env.RAZORPAY_KEY_SECRET
-      if (!RAZORPAY_KEY_SECRET) {
+    if (payment.razorpayPaymentId || payment.razorpaySignature) {
+      if (!payment.razorpayPaymentId || !payment.razorpayOrderId || !payment.razorpaySignature) {
+        return res.status(400).json({ message: 'Incomplete payment details' })
+      }
+
+      if (!process.env.RAZORPAY_KEY_SECRET) {
         return res.status(500).json({ message: 'Payment gateway configuration missing' })
       }
 
       // Verify signature
-      const text = `${payment.razorpayOrderId}|${payment.razorpayPaymentId}`
-      const generatedSignature = crypto
-        .createHmac('sha256', RAZORPAY_KEY_SECRET)
-        .update(text)
-        .digest('hex')
-
-      if (generatedSignature !== payment.razorpaySignature) {
+      if (!verifyPaymentSignature(payment)) {
         return res.status(400).json({ message: 'Invalid payment signature' })
       }
 
       // Verify payment status with Razorpay
       try {
-        const paymentResponse = await fetch(`https://api.razorpay.com/v1/payments/${payment.razorpayPaymentId}`, {
-          headers: {
-            'Authorization': `Basic ${Buffer.from(`${process.env.RAZORPAY_KEY_ID}:${RAZORPAY_KEY_SECRET}`).toString('base64')}`
-          }
-        })
-
-        if (!paymentResponse.ok) {
-          return res.status(400).json({ message: 'Payment verification failed' })
-        }
-
-        const paymentDetails = await paymentResponse.json()
+        const paymentDetails = await razorpayRequest(`/payments/${payment.razorpayPaymentId}`)
         if (paymentDetails.status !== 'captured' && paymentDetails.status !== 'authorized') {
           return res.status(400).json({ message: 'Payment not completed' })
         }
+        if (paymentDetails.order_id !== payment.razorpayOrderId) {
+          return res.status(400).json({ message: 'Payment does not belong to this order' })
+        }
+        payment.amountPaid = paymentDetails.amount / 100
+        paymentVerified = true
       } catch (err) {
         console.error('Razorpay verification error:', err)
-        return res.status(500).json({ message: 'Payment verification failed' })
+        return res.status(err.name === 'RazorpayError' ? 400 : 500).json({ message: 'Payment verification failed' })
       }
     }
 
-    // Get user cart
-    const cart = await Cart.findOne({ where: { userId: req.user.id } })
-    if (!cart || !cart.items || cart.items.length === 0) {
-      return res.status(400).json({ message: 'Cart is empty' })
-    }
-
-    // Calculate totals
-    const subtotal = cart.items.reduce((sum, item) => sum + (parseFloat(item.price) * item.quantity), 0)
-    let shippingCost = 0
-    if (shippingMethod === 'standard') shippingCost = 100
-    else if (shippingMethod === 'express') shippingCost = 200
-    else if (subtotal < 2000) shippingCost = 100
-
-    const appliedCouponDiscount = discount || 0
-    const appliedDiscountDiscount = discountDiscount || 0
-    const totalDiscount = appliedCouponDiscount + appliedDiscountDiscount
-    const tax = (subtotal - totalDiscount) * 0.18
-    const total = subtotal - totalDiscount + shippingCost + tax
-
-    // Generate order ID and tracking
-    const orderId = `ORD-${Date.now()}-${Math.random().toString(36).substr(2, 6).toUpperCase()}`
-    const tracking = `TRACK${Date.now()}${Math.random().toString(36).substr(2, 6).toUpperCase()}`
-
-    // Validate coupon usage if coupon code is provided
-    if (couponCode) {
-      const coupon = await Coupon.findOne({
-        where: { code: couponCode.toUpperCase() }
+    // The payment webhook may already have created this order; return it instead of a duplicate
+    const { order, created } = req.user
+      ? await createOrderFromCart(req.user.id, { ...req.body, payment }, { paymentVerified })
+      : await createOrderFromCart(null, { ...req.body, payment }, {
+        guestTokenHash: req.guestToken ? hashGuestToken(req.guestToken) : null,
+        paymentVerified
       })
 
-      if (coupon) {
-        // Check per-user usage limit
-        if (coupon.usageLimit) {
-          const userUsageCount = await CouponUsage.count({
-            where: {
-              couponId: coupon.id,
-              userId: req.user.id
-            }
-          })
-
-          if (userUsageCount >= coupon.usageLimit) {
-            return res.status(400).json({ 
-              message: `You have reached the usage limit for this coupon. You can use it ${coupon.usageLimit} time${coupon.usageLimit > 1 ? 's' : ''} per account.` 
-            })
-          }
-        }
-      }
+    res.status(created ? 201 : 200).json(order)
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message, ...(error.details || {}) })
     }
+    console.error('Create order error:', error)
+    res.status(500).json({ message: error.message || 'Server error' })
+  }
+})
 
-    // Validate discount usage if discount code is provided
-    if (discountCode) {
-      const discount = await Discount.findOne({
-        where: { code: discountCode.toUpperCase() }
-      })
-
-      if (discount) {
-        // Check global usage limit
-        if (discount.usageLimit && discount.used >= discount.usageLimit) {
-          return res.status(400).json({ 
-            message: 'Discount usage limit reached' 
-          })
-        }
-      }
+// @route   POST /api/orders/lookup/otp
+// @desc    Send a code to the mobile an order was placed with, to look the order up
+//          (also counts towards the otpRequest limit, as it sends an SMS)
+// @access  Public
+router.post('/lookup/otp', rateLimit('orderLookup', { accountKey: orderReferenceFromBody }), rateLimit('otpRequest'), async (req, res) => {
+  try {
+    const order = await findOrderByReference(req.body.orderId)
+    const mobile = order ? await getOrderLookupMobile(order) : null
+    if (!mobile) {
+      return res.status(404).json({ message: LOOKUP_NOT_FOUND })
     }
 
-    // Create order
-    const order = await Order.create({
-      orderId,
-      userId: req.user.id,
-      items: cart.items.map(item => ({
-        product: item.product,
-        name: item.name,
-        image: item.image,
-        price: item.price,
-        quantity: item.quantity,
-        size: item.size,
-        color: item.color
-      })),
-      shippingAddress,
-      payment: {
-        ...payment,
-        status: payment.razorpayPaymentId ? 'paid' : 'pending'
-      },
-      subtotal,
-      discount: totalDiscount,
-      shippingCost,
-      tax,
-      total,
-      tracking,
-      couponCode: couponCode || null,
-      discountCode: discountCode || null,
-      coinsRedeemed: coinsRedeemed || 0,
-      status: payment.razorpayPaymentId ? 'Processing' : 'Pending Payment',
-      statusHistory: [{
-        status: payment.razorpayPaymentId ? 'Processing' : 'Pending Payment',
-        date: new Date(),
-        note: payment.razorpayPaymentId ? 'Order placed and payment received' : 'Order placed, awaiting payment'
-      }]
+    const { expiresAt, resendAfter } = await requestOtp(mobile, 'order_lookup')
+    res.json({
+      message: `We have sent a verification code to the mobile number ending ${mobile.slice(-4)}`,
+      expiresAt,
+      resendAfter
     })
-
-    // Record coupon usage if coupon was used
-    if (couponCode) {
-      const coupon = await Coupon.findOne({
-        where: { code: couponCode.toUpperCase() }
-      })
-
-      if (coupon) {
-        // Create coupon usage record
-        await CouponUsage.create({
-          couponId: coupon.id,
-          userId: req.user.id,
-          orderId: order.orderId
-        })
-
-        // Increment coupon used count
-        coupon.used = (coupon.used || 0) + 1
-        await coupon.save()
-      }
-    }
-
-    // Record discount usage if discount was used
-    if (discountCode) {
-      const discount = await Discount.findOne({
-        where: { code: discountCode.toUpperCase() }
-      })
-
-      if (discount) {
-        // Increment discount used count
-        discount.used = (discount.used || 0) + 1
-        await discount.save()
-      }
+  } catch (error) {
+    if (error.name === 'OtpError') {
+      return res.status(error.statusCode).json({ message: error.message })
     }
+    console.error('Order lookup OTP error:', error)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
 
-    // Clear cart
-    cart.items = []
-    await cart.save()
-
-    // Award coins based on purchase amount (only if payment is successful)
-    if (payment.razorpayPaymentId && total > 0) {
-      try {
-        // Get coin earning rules
-        const earningRule = await Setting.findOne({ where: { key: 'coin_earning_rule' } })
-        const defaultRule = { threshold: 5000, coins: 10 }
-        const rule = earningRule ? JSON.parse(earningRule.value) : defaultRule
-
-        // Check if order qualifies for coins
-        if (total >= rule.threshold) {
-          const user = await User.findByPk(req.user.id)
-          if (user) {
-            const coinsToAward = rule.coins
-            const newBalance = (user.coins || 0) + coinsToAward
-            
-            user.coins = newBalance
-            await user.save()
-
-            // Create coin transaction record
-            await CoinTransaction.create({
-              userId: user.id,
-              type: 'earned',
-              amount: coinsToAward,
-              balanceAfter: newBalance,
-              description: `Earned from order ${order.orderId}`,
-              orderId: order.orderId,
-              metadata: {
-                orderTotal: total,
-                threshold: rule.threshold
-              }
-            })
-          }
-        }
-      } catch (coinError) {
-        // Don't fail order creation if coin awarding fails
-        console.error('Error awarding coins:', coinError)
-      }
+// @route   POST /api/orders/lookup
+// @desc    Look an order up by its order ID or tracking number with the email it was placed
+//          with, or with a code from POST /api/orders/lookup/otp
+// @access  Public
+router.post('/lookup', rateLimit('orderLookup', { accountKey: orderReferenceFromBody }), async (req, res) => {
+  try {
+    const { email, otp } = req.body
+    if (!email && !otp) {
+      return res.status(400).json({ message: 'Please enter the email address used for the order or the code we sent you' })
     }
 
-    // Handle coin redemption if coins were used
-    if (req.body.coinsRedeemed && req.body.coinsRedeemed > 0) {
-      try {
-        const user = await User.findByPk(req.user.id)
-        if (user && user.coins >= req.body.coinsRedeemed) {
-          // Coins are already redeemed via coin redemption endpoint before order creation
-          // This is just a safety check/log
-          console.log(`Coins redeemed for order ${order.orderId}: ${req.body.coinsRedeemed}`)
-        }
-      } catch (coinError) {
-        console.error('Error processing coin redemption:', coinError)
-      }
+    const order = await findOrderByReference(req.body.orderId)
+    if (!order) {
+      return res.status(404).json({ message: LOOKUP_NOT_FOUND })
     }
 
-    // Send order confirmation email (non-blocking)
-    try {
-      const user = await User.findByPk(req.user.id)
-      if (user) {
-        if (user.email || shippingAddress?.email) {
-          await sendOrderConfirmationEmail(order, { ...user.toJSON(), email: user.email || shippingAddress?.email })
-        }
+    if (otp) {
+      const mobile = await getOrderLookupMobile(order)
+      if (!mobile) {
+        return res.status(404).json({ message: LOOKUP_NOT_FOUND })
       }
-    } catch (emailError) {
-      // Don't fail order creation if email fails
-      console.error('Error sending order confirmation email:', emailError)
+      await verifyOtp(mobile, 'order_lookup', otp)
+    } else if (!(await orderMatchesEmail(order, email))) {
+      return res.status(404).json({ message: LOOKUP_NOT_FOUND })
     }
 
-    res.status(201).json(order)
+    res.json(toOrderLookupView(order))
   } catch (error) {
-    console.error('Create order error:', error)
-    res.status(500).json({ message: error.message || 'Server error' })
+    if (error.name === 'OtpError') {
+      return res.status(error.statusCode).json({ message: error.message })
+    }
+    console.error('Order lookup error:', error)
+    res.status(500).json({ message: 'Server error' })
   }
 })
 
@@ -322,6 +213,54 @@ router.get('/:id', protect, async (req, res) => {
   }
 })
 
+// @route   POST /api/orders/:id/cancel
+// @desc    Cancel an order that has not shipped yet (stock, coins, coupon and payment are given back)
+// @access  Private
+router.post('/:id/cancel', protect, async (req, res) => {
+  try {
+    const { reason, comment } = req.body
+
+    if (!CANCELLATION_REASONS.includes(reason)) {
+      return res.status(400).json({ message: 'Please choose a reason for cancelling' })
+    }
+    if (reason === 'Other' && !comment?.trim()) {
+      return res.status(400).json({ message: 'Please tell us why you are cancelling' })
+    }
+
+    // A UUID is the order's id, anything else its order number
+    const lookup = UUID_PATTERN.test(req.params.id) ? { id: req.params.id } : { orderId: req.params.id }
+    const order = await Order.findOne({
+      where: { ...lookup, userId: req.user.id }
+    })
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' })
+    }
+
+    if (!CUSTOMER_CANCELLABLE_STATUSES.includes(order.status)) {
+      return res.status(400).json({
+        message: order.status === 'Cancelled'
+          ? 'This order is already cancelled'
+          : 'Orders can only be cancelled before they are shipped'
+      })
+    }
+
+    const detail = comment?.trim() ? `${reason} - ${comment.trim().slice(0, 500)}` : reason
+    await transitionOrder(order, 'Cancelled', {
+      actor: { type: 'customer', id: req.user.id, name: req.user.name || null },
+      note: `Cancelled by customer: ${detail}`
+    })
+
+    res.json(order)
+  } catch (error) {
+    if (error.name === 'OrderStatusError') {
+      return res.status(error.statusCode).json({ message: error.message })
+    }
+    console.error('Cancel order error:', error)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
 // @route   GET /api/orders/:id/invoice
 // @desc    Download invoice PDF
 // @access  Private
@@ -408,25 +347,11 @@ router.post('/:id/send-invoice', protect, async (req, res) => {
       message: ''
     }
 
-    const emailResult = await sendEmailWithPDF({
-      to: hasEmail,
-      subject: `Invoice for Order ${order.orderId} - Arudhra Fashions`,
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h2 style="color: #333;">Invoice for Order ${order.orderId}</h2>
-          <p>Dear ${user.name || 'Customer'},</p>
-          <p>Please find attached your invoice for order <strong>${order.orderId}</strong>.</p>
-          <p><strong>Order Total:</strong> ₹${parseFloat(order.total || 0).toFixed(2)}</p>
-          <p>Thank you for shopping with Arudhra Fashions!</p>
-        </div>
-      `,
-      pdfPath: invoicePath,
-      pdfName: `invoice-${order.orderId}.pdf`
-    })
+    const emailResult = await sendInvoiceEmail(order, user, invoicePath)
 
     results.emailSent = emailResult.success
     if (emailResult.success) {
-      results.message = 'Invoice sent via email'
+      results.message = 'Invoice queued for email delivery'
     } else {
       results.message = emailResult.message || 'Failed to send email'
     }
@@ -1,6 +1,13 @@
 import express from 'express'
 import User from '../models/User.js'
-import { protect } from '../middleware/auth.js'
+import Cart from '../models/Cart.js'
+import PaymentSession from '../models/PaymentSession.js'
+import { protect, protectOrGuest } from '../middleware/auth.js'
+import { isRazorpayConfigured, razorpayRequest } from '../services/razorpayService.js'
+import { calculateOrderPricing, assertClientPricing, summarizePricing } from '../services/pricingService.js'
+import { holdCoins, releaseCoinHold } from '../services/coinService.js'
+import { hashGuestToken, getGuestContact } from '../services/guestCheckoutService.js'
+import { sequelize } from '../config/db.js'
 import crypto from 'crypto'
 
 const router = express.Router()
@@ -22,47 +29,143 @@ router.get('/', protect, async (req, res) => {
   }
 })
 
+// The signed-in customer's or guest's side of a checkout payment
+const paymentOwner = (req) => (req.user
+  ? { userId: req.user.id }
+  : { userId: null, guestTokenHash: req.guestToken ? hashGuestToken(req.guestToken) : null })
+
 // @route   POST /api/payment-methods/razorpay/order
-// @desc    Create Razorpay order for payment method tokenization
-// @access  Private
-router.post('/razorpay/order', protect, async (req, res) => {
+// @desc    Create Razorpay order (checkout payment or payment method tokenization)
+// @access  Private, or guest (X-Guest-Token) for checkout payments
+router.post('/razorpay/order', protectOrGuest, async (req, res) => {
   try {
-    const { amount, currency, receipt } = req.body
+    const { amount, currency, receipt, checkout } = req.body
+    const owner = paymentOwner(req)
 
-    if (!RAZORPAY_KEY_ID || !RAZORPAY_KEY_SECRET) {
+    // Only checkout payments can be made without an account
+    if (!req.user && !checkout) {
+      return res.status(401).json({ message: 'Not authorized, no token' })
+    }
+
+    if (!isRazorpayConfigured()) {
       return res.status(500).json({ message: 'Razorpay configuration missing' })
     }
 
+    // For checkout payments the amount comes from the server's own pricing of the cart,
+    // not from the browser
+    let chargeAmount = amount
+    let pricing = null
+    if (checkout) {
+      const cartOwner = req.user ? { userId: req.user.id } : { guestTokenHash: owner.guestTokenHash }
+      const cart = req.user || owner.guestTokenHash ? await Cart.findOne({ where: cartOwner }) : null
+      if (!cart || !cart.items || cart.items.length === 0) {
+        return res.status(400).json({ message: 'Cart is empty' })
+      }
+      // Check a guest's contact details before they pay, not when the order is created
+      if (!req.user) {
+        getGuestContact(checkout.shippingAddress)
+      }
+
+      pricing = await calculateOrderPricing({
+        userId: owner.userId,
+        isGuest: !req.user,
+        items: cart.items,
+        shippingMethod: checkout.shippingMethod,
+        pinCode: checkout.shippingAddress?.zipCode,
+        shippingState: checkout.shippingAddress?.state,
+        couponCode: checkout.couponCode,
+        discountCode: checkout.discountCode,
+        coinsRedeemed: checkout.coinsRedeemed
+      })
+      assertClientPricing(pricing, checkout)
+      chargeAmount = pricing.total
+    }
+
     // Create order using Razorpay API
     const orderData = {
-      amount: amount * 100, // Convert to paise
+      amount: Math.round(chargeAmount * 100), // Convert to paise
       currency: currency || 'INR',
       receipt: receipt || `pm_${Date.now()}`,
-      payment_capture: 1
+      payment_capture: 1,
+      notes: {
+        userId: owner.userId || 'guest',
+        purpose: checkout ? 'checkout' : 'payment_method'
+      }
     }
 
-    const response = await fetch('https://api.razorpay.com/v1/orders', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Basic ${Buffer.from(`${RAZORPAY_KEY_ID}:${RAZORPAY_KEY_SECRET}`).toString('base64')}`
-      },
-      body: JSON.stringify(orderData)
-    })
-
-    if (!response.ok) {
-      const error = await response.json()
-      throw new Error(error.error?.description || 'Failed to create Razorpay order')
+    if (!checkout) {
+      const order = await razorpayRequest('/orders', { method: 'POST', body: orderData })
+      return res.json({
+        orderId: order.id,
+        amount: order.amount,
+        currency: order.currency
+      })
     }
 
-    const order = await response.json()
-    res.json({ orderId: order.id, amount: order.amount, currency: order.currency })
+    // Hold the redeemed coins while the customer pays; if Razorpay refuses the order nothing is held
+    const order = await sequelize.transaction(async (transaction) => {
+      const razorpayOrder = await razorpayRequest('/orders', { method: 'POST', body: orderData })
+
+      if (pricing.coinDiscount > 0) {
+        await holdCoins({
+          userId: owner.userId,
+          amount: parseInt(checkout.coinsRedeemed),
+          reference: razorpayOrder.id
+        }, { transaction })
+      }
+
+      // Remember the checkout so the payment webhook can create the order if the browser never returns
+      await PaymentSession.create({
+        razorpayOrderId: razorpayOrder.id,
+        ...owner,
+        amount: razorpayOrder.amount / 100,
+        currency: razorpayOrder.currency,
+        checkout
+      }, { transaction })
+
+      return razorpayOrder
+    })
+
+    res.json({
+      orderId: order.id,
+      amount: order.amount,
+      currency: order.currency,
+      pricing: summarizePricing(pricing)
+    })
   } catch (error) {
+    if (['PricingError', 'ShippingError', 'CoinError', 'GuestCheckoutError'].includes(error.name)) {
+      return res.status(error.statusCode).json({ message: error.message, ...(error.details || {}) })
+    }
     console.error('Create Razorpay order error:', error)
     res.status(500).json({ message: error.message || 'Server error' })
   }
 })
 
+// @route   POST /api/payment-methods/razorpay/order/:id/release
+// @desc    Give back the coins held for a checkout payment the customer closed or that failed
+// @access  Private or guest (X-Guest-Token)
+router.post('/razorpay/order/:id/release', protectOrGuest, async (req, res) => {
+  try {
+    const owner = paymentOwner(req)
+    const session = owner.userId || owner.guestTokenHash
+      ? await PaymentSession.findOne({ where: { razorpayOrderId: req.params.id, ...owner } })
+      : null
+    if (!session) {
+      return res.status(404).json({ message: 'Payment not found' })
+    }
+    // A completed payment keeps its coins; the order commits them. Guests never hold coins.
+    if (session.status === 'paid' || session.orderId || !session.userId) {
+      return res.json({ released: 0 })
+    }
+
+    const released = await releaseCoinHold(session.razorpayOrderId, { userId: session.userId })
+    res.json({ released })
+  } catch (error) {
+    console.error('Release coin hold error:', error)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
 // @route   POST /api/payment-methods/razorpay/verify
 // @desc    Verify Razorpay payment and save payment method
 // @access  Private
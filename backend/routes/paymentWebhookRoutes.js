@@ -0,0 +1,37 @@
+import express from 'express'
+import crypto from 'crypto'
+import { verifyWebhookSignature } from '../services/razorpayService.js'
+import { processRazorpayWebhook } from '../services/razorpayWebhookService.js'
+
+const router = express.Router()
+
+// @route   POST /api/payments/razorpay/webhook
+// @desc    Receive Razorpay payment and refund events
+// @access  Public (authenticated by X-Razorpay-Signature)
+router.post('/razorpay/webhook', async (req, res) => {
+  try {
+    if (!process.env.RAZORPAY_WEBHOOK_SECRET) {
+      console.error('Razorpay webhook received but RAZORPAY_WEBHOOK_SECRET is not set')
+      return res.status(500).json({ message: 'Webhook not configured' })
+    }
+
+    // The signature covers the exact bytes Razorpay sent, captured by express.json in server.js
+    if (!verifyWebhookSignature(req.rawBody, req.headers['x-razorpay-signature'])) {
+      return res.status(400).json({ message: 'Invalid webhook signature' })
+    }
+
+    const eventId = req.headers['x-razorpay-event-id'] ||
+      `body_${crypto.createHash('sha256').update(req.rawBody).digest('hex')}`
+
+    const result = await processRazorpayWebhook(eventId, req.body)
+    console.log(`Razorpay webhook ${req.body?.event} (${eventId}): ${result.status}`, result.orderId || '')
+
+    res.json({ received: true, ...result })
+  } catch (error) {
+    // A non-2xx response makes Razorpay retry the delivery
+    console.error('Razorpay webhook error:', error)
+    res.status(500).json({ message: 'Webhook processing failed' })
+  }
+})
+
+export default router
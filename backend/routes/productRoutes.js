@@ -4,179 +4,43 @@ import Product from '../models/Product.js'
 import Category from '../models/Category.js'
 import Subcategory from '../models/Subcategory.js'
 import { optionalAuth } from '../middleware/auth.js'
+import { normalizeSearch, searchCondition, searchRank, suggestCorrection } from '../services/searchService.js'
+import { buildCatalogFilters, catalogWhere, catalogOrder, getCatalogFacets } from '../services/catalogService.js'
 
 const router = express.Router()
 
 // @route   GET /api/products
-// @desc    Get all products with filters
+// @desc    Get all products with filters, sorting and (facets=true) facet counts
 // @access  Public
 router.get('/', optionalAuth, async (req, res) => {
   try {
     const {
       category,
       subcategory,
-      minPrice,
-      maxPrice,
-      sizes,
-      colors,
-      onSale,
-      featured,
-      new: newProducts,
       search,
+      exact,
+      sort,
+      facets,
       page = 1,
       limit = 20
     } = req.query
 
-    // Build filter object
-    const where = { isActive: true }
-
-    // Handle category filter (by slug or name)
-    if (category) {
-      const categoryLower = category.toLowerCase()
-      const categoryRecord = await Category.findOne({
-        where: { 
-          [Op.or]: [
-            { slug: categoryLower },
-            { name: { [Op.iLike]: `%${category}%` } }
-          ],
-          isActive: true 
-        }
-      })
-      if (categoryRecord) {
-        where.categoryId = categoryRecord.id
-      } else {
-        // Return empty if category not found
-        console.log(`Category not found: ${category}`)
-        return res.json({
-          products: [],
-          page: Number(page),
-          pages: 0,
-          total: 0
-        })
-      }
-    }
-
-    // Handle subcategory filter (by slug or name)
-    if (subcategory) {
-      const subcategoryLower = subcategory.toLowerCase()
-      const subcategoryRecord = await Subcategory.findOne({
-        where: { 
-          [Op.or]: [
-            { slug: subcategoryLower },
-            { name: { [Op.iLike]: `%${subcategory}%` } }
-          ],
-          isActive: true 
-        }
+    const { conditions, notFound } = await buildCatalogFilters(req.query)
+    if (notFound) {
+      // Return empty if the category or subcategory does not exist
+      console.log(`${notFound} not found`)
+      return res.json({
+        products: [],
+        page: Number(page),
+        pages: 0,
+        total: 0
       })
-      if (subcategoryRecord) {
-        where.subcategoryId = subcategoryRecord.id
-      } else {
-        // Return empty if subcategory not found
-        console.log(`Subcategory not found: ${subcategory}`)
-        return res.json({
-          products: [],
-          page: Number(page),
-          pages: 0,
-          total: 0
-        })
-      }
-    }
-
-    if (minPrice || maxPrice) {
-      where.price = {}
-      if (minPrice) where.price[Op.gte] = Number(minPrice)
-      if (maxPrice) where.price[Op.lte] = Number(maxPrice)
-    }
-
-    if (sizes) {
-      const sizeArray = Array.isArray(sizes) ? sizes : [sizes]
-      where.sizes = { [Op.contains]: sizeArray }
-    }
-
-    if (colors) {
-      const colorArray = Array.isArray(colors) ? colors : [colors]
-      // For JSONB array, check if colors array contains any of the specified colors
-      const colorConditions = colorArray.map(color => ({
-        colors: {
-          [Op.contains]: [{ name: color }]
-        }
-      }))
-      
-      if (colorConditions.length === 1) {
-        where.colors = colorConditions[0].colors
-      } else {
-        // Multiple colors - use OR to find products with any of these colors
-        const existingOr = where[Op.or]
-        if (existingOr) {
-          // If Op.or already exists, we need to combine with AND
-          where[Op.and] = [
-            { [Op.or]: existingOr },
-            { [Op.or]: colorConditions }
-          ]
-          delete where[Op.or]
-        } else {
-          where[Op.or] = colorConditions
-        }
-      }
-    }
-
-    if (onSale === 'true' || onSale === true) {
-      where.onSale = true
-    }
-
-    if (featured === 'true' || featured === true) {
-      // Featured products - can be based on rating, sales, or a featured flag
-      // For now, using high rating as featured OR featured flag
-      // Check if Op.or already exists (from colors filter)
-      if (where[Op.or]) {
-        // Combine with existing Op.or using Op.and
-        const existingOr = where[Op.or]
-        where[Op.and] = [
-          { [Op.or]: existingOr },
-          { [Op.or]: [
-            { rating: { [Op.gte]: 4.0 } },
-            { featured: true }
-          ]}
-        ]
-        delete where[Op.or]
-      } else {
-        where[Op.or] = [
-          { rating: { [Op.gte]: 4.0 } },
-          { featured: true }
-        ]
-      }
-    }
-
-    if (newProducts === 'true' || newProducts === true) {
-      where.new = true
-    }
-
-    if (search) {
-      const searchConditions = [
-        { name: { [Op.iLike]: `%${search}%` } },
-        { description: { [Op.iLike]: `%${search}%` } }
-      ]
-      
-      // If Op.or or Op.and already exists, combine properly
-      if (where[Op.or] && !where[Op.and]) {
-        // Colors filter created Op.or, combine with AND
-        where[Op.and] = [
-          { [Op.or]: where[Op.or] },
-          { [Op.or]: searchConditions }
-        ]
-        delete where[Op.or]
-      } else if (where[Op.and]) {
-        // Already have Op.and, add search to it
-        where[Op.and].push({ [Op.or]: searchConditions })
-      } else {
-        where[Op.or] = searchConditions
-      }
     }
 
     const offset = (page - 1) * limit
 
-    const { count, rows: products } = await Product.findAndCountAll({
-      where,
+    const findProducts = (term) => Product.findAndCountAll({
+      where: catalogWhere(conditions, { search: term }),
       include: [
         {
           association: 'category',
@@ -187,21 +51,40 @@ router.get('/', optionalAuth, async (req, res) => {
           required: false
         }
       ],
-      order: [['createdAt', 'DESC']],
+      order: catalogOrder(sort, term),
       limit: Number(limit),
       offset: Number(offset)
     })
 
+    const searchTerm = normalizeSearch(search)
+    let searchInfo = null
+    let { count, rows: products } = await findProducts(searchTerm)
+
+    if (searchTerm) {
+      const correction = await suggestCorrection(searchTerm)
+      searchInfo = { query: searchTerm, correctedFrom: null, didYouMean: correction }
+
+      // Nothing found for a misspelt search: show the results for the correction instead,
+      // unless the customer asked for exactly what they typed
+      if (count === 0 && correction && exact !== 'true') {
+        const corrected = await findProducts(correction)
+        if (corrected.count > 0) {
+          ({ count, rows: products } = corrected)
+          searchInfo = { query: correction, correctedFrom: searchTerm, didYouMean: null }
+        }
+      }
+    }
+
+    const facetCounts = facets === 'true'
+      ? await getCatalogFacets(conditions, searchInfo?.query)
+      : null
+
     console.log(`Products API: Found ${count} products with filters:`, {
       category,
       subcategory,
-      isActive: where.isActive,
-      categoryId: where.categoryId,
-      subcategoryId: where.subcategoryId,
-      onSale: where.onSale,
-      featured: where[Op.or] || where.rating,
-      new: where.new,
-      search: search
+      filters: Object.keys(conditions),
+      sort: sort || null,
+      search: searchInfo?.query
     })
     
     // Log first few products for debugging including price
@@ -245,7 +128,9 @@ router.get('/', optionalAuth, async (req, res) => {
       products: serializedProducts,
       page: Number(page),
       pages: Math.ceil(count / limit),
-      total: count
+      total: count,
+      ...(searchInfo && { search: searchInfo }),
+      ...(facetCounts && { facets: facetCounts })
     })
   } catch (error) {
     console.error('Get products error:', error)
@@ -253,6 +138,85 @@ router.get('/', optionalAuth, async (req, res) => {
   }
 })
 
+// @route   GET /api/products/suggest
+// @desc    Search-as-you-type suggestions: matching products and categories
+// @access  Public
+router.get('/suggest', async (req, res) => {
+  try {
+    const query = normalizeSearch(req.query.q)
+    if (query.length < 2) {
+      return res.json({ query, products: [], categories: [], didYouMean: null })
+    }
+
+    const [products, categories, subcategories] = await Promise.all([
+      Product.findAll({
+        where: { isActive: true, [Op.and]: [searchCondition(query)] },
+        attributes: ['id', 'name', 'price', 'images'],
+        include: [
+          {
+            association: 'category',
+            attributes: ['name', 'slug'],
+            required: false
+          }
+        ],
+        order: [[searchRank(query), 'DESC'], ['createdAt', 'DESC']],
+        limit: 6
+      }),
+      Category.findAll({
+        where: { isActive: true, name: { [Op.iLike]: `%${query}%` } },
+        attributes: ['id', 'name', 'slug'],
+        order: [['position', 'ASC']],
+        limit: 3
+      }),
+      Subcategory.findAll({
+        where: { isActive: true, name: { [Op.iLike]: `%${query}%` } },
+        attributes: ['id', 'name', 'slug'],
+        include: [
+          {
+            association: 'category',
+            attributes: ['name', 'slug'],
+            where: { isActive: true }
+          }
+        ],
+        order: [['position', 'ASC']],
+        limit: 3
+      })
+    ])
+
+    // Only worth correcting when nothing matched as typed
+    const didYouMean = products.length === 0 && categories.length === 0 && subcategories.length === 0
+      ? await suggestCorrection(query)
+      : null
+
+    res.json({
+      query,
+      products: products.map(product => ({
+        id: product.id,
+        name: product.name,
+        price: parseFloat(product.price),
+        image: product.images?.[0] || null,
+        category: product.category?.name || null
+      })),
+      categories: [
+        ...categories.map(category => ({
+          id: category.id,
+          name: category.name,
+          path: `/products/${category.slug}`
+        })),
+        ...subcategories.map(subcategory => ({
+          id: subcategory.id,
+          name: `${subcategory.category.name} - ${subcategory.name}`,
+          path: `/products/${subcategory.category.slug}/${subcategory.slug}`
+        }))
+      ],
+      didYouMean
+    })
+  } catch (error) {
+    console.error('Search suggestions error:', error)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
 // @route   GET /api/products/:id
 // @desc    Get single product
 // @access  Public
@@ -267,6 +231,12 @@ router.get('/:id', optionalAuth, async (req, res) => {
         {
           association: 'subcategory',
           required: false
+        },
+        {
+          association: 'variants',
+          required: false,
+          where: { isActive: true },
+          attributes: ['id', 'sku', 'size', 'color', 'stockCount', 'price']
         }
       ]
     })
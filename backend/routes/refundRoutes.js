@@ -0,0 +1,162 @@
+import express from 'express'
+import Refund from '../models/Refund.js'
+import Order from '../models/Order.js'
+import Admin from '../models/Admin.js'
+import { adminProtect, requirePermission } from '../middleware/adminAuth.js'
+import {
+  REFUND_METHODS,
+  REFUND_STATUSES,
+  getRefundableAmount,
+  issueRefund,
+  syncGatewayRefund
+} from '../services/refundService.js'
+
+const router = express.Router()
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+const adminActor = (admin) => ({ type: 'admin', id: admin?.id || null, name: admin?.name || null })
+
+const adminInclude = [{ model: Admin, as: 'admin', attributes: ['id', 'name', 'email'] }]
+
+// @route   GET /api/admin/refunds
+// @desc    Get refunds, newest first (filter by orderId, returnId, status, method)
+// @access  Admin
+router.get('/', adminProtect, requirePermission('returns', 'view'), async (req, res) => {
+  try {
+    const { orderId, returnId, status, method, page = 1, limit = 20 } = req.query
+    const where = {}
+
+    if (orderId) where.orderId = orderId
+    if (returnId) where.returnId = returnId
+    if (status && REFUND_STATUSES.includes(status)) where.status = status
+    if (method && REFUND_METHODS.includes(method)) where.method = method
+
+    const offset = (page - 1) * limit
+    const { count, rows } = await Refund.findAndCountAll({
+      where,
+      include: adminInclude,
+      order: [['createdAt', 'DESC']],
+      limit: Number(limit),
+      offset: Number(offset)
+    })
+
+    res.json({
+      refunds: rows,
+      total: count,
+      page: Number(page),
+      pages: Math.ceil(count / limit)
+    })
+  } catch (error) {
+    console.error('Get refunds error:', error)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// @route   GET /api/admin/refunds/order/:orderId
+// @desc    Refunds of an order and how much of it can still be refunded
+// @access  Admin
+router.get('/order/:orderId', adminProtect, requirePermission('returns', 'view'), async (req, res) => {
+  try {
+    const order = await Order.findOne({ where: { orderId: req.params.orderId } })
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' })
+    }
+
+    const refunds = await Refund.findAll({
+      where: { orderId: order.orderId },
+      include: adminInclude,
+      order: [['createdAt', 'DESC']]
+    })
+
+    res.json({
+      orderId: order.orderId,
+      refundableAmount: await getRefundableAmount(order),
+      paidOnline: Boolean(order.payment?.razorpayPaymentId),
+      refunds
+    })
+  } catch (error) {
+    console.error('Get order refunds error:', error)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// @route   POST /api/admin/refunds
+// @desc    Refund an order, in full or in part, to the original payment or as store credit.
+//          Body: { orderId, method: 'original'|'coins', amount, reason } (amount defaults to
+//          everything still refundable). Refunds for returns go through the return instead.
+// @access  Admin
+router.post('/', adminProtect, requirePermission('returns', 'refund'), async (req, res) => {
+  try {
+    const { orderId, method = 'original', amount, reason } = req.body
+
+    if (!orderId) {
+      return res.status(400).json({ message: 'Order ID is required' })
+    }
+    if (!REFUND_METHODS.includes(method)) {
+      return res.status(400).json({ message: 'Refund method must be original or coins' })
+    }
+
+    const order = await Order.findOne({ where: { orderId } })
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' })
+    }
+
+    const refund = await issueRefund(order, {
+      amount,
+      method,
+      reason: reason ? String(reason).trim().slice(0, 500) : null,
+      actor: adminActor(req.admin)
+    })
+
+    res.status(201).json({
+      message: refund.status === 'processed'
+        ? 'Refund processed successfully'
+        : 'Refund initiated; it completes when Razorpay confirms it',
+      refund
+    })
+  } catch (error) {
+    if (error.name === 'RefundError') {
+      return res.status(error.statusCode).json({ message: error.message })
+    }
+    console.error('Issue refund error:', error)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// @route   POST /api/admin/refunds/:id/sync
+// @desc    Ask Razorpay for the status of a pending refund
+// @access  Admin
+router.post('/:id/sync', adminProtect, requirePermission('returns', 'refund'), async (req, res) => {
+  try {
+    if (!UUID_PATTERN.test(req.params.id)) {
+      return res.status(404).json({ message: 'Refund not found' })
+    }
+
+    const refund = await Refund.findByPk(req.params.id)
+    if (!refund) {
+      return res.status(404).json({ message: 'Refund not found' })
+    }
+
+    const { refund: updated, changed } = await syncGatewayRefund(refund)
+    let message = `Refund ${updated.status}`
+    if (!changed) {
+      message = updated.status === 'pending'
+        ? 'Razorpay has not settled this refund yet'
+        : `Refund already ${updated.status}`
+    }
+
+    res.json({
+      message,
+      refund: updated
+    })
+  } catch (error) {
+    if (error.name === 'RefundError' || error.name === 'RazorpayError') {
+      return res.status(error.name === 'RazorpayError' ? 502 : error.statusCode).json({ message: error.message })
+    }
+    console.error('Sync refund error:', error)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+export default router
@@ -3,11 +3,96 @@ import { Op } from 'sequelize'
 import Return from '../models/Return.js'
 import Order from '../models/Order.js'
 import User from '../models/User.js'
-import { adminProtect } from '../middleware/adminAuth.js'
+import Refund from '../models/Refund.js'
+import multer from 'multer'
+import { adminProtect, requirePermission } from '../middleware/adminAuth.js'
 import { protect } from '../middleware/auth.js'
+import { returnPhotoUpload } from '../middleware/upload.js'
+import {
+  RETURN_STATUSES,
+  MAX_RETURN_PHOTOS,
+  getAllowedReturnTransitions,
+  getReturnEligibility,
+  createReturnRequest,
+  transitionReturn,
+  dispatchExchange
+} from '../services/returnService.js'
+import { issueRefund, getRefundableAmount, REFUND_METHODS } from '../services/refundService.js'
 
 const router = express.Router()
 
+const adminActor = (admin) => ({ type: 'admin', id: admin?.id || null, name: admin?.name || null })
+
+// Latest refund of each return, by returnId
+const findLatestRefunds = async (returnIds) => {
+  const refunds = await Refund.findAll({
+    where: { returnId: { [Op.in]: returnIds } },
+    order: [['createdAt', 'ASC']]
+  })
+  return new Map(refunds.map(refund => [refund.returnId, refund]))
+}
+
+// 'refunded', 'initiated' (waiting for Razorpay), 'failed' or 'pending' (not refunded yet)
+const getRefundStatus = (returnRequest, refund) => {
+  if (returnRequest.status === 'refunded') return 'refunded'
+  if (refund?.status === 'pending') return 'initiated'
+  if (refund?.status === 'failed') return 'failed'
+  return 'pending'
+}
+
+const formatRefund = (refund) => (refund
+  ? {
+      id: refund.id,
+      method: refund.method,
+      amount: refund.amount,
+      coins: refund.coins,
+      status: refund.status,
+      gatewayRefundId: refund.gatewayRefundId,
+      failureReason: refund.failureReason,
+      createdAt: refund.createdAt,
+      processedAt: refund.processedAt
+    }
+  : null)
+
+// Statuses an admin can move a return to by hand; refunds and exchanges have their own routes
+const getNextStatuses = (status) =>
+  getAllowedReturnTransitions(status).filter(next => !['refunded', 'exchanged'].includes(next))
+
+const formatAdminReturn = (returnItem, user, latestRefund) => ({
+  id: returnItem.id,
+  returnId: returnItem.returnId,
+  orderId: returnItem.orderId,
+  customerName: user?.name || 'Unknown Customer',
+  customerEmail: user?.email || '',
+  customerMobile: user?.mobile || '',
+  productId: returnItem.productId,
+  productName: returnItem.productName,
+  items: returnItem.items || [],
+  quantity: (returnItem.items || []).reduce((sum, line) => sum + (line.quantity || 0), 0) || 1,
+  resolution: returnItem.resolution,
+  reason: returnItem.reason,
+  description: returnItem.comment || returnItem.reason,
+  comment: returnItem.comment,
+  photos: returnItem.photos || [],
+  status: returnItem.status,
+  nextStatuses: getNextStatuses(returnItem.status),
+  statusHistory: returnItem.statusHistory || [],
+  pickup: returnItem.pickup,
+  qcNotes: returnItem.qcNotes,
+  amount: returnItem.amount,
+  refundAmount: returnItem.amount,
+  refundStatus: getRefundStatus(returnItem, latestRefund),
+  refund: formatRefund(latestRefund),
+  createdAt: returnItem.createdAt,
+  updatedAt: returnItem.updatedAt,
+  approvedAt: returnItem.approvedAt,
+  refundedAt: returnItem.refundedAt,
+  exchangedAt: returnItem.exchangedAt
+})
+
+const returnErrorStatus = (error) =>
+  ['ReturnError', 'OrderStatusError', 'InsufficientStockError'].includes(error.name) ? error.statusCode : null
+
 // @route   GET /api/returns
 // @desc    Get user return requests
 // @access  Private
@@ -25,21 +110,15 @@ router.get('/', protect, async (req, res) => {
   }
 })
 
-// @route   POST /api/returns
-// @desc    Create return request
+// @route   GET /api/returns/eligibility/:orderId
+// @desc    What of an order can be returned: per line, the quantity left, the return
+//          window and the sizes/colors it can be exchanged for
 // @access  Private
-router.post('/', protect, async (req, res) => {
+router.get('/eligibility/:orderId', protect, async (req, res) => {
   try {
-    const { orderId, productId, productName, reason, amount } = req.body
-
-    if (!orderId || !productId || !productName || !reason || !amount) {
-      return res.status(400).json({ message: 'All fields are required' })
-    }
-
-    // Verify order belongs to user
     const order = await Order.findOne({
       where: {
-        orderId,
+        orderId: req.params.orderId,
         userId: req.user.id
       }
     })
@@ -48,60 +127,89 @@ router.post('/', protect, async (req, res) => {
       return res.status(404).json({ message: 'Order not found' })
     }
 
-    // Check if order is delivered
-    if (order.status !== 'Delivered') {
-      return res.status(400).json({ 
-        message: 'Return requests can only be made for delivered orders' 
-      })
-    }
+    res.json(await getReturnEligibility(order))
+  } catch (error) {
+    console.error('Get return eligibility error:', error)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
 
-    // Check 24-hour return window
-    let deliveredDate = null
-    
-    // Find when order was marked as "Delivered" from statusHistory
-    if (order.statusHistory && Array.isArray(order.statusHistory)) {
-      const deliveredStatus = order.statusHistory.find(
-        entry => entry.status === 'Delivered'
-      )
-      if (deliveredStatus && deliveredStatus.date) {
-        deliveredDate = new Date(deliveredStatus.date)
+// @route   POST /api/returns/photos
+// @desc    Upload photos of the items to attach to a return request
+// @access  Private
+router.post('/photos', protect, (req, res, next) => {
+  returnPhotoUpload.array('photos', MAX_RETURN_PHOTOS)(req, res, (err) => {
+    if (err) {
+      if (err instanceof multer.MulterError) {
+        if (err.code === 'LIMIT_FILE_SIZE') {
+          return res.status(400).json({ message: 'File size too large. Maximum size is 5MB.' })
+        }
+        if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
+          return res.status(400).json({ message: `Too many photos. Maximum is ${MAX_RETURN_PHOTOS}.` })
+        }
+        return res.status(400).json({ message: err.message || 'File upload error' })
       }
+      return res.status(400).json({ message: err.message || 'File upload error' })
     }
-    
-    // If not found in statusHistory, use updatedAt as fallback (when status was last changed)
-    // But we need to check if status is actually "Delivered"
-    if (!deliveredDate) {
-      // If status is "Delivered" but no history entry, use updatedAt
-      // This is a fallback - ideally statusHistory should always have the entry
-      deliveredDate = order.updatedAt
+    next()
+  })
+}, async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ message: 'No photos uploaded' })
     }
 
-    // Calculate hours since delivery
-    const now = new Date()
-    const hoursSinceDelivery = (now - deliveredDate) / (1000 * 60 * 60)
+    const requestBase = `${req.protocol || 'http'}://${req.get('host')}`
+    const baseUrl = process.env.BACKEND_URL || process.env.API_URL || requestBase
 
-    if (hoursSinceDelivery > 24) {
-      return res.status(400).json({ 
-        message: 'Return requests must be submitted within 24 hours of delivery. The 24-hour window has expired.' 
-      })
+    res.json({
+      photos: req.files.map(file => `${baseUrl}/uploads/returns/${file.filename}`)
+    })
+  } catch (error) {
+    console.error('Upload return photos error:', error)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// @route   POST /api/returns
+// @desc    Create a return request for one or more lines of a delivered order.
+//          Body: { orderId, items: [{ lineIndex, quantity, exchangeVariantId }],
+//          resolution: 'refund'|'exchange', reason, comment, photos }
+// @access  Private
+router.post('/', protect, async (req, res) => {
+  try {
+    const { orderId, items, resolution, reason, comment, photos } = req.body
+
+    if (!orderId) {
+      return res.status(400).json({ message: 'Order ID is required' })
     }
 
-    // Generate return ID
-    const returnId = `RET-${Date.now()}-${Math.random().toString(36).substr(2, 6).toUpperCase()}`
+    // Verify order belongs to user
+    const order = await Order.findOne({
+      where: {
+        orderId,
+        userId: req.user.id
+      }
+    })
 
-    const returnRequest = await Return.create({
-      returnId,
-      orderId,
-      userId: req.user.id,
-      productId,
-      productName,
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' })
+    }
+
+    const returnRequest = await createReturnRequest(order, req.user, {
+      items,
+      resolution,
       reason,
-      amount: parseFloat(amount),
-      status: 'pending'
+      comment,
+      photos: photos || []
     })
 
     res.status(201).json(returnRequest)
   } catch (error) {
+    const statusCode = returnErrorStatus(error)
+    if (statusCode) {
+      return res.status(statusCode).json({ message: error.message })
+    }
     console.error('Create return error:', error)
     res.status(500).json({ message: 'Server error' })
   }
@@ -133,7 +241,7 @@ router.get('/:id', protect, async (req, res) => {
 // @route   GET /api/admin/returns
 // @desc    Get all returns (admin)
 // @access  Admin
-router.get('/all', adminProtect, async (req, res) => {
+router.get('/all', adminProtect, requirePermission('returns', 'view'), async (req, res) => {
   try {
     const { search, status, page = 1, limit = 20 } = req.query
     const where = {}
@@ -145,7 +253,7 @@ router.get('/all', adminProtect, async (req, res) => {
       ]
     }
 
-    if (status) {
+    if (status && RETURN_STATUSES.includes(status)) {
       where.status = status
     }
 
@@ -157,30 +265,14 @@ router.get('/all', adminProtect, async (req, res) => {
       offset: Number(offset)
     })
 
+    const latestRefunds = await findLatestRefunds(returns.map(returnItem => returnItem.returnId))
+
     // Format returns with customer name from User model
     const formattedReturns = await Promise.all(returns.map(async (returnItem) => {
       const user = await User.findByPk(returnItem.userId, {
         attributes: ['name', 'email', 'mobile']
       })
-      return {
-        id: returnItem.id,
-        returnId: returnItem.returnId,
-        orderId: returnItem.orderId,
-        customerName: user?.name || 'Unknown Customer',
-        customerEmail: user?.email || '',
-        productId: returnItem.productId,
-        productName: returnItem.productName,
-        reason: returnItem.reason,
-        status: returnItem.status,
-        amount: returnItem.amount,
-        refundAmount: returnItem.amount,
-        quantity: 1, // Default quantity, can be added to model if needed
-        refundStatus: returnItem.status === 'refunded' ? 'refunded' : 'pending',
-        createdAt: returnItem.createdAt,
-        updatedAt: returnItem.updatedAt,
-        approvedAt: returnItem.approvedAt,
-        refundedAt: returnItem.refundedAt
-      }
+      return formatAdminReturn(returnItem, user, latestRefunds.get(returnItem.returnId))
     }))
 
     res.json({
@@ -198,7 +290,7 @@ router.get('/all', adminProtect, async (req, res) => {
 // @route   GET /api/admin/returns/details/:id
 // @desc    Get return details (admin)
 // @access  Admin
-router.get('/details/:id', adminProtect, async (req, res) => {
+router.get('/details/:id', adminProtect, requirePermission('returns', 'view'), async (req, res) => {
   try {
     const returnRequest = await Return.findByPk(req.params.id)
 
@@ -206,31 +298,23 @@ router.get('/details/:id', adminProtect, async (req, res) => {
       return res.status(404).json({ message: 'Return request not found' })
     }
 
-    // Get user details
-    const user = await User.findByPk(returnRequest.userId, {
-      attributes: ['name', 'email', 'mobile']
-    })
+    // Get user details, the order's payment and the return's refunds
+    const [user, order, refunds] = await Promise.all([
+      User.findByPk(returnRequest.userId, {
+        attributes: ['name', 'email', 'mobile']
+      }),
+      Order.findOne({ where: { orderId: returnRequest.orderId } }),
+      Refund.findAll({ where: { returnId: returnRequest.returnId }, order: [['createdAt', 'ASC']] })
+    ])
+    const latestRefund = refunds[refunds.length - 1]
+    const refundableAmount = order ? await getRefundableAmount(order) : 0
 
-    // Format response
     const formattedReturn = {
-      id: returnRequest.id,
-      returnId: returnRequest.returnId,
-      orderId: returnRequest.orderId,
-      customerName: user?.name || 'Unknown Customer',
-      customerEmail: user?.email || '',
-      productId: returnRequest.productId,
-      productName: returnRequest.productName,
-      reason: returnRequest.reason,
-      description: returnRequest.reason, // Using reason as description
-      status: returnRequest.status,
-      amount: returnRequest.amount,
-      refundAmount: returnRequest.amount,
-      quantity: 1,
-      refundStatus: returnRequest.status === 'refunded' ? 'refunded' : 'pending',
-      createdAt: returnRequest.createdAt,
-      updatedAt: returnRequest.updatedAt,
-      approvedAt: returnRequest.approvedAt,
-      refundedAt: returnRequest.refundedAt
+      ...formatAdminReturn(returnRequest, user, latestRefund),
+      refunds: refunds.map(formatRefund),
+      // Refunds to the original payment need an online payment to go back to
+      paidOnline: Boolean(order?.payment?.razorpayPaymentId),
+      refundableAmount: Math.min(refundableAmount, parseFloat(returnRequest.amount))
     }
 
     res.json(formattedReturn)
@@ -241,62 +325,126 @@ router.get('/details/:id', adminProtect, async (req, res) => {
 })
 
 // @route   PUT /api/admin/returns/:id/status
-// @desc    Update return status (admin)
+// @desc    Move a return along pickup and quality check (admin). Body: { status, note, pickup }
+//          where pickup is { date, courier, trackingNumber } for pickup_scheduled and note is
+//          required for qc_failed. Returns become refunded or exchanged through their own routes.
 // @access  Admin
-router.put('/status/:id', adminProtect, async (req, res) => {
+router.put('/status/:id', adminProtect, requirePermission('returns', 'update'), async (req, res) => {
   try {
-    const { status } = req.body
-    const validStatuses = ['pending', 'approved', 'rejected', 'refunded']
-
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({ message: 'Invalid status' })
-    }
+    const { status, note, pickup } = req.body
 
     const returnRequest = await Return.findByPk(req.params.id)
     if (!returnRequest) {
       return res.status(404).json({ message: 'Return request not found' })
     }
 
-    returnRequest.status = status
-    
-    if (status === 'approved') {
-      returnRequest.approvedAt = new Date()
-    } else if (status === 'refunded') {
-      returnRequest.refundedAt = new Date()
+    await transitionReturn(returnRequest, status, {
+      actor: adminActor(req.admin),
+      note,
+      pickup
+    })
+
+    res.json({ ...returnRequest.toJSON(), nextStatuses: getNextStatuses(returnRequest.status) })
+  } catch (error) {
+    const statusCode = returnErrorStatus(error)
+    if (statusCode) {
+      return res.status(statusCode).json({ message: error.message })
     }
+    console.error('Update return status error:', error)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
 
-    await returnRequest.save()
+// @route   POST /api/admin/returns/exchange/:id
+// @desc    Dispatch the replacement sizes/colors of an exchange that passed quality check
+//          (admin). Body: { note } (optional, e.g. the tracking number)
+// @access  Admin
+router.post('/exchange/:id', adminProtect, requirePermission('returns', 'update'), async (req, res) => {
+  try {
+    const returnRequest = await Return.findByPk(req.params.id)
+    if (!returnRequest) {
+      return res.status(404).json({ message: 'Return request not found' })
+    }
 
-    res.json(returnRequest)
+    await dispatchExchange(returnRequest, {
+      actor: adminActor(req.admin),
+      note: req.body.note
+    })
+
+    res.json({ message: 'Exchange dispatched', return: returnRequest })
   } catch (error) {
-    console.error('Update return status error:', error)
+    const statusCode = returnErrorStatus(error)
+    if (statusCode) {
+      return res.status(statusCode).json({ message: error.message })
+    }
+    console.error('Dispatch exchange error:', error)
     res.status(500).json({ message: 'Server error' })
   }
 })
 
-// @route   POST /api/admin/returns/:id/refund
-// @desc    Process refund (admin)
+// @route   POST /api/admin/returns/refund/:id
+// @desc    Refund a return (admin): to the original payment through Razorpay, or as store
+//          credit in coins. Body: { method: 'original'|'coins', amount } (amount defaults to
+//          the return amount). Returns are refunded once they pass quality check, exchanges
+//          too when the replacement cannot be sent; the return is marked refunded once the
+//          money is back.
 // @access  Admin
-router.post('/refund/:id', adminProtect, async (req, res) => {
+router.post('/refund/:id', adminProtect, requirePermission('returns', 'refund'), async (req, res) => {
   try {
+    const { method = 'original', amount } = req.body
+
+    if (!REFUND_METHODS.includes(method)) {
+      return res.status(400).json({ message: 'Refund method must be original or coins' })
+    }
+
     const returnRequest = await Return.findByPk(req.params.id)
     if (!returnRequest) {
       return res.status(404).json({ message: 'Return request not found' })
     }
 
-    if (returnRequest.status !== 'approved') {
-      return res.status(400).json({ message: 'Return must be approved before refund' })
+    if (returnRequest.status !== 'qc_passed') {
+      return res.status(400).json({ message: 'The returned items must pass quality check before refund' })
+    }
+
+    const refundAmount = amount === undefined || amount === null || amount === ''
+      ? parseFloat(returnRequest.amount)
+      : Number(amount)
+    if (!Number.isFinite(refundAmount) || refundAmount <= 0 || refundAmount > parseFloat(returnRequest.amount)) {
+      return res.status(400).json({
+        message: `Refund amount must be between ₹0.01 and the return amount of ₹${parseFloat(returnRequest.amount).toFixed(2)}`
+      })
+    }
+
+    const inProgress = await Refund.count({ where: { returnId: returnRequest.returnId, status: 'pending' } })
+    if (inProgress > 0) {
+      return res.status(400).json({ message: 'A refund for this return is already waiting for Razorpay' })
+    }
+
+    const order = await Order.findOne({ where: { orderId: returnRequest.orderId } })
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' })
     }
 
-    returnRequest.status = 'refunded'
-    returnRequest.refundedAt = new Date()
-    await returnRequest.save()
+    const refund = await issueRefund(order, {
+      amount: refundAmount,
+      method,
+      reason: `Return ${returnRequest.returnId}: ${returnRequest.reason}`,
+      returnRequest,
+      actor: adminActor(req.admin)
+    })
+    await returnRequest.reload()
 
-    res.json({ 
-      message: 'Refund processed successfully',
-      return: returnRequest 
+    res.json({
+      message: refund.status === 'processed'
+        ? 'Refund processed successfully'
+        : 'Refund initiated; the return is marked refunded once Razorpay confirms it',
+      refund: formatRefund(refund),
+      return: returnRequest
     })
   } catch (error) {
+    if (error.name === 'RefundError') {
+      return res.status(error.statusCode).json({ message: error.message })
+    }
     console.error('Process refund error:', error)
     res.status(500).json({ message: 'Server error' })
   }
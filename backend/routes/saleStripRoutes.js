@@ -1,7 +1,7 @@
 import express from 'express'
 import { Op } from 'sequelize'
 import SaleStrip from '../models/SaleStrip.js'
-import { adminProtect } from '../middleware/adminAuth.js'
+import { adminProtect, requirePermission } from '../middleware/adminAuth.js'
 
 const router = express.Router()
 
@@ -34,7 +34,7 @@ router.get('/', async (req, res) => {
 // @route   GET /api/admin/sale-strips
 // @desc    Get all sale strips (admin)
 // @access  Admin
-router.get('/all', adminProtect, async (req, res) => {
+router.get('/all', adminProtect, requirePermission('banners', 'view'), async (req, res) => {
   try {
     const saleStrips = await SaleStrip.findAll({
       order: [['createdAt', 'DESC']]
@@ -50,7 +50,7 @@ router.get('/all', adminProtect, async (req, res) => {
 // @route   POST /api/admin/sale-strips
 // @desc    Create sale strip
 // @access  Admin
-router.post('/create', adminProtect, async (req, res) => {
+router.post('/create', adminProtect, requirePermission('banners', 'create'), async (req, res) => {
   try {
     const { title, description, discount, startDate, endDate, backgroundColor, textColor } = req.body
     
@@ -86,7 +86,7 @@ router.post('/create', adminProtect, async (req, res) => {
 // @route   PUT /api/admin/sale-strips/:id
 // @desc    Update sale strip
 // @access  Admin
-router.put('/update/:id', adminProtect, async (req, res) => {
+router.put('/update/:id', adminProtect, requirePermission('banners', 'update'), async (req, res) => {
   try {
     const saleStrip = await SaleStrip.findByPk(req.params.id)
     if (!saleStrip) {
@@ -143,7 +143,7 @@ router.put('/update/:id', adminProtect, async (req, res) => {
 // @route   DELETE /api/admin/sale-strips/:id
 // @desc    Delete sale strip
 // @access  Admin
-router.delete('/delete/:id', adminProtect, async (req, res) => {
+router.delete('/delete/:id', adminProtect, requirePermission('banners', 'delete'), async (req, res) => {
   try {
     const saleStrip = await SaleStrip.findByPk(req.params.id)
     if (!saleStrip) {
@@ -161,7 +161,7 @@ router.delete('/delete/:id', adminProtect, async (req, res) => {
 // @route   PUT /api/admin/sale-strips/:id/visibility
 // @desc    Toggle sale strip visibility
 // @access  Admin
-router.put('/visibility/:id', adminProtect, async (req, res) => {
+router.put('/visibility/:id', adminProtect, requirePermission('banners', 'update'), async (req, res) => {
   try {
     const saleStrip = await SaleStrip.findByPk(req.params.id)
     if (!saleStrip) {
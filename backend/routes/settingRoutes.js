@@ -1,9 +1,13 @@
 import express from 'express'
 import Setting from '../models/Setting.js'
-import { adminProtect } from '../middleware/adminAuth.js'
+import { adminProtect, requirePermission } from '../middleware/adminAuth.js'
+import { TWO_FACTOR_SETTING_KEY } from '../services/twoFactorService.js'
 
 const router = express.Router()
 
+// Changed from their own Super Admin screens, not through the general settings endpoints
+const PROTECTED_KEYS = [TWO_FACTOR_SETTING_KEY]
+
 // @route   GET /api/settings
 // @desc    Get public settings
 // @access  Public
@@ -50,18 +54,40 @@ router.get('/', async (req, res) => {
   }
 })
 
+// @route   GET /api/admin/settings/all
+// @desc    Get all settings (admin)
+// @access  Admin
+router.get('/all', adminProtect, requirePermission('settings', 'view'), async (req, res) => {
+  try {
+    const { category } = req.query
+    const where = {}
+
+    // Only filter by category if it's provided and not 'all'
+    if (category && category !== 'all') {
+      where.category = category
+    }
+
+    const settings = await Setting.findAll({
+      where,
+      order: [['category', 'ASC'], ['key', 'ASC']]
+    })
+
+    res.json(settings)
+  } catch (error) {
+    console.error('Get admin settings error:', error)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
 // @route   GET /api/settings/:category
 // @desc    Get settings by category
 // @access  Public
 router.get('/:category', async (req, res) => {
   try {
     const { category } = req.params
-    
-    // If category is 'all', return all settings without filtering
-    const where = category === 'all' ? {} : { category }
-    
+
     const settings = await Setting.findAll({
-      where
+      where: { category }
     })
 
     const settingsObj = {}
@@ -90,37 +116,24 @@ router.get('/:category', async (req, res) => {
   }
 })
 
-// @route   GET /api/admin/settings/all
-// @desc    Get all settings (admin)
+// @route   PUT /api/admin/settings
+// @desc    Update settings (admin)
 // @access  Admin
-router.get('/all', adminProtect, async (req, res) => {
+router.put('/update', adminProtect, requirePermission('settings', 'update'), async (req, res) => {
   try {
+    const settings = req.body
+    // Optional ?category= files new (and existing) keys under that settings category
     const { category } = req.query
-    const where = {}
 
-    // Only filter by category if it's provided and not 'all'
-    if (category && category !== 'all') {
-      where.category = category
+    const protectedKey = Object.keys(settings).find(key => PROTECTED_KEYS.includes(key))
+    if (protectedKey) {
+      return res.status(400).json({ message: `${protectedKey} cannot be changed here` })
     }
 
-    const settings = await Setting.findAll({
-      where,
-      order: [['category', 'ASC'], ['key', 'ASC']]
-    })
-
-    res.json(settings)
-  } catch (error) {
-    console.error('Get admin settings error:', error)
-    res.status(500).json({ message: 'Server error' })
-  }
-})
-
-// @route   PUT /api/admin/settings
-// @desc    Update settings (admin)
-// @access  Admin
-router.put('/update', adminProtect, async (req, res) => {
-  try {
-    const settings = req.body
+    const settingType = (value) => typeof value === 'number' ? 'number' :
+      typeof value === 'boolean' ? 'boolean' :
+      typeof value === 'object' ? 'json' : 'string'
+    const settingValue = (value) => typeof value === 'object' ? JSON.stringify(value) : String(value)
 
     // Update multiple settings
     const updates = await Promise.all(
@@ -129,21 +142,16 @@ router.put('/update', adminProtect, async (req, res) => {
           where: { key },
           defaults: {
             key,
-            value: String(settings[key]),
-            type: typeof settings[key] === 'number' ? 'number' : 
-                  typeof settings[key] === 'boolean' ? 'boolean' :
-                  typeof settings[key] === 'object' ? 'json' : 'string',
-            category: 'general'
+            value: settingValue(settings[key]),
+            type: settingType(settings[key]),
+            category: category || 'general'
           }
         })
 
         if (!created) {
-          setting.value = typeof settings[key] === 'object' 
-            ? JSON.stringify(settings[key])
-            : String(settings[key])
-          setting.type = typeof settings[key] === 'number' ? 'number' : 
-                        typeof settings[key] === 'boolean' ? 'boolean' :
-                        typeof settings[key] === 'object' ? 'json' : 'string'
+          setting.value = settingValue(settings[key])
+          setting.type = settingType(settings[key])
+          if (category) setting.category = category
           await setting.save()
         }
 
@@ -161,11 +169,15 @@ router.put('/update', adminProtect, async (req, res) => {
 // @route   PUT /api/admin/settings/:key
 // @desc    Update single setting (admin)
 // @access  Admin
-router.put('/update/:key', adminProtect, async (req, res) => {
+router.put('/update/:key', adminProtect, requirePermission('settings', 'update'), async (req, res) => {
   try {
     const { key } = req.params
     const { value, type, category, description } = req.body
 
+    if (PROTECTED_KEYS.includes(key)) {
+      return res.status(400).json({ message: `${key} cannot be changed here` })
+    }
+
     const [setting, created] = await Setting.findOrCreate({
       where: { key },
       defaults: {
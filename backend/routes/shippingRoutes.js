@@ -0,0 +1,97 @@
+import express from 'express'
+import { Op } from 'sequelize'
+import Cart from '../models/Cart.js'
+import Product from '../models/Product.js'
+import { optionalAuth } from '../middleware/auth.js'
+import { quoteShipping } from '../services/shippingService.js'
+import { calculateSubtotal } from '../services/pricingService.js'
+import { calculateOrderTax } from '../services/taxService.js'
+import { checkCodEligibility } from '../services/codService.js'
+
+const router = express.Router()
+
+// @route   GET /api/shipping/quote
+// @desc    Quote shipping methods for a PIN code (uses the signed-in user's cart,
+//          or an items list of { productId, quantity } for guests), plus the GST for the
+//          delivery state when given (discount / shippingDiscount are the checkout's reductions)
+//          and whether Cash on Delivery is offered (paymentMethod=cod adds its fee to the GST)
+// @access  Public
+router.get('/quote', optionalAuth, async (req, res) => {
+  try {
+    const { pinCode, method, items, state, discount, shippingDiscount, paymentMethod } = req.query
+
+    let cartItems = []
+    if (items) {
+      let parsedItems = []
+      try {
+        parsedItems = JSON.parse(items)
+      } catch (e) {
+        return res.status(400).json({ message: 'Invalid items' })
+      }
+
+      // Prices come from the catalogue, not from the request
+      const productIds = parsedItems.map(item => item.productId).filter(Boolean)
+      const products = productIds.length > 0
+        ? await Product.findAll({ where: { id: { [Op.in]: productIds }, isActive: true }, attributes: ['id', 'price'] })
+        : []
+      const productMap = new Map(products.map(product => [product.id, product]))
+
+      cartItems = parsedItems
+        .filter(item => productMap.has(item.productId))
+        .map(item => ({
+          product: item.productId,
+          price: parseFloat(productMap.get(item.productId).price),
+          quantity: Math.max(1, parseInt(item.quantity) || 1)
+        }))
+    } else if (req.user) {
+      const cart = await Cart.findOne({ where: { userId: req.user.id } })
+      cartItems = cart?.items || []
+    }
+
+    const subtotal = calculateSubtotal(cartItems)
+    const quote = await quoteShipping({
+      pinCode,
+      items: cartItems,
+      subtotal,
+      method
+    })
+
+    // An estimate for display only; orders are taxed again from the server's own discounts
+    const goodsDiscount = Math.min(Math.max(parseFloat(discount) || 0, 0), subtotal)
+    const waivedShipping = Math.min(Math.max(parseFloat(shippingDiscount) || 0, 0), quote.cost)
+    const taxParams = {
+      items: cartItems,
+      goodsDiscount,
+      shippingCost: quote.cost - waivedShipping,
+      shippingState: state
+    }
+    let taxBreakdown = await calculateOrderTax(taxParams)
+
+    const cod = await checkCodEligibility({
+      orderValue: subtotal - goodsDiscount - waivedShipping + quote.cost + taxBreakdown.totals.tax,
+      pinCode
+    })
+    const codFee = paymentMethod === 'cod' && cod.available ? cod.fee : 0
+    if (codFee > 0) {
+      taxBreakdown = await calculateOrderTax({ ...taxParams, codFee })
+    }
+
+    res.json({
+      ...quote,
+      cod,
+      codFee,
+      tax: {
+        supplyType: taxBreakdown.supplyType,
+        totals: taxBreakdown.totals
+      }
+    })
+  } catch (error) {
+    if (error.name === 'ShippingError') {
+      return res.status(error.statusCode).json({ message: error.message })
+    }
+    console.error('Shipping quote error:', error)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+export default router
@@ -1,6 +1,6 @@
 import express from 'express'
 import Testimonial from '../models/Testimonial.js'
-import { adminProtect } from '../middleware/adminAuth.js'
+import { adminProtect, requirePermission } from '../middleware/adminAuth.js'
 
 const router = express.Router()
 
@@ -26,7 +26,7 @@ router.get('/', async (req, res) => {
 // @route   GET /api/admin/testimonials
 // @desc    Get all testimonials (admin)
 // @access  Admin
-router.get('/all', adminProtect, async (req, res) => {
+router.get('/all', adminProtect, requirePermission('content', 'view'), async (req, res) => {
   try {
     const testimonials = await Testimonial.findAll({
       order: [['position', 'ASC'], ['createdAt', 'DESC']]
@@ -42,7 +42,7 @@ router.get('/all', adminProtect, async (req, res) => {
 // @route   POST /api/admin/testimonials
 // @desc    Create testimonial
 // @access  Admin
-router.post('/create', adminProtect, async (req, res) => {
+router.post('/create', adminProtect, requirePermission('content', 'create'), async (req, res) => {
   try {
     const { name, content, rating, position } = req.body
     
@@ -75,7 +75,7 @@ router.post('/create', adminProtect, async (req, res) => {
 // @route   PUT /api/admin/testimonials/:id
 // @desc    Update testimonial
 // @access  Admin
-router.put('/update/:id', adminProtect, async (req, res) => {
+router.put('/update/:id', adminProtect, requirePermission('content', 'update'), async (req, res) => {
   try {
     const testimonial = await Testimonial.findByPk(req.params.id)
     if (!testimonial) {
@@ -102,7 +102,7 @@ router.put('/update/:id', adminProtect, async (req, res) => {
 // @route   DELETE /api/admin/testimonials/:id
 // @desc    Delete testimonial
 // @access  Admin
-router.delete('/delete/:id', adminProtect, async (req, res) => {
+router.delete('/delete/:id', adminProtect, requirePermission('content', 'delete'), async (req, res) => {
   try {
     const testimonial = await Testimonial.findByPk(req.params.id)
     if (!testimonial) {
@@ -120,7 +120,7 @@ router.delete('/delete/:id', adminProtect, async (req, res) => {
 // @route   PUT /api/admin/testimonials/:id/position
 // @desc    Update testimonial position
 // @access  Admin
-router.put('/position/:id', adminProtect, async (req, res) => {
+router.put('/position/:id', adminProtect, requirePermission('content', 'update'), async (req, res) => {
   try {
     const { position } = req.body
     const testimonial = await Testimonial.findByPk(req.params.id)
@@ -141,7 +141,7 @@ router.put('/position/:id', adminProtect, async (req, res) => {
 // @route   PUT /api/admin/testimonials/:id/visibility
 // @desc    Toggle testimonial visibility
 // @access  Admin
-router.put('/visibility/:id', adminProtect, async (req, res) => {
+router.put('/visibility/:id', adminProtect, requirePermission('content', 'update'), async (req, res) => {
   try {
     const testimonial = await Testimonial.findByPk(req.params.id)
     if (!testimonial) {
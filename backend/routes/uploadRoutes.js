@@ -1,7 +1,7 @@
 import express from 'express'
 import upload from '../middleware/upload.js'
 import multer from 'multer'
-import { adminProtect } from '../middleware/adminAuth.js'
+import { adminProtect, requirePermission } from '../middleware/adminAuth.js'
 import path from 'path'
 import { fileURLToPath } from 'url'
 
@@ -13,7 +13,7 @@ const router = express.Router()
 // @route   POST /api/admin/upload/images
 // @desc    Upload product images
 // @access  Admin
-router.post('/images', adminProtect, (req, res, next) => {
+router.post('/images', adminProtect, requirePermission('products', 'update'), (req, res, next) => {
   upload.array('images', 10)(req, res, (err) => {
     if (err) {
       console.error('Multer error:', err)
@@ -68,7 +68,7 @@ router.post('/images', adminProtect, (req, res, next) => {
 // @route   DELETE /api/admin/upload/images/:filename
 // @desc    Delete uploaded image
 // @access  Admin
-router.delete('/images/:filename', adminProtect, async (req, res) => {
+router.delete('/images/:filename', adminProtect, requirePermission('products', 'delete'), async (req, res) => {
   try {
     const fs = await import('fs')
     const filePath = path.join(__dirname, '../uploads/products', req.params.filename)
@@ -0,0 +1,23 @@
+import dotenv from 'dotenv'
+import { sequelize } from '../config/db.js'
+
+dotenv.config()
+
+const addAdminInviteColumns = async () => {
+  try {
+    await sequelize.authenticate()
+    console.log('PostgreSQL Connected successfully')
+
+    console.log('Adding inviteToken and inviteExpires columns to admins...')
+    await sequelize.query(`ALTER TABLE admins ADD COLUMN IF NOT EXISTS "inviteToken" VARCHAR(255)`)
+    await sequelize.query(`ALTER TABLE admins ADD COLUMN IF NOT EXISTS "inviteExpires" TIMESTAMP WITH TIME ZONE`)
+
+    console.log('\n✅ Migration completed!')
+    process.exit(0)
+  } catch (error) {
+    console.error('❌ Migration error:', error)
+    process.exit(1)
+  }
+}
+
+addAdminInviteColumns()
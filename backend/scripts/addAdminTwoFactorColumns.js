@@ -0,0 +1,25 @@
+import dotenv from 'dotenv'
+import { sequelize } from '../config/db.js'
+
+dotenv.config()
+
+const addAdminTwoFactorColumns = async () => {
+  try {
+    await sequelize.authenticate()
+    console.log('PostgreSQL Connected successfully')
+
+    console.log('Adding two-factor columns to admins...')
+    await sequelize.query(`ALTER TABLE admins ADD COLUMN IF NOT EXISTS "twoFactorEnabled" BOOLEAN NOT NULL DEFAULT false`)
+    await sequelize.query(`ALTER TABLE admins ADD COLUMN IF NOT EXISTS "twoFactorSecret" TEXT`)
+    await sequelize.query(`ALTER TABLE admins ADD COLUMN IF NOT EXISTS "twoFactorRecoveryCodes" JSONB NOT NULL DEFAULT '[]'::jsonb`)
+    await sequelize.query(`ALTER TABLE admins ADD COLUMN IF NOT EXISTS "twoFactorLastUsedStep" INTEGER`)
+
+    console.log('\n✅ Migration completed!')
+    process.exit(0)
+  } catch (error) {
+    console.error('❌ Migration error:', error)
+    process.exit(1)
+  }
+}
+
+addAdminTwoFactorColumns()
@@ -0,0 +1,35 @@
+import dotenv from 'dotenv'
+import { sequelize } from '../config/db.js'
+
+dotenv.config()
+
+// Coins redeemed at checkout are now held against the Razorpay order and only committed
+// when the order is created, so spent coin transactions record the hold and its payment
+const addCoinHoldColumns = async () => {
+  try {
+    await sequelize.authenticate()
+    console.log('PostgreSQL Connected successfully')
+
+    console.log('Adding holdStatus and holdReference columns to coin_transactions...')
+    await sequelize.query(`
+      DO $$ BEGIN
+        CREATE TYPE "enum_coin_transactions_holdStatus" AS ENUM ('held', 'committed', 'released');
+      EXCEPTION
+        WHEN duplicate_object THEN null;
+      END $$;
+    `)
+    await sequelize.query(`ALTER TABLE coin_transactions ADD COLUMN IF NOT EXISTS "holdStatus" "enum_coin_transactions_holdStatus"`)
+    await sequelize.query(`ALTER TABLE coin_transactions ADD COLUMN IF NOT EXISTS "holdReference" VARCHAR(255)`)
+    await sequelize.query(`CREATE INDEX IF NOT EXISTS coin_transactions_hold_reference ON coin_transactions ("holdReference")`)
+    await sequelize.query(`CREATE INDEX IF NOT EXISTS coin_transactions_hold_status_created_at ON coin_transactions ("holdStatus", "createdAt")`)
+
+    console.log('\n✅ Migration completed!')
+    console.log('Run "npm run reconcile-coins" to find coins redeemed without an order.')
+    process.exit(0)
+  } catch (error) {
+    console.error('❌ Migration error:', error)
+    process.exit(1)
+  }
+}
+
+addCoinHoldColumns()
@@ -0,0 +1,88 @@
+import dotenv from 'dotenv'
+import { Op } from 'sequelize'
+import { sequelize } from '../config/db.js'
+import User from '../models/User.js'
+import CoinTransaction from '../models/CoinTransaction.js'
+import { getCoinRules } from '../services/pricingService.js'
+
+dotenv.config()
+
+// Coins now expire and are used up first-in-first-out, which needs every credit to know how
+// many of its coins are left. Existing balances are spread over each customer's latest
+// credits (older coins count as already used); anything not covered by a credit becomes an
+// opening-balance credit. Backfilled coins expire one full expiry period from today.
+const addCoinLedgerColumns = async () => {
+  try {
+    await sequelize.authenticate()
+    console.log('PostgreSQL Connected successfully')
+
+    console.log('Adding clawback and admin adjustment coin transaction types...')
+    await sequelize.query(`ALTER TYPE "enum_coin_transactions_type" ADD VALUE IF NOT EXISTS 'clawback'`)
+    await sequelize.query(`ALTER TYPE "enum_coin_transactions_type" ADD VALUE IF NOT EXISTS 'admin_credit'`)
+    await sequelize.query(`ALTER TYPE "enum_coin_transactions_type" ADD VALUE IF NOT EXISTS 'admin_debit'`)
+
+    console.log('Adding remaining and expiresAt columns to coin_transactions...')
+    await sequelize.query(`ALTER TABLE coin_transactions ADD COLUMN IF NOT EXISTS "remaining" INTEGER`)
+    await sequelize.query(`ALTER TABLE coin_transactions ADD COLUMN IF NOT EXISTS "expiresAt" TIMESTAMP WITH TIME ZONE`)
+    await sequelize.query(`CREATE INDEX IF NOT EXISTS coin_transactions_user_id_expires_at ON coin_transactions ("userId", "expiresAt")`)
+
+    const { expiry } = await getCoinRules()
+    const expiresAt = expiry.days > 0 ? new Date(Date.now() + expiry.days * 24 * 60 * 60 * 1000) : null
+
+    console.log('Backfilling remaining coins for existing balances...')
+    const users = await User.findAll({ where: { coins: { [Op.gt]: 0 } }, attributes: ['id', 'coins'] })
+    let backfilled = 0
+    let skipped = 0
+
+    for (const user of users) {
+      await sequelize.transaction(async (transaction) => {
+        // Already on the new ledger
+        const tracked = await CoinTransaction.count({
+          where: { userId: user.id, remaining: { [Op.ne]: null } },
+          transaction
+        })
+        if (tracked > 0) {
+          skipped++
+          return
+        }
+
+        const credits = await CoinTransaction.findAll({
+          where: { userId: user.id, type: { [Op.in]: ['earned', 'refunded'] } },
+          order: [['createdAt', 'DESC']],
+          transaction
+        })
+
+        let left = user.coins
+        for (const credit of credits) {
+          credit.remaining = Math.min(credit.amount, left)
+          credit.expiresAt = credit.remaining > 0 ? expiresAt : null
+          left -= credit.remaining
+          await credit.save({ transaction })
+        }
+
+        if (left > 0) {
+          await CoinTransaction.create({
+            userId: user.id,
+            type: 'admin_credit',
+            amount: left,
+            balanceAfter: user.coins,
+            remaining: left,
+            expiresAt,
+            description: 'Opening balance',
+            metadata: { backfilled: true }
+          }, { transaction })
+        }
+        backfilled++
+      })
+    }
+
+    console.log(`Backfilled ${backfilled} customer(s), skipped ${skipped} already migrated`)
+    console.log('\n✅ Migration completed!')
+    process.exit(0)
+  } catch (error) {
+    console.error('❌ Migration error:', error)
+    process.exit(1)
+  }
+}
+
+addCoinLedgerColumns()
@@ -0,0 +1,28 @@
+import dotenv from 'dotenv'
+import { sequelize } from '../config/db.js'
+
+dotenv.config()
+
+const addGstColumns = async () => {
+  try {
+    await sequelize.authenticate()
+    console.log('PostgreSQL Connected successfully')
+
+    console.log('Adding HSN code and GST slab columns to categories and products...')
+    for (const table of ['categories', 'products']) {
+      await sequelize.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS "hsnCode" VARCHAR(255)`)
+      await sequelize.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS "gstSlabs" JSONB`)
+    }
+
+    console.log('Adding taxBreakdown column to orders...')
+    await sequelize.query(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS "taxBreakdown" JSONB`)
+
+    console.log('\n✅ Migration completed!')
+    process.exit(0)
+  } catch (error) {
+    console.error('❌ Migration error:', error)
+    process.exit(1)
+  }
+}
+
+addGstColumns()
@@ -0,0 +1,39 @@
+import dotenv from 'dotenv'
+import { sequelize } from '../config/db.js'
+
+dotenv.config()
+
+const addGuestCheckout = async () => {
+  try {
+    await sequelize.authenticate()
+    console.log('PostgreSQL Connected successfully')
+
+    console.log('Allowing guest carts...')
+    await sequelize.query(`ALTER TABLE carts ALTER COLUMN "userId" DROP NOT NULL`)
+    await sequelize.query(`ALTER TABLE carts ADD COLUMN IF NOT EXISTS "guestTokenHash" VARCHAR(64)`)
+    await sequelize.query(`CREATE UNIQUE INDEX IF NOT EXISTS carts_guest_token_hash ON carts ("guestTokenHash")`)
+
+    console.log('Allowing guest orders...')
+    await sequelize.query(`ALTER TABLE orders ALTER COLUMN "userId" DROP NOT NULL`)
+    await sequelize.query(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS "guestEmail" VARCHAR(255)`)
+    await sequelize.query(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS "guestMobile" VARCHAR(10)`)
+    await sequelize.query(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS "guestTokenHash" VARCHAR(64)`)
+    await sequelize.query(`CREATE INDEX IF NOT EXISTS orders_guest_token_hash ON orders ("guestTokenHash")`)
+    await sequelize.query(`CREATE INDEX IF NOT EXISTS orders_guest_mobile ON orders ("guestMobile")`)
+
+    console.log('Allowing guest payment sessions...')
+    await sequelize.query(`ALTER TABLE payment_sessions ALTER COLUMN "userId" DROP NOT NULL`)
+    await sequelize.query(`ALTER TABLE payment_sessions ADD COLUMN IF NOT EXISTS "guestTokenHash" VARCHAR(64)`)
+
+    console.log('Adding order_lookup one-time code purpose...')
+    await sequelize.query(`ALTER TYPE "enum_otp_codes_purpose" ADD VALUE IF NOT EXISTS 'order_lookup'`)
+
+    console.log('\n✅ Migration completed!')
+    process.exit(0)
+  } catch (error) {
+    console.error('❌ Migration error:', error)
+    process.exit(1)
+  }
+}
+
+addGuestCheckout()
@@ -0,0 +1,23 @@
+import dotenv from 'dotenv'
+import { sequelize } from '../config/db.js'
+
+dotenv.config()
+
+const addInventoryLogOrderColumn = async () => {
+  try {
+    await sequelize.authenticate()
+    console.log('PostgreSQL Connected successfully')
+
+    console.log('Adding orderId column to inventory_logs...')
+    await sequelize.query(`ALTER TABLE inventory_logs ADD COLUMN IF NOT EXISTS "orderId" VARCHAR(255)`)
+    await sequelize.query(`CREATE INDEX IF NOT EXISTS inventory_logs_order_id ON inventory_logs ("orderId")`)
+
+    console.log('\n✅ Migration completed!')
+    process.exit(0)
+  } catch (error) {
+    console.error('❌ Migration error:', error)
+    process.exit(1)
+  }
+}
+
+addInventoryLogOrderColumn()
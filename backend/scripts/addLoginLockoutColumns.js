@@ -0,0 +1,29 @@
+import dotenv from 'dotenv'
+import { sequelize } from '../config/db.js'
+import RateLimitBucket from '../models/RateLimitBucket.js'
+
+dotenv.config()
+
+const addLoginLockoutColumns = async () => {
+  try {
+    await sequelize.authenticate()
+    console.log('PostgreSQL Connected successfully')
+
+    for (const table of ['users', 'admins']) {
+      console.log(`Adding failedLoginAttempts and lockedUntil columns to ${table}...`)
+      await sequelize.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS "failedLoginAttempts" INTEGER NOT NULL DEFAULT 0`)
+      await sequelize.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS "lockedUntil" TIMESTAMP WITH TIME ZONE`)
+    }
+
+    console.log('Creating rate_limit_buckets table (used when RATE_LIMIT_STORE=postgres)...')
+    await RateLimitBucket.sync()
+
+    console.log('\n✅ Migration completed!')
+    process.exit(0)
+  } catch (error) {
+    console.error('❌ Migration error:', error)
+    process.exit(1)
+  }
+}
+
+addLoginLockoutColumns()
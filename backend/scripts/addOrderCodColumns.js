@@ -0,0 +1,27 @@
+import dotenv from 'dotenv'
+import { sequelize } from '../config/db.js'
+
+dotenv.config()
+
+const addOrderCodColumns = async () => {
+  try {
+    await sequelize.authenticate()
+    console.log('PostgreSQL Connected successfully')
+
+    // Orders awaiting online payment or COD confirmation were previously rejected by the enum
+    console.log('Adding Pending Payment and Pending Confirmation order statuses...')
+    await sequelize.query(`ALTER TYPE "enum_orders_status" ADD VALUE IF NOT EXISTS 'Pending Payment' BEFORE 'Processing'`)
+    await sequelize.query(`ALTER TYPE "enum_orders_status" ADD VALUE IF NOT EXISTS 'Pending Confirmation' BEFORE 'Processing'`)
+
+    console.log('Adding codFee column to orders...')
+    await sequelize.query(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS "codFee" DECIMAL(10, 2) DEFAULT 0`)
+
+    console.log('\n✅ Migration completed!')
+    process.exit(0)
+  } catch (error) {
+    console.error('❌ Migration error:', error)
+    process.exit(1)
+  }
+}
+
+addOrderCodColumns()
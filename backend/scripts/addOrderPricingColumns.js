@@ -0,0 +1,28 @@
+import dotenv from 'dotenv'
+import { sequelize } from '../config/db.js'
+
+dotenv.config()
+
+// Orders used to drop the discount, codes and coins sent at checkout because the
+// columns did not exist; the server now stores its own recomputed figures in them.
+const addOrderPricingColumns = async () => {
+  try {
+    await sequelize.authenticate()
+    console.log('PostgreSQL Connected successfully')
+
+    console.log('Adding pricing columns to orders...')
+    await sequelize.query(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS "discount" DECIMAL(10, 2) DEFAULT 0`)
+    await sequelize.query(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS "couponCode" VARCHAR(255)`)
+    await sequelize.query(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS "discountCode" VARCHAR(255)`)
+    await sequelize.query(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS "coinsRedeemed" INTEGER DEFAULT 0`)
+    await sequelize.query(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS "coinDiscount" DECIMAL(10, 2) DEFAULT 0`)
+
+    console.log('\n✅ Migration completed!')
+    process.exit(0)
+  } catch (error) {
+    console.error('❌ Migration error:', error)
+    process.exit(1)
+  }
+}
+
+addOrderPricingColumns()
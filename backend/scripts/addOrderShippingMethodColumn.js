@@ -0,0 +1,22 @@
+import dotenv from 'dotenv'
+import { sequelize } from '../config/db.js'
+
+dotenv.config()
+
+const addOrderShippingMethodColumn = async () => {
+  try {
+    await sequelize.authenticate()
+    console.log('PostgreSQL Connected successfully')
+
+    console.log('Adding shippingMethod column to orders...')
+    await sequelize.query(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS "shippingMethod" VARCHAR(255)`)
+
+    console.log('\n✅ Migration completed!')
+    process.exit(0)
+  } catch (error) {
+    console.error('❌ Migration error:', error)
+    process.exit(1)
+  }
+}
+
+addOrderShippingMethodColumn()
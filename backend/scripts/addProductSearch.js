@@ -0,0 +1,88 @@
+import dotenv from 'dotenv'
+import { sequelize } from '../config/db.js'
+
+dotenv.config()
+
+// Product search uses a weighted tsvector kept up to date by triggers: name (A), category and
+// subcategory names (B), material and colour names (C) and description (D). Renaming a
+// category or subcategory refreshes its products. pg_trgm provides typo tolerance and needs
+// a database user allowed to create extensions (or the extension created by a superuser).
+const addProductSearch = async () => {
+  try {
+    await sequelize.authenticate()
+    console.log('PostgreSQL Connected successfully')
+
+    console.log('Enabling pg_trgm...')
+    await sequelize.query(`CREATE EXTENSION IF NOT EXISTS pg_trgm`)
+
+    console.log('Adding searchVector column to products...')
+    await sequelize.query(`ALTER TABLE products ADD COLUMN IF NOT EXISTS "searchVector" TSVECTOR`)
+
+    console.log('Creating search vector triggers...')
+    await sequelize.query(`
+      CREATE OR REPLACE FUNCTION products_search_vector() RETURNS trigger AS $$
+      BEGIN
+        NEW."searchVector" :=
+          setweight(to_tsvector('english', COALESCE(NEW.name, '')), 'A') ||
+          setweight(to_tsvector('english',
+            COALESCE((SELECT name FROM categories WHERE id = NEW."categoryId"), '') || ' ' ||
+            COALESCE((SELECT name FROM subcategories WHERE id = NEW."subcategoryId"), '')), 'B') ||
+          setweight(to_tsvector('english',
+            COALESCE(NEW.material, '') || ' ' ||
+            COALESCE((
+              SELECT string_agg(color->>'name', ' ')
+              FROM jsonb_array_elements(CASE WHEN jsonb_typeof(NEW.colors) = 'array' THEN NEW.colors ELSE '[]'::jsonb END) color
+            ), '')), 'C') ||
+          setweight(to_tsvector('english', COALESCE(NEW.description, '')), 'D');
+        RETURN NEW;
+      END
+      $$ LANGUAGE plpgsql
+    `)
+    await sequelize.query(`DROP TRIGGER IF EXISTS products_search_vector_update ON products`)
+    await sequelize.query(`
+      CREATE TRIGGER products_search_vector_update
+      BEFORE INSERT OR UPDATE OF name, description, material, colors, "categoryId", "subcategoryId"
+      ON products
+      FOR EACH ROW EXECUTE FUNCTION products_search_vector()
+    `)
+
+    // Touching the name re-runs the products trigger with the new category name
+    await sequelize.query(`
+      CREATE OR REPLACE FUNCTION categories_refresh_product_search() RETURNS trigger AS $$
+      BEGIN
+        IF TG_TABLE_NAME = 'categories' THEN
+          UPDATE products SET name = name WHERE "categoryId" = NEW.id;
+        ELSE
+          UPDATE products SET name = name WHERE "subcategoryId" = NEW.id;
+        END IF;
+        RETURN NULL;
+      END
+      $$ LANGUAGE plpgsql
+    `)
+    for (const table of ['categories', 'subcategories']) {
+      await sequelize.query(`DROP TRIGGER IF EXISTS ${table}_refresh_product_search ON ${table}`)
+      await sequelize.query(`
+        CREATE TRIGGER ${table}_refresh_product_search
+        AFTER UPDATE OF name ON ${table}
+        FOR EACH ROW WHEN (OLD.name IS DISTINCT FROM NEW.name)
+        EXECUTE FUNCTION categories_refresh_product_search()
+      `)
+    }
+
+    console.log('Creating search indexes...')
+    await sequelize.query(`CREATE INDEX IF NOT EXISTS products_search_vector ON products USING GIN ("searchVector")`)
+    await sequelize.query(`CREATE INDEX IF NOT EXISTS products_name_trgm ON products USING GIN (name gin_trgm_ops)`)
+
+    console.log('Building search vectors for existing products...')
+    const [, result] = await sequelize.query(`UPDATE products SET name = name`)
+    console.log(`Indexed ${result?.rowCount ?? 0} product(s)`)
+
+    console.log('\n✅ Migration completed!')
+    process.exit(0)
+  } catch (error) {
+    console.error('❌ Migration error:', error)
+    process.exit(1)
+  }
+}
+
+addProductSearch()
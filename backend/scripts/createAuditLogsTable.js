@@ -0,0 +1,39 @@
+import dotenv from 'dotenv'
+import { sequelize } from '../config/db.js'
+import AuditLog from '../models/AuditLog.js'
+
+dotenv.config()
+
+const createAuditLogsTable = async () => {
+  try {
+    await sequelize.authenticate()
+    console.log('PostgreSQL Connected successfully')
+
+    console.log('Creating audit_logs table...')
+    await AuditLog.sync()
+
+    // The model refuses updates and deletes too; the trigger also covers raw SQL
+    console.log('Making audit_logs append-only...')
+    await sequelize.query(`
+      CREATE OR REPLACE FUNCTION audit_logs_append_only() RETURNS trigger AS $$
+      BEGIN
+        RAISE EXCEPTION 'audit_logs is append-only';
+      END
+      $$ LANGUAGE plpgsql
+    `)
+    await sequelize.query(`DROP TRIGGER IF EXISTS audit_logs_append_only ON audit_logs`)
+    await sequelize.query(`
+      CREATE TRIGGER audit_logs_append_only
+      BEFORE UPDATE OR DELETE ON audit_logs
+      FOR EACH ROW EXECUTE FUNCTION audit_logs_append_only()
+    `)
+
+    console.log('\n✅ Migration completed!')
+    process.exit(0)
+  } catch (error) {
+    console.error('❌ Migration error:', error)
+    process.exit(1)
+  }
+}
+
+createAuditLogsTable()
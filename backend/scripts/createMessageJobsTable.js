@@ -0,0 +1,24 @@
+import dotenv from 'dotenv'
+import { sequelize } from '../config/db.js'
+import MessageJob from '../models/MessageJob.js'
+
+dotenv.config()
+
+const createMessageJobsTable = async () => {
+  try {
+    await sequelize.authenticate()
+    console.log('PostgreSQL Connected successfully')
+
+    // Outgoing emails and SMS are queued here and delivered by worker.js
+    console.log('Creating message_jobs table...')
+    await MessageJob.sync()
+
+    console.log('\n✅ Migration completed!')
+    process.exit(0)
+  } catch (error) {
+    console.error('❌ Migration error:', error)
+    process.exit(1)
+  }
+}
+
+createMessageJobsTable()
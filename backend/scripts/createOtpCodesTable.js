@@ -0,0 +1,26 @@
+import dotenv from 'dotenv'
+import { sequelize } from '../config/db.js'
+import OtpCode from '../models/OtpCode.js'
+
+dotenv.config()
+
+const createOtpCodesTable = async () => {
+  try {
+    await sequelize.authenticate()
+    console.log('PostgreSQL Connected successfully')
+
+    console.log('Creating otp_codes table...')
+    await OtpCode.sync()
+
+    console.log('Adding mobileVerified column to users...')
+    await sequelize.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS "mobileVerified" BOOLEAN NOT NULL DEFAULT false`)
+
+    console.log('\n✅ Migration completed!')
+    process.exit(0)
+  } catch (error) {
+    console.error('❌ Migration error:', error)
+    process.exit(1)
+  }
+}
+
+createOtpCodesTable()
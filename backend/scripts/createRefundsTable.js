@@ -0,0 +1,50 @@
+import dotenv from 'dotenv'
+import { sequelize } from '../config/db.js'
+import Order from '../models/Order.js'
+import Refund from '../models/Refund.js'
+
+dotenv.config()
+
+const createRefundsTable = async () => {
+  try {
+    await sequelize.authenticate()
+    console.log('PostgreSQL Connected successfully')
+
+    console.log('Creating refunds table...')
+    await Refund.sync()
+
+    // Refunds used to be kept only in Order.payment.refunds
+    console.log('Copying refunds recorded on orders...')
+    const orders = await Order.findAll({
+      where: sequelize.literal(`jsonb_typeof(payment->'refunds') = 'array'`)
+    })
+    let copied = 0
+    for (const order of orders) {
+      for (const item of order.payment.refunds) {
+        const [, created] = await Refund.findOrCreate({
+          where: { gatewayRefundId: item.id },
+          defaults: {
+            orderId: order.orderId,
+            userId: order.userId,
+            method: 'original',
+            amount: item.amount,
+            status: item.status === 'processed' ? 'processed' : 'pending',
+            gatewayPaymentId: order.payment.razorpayPaymentId || null,
+            gatewayStatus: item.status || null,
+            processedAt: item.processedAt || null
+          }
+        })
+        if (created) copied++
+      }
+    }
+    console.log(`   Copied ${copied} refunds`)
+
+    console.log('\n✅ Migration completed!')
+    process.exit(0)
+  } catch (error) {
+    console.error('❌ Migration error:', error)
+    process.exit(1)
+  }
+}
+
+createRefundsTable()
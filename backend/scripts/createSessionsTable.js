@@ -0,0 +1,25 @@
+import dotenv from 'dotenv'
+import { sequelize } from '../config/db.js'
+import Session from '../models/Session.js'
+
+dotenv.config()
+
+const createSessionsTable = async () => {
+  try {
+    await sequelize.authenticate()
+    console.log('PostgreSQL Connected successfully')
+
+    console.log('Creating user_sessions table...')
+    await Session.sync()
+
+    // Tokens issued before sessions existed name no session and stop working, so customers
+    // sign in again once after this migration
+    console.log('\n✅ Migration completed!')
+    process.exit(0)
+  } catch (error) {
+    console.error('❌ Migration error:', error)
+    process.exit(1)
+  }
+}
+
+createSessionsTable()
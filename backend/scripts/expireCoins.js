@@ -0,0 +1,25 @@
+import dotenv from 'dotenv'
+import { sequelize } from '../config/db.js'
+import { expireCoins } from '../services/coinService.js'
+
+dotenv.config()
+
+// Expire every customer's lapsed coins now. The message worker (npm run worker) already does
+// this on every maintenance sweep; run this when no worker is running or to catch up at once.
+const runCoinExpiry = async () => {
+  try {
+    await sequelize.authenticate()
+    console.log('PostgreSQL Connected successfully')
+
+    const expired = await expireCoins()
+    console.log(`Expired ${expired} coin(s)`)
+
+    console.log('\n✅ Coin expiry completed!')
+    process.exit(0)
+  } catch (error) {
+    console.error('❌ Coin expiry error:', error)
+    process.exit(1)
+  }
+}
+
+runCoinExpiry()
@@ -0,0 +1,55 @@
+import dotenv from 'dotenv'
+import { sequelize } from '../config/db.js'
+
+dotenv.config()
+
+const migrateOrderLifecycleStatuses = async () => {
+  try {
+    await sequelize.authenticate()
+    console.log('PostgreSQL Connected successfully')
+
+    // Processing orders are the ones confirmed and waiting to be packed
+    const [processing] = await sequelize.query(`
+      SELECT 1 FROM pg_enum e
+      JOIN pg_type t ON t.oid = e.enumtypid
+      WHERE t.typname = 'enum_orders_status' AND e.enumlabel = 'Processing'
+    `)
+    if (processing.length > 0) {
+      console.log('Renaming order status Processing to Confirmed...')
+      await sequelize.query(`ALTER TYPE "enum_orders_status" RENAME VALUE 'Processing' TO 'Confirmed'`)
+    }
+
+    console.log('Adding Packed, Out for Delivery, Return Requested and Refunded order statuses...')
+    await sequelize.query(`ALTER TYPE "enum_orders_status" ADD VALUE IF NOT EXISTS 'Packed' AFTER 'Confirmed'`)
+    await sequelize.query(`ALTER TYPE "enum_orders_status" ADD VALUE IF NOT EXISTS 'Out for Delivery' AFTER 'Shipped'`)
+    await sequelize.query(`ALTER TYPE "enum_orders_status" ADD VALUE IF NOT EXISTS 'Return Requested' AFTER 'Cancelled'`)
+    await sequelize.query(`ALTER TYPE "enum_orders_status" ADD VALUE IF NOT EXISTS 'Refunded' AFTER 'Returned'`)
+
+    console.log('Setting the default order status to Confirmed...')
+    await sequelize.query(`ALTER TABLE orders ALTER COLUMN status SET DEFAULT 'Confirmed'`)
+
+    // Keep order timelines readable after the rename
+    console.log('Updating Processing entries in order status history...')
+    const [, result] = await sequelize.query(`
+      UPDATE orders SET "statusHistory" = (
+        SELECT jsonb_agg(
+          CASE WHEN entry->>'status' = 'Processing'
+            THEN jsonb_set(entry, '{status}', '"Confirmed"')
+            ELSE entry
+          END ORDER BY position
+        )
+        FROM jsonb_array_elements("statusHistory") WITH ORDINALITY AS history(entry, position)
+      )
+      WHERE "statusHistory" @> '[{"status": "Processing"}]'
+    `)
+    console.log(`   Updated ${result?.rowCount ?? 0} orders`)
+
+    console.log('\n✅ Migration completed!')
+    process.exit(0)
+  } catch (error) {
+    console.error('❌ Migration error:', error)
+    process.exit(1)
+  }
+}
+
+migrateOrderLifecycleStatuses()
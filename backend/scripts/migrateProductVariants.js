@@ -0,0 +1,72 @@
+import dotenv from 'dotenv'
+import { sequelize } from '../config/db.js'
+import { Product, ProductVariant } from '../models/index.js'
+import { generateSku } from '../services/inventoryService.js'
+
+dotenv.config()
+
+// Turns every product that has no variants yet into a single-variant record.
+// The variant has no size/color (it matches any selection) and takes over the product's stock,
+// so admins can later split it into per-size/color variants from the Inventory page.
+const migrateProductVariants = async () => {
+  try {
+    await sequelize.authenticate()
+    console.log('PostgreSQL Connected successfully')
+
+    console.log('Step 1: Creating product_variants table...')
+    await ProductVariant.sync()
+
+    console.log('Step 2: Adding variantId column to inventory_logs...')
+    await sequelize.query(`
+      ALTER TABLE inventory_logs
+      ADD COLUMN IF NOT EXISTS "variantId" UUID REFERENCES product_variants(id)
+    `)
+
+    console.log('Step 3: Creating default variants...')
+    const products = await Product.findAll({
+      attributes: ['id', 'name', 'stockCount'],
+      include: [{ association: 'variants', required: false, attributes: ['id'] }]
+    })
+
+    let created = 0
+    let skipped = 0
+    let errors = 0
+
+    for (const product of products) {
+      if (product.variants && product.variants.length > 0) {
+        skipped++
+        continue
+      }
+
+      try {
+        await ProductVariant.create({
+          productId: product.id,
+          size: null,
+          color: null,
+          sku: generateSku(product, null, null),
+          stockCount: product.stockCount || 0
+        })
+
+        created++
+        if (created % 10 === 0) {
+          console.log(`  Processed ${created} products...`)
+        }
+      } catch (error) {
+        errors++
+        console.error(`  Error creating variant for product ${product.id} (${product.name}):`, error.message)
+      }
+    }
+
+    console.log('\n✅ Migration completed!')
+    console.log(`   Created: ${created} variants`)
+    console.log(`   Skipped: ${skipped} products (already have variants)`)
+    console.log(`   Errors: ${errors}`)
+
+    process.exit(0)
+  } catch (error) {
+    console.error('❌ Migration error:', error)
+    process.exit(1)
+  }
+}
+
+migrateProductVariants()
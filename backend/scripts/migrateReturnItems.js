@@ -0,0 +1,85 @@
+import dotenv from 'dotenv'
+import { sequelize } from '../config/db.js'
+
+dotenv.config()
+
+// Returns now cover several order lines with quantities, can ask for an exchange instead of
+// a refund, carry photos, and go through pickup and quality check before they are closed
+const migrateReturnItems = async () => {
+  try {
+    await sequelize.authenticate()
+    console.log('PostgreSQL Connected successfully')
+
+    console.log('Adding pickup, quality check and exchange return statuses...')
+    await sequelize.query(`ALTER TYPE "enum_returns_status" ADD VALUE IF NOT EXISTS 'pickup_scheduled' AFTER 'rejected'`)
+    await sequelize.query(`ALTER TYPE "enum_returns_status" ADD VALUE IF NOT EXISTS 'picked_up' AFTER 'pickup_scheduled'`)
+    await sequelize.query(`ALTER TYPE "enum_returns_status" ADD VALUE IF NOT EXISTS 'received' AFTER 'picked_up'`)
+    await sequelize.query(`ALTER TYPE "enum_returns_status" ADD VALUE IF NOT EXISTS 'qc_passed' AFTER 'received'`)
+    await sequelize.query(`ALTER TYPE "enum_returns_status" ADD VALUE IF NOT EXISTS 'qc_failed' AFTER 'qc_passed'`)
+    await sequelize.query(`ALTER TYPE "enum_returns_status" ADD VALUE IF NOT EXISTS 'exchanged' AFTER 'refunded'`)
+
+    console.log('Adding items, resolution, comment, photos, statusHistory, pickup, qcNotes and exchangedAt columns to returns...')
+    await sequelize.query(`
+      DO $$ BEGIN
+        CREATE TYPE "enum_returns_resolution" AS ENUM ('refund', 'exchange');
+      EXCEPTION
+        WHEN duplicate_object THEN null;
+      END $$;
+    `)
+    await sequelize.query(`ALTER TABLE returns ADD COLUMN IF NOT EXISTS items JSONB DEFAULT '[]'::jsonb`)
+    await sequelize.query(`ALTER TABLE returns ADD COLUMN IF NOT EXISTS resolution "enum_returns_resolution" DEFAULT 'refund'`)
+    await sequelize.query(`ALTER TABLE returns ADD COLUMN IF NOT EXISTS comment TEXT`)
+    await sequelize.query(`ALTER TABLE returns ADD COLUMN IF NOT EXISTS photos JSONB DEFAULT '[]'::jsonb`)
+    await sequelize.query(`ALTER TABLE returns ADD COLUMN IF NOT EXISTS "statusHistory" JSONB DEFAULT '[]'::jsonb`)
+    await sequelize.query(`ALTER TABLE returns ADD COLUMN IF NOT EXISTS pickup JSONB`)
+    await sequelize.query(`ALTER TABLE returns ADD COLUMN IF NOT EXISTS "qcNotes" TEXT`)
+    await sequelize.query(`ALTER TABLE returns ADD COLUMN IF NOT EXISTS "exchangedAt" TIMESTAMP WITH TIME ZONE`)
+    await sequelize.query(`ALTER TABLE returns ALTER COLUMN "productId" DROP NOT NULL`)
+
+    // Older returns were for one unit of one product; find that product's line on the order
+    console.log('Backfilling the returned line of single-product returns...')
+    const [returns] = await sequelize.query(`
+      SELECT r.id, r."productId", r."productName", r.amount, r.status, r."requestedAt", o.items AS "orderItems"
+      FROM returns r
+      LEFT JOIN orders o ON o."orderId" = r."orderId"
+      WHERE r.items IS NULL OR r.items = '[]'::jsonb
+    `)
+    for (const returnRow of returns) {
+      const orderItems = Array.isArray(returnRow.orderItems) ? returnRow.orderItems : []
+      const lineIndex = orderItems.findIndex(item => item.product === returnRow.productId)
+      const line = orderItems[lineIndex] || {}
+      const amount = parseFloat(returnRow.amount) || 0
+
+      await sequelize.query(
+        `UPDATE returns SET items = :items, "statusHistory" = :history WHERE id = :id`,
+        {
+          replacements: {
+            id: returnRow.id,
+            items: JSON.stringify([{
+              lineIndex: lineIndex >= 0 ? lineIndex : null,
+              productId: returnRow.productId,
+              variantId: line.variantId || null,
+              name: returnRow.productName,
+              size: line.size || null,
+              color: line.color || null,
+              image: line.image || null,
+              quantity: 1,
+              unitPrice: amount,
+              amount
+            }]),
+            history: JSON.stringify([{ status: returnRow.status, date: returnRow.requestedAt }])
+          }
+        }
+      )
+    }
+    console.log(`   Backfilled ${returns.length} returns`)
+
+    console.log('\n✅ Migration completed!')
+    process.exit(0)
+  } catch (error) {
+    console.error('❌ Migration error:', error)
+    process.exit(1)
+  }
+}
+
+migrateReturnItems()
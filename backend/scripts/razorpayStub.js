@@ -0,0 +1,140 @@
+import dotenv from 'dotenv'
+import crypto from 'crypto'
+import http from 'http'
+
+dotenv.config()
+
+// A local stand-in for the Razorpay Refunds API, for trying refunds without a Razorpay account.
+// Refunds are created pending and settle a few seconds later, when the stub sends the signed
+// refund.processed webhook exactly as Razorpay would.
+//
+// Usage:
+//   node scripts/razorpayStub.js
+//   then run the server with RAZORPAY_API_URL=http://localhost:5055 (and any RAZORPAY_KEY_ID /
+//   RAZORPAY_KEY_SECRET; the stub does not check them)
+//
+//   RAZORPAY_STUB_PORT      Port to listen on (default 5055)
+//   RAZORPAY_STUB_SETTLE    Seconds before a refund settles (default 5; 0 leaves refunds pending,
+//                           to try npm run sync-refunds)
+//   WEBHOOK_URL             Defaults to http://localhost:5001/api/payments/razorpay/webhook;
+//                           webhooks are only sent when RAZORPAY_WEBHOOK_SECRET is set
+//
+//   Payment IDs containing "fail" are refused outright; those containing "decline" are
+//   accepted and then fail when they settle.
+const PORT = parseInt(process.env.RAZORPAY_STUB_PORT || '5055')
+const SETTLE_SECONDS = parseInt(process.env.RAZORPAY_STUB_SETTLE ?? '5')
+const WEBHOOK_URL = process.env.WEBHOOK_URL || 'http://localhost:5001/api/payments/razorpay/webhook'
+
+const refunds = new Map()
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(7).toString('hex')}`
+
+const send = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' })
+  res.end(JSON.stringify(body))
+}
+
+const badRequest = (res, description) =>
+  send(res, 400, { error: { code: 'BAD_REQUEST_ERROR', description } })
+
+const readBody = (req) => new Promise((resolve) => {
+  let data = ''
+  req.on('data', chunk => { data += chunk })
+  req.on('end', () => {
+    try {
+      resolve(data ? JSON.parse(data) : {})
+    } catch {
+      resolve({})
+    }
+  })
+})
+
+const sendWebhook = async (event, refund) => {
+  const secret = process.env.RAZORPAY_WEBHOOK_SECRET
+  if (!secret) return
+
+  const body = JSON.stringify({
+    entity: 'event',
+    event,
+    contains: ['refund'],
+    payload: { refund: { entity: refund } },
+    created_at: Math.floor(Date.now() / 1000)
+  })
+  try {
+    const response = await fetch(WEBHOOK_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Razorpay-Signature': crypto.createHmac('sha256', secret).update(body).digest('hex'),
+        'X-Razorpay-Event-Id': randomId('evt')
+      },
+      body
+    })
+    console.log(`→ ${event} ${refund.id}: ${response.status}`)
+  } catch (error) {
+    console.error(`→ ${event} ${refund.id} could not be delivered:`, error.message)
+  }
+}
+
+const settle = (refund) => {
+  refund.status = refund.payment_id.includes('decline') ? 'failed' : 'processed'
+  console.log(`Refund ${refund.id} ${refund.status}`)
+  sendWebhook(`refund.${refund.status}`, refund)
+}
+
+const createRefund = async (req, res, paymentId) => {
+  const { amount, notes = {}, speed = 'normal' } = await readBody(req)
+  if (paymentId.includes('fail')) {
+    return badRequest(res, 'The payment has been fully refunded already')
+  }
+  if (!Number.isInteger(amount) || amount < 100) {
+    return badRequest(res, 'The amount must be atleast INR 1.00')
+  }
+
+  const refund = {
+    id: randomId('rfnd'),
+    entity: 'refund',
+    amount,
+    currency: 'INR',
+    payment_id: paymentId,
+    notes,
+    receipt: null,
+    acquirer_data: { arn: null },
+    created_at: Math.floor(Date.now() / 1000),
+    batch_id: null,
+    status: 'pending',
+    speed_processed: speed,
+    speed_requested: speed
+  }
+  refunds.set(refund.id, refund)
+  console.log(`Refund ${refund.id} of ₹${(amount / 100).toFixed(2)} on ${paymentId} created`)
+
+  if (SETTLE_SECONDS > 0) {
+    setTimeout(() => settle(refund), SETTLE_SECONDS * 1000)
+  }
+  send(res, 200, refund)
+}
+
+const server = http.createServer(async (req, res) => {
+  const { pathname } = new URL(req.url, `http://localhost:${PORT}`)
+  const path = pathname.replace(/^\/v1/, '')
+  let match
+
+  if (req.method === 'POST' && (match = path.match(/^\/payments\/([^/]+)\/refund$/))) {
+    return createRefund(req, res, match[1])
+  }
+  if (req.method === 'GET' && (match = path.match(/^\/payments\/([^/]+)\/refunds$/))) {
+    const items = [...refunds.values()].filter(refund => refund.payment_id === match[1])
+    return send(res, 200, { entity: 'collection', count: items.length, items })
+  }
+  if (req.method === 'GET' && (match = path.match(/^\/refunds\/([^/]+)$/))) {
+    const refund = refunds.get(match[1])
+    return refund ? send(res, 200, refund) : badRequest(res, 'The id provided does not exist')
+  }
+
+  send(res, 404, { error: { code: 'BAD_REQUEST_ERROR', description: 'The requested URL was not found on the server.' } })
+})
+
+server.listen(PORT, () => {
+  console.log(`Razorpay stub listening on http://localhost:${PORT}`)
+})
@@ -0,0 +1,49 @@
+import dotenv from 'dotenv'
+import { sequelize } from '../config/db.js'
+import { findOrphanedRedemptions, refundOrphanedRedemption, releaseStaleHolds } from '../services/coinService.js'
+
+dotenv.config()
+
+// List coins that were taken from customers without an order to show for them: checkout
+// holds whose payment never completed and redemptions made through the old redeem endpoint.
+// Pass --fix to give the coins back.
+const reconcileCoinRedemptions = async () => {
+  const fix = process.argv.includes('--fix')
+
+  try {
+    await sequelize.authenticate()
+    console.log('PostgreSQL Connected successfully')
+
+    const orphaned = await findOrphanedRedemptions()
+    if (orphaned.length === 0) {
+      console.log('No orphaned coin redemptions found')
+    }
+
+    let refunded = 0
+    for (const redemption of orphaned) {
+      const customer = redemption.user ? `${redemption.user.name} <${redemption.user.email}>` : redemption.userId
+      const kind = redemption.holdStatus === 'held' ? `stale hold for ${redemption.holdReference}` : 'redeemed without an order'
+      console.log(`${redemption.createdAt.toISOString()}  ${customer}  ${redemption.amount} coin(s)  ${kind}`)
+
+      if (fix) {
+        refunded += await refundOrphanedRedemption(redemption.id)
+      }
+    }
+
+    if (fix) {
+      // Holds that went stale while the refunds were running
+      const released = await releaseStaleHolds()
+      console.log(`\nRefunded ${refunded} coin(s) and released ${released} more stale hold(s)`)
+    } else if (orphaned.length > 0) {
+      console.log(`\nFound ${orphaned.length} orphaned redemption(s); run again with --fix to refund them`)
+    }
+
+    console.log('\n✅ Coin reconciliation completed!')
+    process.exit(0)
+  } catch (error) {
+    console.error('❌ Coin reconciliation error:', error)
+    process.exit(1)
+  }
+}
+
+reconcileCoinRedemptions()
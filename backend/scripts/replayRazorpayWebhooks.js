@@ -0,0 +1,95 @@
+import dotenv from 'dotenv'
+import crypto from 'crypto'
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+dotenv.config()
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'razorpay-webhooks')
+
+// Replays recorded Razorpay webhook payloads against a running server, signed with
+// RAZORPAY_WEBHOOK_SECRET exactly as Razorpay would sign them.
+//
+// Usage:
+//   node scripts/replayRazorpayWebhooks.js [fixture.json ...] [--order order_xxx] [--payment pay_xxx] [--fresh]
+//
+//   --order    Override the Razorpay order ID in the payload
+//   --payment  Override the Razorpay payment ID in the payload
+//   --fresh    Send a new event ID instead of the recorded one (otherwise the
+//              server should answer "duplicate" on the second run)
+//   WEBHOOK_URL defaults to http://localhost:5001/api/payments/razorpay/webhook
+const parseArgs = (args) => {
+  const options = { files: [], fresh: false }
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--order') options.orderId = args[++i]
+    else if (args[i] === '--payment') options.paymentId = args[++i]
+    else if (args[i] === '--fresh') options.fresh = true
+    else options.files.push(args[i])
+  }
+
+  if (options.files.length === 0) {
+    options.files = fs.readdirSync(FIXTURES_DIR)
+      .filter(file => file.endsWith('.json'))
+      .sort()
+      .map(file => path.join(FIXTURES_DIR, file))
+  }
+  return options
+}
+
+const applyOverrides = (payload, { orderId, paymentId }) => {
+  const { payment, refund } = payload.payload || {}
+  if (payment?.entity) {
+    if (orderId) payment.entity.order_id = orderId
+    if (paymentId) payment.entity.id = paymentId
+  }
+  if (refund?.entity && paymentId) {
+    refund.entity.payment_id = paymentId
+  }
+  return payload
+}
+
+const replayRazorpayWebhooks = async () => {
+  const secret = process.env.RAZORPAY_WEBHOOK_SECRET
+  if (!secret) {
+    console.error('❌ RAZORPAY_WEBHOOK_SECRET is not set')
+    process.exit(1)
+  }
+
+  const url = process.env.WEBHOOK_URL || 'http://localhost:5001/api/payments/razorpay/webhook'
+  const options = parseArgs(process.argv.slice(2))
+  let failed = 0
+
+  for (const file of options.files) {
+    try {
+      const fixture = JSON.parse(fs.readFileSync(file, 'utf8'))
+      const eventId = options.fresh
+        ? `evt_replay_${Date.now()}${Math.random().toString(36).substr(2, 6)}`
+        : fixture.eventId
+      const body = JSON.stringify(applyOverrides(fixture.body, options))
+      const signature = crypto.createHmac('sha256', secret).update(body).digest('hex')
+
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Razorpay-Signature': signature,
+          ...(eventId && { 'X-Razorpay-Event-Id': eventId })
+        },
+        body
+      })
+      const result = await response.json().catch(() => ({}))
+
+      if (!response.ok) failed++
+      console.log(`${response.ok ? '✅' : '❌'} ${path.basename(file)} [${eventId || 'no event id'}] ${response.status}`, result)
+    } catch (error) {
+      failed++
+      console.error(`❌ ${path.basename(file)}:`, error.message)
+    }
+  }
+
+  process.exit(failed > 0 ? 1 : 0)
+}
+
+replayRazorpayWebhooks()
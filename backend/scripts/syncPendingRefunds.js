@@ -0,0 +1,25 @@
+import dotenv from 'dotenv'
+import { sequelize } from '../config/db.js'
+import { syncPendingRefunds } from '../services/refundService.js'
+
+dotenv.config()
+
+// Ask Razorpay about every refund still pending. The refund webhooks normally settle them;
+// run this every few hours (e.g. from cron) so a missed webhook never leaves one hanging.
+const runRefundSync = async () => {
+  try {
+    await sequelize.authenticate()
+    console.log('PostgreSQL Connected successfully')
+
+    const { checked, settled, errors } = await syncPendingRefunds()
+    console.log(`Checked ${checked} pending refund(s): ${settled} settled, ${errors} error(s)`)
+
+    console.log('\n✅ Refund sync completed!')
+    process.exit(errors > 0 ? 1 : 0)
+  } catch (error) {
+    console.error('❌ Refund sync error:', error)
+    process.exit(1)
+  }
+}
+
+runRefundSync()
@@ -18,11 +18,14 @@ import paymentRoutes from './routes/paymentRoutes.js'
 import reviewRoutes from './routes/reviewRoutes.js'
 import adminRoutes from './routes/adminRoutes.js'
 import adminAuthRoutes from './routes/adminAuthRoutes.js'
+import adminUserRoutes from './routes/adminUserRoutes.js'
+import auditLogRoutes from './routes/auditLogRoutes.js'
 import bannerRoutes from './routes/bannerRoutes.js'
 import couponRoutes from './routes/couponRoutes.js'
 import settingRoutes from './routes/settingRoutes.js'
 import contactRoutes from './routes/contactRoutes.js'
 import returnRoutes from './routes/returnRoutes.js'
+import refundRoutes from './routes/refundRoutes.js'
 import categoryRoutes from './routes/categoryRoutes.js'
 import discountRoutes from './routes/discountRoutes.js'
 import newsletterRoutes from './routes/newsletterRoutes.js'
@@ -34,12 +37,22 @@ import newArrivalRoutes from './routes/newArrivalRoutes.js'
 import testimonialRoutes from './routes/testimonialRoutes.js'
 import saleStripRoutes from './routes/saleStripRoutes.js'
 import coinRoutes from './routes/coinRoutes.js'
+import paymentWebhookRoutes from './routes/paymentWebhookRoutes.js'
+import shippingRoutes from './routes/shippingRoutes.js'
+import messageRoutes from './routes/messageRoutes.js'
+import { startWorker } from './services/messageWorker.js'
 
 // Load environment variables
 dotenv.config()
 
 const app = express()
 
+// Behind a reverse proxy, set TRUST_PROXY (e.g. 1, the number of proxies) so req.ip is the client's address
+if (process.env.TRUST_PROXY) {
+  const trustProxy = Number(process.env.TRUST_PROXY)
+  app.set('trust proxy', Number.isNaN(trustProxy) ? process.env.TRUST_PROXY : trustProxy)
+}
+
 // Middleware
 const allowedOrigins = [
   process.env.FRONTEND_URL || 'https://arudhrafashions.com',
@@ -59,13 +72,18 @@ app.use((req, res, next) => {
     res.header('Access-Control-Allow-Origin', origin)
     res.header('Access-Control-Allow-Credentials', 'true')
     res.header('Access-Control-Allow-Methods', 'GET,POST,PUT,DELETE,OPTIONS')
-    res.header('Access-Control-Allow-Headers', 'Content-Type,Authorization')
+    res.header('Access-Control-Allow-Headers', 'Content-Type,Authorization,X-Guest-Token')
     if (req.method === 'OPTIONS') return res.sendStatus(200)
   }
 
   return next()
 })
-app.use(express.json())
+app.use(express.json({
+  // Keep the raw body for webhook signature verification
+  verify: (req, res, buf) => {
+    req.rawBody = buf
+  }
+}))
 app.use(express.urlencoded({ extended: true }))
 
 // Mark API responses so we can verify requests reach the backend server
@@ -121,9 +139,13 @@ app.use('/api/new-arrivals', newArrivalRoutes)
 app.use('/api/testimonials', testimonialRoutes)
 app.use('/api/sale-strips', saleStripRoutes)
 app.use('/api/coins', coinRoutes)
+app.use('/api/payments', paymentWebhookRoutes)
+app.use('/api/shipping', shippingRoutes)
 
 // Admin Routes
 app.use('/api/admin/auth', adminAuthRoutes)
+app.use('/api/admin/users', adminUserRoutes)
+app.use('/api/admin/audit-logs', auditLogRoutes)
 app.use('/api/admin/upload', uploadRoutes)
 app.use('/api/admin', adminRoutes)
 app.use('/api/admin/banners', bannerRoutes)
@@ -131,6 +153,7 @@ app.use('/api/admin/coupons', couponRoutes)
 app.use('/api/admin/settings', settingRoutes)
 app.use('/api/admin/queries', contactRoutes)
 app.use('/api/admin/returns', returnRoutes)
+app.use('/api/admin/refunds', refundRoutes)
 app.use('/api/admin/categories', categoryRoutes)
 app.use('/api/admin/discounts', discountRoutes)
 app.use('/api/admin/newsletter', newsletterRoutes)
@@ -140,6 +163,7 @@ app.use('/api/admin/testimonials', testimonialRoutes)
 app.use('/api/admin/sale-strips', saleStripRoutes)
 app.use('/api/admin/inventory', inventoryRoutes)
 app.use('/api/admin/email-templates', emailTemplateRoutes)
+app.use('/api/admin/messages', messageRoutes)
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -167,6 +191,11 @@ const startServer = async () => {
     app.listen(PORT, HOST, () => {
       console.log(`Server running in ${process.env.NODE_ENV || 'development'} mode on ${HOST}:${PORT}`)
     })
+
+    // Single-process deployments can deliver queued emails/SMS here instead of running worker.js
+    if (process.env.RUN_MESSAGE_WORKER === 'true') {
+      startWorker()
+    }
   } catch (error) {
     console.error('Failed to start server:', error.message)
     process.exit(1)
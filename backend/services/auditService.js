@@ -0,0 +1,262 @@
+import { AsyncLocalStorage } from 'async_hooks'
+import { Op } from 'sequelize'
+import { sequelize } from '../config/db.js'
+import AuditLog from '../models/AuditLog.js'
+
+/**
+ * Audit Service for admin writes
+ * requirePermission() runs every non-view admin request inside an audit context (the admin,
+ * permission, route and IP). Sequelize hooks then record each row the request creates, updates
+ * or deletes, with the changed fields before and after. A successful write that touched no
+ * model (raw SQL, queued jobs) still gets one 'request' entry with the request body.
+ * Entries are written in the caller's transaction, so a rolled back change leaves no entry.
+ * Behind a reverse proxy, set TRUST_PROXY so the recorded IP is the admin's, not the proxy's.
+ */
+
+const auditContext = new AsyncLocalStorage()
+
+// The audit log itself, and tables that are already a record of who did what
+const UNAUDITED_MODELS = new Set(['AuditLog', 'InventoryLog', 'MessageJob'])
+
+const REDACTED_FIELDS = new Set(['password', 'inviteToken', 'passwordResetToken'])
+const IGNORED_FIELDS = new Set(['updatedAt'])
+
+// Batch size when streaming the CSV export
+const EXPORT_BATCH_SIZE = 1000
+
+// Dates, decimals and model instances as they would be sent to the admin panel
+const toPlain = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)))
+
+const redact = (values) => {
+  if (!values || typeof values !== 'object' || Array.isArray(values)) return values
+  return Object.fromEntries(
+    Object.entries(values)
+      .filter(([field]) => !IGNORED_FIELDS.has(field))
+      .map(([field, value]) => [field, REDACTED_FIELDS.has(field) ? '[redacted]' : value])
+  )
+}
+
+const entityIdOf = (instance) => {
+  const id = instance.get(instance.constructor.primaryKeyAttribute)
+  return id === undefined || id === null ? null : String(id)
+}
+
+// Bulk writes only have a where clause; it names the row when it is a plain id match
+const entityIdFromWhere = (where) => {
+  const id = where?.id
+  return typeof id === 'string' || typeof id === 'number' ? String(id) : null
+}
+
+/**
+ * Fields that changed in an update, as they were and as they are now
+ * @param {Object} instance - Model instance in an afterUpdate hook
+ * @param {Array<string>} fields - Fields the update saved
+ * @returns {Object} - { before, after } (empty objects if nothing really changed)
+ */
+export const diffInstance = (instance, fields) => {
+  const before = {}
+  const after = {}
+  fields.forEach(field => {
+    if (IGNORED_FIELDS.has(field)) return
+    const previous = toPlain(instance.previous(field))
+    const current = toPlain(instance.get(field))
+    if (JSON.stringify(previous) !== JSON.stringify(current)) {
+      before[field] = REDACTED_FIELDS.has(field) ? '[redacted]' : previous
+      after[field] = REDACTED_FIELDS.has(field) ? '[redacted]' : current
+    }
+  })
+  return { before, after }
+}
+
+const record = async (entry, transaction) => {
+  const context = auditContext.getStore()
+  if (!context?.admin) return
+
+  context.recorded += 1
+  try {
+    await AuditLog.create({
+      adminId: context.admin.id,
+      action: context.action,
+      method: context.method,
+      path: context.path,
+      ipAddress: context.ipAddress,
+      ...entry
+    }, { transaction })
+  } catch (error) {
+    console.error('Audit log error:', error)
+  }
+}
+
+sequelize.addHook('afterCreate', 'auditLog', async (instance, options) => {
+  if (UNAUDITED_MODELS.has(instance.constructor.name)) return
+  await record({
+    operation: 'create',
+    entityType: instance.constructor.name,
+    entityId: entityIdOf(instance),
+    after: redact(toPlain(instance.get({ plain: true })))
+  }, options.transaction)
+})
+
+sequelize.addHook('afterUpdate', 'auditLog', async (instance, options) => {
+  if (UNAUDITED_MODELS.has(instance.constructor.name)) return
+  const { before, after } = diffInstance(instance, options.fields || Object.keys(instance.rawAttributes))
+  if (Object.keys(after).length === 0) return
+  await record({
+    operation: 'update',
+    entityType: instance.constructor.name,
+    entityId: entityIdOf(instance),
+    before,
+    after
+  }, options.transaction)
+})
+
+sequelize.addHook('afterDestroy', 'auditLog', async (instance, options) => {
+  if (UNAUDITED_MODELS.has(instance.constructor.name)) return
+  await record({
+    operation: 'delete',
+    entityType: instance.constructor.name,
+    entityId: entityIdOf(instance),
+    before: redact(toPlain(instance.get({ plain: true })))
+  }, options.transaction)
+})
+
+// Model.update/destroy with a where clause; with individualHooks the hooks above record each row
+sequelize.addHook('afterBulkUpdate', 'auditLog', async (options) => {
+  if (options.individualHooks || UNAUDITED_MODELS.has(options.model?.name)) return
+  await record({
+    operation: 'update',
+    entityType: options.model.name,
+    entityId: entityIdFromWhere(options.where),
+    after: redact(toPlain(options.attributes))
+  }, options.transaction)
+})
+
+sequelize.addHook('afterBulkDestroy', 'auditLog', async (options) => {
+  if (options.individualHooks || UNAUDITED_MODELS.has(options.model?.name)) return
+  await record({
+    operation: 'delete',
+    entityType: options.model.name,
+    entityId: entityIdFromWhere(options.where),
+    before: redact(toPlain(options.where))
+  }, options.transaction)
+})
+
+/**
+ * Run the rest of an admin write request inside an audit context
+ * @param {Object} req - Express request (after adminProtect)
+ * @param {Object} res - Express response
+ * @param {Object} permission - { resource, action } the route requires
+ * @param {Function} next - Express next
+ */
+export const auditAdminRequest = (req, res, { resource, action }, next) => {
+  const context = {
+    admin: req.admin,
+    action: `${resource}.${action}`,
+    method: req.method,
+    path: req.originalUrl.split('?')[0],
+    ipAddress: req.ip || null,
+    recorded: 0
+  }
+  // Route params are only on req while the route runs
+  const params = { ...req.params }
+
+  res.on('finish', () => {
+    if (context.recorded > 0 || res.statusCode >= 400) return
+    const body = redact(toPlain(req.body))
+    AuditLog.create({
+      adminId: context.admin.id,
+      action: context.action,
+      operation: 'request',
+      entityType: resource,
+      entityId: params.id || Object.values(params)[0] || null,
+      after: body && Object.keys(body).length > 0 ? body : null,
+      method: context.method,
+      path: context.path,
+      ipAddress: context.ipAddress
+    }).catch(error => console.error('Audit log error:', error))
+  })
+
+  auditContext.run(context, next)
+}
+
+/**
+ * Where clause for the audit screen and export
+ * @param {Object} query - adminId, action, operation, entityType, entityId, from, to (dates)
+ * @returns {Object} - Sequelize where
+ */
+export const buildAuditWhere = ({ adminId, action, operation, entityType, entityId, from, to } = {}) => {
+  const where = {}
+  if (adminId) where.adminId = adminId
+  if (action) where.action = action
+  if (operation) where.operation = operation
+  if (entityType) where.entityType = entityType
+  if (entityId) where.entityId = entityId.trim()
+  if (from || to) {
+    where.createdAt = {}
+    if (from) where.createdAt[Op.gte] = new Date(from)
+    if (to) {
+      // A bare date includes that whole day
+      const end = new Date(to)
+      if (/^\d{4}-\d{2}-\d{2}$/.test(to)) end.setDate(end.getDate() + 1)
+      where.createdAt[Op.lt] = end
+    }
+  }
+  return where
+}
+
+const CSV_COLUMNS = ['Time', 'Admin', 'Admin Email', 'Action', 'Operation', 'Entity Type', 'Entity ID', 'Before', 'After', 'Method', 'Path', 'IP Address']
+
+// Quote every cell, and stop spreadsheets from running cells that look like formulas
+const csvCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value)
+  if (/^[=+\-@]/.test(text)) text = `'${text}`
+  return `"${text.replace(/"/g, '""')}"`
+}
+
+const csvRow = (log) => [
+  log.createdAt.toISOString(),
+  log.admin?.name,
+  log.admin?.email,
+  log.action,
+  log.operation,
+  log.entityType,
+  log.entityId,
+  log.before ? JSON.stringify(log.before) : '',
+  log.after ? JSON.stringify(log.after) : '',
+  log.method,
+  log.path,
+  log.ipAddress
+].map(csvCell).join(',')
+
+/**
+ * Write matching audit entries to a response as CSV, newest first, in batches
+ * @param {Object} where - From buildAuditWhere
+ * @param {Object} res - Express response (headers already set)
+ * @returns {Promise<number>} - Rows written
+ */
+export const streamAuditCsv = async (where, res) => {
+  res.write(`${CSV_COLUMNS.map(csvCell).join(',')}\n`)
+
+  let written = 0
+  for (;;) {
+    const logs = await AuditLog.findAll({
+      where,
+      include: [{ association: 'admin', attributes: ['name', 'email'] }],
+      order: [['createdAt', 'DESC'], ['id', 'ASC']],
+      limit: EXPORT_BATCH_SIZE,
+      offset: written
+    })
+    if (logs.length === 0) break
+    res.write(`${logs.map(csvRow).join('\n')}\n`)
+    written += logs.length
+    if (logs.length < EXPORT_BATCH_SIZE) break
+  }
+  return written
+}
+
+export default {
+  auditAdminRequest,
+  diffInstance,
+  buildAuditWhere,
+  streamAuditCsv
+}
@@ -0,0 +1,282 @@
+/**
+ * Catalogue Listing Service
+ * Turns the storefront listing filters into one condition per filter on "Product": the values
+ * of a multi-value filter match any (sizes=S&sizes=M is S or M) and filters combine with AND.
+ * Facet counts for a filter are computed with every other filter applied, so ticking a size
+ * still shows how many products each other size would add.
+ */
+
+import { Op } from 'sequelize'
+import { sequelize } from '../config/db.js'
+import Product from '../models/Product.js'
+import Category from '../models/Category.js'
+import Subcategory from '../models/Subcategory.js'
+import { searchCondition, searchRank } from './searchService.js'
+
+const SIZE_ORDER = ['XS', 'S', 'M', 'L', 'XL', 'XXL']
+
+// Price facet buckets in rupees; max is exclusive
+export const PRICE_BUCKETS = [
+  { min: 0, max: 500, label: 'Under ₹500' },
+  { min: 500, max: 1000, label: '₹500 - ₹1,000' },
+  { min: 1000, max: 2000, label: '₹1,000 - ₹2,000' },
+  { min: 2000, max: 5000, label: '₹2,000 - ₹5,000' },
+  { min: 5000, max: null, label: '₹5,000 & above' }
+]
+
+// Percentage off the original price (0 when the product is not discounted)
+const DISCOUNT_PERCENT = `(CASE WHEN "Product"."originalPrice" > "Product"."price"
+  THEN ("Product"."originalPrice" - "Product"."price") * 100 / "Product"."originalPrice"
+  ELSE 0 END)`
+
+// Units sold: stock taken by orders less stock put back by cancellations and returns
+const UNITS_SOLD = `(SELECT COALESCE(SUM(CASE WHEN l.type = 'out' THEN l.quantity ELSE -l.quantity END), 0)
+  FROM inventory_logs l
+  WHERE l."productId" = "Product"."id" AND l."orderId" IS NOT NULL AND l.type IN ('in', 'out'))`
+
+export const SORT_OPTIONS = {
+  newest: [['createdAt', 'DESC']],
+  price_asc: [['price', 'ASC'], ['createdAt', 'DESC']],
+  price_desc: [['price', 'DESC'], ['createdAt', 'DESC']],
+  rating: [['rating', 'DESC'], ['reviews', 'DESC'], ['createdAt', 'DESC']],
+  best_selling: [[sequelize.literal(UNITS_SOLD), 'DESC'], ['createdAt', 'DESC']],
+  discount: [[sequelize.literal(DISCOUNT_PERCENT), 'DESC'], ['createdAt', 'DESC']]
+}
+
+// Query string values may repeat (sizes=S&sizes=M) or be comma separated (sizes=S,M)
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return []
+  return (Array.isArray(value) ? value : [value])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean)
+}
+
+const isTrue = (value) => value === 'true' || value === true
+
+// Category or subcategory by slug, or failing that by name
+const findBySlugOrName = (Model, value) =>
+  Model.findOne({
+    where: {
+      [Op.or]: [
+        { slug: value.toLowerCase() },
+        { name: { [Op.iLike]: `%${value}%` } }
+      ],
+      isActive: true
+    }
+  })
+
+// Products with an active, in-stock variant for any of the values. Variants with a null
+// size/color (single-variant products) fall back to the product's own lists.
+const sizeCondition = (sizes) => {
+  const sizeArray = sizes.map(size => sequelize.escape(size))
+  return sequelize.literal(`"Product"."id" IN (
+    SELECT v."productId" FROM product_variants v
+    WHERE v."isActive" = true AND v."stockCount" > 0
+    AND (v.size IN (${sizeArray.join(', ')})
+      OR (v.size IS NULL AND "Product"."sizes"::text[] && ARRAY[${sizeArray.join(', ')}]::text[]))
+  )`)
+}
+
+const colorCondition = (colors) => {
+  const colorArray = colors.map(color => sequelize.escape(color.toLowerCase()))
+  return sequelize.literal(`"Product"."id" IN (
+    SELECT v."productId" FROM product_variants v
+    WHERE v."isActive" = true AND v."stockCount" > 0
+    AND (LOWER(v.color) IN (${colorArray.join(', ')})
+      OR (v.color IS NULL AND EXISTS (
+        SELECT 1 FROM jsonb_array_elements("Product"."colors") c
+        WHERE LOWER(c->>'name') IN (${colorArray.join(', ')})
+      )))
+  )`)
+}
+
+/**
+ * Build the listing conditions from the query string
+ * @param {Object} query - req.query: category, subcategory, minPrice, maxPrice, sizes, colors,
+ *                         materials, minDiscount, onSale, featured, new
+ * @returns {Promise<Object>} - { conditions: { filterName: condition }, notFound } where
+ *                              notFound names a category or subcategory that does not exist
+ */
+export const buildCatalogFilters = async (query) => {
+  const conditions = {}
+
+  if (query.category) {
+    const category = await findBySlugOrName(Category, query.category)
+    if (!category) return { conditions, notFound: `Category ${query.category}` }
+    conditions.category = { categoryId: category.id }
+  }
+
+  if (query.subcategory) {
+    const subcategory = await findBySlugOrName(Subcategory, query.subcategory)
+    if (!subcategory) return { conditions, notFound: `Subcategory ${query.subcategory}` }
+    conditions.subcategory = { subcategoryId: subcategory.id }
+  }
+
+  const minPrice = Number(query.minPrice)
+  const maxPrice = Number(query.maxPrice)
+  if (minPrice > 0 || maxPrice > 0) {
+    const price = {}
+    if (minPrice > 0) price[Op.gte] = minPrice
+    if (maxPrice > 0) price[Op.lte] = maxPrice
+    conditions.price = { price }
+  }
+
+  const sizes = toList(query.sizes)
+  if (sizes.length > 0) conditions.sizes = sizeCondition(sizes)
+
+  const colors = toList(query.colors)
+  if (colors.length > 0) conditions.colors = colorCondition(colors)
+
+  const materials = toList(query.materials).map(material => material.toLowerCase())
+  if (materials.length > 0) {
+    conditions.materials = sequelize.where(sequelize.fn('LOWER', sequelize.col('Product.material')), { [Op.in]: materials })
+  }
+
+  const minDiscount = Number(query.minDiscount)
+  if (minDiscount > 0) {
+    conditions.discount = sequelize.literal(`${DISCOUNT_PERCENT} >= ${sequelize.escape(minDiscount)}`)
+  }
+
+  if (isTrue(query.onSale)) conditions.onSale = { onSale: true }
+
+  // Featured: flagged by an admin or highly rated
+  if (isTrue(query.featured)) {
+    conditions.featured = { [Op.or]: [{ rating: { [Op.gte]: 4.0 } }, { featured: true }] }
+  }
+
+  if (isTrue(query.new)) conditions.new = { new: true }
+
+  return { conditions, notFound: null }
+}
+
+/**
+ * Active products matching the conditions
+ * @param {Object} conditions - From buildCatalogFilters, plus an optional search
+ * @param {Object} options
+ * @param {string} options.search - Normalized search to add (optional)
+ * @param {string} options.except - Leave this filter out (used for its own facet) (optional)
+ * @returns {Object} - Sequelize where
+ */
+export const catalogWhere = (conditions, { search, except } = {}) => {
+  const applied = Object.entries(conditions)
+    .filter(([name]) => name !== except)
+    .map(([, condition]) => condition)
+  if (search) applied.push(searchCondition(search))
+
+  return { isActive: true, [Op.and]: applied }
+}
+
+/**
+ * ORDER BY for a sort option; searches default to relevance, everything else to newest
+ * @param {string} sort - One of SORT_OPTIONS or 'relevance'
+ * @param {string} search - Normalized search (optional)
+ * @returns {Array}
+ */
+export const catalogOrder = (sort, search) => {
+  if (SORT_OPTIONS[sort]) return SORT_OPTIONS[sort]
+  if (search) return [[searchRank(search), 'DESC'], ['createdAt', 'DESC']]
+  return SORT_OPTIONS.newest
+}
+
+// SQL condition on "Product" for the listing without one of its filters
+const facetConditions = (conditions, search, except) =>
+  sequelize.getQueryInterface().queryGenerator
+    .getWhereConditions(catalogWhere(conditions, { search, except }), 'Product', Product)
+
+const facetQuery = (sql) => sequelize.query(sql, { type: sequelize.QueryTypes.SELECT })
+
+const countSizes = async (where) => {
+  const rows = await facetQuery(`
+    SELECT size AS value, COUNT(DISTINCT id)::int AS count FROM (
+      SELECT "Product"."id", v.size
+      FROM products AS "Product"
+      JOIN product_variants v ON v."productId" = "Product"."id"
+      WHERE ${where} AND v."isActive" = true AND v."stockCount" > 0 AND v.size IS NOT NULL
+      UNION ALL
+      SELECT "Product"."id", product_size::text
+      FROM products AS "Product"
+      JOIN product_variants v ON v."productId" = "Product"."id"
+      CROSS JOIN LATERAL unnest("Product"."sizes") AS product_size
+      WHERE ${where} AND v."isActive" = true AND v."stockCount" > 0 AND v.size IS NULL
+    ) sizes
+    GROUP BY size
+  `)
+  return rows.sort((a, b) => SIZE_ORDER.indexOf(a.value) - SIZE_ORDER.indexOf(b.value))
+}
+
+const countColors = (where) => facetQuery(`
+  SELECT MIN(color) AS value, COUNT(DISTINCT id)::int AS count FROM (
+    SELECT "Product"."id", v.color
+    FROM products AS "Product"
+    JOIN product_variants v ON v."productId" = "Product"."id"
+    WHERE ${where} AND v."isActive" = true AND v."stockCount" > 0 AND v.color IS NOT NULL
+    UNION ALL
+    SELECT "Product"."id", product_color->>'name'
+    FROM products AS "Product"
+    JOIN product_variants v ON v."productId" = "Product"."id"
+    CROSS JOIN LATERAL jsonb_array_elements(
+      CASE WHEN jsonb_typeof("Product"."colors") = 'array' THEN "Product"."colors" ELSE '[]'::jsonb END
+    ) AS product_color
+    WHERE ${where} AND v."isActive" = true AND v."stockCount" > 0 AND v.color IS NULL
+  ) colors
+  WHERE color IS NOT NULL AND color <> ''
+  GROUP BY LOWER(color)
+  ORDER BY count DESC, value
+`)
+
+const countMaterials = (where) => facetQuery(`
+  SELECT MIN("Product"."material") AS value, COUNT(*)::int AS count
+  FROM products AS "Product"
+  WHERE ${where} AND "Product"."material" IS NOT NULL AND "Product"."material" <> ''
+  GROUP BY LOWER("Product"."material")
+  ORDER BY count DESC, value
+`)
+
+const countPrices = async (where) => {
+  const buckets = PRICE_BUCKETS.map((bucket, index) => {
+    const upper = bucket.max === null ? '' : ` AND "Product"."price" < ${bucket.max}`
+    return `COUNT(*) FILTER (WHERE "Product"."price" >= ${bucket.min}${upper})::int AS bucket_${index}`
+  })
+  const [row] = await facetQuery(`SELECT ${buckets.join(', ')} FROM products AS "Product" WHERE ${where}`)
+  return PRICE_BUCKETS.map((bucket, index) => ({ ...bucket, count: row[`bucket_${index}`] }))
+}
+
+const countSubcategories = (where) => facetQuery(`
+  SELECT s.id, s.name, s.slug, COUNT(*)::int AS count
+  FROM products AS "Product"
+  JOIN subcategories s ON s.id = "Product"."subcategoryId"
+  WHERE ${where} AND s."isActive" = true
+  GROUP BY s.id, s.name, s.slug, s.position
+  ORDER BY s.position, s.name
+`)
+
+/**
+ * Facet counts for the current filters; values other than price buckets are only listed when
+ * some product matches them
+ * @param {Object} conditions - From buildCatalogFilters
+ * @param {string} search - Normalized search (optional)
+ * @returns {Promise<Object>} - { sizes, colors, materials: [{ value, count }],
+ *                              price: [{ min, max, label, count }],
+ *                              subcategories: [{ id, name, slug, count }] }
+ */
+export const getCatalogFacets = async (conditions, search) => {
+  const [sizes, colors, materials, price, subcategories] = await Promise.all([
+    countSizes(facetConditions(conditions, search, 'sizes')),
+    countColors(facetConditions(conditions, search, 'colors')),
+    countMaterials(facetConditions(conditions, search, 'materials')),
+    countPrices(facetConditions(conditions, search, 'price')),
+    countSubcategories(facetConditions(conditions, search, 'subcategory'))
+  ])
+
+  return { sizes, colors, materials, price, subcategories }
+}
+
+export default {
+  PRICE_BUCKETS,
+  SORT_OPTIONS,
+  buildCatalogFilters,
+  catalogWhere,
+  catalogOrder,
+  getCatalogFacets
+}
@@ -0,0 +1,109 @@
+import Setting from '../models/Setting.js'
+
+/**
+ * Cash on Delivery Service for COD eligibility and fees
+ * Rules come from Setting records in the 'payment' category (edited on the admin Settings page):
+ * - enableCOD: offer Cash on Delivery at all
+ * - codMinOrderValue / codMaxOrderValue: order value range (₹) that may be paid on delivery (0 = no limit)
+ * - codFee: flat fee (₹) added to COD orders
+ * - codBlockedPinCodes (json): PIN codes or PIN prefixes (e.g. '7911', '110001') where COD is not offered
+ */
+
+const roundMoney = (value) => Math.round(value * 100) / 100
+
+const codError = (message, statusCode = 400) => {
+  const error = new Error(message)
+  error.name = 'CodError'
+  error.statusCode = statusCode
+  return error
+}
+
+const parseSettingValue = (setting) => {
+  if (setting.type === 'number') return parseFloat(setting.value)
+  if (setting.type === 'boolean') return setting.value === 'true' || setting.value === '1'
+  if (setting.type === 'json') {
+    try {
+      return JSON.parse(setting.value)
+    } catch (e) {
+      return null
+    }
+  }
+  return setting.value
+}
+
+const toNumber = (value, fallback) => {
+  const number = parseFloat(value)
+  return Number.isFinite(number) ? number : fallback
+}
+
+/**
+ * Load the COD rules from settings
+ * @param {Object} options
+ * @param {Object} options.transaction - Sequelize transaction (optional)
+ * @returns {Promise<Object>} - { enabled, minOrderValue, maxOrderValue, fee, blockedPinCodes }
+ */
+export const getCodConfig = async ({ transaction } = {}) => {
+  const settings = await Setting.findAll({ where: { category: 'payment' }, transaction })
+  const values = {}
+  settings.forEach(setting => {
+    values[setting.key] = parseSettingValue(setting)
+  })
+
+  return {
+    enabled: values.enableCOD !== false,
+    minOrderValue: toNumber(values.codMinOrderValue, 0),
+    maxOrderValue: toNumber(values.codMaxOrderValue, 0),
+    fee: Math.max(toNumber(values.codFee, 0), 0),
+    blockedPinCodes: Array.isArray(values.codBlockedPinCodes)
+      ? values.codBlockedPinCodes.map(pin => String(pin).trim()).filter(Boolean)
+      : []
+  }
+}
+
+/**
+ * Check whether an order can be paid on delivery
+ * @param {Object} params
+ * @param {number} params.orderValue - Order total before the COD fee (₹)
+ * @param {string} params.pinCode - Delivery PIN code
+ * @param {Object} params.transaction - Sequelize transaction (optional)
+ * @returns {Promise<Object>} - { available, fee, reason }
+ */
+export const checkCodEligibility = async ({ orderValue, pinCode, transaction }) => {
+  const config = await getCodConfig({ transaction })
+  const pin = String(pinCode || '').trim()
+  const unavailable = (reason) => ({ available: false, fee: config.fee, reason })
+
+  if (!config.enabled) {
+    return unavailable('Cash on Delivery is not available right now')
+  }
+  if (pin && config.blockedPinCodes.some(prefix => pin.startsWith(prefix))) {
+    return unavailable(`Cash on Delivery is not available for PIN code ${pin}`)
+  }
+  if (config.minOrderValue > 0 && orderValue < config.minOrderValue) {
+    return unavailable(`Cash on Delivery is available on orders of ₹${config.minOrderValue} or more`)
+  }
+  if (config.maxOrderValue > 0 && orderValue > config.maxOrderValue) {
+    return unavailable(`Cash on Delivery is available on orders up to ₹${config.maxOrderValue}`)
+  }
+
+  return { available: true, fee: roundMoney(config.fee), reason: null }
+}
+
+/**
+ * Get the COD fee for an order, or throw if it cannot be paid on delivery
+ * @param {Object} params - Same as checkCodEligibility
+ * @returns {Promise<number>} - COD fee (₹)
+ */
+export const assertCodEligible = async (params) => {
+  const eligibility = await checkCodEligibility(params)
+  if (!eligibility.available) {
+    throw codError(eligibility.reason)
+  }
+  return eligibility.fee
+}
+
+export default {
+  getCodConfig,
+  checkCodEligibility,
+  assertCodEligible
+}
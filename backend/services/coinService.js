@@ -0,0 +1,706 @@
+import { Op } from 'sequelize'
+import { sequelize } from '../config/db.js'
+import User from '../models/User.js'
+import CoinTransaction from '../models/CoinTransaction.js'
+import { getCoinRules } from './pricingService.js'
+
+/**
+ * Coin Service for the loyalty ledger
+ * Every change to User.coins goes through here, in the same transaction as its
+ * CoinTransaction row, with the user row locked - so the balance always equals the
+ * coins left in the customer's credit records.
+ * - Credits (earned, refunded, admin_credit) are "lots": `remaining` counts the coins of the
+ *   lot not yet used and `expiresAt` is when those coins lapse (coin_expiry_rule setting).
+ *   The message worker expires lapsed coins for every customer on each maintenance sweep
+ *   (MAINTENANCE_INTERVAL_MS, default every minute).
+ * - Debits (spent, expired, clawback, admin_debit) use up lots first-in-first-out, soonest
+ *   expiring first, and record which lots they used in metadata.lots so a refund can put the
+ *   coins back where they came from.
+ * - Coins redeemed for an online payment are held (a 'spent' row with holdStatus 'held') when
+ *   the Razorpay order is opened, committed to the store order when it is saved, and released
+ *   (refunded) if the payment fails or is abandoned for COIN_HOLD_TTL_MINUTES (default 30).
+ */
+
+export const CREDIT_TYPES = ['earned', 'refunded', 'admin_credit']
+export const DEBIT_TYPES = ['spent', 'expired', 'clawback', 'admin_debit']
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Minutes before a hold whose payment never completed is released. The message worker looks for
+// such holds on every maintenance sweep (MAINTENANCE_INTERVAL_MS, default every minute), so a
+// hold goes back at most about a minute after it lapses.
+export const COIN_HOLD_TTL_MINUTES = parseInt(process.env.COIN_HOLD_TTL_MINUTES || '30')
+
+const coinError = (message, statusCode = 400) => {
+  const error = new Error(message)
+  error.name = 'CoinError'
+  error.statusCode = statusCode
+  return error
+}
+
+// Run in the caller's transaction, or in a new one
+const withTransaction = (transaction, work) =>
+  transaction ? work(transaction) : sequelize.transaction(work)
+
+const lockUser = async (userId, transaction) => {
+  const user = await User.findByPk(userId, { lock: transaction.LOCK.UPDATE, transaction })
+  if (!user) {
+    throw coinError('User not found', 404)
+  }
+  return user
+}
+
+const expiryDate = (days, from = new Date()) =>
+  days > 0 ? new Date(from.getTime() + days * DAY_MS) : null
+
+/**
+ * Coins earned for an order amount
+ * Earning rule types (coin_earning_rule setting):
+ * - flat: { threshold, coins } - `coins` for any order of `threshold` or more (the original rule)
+ * - percentage: { threshold, percent, maxCoins } - `percent`% of the amount, in whole coins
+ * - tiered: { tiers: [{ minAmount, coins }] } - coins of the highest tier the amount reaches
+ * @param {number} amount - Order total (₹)
+ * @param {Object} rule - Earning rule
+ * @returns {number} - Whole coins
+ */
+export const calculateEarnedCoins = (amount, rule = {}) => {
+  const total = parseFloat(amount) || 0
+  if (total <= 0) return 0
+
+  if (rule.type === 'tiered') {
+    const tier = (rule.tiers || [])
+      .filter(t => total >= parseFloat(t.minAmount || 0))
+      .sort((a, b) => parseFloat(b.minAmount || 0) - parseFloat(a.minAmount || 0))[0]
+    return tier ? Math.floor(parseFloat(tier.coins) || 0) : 0
+  }
+
+  if (total < parseFloat(rule.threshold || 0)) return 0
+
+  if (rule.type === 'percentage') {
+    const coins = Math.floor((total * (parseFloat(rule.percent) || 0)) / 100)
+    const maxCoins = parseInt(rule.maxCoins) || 0
+    return maxCoins > 0 ? Math.min(coins, maxCoins) : coins
+  }
+
+  return Math.floor(parseFloat(rule.coins) || 0)
+}
+
+/**
+ * Add coins to a customer's balance as a new lot
+ * @param {Object} entry
+ * @param {string} entry.userId
+ * @param {number} entry.amount - Coins (> 0)
+ * @param {string} entry.type - 'earned', 'refunded' or 'admin_credit'
+ * @param {string} entry.description
+ * @param {string} entry.orderId - (optional)
+ * @param {Object} entry.metadata - (optional)
+ * @param {Date} entry.expiresAt - Overrides the expiry rule; null never expires (optional)
+ * @param {Object} options
+ * @param {Object} options.transaction - Sequelize transaction (optional)
+ * @returns {Promise<Object>} - CoinTransaction
+ */
+export const creditCoins = ({ userId, amount, type = 'earned', description, orderId = null, metadata = {}, expiresAt }, { transaction } = {}) =>
+  withTransaction(transaction, async (t) => {
+    if (!CREDIT_TYPES.includes(type)) {
+      throw coinError(`Invalid credit type: ${type}`)
+    }
+    if (!Number.isInteger(amount) || amount <= 0) {
+      throw coinError('Coin amount must be a positive whole number')
+    }
+
+    const user = await lockUser(userId, t)
+    if (expiresAt === undefined) {
+      const { expiry } = await getCoinRules()
+      expiresAt = expiryDate(expiry.days)
+    }
+
+    user.coins = (user.coins || 0) + amount
+    await user.save({ transaction: t })
+
+    return CoinTransaction.create({
+      userId,
+      type,
+      amount,
+      balanceAfter: user.coins,
+      remaining: amount,
+      expiresAt,
+      description,
+      orderId,
+      metadata
+    }, { transaction: t })
+  })
+
+/**
+ * Take coins from a customer's balance, using up their lots first-in-first-out
+ * @param {Object} entry
+ * @param {string} entry.userId
+ * @param {number} entry.amount - Coins (> 0)
+ * @param {string} entry.type - 'spent', 'expired', 'clawback' or 'admin_debit'
+ * @param {string} entry.description
+ * @param {string} entry.orderId - (optional)
+ * @param {Object} entry.metadata - (optional)
+ * @param {string} entry.preferOrderId - Use the lot earned from this order before the others (optional)
+ * @param {string} entry.holdReference - Hold the coins for this Razorpay order instead of spending them outright (optional)
+ * @param {Object} options
+ * @param {Object} options.transaction - Sequelize transaction (optional)
+ * @returns {Promise<Object>} - CoinTransaction
+ */
+export const debitCoins = ({ userId, amount, type = 'spent', description, orderId = null, metadata = {}, preferOrderId, holdReference }, { transaction } = {}) =>
+  withTransaction(transaction, async (t) => {
+    if (!DEBIT_TYPES.includes(type)) {
+      throw coinError(`Invalid debit type: ${type}`)
+    }
+    if (!Number.isInteger(amount) || amount <= 0) {
+      throw coinError('Coin amount must be a positive whole number')
+    }
+
+    // Lapsed coins cannot be spent (or taken twice)
+    if (type !== 'expired') {
+      await expireUserCoins(userId, t)
+    }
+    const user = await lockUser(userId, t)
+    if ((user.coins || 0) < amount) {
+      throw coinError('Insufficient coins')
+    }
+
+    const lots = await CoinTransaction.findAll({
+      where: { userId, remaining: { [Op.gt]: 0 } },
+      order: [
+        ...(preferOrderId ? [[sequelize.literal(`("orderId" = ${sequelize.escape(preferOrderId)} AND type = 'earned')`), 'DESC NULLS LAST']] : []),
+        [sequelize.literal('"expiresAt" IS NULL'), 'ASC'],
+        ['expiresAt', 'ASC'],
+        ['createdAt', 'ASC']
+      ],
+      lock: t.LOCK.UPDATE,
+      transaction: t
+    })
+
+    const used = []
+    let left = amount
+    for (const lot of lots) {
+      if (left <= 0) break
+      const take = Math.min(lot.remaining, left)
+      lot.remaining -= take
+      left -= take
+      used.push({ id: lot.id, amount: take })
+      await lot.save({ transaction: t })
+    }
+
+    user.coins -= amount
+    await user.save({ transaction: t })
+
+    return CoinTransaction.create({
+      userId,
+      type,
+      amount,
+      balanceAfter: user.coins,
+      description,
+      orderId,
+      ...(holdReference && { holdStatus: 'held', holdReference }),
+      metadata: { ...metadata, lots: used }
+    }, { transaction: t })
+  })
+
+/**
+ * Give back coins that were spent, into the lots they came from (keeping those lots' expiry)
+ * @param {Object} spent - The 'spent' CoinTransaction
+ * @param {number} amount - Coins to give back
+ * @param {Object} entry - { description, orderId, metadata }
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Object>} - The 'refunded' CoinTransaction
+ */
+const refundSpentCoins = async (spent, amount, { description, orderId, metadata = {} }, transaction) => {
+  const user = await lockUser(spent.userId, transaction)
+
+  let left = amount
+  const restored = []
+  for (const { id, amount: taken } of spent.metadata?.lots || []) {
+    if (left <= 0) break
+    const lot = await CoinTransaction.findByPk(id, { lock: transaction.LOCK.UPDATE, transaction })
+    if (!lot) continue
+    const give = Math.min(taken, left)
+    lot.remaining += give
+    left -= give
+    restored.push({ id, amount: give })
+    await lot.save({ transaction })
+  }
+
+  user.coins = (user.coins || 0) + amount
+  await user.save({ transaction })
+
+  // Whatever could not go back into a lot (older spends without a lot record) becomes a new lot
+  const { expiry } = await getCoinRules()
+  return CoinTransaction.create({
+    userId: spent.userId,
+    type: 'refunded',
+    amount,
+    balanceAfter: user.coins,
+    remaining: left,
+    expiresAt: left > 0 ? expiryDate(expiry.days) : null,
+    description,
+    orderId,
+    metadata: { ...metadata, refundOf: spent.id, lots: restored }
+  }, { transaction })
+}
+
+// Expire one customer's lapsed lots; the user row is locked before the lots, as everywhere else
+const expireUserCoins = async (userId, transaction) => {
+  const user = await lockUser(userId, transaction)
+  const lots = await CoinTransaction.findAll({
+    where: { userId, remaining: { [Op.gt]: 0 }, expiresAt: { [Op.lte]: new Date() } },
+    order: [['expiresAt', 'ASC']],
+    lock: transaction.LOCK.UPDATE,
+    transaction
+  })
+  if (lots.length === 0) return 0
+
+  const expiredLots = lots.map(lot => ({ id: lot.id, amount: lot.remaining, expiresAt: lot.expiresAt }))
+  const amount = expiredLots.reduce((sum, lot) => sum + lot.amount, 0)
+  // Never take the balance below zero, even if it drifted from the lots
+  const debit = Math.min(amount, user.coins || 0)
+
+  for (const lot of lots) {
+    lot.remaining = 0
+    await lot.save({ transaction })
+  }
+  if (debit <= 0) return 0
+
+  user.coins -= debit
+  await user.save({ transaction })
+
+  await CoinTransaction.create({
+    userId,
+    type: 'expired',
+    amount: debit,
+    balanceAfter: user.coins,
+    description: `${debit} coin${debit === 1 ? '' : 's'} expired`,
+    metadata: { lots: expiredLots }
+  }, { transaction })
+  return debit
+}
+
+/**
+ * Expire the coins of lots past their expiry date
+ * @param {Object} options
+ * @param {string} options.userId - Only this customer (optional; all customers otherwise)
+ * @param {Object} options.transaction - Sequelize transaction (optional)
+ * @returns {Promise<number>} - Coins expired
+ */
+export const expireCoins = async ({ userId, transaction } = {}) => {
+  if (userId) {
+    return withTransaction(transaction, (t) => expireUserCoins(userId, t))
+  }
+
+  const due = await CoinTransaction.findAll({
+    where: { remaining: { [Op.gt]: 0 }, expiresAt: { [Op.lte]: new Date() } },
+    attributes: ['userId'],
+    group: ['userId'],
+    raw: true,
+    transaction
+  })
+
+  let expired = 0
+  for (const { userId: dueUserId } of due) {
+    expired += await withTransaction(transaction, (t) => expireUserCoins(dueUserId, t))
+  }
+  return expired
+}
+
+// Give back the coins of a hold (or of a redemption that never got an order) and mark it released.
+// The caller has locked the user row.
+const releaseSpend = async (spent, reason, transaction) => {
+  await refundSpentCoins(spent, spent.amount, {
+    description: reason,
+    orderId: null,
+    metadata: { holdReference: spent.holdReference || null }
+  }, transaction)
+  spent.holdStatus = 'released'
+  await spent.save({ transaction })
+  return spent.amount
+}
+
+/**
+ * Hold coins for a checkout payment; they leave the balance now and are committed to the order
+ * once it is saved (commitCoinHold) or given back if the payment does not complete
+ * Starting a new checkout payment releases the customer's earlier unfinished holds.
+ * @param {Object} hold
+ * @param {string} hold.userId
+ * @param {number} hold.amount - Coins
+ * @param {string} hold.reference - Razorpay order ID
+ * @param {Object} options
+ * @param {Object} options.transaction - Sequelize transaction (optional)
+ * @returns {Promise<Object>} - The held 'spent' CoinTransaction
+ */
+export const holdCoins = ({ userId, amount, reference }, { transaction } = {}) =>
+  withTransaction(transaction, async (t) => {
+    await lockUser(userId, t)
+    const previous = await CoinTransaction.findAll({
+      where: { userId, holdStatus: 'held' },
+      lock: t.LOCK.UPDATE,
+      transaction: t
+    })
+    for (const hold of previous) {
+      await releaseSpend(hold, 'Coins returned - checkout payment not completed', t)
+    }
+
+    try {
+      return await debitCoins({
+        userId,
+        amount,
+        type: 'spent',
+        description: 'Held for checkout payment',
+        holdReference: reference,
+        metadata: { redemption: true }
+      }, { transaction: t })
+    } catch (error) {
+      if (error.name === 'CoinError' && error.message === 'Insufficient coins') {
+        throw coinError('Insufficient coins for the coin discount on this order')
+      }
+      throw error
+    }
+  })
+
+/**
+ * Spend coins on an order as it is saved: commit the checkout's hold, or debit the coins now
+ * (Cash on Delivery, or a hold that was released before the payment came through)
+ * @param {Object} redemption
+ * @param {string} redemption.userId
+ * @param {number} redemption.amount - Coins
+ * @param {string} redemption.orderId - Order.orderId
+ * @param {string} redemption.reference - Razorpay order ID the coins were held for (optional)
+ * @param {Object} options
+ * @param {Object} options.transaction - The order's transaction
+ * @returns {Promise<Object>} - The 'spent' CoinTransaction
+ */
+export const commitCoinHold = ({ userId, amount, orderId, reference }, { transaction } = {}) =>
+  withTransaction(transaction, async (t) => {
+    await lockUser(userId, t)
+    const description = `Redeemed for order ${orderId}`
+
+    const hold = reference
+      ? await CoinTransaction.findOne({
+          where: { userId, holdReference: reference, holdStatus: 'held' },
+          lock: t.LOCK.UPDATE,
+          transaction: t
+        })
+      : null
+    if (hold && hold.amount === amount) {
+      hold.holdStatus = 'committed'
+      hold.orderId = orderId
+      hold.description = description
+      await hold.save({ transaction: t })
+      return hold
+    }
+    if (hold) {
+      await releaseSpend(hold, 'Coins returned - coin discount changed at checkout', t)
+    }
+
+    try {
+      return await debitCoins({
+        userId,
+        amount,
+        type: 'spent',
+        description,
+        orderId,
+        metadata: { redemption: true }
+      }, { transaction: t })
+    } catch (error) {
+      if (error.name === 'CoinError' && error.message === 'Insufficient coins') {
+        throw coinError('Insufficient coins for the coin discount on this order')
+      }
+      throw error
+    }
+  })
+
+/**
+ * Give back the coins held for a payment that failed or was abandoned
+ * @param {string} reference - Razorpay order ID
+ * @param {Object} options
+ * @param {string} options.reason - Shown in the customer's coin history
+ * @param {string} options.userId - Only release the hold if it belongs to this customer (optional)
+ * @returns {Promise<number>} - Coins released (0 if nothing was held)
+ */
+export const releaseCoinHold = async (reference, { reason = 'Coins returned - payment not completed', userId } = {}) => {
+  const hold = await CoinTransaction.findOne({
+    where: { holdReference: reference, holdStatus: 'held', ...(userId && { userId }) }
+  })
+  if (!hold) return 0
+
+  return sequelize.transaction(async (transaction) => {
+    await lockUser(hold.userId, transaction)
+    const locked = await CoinTransaction.findByPk(hold.id, { lock: transaction.LOCK.UPDATE, transaction })
+    // The order may have committed it in the meantime
+    if (locked.holdStatus !== 'held') return 0
+    return releaseSpend(locked, reason, transaction)
+  })
+}
+
+/**
+ * Release holds whose payment has not completed within COIN_HOLD_TTL_MINUTES
+ * @param {Object} options
+ * @param {string} options.userId - Only this customer (optional)
+ * @param {number} options.olderThanMinutes - (default COIN_HOLD_TTL_MINUTES)
+ * @returns {Promise<number>} - Holds released
+ */
+export const releaseStaleHolds = async ({ userId, olderThanMinutes = COIN_HOLD_TTL_MINUTES } = {}) => {
+  const holds = await CoinTransaction.findAll({
+    where: {
+      holdStatus: 'held',
+      createdAt: { [Op.lt]: new Date(Date.now() - olderThanMinutes * 60 * 1000) },
+      ...(userId && { userId })
+    },
+    attributes: ['holdReference', 'userId']
+  })
+
+  let released = 0
+  for (const hold of holds) {
+    if (await releaseCoinHold(hold.holdReference, { userId: hold.userId, reason: 'Coins returned - checkout payment abandoned' }) > 0) {
+      released++
+    }
+  }
+  return released
+}
+
+/**
+ * Redemptions that never got an order: holds past COIN_HOLD_TTL_MINUTES and coins redeemed
+ * through the old pre-order redeem endpoint
+ * @returns {Promise<Array>} - 'spent' CoinTransactions (with user)
+ */
+export const findOrphanedRedemptions = () =>
+  CoinTransaction.findAll({
+    where: {
+      type: 'spent',
+      orderId: null,
+      [Op.or]: [
+        { holdStatus: null },
+        {
+          holdStatus: 'held',
+          createdAt: { [Op.lt]: new Date(Date.now() - COIN_HOLD_TTL_MINUTES * 60 * 1000) }
+        }
+      ]
+    },
+    include: [{ model: User, as: 'user', attributes: ['id', 'name', 'email', 'coins'] }],
+    order: [['createdAt', 'ASC']]
+  })
+
+/**
+ * Give back the coins of an orphaned redemption (see findOrphanedRedemptions)
+ * @param {string} id - CoinTransaction ID
+ * @returns {Promise<number>} - Coins refunded (0 if it is no longer orphaned)
+ */
+export const refundOrphanedRedemption = async (id) => {
+  const spent = await CoinTransaction.findByPk(id)
+  if (!spent) return 0
+
+  return sequelize.transaction(async (transaction) => {
+    await lockUser(spent.userId, transaction)
+    const locked = await CoinTransaction.findByPk(id, { lock: transaction.LOCK.UPDATE, transaction })
+    if (locked.type !== 'spent' || locked.orderId || ['committed', 'released'].includes(locked.holdStatus)) {
+      return 0
+    }
+    return releaseSpend(locked, 'Coins returned - redeemed without an order', transaction)
+  })
+}
+
+/**
+ * Coins that lapse in the coming days
+ * @param {string} userId
+ * @param {number} withinDays - Look-ahead (default 30)
+ * @returns {Promise<Object|null>} - { coins, expiresAt (the first of them), withinDays }
+ */
+export const getExpiringCoins = async (userId, withinDays = 30) => {
+  const where = {
+    userId,
+    remaining: { [Op.gt]: 0 },
+    expiresAt: { [Op.gt]: new Date(), [Op.lte]: expiryDate(withinDays) }
+  }
+  const first = await CoinTransaction.findOne({ where, order: [['expiresAt', 'ASC']] })
+  if (!first) return null
+
+  const coins = await CoinTransaction.sum('remaining', { where })
+  return { coins, expiresAt: first.expiresAt, withinDays }
+}
+
+/**
+ * Award coins for a paid order (once per order)
+ * @param {Object} order - Order record
+ * @param {string} userId - Customer ID
+ */
+export const awardOrderCoins = async (order, userId) => {
+  try {
+    const { earning: rule } = await getCoinRules()
+    const total = parseFloat(order.total)
+    const coins = calculateEarnedCoins(total, rule)
+    if (coins <= 0) return
+
+    await sequelize.transaction(async (transaction) => {
+      await lockUser(userId, transaction)
+      const existing = await CoinTransaction.findOne({
+        where: { userId, orderId: order.orderId, type: 'earned' },
+        transaction
+      })
+      if (existing) return
+
+      await creditCoins({
+        userId,
+        amount: coins,
+        type: 'earned',
+        description: `Earned from order ${order.orderId}`,
+        orderId: order.orderId,
+        metadata: {
+          orderTotal: total,
+          rule: rule.type || 'flat'
+        }
+      }, { transaction })
+    })
+  } catch (coinError) {
+    // Don't fail the order if coin awarding fails
+    console.error('Error awarding coins:', coinError)
+  }
+}
+
+/**
+ * Undo the coins of a cancelled or returned order
+ * - Earned coins are clawed back: all of them when the whole order is undone, otherwise the
+ *   difference between what was earned and what the kept part of the order would earn.
+ *   A customer who has already spent them loses what is left of their balance, never more.
+ * - Spent coins are refunded when the whole order is undone.
+ * Safe to call again for the same order: earlier clawbacks and refunds are taken into account.
+ * @param {Object} order - Order record
+ * @param {Object} options
+ * @param {number} options.returnedAmount - Part of the order total being refunded; omit when
+ *                                          the whole order is cancelled or returned
+ * @param {string} options.reason - Shown in the customer's coin history, e.g. 'Order ORD-1 cancelled'
+ * @param {Object} options.transaction - Sequelize transaction (optional)
+ * @returns {Promise<Object>} - { clawedBack, refunded }
+ */
+export const reverseOrderCoins = (order, { returnedAmount, reason, transaction } = {}) =>
+  withTransaction(transaction, async (t) => {
+    const userId = order.userId
+    if (!userId) return { clawedBack: 0, refunded: 0 }
+
+    // Expire first so the clawback is capped by the coins the customer really has
+    await expireUserCoins(userId, t)
+    const user = await lockUser(userId, t)
+    const entries = await CoinTransaction.findAll({
+      where: { userId, orderId: order.orderId },
+      order: [['createdAt', 'ASC']],
+      transaction: t
+    })
+    const total = (type) => entries.filter(e => e.type === type).reduce((sum, e) => sum + e.amount, 0)
+
+    const whole = returnedAmount === undefined || returnedAmount === null
+    const description = reason || `Order ${order.orderId} ${whole ? 'cancelled' : 'partially returned'}`
+
+    // Claw back earned coins
+    let clawedBack = 0
+    const earned = total('earned')
+    if (earned > 0) {
+      let keep = 0
+      if (!whole) {
+        const { earning: rule } = await getCoinRules()
+        const keptTotal = Math.max(parseFloat(order.total) - (parseFloat(returnedAmount) || 0), 0)
+        keep = Math.min(calculateEarnedCoins(keptTotal, rule), earned)
+      }
+      const due = earned - keep - total('clawback')
+      const amount = Math.min(due, user.coins || 0)
+      if (amount > 0) {
+        await debitCoins({
+          userId,
+          amount,
+          type: 'clawback',
+          description: `${description} - earned coins reversed`,
+          orderId: order.orderId,
+          preferOrderId: order.orderId,
+          metadata: { due, returnedAmount: whole ? null : parseFloat(returnedAmount) }
+        }, { transaction: t })
+        clawedBack = amount
+      }
+    }
+
+    // Refund spent coins
+    let refunded = 0
+    if (whole) {
+      let due = total('spent') - total('refunded')
+      const spends = entries.filter(e => e.type === 'spent')
+      for (const spent of spends) {
+        if (due <= 0) break
+        const alreadyRefunded = entries
+          .filter(e => e.type === 'refunded' && e.metadata?.refundOf === spent.id)
+          .reduce((sum, e) => sum + e.amount, 0)
+        const amount = Math.min(spent.amount - alreadyRefunded, due)
+        if (amount <= 0) continue
+        await refundSpentCoins(spent, amount, {
+          description: `${description} - redeemed coins refunded`,
+          orderId: order.orderId
+        }, t)
+        due -= amount
+        refunded += amount
+      }
+    }
+
+    return { clawedBack, refunded }
+  })
+
+/**
+ * Credit or debit a customer's coins by hand
+ * @param {Object} adjustment
+ * @param {string} adjustment.userId
+ * @param {number} adjustment.amount - Positive to credit, negative to debit
+ * @param {string} adjustment.reason - Required; shown in the customer's coin history
+ * @param {string} adjustment.adminId - Admin making the change
+ * @param {number} adjustment.expiresInDays - Credits only; overrides the expiry rule (0 = never) (optional)
+ * @returns {Promise<Object>} - CoinTransaction
+ */
+export const adjustCoins = async ({ userId, amount, reason, adminId, expiresInDays }) => {
+  const coins = parseInt(amount)
+  if (!Number.isInteger(coins) || coins === 0 || String(coins) !== String(amount).trim()) {
+    throw coinError('Amount must be a whole number of coins other than 0')
+  }
+  if (!reason || !String(reason).trim()) {
+    throw coinError('A reason is required')
+  }
+
+  const metadata = { adminId: adminId || null, reason: String(reason).trim() }
+  if (coins > 0) {
+    const days = expiresInDays === undefined || expiresInDays === null || expiresInDays === ''
+      ? undefined
+      : parseInt(expiresInDays)
+    return creditCoins({
+      userId,
+      amount: coins,
+      type: 'admin_credit',
+      description: metadata.reason,
+      metadata,
+      ...(days !== undefined && { expiresAt: expiryDate(days) })
+    })
+  }
+
+  return debitCoins({
+    userId,
+    amount: -coins,
+    type: 'admin_debit',
+    description: metadata.reason,
+    metadata
+  })
+}
+
+export default {
+  CREDIT_TYPES,
+  DEBIT_TYPES,
+  COIN_HOLD_TTL_MINUTES,
+  calculateEarnedCoins,
+  creditCoins,
+  debitCoins,
+  expireCoins,
+  holdCoins,
+  commitCoinHold,
+  releaseCoinHold,
+  releaseStaleHolds,
+  findOrphanedRedemptions,
+  refundOrphanedRedemption,
+  getExpiringCoins,
+  awardOrderCoins,
+  reverseOrderCoins,
+  adjustCoins
+}
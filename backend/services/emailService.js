@@ -3,6 +3,8 @@ import fs from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
 import { dirname } from 'path'
+import { renderEmail, buildOrderVariables } from './emailTemplateService.js'
+import { enqueueMessage } from './messageQueueService.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = dirname(__filename)
@@ -15,6 +17,8 @@ const __dirname = dirname(__filename)
  * - EMAIL_USER: Email address for sending
  * - EMAIL_PASS: Email password or app password
  * - EMAIL_FROM: From email address (defaults to EMAIL_USER)
+ * Store emails are rendered from the admin's email templates (see emailTemplateService.js)
+ * and queued; the message worker delivers them (see messageQueueService.js).
  */
 
 // Create transporter based on environment variables
@@ -39,97 +43,124 @@ const createTransporter = () => {
 const transporter = createTransporter()
 const fromEmail = process.env.EMAIL_FROM || process.env.EMAIL_USER || 'noreply@arudhraboutique.com'
 
+const permanentError = (message) => {
+  const error = new Error(message)
+  error.name = 'EmailError'
+  error.permanent = true
+  return error
+}
+
 /**
- * Send email
+ * Deliver an email now (used by the message worker); throws if it could not be sent
  * @param {Object} options - Email options
  * @param {string} options.to - Recipient email
  * @param {string} options.subject - Email subject
  * @param {string} options.html - HTML body
  * @param {string} options.text - Plain text body (optional)
- * @param {Array} options.attachments - Array of attachment objects (optional)
- * @returns {Promise<Object>} - Result object with success status
+ * @param {string} options.pdfPath - Path to a PDF to attach (relative to backend root) (optional)
+ * @param {string} options.pdfName - Name for the PDF attachment (optional)
+ * @returns {Promise<Object>} - { messageId }
  */
-export const sendEmail = async ({ to, subject, html, text, attachments = [] }) => {
-  try {
-    // If transporter is not configured, log and return mock success
-    if (!transporter) {
-      console.log(`[Email Service - Mock] Would send email to: ${to}`)
-      console.log(`[Email Service - Mock] Subject: ${subject}`)
-      if (attachments.length > 0) {
-        console.log(`[Email Service - Mock] Attachments: ${attachments.length}`)
-      }
-      return {
-        success: true,
-        message: 'Email service not configured (mock mode)',
-        messageId: 'mock-' + Date.now()
-      }
-    }
+export const deliverEmail = async ({ to, subject, html, text, pdfPath, pdfName }) => {
+  const attachments = []
+  if (pdfPath) {
+    // Resolve PDF path
+    const fullPdfPath = path.join(__dirname, '..', pdfPath)
 
-    const mailOptions = {
-      from: fromEmail,
-      to,
-      subject,
-      html,
-      text: text || html.replace(/<[^>]*>/g, ''), // Strip HTML tags for text version
-      attachments
+    // A missing file will not appear on a retry
+    if (!fs.existsSync(fullPdfPath)) {
+      throw permanentError(`PDF file not found: ${fullPdfPath}`)
     }
 
-    const info = await transporter.sendMail(mailOptions)
-    
-    console.log(`Email sent successfully to ${to}:`, info.messageId)
-    return {
-      success: true,
-      message: 'Email sent successfully',
-      messageId: info.messageId
-    }
-  } catch (error) {
-    console.error('Email sending error:', error)
-    return {
-      success: false,
-      message: error.message || 'Failed to send email',
-      error: error.toString()
+    attachments.push({
+      filename: pdfName || path.basename(pdfPath),
+      path: fullPdfPath,
+      contentType: 'application/pdf'
+    })
+  }
+
+  // If transporter is not configured, log and report a mock delivery
+  if (!transporter) {
+    console.log(`[Email Service - Mock] Would send email to: ${to}`)
+    console.log(`[Email Service - Mock] Subject: ${subject}`)
+    if (attachments.length > 0) {
+      console.log(`[Email Service - Mock] Attachments: ${attachments.length}`)
     }
+    return { messageId: 'mock-' + Date.now() }
+  }
+
+  const mailOptions = {
+    from: fromEmail,
+    to,
+    subject,
+    html,
+    text: text || html.replace(/<[^>]*>/g, ''), // Strip HTML tags for text version
+    attachments
   }
+
+  const info = await transporter.sendMail(mailOptions)
+
+  console.log(`Email sent successfully to ${to}:`, info.messageId)
+  return { messageId: info.messageId }
 }
 
 /**
- * Send email with PDF attachment
+ * Send email (queued; the message worker delivers it and retries failures)
  * @param {Object} options - Email options
  * @param {string} options.to - Recipient email
  * @param {string} options.subject - Email subject
  * @param {string} options.html - HTML body
  * @param {string} options.text - Plain text body (optional)
- * @param {string} options.pdfPath - Path to PDF file (relative to backend root)
- * @param {string} options.pdfName - Name for PDF attachment (optional)
- * @returns {Promise<Object>} - Result object with success status
+ * @param {string} options.pdfPath - Path to a PDF to attach (relative to backend root) (optional)
+ * @param {string} options.pdfName - Name for the PDF attachment (optional)
+ * @param {string} options.kind - What the email is, shown on the admin Messages page (default 'email')
+ * @param {string} options.batchId - Groups the emails of one send (optional)
+ * @param {Object} options.metadata - e.g. { orderId } (optional)
+ * @returns {Promise<Object>} - Result object with success status and the queued jobId
  */
-export const sendEmailWithPDF = async ({ to, subject, html, text, pdfPath, pdfName }) => {
+export const sendEmail = async ({ to, subject, html, text, pdfPath, pdfName, kind = 'email', batchId, metadata }) => {
   try {
-    // Resolve PDF path
-    const fullPdfPath = path.join(__dirname, '..', pdfPath)
-    
-    // Check if PDF exists
-    if (!fs.existsSync(fullPdfPath)) {
-      throw new Error(`PDF file not found: ${fullPdfPath}`)
+    const job = await enqueueMessage({
+      channel: 'email',
+      kind,
+      to,
+      payload: { subject, html, text, pdfPath, pdfName },
+      batchId,
+      metadata
+    })
+    return {
+      success: true,
+      queued: true,
+      message: 'Email queued',
+      jobId: job.id
     }
-
-    const attachments = [{
-      filename: pdfName || path.basename(pdfPath),
-      path: fullPdfPath,
-      contentType: 'application/pdf'
-    }]
-
-    return await sendEmail({ to, subject, html, text, attachments })
   } catch (error) {
-    console.error('Error sending email with PDF:', error)
+    console.error('Email queueing error:', error)
     return {
       success: false,
-      message: error.message || 'Failed to send email with PDF',
+      message: error.message || 'Failed to queue email',
       error: error.toString()
     }
   }
 }
 
+/**
+ * Send email with PDF attachment (queued)
+ * @param {Object} options - As sendEmail; pdfPath is required
+ * @returns {Promise<Object>} - Result object with success status
+ */
+export const sendEmailWithPDF = async (options) => {
+  // Catch a missing file now rather than on the worker
+  if (!options.pdfPath || !fs.existsSync(path.join(__dirname, '..', options.pdfPath))) {
+    return {
+      success: false,
+      message: `PDF file not found: ${options.pdfPath}`
+    }
+  }
+
+  return await sendEmail(options)
+}
+
 /**
  * Send order confirmation email
  * @param {Object} order - Order object
@@ -142,19 +173,45 @@ export const sendOrderConfirmationEmail = async (order, user) => {
     return { success: false, message: 'No email address found' }
   }
 
-  const subject = `Order Confirmation - ${order.orderId}`
-  const html = `
-    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-      <h2 style="color: #333;">Thank you for your order!</h2>
-      <p>Dear ${user.name || 'Customer'},</p>
-      <p>Your order <strong>${order.orderId}</strong> has been confirmed.</p>
-      <p><strong>Order Total:</strong> ₹${parseFloat(order.total || 0).toFixed(2)}</p>
-      <p>We'll send you another email when your order ships.</p>
-      <p>Thank you for shopping with Arudhra Fashions!</p>
-    </div>
-  `
-
-  return await sendEmail({ to: email, subject, html })
+  const { subject, html } = await renderEmail('order_confirmation', buildOrderVariables(order, user))
+
+  return await sendEmail({
+    to: email,
+    subject,
+    html,
+    kind: 'order_confirmation',
+    metadata: { orderId: order.orderId }
+  })
+}
+
+/**
+ * Send an order's invoice with the PDF attached
+ * @param {Object} order - Order object
+ * @param {Object} user - User object with email
+ * @param {string} invoicePath - Path of the generated invoice PDF (relative to backend root)
+ * @returns {Promise<Object>} - Result object
+ */
+export const sendInvoiceEmail = async (order, user, invoicePath) => {
+  const email = user.email || order.shippingAddress?.email
+  if (!email) {
+    return { success: false, message: 'No email address found' }
+  }
+
+  const backendUrl = process.env.BACKEND_URL || process.env.API_URL || 'https://api.arudhrafashions.com'
+  const { subject, html } = await renderEmail('invoice', {
+    ...buildOrderVariables(order, user),
+    invoiceUrl: `${backendUrl}${invoicePath}`
+  })
+
+  return await sendEmailWithPDF({
+    to: email,
+    subject,
+    html,
+    pdfPath: invoicePath,
+    pdfName: `invoice-${order.orderId}.pdf`,
+    kind: 'invoice',
+    metadata: { orderId: order.orderId }
+  })
 }
 
 /**
@@ -168,26 +225,36 @@ export const sendPasswordResetEmail = async (email, resetToken, userName = 'Cust
   const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173'
   const resetLink = `${frontendUrl}/reset-password?token=${resetToken}`
 
-  const subject = 'Reset Your Password - Arudhra Fashions'
-  const html = `
-    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-      <h2 style="color: #333;">Password Reset Request</h2>
-      <p>Dear ${userName},</p>
-      <p>You requested to reset your password. Click the link below to reset it:</p>
-      <p><a href="${resetLink}" style="background-color: #007bff; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; display: inline-block;">Reset Password</a></p>
-      <p>Or copy and paste this link into your browser:</p>
-      <p style="word-break: break-all;">${resetLink}</p>
-      <p>This link will expire in 1 hour.</p>
-      <p>If you didn't request this, please ignore this email.</p>
-    </div>
-  `
-
-  return await sendEmail({ to: email, subject, html })
+  const { subject, html } = await renderEmail('password_reset', {
+    customerName: userName || 'Customer',
+    resetLink,
+    expiryTime: '1 hour'
+  })
+
+  return await sendEmail({ to: email, subject, html, kind: 'password_reset' })
+}
+
+export const sendAdminInviteEmail = async (email, inviteToken, { adminName, role, invitedBy }) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173'
+  const inviteLink = `${frontendUrl}/admin/accept-invite?token=${inviteToken}`
+
+  const { subject, html } = await renderEmail('admin_invite', {
+    adminName,
+    role,
+    invitedBy: invitedBy || 'A Super Admin',
+    inviteLink,
+    expiryTime: '7 days'
+  })
+
+  return await sendEmail({ to: email, subject, html, kind: 'admin_invite' })
 }
 
 export default {
+  deliverEmail,
   sendEmail,
   sendEmailWithPDF,
   sendOrderConfirmationEmail,
-  sendPasswordResetEmail
+  sendInvoiceEmail,
+  sendPasswordResetEmail,
+  sendAdminInviteEmail
 }
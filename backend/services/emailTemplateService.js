@@ -0,0 +1,548 @@
+import EmailTemplate from '../models/EmailTemplate.js'
+import Setting from '../models/Setting.js'
+import { renderTemplate, compileTemplate } from '../utils/templateRenderer.js'
+
+/**
+ * Email Template Service for rendering outgoing emails from EmailTemplate records
+ * The store sends four email template types, and five SMS types through smsService.js. For each,
+ * the most recently modified template of that type and channel is used; without one (or if it
+ * fails to render) the built-in default below is.
+ * Admin-defined template types and their variables live in the 'email_template_types'
+ * setting (json, 'general' category); they can be authored and previewed but nothing sends them.
+ * Template syntax is described in utils/templateRenderer.js.
+ */
+
+const CUSTOM_TYPES_KEY = 'email_template_types'
+
+const ORDER_VARIABLES = [
+  { name: 'customerName', label: 'Customer Name', description: 'Full name of customer' },
+  { name: 'orderNumber', label: 'Order Number', description: 'Order ID/Number' },
+  { name: 'orderDate', label: 'Order Date', description: 'Date of order' },
+  { name: 'orderStatus', label: 'Order Status', description: 'Current status of the order' },
+  { name: 'orderTotal', label: 'Order Total', description: 'Total amount, e.g. ₹1,499.00' },
+  { name: 'subtotal', label: 'Subtotal', description: 'Items before discounts and charges' },
+  { name: 'discount', label: 'Discount', description: 'Coupon, discount and coin savings (empty when none)' },
+  { name: 'shippingCost', label: 'Shipping', description: 'Shipping charge, or "Free"' },
+  { name: 'codFee', label: 'COD Fee', description: 'Cash on Delivery fee (empty when none)' },
+  { name: 'tax', label: 'GST', description: 'GST on the order' },
+  { name: 'paymentMethod', label: 'Payment Method', description: 'e.g. Cash on Delivery, UPI' },
+  { name: 'isCod', label: 'Is COD', description: 'Use {{#if isCod}}...{{/if}} for Cash on Delivery wording' },
+  { name: 'orderItems', label: 'Order Items', description: 'One-line list of ordered items' },
+  { name: 'items', label: 'Items (loop)', description: 'Use {{#each items}}{{name}} ×{{quantity}} {{lineTotal}}{{/each}}; each item has name, quantity, size, color, price, lineTotal, image' },
+  { name: 'shippingAddress', label: 'Shipping Address', description: 'Delivery address' },
+  { name: 'trackingNumber', label: 'Tracking Number', description: 'Shipping tracking code' },
+  { name: 'orderLink', label: 'Order Link', description: 'Link to the order on the website' },
+  { name: 'storeName', label: 'Store Name', description: 'Store name from settings' }
+]
+
+const BASE_STYLE = 'font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; color: #333;'
+
+const ITEMS_TABLE = `
+      <table style="width: 100%; border-collapse: collapse; margin: 16px 0;">
+        {{#each items}}
+        <tr style="border-bottom: 1px solid #eee;">
+          <td style="padding: 8px 0;">{{name}}{{#if size}} ({{size}}{{#if color}}, {{color}}{{/if}}){{/if}} × {{quantity}}</td>
+          <td style="padding: 8px 0; text-align: right;">{{lineTotal}}</td>
+        </tr>
+        {{/each}}
+      </table>`
+
+/**
+ * Template types the store sends, with their variables and built-in defaults
+ */
+export const BUILT_IN_TEMPLATES = {
+  order_confirmation: {
+    label: 'Order Confirmation',
+    variables: ORDER_VARIABLES,
+    subject: 'Order Confirmation - {{orderNumber}}',
+    body: `
+    <div style="${BASE_STYLE}">
+      <h2 style="color: #333;">Thank you for your order!</h2>
+      <p>Dear {{customerName}},</p>
+      <p>Your order <strong>{{orderNumber}}</strong> has been {{#if isCod}}placed with Cash on Delivery{{else}}confirmed{{/if}}.</p>${ITEMS_TABLE}
+      <p>Subtotal: {{subtotal}}<br>
+      {{#if discount}}Discount: -{{discount}}<br>{{/if}}
+      Shipping: {{shippingCost}}<br>
+      {{#if codFee}}COD Fee: {{codFee}}<br>{{/if}}
+      GST: {{tax}}</p>
+      <p><strong>Order Total:</strong> {{orderTotal}}</p>
+      <p><strong>Delivering to:</strong> {{shippingAddress}}</p>
+      <p>We'll send you another email when your order ships.</p>
+      <p>Thank you for shopping with {{storeName}}!</p>
+    </div>
+  `
+  },
+  invoice: {
+    label: 'Invoice',
+    variables: [
+      ...ORDER_VARIABLES,
+      { name: 'invoiceUrl', label: 'Invoice Link', description: 'Download link for the invoice PDF' }
+    ],
+    subject: 'Invoice for Order {{orderNumber}} - {{storeName}}',
+    body: `
+    <div style="${BASE_STYLE}">
+      <h2 style="color: #333;">Invoice for Order {{orderNumber}}</h2>
+      <p>Dear {{customerName}},</p>
+      <p>Please find attached your invoice for order <strong>{{orderNumber}}</strong>.</p>
+      <p><strong>Order Total:</strong> {{orderTotal}}</p>
+      <p>Thank you for shopping with {{storeName}}!</p>
+    </div>
+  `
+  },
+  password_reset: {
+    label: 'Password Reset',
+    variables: [
+      { name: 'customerName', label: 'Customer Name', description: 'Full name of customer' },
+      { name: 'resetLink', label: 'Reset Link', description: 'Password reset URL' },
+      { name: 'expiryTime', label: 'Expiry Time', description: 'Link expiration time' },
+      { name: 'storeName', label: 'Store Name', description: 'Store name from settings' }
+    ],
+    subject: 'Reset Your Password - {{storeName}}',
+    body: `
+    <div style="${BASE_STYLE}">
+      <h2 style="color: #333;">Password Reset Request</h2>
+      <p>Dear {{customerName}},</p>
+      <p>You requested to reset your password. Click the link below to reset it:</p>
+      <p><a href="{{resetLink}}" style="background-color: #007bff; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; display: inline-block;">Reset Password</a></p>
+      <p>Or copy and paste this link into your browser:</p>
+      <p style="word-break: break-all;">{{resetLink}}</p>
+      <p>This link will expire in {{expiryTime}}.</p>
+      <p>If you didn't request this, please ignore this email.</p>
+    </div>
+  `
+  },
+  admin_invite: {
+    label: 'Admin Invitation',
+    variables: [
+      { name: 'adminName', label: 'Admin Name', description: 'Name of the invited admin' },
+      { name: 'role', label: 'Role', description: 'Role the admin is invited as' },
+      { name: 'invitedBy', label: 'Invited By', description: 'Name of the Super Admin who sent the invite' },
+      { name: 'inviteLink', label: 'Invite Link', description: 'Link to set a password and activate the account' },
+      { name: 'expiryTime', label: 'Expiry Time', description: 'Link expiration time' },
+      { name: 'storeName', label: 'Store Name', description: 'Store name from settings' }
+    ],
+    subject: 'You have been invited to the {{storeName}} admin panel',
+    body: `
+    <div style="${BASE_STYLE}">
+      <h2 style="color: #333;">Admin Invitation</h2>
+      <p>Dear {{adminName}},</p>
+      <p>{{invitedBy}} has invited you to manage {{storeName}} as <strong>{{role}}</strong>. Click the link below to set your password:</p>
+      <p><a href="{{inviteLink}}" style="background-color: #007bff; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; display: inline-block;">Accept Invitation</a></p>
+      <p>Or copy and paste this link into your browser:</p>
+      <p style="word-break: break-all;">{{inviteLink}}</p>
+      <p>This link will expire in {{expiryTime}}.</p>
+    </div>
+  `
+  },
+  newsletter: {
+    label: 'Newsletter',
+    variables: [
+      { name: 'subscriberName', label: 'Subscriber Name', description: 'Subscriber name, or "fashion enthusiast"' },
+      { name: 'subscriberEmail', label: 'Subscriber Email', description: 'Subscriber email address' },
+      { name: 'subject', label: 'Subject', description: 'Subject entered when sending' },
+      { name: 'content', label: 'Content', description: 'Newsletter HTML entered when sending; use {{{content}}} so it is not escaped' },
+      { name: 'storeName', label: 'Store Name', description: 'Store name from settings' }
+    ],
+    subject: '{{subject}}',
+    body: `
+    <div style="font-family: Arial, Helvetica, sans-serif; line-height: 1.6; color: #1f2933;">
+      <p>Dear {{subscriberName}},</p>
+      {{{content}}}
+      <p style="margin-top: 1.5rem; font-size: 0.9rem; color: #475569;">
+        You are receiving this email because you subscribed to the {{storeName}} newsletter.
+        If you wish to unsubscribe, please reply to this email with “unsubscribe.”
+      </p>
+    </div>
+  `
+  }
+}
+
+const RETURN_VARIABLES = [
+  { name: 'returnId', label: 'Return ID', description: 'Return request ID' },
+  { name: 'productName', label: 'Product Name', description: 'Returned product' },
+  { name: 'returnStatus', label: 'Return Status', description: 'e.g. approved, scheduled for pickup, refunded, exchanged' },
+  { name: 'refundAmount', label: 'Refund Amount', description: 'Refunded amount (empty until refunded)' }
+]
+
+/**
+ * SMS notifications the store sends, with their built-in texts (plain text, nothing is escaped)
+ */
+export const BUILT_IN_SMS_TEMPLATES = {
+  order_placed: {
+    label: 'Order Placed (SMS)',
+    variables: ORDER_VARIABLES,
+    body: '{{storeName}}: Hi {{customerName}}, your order {{orderNumber}} of {{orderTotal}} is placed{{#if isCod}} with Cash on Delivery{{/if}}. Track it at {{orderLink}}'
+  },
+  order_shipped: {
+    label: 'Order Shipped (SMS)',
+    variables: ORDER_VARIABLES,
+    body: '{{storeName}}: Your order {{orderNumber}} has shipped. Tracking number {{trackingNumber}}. Track it at {{orderLink}}'
+  },
+  order_out_for_delivery: {
+    label: 'Order Out for Delivery (SMS)',
+    variables: ORDER_VARIABLES,
+    body: '{{storeName}}: Your order {{orderNumber}} is out for delivery today.{{#if isCod}} Please keep {{orderTotal}} ready for the courier.{{/if}}'
+  },
+  order_delivered: {
+    label: 'Order Delivered (SMS)',
+    variables: ORDER_VARIABLES,
+    body: '{{storeName}}: Your order {{orderNumber}} has been delivered. Thank you for shopping with us!'
+  },
+  return_status: {
+    label: 'Return Status (SMS)',
+    variables: [...ORDER_VARIABLES, ...RETURN_VARIABLES],
+    body: '{{storeName}}: Your return {{returnId}} for {{productName}} (order {{orderNumber}}) is now {{returnStatus}}.{{#if refundAmount}} Refund: {{refundAmount}}.{{/if}}'
+  }
+}
+
+// Authoring-only types offered before any were customised
+const DEFAULT_CUSTOM_TYPES = [
+  {
+    value: 'shipping_notification',
+    label: 'Shipping Notification',
+    variables: [
+      { name: 'orderNumber', label: 'Order Number', description: 'Order ID/Number' },
+      { name: 'customerName', label: 'Customer Name', description: 'Full name of customer' },
+      { name: 'trackingNumber', label: 'Tracking Number', description: 'Shipping tracking code' },
+      { name: 'carrier', label: 'Carrier', description: 'Shipping carrier name' },
+      { name: 'estimatedDelivery', label: 'Estimated Delivery', description: 'Expected delivery date' }
+    ]
+  },
+  {
+    value: 'order_cancelled',
+    label: 'Order Cancelled',
+    variables: [
+      { name: 'orderNumber', label: 'Order Number', description: 'Order ID/Number' },
+      { name: 'customerName', label: 'Customer Name', description: 'Full name of customer' },
+      { name: 'cancellationReason', label: 'Cancellation Reason', description: 'Reason for cancellation' },
+      { name: 'refundAmount', label: 'Refund Amount', description: 'Amount to be refunded' }
+    ]
+  },
+  {
+    value: 'welcome',
+    label: 'Welcome',
+    variables: [
+      { name: 'customerName', label: 'Customer Name', description: 'Full name of customer' },
+      { name: 'signupDate', label: 'Signup Date', description: 'Account creation date' }
+    ]
+  },
+  {
+    value: 'promotional',
+    label: 'Promotional',
+    variables: [
+      { name: 'customerName', label: 'Customer Name', description: 'Full name of customer' },
+      { name: 'discountCode', label: 'Discount Code', description: 'Promo code' },
+      { name: 'discountPercent', label: 'Discount Percent', description: 'Discount percentage' },
+      { name: 'validUntil', label: 'Valid Until', description: 'Offer expiration date' }
+    ]
+  },
+  {
+    value: 'reminder',
+    label: 'Reminder',
+    variables: [
+      { name: 'customerName', label: 'Customer Name', description: 'Full name of customer' },
+      { name: 'reminderMessage', label: 'Reminder Message', description: 'Reminder content' },
+      { name: 'actionLink', label: 'Action Link', description: 'Link to take action' }
+    ]
+  }
+]
+
+const SAMPLE_USER = { name: 'Priya Sharma', email: 'priya.sharma@example.com' }
+
+const SAMPLE_ORDER = {
+  orderId: 'ORD-1700000000000-SAMPLE',
+  createdAt: new Date('2024-11-14T10:30:00+05:30'),
+  status: 'Confirmed',
+  items: [
+    { name: 'Banarasi Silk Saree', price: 2499, quantity: 1, size: 'Free Size', color: 'Maroon' },
+    { name: 'Cotton Anarkali Kurti', price: 899, quantity: 2, size: 'M', color: 'Teal' }
+  ],
+  subtotal: 4297,
+  discount: 300,
+  shippingCost: 0,
+  codFee: 0,
+  tax: 199.85,
+  total: 3997,
+  payment: { method: 'upi' },
+  shippingAddress: {
+    name: 'Priya Sharma',
+    address: '12, Lake View Apartments, MG Road',
+    city: 'Pune',
+    state: 'Maharashtra',
+    zipCode: '411001',
+    email: 'priya.sharma@example.com'
+  },
+  tracking: 'TRACK1700000000000SAMPLE'
+}
+
+const PAYMENT_METHOD_LABELS = {
+  cod: 'Cash on Delivery',
+  upi: 'UPI',
+  card: 'Card',
+  netbanking: 'Net Banking',
+  wallet: 'Wallet',
+  razorpay: 'Online Payment'
+}
+
+const formatMoney = (value) =>
+  `₹${(parseFloat(value) || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:5173'
+
+const parseSettingValue = (setting) => {
+  if (setting.type === 'number') return parseFloat(setting.value)
+  if (setting.type === 'boolean') return setting.value === 'true' || setting.value === '1'
+  if (setting.type === 'json') {
+    try {
+      return JSON.parse(setting.value)
+    } catch (e) {
+      return null
+    }
+  }
+  return setting.value
+}
+
+/**
+ * Get the store name from settings
+ * @returns {Promise<string>}
+ */
+export const getStoreName = async () => {
+  const setting = await Setting.findOne({ where: { key: 'name', category: 'store' } })
+  return (setting && setting.value) || 'Arudhra Fashions'
+}
+
+/**
+ * Build the template variables for an order
+ * @param {Object} order - Order record (or plain object)
+ * @param {Object} user - Customer ({ name, email }) (optional)
+ * @returns {Object} - Variables listed in ORDER_VARIABLES
+ */
+export const buildOrderVariables = (order, user = {}) => {
+  const address = order.shippingAddress || {}
+  const items = (order.items || []).map(item => ({
+    name: item.name || 'Product',
+    quantity: item.quantity || 1,
+    size: item.size || '',
+    color: item.color || '',
+    price: formatMoney(item.price),
+    lineTotal: formatMoney((parseFloat(item.price) || 0) * (item.quantity || 1)),
+    image: item.image || ''
+  }))
+  const discount = parseFloat(order.discount) || 0
+  const shippingCost = parseFloat(order.shippingCost) || 0
+  const codFee = parseFloat(order.codFee) || 0
+  const paymentMethod = order.payment?.method
+
+  return {
+    customerName: user?.name || address.name || 'Customer',
+    orderNumber: order.orderId,
+    orderDate: new Date(order.createdAt || Date.now()).toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' }),
+    orderStatus: order.status || '',
+    orderTotal: formatMoney(order.total),
+    subtotal: formatMoney(order.subtotal),
+    discount: discount > 0 ? formatMoney(discount) : '',
+    shippingCost: shippingCost > 0 ? formatMoney(shippingCost) : 'Free',
+    codFee: codFee > 0 ? formatMoney(codFee) : '',
+    tax: formatMoney(order.tax),
+    paymentMethod: PAYMENT_METHOD_LABELS[paymentMethod] || paymentMethod || '',
+    isCod: paymentMethod === 'cod',
+    orderItems: items.map(item =>
+      `${item.name}${item.size ? ` (${[item.size, item.color].filter(Boolean).join(', ')})` : ''} × ${item.quantity}`).join(', '),
+    items,
+    shippingAddress: [address.name, address.address, address.city, address.state, address.zipCode]
+      .filter(Boolean).join(', '),
+    trackingNumber: order.tracking || '',
+    orderLink: `${frontendUrl()}/order/${order.orderId}`
+  }
+}
+
+const isBuiltInType = (type) => Boolean(BUILT_IN_TEMPLATES[type] || BUILT_IN_SMS_TEMPLATES[type])
+
+/**
+ * Get the template types admins can author, with their variables
+ * @returns {Promise<Array>} - [{ value, label, variables, builtIn, channel }]; custom types have no channel
+ */
+export const getTemplateTypes = async () => {
+  const setting = await Setting.findOne({ where: { key: CUSTOM_TYPES_KEY } })
+  const saved = setting ? parseSettingValue(setting) : null
+  const customTypes = Array.isArray(saved) ? saved : DEFAULT_CUSTOM_TYPES
+
+  return [
+    ...Object.entries(BUILT_IN_TEMPLATES).map(([value, template]) => ({
+      value,
+      label: template.label,
+      variables: template.variables,
+      builtIn: true,
+      channel: 'email'
+    })),
+    ...Object.entries(BUILT_IN_SMS_TEMPLATES).map(([value, template]) => ({
+      value,
+      label: template.label,
+      variables: template.variables,
+      builtIn: true,
+      channel: 'sms'
+    })),
+    ...customTypes
+      .filter(type => type && type.value && !isBuiltInType(type.value))
+      .map(type => ({
+        value: type.value,
+        label: type.label || type.value,
+        variables: Array.isArray(type.variables) ? type.variables : [],
+        builtIn: false
+      }))
+  ]
+}
+
+/**
+ * Save the admin-defined template types (built-in types are ignored)
+ * @param {Array} types - [{ value, label, variables }]
+ * @returns {Promise<Array>} - All template types, as getTemplateTypes
+ */
+export const saveCustomTemplateTypes = async (types) => {
+  const customTypes = (Array.isArray(types) ? types : [])
+    .filter(type => type && type.value && !isBuiltInType(type.value))
+    .map(type => ({
+      value: String(type.value),
+      label: String(type.label || type.value),
+      variables: (Array.isArray(type.variables) ? type.variables : [])
+        .filter(variable => variable && variable.name)
+        .map(({ name, label, description }) => ({ name, label: label || name, description: description || '' }))
+    }))
+
+  const [setting] = await Setting.findOrCreate({
+    where: { key: CUSTOM_TYPES_KEY },
+    defaults: { key: CUSTOM_TYPES_KEY, value: '[]', type: 'json', category: 'general' }
+  })
+  setting.value = JSON.stringify(customTypes)
+  await setting.save()
+
+  return getTemplateTypes()
+}
+
+/**
+ * Check that a template's subject and body parse; throws a TemplateError if not
+ * @param {Object} template - { subject, body }
+ */
+export const validateTemplate = ({ subject, body }) => {
+  compileTemplate(subject)
+  compileTemplate(body)
+}
+
+/**
+ * Find the template used for a type: the most recently modified template of that type
+ * @param {string} type - Template type
+ * @param {string} channel - 'email' or 'sms' (default 'email')
+ * @returns {Promise<Object|null>}
+ */
+export const getActiveTemplate = (type, channel = 'email') =>
+  EmailTemplate.findOne({
+    where: { type, channel },
+    order: [['lastModified', 'DESC'], ['updatedAt', 'DESC']]
+  })
+
+/**
+ * Render an email of a built-in type
+ * @param {string} type - One of BUILT_IN_TEMPLATES
+ * @param {Object} data - Template variables (storeName is looked up unless given)
+ * @param {Object} options
+ * @param {Object|null} options.template - Template to use, when already loaded (e.g. once per newsletter run)
+ * @returns {Promise<{ subject: string, html: string }>}
+ */
+export const renderEmail = async (type, data, options = {}) => {
+  const variables = { ...data, storeName: data.storeName || await getStoreName() }
+  const template = options.template !== undefined ? options.template : await getActiveTemplate(type)
+
+  if (template) {
+    try {
+      return {
+        subject: renderTemplate(template.subject || BUILT_IN_TEMPLATES[type].subject, variables, { escape: false }),
+        html: renderTemplate(template.body, variables)
+      }
+    } catch (error) {
+      // A broken template must not stop the email; fall back to the built-in one
+      console.error(`Email template "${template.name}" failed to render, using the default:`, error.message)
+    }
+  }
+
+  const fallback = BUILT_IN_TEMPLATES[type]
+  return {
+    subject: renderTemplate(fallback.subject, variables, { escape: false }),
+    html: renderTemplate(fallback.body, variables)
+  }
+}
+
+/**
+ * Render a template against a sample order, for previews in the admin
+ * @param {Object} template - { type, channel, subject, body, variables }; subject and body default to the type's built-in
+ * @param {Object} options
+ * @param {Object} options.order - Real order to render against instead of the sample (optional)
+ * @param {Object} options.user - Customer of that order (optional)
+ * @returns {Promise<Object>} - { subject, html, variables } for email, { text, variables } for SMS.
+ *                              Throws a TemplateError if it does not parse.
+ */
+export const previewTemplate = async ({ type, channel, subject, body, variables: declared }, { order, user } = {}) => {
+  const isSms = channel === 'sms' || Boolean(BUILT_IN_SMS_TEMPLATES[type])
+  const builtIn = isSms ? BUILT_IN_SMS_TEMPLATES[type] : BUILT_IN_TEMPLATES[type]
+  const customType = builtIn ? null : (await getTemplateTypes()).find(t => t.value === type)
+  const orderVariables = buildOrderVariables(order || SAMPLE_ORDER, order ? user : SAMPLE_USER)
+
+  const variables = {
+    storeName: await getStoreName(),
+    ...orderVariables,
+    invoiceUrl: `${process.env.BACKEND_URL || process.env.API_URL || 'https://api.arudhrafashions.com'}/uploads/invoices/invoice-${orderVariables.orderNumber}.pdf`,
+    resetLink: `${frontendUrl()}/reset-password?token=sample-token`,
+    expiryTime: '1 hour',
+    subscriberName: orderVariables.customerName,
+    subscriberEmail: (order ? user?.email : SAMPLE_USER.email) || '',
+    subject: 'Festive Collection is here',
+    content: '<p>Our festive collection has arrived. Be the first to shop the new sarees and kurtis!</p>',
+    returnId: 'RET-1700000000000-SAMPLE',
+    productName: orderVariables.items[0]?.name || 'Product',
+    returnStatus: 'approved',
+    refundAmount: '',
+    adminName: 'Arjun Mehta',
+    role: 'Manager',
+    invitedBy: 'Store Owner',
+    inviteLink: `${frontendUrl()}/admin/accept-invite?token=sample-token`
+  }
+
+  // Variables nothing fills (custom types) show as [name] so their place is visible
+  const placeholders = [...(customType?.variables || []), ...(Array.isArray(declared) ? declared : [])]
+  placeholders.forEach(variable => {
+    const name = typeof variable === 'string' ? variable : variable?.name
+    if (name && variables[name] === undefined) {
+      variables[name] = `[${name}]`
+    }
+  })
+
+  const source = {
+    subject: subject || builtIn?.subject || '',
+    body: body || builtIn?.body || ''
+  }
+
+  if (isSms) {
+    return {
+      text: renderTemplate(source.body, variables, { escape: false }).trim(),
+      variables
+    }
+  }
+
+  return {
+    subject: renderTemplate(source.subject, variables, { escape: false }),
+    html: renderTemplate(source.body, variables),
+    variables
+  }
+}
+
+export default {
+  BUILT_IN_TEMPLATES,
+  BUILT_IN_SMS_TEMPLATES,
+  buildOrderVariables,
+  getTemplateTypes,
+  saveCustomTemplateTypes,
+  validateTemplate,
+  getStoreName,
+  getActiveTemplate,
+  renderEmail,
+  previewTemplate
+}
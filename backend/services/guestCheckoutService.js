@@ -0,0 +1,215 @@
+import crypto from 'crypto'
+import { Op } from 'sequelize'
+import { sequelize } from '../config/db.js'
+import Cart from '../models/Cart.js'
+import Order from '../models/Order.js'
+import User from '../models/User.js'
+
+/**
+ * Guest Checkout Service for customers who shop without an account
+ * A guest's first cart item starts a server-side cart and returns an anonymous guest token,
+ * which the browser keeps and sends back in the X-Guest-Token header. Only a SHA-256 hash of
+ * the token is stored (on the cart, payment sessions and orders).
+ * - A guest order needs a contact email and a 10-digit mobile. Anyone with the order ID (or
+ *   tracking number) and that email, or a code sent to that mobile, can look the order up.
+ * - When the customer registers or signs in, the guest cart is merged into their account's
+ *   cart, and guest orders move to the account if they were placed from the same browser
+ *   (guest token) or with the account's verified mobile. A matching email alone is not
+ *   enough, as emails are not verified at signup.
+ */
+
+export const GUEST_TOKEN_HEADER = 'X-Guest-Token'
+
+const GUEST_TOKEN_PATTERN = /^[0-9a-f]{48}$/
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+const guestError = (message, statusCode = 400) => {
+  const error = new Error(message)
+  error.name = 'GuestCheckoutError'
+  error.statusCode = statusCode
+  return error
+}
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase()
+
+const normalizeOption = (value) => (value === undefined || value === null || value === '' ? null : value)
+
+/**
+ * Create a new anonymous guest token
+ * @returns {string}
+ */
+export const createGuestToken = () => crypto.randomBytes(24).toString('hex')
+
+/**
+ * Hash a guest token for storage and lookups
+ * @param {string} token
+ * @returns {string}
+ */
+export const hashGuestToken = (token) => crypto.createHash('sha256').update(token).digest('hex')
+
+/**
+ * The guest token sent with a request
+ * @param {Object} req - Express request
+ * @returns {string|null} - null when the header is missing or not a guest token
+ */
+export const readGuestToken = (req) => {
+  const token = req.get(GUEST_TOKEN_HEADER)
+  return token && GUEST_TOKEN_PATTERN.test(token) ? token : null
+}
+
+/**
+ * Check the contact details a guest gave at checkout
+ * @param {Object} shippingAddress - Checkout address ({ email, mobile, ... })
+ * @returns {Object} - { email, mobile } with the email lower-cased
+ * @throws {GuestCheckoutError} - 400 when the email or mobile is missing or invalid
+ */
+export const getGuestContact = (shippingAddress) => {
+  const email = normalizeEmail(shippingAddress?.email)
+  const mobile = String(shippingAddress?.mobile || '').trim()
+
+  if (!EMAIL_PATTERN.test(email)) {
+    throw guestError('Please enter your email address so we can send you the order details')
+  }
+  if (!/^[0-9]{10}$/.test(mobile)) {
+    throw guestError('Please enter a valid 10-digit mobile number')
+  }
+  return { email, mobile }
+}
+
+/**
+ * Find an order by its order ID or tracking number, for the public order lookup
+ * @param {string} reference - Order ID (ORD-...) or tracking number
+ * @returns {Promise<Object|null>}
+ */
+export const findOrderByReference = async (reference) => {
+  const value = String(reference || '').trim()
+  if (!value) return null
+  return Order.findOne({
+    where: { [Op.or]: [{ orderId: value }, { tracking: value }] }
+  })
+}
+
+// The account behind an order placed while signed in (its email and mobile also unlock the lookup)
+const findOrderAccount = (order) =>
+  order.userId ? User.findByPk(order.userId, { attributes: ['email', 'mobile'] }) : null
+
+/**
+ * Whether an email belongs to an order: the guest's checkout email, the delivery email or
+ * the account's email
+ * @param {Object} order - Order record
+ * @param {string} email - Email the customer entered
+ * @returns {Promise<boolean>}
+ */
+export const orderMatchesEmail = async (order, email) => {
+  const entered = normalizeEmail(email)
+  if (!entered) return false
+
+  const account = await findOrderAccount(order)
+  return [order.guestEmail, order.shippingAddress?.email, account?.email]
+    .some(candidate => candidate && normalizeEmail(candidate) === entered)
+}
+
+/**
+ * The mobile a lookup code for an order is sent to
+ * @param {Object} order - Order record
+ * @returns {Promise<string|null>}
+ */
+export const getOrderLookupMobile = async (order) => {
+  if (order.guestMobile) return order.guestMobile
+  const account = await findOrderAccount(order)
+  return account?.mobile || order.shippingAddress?.mobile || null
+}
+
+/**
+ * What the public order lookup shows: the order without payment references, tax workings or
+ * the guest's token
+ * @param {Object} order - Order record
+ * @returns {Object}
+ */
+export const toOrderLookupView = (order) => {
+  const { userId, guestTokenHash, guestEmail, guestMobile, payment, taxBreakdown, ...view } = order.toJSON()
+  return {
+    ...view,
+    payment: { method: payment?.method || null, status: payment?.status || null }
+  }
+}
+
+// Add the guest cart's items to the account's cart (same product, size and colour add up)
+const mergeGuestCart = async (user, tokenHash, transaction) => {
+  const guestCart = await Cart.findOne({
+    where: { guestTokenHash: tokenHash },
+    lock: transaction.LOCK.UPDATE,
+    transaction
+  })
+  if (!guestCart) return
+
+  const guestItems = Array.isArray(guestCart.items) ? guestCart.items : []
+  if (guestItems.length > 0) {
+    const [cart] = await Cart.findOrCreate({
+      where: { userId: user.id },
+      defaults: { userId: user.id, items: [] },
+      transaction
+    })
+    const items = Array.isArray(cart.items) ? cart.items.map(item => ({ ...item })) : []
+
+    guestItems.forEach(guestItem => {
+      const existing = items.find(item =>
+        item.product === guestItem.product &&
+        normalizeOption(item.size) === normalizeOption(guestItem.size) &&
+        normalizeOption(item.color) === normalizeOption(guestItem.color)
+      )
+      if (existing) {
+        existing.quantity += guestItem.quantity
+      } else {
+        items.push(guestItem)
+      }
+    })
+
+    cart.items = items
+    await cart.save({ transaction })
+  }
+
+  await guestCart.destroy({ transaction })
+}
+
+/**
+ * Move a guest's cart and orders to the account they registered or signed in with
+ * @param {Object} user - User record
+ * @param {string} guestToken - Token from the X-Guest-Token header (optional)
+ * @returns {Promise<Object>} - { claimedOrders } (number of guest orders moved to the account)
+ */
+export const claimGuestCheckout = async (user, guestToken) => {
+  const tokenHash = guestToken ? hashGuestToken(guestToken) : null
+  const ownership = []
+  if (tokenHash) ownership.push({ guestTokenHash: tokenHash })
+  if (user.mobileVerified && user.mobile) ownership.push({ guestMobile: user.mobile })
+
+  return sequelize.transaction(async (transaction) => {
+    let claimedOrders = 0
+    if (ownership.length > 0) {
+      [claimedOrders] = await Order.update(
+        { userId: user.id, guestTokenHash: null },
+        { where: { userId: null, [Op.or]: ownership }, transaction }
+      )
+    }
+
+    if (tokenHash) {
+      await mergeGuestCart(user, tokenHash, transaction)
+    }
+
+    return { claimedOrders }
+  })
+}
+
+export default {
+  GUEST_TOKEN_HEADER,
+  createGuestToken,
+  hashGuestToken,
+  readGuestToken,
+  getGuestContact,
+  findOrderByReference,
+  orderMatchesEmail,
+  getOrderLookupMobile,
+  toOrderLookupView,
+  claimGuestCheckout
+}
@@ -0,0 +1,361 @@
+import Product from '../models/Product.js'
+import ProductVariant from '../models/ProductVariant.js'
+import InventoryLog from '../models/InventoryLog.js'
+
+/**
+ * Inventory Service for variant (size × color) stock
+ * Stock lives on ProductVariant; Product.stockCount is kept as the sum of its
+ * active variants so listings and dashboards can keep reading it. Products that
+ * have not been migrated to variants yet fall back to Product.stockCount.
+ * Order-driven functions expect to run inside a Sequelize transaction.
+ */
+
+const stockError = (message, details = {}) => {
+  const error = new Error(message)
+  error.name = 'InsufficientStockError'
+  error.statusCode = 400
+  error.details = details
+  return error
+}
+
+const normalizeOption = (value) => value === undefined || value === null || value === '' ? null : String(value)
+
+/**
+ * Pick the variant for a size/color selection
+ * An exact match wins; otherwise a variant with a null size or color acts as a wildcard
+ * (e.g. the single variant created for a product before per-size stock existed).
+ * @param {Array} variants - Variants of one product
+ * @param {string} size - Selected size (optional)
+ * @param {string} color - Selected color name (optional)
+ * @returns {Object|null} - Matching variant
+ */
+export const resolveVariant = (variants, size, color) => {
+  const wantedSize = normalizeOption(size)
+  const wantedColor = normalizeOption(color)
+
+  const candidates = variants
+    .filter(variant => variant.isActive !== false)
+    .filter(variant => variant.size === null || variant.size === wantedSize)
+    .filter(variant => variant.color === null || variant.color?.toLowerCase() === wantedColor?.toLowerCase())
+
+  // Most specific first: size and color set, then one of them, then neither
+  const specificity = (variant) => (variant.size !== null ? 2 : 0) + (variant.color !== null ? 1 : 0)
+  return candidates.sort((a, b) => specificity(b) - specificity(a))[0] || null
+}
+
+/**
+ * Build a readable SKU for a variant
+ * @param {Object} product - Product the variant belongs to
+ * @param {string} size - Variant size (optional)
+ * @param {string} color - Variant color name (optional)
+ * @returns {string} - SKU such as 1A2B3C4D-M-PINK
+ */
+export const generateSku = (product, size, color) => {
+  const parts = [product.id.substring(0, 8).toUpperCase()]
+  if (size) parts.push(String(size).toUpperCase())
+  if (color) parts.push(String(color).toUpperCase().replace(/[^A-Z0-9]+/g, ''))
+  if (!size && !color) parts.push('STD')
+  return parts.join('-')
+}
+
+/**
+ * Apply a stock movement to a current count
+ * @param {number} current - Current stock
+ * @param {number} quantity - Quantity (or absolute count for adjustments)
+ * @param {string} type - in/restock/return add, out/sale subtract, adjustment sets
+ * @returns {{ newStock: number, logType: string }}
+ */
+export const applyStockMovement = (current, quantity, type) => {
+  const amount = parseInt(quantity) || 0
+
+  switch (type) {
+    case 'in':
+    case 'restock':
+    case 'return':
+      return { newStock: current + amount, logType: 'in' }
+    case 'out':
+    case 'sale':
+      return { newStock: current - amount, logType: 'out' }
+    default:
+      return { newStock: amount, logType: 'adjustment' }
+  }
+}
+
+/**
+ * Recompute Product.stockCount/inStock from its active variants
+ * @param {string} productId - Product ID
+ * @param {Object} options
+ * @param {Object} options.transaction - Sequelize transaction (optional)
+ * @returns {Promise<number|null>} - New stock count, or null when the product has no variants
+ */
+export const syncProductStock = async (productId, { transaction } = {}) => {
+  const variants = await ProductVariant.findAll({
+    where: { productId },
+    attributes: ['stockCount', 'isActive'],
+    transaction
+  })
+
+  if (variants.length === 0) {
+    return null
+  }
+
+  const stockCount = variants
+    .filter(variant => variant.isActive)
+    .reduce((sum, variant) => sum + (variant.stockCount || 0), 0)
+
+  await Product.update(
+    { stockCount, inStock: stockCount > 0 },
+    { where: { id: productId }, transaction }
+  )
+
+  return stockCount
+}
+
+// Key order lines by variant when there is one, otherwise by product
+const lineKey = (productId, variantId) => `${productId}:${variantId || ''}`
+
+/**
+ * Check availability and decrement stock for every order line
+ * Lines are matched to a variant by variantId, or by size/color for older cart entries.
+ * @param {Array} items - Order/cart items ({ product, variantId, size, color, name, quantity })
+ * @param {Object} options
+ * @param {string} options.orderId - Order reference written to the inventory log
+ * @param {string} options.reason - Reason written to the inventory log (defaults to the order)
+ * @param {Object} options.transaction - Active Sequelize transaction
+ * @returns {Promise<Array>} - Reserved lines ({ productId, variantId, quantity })
+ */
+export const reserveStock = async (items, { orderId, reason, transaction }) => {
+  const productIds = [...new Set(items.map(item => item.product).filter(Boolean))].sort()
+
+  if (productIds.length === 0) {
+    return []
+  }
+
+  // Lock products, then variants, each in a stable order to avoid deadlocks between checkouts
+  const products = await Product.findAll({
+    where: { id: productIds },
+    order: [['id', 'ASC']],
+    lock: transaction.LOCK.UPDATE,
+    transaction
+  })
+  const variants = await ProductVariant.findAll({
+    where: { productId: productIds },
+    order: [['id', 'ASC']],
+    lock: transaction.LOCK.UPDATE,
+    transaction
+  })
+  const productMap = new Map(products.map(product => [product.id, product]))
+
+  const lines = new Map()
+  for (const item of items) {
+    const quantity = parseInt(item.quantity) || 0
+    if (!item.product || quantity <= 0) continue
+
+    const product = productMap.get(item.product)
+    const itemName = item.name || 'An item in your cart'
+    if (!product || !product.isActive) {
+      throw stockError(`${itemName} is no longer available`, { productId: item.product, requested: quantity, available: 0 })
+    }
+
+    const productVariants = variants.filter(variant => variant.productId === product.id)
+    let variant = null
+    if (productVariants.length > 0) {
+      variant = item.variantId
+        ? productVariants.find(v => v.id === item.variantId && v.isActive)
+        : resolveVariant(productVariants, item.size, item.color)
+
+      if (!variant) {
+        throw stockError(`The selected option for ${product.name} is no longer available`, {
+          productId: product.id,
+          requested: quantity,
+          available: 0
+        })
+      }
+    }
+
+    const key = lineKey(product.id, variant?.id)
+    const line = lines.get(key) || { product, variant, quantity: 0 }
+    line.quantity += quantity
+    lines.set(key, line)
+  }
+
+  for (const { product, variant, quantity } of lines.values()) {
+    const available = (variant || product).stockCount || 0
+    if (available < quantity) {
+      const label = variant
+        ? [product.name, variant.size, variant.color].filter(Boolean).join(' / ')
+        : product.name
+      throw stockError(
+        available > 0 ? `Only ${available} left in stock for ${label}` : `${label} is out of stock`,
+        { productId: product.id, variantId: variant?.id || null, requested: quantity, available }
+      )
+    }
+  }
+
+  const reserved = []
+  for (const { product, variant, quantity } of lines.values()) {
+    if (variant) {
+      variant.stockCount = variant.stockCount - quantity
+      await variant.save({ transaction })
+    } else {
+      product.stockCount = product.stockCount - quantity
+      product.inStock = product.stockCount > 0
+      await product.save({ transaction })
+    }
+
+    await InventoryLog.create({
+      productId: product.id,
+      variantId: variant?.id || null,
+      quantity,
+      type: 'out',
+      reason: reason || `Order ${orderId}`,
+      orderId,
+      createdBy: null
+    }, { transaction })
+
+    reserved.push({ productId: product.id, variantId: variant?.id || null, quantity })
+  }
+
+  for (const productId of new Set(reserved.filter(line => line.variantId).map(line => line.productId))) {
+    await syncProductStock(productId, { transaction })
+  }
+
+  return reserved
+}
+
+// Add quantities back to their variants (or products without variants) and log them as 'in'
+const putBackStock = async (pending, { orderId, reason, createdBy, transaction }) => {
+  const productIds = [...new Set(pending.map(line => line.productId))].sort()
+  const variantIds = pending.map(line => line.variantId).filter(Boolean).sort()
+
+  const products = await Product.findAll({
+    where: { id: productIds },
+    order: [['id', 'ASC']],
+    lock: transaction.LOCK.UPDATE,
+    transaction
+  })
+  const variants = variantIds.length > 0
+    ? await ProductVariant.findAll({
+        where: { id: variantIds },
+        order: [['id', 'ASC']],
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      })
+    : []
+  const productMap = new Map(products.map(product => [product.id, product]))
+  const variantMap = new Map(variants.map(variant => [variant.id, variant]))
+
+  const restored = []
+  for (const line of pending) {
+    const product = productMap.get(line.productId)
+    const variant = line.variantId ? variantMap.get(line.variantId) : null
+    // Deleted products/variants cannot take stock back
+    if (!product || (line.variantId && !variant)) continue
+
+    if (variant) {
+      variant.stockCount = (variant.stockCount || 0) + line.quantity
+      await variant.save({ transaction })
+    } else {
+      product.stockCount = (product.stockCount || 0) + line.quantity
+      product.inStock = product.stockCount > 0
+      await product.save({ transaction })
+    }
+
+    await InventoryLog.create({
+      productId: line.productId,
+      variantId: line.variantId,
+      quantity: line.quantity,
+      type: 'in',
+      reason,
+      orderId,
+      createdBy
+    }, { transaction })
+
+    restored.push(line)
+  }
+
+  for (const productId of new Set(restored.filter(line => line.variantId).map(line => line.productId))) {
+    await syncProductStock(productId, { transaction })
+  }
+
+  return restored
+}
+
+/**
+ * Put back the stock taken by an order
+ * Only quantities recorded as 'out' for the order and not yet returned are restored,
+ * so calling this twice (or for orders placed before stock tracking) is a no-op.
+ * @param {string} orderId - Order reference used when the stock was reserved
+ * @param {Object} options
+ * @param {string} options.reason - Reason written to the inventory log
+ * @param {string} options.createdBy - Admin ID performing the change (optional)
+ * @param {Object} options.transaction - Active Sequelize transaction
+ * @returns {Promise<Array>} - Restored lines ({ productId, variantId, quantity })
+ */
+export const restoreStock = async (orderId, { reason, createdBy = null, transaction }) => {
+  const logs = await InventoryLog.findAll({
+    where: { orderId, type: ['out', 'in'] },
+    transaction
+  })
+
+  const outstanding = new Map()
+  logs.forEach(log => {
+    const key = lineKey(log.productId, log.variantId)
+    const line = outstanding.get(key) || { productId: log.productId, variantId: log.variantId || null, quantity: 0 }
+    line.quantity += log.type === 'out' ? log.quantity : -log.quantity
+    outstanding.set(key, line)
+  })
+
+  const pending = [...outstanding.values()].filter(line => line.quantity > 0)
+  if (pending.length === 0) {
+    return []
+  }
+
+  return putBackStock(pending, { orderId, reason: reason || `Order ${orderId} cancelled`, createdBy, transaction })
+}
+
+/**
+ * Put returned items back into stock
+ * Lines without a variantId are matched to a variant by size/color, as at checkout.
+ * @param {Array} lines - Returned lines ({ productId, variantId, size, color, quantity })
+ * @param {Object} options
+ * @param {string} options.orderId - Order the items were sold on, written to the inventory log
+ * @param {string} options.reason - Reason written to the inventory log
+ * @param {string} options.createdBy - Admin ID performing the change (optional)
+ * @param {Object} options.transaction - Active Sequelize transaction
+ * @returns {Promise<Array>} - Restocked lines ({ productId, variantId, quantity })
+ */
+export const restockItems = async (lines, { orderId, reason, createdBy = null, transaction }) => {
+  const wanted = lines.filter(line => line.productId && (parseInt(line.quantity) || 0) > 0)
+  if (wanted.length === 0) {
+    return []
+  }
+
+  const unmatched = [...new Set(wanted.filter(line => !line.variantId).map(line => line.productId))]
+  const variants = unmatched.length > 0
+    ? await ProductVariant.findAll({ where: { productId: unmatched }, transaction })
+    : []
+
+  const pending = new Map()
+  wanted.forEach(line => {
+    const variantId = line.variantId ||
+      resolveVariant(variants.filter(variant => variant.productId === line.productId), line.size, line.color)?.id ||
+      null
+    const key = lineKey(line.productId, variantId)
+    const entry = pending.get(key) || { productId: line.productId, variantId, quantity: 0 }
+    entry.quantity += parseInt(line.quantity)
+    pending.set(key, entry)
+  })
+
+  return putBackStock([...pending.values()], { orderId, reason, createdBy, transaction })
+}
+
+export default {
+  resolveVariant,
+  generateSku,
+  applyStockMovement,
+  syncProductStock,
+  reserveStock,
+  restoreStock,
+  restockItems
+}
@@ -0,0 +1,121 @@
+import { sequelize } from '../config/db.js'
+import Setting from '../models/Setting.js'
+
+/**
+ * Login Lockout Service for customer and admin password sign-in
+ * Failed passwords are counted on the account (failedLoginAttempts). Once the count reaches
+ * the login_lockout setting's threshold the account is locked (lockedUntil) for baseMinutes,
+ * and every further failure doubles the lock, up to maxMinutes. A correct password, a password
+ * reset or an admin unlocking the account clears the count. Locked customers can still sign in
+ * with a one-time code sent to their mobile.
+ */
+
+export const DEFAULT_LOGIN_LOCKOUT = {
+  threshold: 5,
+  baseMinutes: 15,
+  maxMinutes: 24 * 60
+}
+
+const SETTINGS_CACHE_MS = 60 * 1000
+
+let cachedPolicy = null
+let cachedAt = 0
+
+/**
+ * Load the lockout policy from the login_lockout setting
+ * @returns {Promise<Object>} - { threshold, baseMinutes, maxMinutes }
+ */
+export const getLockoutPolicy = async () => {
+  if (cachedPolicy && Date.now() - cachedAt < SETTINGS_CACHE_MS) return cachedPolicy
+
+  const setting = await Setting.findOne({ where: { key: 'login_lockout' } })
+  let value = null
+  try {
+    value = setting ? JSON.parse(setting.value) : null
+  } catch (e) {
+    value = null
+  }
+
+  const policy = {}
+  Object.entries(DEFAULT_LOGIN_LOCKOUT).forEach(([field, fallback]) => {
+    const parsed = parseInt(value?.[field])
+    policy[field] = Number.isFinite(parsed) && parsed >= 1 ? parsed : fallback
+  })
+  policy.maxMinutes = Math.max(policy.maxMinutes, policy.baseMinutes)
+
+  cachedPolicy = policy
+  cachedAt = Date.now()
+  return policy
+}
+
+/**
+ * Whether an account is locked right now
+ * @param {Object} account - User or Admin record
+ * @returns {boolean}
+ */
+export const isAccountLocked = (account) => {
+  return Boolean(account?.lockedUntil && new Date(account.lockedUntil).getTime() > Date.now())
+}
+
+/**
+ * Message for a locked account, e.g. "... Please try again in 15 minutes."
+ * @param {Date} lockedUntil
+ * @returns {string}
+ */
+export const lockoutMessage = (lockedUntil) => {
+  const minutes = Math.max(1, Math.ceil((new Date(lockedUntil).getTime() - Date.now()) / 60000))
+  const wait = minutes >= 120 ? `${Math.ceil(minutes / 60)} hours` : `${minutes} minute${minutes === 1 ? '' : 's'}`
+  return `Too many failed sign-in attempts. Your account is locked, please try again in ${wait}.`
+}
+
+/**
+ * Count a wrong password and lock the account once the threshold is reached
+ * @param {Object} account - User or Admin record
+ * @returns {Promise<Object>} - { failedLoginAttempts, lockedUntil } (lockedUntil null when not locked)
+ */
+export const recordFailedLogin = async (account) => {
+  const Model = account.constructor
+  // Count in the database so parallel guesses are all counted
+  const [, [updated]] = await Model.update(
+    { failedLoginAttempts: sequelize.literal('"failedLoginAttempts" + 1') },
+    { where: { id: account.id }, returning: true }
+  )
+  const failedLoginAttempts = updated.failedLoginAttempts
+
+  const policy = await getLockoutPolicy()
+  let lockedUntil = null
+  if (failedLoginAttempts >= policy.threshold) {
+    const minutes = Math.min(policy.baseMinutes * 2 ** (failedLoginAttempts - policy.threshold), policy.maxMinutes)
+    lockedUntil = new Date(Date.now() + minutes * 60 * 1000)
+    await Model.update({ lockedUntil }, { where: { id: account.id } })
+  }
+
+  account.failedLoginAttempts = failedLoginAttempts
+  account.lockedUntil = lockedUntil
+  return { failedLoginAttempts, lockedUntil }
+}
+
+/**
+ * Forget failed attempts and lift any lock, after a successful sign-in, a password reset or
+ * an admin unlocking the account
+ * @param {Object} account - User or Admin record
+ * @returns {Promise<void>}
+ */
+export const clearFailedLogins = async (account) => {
+  if (!account.failedLoginAttempts && !account.lockedUntil) return
+  await account.constructor.update(
+    { failedLoginAttempts: 0, lockedUntil: null },
+    { where: { id: account.id } }
+  )
+  account.failedLoginAttempts = 0
+  account.lockedUntil = null
+}
+
+export default {
+  DEFAULT_LOGIN_LOCKOUT,
+  getLockoutPolicy,
+  isAccountLocked,
+  lockoutMessage,
+  recordFailedLogin,
+  clearFailedLogins
+}
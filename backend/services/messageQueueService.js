@@ -0,0 +1,206 @@
+import { Op } from 'sequelize'
+import { sequelize } from '../config/db.js'
+import MessageJob from '../models/MessageJob.js'
+
+/**
+ * Message Queue Service for outgoing emails and SMS
+ * Messages are stored in message_jobs (one row per recipient) and delivered by the worker
+ * (worker.js, or the API process when RUN_MESSAGE_WORKER=true). A failed delivery is retried
+ * after 30s, 1m, 2m, 4m... (capped at 1 hour) until maxAttempts, then the job is 'dead' and
+ * shows up on the admin Messages page, where it can be retried.
+ */
+
+const BACKOFF_BASE_MS = 30 * 1000
+const BACKOFF_MAX_MS = 60 * 60 * 1000
+
+// A job left 'processing' this long belongs to a worker that died mid-delivery
+const STALE_LOCK_MS = 10 * 60 * 1000
+
+const queueError = (message, statusCode = 400) => {
+  const error = new Error(message)
+  error.name = 'QueueError'
+  error.statusCode = statusCode
+  return error
+}
+
+/**
+ * Delay before the next attempt
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} - Milliseconds
+ */
+export const backoffDelay = (attempts) =>
+  Math.min(BACKOFF_BASE_MS * 2 ** Math.max(attempts - 1, 0), BACKOFF_MAX_MS)
+
+const toJobRow = ({ channel, kind, to, payload, batchId, metadata, maxAttempts, runAt }) => ({
+  channel,
+  kind,
+  recipient: to,
+  payload: payload || {},
+  batchId: batchId || null,
+  metadata: metadata || {},
+  ...(maxAttempts && { maxAttempts }),
+  runAt: runAt || new Date()
+})
+
+/**
+ * Queue a message for one recipient
+ * @param {Object} message
+ * @param {string} message.channel - 'email' or 'sms'
+ * @param {string} message.kind - What the message is (order_confirmation, newsletter, order_shipped, ...)
+ * @param {string} message.to - Email address or E.164 mobile number
+ * @param {Object} message.payload - Rendered message (email: subject, html, text, pdfPath, pdfName; sms: body)
+ * @param {string} message.batchId - Groups the messages of one send (optional)
+ * @param {Object} message.metadata - Extra details shown to admins, e.g. orderId (optional)
+ * @param {Object} options
+ * @param {Object} options.transaction - Sequelize transaction (optional)
+ * @returns {Promise<Object>} - MessageJob
+ */
+export const enqueueMessage = (message, { transaction } = {}) =>
+  MessageJob.create(toJobRow(message), { transaction })
+
+/**
+ * Queue many messages at once (e.g. a newsletter)
+ * @param {Array} messages - As enqueueMessage
+ * @param {Object} options
+ * @param {Object} options.transaction - Sequelize transaction (optional)
+ * @returns {Promise<Array>} - MessageJobs
+ */
+export const enqueueMessages = (messages, { transaction } = {}) =>
+  MessageJob.bulkCreate(messages.map(toJobRow), { transaction })
+
+/**
+ * Lock the next due jobs for a worker; concurrent workers never get the same job
+ * @param {Object} options
+ * @param {number} options.limit - Jobs to claim
+ * @param {string} options.workerId - Recorded in lockedBy
+ * @returns {Promise<Array>} - MessageJobs, with attempts already counting this one
+ */
+export const claimJobs = ({ limit = 10, workerId }) =>
+  sequelize.query(`
+    UPDATE message_jobs
+    SET status = 'processing', "lockedAt" = NOW(), "lockedBy" = :workerId,
+        attempts = attempts + 1, "updatedAt" = NOW()
+    WHERE id IN (
+      SELECT id FROM message_jobs
+      WHERE status = 'pending' AND "runAt" <= NOW()
+      ORDER BY "runAt" ASC
+      LIMIT :limit
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `, {
+    replacements: { limit, workerId },
+    model: MessageJob,
+    mapToModel: true
+  })
+
+/**
+ * Record a successful delivery
+ * @param {Object} job - MessageJob
+ * @param {string} providerMessageId - SMTP / Twilio message ID
+ */
+export const markSent = async (job, providerMessageId) => {
+  job.status = 'sent'
+  job.sentAt = new Date()
+  job.providerMessageId = providerMessageId || null
+  job.lockedAt = null
+  job.lockedBy = null
+  await job.save()
+}
+
+/**
+ * Record a failed delivery: schedule the retry, or dead-letter the job when it is out of
+ * attempts or the error is permanent (error.permanent, e.g. a missing attachment)
+ * @param {Object} job - MessageJob
+ * @param {Error} error
+ */
+export const markFailed = async (job, error) => {
+  const message = error?.message || String(error)
+  const dead = Boolean(error?.permanent) || job.attempts >= job.maxAttempts
+
+  job.status = dead ? 'dead' : 'pending'
+  if (!dead) {
+    job.runAt = new Date(Date.now() + backoffDelay(job.attempts))
+  }
+  job.lastError = message
+  job.attemptLog = [...(job.attemptLog || []), { at: new Date().toISOString(), error: message }]
+  job.lockedAt = null
+  job.lockedBy = null
+  await job.save()
+}
+
+/**
+ * Put jobs abandoned by a crashed worker back in the queue
+ * @returns {Promise<number>} - Jobs released
+ */
+export const releaseStaleJobs = async () => {
+  const [released] = await MessageJob.update(
+    { status: 'pending', lockedAt: null, lockedBy: null },
+    {
+      where: {
+        status: 'processing',
+        lockedAt: { [Op.lt]: new Date(Date.now() - STALE_LOCK_MS) }
+      }
+    }
+  )
+  return released
+}
+
+/**
+ * Send a dead job again, with a fresh set of attempts
+ * @param {string} id - MessageJob ID
+ * @returns {Promise<Object>} - MessageJob
+ */
+export const retryJob = async (id) => {
+  const job = await MessageJob.findByPk(id)
+  if (!job) {
+    throw queueError('Message not found', 404)
+  }
+  if (job.status !== 'dead') {
+    throw queueError('Only failed messages can be retried')
+  }
+
+  job.status = 'pending'
+  job.attempts = 0
+  job.runAt = new Date()
+  await job.save()
+  return job
+}
+
+/**
+ * Count messages by status (and per channel)
+ * @param {Object} where - Extra filter, e.g. { batchId } (optional)
+ * @returns {Promise<Object>} - { pending, processing, sent, dead, retrying, byChannel: { email: {...}, sms: {...} } }
+ */
+export const getQueueStats = async (where = {}) => {
+  const rows = await MessageJob.findAll({
+    where,
+    attributes: ['channel', 'status', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+    group: ['channel', 'status'],
+    raw: true
+  })
+  const retrying = await MessageJob.count({
+    where: { ...where, status: 'pending', attempts: { [Op.gt]: 0 } }
+  })
+
+  const stats = { pending: 0, processing: 0, sent: 0, dead: 0, retrying, byChannel: {} }
+  rows.forEach(row => {
+    const count = parseInt(row.count, 10)
+    stats[row.status] += count
+    stats.byChannel[row.channel] = stats.byChannel[row.channel] || { pending: 0, processing: 0, sent: 0, dead: 0 }
+    stats.byChannel[row.channel][row.status] += count
+  })
+  return stats
+}
+
+export default {
+  backoffDelay,
+  enqueueMessage,
+  enqueueMessages,
+  claimJobs,
+  markSent,
+  markFailed,
+  releaseStaleJobs,
+  retryJob,
+  getQueueStats
+}
@@ -0,0 +1,132 @@
+import os from 'os'
+import { claimJobs, markSent, markFailed, releaseStaleJobs } from './messageQueueService.js'
+import { deliverEmail } from './emailService.js'
+import { deliverSms } from './smsService.js'
+import { cancelStalePendingPayments } from './orderService.js'
+import { expireCoins, releaseStaleHolds } from './coinService.js'
+
+/**
+ * Message Worker that delivers queued emails and SMS
+ * Run it as its own process (npm run worker) or inside the API process with
+ * RUN_MESSAGE_WORKER=true. Several workers can run at once; each job goes to one of them.
+ * Between polls it also runs the maintenance sweeps below, which are safe to run from
+ * several workers at once.
+ * - MESSAGE_WORKER_POLL_MS: how often to look for due jobs when the queue is empty (default 5000)
+ * - MESSAGE_WORKER_BATCH: jobs claimed at a time (default 10)
+ * - MAINTENANCE_INTERVAL_MS: how often the maintenance sweeps run (default 60000)
+ */
+
+// Sweeps for things customers start and never finish
+const MAINTENANCE_TASKS = {
+  'unpaid orders': cancelStalePendingPayments,
+  'coin holds': releaseStaleHolds,
+  'coin expiry': expireCoins
+}
+
+const deliver = (job) => {
+  if (job.channel === 'sms') {
+    return deliverSms({ to: job.recipient, body: job.payload.body })
+  }
+  return deliverEmail({ to: job.recipient, ...job.payload })
+}
+
+/**
+ * Deliver one claimed job and record the outcome
+ * @param {Object} job - MessageJob locked by claimJobs
+ */
+export const processJob = async (job) => {
+  try {
+    const { messageId } = await deliver(job)
+    await markSent(job, messageId)
+  } catch (error) {
+    console.error(`Message ${job.id} (${job.kind} to ${job.recipient}) failed on attempt ${job.attempts}:`, error.message)
+    await markFailed(job, error)
+  }
+}
+
+/**
+ * Claim and deliver one batch of due jobs
+ * @param {Object} options
+ * @param {number} options.batchSize - Jobs to claim
+ * @param {string} options.workerId - Recorded on the jobs while they are delivered
+ * @returns {Promise<number>} - Jobs processed
+ */
+export const runWorkerOnce = async ({ batchSize = 10, workerId } = {}) => {
+  const jobs = await claimJobs({ limit: batchSize, workerId })
+  await Promise.all(jobs.map(processJob))
+  return jobs.length
+}
+
+/**
+ * Run every maintenance sweep once; one failing sweep does not stop the others
+ */
+export const runMaintenance = async () => {
+  for (const [name, task] of Object.entries(MAINTENANCE_TASKS)) {
+    try {
+      await task()
+    } catch (error) {
+      console.error(`Maintenance error (${name}):`, error)
+    }
+  }
+}
+
+/**
+ * Start polling the queue
+ * @param {Object} options
+ * @param {number} options.pollInterval - Milliseconds between polls when the queue is empty
+ * @param {number} options.batchSize - Jobs claimed at a time
+ * @param {number} options.maintenanceInterval - Milliseconds between maintenance sweeps
+ * @returns {Object} - { workerId, stop } - stop() resolves once the current batch is finished
+ */
+export const startWorker = ({
+  pollInterval = parseInt(process.env.MESSAGE_WORKER_POLL_MS || '5000'),
+  batchSize = parseInt(process.env.MESSAGE_WORKER_BATCH || '10'),
+  maintenanceInterval = parseInt(process.env.MAINTENANCE_INTERVAL_MS || '60000')
+} = {}) => {
+  const workerId = `${os.hostname()}:${process.pid}`
+  let stopped = false
+  let timer = null
+  let running = Promise.resolve()
+  let lastMaintenance = 0
+
+  const tick = async () => {
+    try {
+      await releaseStaleJobs()
+      // Keep going while batches come back full; wait for the next poll once the queue is drained
+      while (!stopped && await runWorkerOnce({ batchSize, workerId }) === batchSize) {
+        // next batch
+      }
+    } catch (error) {
+      console.error('Message worker error:', error)
+    }
+    if (!stopped && Date.now() - lastMaintenance >= maintenanceInterval) {
+      lastMaintenance = Date.now()
+      await runMaintenance()
+    }
+    if (!stopped) {
+      timer = setTimeout(() => {
+        running = tick()
+      }, pollInterval)
+    }
+  }
+
+  running = tick()
+  console.log(`Message worker ${workerId} started`)
+
+  return {
+    workerId,
+    stop: async () => {
+      stopped = true
+      clearTimeout(timer)
+      await running
+      console.log(`Message worker ${workerId} stopped`)
+    }
+  }
+}
+
+export default {
+  processJob,
+  runWorkerOnce,
+  runMaintenance,
+  startWorker
+}
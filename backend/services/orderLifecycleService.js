@@ -0,0 +1,336 @@
+import { Op } from 'sequelize'
+import { sequelize } from '../config/db.js'
+import User from '../models/User.js'
+import Coupon from '../models/Coupon.js'
+import CouponUsage from '../models/CouponUsage.js'
+import Discount from '../models/Discount.js'
+import Return from '../models/Return.js'
+import { restoreStock } from './inventoryService.js'
+import { awardOrderCoins, reverseOrderCoins } from './coinService.js'
+import { sendOrderSms } from './smsService.js'
+import { isRazorpayConfigured } from './razorpayService.js'
+import { issueRefund } from './refundService.js'
+
+/**
+ * Order Lifecycle Service - the order status state machine
+ * Every status change goes through transitionOrder(): it rejects moves the lifecycle does not
+ * allow, stamps statusHistory with who made the change and why, and runs the side effects of
+ * the new status. Effects that must succeed with the change (stock, coins, payment) run in its
+ * transaction; notifications and coin awards run once it is committed and never fail it.
+ */
+
+export const ORDER_STATUSES = [
+  'Pending Payment',
+  'Pending Confirmation',
+  'Confirmed',
+  'Packed',
+  'Shipped',
+  'Out for Delivery',
+  'Delivered',
+  'Cancelled',
+  'Return Requested',
+  'Returned',
+  'Refunded'
+]
+
+// Statuses each status may move to; a return request that is turned down goes back to Delivered
+export const ORDER_TRANSITIONS = {
+  'Pending Payment': ['Confirmed', 'Cancelled'],
+  'Pending Confirmation': ['Confirmed', 'Cancelled'],
+  Confirmed: ['Packed', 'Cancelled'],
+  Packed: ['Shipped', 'Cancelled'],
+  Shipped: ['Out for Delivery', 'Delivered'],
+  'Out for Delivery': ['Delivered'],
+  Delivered: ['Return Requested'],
+  'Return Requested': ['Returned', 'Delivered'],
+  Cancelled: ['Refunded'],
+  Returned: ['Refunded'],
+  Refunded: []
+}
+
+// Customers may cancel their own order until it leaves the warehouse
+export const CUSTOMER_CANCELLABLE_STATUSES = ['Pending Payment', 'Pending Confirmation', 'Confirmed', 'Packed']
+
+// Statuses that only make sense when money was taken for the order
+const PAID_STATUSES = ['paid', 'partially_refunded', 'refunded']
+
+// Returns whose items are back with the store, so their money is owed or already refunded
+const ACCEPTED_RETURN_STATUSES = ['qc_passed', 'refunded']
+
+const SYSTEM_ACTOR = { type: 'system', id: null, name: 'System' }
+
+const orderStatusError = (message, statusCode = 400) => {
+  const error = new Error(message)
+  error.name = 'OrderStatusError'
+  error.statusCode = statusCode
+  return error
+}
+
+const isPaid = (order) => PAID_STATUSES.includes(order.payment?.status)
+
+// Extra conditions on top of the transition map; each returns an error message or null
+const GUARDS = {
+  Confirmed: (order, { from }) => (from === 'Pending Payment' && !isPaid(order)
+    ? 'An order awaiting online payment is confirmed when the payment is captured'
+    : null),
+  Refunded: (order) => (!isPaid(order)
+    ? 'Nothing was paid for this order, so there is nothing to refund'
+    : null)
+}
+
+/**
+ * Statuses an order may move to next
+ * @param {string} status - Current order status
+ * @returns {Array<string>}
+ */
+export const getAllowedTransitions = (status) => ORDER_TRANSITIONS[status] || []
+
+/**
+ * Whether the lifecycle allows moving from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean}
+ */
+export const canTransition = (from, to) => getAllowedTransitions(from).includes(to)
+
+/**
+ * What a returned order's accepted returns are worth
+ * An order marked Returned without any return request, or whose returns cover its whole
+ * total, is returned as a whole.
+ * @param {Object} order - Order record
+ * @param {Object} options
+ * @param {Object} options.transaction - Sequelize transaction (optional)
+ * @returns {Promise<number|null>} - Rupees, or null for the whole order
+ */
+export const getReturnedAmount = async (order, { transaction } = {}) => {
+  const [requested, accepted] = await Promise.all([
+    Return.count({ where: { orderId: order.orderId }, transaction }),
+    Return.sum('amount', {
+      where: { orderId: order.orderId, status: { [Op.in]: ACCEPTED_RETURN_STATUSES } },
+      transaction
+    })
+  ])
+  const returnedAmount = parseFloat(accepted) || 0
+  if (requested === 0 || returnedAmount >= parseFloat(order.total)) return null
+  return returnedAmount
+}
+
+// ----- Side effects -----
+
+// Put the order's stock back on the shelf; restoreStock skips anything already restored
+const restoreOrderStock = async (order, { actor, to, transaction }) => {
+  await restoreStock(order.orderId, {
+    reason: `Order ${order.orderId} ${to.toLowerCase()}`,
+    createdBy: actor.type === 'admin' ? actor.id : null,
+    transaction
+  })
+}
+
+// A returned order is undone only as far as its returns go; the hooks after this one read
+// context.returnedAmount (null for the whole order)
+const measureReturn = async (order, context) => {
+  context.returnedAmount = await getReturnedAmount(order, { transaction: context.transaction })
+}
+
+// Take back the coins earned on the order and give back the coins spent on it, or for part of
+// a returned order just the coins its kept part would not have earned
+const reverseCoins = async (order, { to, returnedAmount, transaction }) => {
+  await reverseOrderCoins(order, {
+    returnedAmount,
+    reason: `Order ${order.orderId} ${to.toLowerCase()}`,
+    transaction
+  })
+}
+
+// A cancelled order no longer counts towards its coupon's or discount's usage limits
+const releaseCodes = async (order, { transaction }) => {
+  if (order.couponCode) {
+    const released = await CouponUsage.destroy({ where: { orderId: order.orderId }, transaction })
+    if (released > 0) {
+      await Coupon.decrement('used', {
+        by: released,
+        where: { code: order.couponCode, used: { [Op.gte]: released } },
+        transaction
+      })
+    }
+  }
+  if (order.discountCode) {
+    await Discount.decrement('used', {
+      where: { code: order.discountCode, used: { [Op.gt]: 0 } },
+      transaction
+    })
+  }
+}
+
+// Cash on Delivery is collected by the courier on delivery
+const collectCodPayment = (order, { history }) => {
+  if (order.payment?.method !== 'cod' || order.payment?.status === 'paid') return
+  order.payment = {
+    ...order.payment,
+    status: 'paid',
+    amountPaid: parseFloat(order.total),
+    amountDue: 0,
+    collectedAt: new Date().toISOString()
+  }
+  history.push({
+    status: order.status,
+    date: new Date(),
+    note: `Cash on Delivery of ₹${parseFloat(order.total).toFixed(2)} collected`
+  })
+}
+
+// Money taken for a cancelled order, or for the returned part of an order, is owed back to
+// the customer
+const flagRefundDue = (order, { history, returnedAmount }) => {
+  if (!['paid', 'partially_refunded'].includes(order.payment?.status)) return
+  const paid = parseFloat(order.payment.amountPaid ?? order.total)
+  const owed = returnedAmount === undefined || returnedAmount === null ? paid : Math.min(returnedAmount, paid)
+  const refundDue = Math.round((owed - (order.payment.refundedAmount || 0)) * 100) / 100
+  if (refundDue <= 0) return
+  order.payment = {
+    ...order.payment,
+    refundStatus: 'pending',
+    refundDue
+  }
+  history.push({
+    status: order.status,
+    date: new Date(),
+    note: `Refund of ₹${refundDue.toFixed(2)} due to the customer`
+  })
+}
+
+// Settle the payment record; a refund the gateway already reported keeps its amounts
+const markRefunded = (order) => {
+  order.payment = {
+    ...order.payment,
+    status: 'refunded',
+    refundStatus: 'processed',
+    refundDue: 0,
+    refundedAmount: order.payment?.refundedAmount || parseFloat(order.payment?.amountPaid ?? order.total),
+    refundedAt: order.payment?.refundedAt || new Date().toISOString()
+  }
+}
+
+// Send the refund owed on a prepaid order back to the original payment; the refund webhooks
+// settle it. Without Razorpay the refund stays due for the team.
+const refundToOriginalPayment = async (order, { actor, note }) => {
+  const { payment } = order
+  if (payment?.refundStatus !== 'pending' || !payment.razorpayPaymentId || !isRazorpayConfigured()) return
+  await issueRefund(order, { method: 'original', reason: note, actor })
+}
+
+// COD customers earn their coins once the cash is in; prepaid ones once the order is confirmed
+const awardPaidOrderCoins = async (order) => {
+  if (order.userId && order.payment?.status === 'paid' && parseFloat(order.total) > 0) {
+    await awardOrderCoins(order, order.userId)
+  }
+}
+
+const notify = (type) => async (order) => {
+  if (!order.userId) return
+  await sendOrderSms(type, order, await User.findByPk(order.userId))
+}
+
+// Effects of entering a status: `during` runs inside the transition's transaction (a failure
+// rolls the change back), `after` runs once it is committed
+const STATUS_HOOKS = {
+  Confirmed: { after: [awardPaidOrderCoins] },
+  Shipped: { after: [notify('order_shipped')] },
+  'Out for Delivery': { after: [notify('order_out_for_delivery')] },
+  Delivered: { during: [collectCodPayment], after: [awardPaidOrderCoins, notify('order_delivered')] },
+  Cancelled: { during: [restoreOrderStock, reverseCoins, releaseCodes, flagRefundDue], after: [refundToOriginalPayment] },
+  Returned: { during: [measureReturn, reverseCoins, flagRefundDue] },
+  Refunded: { during: [markRefunded] }
+}
+
+const runAfterHooks = async (order, context) => {
+  for (const hook of STATUS_HOOKS[context.to]?.after || []) {
+    try {
+      await hook(order, context)
+    } catch (hookError) {
+      // The status has changed; a failed notification or award must not undo it
+      console.error(`Error after moving order ${order.orderId} to ${context.to}:`, hookError)
+    }
+  }
+}
+
+/**
+ * Move an order to a new status
+ * The order row is locked and re-read first, so two changes to the same order cannot both
+ * pass the transition check.
+ * @param {Object} order - Order record (updated in place)
+ * @param {string} toStatus - One of ORDER_STATUSES
+ * @param {Object} options
+ * @param {Object} options.actor - Who made the change: { type: 'admin'|'customer'|'system', id, name }
+ * @param {string} options.note - Reason shown in the order's history (optional)
+ * @param {Object} options.transaction - Sequelize transaction (optional); with one, the
+ *                                       after-commit effects wait for it to commit
+ * @returns {Promise<Object>} - The updated order
+ * @throws {OrderStatusError} - 400 when the lifecycle does not allow the change
+ */
+export const transitionOrder = async (order, toStatus, { actor = SYSTEM_ACTOR, note, transaction } = {}) => {
+  if (!ORDER_STATUSES.includes(toStatus)) {
+    throw orderStatusError(`Invalid status: ${toStatus}`)
+  }
+
+  const stampedActor = {
+    type: actor.type,
+    id: actor.id || null,
+    name: actor.name || null
+  }
+  let context
+
+  const apply = async (t) => {
+    await order.reload({ lock: t.LOCK.UPDATE, transaction: t })
+    const from = order.status
+
+    if (from === toStatus) {
+      throw orderStatusError(`Order is already ${toStatus}`)
+    }
+    if (!canTransition(from, toStatus)) {
+      throw orderStatusError(`An order cannot move from ${from} to ${toStatus}`)
+    }
+    const guardMessage = GUARDS[toStatus]?.(order, { from })
+    if (guardMessage) {
+      throw orderStatusError(guardMessage)
+    }
+
+    order.status = toStatus
+    const history = [...(order.statusHistory || [])]
+    history.push({
+      status: toStatus,
+      from,
+      date: new Date(),
+      note: note || `Status updated to ${toStatus}`,
+      actor: stampedActor
+    })
+
+    context = { from, to: toStatus, actor: stampedActor, note, history, transaction: t }
+    for (const hook of STATUS_HOOKS[toStatus]?.during || []) {
+      await hook(order, context)
+    }
+
+    order.statusHistory = history
+    await order.save({ transaction: t })
+  }
+
+  if (transaction) {
+    await apply(transaction)
+    transaction.afterCommit(() => runAfterHooks(order, context))
+    return order
+  }
+
+  await sequelize.transaction(apply)
+  await runAfterHooks(order, context)
+  return order
+}
+
+export default {
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  CUSTOMER_CANCELLABLE_STATUSES,
+  getAllowedTransitions,
+  canTransition,
+  getReturnedAmount,
+  transitionOrder
+}
@@ -0,0 +1,322 @@
+import { Op } from 'sequelize'
+import { sequelize } from '../config/db.js'
+import Order from '../models/Order.js'
+import Cart from '../models/Cart.js'
+import User from '../models/User.js'
+import CouponUsage from '../models/CouponUsage.js'
+import PaymentSession from '../models/PaymentSession.js'
+import { reserveStock } from './inventoryService.js'
+import { calculateOrderPricing, assertClientPricing, PRICE_TOLERANCE } from './pricingService.js'
+import { awardOrderCoins, commitCoinHold } from './coinService.js'
+import { sendOrderConfirmationEmail } from './emailService.js'
+import { sendOrderSms } from './smsService.js'
+import { getGuestContact } from './guestCheckoutService.js'
+import { transitionOrder } from './orderLifecycleService.js'
+
+/**
+ * Order Service for turning a customer's or guest's cart into an order
+ * Used by POST /api/orders (browser returns after payment) and by the Razorpay
+ * webhook (browser never returned), so both paths produce the same order.
+ * Guest orders have no userId; they keep the guest's contact details and token hash
+ * (see services/guestCheckoutService.js).
+ * An online order created before its payment is captured waits in Pending Payment with its
+ * stock reserved. The worker cancels it after PENDING_PAYMENT_TTL_MINUTES (default 60), which
+ * puts the stock back.
+ */
+
+export const PENDING_PAYMENT_TTL_MINUTES = parseInt(process.env.PENDING_PAYMENT_TTL_MINUTES || '60')
+
+const orderError = (message, statusCode = 400) => {
+  const error = new Error(message)
+  error.name = 'OrderError'
+  error.statusCode = statusCode
+  return error
+}
+
+/**
+ * Find the order paid through a Razorpay order
+ * @param {string} razorpayOrderId - Razorpay order ID (order_xxx)
+ * @param {Object} options
+ * @param {Object} options.transaction - Sequelize transaction (optional)
+ * @returns {Promise<Object|null>}
+ */
+export const findOrderByRazorpayOrderId = (razorpayOrderId, { transaction } = {}) =>
+  Order.findOne({ where: { payment: { razorpayOrderId } }, transaction })
+
+/**
+ * Create an order from the customer's or guest's cart
+ * When payment.razorpayOrderId is set the call is idempotent: a second call for the
+ * same Razorpay order returns the order created by the first one.
+ * @param {string|null} userId - Customer ID, or null for a guest (pass options.guestTokenHash)
+ * @param {Object} checkout - Checkout payload (shippingAddress, payment, shippingMethod,
+ *                            couponCode, discountCode, coinsRedeemed). The browser's discount,
+ *                            discountDiscount and coinDiscount are only compared with the server's.
+ *                            payment.method 'cod' places a Cash on Delivery order awaiting confirmation.
+ *                            A guest's shippingAddress must include an email and mobile.
+ * @param {Object} options
+ * @param {string} options.note - statusHistory note for the first entry (optional)
+ * @param {string} options.guestTokenHash - Hash of the guest's token, whose cart is ordered (guests only)
+ * @param {boolean} options.paymentVerified - The caller checked payment.razorpayPaymentId with Razorpay
+ *                                           (signature and payment lookup, or a captured webhook) and
+ *                                           set payment.amountPaid from it. Without it the order waits
+ *                                           for payment, whatever payment details the browser sent.
+ * @returns {Promise<{ order: Object, created: boolean }>}
+ */
+export const createOrderFromCart = async (userId, checkout, { note, guestTokenHash, paymentVerified = false } = {}) => {
+  const { shippingAddress, shippingMethod, couponCode, discountCode, discount, discountDiscount, coinDiscount, coinsRedeemed } = checkout
+  const isGuest = !userId
+  if (isGuest && !guestTokenHash) {
+    throw orderError('Cart is empty')
+  }
+  let guestContact = null
+  if (isGuest) {
+    try {
+      guestContact = getGuestContact(shippingAddress)
+    } catch (error) {
+      throw orderError(error.message)
+    }
+  }
+  const isCod = checkout.payment?.method === 'cod'
+  // A COD order carries no online payment details, whatever the browser sent; an unverified
+  // online payment keeps only its Razorpay order, so the webhook can confirm it later
+  let payment = isCod ? { method: 'cod' } : { ...(checkout.payment || {}) }
+  if (!isCod && !paymentVerified) {
+    const { razorpayPaymentId, razorpaySignature, amountPaid, ...unverified } = payment
+    payment = unverified
+  }
+  const isPaid = Boolean(paymentVerified && payment.razorpayPaymentId)
+
+  const result = await sequelize.transaction(async (transaction) => {
+    // Serialise the browser callback and the webhook for the same Razorpay order
+    if (payment.razorpayOrderId) {
+      await sequelize.query('SELECT pg_advisory_xact_lock(hashtext(:key))', {
+        replacements: { key: payment.razorpayOrderId },
+        transaction
+      })
+
+      const existing = await findOrderByRazorpayOrderId(payment.razorpayOrderId, { transaction })
+      if (existing) {
+        const sameOwner = isGuest
+          ? !existing.userId && existing.guestTokenHash === guestTokenHash
+          : existing.userId === userId
+        if (!sameOwner) {
+          throw orderError('This payment is already linked to another order', 409)
+        }
+        return { order: existing, created: false }
+      }
+    }
+
+    // Get the customer's or guest's cart
+    const cart = await Cart.findOne({
+      where: isGuest ? { guestTokenHash } : { userId },
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    })
+    if (!cart || !cart.items || cart.items.length === 0) {
+      throw orderError('Cart is empty')
+    }
+
+    // Generate order ID and tracking
+    const orderId = `ORD-${Date.now()}-${Math.random().toString(36).substr(2, 6).toUpperCase()}`
+    const tracking = `TRACK${Date.now()}${Math.random().toString(36).substr(2, 6).toUpperCase()}`
+
+    // Recompute every amount from the database; the browser's figures are only checked, never used
+    const pricing = await calculateOrderPricing({
+      userId,
+      isGuest,
+      items: cart.items,
+      shippingMethod,
+      pinCode: shippingAddress?.zipCode,
+      shippingState: shippingAddress?.state,
+      couponCode,
+      discountCode,
+      coinsRedeemed,
+      paymentMethod: payment.method,
+      transaction
+    })
+    assertClientPricing(pricing, { discount, discountDiscount, coinDiscount })
+
+    const { coupon, appliedDiscount } = pricing
+    if (isPaid && payment.amountPaid !== undefined && payment.amountPaid + PRICE_TOLERANCE < pricing.total) {
+      throw orderError(`Amount paid (₹${payment.amountPaid}) does not cover the order total (₹${pricing.total})`)
+    }
+
+    // Take stock and write the order atomically so a failed step leaves nothing half-written
+    await reserveStock(cart.items, { orderId, transaction })
+
+    // COD orders wait for the team to confirm them before they are packed
+    const status = isPaid ? 'Confirmed' : (isCod ? 'Pending Confirmation' : 'Pending Payment')
+    const statusNote = isPaid
+      ? 'Order placed and payment received'
+      : (isCod ? 'Order placed with Cash on Delivery, awaiting confirmation' : 'Order placed, awaiting payment')
+    const order = await Order.create({
+      orderId,
+      userId,
+      ...(isGuest && {
+        guestEmail: guestContact.email,
+        guestMobile: guestContact.mobile,
+        guestTokenHash
+      }),
+      items: cart.items.map(item => ({
+        product: item.product,
+        name: item.name,
+        image: item.image,
+        price: item.price,
+        quantity: item.quantity,
+        size: item.size,
+        color: item.color,
+        variantId: item.variantId || null,
+        sku: item.sku || null
+      })),
+      shippingAddress,
+      payment: {
+        ...payment,
+        status: isPaid ? 'paid' : 'pending',
+        ...(isCod && { amountDue: pricing.total })
+      },
+      subtotal: pricing.subtotal,
+      discount: pricing.discount,
+      shippingCost: pricing.shippingCost,
+      shippingMethod: pricing.shippingMethod,
+      codFee: pricing.codFee,
+      tax: pricing.tax,
+      taxBreakdown: pricing.taxBreakdown,
+      total: pricing.total,
+      tracking,
+      couponCode: coupon ? coupon.code : null,
+      discountCode: appliedDiscount ? appliedDiscount.code : null,
+      coinsRedeemed: pricing.coinDiscount > 0 ? coinsRedeemed : 0,
+      coinDiscount: pricing.coinDiscount,
+      status,
+      statusHistory: [{
+        status,
+        date: new Date(),
+        note: note || statusNote,
+        actor: { type: 'customer', id: userId, name: isGuest ? 'Guest' : null }
+      }]
+    }, { transaction })
+
+    // Spend the coins with the order: commit the coins held when the payment was opened,
+    // or take them now (Cash on Delivery); no order, no spend
+    if (pricing.coinDiscount > 0) {
+      try {
+        await commitCoinHold({
+          userId,
+          amount: parseInt(coinsRedeemed),
+          orderId: order.orderId,
+          reference: payment.razorpayOrderId
+        }, { transaction })
+      } catch (error) {
+        if (error.name === 'CoinError') {
+          throw orderError(error.message)
+        }
+        throw error
+      }
+    }
+
+    // Record coupon usage if coupon was used
+    if (coupon) {
+      await CouponUsage.create({
+        couponId: coupon.id,
+        userId,
+        orderId: order.orderId
+      }, { transaction })
+
+      // Increment coupon used count
+      coupon.used = (coupon.used || 0) + 1
+      await coupon.save({ transaction })
+    }
+
+    // Record discount usage if discount was used
+    if (appliedDiscount) {
+      appliedDiscount.used = (appliedDiscount.used || 0) + 1
+      await appliedDiscount.save({ transaction })
+    }
+
+    // Clear cart
+    cart.items = []
+    await cart.save({ transaction })
+
+    // Link the checkout's payment session to the order
+    if (payment.razorpayOrderId) {
+      await PaymentSession.update(
+        {
+          status: isPaid ? 'paid' : 'created',
+          orderId: order.orderId,
+          razorpayPaymentId: payment.razorpayPaymentId || null
+        },
+        { where: { razorpayOrderId: payment.razorpayOrderId }, transaction }
+      )
+    }
+
+    return { order, created: true }
+  })
+
+  if (!result.created) {
+    return result
+  }
+
+  const { order } = result
+
+  if (userId && isPaid && parseFloat(order.total) > 0) {
+    await awardOrderCoins(order, userId)
+  }
+
+  // Send order confirmation email and SMS (non-blocking)
+  try {
+    const user = isGuest ? null : await User.findByPk(userId)
+    if (isGuest) {
+      await sendOrderConfirmationEmail(order, { name: shippingAddress?.name, ...guestContact })
+    } else if (user && (user.email || shippingAddress?.email)) {
+      await sendOrderConfirmationEmail(order, { ...user.toJSON(), email: user.email || shippingAddress?.email })
+    }
+    // Order SMS follow the account's notification preferences, so guests get the email only
+    await sendOrderSms('order_placed', order, user)
+  } catch (emailError) {
+    // Don't fail order creation if email fails
+    console.error('Error sending order confirmation email:', emailError)
+  }
+
+  return result
+}
+
+/**
+ * Cancel orders that have waited for online payment longer than PENDING_PAYMENT_TTL_MINUTES
+ * Cancelling goes through the order lifecycle, so reserved stock, coins and coupon uses are released.
+ * @param {Object} options
+ * @param {number} options.olderThanMinutes - (default PENDING_PAYMENT_TTL_MINUTES)
+ * @returns {Promise<number>} - Orders cancelled
+ */
+export const cancelStalePendingPayments = async ({ olderThanMinutes = PENDING_PAYMENT_TTL_MINUTES } = {}) => {
+  const orders = await Order.findAll({
+    where: {
+      status: 'Pending Payment',
+      createdAt: { [Op.lt]: new Date(Date.now() - olderThanMinutes * 60 * 1000) }
+    },
+    order: [['createdAt', 'ASC']],
+    limit: 100
+  })
+
+  let cancelled = 0
+  for (const order of orders) {
+    try {
+      await transitionOrder(order, 'Cancelled', {
+        note: `Payment not received within ${olderThanMinutes} minutes`
+      })
+      cancelled += 1
+    } catch (error) {
+      // The payment was captured (or the order changed) since it was read
+      if (error.name !== 'OrderStatusError') {
+        console.error(`Error cancelling unpaid order ${order.orderId}:`, error)
+      }
+    }
+  }
+  return cancelled
+}
+
+export default {
+  PENDING_PAYMENT_TTL_MINUTES,
+  findOrderByRazorpayOrderId,
+  createOrderFromCart,
+  cancelStalePendingPayments
+}
@@ -0,0 +1,165 @@
+import crypto from 'crypto'
+import { Op } from 'sequelize'
+import OtpCode from '../models/OtpCode.js'
+import { deliverSms } from './smsService.js'
+import { getStoreName } from './emailTemplateService.js'
+
+/**
+ * OTP Service for one-time codes sent to a customer's mobile
+ * Codes sign existing customers in without a password ('login'), prove a new customer owns
+ * their mobile number ('signup') and let a guest look up an order placed with that number
+ * ('order_lookup'). Each code is stored as an HMAC keyed with OTP_SECRET (or
+ * JWT_SECRET), so a leaked table cannot be brute-forced offline.
+ * - A code expires after OTP_TTL_MINUTES (default 10) and allows OTP_MAX_ATTEMPTS wrong
+ *   guesses (default 5); requesting a new code retires the previous one.
+ * - A number can request a code once every OTP_RESEND_SECONDS (default 30) and at most
+ *   OTP_MAX_PER_HOUR times an hour (default 5).
+ * - Codes are sent at once through the SMS provider, not the message queue, so they are not
+ *   delayed by the worker or kept in the message log. With SMS_PROVIDER=console or file the
+ *   code is printed or written to logs/sms.log; tests can swap in a fake with setSmsProvider().
+ */
+
+export const OTP_PURPOSES = ['login', 'signup', 'order_lookup']
+
+const OTP_LENGTH = 6
+const OTP_TTL_MINUTES = parseInt(process.env.OTP_TTL_MINUTES || '10')
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS || '5')
+const OTP_RESEND_SECONDS = parseInt(process.env.OTP_RESEND_SECONDS || '30')
+const OTP_MAX_PER_HOUR = parseInt(process.env.OTP_MAX_PER_HOUR || '5')
+
+const otpError = (message, statusCode = 400) => {
+  const error = new Error(message)
+  error.name = 'OtpError'
+  error.statusCode = statusCode
+  return error
+}
+
+const getOtpSecret = () => {
+  const secret = process.env.OTP_SECRET || process.env.JWT_SECRET
+  if (!secret || secret.trim() === '') {
+    const error = new Error('OTP_SECRET or JWT_SECRET must be set to send one-time codes.')
+    error.name = 'ConfigurationError'
+    throw error
+  }
+  return secret
+}
+
+const hashCode = (mobile, purpose, code) =>
+  crypto.createHmac('sha256', getOtpSecret()).update(`${purpose}:${mobile}:${code}`).digest('hex')
+
+export const isValidMobile = (mobile) => /^[0-9]{10}$/.test(String(mobile || ''))
+
+/**
+ * Send a new one-time code to a mobile number
+ * The caller decides whether the number may have a code (e.g. that an account exists for login).
+ * @param {string} mobile - 10-digit mobile number
+ * @param {string} purpose - One of OTP_PURPOSES
+ * @returns {Promise<Object>} - { expiresAt, resendAfter } (seconds until another code can be requested)
+ * @throws {OtpError} - 400 for a bad number, 429 when codes are requested too often, 502 when
+ *                      the SMS could not be sent
+ */
+export const requestOtp = async (mobile, purpose) => {
+  if (!isValidMobile(mobile)) {
+    throw otpError('Please enter a valid 10-digit mobile number')
+  }
+  if (!OTP_PURPOSES.includes(purpose)) {
+    throw otpError('Invalid verification purpose')
+  }
+
+  const now = Date.now()
+  const recent = await OtpCode.findAll({
+    where: { mobile, createdAt: { [Op.gt]: new Date(now - 60 * 60 * 1000) } },
+    attributes: ['createdAt'],
+    order: [['createdAt', 'DESC']]
+  })
+  if (recent.length > 0) {
+    const waitSeconds = Math.ceil((recent[0].createdAt.getTime() + OTP_RESEND_SECONDS * 1000 - now) / 1000)
+    if (waitSeconds > 0) {
+      throw otpError(`Please wait ${waitSeconds} seconds before requesting another code`, 429)
+    }
+  }
+  if (recent.length >= OTP_MAX_PER_HOUR) {
+    throw otpError('Too many codes requested for this number. Please try again later.', 429)
+  }
+
+  // Only the newest code for a number and purpose works
+  await OtpCode.update(
+    { expiresAt: new Date(now) },
+    { where: { mobile, purpose, consumedAt: null, expiresAt: { [Op.gt]: new Date(now) } } }
+  )
+
+  const code = crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, '0')
+  const otp = await OtpCode.create({
+    mobile,
+    purpose,
+    codeHash: hashCode(mobile, purpose, code),
+    expiresAt: new Date(now + OTP_TTL_MINUTES * 60 * 1000)
+  })
+
+  try {
+    const storeName = await getStoreName()
+    await deliverSms({
+      to: mobile,
+      body: `${code} is your ${storeName} verification code. It expires in ${OTP_TTL_MINUTES} minutes. Do not share it with anyone.`
+    })
+  } catch (error) {
+    console.error('OTP delivery error:', error)
+    await otp.update({ expiresAt: new Date() })
+    throw otpError('We could not send the code. Please try again.', 502)
+  }
+
+  return { expiresAt: otp.expiresAt, resendAfter: OTP_RESEND_SECONDS }
+}
+
+/**
+ * Check a one-time code and use it up
+ * @param {string} mobile - 10-digit mobile number
+ * @param {string} purpose - One of OTP_PURPOSES
+ * @param {string} code - Code the customer entered
+ * @returns {Promise<void>}
+ * @throws {OtpError} - 400 when the code is wrong or expired, 429 after too many wrong guesses
+ */
+export const verifyOtp = async (mobile, purpose, code) => {
+  const entered = String(code || '').trim()
+  if (!isValidMobile(mobile) || !/^[0-9]+$/.test(entered)) {
+    throw otpError('Please enter the code we sent to your mobile')
+  }
+
+  const otp = await OtpCode.findOne({
+    where: { mobile, purpose, consumedAt: null },
+    order: [['createdAt', 'DESC']]
+  })
+  if (!otp || otp.expiresAt.getTime() <= Date.now()) {
+    throw otpError('This code has expired. Please request a new one.')
+  }
+  if (otp.attempts >= OTP_MAX_ATTEMPTS) {
+    throw otpError('Too many incorrect attempts. Please request a new code.', 429)
+  }
+
+  const expected = Buffer.from(otp.codeHash, 'hex')
+  const actual = Buffer.from(hashCode(mobile, purpose, entered), 'hex')
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    const remaining = OTP_MAX_ATTEMPTS - otp.attempts - 1
+    await otp.increment('attempts')
+    throw otpError(remaining > 0
+      ? `Incorrect code. ${remaining} attempt${remaining === 1 ? '' : 's'} left.`
+      : 'Too many incorrect attempts. Please request a new code.',
+    remaining > 0 ? 400 : 429)
+  }
+
+  // Mark used only if no concurrent request got there first
+  const [used] = await OtpCode.update(
+    { consumedAt: new Date() },
+    { where: { id: otp.id, consumedAt: null } }
+  )
+  if (used === 0) {
+    throw otpError('This code has already been used. Please request a new one.')
+  }
+}
+
+export default {
+  OTP_PURPOSES,
+  isValidMobile,
+  requestOtp,
+  verifyOtp
+}
@@ -0,0 +1,442 @@
+import Coupon from '../models/Coupon.js'
+import CouponUsage from '../models/CouponUsage.js'
+import Discount from '../models/Discount.js'
+import Setting from '../models/Setting.js'
+import { quoteShipping } from './shippingService.js'
+import { calculateOrderTax } from './taxService.js'
+import { assertCodEligible } from './codService.js'
+
+/**
+ * Pricing Service for coupon, discount and coin amounts
+ * The checkout page shows these amounts, but the order total is always worked out
+ * here from the database records, so a tampered request cannot claim a bigger discount.
+ */
+
+// Rounding slack (₹) between client-side and server-side amounts
+export const PRICE_TOLERANCE = 1
+
+const DEFAULT_COIN_RULES = {
+  earning: { type: 'flat', threshold: 5000, coins: 10 },
+  redemption: { coins: 50, discountPercent: 5 },
+  expiry: { days: 365 }
+}
+
+const pricingError = (message, statusCode = 400, details) => {
+  const error = new Error(message)
+  error.name = 'PricingError'
+  error.statusCode = statusCode
+  if (details) error.details = details
+  return error
+}
+
+const roundMoney = (value) => Math.round(value * 100) / 100
+
+const itemPrice = (item) => parseFloat(item.product?.price || item.price || 0)
+
+/**
+ * Calculate the cart subtotal
+ * @param {Array} items - Cart items ({ price, quantity })
+ * @returns {number}
+ */
+export const calculateSubtotal = (items = []) =>
+  roundMoney(items.reduce((sum, item) => sum + (itemPrice(item) * (item.quantity || 1)), 0))
+
+/**
+ * Calculate the coupon amount for a subtotal
+ * @param {Object} coupon - Coupon record
+ * @param {number} subtotal
+ * @param {number} shippingCost - Waived by free_shipping coupons
+ * @returns {number}
+ */
+export const calculateCouponAmount = (coupon, subtotal, shippingCost = 0) => {
+  const value = parseFloat(coupon.discount || 0)
+
+  if (coupon.type === 'percentage') {
+    let amount = (subtotal * value) / 100
+    if (coupon.maxDiscount && amount > parseFloat(coupon.maxDiscount)) {
+      amount = parseFloat(coupon.maxDiscount)
+    }
+    return roundMoney(amount)
+  }
+  if (coupon.type === 'fixed') {
+    return roundMoney(Math.min(value, subtotal))
+  }
+  if (coupon.type === 'free_shipping') {
+    return roundMoney(shippingCost)
+  }
+  return 0
+}
+
+/**
+ * Find an active coupon and check it can be used
+ * @param {string} code - Coupon code
+ * @param {Object} options
+ * @param {number} options.subtotal - Checked against minPurchase (optional)
+ * @param {string} options.userId - Checked against per-user limits (optional)
+ * @param {boolean} options.isGuest - Guest checkout: coupons limited per account need an account (optional)
+ * @param {Object} options.transaction - Sequelize transaction (optional)
+ * @returns {Promise<Object>} - Coupon record
+ */
+export const validateCoupon = async (code, { subtotal, userId, isGuest, transaction } = {}) => {
+  const coupon = await Coupon.findOne({
+    where: {
+      code: code.toUpperCase(),
+      status: 'active'
+    },
+    transaction
+  })
+
+  if (!coupon) {
+    throw pricingError('Invalid coupon code', 404)
+  }
+
+  const now = new Date()
+  if (coupon.validFrom > now || coupon.validUntil < now) {
+    throw pricingError('Coupon has expired')
+  }
+
+  // Per-account limits cannot be counted for a guest
+  if (isGuest && (coupon.usageLimit || coupon.userUsageLimit === 'once')) {
+    throw pricingError('Please sign in to use this coupon')
+  }
+
+  // Check per-user usage limit if user is authenticated
+  if (userId && (coupon.usageLimit || coupon.userUsageLimit === 'once')) {
+    const userUsageCount = await CouponUsage.count({
+      where: {
+        couponId: coupon.id,
+        userId
+      },
+      transaction
+    })
+
+    if (coupon.userUsageLimit === 'once' && userUsageCount > 0) {
+      throw pricingError('You have already used this coupon')
+    }
+    if (coupon.usageLimit && userUsageCount >= coupon.usageLimit) {
+      throw pricingError(`You have reached the usage limit for this coupon. You can use it ${coupon.usageLimit} time${coupon.usageLimit > 1 ? 's' : ''} per account.`)
+    }
+  }
+
+  if (subtotal !== undefined && subtotal !== null && subtotal < parseFloat(coupon.minPurchase || 0)) {
+    throw pricingError(`Minimum purchase of ₹${coupon.minPurchase} required`)
+  }
+
+  return coupon
+}
+
+// Work out the amount of a custom discount from its instruction text
+const parseDiscountInstruction = (instruction, cartItems, orderTotal) => {
+  if (!instruction || !cartItems || cartItems.length === 0) {
+    return 0
+  }
+
+  const instructionLower = instruction.toLowerCase()
+
+  // Buy X Get Y Free pattern
+  const buyXGetYMatch = instructionLower.match(/buy\s+(\d+)\s+get\s+(\d+)\s+free/i)
+  if (buyXGetYMatch) {
+    const buyCount = parseInt(buyXGetYMatch[1])
+    const freeCount = parseInt(buyXGetYMatch[2])
+    const minItems = buyCount + freeCount
+
+    // Check if cart has minimum items
+    const totalQuantity = cartItems.reduce((sum, item) => sum + (item.quantity || 1), 0)
+    if (totalQuantity < minItems) {
+      return 0
+    }
+
+    // Sort items by price (lowest first) and make the cheapest ones free
+    const sortedItems = [...cartItems].sort((a, b) => itemPrice(a) - itemPrice(b))
+
+    let discount = 0
+    let itemsToMakeFree = freeCount
+
+    for (const item of sortedItems) {
+      if (itemsToMakeFree <= 0) break
+
+      const freeFromThisItem = Math.min(itemsToMakeFree, item.quantity || 1)
+      discount += itemPrice(item) * freeFromThisItem
+      itemsToMakeFree -= freeFromThisItem
+    }
+
+    return discount
+  }
+
+  // Percentage off pattern
+  const percentMatch = instructionLower.match(/(\d+(?:\.\d+)?)\s*%\s*(?:off|discount)/i)
+  if (percentMatch) {
+    const percent = parseFloat(percentMatch[1])
+    return (orderTotal * percent) / 100
+  }
+
+  // Fixed amount off pattern
+  const fixedMatch = instructionLower.match(/₹?\s*(\d+(?:\.\d+)?)\s*(?:off|discount)/i)
+  if (fixedMatch) {
+    const amount = parseFloat(fixedMatch[1])
+    return Math.min(amount, orderTotal)
+  }
+
+  // Default: return 0 if instruction doesn't match known patterns
+  return 0
+}
+
+/**
+ * Calculate the discount amount for a subtotal
+ * @param {Object} discount - Discount record
+ * @param {number} subtotal
+ * @param {Array} cartItems - Needed by custom (instruction) discounts
+ * @returns {number}
+ */
+export const calculateDiscountAmount = (discount, subtotal, cartItems = []) => {
+  let amount = 0
+
+  if (discount.type === 'percentage') {
+    amount = (subtotal * parseFloat(discount.value)) / 100
+    if (discount.maxDiscount && amount > parseFloat(discount.maxDiscount)) {
+      amount = parseFloat(discount.maxDiscount)
+    }
+  } else if (discount.type === 'fixed') {
+    amount = Math.min(parseFloat(discount.value), subtotal)
+  } else if (discount.type === 'custom' && discount.instruction) {
+    amount = parseDiscountInstruction(discount.instruction, cartItems, subtotal)
+  }
+
+  return roundMoney(Math.min(amount, subtotal))
+}
+
+/**
+ * Find an active discount and check it can be used
+ * @param {string} code - Discount code
+ * @param {Object} options
+ * @param {number} options.subtotal - Checked against minOrder (optional)
+ * @param {Object} options.transaction - Sequelize transaction (optional)
+ * @returns {Promise<Object>} - Discount record
+ */
+export const validateDiscount = async (code, { subtotal, transaction } = {}) => {
+  const discount = await Discount.findOne({
+    where: {
+      code: code.toUpperCase(),
+      status: 'active'
+    },
+    transaction
+  })
+
+  if (!discount) {
+    throw pricingError('Invalid discount code', 404)
+  }
+
+  const now = new Date()
+  if (discount.startDate > now || discount.endDate < now) {
+    throw pricingError('Discount has expired')
+  }
+
+  // Check global usage limit
+  if (discount.usageLimit && discount.used >= discount.usageLimit) {
+    throw pricingError('Discount usage limit reached')
+  }
+
+  if (subtotal !== undefined && subtotal !== null && subtotal < parseFloat(discount.minOrder || 0)) {
+    throw pricingError(`Minimum purchase of ₹${discount.minOrder} required`)
+  }
+
+  return discount
+}
+
+/**
+ * Get the coin earning, redemption and expiry rules from settings
+ * @returns {Promise<Object>} - { earning: { type, threshold, coins, percent, maxCoins, tiers },
+ *                                redemption: { coins, discountPercent }, expiry: { days } (0 = never) }
+ */
+export const getCoinRules = async () => {
+  try {
+    const earningRule = await Setting.findOne({ where: { key: 'coin_earning_rule' } })
+    const redemptionRule = await Setting.findOne({ where: { key: 'coin_redemption_rule' } })
+    const expiryRule = await Setting.findOne({ where: { key: 'coin_expiry_rule' } })
+
+    const earning = earningRule ? JSON.parse(earningRule.value) : DEFAULT_COIN_RULES.earning
+    return {
+      // Rules saved before earning types existed are flat rules
+      earning: { type: 'flat', ...earning },
+      redemption: redemptionRule ? JSON.parse(redemptionRule.value) : DEFAULT_COIN_RULES.redemption,
+      expiry: expiryRule ? JSON.parse(expiryRule.value) : DEFAULT_COIN_RULES.expiry
+    }
+  } catch (error) {
+    console.error('Error getting coin rules:', error)
+    return DEFAULT_COIN_RULES
+  }
+}
+
+/**
+ * Calculate the discount for redeeming coins
+ * Coins count in whole blocks of redemption.coins; each block takes discountPercent off the subtotal.
+ * @param {number} coinsToRedeem
+ * @param {number} subtotal
+ * @param {Object} redemptionRule - { coins, discountPercent }
+ * @returns {Object} - { discountAmount, discountPercent, coinsRemaining }
+ */
+export const calculateCoinAmount = (coinsToRedeem, subtotal, redemptionRule) => {
+  const { coins: requiredCoins, discountPercent } = redemptionRule
+  if (!coinsToRedeem || coinsToRedeem <= 0 || !requiredCoins) {
+    return { discountAmount: 0, discountPercent: 0, coinsRemaining: coinsToRedeem || 0 }
+  }
+
+  const discountUnits = Math.floor(coinsToRedeem / requiredCoins)
+  const percent = Math.min(discountPercent * discountUnits, 100)
+
+  return {
+    discountAmount: roundMoney((subtotal * percent) / 100),
+    discountPercent: percent,
+    coinsRemaining: coinsToRedeem % requiredCoins
+  }
+}
+
+/**
+ * Price an order from its cart items and the codes/coins the customer applied
+ * @param {Object} params
+ * @param {string} params.userId - Customer ID (for coupon limits)
+ * @param {boolean} params.isGuest - Guest checkout: no coins, and no coupons limited per account (optional)
+ * @param {Array} params.items - Cart items
+ * @param {string} params.shippingMethod
+ * @param {string} params.pinCode - Delivery PIN code (selects the shipping zone)
+ * @param {string} params.shippingState - Delivery state (decides CGST + SGST or IGST)
+ * @param {string} params.couponCode - (optional)
+ * @param {string} params.discountCode - (optional)
+ * @param {number} params.coinsRedeemed - (optional)
+ * @param {string} params.paymentMethod - 'cod' checks COD eligibility and adds the COD fee (optional)
+ * @param {Object} params.transaction - Sequelize transaction (optional)
+ * @returns {Promise<Object>} - { subtotal, shippingCost, shippingMethod, couponDiscount, discountDiscount,
+ *                                coinDiscount, discount, codFee, tax, taxBreakdown, total, coupon, appliedDiscount }
+ */
+export const calculateOrderPricing = async ({ userId, isGuest, items, shippingMethod, pinCode, shippingState, couponCode, discountCode, coinsRedeemed, paymentMethod, transaction }) => {
+  const subtotal = calculateSubtotal(items)
+  const shipping = await quoteShipping({ pinCode, items, subtotal, method: shippingMethod, transaction })
+  const shippingCost = shipping.cost
+
+  const coupon = couponCode
+    ? await validateCoupon(couponCode, { subtotal, userId, isGuest, transaction })
+    : null
+  const appliedDiscount = discountCode
+    ? await validateDiscount(discountCode, { subtotal, transaction })
+    : null
+
+  const couponDiscount = coupon ? calculateCouponAmount(coupon, subtotal, shippingCost) : 0
+  const discountDiscount = appliedDiscount ? calculateDiscountAmount(appliedDiscount, subtotal, items) : 0
+
+  let coinDiscount = 0
+  if (coinsRedeemed > 0 && isGuest) {
+    throw pricingError('Please sign in to redeem coins')
+  }
+  if (coinsRedeemed > 0) {
+    const { redemption } = await getCoinRules()
+    coinDiscount = calculateCoinAmount(coinsRedeemed, subtotal, redemption).discountAmount
+  }
+
+  // A free-shipping coupon waives shipping; every other reduction comes off the goods,
+  // and the goods can never go below zero
+  const shippingDiscount = coupon?.type === 'free_shipping' ? couponDiscount : 0
+  const goodsDiscount = roundMoney(Math.min(couponDiscount - shippingDiscount + discountDiscount + coinDiscount, subtotal))
+  const discount = roundMoney(goodsDiscount + shippingDiscount)
+  const taxParams = {
+    items,
+    goodsDiscount,
+    shippingCost: roundMoney(shippingCost - shippingDiscount),
+    shippingState,
+    transaction
+  }
+  let taxBreakdown = await calculateOrderTax(taxParams)
+
+  // COD limits apply to the order value before the COD fee; the fee itself is taxed like shipping
+  let codFee = 0
+  if (paymentMethod === 'cod') {
+    codFee = await assertCodEligible({
+      orderValue: roundMoney(subtotal - discount + shippingCost + taxBreakdown.totals.tax),
+      pinCode,
+      transaction
+    })
+    if (codFee > 0) {
+      taxBreakdown = await calculateOrderTax({ ...taxParams, codFee })
+    }
+  }
+
+  const tax = taxBreakdown.totals.tax
+  const total = roundMoney(subtotal - discount + shippingCost + codFee + tax)
+
+  return {
+    subtotal,
+    shippingCost,
+    shippingMethod: shipping.method,
+    couponDiscount,
+    discountDiscount,
+    coinDiscount,
+    discount,
+    codFee,
+    tax,
+    taxBreakdown,
+    total,
+    coupon,
+    appliedDiscount
+  }
+}
+
+/**
+ * Reject checkouts whose client-side discounts are bigger than the server allows
+ * Smaller client-side amounts are fine - the order is simply stored with the server's figures.
+ * @param {Object} pricing - Result of calculateOrderPricing
+ * @param {Object} claimed - { discount, discountDiscount, coinDiscount } as sent by the browser
+ */
+export const assertClientPricing = (pricing, { discount, discountDiscount, coinDiscount } = {}) => {
+  const checks = [
+    ['couponDiscount', discount],
+    ['discountDiscount', discountDiscount],
+    ['coinDiscount', coinDiscount]
+  ]
+
+  const mismatches = checks
+    .filter(([field, claimed]) => claimed !== undefined && claimed !== null &&
+      parseFloat(claimed) > pricing[field] + PRICE_TOLERANCE)
+    .map(([field, claimed]) => ({ field, claimed: parseFloat(claimed), allowed: pricing[field] }))
+
+  if (mismatches.length > 0) {
+    throw pricingError('The discounts on your order have changed. Please review your order and try again.', 400, {
+      mismatches,
+      pricing: summarizePricing(pricing)
+    })
+  }
+}
+
+/**
+ * Amount fields of a pricing result, safe to send to the browser
+ * @param {Object} pricing - Result of calculateOrderPricing
+ * @returns {Object}
+ */
+export const summarizePricing = ({ subtotal, shippingCost, shippingMethod, couponDiscount, discountDiscount, coinDiscount, discount, codFee, tax, taxBreakdown, total }) => ({
+  subtotal,
+  shippingCost,
+  shippingMethod,
+  couponDiscount,
+  discountDiscount,
+  coinDiscount,
+  discount,
+  codFee,
+  tax,
+  taxBreakdown: taxBreakdown && {
+    supplyType: taxBreakdown.supplyType,
+    totals: taxBreakdown.totals
+  },
+  total
+})
+
+export default {
+  PRICE_TOLERANCE,
+  calculateSubtotal,
+  calculateCouponAmount,
+  validateCoupon,
+  calculateDiscountAmount,
+  validateDiscount,
+  getCoinRules,
+  calculateCoinAmount,
+  calculateOrderPricing,
+  assertClientPricing,
+  summarizePricing
+}
@@ -0,0 +1,150 @@
+import crypto from 'crypto'
+import { Op } from 'sequelize'
+import { sequelize } from '../config/db.js'
+import RateLimitBucket from '../models/RateLimitBucket.js'
+import Setting from '../models/Setting.js'
+
+/**
+ * Rate Limit Service for public endpoints that can be used to guess passwords or codes
+ * Each limited endpoint counts requests per IP and, where the request names one, per account
+ * (email, mobile, customer or order) in a fixed window. Limits come from the rate_limits setting
+ * (Admin Settings → Security), merged over DEFAULT_RATE_LIMITS; a max of 0 turns that bucket off.
+ * Configure the counter store using environment variables:
+ * - RATE_LIMIT_STORE: 'memory' (default, per server process) or 'postgres' (shared by every
+ *   server process; needs the rate_limit_buckets table from npm run migrate-login-lockout)
+ * Settings are re-read at most once every SETTINGS_CACHE_MS, so changes apply within a minute.
+ */
+
+export const DEFAULT_RATE_LIMITS = {
+  login: { windowMinutes: 15, maxPerIp: 30, maxPerAccount: 10 },
+  adminLogin: { windowMinutes: 15, maxPerIp: 10, maxPerAccount: 5 },
+  forgotPassword: { windowMinutes: 60, maxPerIp: 10, maxPerAccount: 3 },
+  couponValidate: { windowMinutes: 15, maxPerIp: 30, maxPerAccount: 20 },
+  contact: { windowMinutes: 60, maxPerIp: 5, maxPerAccount: 3 },
+  orderLookup: { windowMinutes: 15, maxPerIp: 20, maxPerAccount: 10 },
+  otpRequest: { windowMinutes: 60, maxPerIp: 10, maxPerAccount: 5 },
+  otpVerify: { windowMinutes: 15, maxPerIp: 30, maxPerAccount: 10 }
+}
+
+const SETTINGS_CACHE_MS = 60 * 1000
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000
+
+const hashValue = (value) => crypto.createHash('sha256').update(String(value)).digest('hex').slice(0, 40)
+
+const memoryStore = () => {
+  const buckets = new Map()
+  let lastPrune = Date.now()
+
+  return {
+    name: 'memory',
+    hit: async (key, windowMs) => {
+      const now = Date.now()
+      if (now - lastPrune > PRUNE_INTERVAL_MS) {
+        lastPrune = now
+        buckets.forEach((bucket, bucketKey) => {
+          if (bucket.resetAt <= now) buckets.delete(bucketKey)
+        })
+      }
+
+      let bucket = buckets.get(key)
+      if (!bucket || bucket.resetAt <= now) {
+        bucket = { count: 0, resetAt: now + windowMs }
+        buckets.set(key, bucket)
+      }
+      bucket.count += 1
+      return { count: bucket.count, resetAt: new Date(bucket.resetAt) }
+    }
+  }
+}
+
+const postgresStore = () => {
+  let lastPrune = Date.now()
+
+  return {
+    name: 'postgres',
+    hit: async (key, windowMs) => {
+      const now = Date.now()
+      if (now - lastPrune > PRUNE_INTERVAL_MS) {
+        lastPrune = now
+        RateLimitBucket.destroy({ where: { resetAt: { [Op.lte]: new Date(now) } } })
+          .catch(error => console.error('Rate limit prune error:', error))
+      }
+
+      // Start a new window or count within the current one in a single statement
+      const [rows] = await sequelize.query(`
+        INSERT INTO rate_limit_buckets ("key", "count", "resetAt")
+        VALUES (:key, 1, :resetAt)
+        ON CONFLICT ("key") DO UPDATE SET
+          "count" = CASE WHEN rate_limit_buckets."resetAt" <= NOW() THEN 1 ELSE rate_limit_buckets."count" + 1 END,
+          "resetAt" = CASE WHEN rate_limit_buckets."resetAt" <= NOW() THEN EXCLUDED."resetAt" ELSE rate_limit_buckets."resetAt" END
+        RETURNING "count", "resetAt"
+      `, {
+        replacements: { key, resetAt: new Date(now + windowMs) }
+      })
+      return { count: Number(rows[0].count), resetAt: new Date(rows[0].resetAt) }
+    }
+  }
+}
+
+let store = process.env.RATE_LIMIT_STORE === 'postgres' ? postgresStore() : memoryStore()
+
+/**
+ * Replace the counter store (e.g. with a fake in tests)
+ * @param {Object} rateLimitStore - { name, hit: async (key, windowMs) => ({ count, resetAt }) }
+ */
+export const setRateLimitStore = (rateLimitStore) => {
+  store = rateLimitStore
+}
+
+let cachedLimits = null
+let cachedAt = 0
+
+/**
+ * Load the limits for every rate-limited endpoint from the rate_limits setting
+ * @returns {Promise<Object>} - { [endpoint]: { windowMinutes, maxPerIp, maxPerAccount } }
+ */
+export const getRateLimits = async () => {
+  if (cachedLimits && Date.now() - cachedAt < SETTINGS_CACHE_MS) return cachedLimits
+
+  const setting = await Setting.findOne({ where: { key: 'rate_limits' } })
+  let value = null
+  try {
+    value = setting ? JSON.parse(setting.value) : null
+  } catch (e) {
+    value = null
+  }
+
+  const limits = {}
+  Object.entries(DEFAULT_RATE_LIMITS).forEach(([endpoint, defaults]) => {
+    const configured = value?.[endpoint] || {}
+    limits[endpoint] = {}
+    Object.entries(defaults).forEach(([field, fallback]) => {
+      const parsed = parseInt(configured[field])
+      const minimum = field === 'windowMinutes' ? 1 : 0
+      limits[endpoint][field] = Number.isFinite(parsed) && parsed >= minimum ? parsed : fallback
+    })
+  })
+
+  cachedLimits = limits
+  cachedAt = Date.now()
+  return limits
+}
+
+/**
+ * Count a request against one endpoint's bucket for an IP or account
+ * @param {string} endpoint - Key of DEFAULT_RATE_LIMITS (e.g. 'login')
+ * @param {string} scope - 'ip' or 'account'
+ * @param {string} value - The IP address or account identifier
+ * @param {number} windowMs - Window length
+ * @returns {Promise<Object>} - { count, resetAt } for the current window
+ */
+export const hitRateLimit = async (endpoint, scope, value, windowMs) => {
+  return store.hit(`${endpoint}:${scope}:${hashValue(value)}`, windowMs)
+}
+
+export default {
+  DEFAULT_RATE_LIMITS,
+  setRateLimitStore,
+  getRateLimits,
+  hitRateLimit
+}
@@ -0,0 +1,130 @@
+import crypto from 'crypto'
+
+/**
+ * Razorpay Service for API calls and signature checks
+ * Configure using environment variables:
+ * - RAZORPAY_KEY_ID / RAZORPAY_KEY_SECRET: API credentials
+ * - RAZORPAY_WEBHOOK_SECRET: Secret set on the webhook in the Razorpay dashboard
+ * - RAZORPAY_API_URL: API base URL (defaults to https://api.razorpay.com/v1,
+ *   point it at a local stub for development and tests, e.g. npm run razorpay-stub)
+ */
+
+const getApiUrl = () => (process.env.RAZORPAY_API_URL || 'https://api.razorpay.com/v1').replace(/\/$/, '')
+
+export const isRazorpayConfigured = () => Boolean(process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET)
+
+// Constant-time comparison of two hex signatures
+const signaturesMatch = (expected, received) => {
+  if (!received || typeof received !== 'string') return false
+  const expectedBuffer = Buffer.from(expected)
+  const receivedBuffer = Buffer.from(received)
+  return expectedBuffer.length === receivedBuffer.length && crypto.timingSafeEqual(expectedBuffer, receivedBuffer)
+}
+
+/**
+ * Call the Razorpay REST API
+ * @param {string} path - API path (e.g. /payments/pay_123)
+ * @param {Object} options
+ * @param {string} options.method - HTTP method (default GET)
+ * @param {Object} options.body - JSON body (optional)
+ * @returns {Promise<Object>} - Parsed response
+ */
+export const razorpayRequest = async (path, { method = 'GET', body } = {}) => {
+  const credentials = Buffer.from(`${process.env.RAZORPAY_KEY_ID}:${process.env.RAZORPAY_KEY_SECRET}`).toString('base64')
+
+  const response = await fetch(`${getApiUrl()}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Basic ${credentials}`
+    },
+    ...(body && { body: JSON.stringify(body) })
+  })
+
+  const data = await response.json().catch(() => ({}))
+  if (!response.ok) {
+    const error = new Error(data.error?.description || `Razorpay request failed (${response.status})`)
+    error.name = 'RazorpayError'
+    error.statusCode = response.status
+    throw error
+  }
+
+  return data
+}
+
+/**
+ * Refund a captured payment, in full or in part
+ * @param {string} paymentId - Razorpay payment ID (pay_xxx)
+ * @param {Object} options
+ * @param {number} options.amount - Amount to refund in rupees
+ * @param {Object} options.notes - Key/value notes stored on the refund (optional)
+ * @returns {Promise<Object>} - Razorpay refund entity ({ id, amount, status, ... })
+ */
+export const createRefund = (paymentId, { amount, notes } = {}) =>
+  razorpayRequest(`/payments/${paymentId}/refund`, {
+    method: 'POST',
+    body: {
+      amount: Math.round(amount * 100),
+      speed: 'normal',
+      ...(notes && { notes })
+    }
+  })
+
+/**
+ * Fetch a refund, e.g. to learn whether a pending refund has gone through
+ * @param {string} refundId - Razorpay refund ID (rfnd_xxx)
+ * @returns {Promise<Object>} - Razorpay refund entity
+ */
+export const fetchRefund = (refundId) => razorpayRequest(`/refunds/${refundId}`)
+
+/**
+ * List the refunds made against a payment
+ * @param {string} paymentId - Razorpay payment ID (pay_xxx)
+ * @returns {Promise<Array<Object>>} - Razorpay refund entities
+ */
+export const fetchPaymentRefunds = async (paymentId) => {
+  const data = await razorpayRequest(`/payments/${paymentId}/refunds?count=100`)
+  return data.items || []
+}
+
+/**
+ * Verify the signature returned to the browser by Razorpay Checkout
+ * @param {Object} payment - { razorpayOrderId, razorpayPaymentId, razorpaySignature }
+ * @returns {boolean}
+ */
+export const verifyPaymentSignature = ({ razorpayOrderId, razorpayPaymentId, razorpaySignature }) => {
+  const expected = crypto
+    .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET || '')
+    .update(`${razorpayOrderId}|${razorpayPaymentId}`)
+    .digest('hex')
+
+  return signaturesMatch(expected, razorpaySignature)
+}
+
+/**
+ * Verify the X-Razorpay-Signature header of a webhook request
+ * @param {Buffer|string} rawBody - Exact request body as received
+ * @param {string} signature - Header value
+ * @returns {boolean}
+ */
+export const verifyWebhookSignature = (rawBody, signature) => {
+  const secret = process.env.RAZORPAY_WEBHOOK_SECRET
+  if (!secret || !rawBody) return false
+
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(rawBody)
+    .digest('hex')
+
+  return signaturesMatch(expected, signature)
+}
+
+export default {
+  isRazorpayConfigured,
+  razorpayRequest,
+  createRefund,
+  fetchRefund,
+  fetchPaymentRefunds,
+  verifyPaymentSignature,
+  verifyWebhookSignature
+}
@@ -0,0 +1,246 @@
+import { sequelize } from '../config/db.js'
+import Order from '../models/Order.js'
+import PaymentSession from '../models/PaymentSession.js'
+import PaymentWebhookEvent from '../models/PaymentWebhookEvent.js'
+import { createOrderFromCart, findOrderByRazorpayOrderId } from './orderService.js'
+import { releaseCoinHold } from './coinService.js'
+import { transitionOrder } from './orderLifecycleService.js'
+import { issueRefund, recordGatewayRefund } from './refundService.js'
+
+/**
+ * Razorpay webhook processing
+ * Every event is recorded in payment_webhook_events by its event ID, and each handler
+ * also checks the order's current payment state, so redelivered or replayed events
+ * never apply twice.
+ */
+
+const WEBHOOK_ACTOR = { type: 'system', id: null, name: 'Razorpay webhook' }
+
+const toRupees = (paise) => Math.round(Number(paise || 0)) / 100
+
+const addHistory = (order, note) => [
+  ...(order.statusHistory || []),
+  { status: order.status, date: new Date(), note }
+]
+
+// payment.captured - mark the order paid (refunding it if the order was cancelled meanwhile),
+// or create it from the checkout session
+const handlePaymentCaptured = async ({ payment }) => {
+  const entity = payment?.entity
+  if (!entity?.order_id) {
+    return { status: 'ignored', entityId: entity?.id, reason: 'Payment has no Razorpay order' }
+  }
+
+  const existingOrder = await findOrderByRazorpayOrderId(entity.order_id)
+  if (existingOrder) {
+    const updated = await sequelize.transaction(async (transaction) => {
+      const order = await Order.findByPk(existingOrder.id, { lock: transaction.LOCK.UPDATE, transaction })
+      if (order.payment?.status === 'paid' && order.payment?.razorpayPaymentId === entity.id) {
+        return null
+      }
+
+      order.payment = {
+        ...order.payment,
+        status: 'paid',
+        razorpayPaymentId: entity.id,
+        method: order.payment?.method || entity.method,
+        amountPaid: toRupees(entity.amount),
+        capturedAt: new Date((entity.created_at || Date.now() / 1000) * 1000).toISOString()
+      }
+      if (order.status === 'Pending Payment') {
+        await order.save({ transaction })
+        await transitionOrder(order, 'Confirmed', {
+          actor: WEBHOOK_ACTOR,
+          note: 'Payment captured (Razorpay webhook)',
+          transaction
+        })
+      } else if (order.status === 'Cancelled') {
+        // The customer paid for an order that no longer exists; the money goes back
+        const refundDue = order.payment.amountPaid - (order.payment.refundedAmount || 0)
+        order.payment = { ...order.payment, refundStatus: 'pending', refundDue }
+        order.statusHistory = addHistory(order,
+          `Payment captured after the order was cancelled (Razorpay webhook); refund of ₹${refundDue.toFixed(2)} due`)
+        await order.save({ transaction })
+      } else {
+        order.statusHistory = addHistory(order, 'Payment captured (Razorpay webhook)')
+        await order.save({ transaction })
+      }
+
+      await PaymentSession.update(
+        { status: 'paid', razorpayPaymentId: entity.id, orderId: order.orderId },
+        { where: { razorpayOrderId: entity.order_id }, transaction }
+      )
+      return order
+    })
+
+    if (updated?.status === 'Cancelled') {
+      try {
+        await issueRefund(updated, { reason: 'Payment captured after cancellation', actor: WEBHOOK_ACTOR })
+      } catch (error) {
+        // The refund stays flagged as due on the order for the team to issue
+        console.error(`Refund for cancelled order ${updated.orderId} failed:`, error.message)
+      }
+    }
+
+    return updated
+      ? { status: 'processed', entityId: entity.id, orderId: updated.orderId }
+      : { status: 'ignored', entityId: entity.id, orderId: existingOrder.orderId, reason: 'Order already marked paid' }
+  }
+
+  // The browser never reported back - build the order from the checkout that opened this payment
+  const session = await PaymentSession.findOne({ where: { razorpayOrderId: entity.order_id } })
+  if (!session) {
+    return { status: 'ignored', entityId: entity.id, reason: 'No checkout session for this Razorpay order' }
+  }
+
+  const checkout = session.checkout || {}
+  try {
+    const { order } = await createOrderFromCart(session.userId, {
+      ...checkout,
+      payment: {
+        ...(checkout.payment || {}),
+        method: checkout.payment?.method || entity.method,
+        razorpayOrderId: entity.order_id,
+        razorpayPaymentId: entity.id,
+        amountPaid: toRupees(entity.amount)
+      }
+    }, {
+      note: 'Order placed and payment received (recovered from Razorpay webhook)',
+      guestTokenHash: session.guestTokenHash,
+      paymentVerified: true
+    })
+
+    return { status: 'processed', entityId: entity.id, orderId: order.orderId }
+  } catch (error) {
+    // Business failures (empty cart, stock gone) will not fix themselves on retry;
+    // keep the money trail on the session so the team can refund or place the order manually
+    if (error.statusCode) {
+      session.status = 'paid'
+      session.razorpayPaymentId = entity.id
+      session.lastError = error.message
+      await session.save()
+      console.error(`Razorpay payment ${entity.id} captured but order could not be created:`, error.message)
+      return { status: 'failed', entityId: entity.id, error: error.message }
+    }
+    throw error
+  }
+}
+
+// payment.failed - record the failure unless another attempt already paid the order
+const handlePaymentFailed = async ({ payment }) => {
+  const entity = payment?.entity
+  const reason = entity?.error_description || entity?.error_reason || 'Payment failed'
+
+  if (entity?.order_id) {
+    await PaymentSession.update(
+      { status: 'failed', lastError: reason },
+      { where: { razorpayOrderId: entity.order_id, status: 'created' } }
+    )
+  }
+
+  const existingOrder = entity?.order_id ? await findOrderByRazorpayOrderId(entity.order_id) : null
+  if (!existingOrder) {
+    // Give back the coins held for this checkout; a later successful attempt takes them again
+    if (entity?.order_id) {
+      await releaseCoinHold(entity.order_id, { reason: `Coins returned - payment failed (${reason})` })
+    }
+    return { status: 'processed', entityId: entity?.id, reason: 'No order for failed payment' }
+  }
+
+  const updated = await sequelize.transaction(async (transaction) => {
+    const order = await Order.findByPk(existingOrder.id, { lock: transaction.LOCK.UPDATE, transaction })
+    // A later successful attempt wins; the same failure is only recorded once
+    if (order.payment?.status === 'paid' || order.payment?.failedPaymentId === entity.id) {
+      return null
+    }
+
+    order.payment = {
+      ...order.payment,
+      status: 'failed',
+      failedPaymentId: entity.id,
+      failureReason: reason
+    }
+    order.statusHistory = addHistory(order, `Payment failed: ${reason}`)
+    await order.save({ transaction })
+    return order
+  })
+
+  return updated
+    ? { status: 'processed', entityId: entity.id, orderId: updated.orderId }
+    : { status: 'ignored', entityId: entity.id, orderId: existingOrder.orderId, reason: 'Payment state already final' }
+}
+
+// refund.created / refund.processed / refund.failed - move the order's refund on
+const handleRefundEvent = (status) => async ({ refund }) => {
+  const entity = refund?.entity
+  if (!entity?.payment_id) {
+    return { status: 'ignored', entityId: entity?.id, reason: 'Refund has no payment' }
+  }
+
+  const result = await recordGatewayRefund(entity, status)
+  if (!result) {
+    return { status: 'ignored', entityId: entity.id, reason: 'No order for refunded payment' }
+  }
+
+  return result.changed
+    ? { status: 'processed', entityId: entity.id, orderId: result.refund.orderId }
+    : { status: 'ignored', entityId: entity.id, orderId: result.refund.orderId, reason: 'Refund already recorded' }
+}
+
+const handlers = {
+  'payment.captured': handlePaymentCaptured,
+  'payment.failed': handlePaymentFailed,
+  'refund.created': handleRefundEvent('pending'),
+  'refund.processed': handleRefundEvent('processed'),
+  'refund.failed': handleRefundEvent('failed')
+}
+
+/**
+ * Process a verified Razorpay webhook event exactly once
+ * @param {string} eventId - X-Razorpay-Event-Id header (or a hash of the body)
+ * @param {Object} body - Parsed webhook body
+ * @returns {Promise<Object>} - { status, orderId, reason }
+ */
+export const processRazorpayWebhook = async (eventId, body) => {
+  const event = body?.event || 'unknown'
+
+  const previous = await PaymentWebhookEvent.findOne({ where: { eventId } })
+  if (previous && previous.status !== 'failed') {
+    return { status: 'duplicate', orderId: previous.orderId }
+  }
+
+  const record = async (result) => {
+    const values = {
+      eventId,
+      event,
+      entityId: result.entityId || null,
+      orderId: result.orderId || null,
+      status: result.status,
+      error: result.error || null,
+      payload: body
+    }
+    if (previous) await previous.update(values)
+    else await PaymentWebhookEvent.create(values)
+  }
+
+  const handler = handlers[event]
+  if (!handler) {
+    await record({ status: 'ignored' })
+    return { status: 'ignored', reason: `Unhandled event ${event}` }
+  }
+
+  try {
+    const result = await handler(body.payload || {})
+    await record(result)
+    return { status: result.status, orderId: result.orderId || null, reason: result.reason || result.error }
+  } catch (error) {
+    await record({ status: 'failed', error: error.message }).catch(recordError => {
+      console.error('Failed to record webhook event:', recordError)
+    })
+    throw error
+  }
+}
+
+export default {
+  processRazorpayWebhook
+}
@@ -0,0 +1,405 @@
+import { Op } from 'sequelize'
+import { sequelize } from '../config/db.js'
+import Order from '../models/Order.js'
+import Return from '../models/Return.js'
+import Refund from '../models/Refund.js'
+import { creditCoins } from './coinService.js'
+import { canTransition, getReturnedAmount, transitionOrder } from './orderLifecycleService.js'
+import { isRazorpayConfigured, createRefund, fetchRefund, fetchPaymentRefunds } from './razorpayService.js'
+import { advanceOrderAfterReturn, notifyReturnStatus, reverseReturnCoins, stampReturnStatus } from './returnService.js'
+
+/**
+ * Refund Service for money going back to customers
+ * A refund goes back to the original payment through the Razorpay Refunds API, in full or in
+ * part, or is given as store credit in coins. Every refund is a Refund row, and the order's
+ * payment record (refundedAmount, refundDue, refundStatus) is worked out from those rows
+ * whenever one of them changes.
+ * - Store credit is processed at once, at STORE_CREDIT_COINS_PER_RUPEE coins per rupee (default 1).
+ * - Razorpay settles refunds asynchronously, so a gateway refund stays pending until the
+ *   refund.processed or refund.failed webhook arrives, or until syncGatewayRefund() asks
+ *   Razorpay for its status (npm run sync-refunds does this for every pending refund).
+ * - A refund for a return marks the return refunded once the money is back with the customer.
+ */
+
+export const REFUND_METHODS = ['original', 'coins']
+export const REFUND_STATUSES = ['pending', 'processed', 'failed']
+
+export const STORE_CREDIT_COINS_PER_RUPEE = parseFloat(process.env.STORE_CREDIT_COINS_PER_RUPEE || '1')
+
+// Payment statuses of an order that money was taken for
+const PAID_STATUSES = ['paid', 'partially_refunded', 'refunded']
+
+const SYSTEM_ACTOR = { type: 'system', id: null, name: 'System' }
+const GATEWAY_ACTOR = { type: 'system', id: null, name: 'Razorpay' }
+
+// A gateway refund Razorpay has no record of this long after it was issued never reached it
+const UNSENT_REFUND_MINUTES = 15
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+const refundError = (message, statusCode = 400) => {
+  const error = new Error(message)
+  error.name = 'RefundError'
+  error.statusCode = statusCode
+  return error
+}
+
+const roundMoney = (value) => Math.round(value * 100) / 100
+
+const toRupees = (paise) => Math.round(Number(paise || 0)) / 100
+
+const amountPaid = (order) => (PAID_STATUSES.includes(order.payment?.status)
+  ? parseFloat(order.payment.amountPaid ?? order.total)
+  : 0)
+
+const sumRefunds = async (orderId, statuses, transaction) =>
+  parseFloat(await Refund.sum('amount', {
+    where: { orderId, status: { [Op.in]: statuses } },
+    transaction
+  }) || 0)
+
+/**
+ * Money taken for an order that is neither refunded nor on its way back yet
+ * @param {Object} order - Order record
+ * @param {Object} options
+ * @param {Object} options.transaction - Sequelize transaction (optional)
+ * @returns {Promise<number>} - Rupees
+ */
+export const getRefundableAmount = async (order, { transaction } = {}) => {
+  const refunded = await sumRefunds(order.orderId, ['pending', 'processed'], transaction)
+  return roundMoney(Math.max(0, amountPaid(order) - refunded))
+}
+
+const describeRefund = (refund) => {
+  const amount = `₹${parseFloat(refund.amount).toFixed(2)}`
+  if (refund.method === 'coins') {
+    return `${amount} refunded as ${refund.coins} coins of store credit`
+  }
+  const reference = refund.gatewayRefundId ? ` (${refund.gatewayRefundId})` : ''
+  if (refund.status === 'processed') return `Refund of ${amount} processed${reference}`
+  if (refund.status === 'failed') return `Refund of ${amount} failed: ${refund.failureReason}`
+  return `Refund of ${amount} initiated${reference}`
+}
+
+// Work the order's payment record out from its refunds; a cancelled order is settled once all
+// of its money is back with the customer, a returned one once its returns' money is
+const settleOrder = async (order, refund, { actor, transaction }) => {
+  const paid = amountPaid(order)
+  const refunded = await sumRefunds(order.orderId, ['processed'], transaction)
+  const pending = await sumRefunds(order.orderId, ['pending'], transaction)
+  let owed = 0
+  if (order.status === 'Cancelled') {
+    owed = paid
+  } else if (order.status === 'Returned') {
+    owed = Math.min((await getReturnedAmount(order, { transaction })) ?? paid, paid)
+  }
+  const refundDue = roundMoney(Math.max(0, owed - refunded - pending))
+
+  let paymentStatus = order.payment.status
+  if (paid > 0 && refunded >= paid) paymentStatus = 'refunded'
+  else if (refunded > 0) paymentStatus = 'partially_refunded'
+
+  let refundStatus = 'processed'
+  if (pending > 0) refundStatus = 'initiated'
+  else if (refund.status === 'failed') refundStatus = 'failed'
+  else if (refundDue > 0) refundStatus = 'pending'
+
+  order.payment = {
+    ...order.payment,
+    status: paymentStatus,
+    refundedAmount: refunded,
+    refundDue,
+    refundStatus,
+    refundError: refund.status === 'failed' ? refund.failureReason : null,
+    ...(refund.status === 'processed' && { refundedAt: new Date().toISOString() })
+  }
+  order.statusHistory = [
+    ...(order.statusHistory || []),
+    { status: order.status, date: new Date(), note: describeRefund(refund) }
+  ]
+  await order.save({ transaction })
+
+  if (paymentStatus === 'refunded' && canTransition(order.status, 'Refunded')) {
+    await transitionOrder(order, 'Refunded', { actor, note: 'Refunded in full', transaction })
+  }
+}
+
+// A return is done once its money is back with the customer; its order moves on once it was
+// the last one open
+const completeReturn = async (refund, { actor, transaction }) => {
+  if (!refund.returnId || refund.status !== 'processed') return
+
+  const returnRequest = await Return.findOne({
+    where: { returnId: refund.returnId },
+    lock: transaction.LOCK.UPDATE,
+    transaction
+  })
+  if (!returnRequest || returnRequest.status === 'refunded') return
+
+  stampReturnStatus(returnRequest, 'refunded', {
+    actor,
+    note: refund.method === 'coins' ? `Refunded as ${refund.coins} coins` : 'Refunded to the original payment'
+  })
+  await returnRequest.save({ transaction })
+
+  transaction.afterCommit(async () => {
+    await reverseReturnCoins(returnRequest)
+    await advanceOrderAfterReturn(returnRequest, actor)
+    await notifyReturnStatus(returnRequest)
+  })
+}
+
+// Move a refund on to the status the gateway reported and settle its order. Processed and
+// failed are final: a late or repeated report only fills in the gateway details.
+const applyRefundStatus = (refundId, { status, gatewayRefundId, gatewayStatus, failureReason }, { actor = GATEWAY_ACTOR, isNew = false } = {}) =>
+  sequelize.transaction(async (transaction) => {
+    const refund = await Refund.findByPk(refundId, { lock: transaction.LOCK.UPDATE, transaction })
+    if (gatewayRefundId) refund.gatewayRefundId = gatewayRefundId
+    if (gatewayStatus) refund.gatewayStatus = gatewayStatus
+
+    const moved = refund.status === 'pending' && status !== 'pending'
+    if (moved) {
+      refund.status = status
+      if (status === 'processed') refund.processedAt = new Date()
+      if (status === 'failed') refund.failureReason = failureReason || 'Razorpay could not complete the refund'
+    }
+    await refund.save({ transaction })
+    if (!moved && !isNew) {
+      return { refund, changed: false }
+    }
+
+    const order = await Order.findOne({
+      where: { orderId: refund.orderId },
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    })
+    if (order) {
+      await settleOrder(order, refund, { actor, transaction })
+    }
+    await completeReturn(refund, { actor, transaction })
+    return { refund, changed: true }
+  })
+
+// Ask Razorpay to send a pending refund back to the original payment
+const sendToGateway = async (refund, actor) => {
+  let entity
+  try {
+    entity = await createRefund(refund.gatewayPaymentId, {
+      amount: parseFloat(refund.amount),
+      notes: {
+        refundId: refund.id,
+        orderId: refund.orderId,
+        ...(refund.returnId && { returnId: refund.returnId }),
+        ...(refund.reason && { reason: refund.reason.slice(0, 255) })
+      }
+    })
+  } catch (gatewayError) {
+    // Without an answer from Razorpay the refund may still have been made; it stays
+    // pending until syncGatewayRefund() finds out
+    if (gatewayError.name !== 'RazorpayError') {
+      console.error(`Refund ${refund.id} for order ${refund.orderId} got no answer from Razorpay:`, gatewayError)
+      return refund
+    }
+    await applyRefundStatus(refund.id, { status: 'failed', failureReason: gatewayError.message }, { actor })
+    throw refundError(`Razorpay rejected the refund: ${gatewayError.message}`, 502)
+  }
+
+  const { refund: updated } = await applyRefundStatus(refund.id, {
+    status: REFUND_STATUSES.includes(entity.status) ? entity.status : 'pending',
+    gatewayRefundId: entity.id,
+    gatewayStatus: entity.status
+  }, { actor })
+  return updated
+}
+
+/**
+ * Refund money taken for an order, in full or in part
+ * @param {Object} order - Order record
+ * @param {Object} options
+ * @param {number} options.amount - Rupees to refund (default: everything still refundable)
+ * @param {string} options.method - 'original' (back to the Razorpay payment) or 'coins' (store credit)
+ * @param {string} options.reason - Kept on the refund and sent to Razorpay as a note (optional)
+ * @param {Object} options.returnRequest - Return the refund is for (optional)
+ * @param {Object} options.actor - Who issued it: { type: 'admin'|'customer'|'system', id, name }
+ * @returns {Promise<Object>} - The Refund record; a gateway refund is usually still pending
+ * @throws {RefundError} - 400 when the refund is not allowed, 502 when Razorpay rejects it
+ */
+export const issueRefund = async (order, { amount, method = 'original', reason, returnRequest = null, actor = SYSTEM_ACTOR } = {}) => {
+  if (!REFUND_METHODS.includes(method)) {
+    throw refundError(`Invalid refund method: ${method}`)
+  }
+
+  const refund = await sequelize.transaction(async (transaction) => {
+    await order.reload({ lock: transaction.LOCK.UPDATE, transaction })
+
+    if (amountPaid(order) <= 0) {
+      throw refundError('Nothing was paid for this order, so there is nothing to refund')
+    }
+    if (method === 'original') {
+      if (!order.payment.razorpayPaymentId) {
+        throw refundError('This order was not paid online, so it can only be refunded as store credit')
+      }
+      if (!isRazorpayConfigured()) {
+        throw refundError('Razorpay is not configured, so refunds can only be given as store credit', 503)
+      }
+    }
+    if (method === 'coins' && !order.userId) {
+      throw refundError('Store credit needs a customer account')
+    }
+
+    const refundable = await getRefundableAmount(order, { transaction })
+    if (refundable <= 0) {
+      throw refundError('This order has already been refunded in full')
+    }
+    const value = amount === undefined || amount === null || amount === '' ? refundable : roundMoney(Number(amount))
+    if (!Number.isFinite(value) || value <= 0) {
+      throw refundError('Refund amount must be more than zero')
+    }
+    if (value > refundable) {
+      throw refundError(`Only ₹${refundable.toFixed(2)} of this order can still be refunded`)
+    }
+
+    const record = await Refund.create({
+      orderId: order.orderId,
+      returnId: returnRequest?.returnId || null,
+      userId: order.userId,
+      method,
+      amount: value,
+      status: 'pending',
+      gatewayPaymentId: method === 'original' ? order.payment.razorpayPaymentId : null,
+      reason: reason || null,
+      createdBy: actor.type === 'admin' ? actor.id : null
+    }, { transaction })
+
+    if (method === 'coins') {
+      const coins = Math.max(1, Math.round(value * STORE_CREDIT_COINS_PER_RUPEE))
+      await creditCoins({
+        userId: order.userId,
+        amount: coins,
+        type: 'refunded',
+        description: returnRequest
+          ? `Store credit for return ${returnRequest.returnId}`
+          : `Store credit for order ${order.orderId}`,
+        orderId: order.orderId,
+        metadata: { refundId: record.id }
+      }, { transaction })
+
+      record.coins = coins
+      record.status = 'processed'
+      record.processedAt = new Date()
+      await record.save({ transaction })
+    }
+
+    await settleOrder(order, record, { actor, transaction })
+    await completeReturn(record, { actor, transaction })
+    return record
+  })
+
+  if (method === 'coins') return refund
+  return sendToGateway(refund, actor)
+}
+
+/**
+ * Record what Razorpay reports about a refund (webhooks and status checks)
+ * Refunds made from the Razorpay dashboard are added to their order as well.
+ * @param {Object} entity - Razorpay refund entity
+ * @param {string} status - 'pending', 'processed' or 'failed' (default: the entity's status)
+ * @returns {Promise<Object|null>} - { refund, changed }, or null when no order has the payment
+ */
+export const recordGatewayRefund = async (entity, status = entity.status) => {
+  let refund = await Refund.findOne({ where: { gatewayRefundId: entity.id } })
+  // The webhook can arrive before the API call that issued the refund has returned
+  if (!refund && UUID_PATTERN.test(entity.notes?.refundId || '')) {
+    refund = await Refund.findByPk(entity.notes.refundId)
+  }
+
+  let isNew = false
+  if (!refund) {
+    const order = await Order.findOne({ where: { payment: { razorpayPaymentId: entity.payment_id } } })
+    if (!order) return null
+
+    refund = await Refund.create({
+      orderId: order.orderId,
+      userId: order.userId,
+      method: 'original',
+      amount: toRupees(entity.amount),
+      status: 'pending',
+      gatewayPaymentId: entity.payment_id,
+      gatewayRefundId: entity.id,
+      gatewayStatus: entity.status,
+      reason: 'Refunded from the Razorpay dashboard'
+    })
+    isNew = true
+  }
+
+  return applyRefundStatus(refund.id, {
+    status: REFUND_STATUSES.includes(status) ? status : 'pending',
+    gatewayRefundId: entity.id,
+    gatewayStatus: entity.status,
+    failureReason: entity.error_description
+  }, { isNew })
+}
+
+/**
+ * Ask Razorpay where a pending refund to the original payment has got to
+ * @param {Object} refund - Refund record
+ * @returns {Promise<Object>} - { refund, changed }
+ * @throws {RefundError} - 400 for store credit refunds
+ */
+export const syncGatewayRefund = async (refund) => {
+  if (refund.method !== 'original') {
+    throw refundError('Only refunds to the original payment are checked with Razorpay')
+  }
+  if (refund.status !== 'pending') {
+    return { refund, changed: false }
+  }
+  if (refund.gatewayRefundId) {
+    return recordGatewayRefund(await fetchRefund(refund.gatewayRefundId))
+  }
+
+  // The refund may have reached Razorpay without its answer reaching us
+  const refunds = await fetchPaymentRefunds(refund.gatewayPaymentId)
+  const entity = refunds.find(item => item.notes?.refundId === refund.id)
+  if (entity) {
+    return recordGatewayRefund(entity)
+  }
+  if (Date.now() - new Date(refund.createdAt).getTime() < UNSENT_REFUND_MINUTES * 60 * 1000) {
+    return { refund, changed: false }
+  }
+  return applyRefundStatus(refund.id, { status: 'failed', failureReason: 'The refund never reached Razorpay' })
+}
+
+/**
+ * Check every pending refund to an original payment with Razorpay, in case a webhook was missed
+ * @returns {Promise<Object>} - { checked, settled, errors }
+ */
+export const syncPendingRefunds = async () => {
+  const pending = await Refund.findAll({
+    where: { method: 'original', status: 'pending' },
+    order: [['createdAt', 'ASC']]
+  })
+
+  let settled = 0
+  let errors = 0
+  for (const refund of pending) {
+    try {
+      const result = await syncGatewayRefund(refund)
+      if (result?.changed) settled++
+    } catch (syncError) {
+      errors++
+      console.error(`Error checking refund ${refund.id} with Razorpay:`, syncError)
+    }
+  }
+  return { checked: pending.length, settled, errors }
+}
+
+export default {
+  REFUND_METHODS,
+  REFUND_STATUSES,
+  STORE_CREDIT_COINS_PER_RUPEE,
+  getRefundableAmount,
+  issueRefund,
+  recordGatewayRefund,
+  syncGatewayRefund,
+  syncPendingRefunds
+}
@@ -0,0 +1,661 @@
+import { Op } from 'sequelize'
+import Return from '../models/Return.js'
+import Order from '../models/Order.js'
+import User from '../models/User.js'
+import Product from '../models/Product.js'
+import ProductVariant from '../models/ProductVariant.js'
+import Setting from '../models/Setting.js'
+import { sequelize } from '../config/db.js'
+import { sendOrderSms } from './smsService.js'
+import { reverseOrderCoins } from './coinService.js'
+import { transitionOrder } from './orderLifecycleService.js'
+import { reserveStock, restockItems } from './inventoryService.js'
+
+/**
+ * Return Service for the return request lifecycle
+ * A return covers one or more lines of a delivered order, each with a quantity, and asks for
+ * a refund or for the same product in another size/color. Once approved it is picked up (or
+ * sent back by the customer), received and quality checked; returns that pass are refunded
+ * through refundService or exchanged here. Every change is stamped in statusHistory.
+ * The notification helpers swallow their own errors: a failed SMS or coin reversal must not
+ * undo the return update that triggered it.
+ */
+
+export const RETURN_STATUSES = [
+  'pending',
+  'approved',
+  'rejected',
+  'pickup_scheduled',
+  'picked_up',
+  'received',
+  'qc_passed',
+  'qc_failed',
+  'refunded',
+  'exchanged'
+]
+
+// refunded and exchanged are reached through issueRefund() and dispatchExchange(), not by hand
+export const RETURN_TRANSITIONS = {
+  pending: ['approved', 'rejected'],
+  approved: ['pickup_scheduled', 'received', 'rejected'],
+  pickup_scheduled: ['picked_up', 'rejected'],
+  picked_up: ['received'],
+  received: ['qc_passed', 'qc_failed'],
+  qc_passed: ['refunded', 'exchanged'],
+  qc_failed: [],
+  rejected: [],
+  refunded: [],
+  exchanged: []
+}
+
+export const RETURN_STATUS_LABELS = {
+  pending: 'requested',
+  approved: 'approved',
+  rejected: 'rejected',
+  pickup_scheduled: 'scheduled for pickup',
+  picked_up: 'picked up',
+  received: 'received at our warehouse',
+  qc_passed: 'through quality check',
+  qc_failed: 'not accepted after quality check',
+  refunded: 'refunded',
+  exchanged: 'exchanged'
+}
+
+// Returns still waiting on the store; the order stays Return Requested while any is open
+export const OPEN_RETURN_STATUSES = ['pending', 'approved', 'pickup_scheduled', 'picked_up', 'received', 'qc_passed']
+
+export const RETURN_RESOLUTIONS = ['refund', 'exchange']
+
+export const RETURN_REASONS = [
+  'Size issue',
+  'Quality issue',
+  'Wrong item received',
+  'Damaged item',
+  'Not as described',
+  'Changed my mind',
+  'Other'
+]
+
+// Without a return_windows setting, returns keep the original 24-hour window
+export const DEFAULT_RETURN_WINDOW_DAYS = 1
+
+export const MAX_RETURN_PHOTOS = 5
+
+const SYSTEM_ACTOR = { type: 'system', id: null, name: null }
+
+const returnError = (message, statusCode = 400) => {
+  const error = new Error(message)
+  error.name = 'ReturnError'
+  error.statusCode = statusCode
+  return error
+}
+
+const roundAmount = (value) => Math.round(value * 100) / 100
+
+// Each line's share of the order's coupon, discount and coin reductions, and of its GST on
+// goods. The tax breakdown already worked both out per line; orders without one spread
+// order.discount by value and order.tax by what is left (the last line takes the rounding
+// remainder of each).
+const spreadByValue = (amount, values) => {
+  const total = values.reduce((sum, value) => sum + value, 0)
+  let left = roundAmount(amount)
+  return values.map((value, index) => {
+    const share = index === values.length - 1
+      ? left
+      : roundAmount(total > 0 ? (amount * value) / total : 0)
+    left = roundAmount(left - share)
+    return share
+  })
+}
+
+const getLineShares = (order, items) => {
+  const goodsLines = (order.taxBreakdown?.lines || []).filter(line => !line.isShipping)
+  if (goodsLines.length === items.length) {
+    return goodsLines.map(line => ({
+      discount: parseFloat(line.discount) || 0,
+      tax: parseFloat(line.tax) || 0
+    }))
+  }
+
+  const values = items.map(item => (parseFloat(item.price) || 0) * (parseInt(item.quantity) || 0))
+  const gross = values.reduce((sum, value) => sum + value, 0)
+  const discounts = spreadByValue(Math.min(Math.max(parseFloat(order.discount) || 0, 0), gross), values)
+  const taxes = spreadByValue(
+    Math.max(parseFloat(order.tax) || 0, 0),
+    values.map((value, index) => Math.max(value - discounts[index], 0))
+  )
+  return values.map((value, index) => ({ discount: discounts[index], tax: taxes[index] }))
+}
+
+// What the customer paid for some units of a line: list price less the line's discount
+// share, plus its GST share
+const lineAmount = (line, quantity) => {
+  if (!(line.quantity > 0)) return roundAmount(Math.max(line.unitPrice * quantity, 0))
+  const share = quantity / line.quantity
+  return roundAmount(Math.max(line.unitPrice * quantity - line.discount * share, 0) + (line.tax || 0) * share)
+}
+
+/**
+ * Statuses a return can be moved to from its current status
+ * @param {string} status - Current status
+ * @returns {Array<string>}
+ */
+export const getAllowedReturnTransitions = (status) => RETURN_TRANSITIONS[status] || []
+
+/**
+ * Load the return windows from the return_windows setting
+ * A category set to 0 days is not returnable.
+ * @param {Object} options
+ * @param {Object} options.transaction - Sequelize transaction (optional)
+ * @returns {Promise<{ defaultDays: number, categories: Object }>} - Days by category ID
+ */
+export const getReturnWindows = async ({ transaction } = {}) => {
+  const setting = await Setting.findOne({ where: { key: 'return_windows' }, transaction })
+  let value = null
+  try {
+    value = setting ? JSON.parse(setting.value) : null
+  } catch (e) {
+    value = null
+  }
+
+  const defaultDays = parseFloat(value?.defaultDays)
+  const categories = {}
+  Object.entries(value?.categories || {}).forEach(([categoryId, days]) => {
+    const parsed = parseFloat(days)
+    if (Number.isFinite(parsed) && parsed >= 0) categories[categoryId] = parsed
+  })
+
+  return {
+    defaultDays: Number.isFinite(defaultDays) && defaultDays >= 0 ? defaultDays : DEFAULT_RETURN_WINDOW_DAYS,
+    categories
+  }
+}
+
+/**
+ * When the order was delivered: its first Delivered history entry, else its last update
+ * @param {Object} order - Order record
+ * @returns {Date}
+ */
+export const getDeliveredAt = (order) => {
+  const delivered = (order.statusHistory || []).find(entry => entry.status === 'Delivered' && entry.date)
+  return new Date(delivered ? delivered.date : order.updatedAt)
+}
+
+const formatWindow = (days) => (days < 1
+  ? `${Math.round(days * 24)} hours`
+  : `${days} day${days === 1 ? '' : 's'}`)
+
+/**
+ * Work out, line by line, what of an order can still be returned
+ * A line can be returned until its category's window closes, less the quantity already on
+ * other returns (rejected returns give it back). Exchange options are the product's other
+ * active variants in stock. `discount` is the line's share of the order's discounts, which a
+ * refund for the line leaves out, and `tax` its share of the GST, which a refund adds back.
+ * @param {Object} order - Order record
+ * @param {Object} options
+ * @param {Object} options.transaction - Sequelize transaction (optional)
+ * @returns {Promise<Object>} - { orderId, deliveredAt, returnable, lines: [...] }
+ */
+export const getReturnEligibility = async (order, { transaction } = {}) => {
+  const items = Array.isArray(order.items) ? order.items : []
+  const delivered = ['Delivered', 'Return Requested'].includes(order.status)
+  const deliveredAt = delivered ? getDeliveredAt(order) : null
+  const productIds = [...new Set(items.map(item => item.product).filter(Boolean))]
+
+  const [windows, products, variants, previousReturns] = await Promise.all([
+    getReturnWindows({ transaction }),
+    Product.findAll({ where: { id: productIds }, attributes: ['id', 'categoryId'], transaction }),
+    ProductVariant.findAll({ where: { productId: productIds, isActive: true }, transaction }),
+    Return.findAll({
+      where: { orderId: order.orderId, status: { [Op.ne]: 'rejected' } },
+      attributes: ['items'],
+      transaction
+    })
+  ])
+  const categoryByProduct = new Map(products.map(product => [product.id, product.categoryId]))
+  const lineShares = getLineShares(order, items)
+
+  const returnedByLine = new Map()
+  previousReturns.forEach(previous => {
+    (previous.items || []).forEach(line => {
+      returnedByLine.set(line.lineIndex, (returnedByLine.get(line.lineIndex) || 0) + (line.quantity || 0))
+    })
+  })
+
+  const now = Date.now()
+  const lines = items.map((item, lineIndex) => {
+    const quantity = parseInt(item.quantity) || 0
+    const returnedQuantity = returnedByLine.get(lineIndex) || 0
+    const categoryId = categoryByProduct.get(item.product)
+    const windowDays = windows.categories[categoryId] ?? windows.defaultDays
+    const returnBy = deliveredAt ? new Date(deliveredAt.getTime() + windowDays * 24 * 60 * 60 * 1000) : null
+
+    let ineligibleReason = null
+    if (!delivered) {
+      ineligibleReason = 'Return requests can only be made for delivered orders'
+    } else if (!item.product) {
+      ineligibleReason = 'This item can no longer be returned'
+    } else if (windowDays <= 0) {
+      ineligibleReason = 'This item is not returnable'
+    } else if (returnBy.getTime() < now) {
+      ineligibleReason = `The ${formatWindow(windowDays)} return window has expired`
+    } else if (returnedQuantity >= quantity) {
+      ineligibleReason = 'Already returned'
+    }
+
+    const exchangeOptions = variants
+      .filter(variant => variant.productId === item.product && variant.id !== item.variantId)
+      .filter(variant => (variant.stockCount || 0) > 0)
+      .map(variant => ({
+        variantId: variant.id,
+        size: variant.size,
+        color: variant.color,
+        stockCount: variant.stockCount
+      }))
+
+    return {
+      lineIndex,
+      productId: item.product || null,
+      variantId: item.variantId || null,
+      name: item.name,
+      image: item.image || null,
+      size: item.size || null,
+      color: item.color || null,
+      unitPrice: parseFloat(item.price) || 0,
+      discount: lineShares[lineIndex].discount,
+      tax: lineShares[lineIndex].tax,
+      quantity,
+      returnedQuantity,
+      returnableQuantity: ineligibleReason ? 0 : quantity - returnedQuantity,
+      windowDays,
+      returnBy,
+      eligible: !ineligibleReason,
+      ineligibleReason,
+      exchangeOptions
+    }
+  })
+
+  return {
+    orderId: order.orderId,
+    orderStatus: order.status,
+    deliveredAt,
+    returnable: lines.some(line => line.eligible),
+    lines
+  }
+}
+
+/**
+ * Record a status change on a return: status, its timestamp and a statusHistory entry
+ * Does not save the record.
+ * @param {Object} returnRequest - Return record
+ * @param {string} status - New status
+ * @param {Object} options
+ * @param {Object} options.actor - Who made the change: { type: 'admin'|'customer'|'system', id, name }
+ * @param {string} options.note - Note shown in the return's history (optional)
+ */
+export const stampReturnStatus = (returnRequest, status, { actor = SYSTEM_ACTOR, note } = {}) => {
+  const from = returnRequest.isNewRecord ? null : returnRequest.status
+  const now = new Date()
+
+  returnRequest.status = status
+  if (status === 'approved') returnRequest.approvedAt = now
+  if (status === 'refunded') returnRequest.refundedAt = now
+  if (status === 'exchanged') returnRequest.exchangedAt = now
+
+  returnRequest.statusHistory = [
+    ...(returnRequest.statusHistory || []),
+    {
+      status,
+      from,
+      date: now,
+      note: note || null,
+      actor: { type: actor.type, id: actor.id || null, name: actor.name || null }
+    }
+  ]
+}
+
+/**
+ * Create a return request for lines of a customer's order
+ * Amounts come from the prices paid on the order, never from the request.
+ * @param {Object} order - Order record, already checked to belong to the customer
+ * @param {Object} user - Customer requesting the return
+ * @param {Object} request
+ * @param {Array} request.items - [{ lineIndex, quantity, exchangeVariantId }]
+ * @param {string} request.resolution - 'refund' or 'exchange'
+ * @param {string} request.reason - One of RETURN_REASONS
+ * @param {string} request.comment - Customer's description (optional)
+ * @param {Array<string>} request.photos - URLs from the return photo upload (optional)
+ * @returns {Promise<Object>} - The created Return
+ * @throws {ReturnError} - 400 when the request is not valid for the order
+ */
+export const createReturnRequest = async (order, user, { items, resolution = 'refund', reason, comment, photos = [] }) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw returnError('Select at least one item to return')
+  }
+  if (!RETURN_RESOLUTIONS.includes(resolution)) {
+    throw returnError('Choose a refund or an exchange')
+  }
+  if (!RETURN_REASONS.includes(reason)) {
+    throw returnError('Select a reason for the return')
+  }
+  if (!Array.isArray(photos) || photos.length > MAX_RETURN_PHOTOS) {
+    throw returnError(`Attach up to ${MAX_RETURN_PHOTOS} photos`)
+  }
+  if (photos.some(photo => typeof photo !== 'string' || !photo.includes('/uploads/returns/'))) {
+    throw returnError('Photos must be uploaded with the return form')
+  }
+  const trimmedComment = comment ? String(comment).trim().slice(0, 1000) : null
+  if (reason === 'Other' && !trimmedComment) {
+    throw returnError('Tell us why you are returning the items')
+  }
+
+  const actor = { type: 'customer', id: user.id, name: user.name || null }
+
+  return sequelize.transaction(async (transaction) => {
+    // Lock the order so two requests cannot return the same units
+    await order.reload({ lock: transaction.LOCK.UPDATE, transaction })
+    const eligibility = await getReturnEligibility(order, { transaction })
+
+    const seen = new Set()
+    const lines = items.map((requested) => {
+      const line = eligibility.lines[parseInt(requested.lineIndex)]
+      if (!line || seen.has(line.lineIndex)) {
+        throw returnError('One of the selected items is not on this order')
+      }
+      seen.add(line.lineIndex)
+      if (!line.eligible) {
+        throw returnError(`${line.name}: ${line.ineligibleReason}`)
+      }
+
+      const quantity = parseInt(requested.quantity) || 0
+      if (quantity < 1 || quantity > line.returnableQuantity) {
+        throw returnError(`${line.name}: you can return between 1 and ${line.returnableQuantity}`)
+      }
+
+      let exchange = null
+      if (resolution === 'exchange') {
+        exchange = line.exchangeOptions.find(option => option.variantId === requested.exchangeVariantId)
+        if (!exchange) {
+          throw returnError(`${line.name}: choose an available size or color to exchange for`)
+        }
+      }
+
+      return {
+        lineIndex: line.lineIndex,
+        productId: line.productId,
+        variantId: line.variantId,
+        name: line.name,
+        size: line.size,
+        color: line.color,
+        image: line.image,
+        quantity,
+        unitPrice: line.unitPrice,
+        amount: lineAmount(line, quantity),
+        ...(exchange && {
+          exchangeVariantId: exchange.variantId,
+          exchangeSize: exchange.size,
+          exchangeColor: exchange.color
+        })
+      }
+    })
+
+    const returnId = `RET-${Date.now()}-${Math.random().toString(36).substr(2, 6).toUpperCase()}`
+    const summary = lines.length > 1 ? `${lines[0].name} + ${lines.length - 1} more` : lines[0].name
+
+    const returnRequest = Return.build({
+      returnId,
+      orderId: order.orderId,
+      userId: user.id,
+      productId: lines[0].productId,
+      productName: summary.slice(0, 255),
+      items: lines,
+      resolution,
+      reason,
+      comment: trimmedComment,
+      photos,
+      amount: roundAmount(lines.reduce((sum, line) => sum + line.amount, 0)),
+      status: 'pending',
+      statusHistory: []
+    })
+    stampReturnStatus(returnRequest, 'pending', { actor, note: `${resolution === 'exchange' ? 'Exchange' : 'Refund'} requested` })
+    await returnRequest.save({ transaction })
+
+    if (order.status === 'Delivered') {
+      await transitionOrder(order, 'Return Requested', {
+        actor,
+        note: `Return ${returnId} requested for ${summary}`,
+        transaction
+      })
+    }
+    return returnRequest
+  })
+}
+
+/**
+ * Move an order on once the last of its open returns is closed
+ * An order with a refunded return becomes Returned, and Refunded too when that was all of its
+ * payment; one whose returns were all exchanged or turned down is simply delivered again.
+ * @param {Object} returnRequest - The return that was just closed
+ * @param {Object} actor - Who closed it: { type, id, name }
+ * @returns {Promise<void>}
+ */
+export const advanceOrderAfterReturn = async (returnRequest, actor = SYSTEM_ACTOR) => {
+  try {
+    const order = await Order.findOne({ where: { orderId: returnRequest.orderId } })
+    if (!order || order.status !== 'Return Requested') return
+
+    const [openReturns, refundedReturns] = await Promise.all([
+      Return.count({ where: { orderId: returnRequest.orderId, status: { [Op.in]: OPEN_RETURN_STATUSES } } }),
+      Return.count({ where: { orderId: returnRequest.orderId, status: 'refunded' } })
+    ])
+    if (openReturns > 0) return
+
+    const note = `Return ${returnRequest.returnId} ${RETURN_STATUS_LABELS[returnRequest.status]}`
+    if (refundedReturns === 0) {
+      await transitionOrder(order, 'Delivered', { actor, note })
+      return
+    }
+    await transitionOrder(order, 'Returned', { actor, note })
+    if (order.payment?.status === 'refunded') {
+      await transitionOrder(order, 'Refunded', { actor, note: 'Refunded in full' })
+    }
+  } catch (orderError) {
+    console.error('Error moving order on after return:', orderError)
+  }
+}
+
+/**
+ * Move a return along its lifecycle (not to refunded or exchanged)
+ * Passing quality check puts the returned items back into stock; rejecting a return or
+ * failing it at quality check moves the order on once no return is open.
+ * @param {Object} returnRequest - Return record
+ * @param {string} toStatus - One of RETURN_STATUSES
+ * @param {Object} options
+ * @param {Object} options.actor - Who made the change: { type, id, name }
+ * @param {string} options.note - Note shown in the return's history (optional; required
+ *                                for qc_failed, where it is the reason)
+ * @param {Object} options.pickup - { date, courier, trackingNumber } for pickup_scheduled
+ * @returns {Promise<Object>} - The updated return
+ * @throws {ReturnError} - 400 when the lifecycle does not allow the change
+ */
+export const transitionReturn = async (returnRequest, toStatus, { actor = SYSTEM_ACTOR, note, pickup } = {}) => {
+  if (!RETURN_STATUSES.includes(toStatus)) {
+    throw returnError(`Invalid status: ${toStatus}`)
+  }
+  if (toStatus === 'refunded') {
+    throw returnError('Use Process Refund to refund a return')
+  }
+  if (toStatus === 'exchanged') {
+    throw returnError('Use Dispatch Exchange to send the replacement')
+  }
+  const trimmedNote = note ? String(note).trim().slice(0, 1000) : null
+  if (toStatus === 'qc_failed' && !trimmedNote) {
+    throw returnError('Give the reason the items failed quality check')
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    await returnRequest.reload({ lock: transaction.LOCK.UPDATE, transaction })
+    const from = returnRequest.status
+
+    if (from === toStatus) {
+      throw returnError(`Return is already ${RETURN_STATUS_LABELS[toStatus]}`)
+    }
+    if (!getAllowedReturnTransitions(from).includes(toStatus)) {
+      throw returnError(`A return cannot move from ${from} to ${toStatus}`)
+    }
+
+    if (toStatus === 'pickup_scheduled') {
+      const pickupDate = pickup?.date ? new Date(pickup.date) : null
+      if (!pickupDate || Number.isNaN(pickupDate.getTime())) {
+        throw returnError('Pickup date is required')
+      }
+      returnRequest.pickup = {
+        date: pickupDate,
+        courier: pickup.courier ? String(pickup.courier).trim().slice(0, 100) : null,
+        trackingNumber: pickup.trackingNumber ? String(pickup.trackingNumber).trim().slice(0, 100) : null
+      }
+    }
+    if (['qc_passed', 'qc_failed'].includes(toStatus)) {
+      returnRequest.qcNotes = trimmedNote
+    }
+    if (toStatus === 'qc_passed') {
+      await restockItems(returnRequest.items || [], {
+        orderId: returnRequest.orderId,
+        reason: `Return ${returnRequest.returnId} passed quality check`,
+        createdBy: actor.type === 'admin' ? actor.id : null,
+        transaction
+      })
+    }
+
+    stampReturnStatus(returnRequest, toStatus, { actor, note: trimmedNote })
+    await returnRequest.save({ transaction })
+  })
+
+  if (['rejected', 'qc_failed'].includes(toStatus)) {
+    await advanceOrderAfterReturn(returnRequest, actor)
+  }
+  await notifyReturnStatus(returnRequest)
+  return returnRequest
+}
+
+/**
+ * Send the replacement for an exchange that passed quality check
+ * Stock for the chosen sizes/colors is taken against the return ID.
+ * @param {Object} returnRequest - Return record
+ * @param {Object} options
+ * @param {Object} options.actor - Who made the change: { type, id, name }
+ * @param {string} options.note - Shipment details for the history, e.g. a tracking number (optional)
+ * @returns {Promise<Object>} - The updated return
+ * @throws {ReturnError} - 400 when the return is not an exchange ready to dispatch
+ * @throws {InsufficientStockError} - 400 when a replacement is out of stock
+ */
+export const dispatchExchange = async (returnRequest, { actor = SYSTEM_ACTOR, note } = {}) => {
+  await sequelize.transaction(async (transaction) => {
+    await returnRequest.reload({ lock: transaction.LOCK.UPDATE, transaction })
+
+    if (returnRequest.resolution !== 'exchange') {
+      throw returnError('This return asked for a refund, not an exchange')
+    }
+    if (returnRequest.status !== 'qc_passed') {
+      throw returnError('The returned items must pass quality check before the exchange is sent')
+    }
+
+    await reserveStock((returnRequest.items || []).map(line => ({
+      product: line.productId,
+      variantId: line.exchangeVariantId,
+      size: line.exchangeSize,
+      color: line.exchangeColor,
+      name: line.name,
+      quantity: line.quantity
+    })), {
+      orderId: returnRequest.returnId,
+      reason: `Exchange for return ${returnRequest.returnId}`,
+      transaction
+    })
+
+    stampReturnStatus(returnRequest, 'exchanged', {
+      actor,
+      note: note ? String(note).trim().slice(0, 1000) : 'Replacement dispatched'
+    })
+    await returnRequest.save({ transaction })
+  })
+
+  await advanceOrderAfterReturn(returnRequest, actor)
+  await notifyReturnStatus(returnRequest)
+  return returnRequest
+}
+
+/**
+ * Tell the customer (by SMS, if they opted in) that their return moved on
+ * @param {Object} returnRequest - Return record
+ * @returns {Promise<void>}
+ */
+export const notifyReturnStatus = async (returnRequest) => {
+  try {
+    const [order, user] = await Promise.all([
+      Order.findOne({ where: { orderId: returnRequest.orderId } }),
+      User.findByPk(returnRequest.userId)
+    ])
+    if (!order) return
+
+    await sendOrderSms('return_status', order, user, {
+      returnId: returnRequest.returnId,
+      productName: returnRequest.productName,
+      returnStatus: RETURN_STATUS_LABELS[returnRequest.status] || returnRequest.status,
+      refundAmount: returnRequest.status === 'refunded'
+        ? `₹${parseFloat(returnRequest.amount || 0).toFixed(2)}`
+        : ''
+    })
+  } catch (smsError) {
+    // Don't fail the return update if the SMS fails
+    console.error('Error sending return status SMS:', smsError)
+  }
+}
+
+/**
+ * Take back the coins earned on the refunded part of the order; once everything is
+ * refunded the order is undone as a whole, which also gives back the coins spent on it
+ * @param {Object} returnRequest - Return record, already marked refunded
+ * @returns {Promise<void>}
+ */
+export const reverseReturnCoins = async (returnRequest) => {
+  try {
+    const order = await Order.findOne({ where: { orderId: returnRequest.orderId } })
+    if (!order || !order.userId) return
+
+    const returnedAmount = await Return.sum('amount', {
+      where: { orderId: returnRequest.orderId, status: 'refunded' }
+    }) || 0
+    const whole = returnedAmount >= parseFloat(order.total)
+
+    await reverseOrderCoins(order, {
+      returnedAmount: whole ? undefined : returnedAmount,
+      reason: `Return ${returnRequest.returnId} refunded`
+    })
+  } catch (coinError) {
+    // Don't fail the refund if the coin reversal fails
+    console.error('Error reversing coins for return:', coinError)
+  }
+}
+
+export default {
+  RETURN_STATUSES,
+  RETURN_TRANSITIONS,
+  RETURN_STATUS_LABELS,
+  OPEN_RETURN_STATUSES,
+  RETURN_RESOLUTIONS,
+  RETURN_REASONS,
+  DEFAULT_RETURN_WINDOW_DAYS,
+  MAX_RETURN_PHOTOS,
+  getAllowedReturnTransitions,
+  getReturnWindows,
+  getDeliveredAt,
+  getReturnEligibility,
+  stampReturnStatus,
+  createReturnRequest,
+  advanceOrderAfterReturn,
+  transitionReturn,
+  dispatchExchange,
+  notifyReturnStatus,
+  reverseReturnCoins
+}
@@ -0,0 +1,114 @@
+/**
+ * Product Search Service
+ * Full-text search over products.searchVector, which a database trigger builds from the
+ * product name, category and subcategory names, material, colour names and description
+ * (see scripts/addProductSearch.js). pg_trgm similarity ranks near matches and drives the
+ * "did you mean" correction for misspelt words.
+ */
+
+import { sequelize } from '../config/db.js'
+
+const SEARCH_LANGUAGE = 'english'
+const MAX_SEARCH_LENGTH = 100
+
+/**
+ * Tidy a search string from the query string
+ * @param {string} search
+ * @returns {string} - Trimmed, single-spaced and capped at MAX_SEARCH_LENGTH ('' if empty)
+ */
+export const normalizeSearch = (search) => {
+  if (search === undefined || search === null) return ''
+  return String(search).replace(/\s+/g, ' ').trim().slice(0, MAX_SEARCH_LENGTH)
+}
+
+// Letters and digits only, so the words are safe inside a tsquery
+const searchWords = (search) => search.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []
+
+// Every word must match; the last ones are often still being typed, so all match as prefixes
+const tsQuery = (search) => {
+  const words = searchWords(search)
+  const query = words.length > 0 ? words.map(word => `${word}:*`).join(' & ') : ''
+  return `to_tsquery('${SEARCH_LANGUAGE}', ${sequelize.escape(query)})`
+}
+
+/**
+ * WHERE condition matching products for a search: full-text matches plus product names that
+ * are close to the search (typos in the name itself)
+ * @param {string} search - Normalized search
+ * @returns {Object} - Sequelize literal for "Product"
+ */
+export const searchCondition = (search) =>
+  sequelize.literal(`("Product"."searchVector" @@ ${tsQuery(search)}
+    OR ${sequelize.escape(search)} <% "Product"."name")`)
+
+/**
+ * ORDER BY expression ranking the best matches first
+ * @param {string} search - Normalized search
+ * @returns {Object} - Sequelize literal for "Product"
+ */
+export const searchRank = (search) =>
+  sequelize.literal(`(ts_rank_cd(COALESCE("Product"."searchVector", ''::tsvector), ${tsQuery(search)})
+    + similarity("Product"."name", ${sequelize.escape(search)}))`)
+
+/**
+ * Correct misspelt words against the catalogue's vocabulary (product, category, subcategory,
+ * material and colour names). Words the catalogue knows, or that start a word it knows, are
+ * kept as typed.
+ * @param {string} search - Normalized search
+ * @returns {Promise<string|null>} - The corrected search, or null if nothing was corrected
+ */
+export const suggestCorrection = async (search) => {
+  const words = searchWords(search)
+  if (words.length === 0) return null
+
+  const rows = await sequelize.query(`
+    WITH terms AS (
+      SELECT name AS term FROM products WHERE "isActive" = true
+      UNION ALL
+      SELECT material FROM products WHERE "isActive" = true AND material IS NOT NULL
+      UNION ALL
+      SELECT color->>'name' FROM products p,
+        jsonb_array_elements(CASE WHEN jsonb_typeof(p.colors) = 'array' THEN p.colors ELSE '[]'::jsonb END) color
+      WHERE p."isActive" = true
+      UNION ALL
+      SELECT name FROM categories WHERE "isActive" = true
+      UNION ALL
+      SELECT name FROM subcategories WHERE "isActive" = true
+    ),
+    vocabulary AS (
+      SELECT DISTINCT word
+      FROM terms, regexp_split_to_table(lower(term), '[^[:alnum:]]+') AS word
+      WHERE length(word) > 2
+    )
+    SELECT
+      typed.word,
+      EXISTS (SELECT 1 FROM vocabulary v WHERE v.word LIKE typed.word || '%') AS known,
+      (
+        SELECT v.word FROM vocabulary v
+        WHERE v.word % typed.word
+        ORDER BY similarity(v.word, typed.word) DESC, v.word
+        LIMIT 1
+      ) AS closest
+    FROM unnest(ARRAY[:words]::text[]) WITH ORDINALITY AS typed(word, position)
+    ORDER BY typed.position
+  `, {
+    replacements: { words },
+    type: sequelize.QueryTypes.SELECT
+  })
+
+  let corrected = false
+  const correctedWords = rows.map(row => {
+    if (row.known || !row.closest || row.word.length <= 2) return row.word
+    corrected = true
+    return row.closest
+  })
+
+  return corrected ? correctedWords.join(' ') : null
+}
+
+export default {
+  normalizeSearch,
+  searchCondition,
+  searchRank,
+  suggestCorrection
+}
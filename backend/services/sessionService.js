@@ -0,0 +1,196 @@
+import crypto from 'crypto'
+import { Op } from 'sequelize'
+import Session from '../models/Session.js'
+import User from '../models/User.js'
+import { generateAccessToken } from '../utils/generateToken.js'
+
+/**
+ * Session Service for signed-in customer devices
+ * Signing in starts a session and returns a short-lived access token (ACCESS_TOKEN_TTL,
+ * default 15m) with a refresh token. The refresh token is exchanged at POST /api/auth/refresh
+ * for a new pair and stops working once used (rotation). A session lasts
+ * REFRESH_TOKEN_TTL_DAYS (default 30) from its last refresh.
+ * - Refresh tokens look like "<sessionId>.<secret>"; only SHA-256 hashes are stored.
+ * - A token that was already rotated away coming back means it was copied, so the session is
+ *   revoked. Within REFRESH_REUSE_GRACE_SECONDS (default 30) of a rotation it is only refused,
+ *   as another tab of the same browser may have refreshed at the same moment.
+ * - Access tokens name their session, and protect rejects them once the session is revoked,
+ *   so signing a device out takes effect at once.
+ */
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30')
+const REFRESH_REUSE_GRACE_SECONDS = parseInt(process.env.REFRESH_REUSE_GRACE_SECONDS || '30')
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+const sessionError = (message, statusCode = 401) => {
+  const error = new Error(message)
+  error.name = 'SessionError'
+  error.statusCode = statusCode
+  return error
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex')
+
+const newRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(32).toString('hex')}`
+
+const sessionExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+
+// Device details shown in the customer's session list
+const describeRequest = (req) => ({
+  userAgent: (req?.get?.('user-agent') || '').slice(0, 500) || null,
+  ipAddress: req?.ip || null
+})
+
+/**
+ * Start a session for a customer who just signed in or registered
+ * @param {Object} user - User record
+ * @param {Object} req - Express request, for the device's user agent and IP (optional)
+ * @returns {Promise<Object>} - { session, accessToken, refreshToken }
+ */
+export const createSession = async (user, req) => {
+  const session = Session.build({
+    userId: user.id,
+    ...describeRequest(req),
+    lastUsedAt: new Date(),
+    expiresAt: sessionExpiry()
+  })
+  const refreshToken = newRefreshToken(session.id)
+  session.refreshTokenHash = hashToken(refreshToken)
+  await session.save()
+
+  return {
+    session,
+    accessToken: generateAccessToken(user.id, session.id),
+    refreshToken
+  }
+}
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * @param {string} refreshToken - Token from createSession or an earlier refresh
+ * @param {Object} req - Express request (optional)
+ * @returns {Promise<Object>} - { accessToken, refreshToken, user }
+ * @throws {SessionError} - 401 when the token is invalid, used, revoked or expired
+ */
+export const refreshSession = async (refreshToken, req) => {
+  const token = String(refreshToken || '')
+  const [sessionId, secret] = token.split('.')
+  if (!UUID_PATTERN.test(sessionId || '') || !secret) {
+    throw sessionError('Invalid refresh token')
+  }
+
+  const session = await Session.findByPk(sessionId)
+  if (!session || session.revokedAt) {
+    throw sessionError('Your session has ended. Please sign in again.')
+  }
+
+  const now = new Date()
+  const tokenHash = hashToken(token)
+  if (tokenHash !== session.refreshTokenHash) {
+    const withinGrace = now.getTime() - session.lastUsedAt.getTime() < REFRESH_REUSE_GRACE_SECONDS * 1000
+    if (tokenHash === session.previousTokenHash && !withinGrace) {
+      await revokeSession(session.id, session.userId, 'token_reuse')
+    }
+    throw sessionError('Your session has ended. Please sign in again.')
+  }
+  if (session.expiresAt <= now) {
+    throw sessionError('Your session has expired. Please sign in again.')
+  }
+
+  const user = await User.findByPk(session.userId)
+  if (!user) {
+    throw sessionError('User not found')
+  }
+
+  // Rotate only if no concurrent refresh got there first
+  const nextToken = newRefreshToken(session.id)
+  const [rotated] = await Session.update({
+    refreshTokenHash: hashToken(nextToken),
+    previousTokenHash: tokenHash,
+    ...describeRequest(req),
+    lastUsedAt: now,
+    expiresAt: sessionExpiry()
+  }, {
+    where: { id: session.id, refreshTokenHash: tokenHash, revokedAt: null }
+  })
+  if (rotated === 0) {
+    throw sessionError('Your session has ended. Please sign in again.')
+  }
+
+  return {
+    accessToken: generateAccessToken(user.id, session.id),
+    refreshToken: nextToken,
+    user
+  }
+}
+
+/**
+ * Whether an access token's session is still signed in
+ * @param {string} sessionId - Session ID from the access token
+ * @returns {Promise<boolean>}
+ */
+export const isSessionActive = async (sessionId) => {
+  if (!sessionId) return false
+  const session = await Session.findByPk(sessionId, { attributes: ['id', 'revokedAt', 'expiresAt'] })
+  return Boolean(session && !session.revokedAt && session.expiresAt > new Date())
+}
+
+/**
+ * Sign one session out
+ * @param {string} sessionId - Session ID
+ * @param {string} userId - Owner of the session; other customers' sessions are left alone
+ * @param {string} reason - Stored as revokedReason (e.g. logout, remote_logout)
+ * @returns {Promise<boolean>} - Whether a signed-in session was revoked
+ */
+export const revokeSession = async (sessionId, userId, reason = 'logout') => {
+  const [revoked] = await Session.update(
+    { revokedAt: new Date(), revokedReason: reason },
+    { where: { id: sessionId, userId, revokedAt: null } }
+  )
+  return revoked > 0
+}
+
+/**
+ * Sign a customer out everywhere, e.g. after a password change
+ * @param {string} userId - Customer ID
+ * @param {Object} options
+ * @param {string} options.exceptSessionId - Session to keep signed in (optional)
+ * @param {string} options.reason - Stored as revokedReason
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+export const revokeUserSessions = async (userId, { exceptSessionId, reason = 'logout_all' } = {}) => {
+  const [revoked] = await Session.update(
+    { revokedAt: new Date(), revokedReason: reason },
+    {
+      where: {
+        userId,
+        revokedAt: null,
+        ...(exceptSessionId && { id: { [Op.ne]: exceptSessionId } })
+      }
+    }
+  )
+  return revoked
+}
+
+/**
+ * A customer's signed-in sessions, most recently used first
+ * @param {string} userId - Customer ID
+ * @returns {Promise<Array>} - Session records
+ */
+export const listActiveSessions = async (userId) => {
+  return Session.findAll({
+    where: { userId, revokedAt: null, expiresAt: { [Op.gt]: new Date() } },
+    attributes: ['id', 'userAgent', 'ipAddress', 'lastUsedAt', 'createdAt'],
+    order: [['lastUsedAt', 'DESC']]
+  })
+}
+
+export default {
+  createSession,
+  refreshSession,
+  isSessionActive,
+  revokeSession,
+  revokeUserSessions,
+  listActiveSessions
+}
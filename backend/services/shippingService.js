@@ -0,0 +1,244 @@
+import { Op } from 'sequelize'
+import Product from '../models/Product.js'
+import Setting from '../models/Setting.js'
+
+/**
+ * Shipping Service for delivery quotes
+ * Rates come from Setting records in the 'shipping' category (edited on the admin Settings page):
+ * - freeShippingThreshold: order subtotal (₹) from which shipping is free
+ * - standardShippingCost / expressShippingCost / sameDayCost: base cost of each method
+ * - shipping_methods (json, optional): full method definitions, replacing the three costs above
+ *     [{ id, name, cost, estimatedDays, freeAboveThreshold, zones }]
+ * - shipping_zones (json): [{ id, name, pinPrefixes: ['600', '78'], surcharge, freeShippingThreshold,
+ *     methods, serviceable }] - a PIN code belongs to the zone with the longest matching prefix
+ * - shipping_slabs (json): { basis: 'items' | 'weight', defaultItemWeight, ranges: [{ upTo, extra }] }
+ *     - extra charge by item count or total weight in grams (product.shippingInfo.weight)
+ */
+
+const DEFAULT_THRESHOLD = 2000
+
+const DEFAULT_ZONE = {
+  id: 'default',
+  name: 'Rest of India',
+  pinPrefixes: [],
+  surcharge: 0,
+  serviceable: true
+}
+
+const shippingError = (message, statusCode = 400) => {
+  const error = new Error(message)
+  error.name = 'ShippingError'
+  error.statusCode = statusCode
+  return error
+}
+
+const parseSettingValue = (setting) => {
+  if (setting.type === 'number') return parseFloat(setting.value)
+  if (setting.type === 'boolean') return setting.value === 'true' || setting.value === '1'
+  if (setting.type === 'json') {
+    try {
+      return JSON.parse(setting.value)
+    } catch (e) {
+      return null
+    }
+  }
+  return setting.value
+}
+
+const toNumber = (value, fallback) => {
+  const number = parseFloat(value)
+  return Number.isFinite(number) ? number : fallback
+}
+
+/**
+ * Load the shipping configuration from settings
+ * @param {Object} options
+ * @param {Object} options.transaction - Sequelize transaction (optional)
+ * @returns {Promise<Object>} - { freeShippingThreshold, methods, zones, slabs }
+ */
+export const getShippingConfig = async ({ transaction } = {}) => {
+  const settings = await Setting.findAll({ where: { category: 'shipping' }, transaction })
+  const values = {}
+  settings.forEach(setting => {
+    values[setting.key] = parseSettingValue(setting)
+  })
+
+  const methods = Array.isArray(values.shipping_methods) && values.shipping_methods.length > 0
+    ? values.shipping_methods
+    : [
+        {
+          id: 'standard',
+          name: 'Standard Delivery',
+          cost: toNumber(values.standardShippingCost, 100),
+          estimatedDays: '5-7 business days',
+          freeAboveThreshold: true
+        },
+        {
+          id: 'express',
+          name: 'Express Delivery',
+          cost: toNumber(values.expressShippingCost, 200),
+          estimatedDays: '2-3 business days',
+          freeAboveThreshold: false
+        },
+        // Same day delivery is only offered in zones that list it in their methods
+        ...(toNumber(values.sameDayCost, 0) > 0
+          ? [{
+              id: 'same_day',
+              name: 'Same Day Delivery',
+              cost: toNumber(values.sameDayCost, 0),
+              estimatedDays: 'Today',
+              freeAboveThreshold: false,
+              zonesOnly: true
+            }]
+          : [])
+      ]
+
+  return {
+    freeShippingThreshold: toNumber(values.freeShippingThreshold, DEFAULT_THRESHOLD),
+    methods: methods.filter(method => method.enabled !== false),
+    zones: Array.isArray(values.shipping_zones) ? values.shipping_zones : [],
+    slabs: values.shipping_slabs && Array.isArray(values.shipping_slabs.ranges)
+      ? values.shipping_slabs
+      : { basis: 'items', ranges: [] }
+  }
+}
+
+/**
+ * Find the zone for a PIN code (longest matching prefix wins)
+ * @param {Array} zones - Zone definitions
+ * @param {string} pinCode - 6-digit Indian PIN code
+ * @returns {Object} - Zone (DEFAULT_ZONE when nothing matches)
+ */
+export const resolveZone = (zones, pinCode) => {
+  const pin = String(pinCode || '').trim()
+  let match = null
+  let matchLength = 0
+
+  for (const zone of zones) {
+    for (const prefix of zone.pinPrefixes || []) {
+      const normalized = String(prefix).trim()
+      if (normalized && pin.startsWith(normalized) && normalized.length > matchLength) {
+        match = zone
+        matchLength = normalized.length
+      }
+    }
+  }
+
+  return match ? { ...DEFAULT_ZONE, ...match } : DEFAULT_ZONE
+}
+
+/**
+ * Find the slab charge for an order
+ * @param {Object} slabs - { basis, defaultItemWeight, ranges }
+ * @param {Array} items - [{ quantity, weight }]
+ * @returns {Object} - { basis, measure, extra }
+ */
+export const calculateSlabCharge = (slabs, items) => {
+  const basis = slabs.basis === 'weight' ? 'weight' : 'items'
+  const defaultWeight = toNumber(slabs.defaultItemWeight, 500)
+  const measure = items.reduce((sum, item) => {
+    const quantity = item.quantity || 1
+    return sum + (basis === 'weight' ? toNumber(item.weight, defaultWeight) * quantity : quantity)
+  }, 0)
+
+  // Ranges are checked in ascending upTo order; a range without upTo catches everything above
+  const ranges = [...slabs.ranges].sort((a, b) =>
+    (a.upTo === null || a.upTo === undefined ? Infinity : a.upTo) -
+    (b.upTo === null || b.upTo === undefined ? Infinity : b.upTo))
+  const range = ranges.find(r => r.upTo === null || r.upTo === undefined || measure <= r.upTo)
+
+  return { basis, measure, extra: range ? toNumber(range.extra, 0) : 0 }
+}
+
+// Look up shipping weights for cart items that only carry a product ID
+const withWeights = async (items, transaction) => {
+  const productIds = [...new Set(items.map(item => item.product || item.productId).filter(Boolean))]
+  if (productIds.length === 0) return items
+
+  const products = await Product.findAll({
+    where: { id: { [Op.in]: productIds } },
+    attributes: ['id', 'shippingInfo'],
+    transaction
+  })
+  const weights = new Map(products.map(product => [product.id, product.shippingInfo?.weight]))
+
+  return items.map(item => ({
+    ...item,
+    weight: item.weight ?? weights.get(item.product || item.productId)
+  }))
+}
+
+/**
+ * Quote every shipping method available for a delivery
+ * @param {Object} params
+ * @param {string} params.pinCode - Delivery PIN code (optional - the default zone is used without one)
+ * @param {Array} params.items - Cart items ({ product, quantity })
+ * @param {number} params.subtotal - Order subtotal (₹)
+ * @param {string} params.method - Preferred method ID (optional; 'free' or unknown picks the cheapest)
+ * @param {Object} params.transaction - Sequelize transaction (optional)
+ * @returns {Promise<Object>} - { pinCode, zone, freeShippingThreshold, methods, method, cost }
+ */
+export const quoteShipping = async ({ pinCode, items = [], subtotal = 0, method, transaction }) => {
+  if (pinCode && !/^[1-9][0-9]{5}$/.test(String(pinCode).trim())) {
+    throw shippingError('Please enter a valid 6-digit PIN code')
+  }
+
+  const config = await getShippingConfig({ transaction })
+  const zone = resolveZone(config.zones, pinCode)
+  if (zone.serviceable === false) {
+    throw shippingError(`Sorry, we do not deliver to PIN code ${pinCode} yet`)
+  }
+
+  const slab = calculateSlabCharge(
+    config.slabs,
+    config.slabs.basis === 'weight' ? await withWeights(items, transaction) : items
+  )
+  const threshold = toNumber(zone.freeShippingThreshold, config.freeShippingThreshold)
+
+  const methods = config.methods
+    .filter(m => {
+      if (Array.isArray(zone.methods)) return zone.methods.includes(m.id)
+      if (Array.isArray(m.zones)) return m.zones.includes(zone.id)
+      return !m.zonesOnly
+    })
+    .map(m => {
+      const free = m.freeAboveThreshold !== false && threshold > 0 && subtotal >= threshold
+      return {
+        id: m.id,
+        name: m.name,
+        estimatedDays: m.estimatedDays || null,
+        cost: free ? 0 : Math.round((toNumber(m.cost, 0) + toNumber(zone.surcharge, 0) + slab.extra) * 100) / 100,
+        free
+      }
+    })
+
+  if (methods.length === 0) {
+    throw shippingError('No shipping method is available for this PIN code')
+  }
+
+  const cheapest = methods.reduce((best, m) => (m.cost < best.cost ? m : best), methods[0])
+  let selected = cheapest
+  if (method && method !== 'free') {
+    selected = methods.find(m => m.id === method)
+    if (!selected) {
+      throw shippingError('The selected shipping method is not available for this PIN code')
+    }
+  }
+
+  return {
+    pinCode: pinCode || null,
+    zone: { id: zone.id, name: zone.name },
+    freeShippingThreshold: threshold,
+    slab,
+    methods,
+    method: selected.id,
+    cost: selected.cost
+  }
+}
+
+export default {
+  getShippingConfig,
+  resolveZone,
+  calculateSlabCharge,
+  quoteShipping
+}
@@ -0,0 +1,241 @@
+import twilio from 'twilio'
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { dirname } from 'path'
+import { BUILT_IN_SMS_TEMPLATES, getActiveTemplate, getStoreName, buildOrderVariables } from './emailTemplateService.js'
+import { enqueueMessage } from './messageQueueService.js'
+import { renderTemplate } from '../utils/templateRenderer.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = dirname(__filename)
+
+/**
+ * SMS Service for customer notifications
+ * Configure using environment variables:
+ * - SMS_PROVIDER: 'twilio', 'console' or 'file' (defaults to twilio when it is configured, else console)
+ *   The console and file providers only work outside production (NODE_ENV !== 'production'), as
+ *   messages include sign-in codes; in production every send fails until Twilio is configured.
+ * - TWILIO_ACCOUNT_SID / TWILIO_AUTH_TOKEN: Twilio credentials
+ * - TWILIO_FROM_NUMBER or TWILIO_MESSAGING_SERVICE_SID: sender
+ * - SMS_LOG_FILE: file the 'file' provider appends to (default logs/sms.log under backend)
+ * - SMS_COUNTRY_CODE: prefix for 10-digit mobile numbers (default +91)
+ * Messages go to User.mobile only when preferences.smsNotifications is on, and are rendered
+ * from the admin's 'sms' channel templates, falling back to the built-in texts in
+ * emailTemplateService.js. Messages are queued and delivered by the message worker.
+ */
+
+// Production without Twilio: fail rather than print sign-in codes to the logs
+const unconfiguredProvider = {
+  name: 'unconfigured',
+  send: async () => {
+    const error = new Error('SMS configuration missing. Set TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM_NUMBER.')
+    error.name = 'SmsError'
+    throw error
+  }
+}
+
+const consoleProvider = {
+  name: 'console',
+  send: async ({ to, body }) => {
+    console.log(`[SMS Service - Console] To: ${to}`)
+    console.log(`[SMS Service - Console] ${body}`)
+    return { messageId: 'console-' + Date.now() }
+  }
+}
+
+const fileProvider = {
+  name: 'file',
+  send: async ({ to, body }) => {
+    const logFile = process.env.SMS_LOG_FILE || path.join(__dirname, '..', 'logs', 'sms.log')
+    await fs.promises.mkdir(path.dirname(logFile), { recursive: true })
+    const messageId = 'file-' + Date.now()
+    await fs.promises.appendFile(logFile, JSON.stringify({ messageId, to, body, sentAt: new Date().toISOString() }) + '\n')
+    return { messageId }
+  }
+}
+
+const createTwilioProvider = () => {
+  const client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN)
+  return {
+    name: 'twilio',
+    send: async ({ to, body }) => {
+      const message = await client.messages.create({
+        to,
+        body,
+        ...(process.env.TWILIO_MESSAGING_SERVICE_SID
+          ? { messagingServiceSid: process.env.TWILIO_MESSAGING_SERVICE_SID }
+          : { from: process.env.TWILIO_FROM_NUMBER })
+      })
+      return { messageId: message.sid }
+    }
+  }
+}
+
+// Pick the provider from the environment
+const createProvider = () => {
+  const twilioConfigured = process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN &&
+    (process.env.TWILIO_FROM_NUMBER || process.env.TWILIO_MESSAGING_SERVICE_SID)
+  const isProduction = process.env.NODE_ENV === 'production'
+  const name = process.env.SMS_PROVIDER || (twilioConfigured ? 'twilio' : 'console')
+
+  if (name === 'twilio' && twilioConfigured) {
+    return createTwilioProvider()
+  }
+  if (isProduction) {
+    console.error('SMS is not configured. Set TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM_NUMBER; SMS will fail until then.')
+    return unconfiguredProvider
+  }
+  if (name === 'twilio') {
+    console.warn('SMS_PROVIDER is twilio but Twilio is not configured. Set TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM_NUMBER. Using the console provider.')
+    return consoleProvider
+  }
+  if (name === 'file') return fileProvider
+  return consoleProvider
+}
+
+let provider = createProvider()
+
+/**
+ * Replace the SMS provider (e.g. with a fake in tests)
+ * @param {Object} smsProvider - { name, send: async ({ to, body }) => ({ messageId }) }
+ */
+export const setSmsProvider = (smsProvider) => {
+  provider = smsProvider
+}
+
+/**
+ * Turn a stored mobile number into E.164 (+91XXXXXXXXXX)
+ * @param {string} mobile - 10-digit mobile, or a number that already has its country code
+ * @returns {string|null}
+ */
+export const toE164 = (mobile) => {
+  const digits = String(mobile || '').replace(/[^\d+]/g, '')
+  if (!digits) return null
+  if (digits.startsWith('+')) return digits
+  if (digits.length === 10) return `${process.env.SMS_COUNTRY_CODE || '+91'}${digits}`
+  return `+${digits}`
+}
+
+const permanentError = (message) => {
+  const error = new Error(message)
+  error.name = 'SmsError'
+  error.permanent = true
+  return error
+}
+
+/**
+ * Deliver an SMS now (used by the message worker); throws if it could not be sent
+ * @param {Object} options
+ * @param {string} options.to - Mobile number (E.164)
+ * @param {string} options.body - Message text
+ * @returns {Promise<Object>} - { messageId }
+ */
+export const deliverSms = async ({ to, body }) => {
+  const number = toE164(to)
+  if (!number) {
+    throw permanentError('No mobile number')
+  }
+  return await provider.send({ to: number, body })
+}
+
+/**
+ * Send an SMS (queued; the message worker delivers it and retries failures)
+ * @param {Object} options
+ * @param {string} options.to - Mobile number
+ * @param {string} options.body - Message text
+ * @param {string} options.kind - What the message is, shown on the admin Messages page (default 'sms')
+ * @param {Object} options.metadata - e.g. { orderId } (optional)
+ * @returns {Promise<Object>} - Result object with success status and the queued jobId
+ */
+export const sendSms = async ({ to, body, kind = 'sms', metadata }) => {
+  try {
+    const number = toE164(to)
+    if (!number) {
+      return { success: false, message: 'No mobile number' }
+    }
+
+    const job = await enqueueMessage({
+      channel: 'sms',
+      kind,
+      to: number,
+      payload: { body },
+      metadata
+    })
+    return {
+      success: true,
+      queued: true,
+      message: 'SMS queued',
+      jobId: job.id
+    }
+  } catch (error) {
+    console.error('SMS queueing error:', error)
+    return {
+      success: false,
+      message: error.message || 'Failed to queue SMS',
+      error: error.toString()
+    }
+  }
+}
+
+/**
+ * Render an SMS notification from the active 'sms' template of its type
+ * @param {string} type - One of BUILT_IN_SMS_TEMPLATES
+ * @param {Object} data - Template variables
+ * @returns {Promise<string>}
+ */
+export const renderSms = async (type, data) => {
+  const template = await getActiveTemplate(type, 'sms')
+  if (template) {
+    try {
+      return renderTemplate(template.body, data, { escape: false }).trim()
+    } catch (error) {
+      console.error(`SMS template "${template.name}" failed to render, using the default:`, error.message)
+    }
+  }
+  return renderTemplate(BUILT_IN_SMS_TEMPLATES[type].body, data, { escape: false }).trim()
+}
+
+/**
+ * Send an order notification SMS to a customer who opted in
+ * Never throws: order and return updates must not fail because of an SMS.
+ * @param {string} type - 'order_placed', 'order_shipped', 'order_out_for_delivery', 'order_delivered' or 'return_status'
+ * @param {Object} order - Order record
+ * @param {Object} user - Customer (mobile, name, preferences)
+ * @param {Object} extra - Additional variables (e.g. returnId, productName, returnStatus, refundAmount)
+ * @returns {Promise<Object>} - Result object; skipped is true when the customer has not opted in
+ */
+export const sendOrderSms = async (type, order, user, extra = {}) => {
+  try {
+    if (!user || !user.preferences?.smsNotifications) {
+      return { success: false, skipped: true, message: 'Customer has not opted in to SMS' }
+    }
+    if (!user.mobile) {
+      return { success: false, skipped: true, message: 'No mobile number' }
+    }
+
+    const body = await renderSms(type, {
+      storeName: await getStoreName(),
+      ...buildOrderVariables(order, user),
+      ...extra
+    })
+    return await sendSms({
+      to: user.mobile,
+      body,
+      kind: type,
+      metadata: { orderId: order.orderId, ...(extra.returnId && { returnId: extra.returnId }) }
+    })
+  } catch (error) {
+    console.error(`Error sending ${type} SMS:`, error)
+    return { success: false, message: error.message || 'Failed to send SMS' }
+  }
+}
+
+export default {
+  setSmsProvider,
+  toE164,
+  deliverSms,
+  sendSms,
+  renderSms,
+  sendOrderSms
+}
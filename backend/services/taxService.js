@@ -0,0 +1,294 @@
+import { Op } from 'sequelize'
+import Product from '../models/Product.js'
+import Category from '../models/Category.js'
+import Setting from '../models/Setting.js'
+
+/**
+ * Tax Service for GST on orders
+ * Settings in the 'tax' category (edited on the admin Settings page):
+ * - gstin: the store's GST registration number, printed on invoices
+ * - gstState: the state the store is registered in (decides CGST + SGST vs IGST)
+ * - legalName: registered business name (defaults to the store name)
+ * - defaultHsnCode: HSN code for products and categories without their own
+ * - gst_slabs (json): [{ upTo, rate }] - rate (%) by per-unit taxable value; a slab without
+ *     upTo catches everything above. Products and categories can carry their own gstSlabs.
+ * Each line's taxable value is its price less its share of the order's discounts, so the
+ * slab follows what the customer actually pays per piece.
+ */
+
+// Apparel and made-ups (HSN chapters 61-63): 5% up to ₹2,500 per piece, 18% above
+const DEFAULT_SLABS = [
+  { upTo: 2500, rate: 5 },
+  { upTo: null, rate: 18 }
+]
+
+const DEFAULT_HSN_CODE = '6211'
+
+// Courier and delivery services
+const SHIPPING_SAC_CODE = '996812'
+
+const DEFAULT_STATE = 'Maharashtra'
+
+// GST state codes, keyed by state/UT name in lower case without spaces or punctuation
+const STATE_CODES = {
+  jammuandkashmir: '01',
+  himachalpradesh: '02',
+  punjab: '03',
+  chandigarh: '04',
+  uttarakhand: '05',
+  haryana: '06',
+  delhi: '07',
+  rajasthan: '08',
+  uttarpradesh: '09',
+  bihar: '10',
+  sikkim: '11',
+  arunachalpradesh: '12',
+  nagaland: '13',
+  manipur: '14',
+  mizoram: '15',
+  tripura: '16',
+  meghalaya: '17',
+  assam: '18',
+  westbengal: '19',
+  jharkhand: '20',
+  odisha: '21',
+  chhattisgarh: '22',
+  madhyapradesh: '23',
+  gujarat: '24',
+  dadraandnagarhavelianddamananddiu: '26',
+  maharashtra: '27',
+  karnataka: '29',
+  goa: '30',
+  lakshadweep: '31',
+  kerala: '32',
+  tamilnadu: '33',
+  puducherry: '34',
+  andamanandnicobarislands: '35',
+  telangana: '36',
+  andhrapradesh: '37',
+  ladakh: '38'
+}
+
+const STATE_ALIASES = {
+  newdelhi: 'delhi',
+  nctofdelhi: 'delhi',
+  orissa: 'odisha',
+  pondicherry: 'puducherry',
+  uttaranchal: 'uttarakhand',
+  jk: 'jammuandkashmir',
+  andamanandnicobar: 'andamanandnicobarislands',
+  dadraandnagarhaveli: 'dadraandnagarhavelianddamananddiu',
+  damananddiu: 'dadraandnagarhavelianddamananddiu'
+}
+
+const roundMoney = (value) => Math.round(value * 100) / 100
+
+const parseSettingValue = (setting) => {
+  if (setting.type === 'number') return parseFloat(setting.value)
+  if (setting.type === 'boolean') return setting.value === 'true' || setting.value === '1'
+  if (setting.type === 'json') {
+    try {
+      return JSON.parse(setting.value)
+    } catch (e) {
+      return null
+    }
+  }
+  return setting.value
+}
+
+const validSlabs = (slabs) =>
+  Array.isArray(slabs) && slabs.length > 0 && slabs.every(slab => Number.isFinite(parseFloat(slab.rate)))
+
+/**
+ * Find the GST state code for a state name
+ * @param {string} state - State or UT name as typed in an address (e.g. 'Tamil Nadu', 'Orissa')
+ * @returns {string|null} - Two-digit GST state code
+ */
+export const resolveStateCode = (state) => {
+  const key = String(state || '').toLowerCase().replace(/&/g, 'and').replace(/[^a-z]/g, '')
+  if (!key) return null
+  return STATE_CODES[STATE_ALIASES[key] || key] || null
+}
+
+/**
+ * Load the GST configuration and seller details from settings
+ * @param {Object} options
+ * @param {Object} options.transaction - Sequelize transaction (optional)
+ * @returns {Promise<Object>} - { seller: { name, address, gstin, state, stateCode }, slabs, defaultHsnCode }
+ */
+export const getTaxConfig = async ({ transaction } = {}) => {
+  const settings = await Setting.findAll({
+    where: { category: { [Op.in]: ['tax', 'store'] } },
+    transaction
+  })
+  const values = {}
+  settings.forEach(setting => {
+    values[setting.key] = parseSettingValue(setting)
+  })
+
+  const state = values.gstState || DEFAULT_STATE
+
+  return {
+    seller: {
+      name: values.legalName || values.name || 'Arudhra Fashions',
+      address: values.address || null,
+      gstin: values.gstin || process.env.GSTIN || null,
+      state,
+      stateCode: resolveStateCode(state)
+    },
+    slabs: validSlabs(values.gst_slabs) ? values.gst_slabs : DEFAULT_SLABS,
+    defaultHsnCode: values.defaultHsnCode || DEFAULT_HSN_CODE
+  }
+}
+
+/**
+ * Find the GST rate for a per-unit value
+ * @param {Array} slabs - [{ upTo, rate }]
+ * @param {number} unitValue - Taxable value of one piece (₹)
+ * @returns {number} - Rate in percent
+ */
+export const rateForValue = (slabs, unitValue) => {
+  // Slabs are checked in ascending upTo order; a slab without upTo catches everything above
+  const sorted = [...slabs].sort((a, b) =>
+    (a.upTo === null || a.upTo === undefined ? Infinity : a.upTo) -
+    (b.upTo === null || b.upTo === undefined ? Infinity : b.upTo))
+  const slab = sorted.find(s => s.upTo === null || s.upTo === undefined || unitValue <= s.upTo)
+  return slab ? parseFloat(slab.rate) : 0
+}
+
+// Split a line's tax into CGST + SGST (same state) or IGST (another state)
+const splitTax = (taxableValue, rate, interState) => {
+  const tax = roundMoney((taxableValue * rate) / 100)
+  if (interState) {
+    return { cgst: 0, sgst: 0, igst: tax, tax }
+  }
+  const cgst = roundMoney(tax / 2)
+  return { cgst, sgst: roundMoney(tax - cgst), igst: 0, tax }
+}
+
+// Load the HSN codes and slabs of the products (and their categories) on an order
+const loadTaxClasses = async (items, transaction) => {
+  const productIds = [...new Set(items.map(item => item.product || item.productId).filter(Boolean))]
+  if (productIds.length === 0) return new Map()
+
+  const products = await Product.findAll({
+    where: { id: { [Op.in]: productIds } },
+    attributes: ['id', 'categoryId', 'hsnCode', 'gstSlabs'],
+    transaction
+  })
+  const categoryIds = [...new Set(products.map(product => product.categoryId).filter(Boolean))]
+  const categories = categoryIds.length > 0
+    ? await Category.findAll({
+        where: { id: { [Op.in]: categoryIds } },
+        attributes: ['id', 'hsnCode', 'gstSlabs'],
+        transaction
+      })
+    : []
+  const categoryMap = new Map(categories.map(category => [category.id, category]))
+
+  return new Map(products.map(product => {
+    const category = categoryMap.get(product.categoryId)
+    return [product.id, {
+      hsnCode: product.hsnCode || category?.hsnCode || null,
+      slabs: validSlabs(product.gstSlabs) ? product.gstSlabs
+        : validSlabs(category?.gstSlabs) ? category.gstSlabs
+        : null
+    }]
+  }))
+}
+
+/**
+ * Work out the GST on an order
+ * @param {Object} params
+ * @param {Array} params.items - Cart items ({ product, name, price, quantity })
+ * @param {number} params.goodsDiscount - Coupon, discount and coin reductions on the goods (₹)
+ * @param {number} params.shippingCost - Shipping charged (₹); taxed at the highest rate on the order
+ * @param {number} params.codFee - Cash on Delivery fee (₹); taxed like shipping
+ * @param {string} params.shippingState - Delivery state (place of supply)
+ * @param {Object} params.transaction - Sequelize transaction (optional)
+ * @returns {Promise<Object>} - { seller, placeOfSupply, supplyType, lines, totals }
+ */
+export const calculateOrderTax = async ({ items = [], goodsDiscount = 0, shippingCost = 0, codFee = 0, shippingState, transaction }) => {
+  const config = await getTaxConfig({ transaction })
+  const taxClasses = await loadTaxClasses(items, transaction)
+
+  const placeOfSupply = {
+    state: shippingState || null,
+    stateCode: resolveStateCode(shippingState)
+  }
+  // Without a recognisable delivery state the supply is treated as leaving the store's state
+  const interState = !placeOfSupply.stateCode || placeOfSupply.stateCode !== config.seller.stateCode
+
+  const values = items.map(item => parseFloat(item.product?.price || item.price || 0) * (item.quantity || 1))
+  const gross = values.reduce((sum, value) => sum + value, 0)
+  const discount = Math.min(Math.max(goodsDiscount, 0), gross)
+
+  // Spread the discount over the lines by value; the last line takes the rounding remainder
+  let discountLeft = roundMoney(discount)
+  const lines = items.map((item, index) => {
+    const quantity = item.quantity || 1
+    const value = roundMoney(values[index])
+    const share = index === items.length - 1
+      ? discountLeft
+      : roundMoney(gross > 0 ? (discount * values[index]) / gross : 0)
+    discountLeft = roundMoney(discountLeft - share)
+
+    const taxableValue = roundMoney(Math.max(value - share, 0))
+    const taxClass = taxClasses.get(item.product?.id || item.product || item.productId) || {}
+    const rate = rateForValue(taxClass.slabs || config.slabs, taxableValue / quantity)
+
+    return {
+      name: item.name || 'Product',
+      hsnCode: taxClass.hsnCode || config.defaultHsnCode,
+      quantity,
+      value,
+      discount: share,
+      taxableValue,
+      rate,
+      ...splitTax(taxableValue, rate, interState)
+    }
+  })
+
+  // Delivery charges follow the goods they deliver, so they take the order's highest rate
+  const chargeRate = lines.reduce((max, line) => Math.max(max, line.rate), 0)
+  const charges = [
+    { name: 'Shipping charges', amount: shippingCost },
+    { name: 'Cash on delivery fee', amount: codFee }
+  ]
+  charges.filter(charge => charge.amount > 0).forEach(charge => {
+    lines.push({
+      name: charge.name,
+      hsnCode: SHIPPING_SAC_CODE,
+      quantity: 1,
+      value: roundMoney(charge.amount),
+      discount: 0,
+      taxableValue: roundMoney(charge.amount),
+      rate: chargeRate,
+      isShipping: true,
+      ...splitTax(charge.amount, chargeRate, interState)
+    })
+  })
+
+  const sum = (field) => roundMoney(lines.reduce((total, line) => total + line[field], 0))
+
+  return {
+    seller: config.seller,
+    placeOfSupply,
+    supplyType: interState ? 'inter-state' : 'intra-state',
+    lines,
+    totals: {
+      taxableValue: sum('taxableValue'),
+      cgst: sum('cgst'),
+      sgst: sum('sgst'),
+      igst: sum('igst'),
+      tax: sum('tax')
+    }
+  }
+}
+
+export default {
+  resolveStateCode,
+  getTaxConfig,
+  rateForValue,
+  calculateOrderTax
+}
@@ -0,0 +1,336 @@
+import crypto from 'crypto'
+import { Op } from 'sequelize'
+import QRCode from 'qrcode'
+import { sequelize } from '../config/db.js'
+import Admin from '../models/Admin.js'
+import Setting from '../models/Setting.js'
+import { ADMIN_ROLES } from '../config/permissions.js'
+import { getStoreName } from './emailTemplateService.js'
+
+/**
+ * Two-Factor Service for admin sign-in with authenticator app codes (TOTP, RFC 6238)
+ * An admin enrolls by scanning a QR code (or typing the secret) into an authenticator app and
+ * confirming one code; they then get RECOVERY_CODE_COUNT single-use recovery codes. Once
+ * enabled, signing in takes the password and then a 6-digit code or a recovery code.
+ * - Secrets are stored encrypted with AES-256-GCM keyed by TWO_FACTOR_ENCRYPTION_KEY (or
+ *   JWT_SECRET); recovery codes are stored as SHA-256 hashes.
+ * - Codes are accepted one 30-second step either side of now, and each step only once.
+ * - The admin_two_factor setting lists the roles that must use two-factor; it is changed by
+ *   Super Admins from Admin Users, not from the settings page.
+ */
+
+export const TWO_FACTOR_SETTING_KEY = 'admin_two_factor'
+
+const TOTP_DIGITS = 6
+const TOTP_STEP_SECONDS = 30
+const TOTP_WINDOW = 1
+const RECOVERY_CODE_COUNT = 10
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+const SETTINGS_CACHE_MS = 60 * 1000
+
+const twoFactorError = (message, statusCode = 400) => {
+  const error = new Error(message)
+  error.name = 'TwoFactorError'
+  error.statusCode = statusCode
+  return error
+}
+
+const base32Encode = (buffer) => {
+  let bits = ''
+  buffer.forEach(byte => { bits += byte.toString(2).padStart(8, '0') })
+  let output = ''
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)]
+  }
+  return output
+}
+
+const base32Decode = (text) => {
+  let bits = ''
+  text.replace(/=+$/, '').toUpperCase().split('').forEach(char => {
+    const value = BASE32_ALPHABET.indexOf(char)
+    if (value === -1) throw twoFactorError('Invalid two-factor secret')
+    bits += value.toString(2).padStart(5, '0')
+  })
+  const bytes = []
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2))
+  }
+  return Buffer.from(bytes)
+}
+
+const getEncryptionKey = () => {
+  const secret = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET
+  if (!secret || secret.trim() === '') {
+    const error = new Error('TWO_FACTOR_ENCRYPTION_KEY or JWT_SECRET must be set to use two-factor authentication.')
+    error.name = 'ConfigurationError'
+    throw error
+  }
+  return crypto.createHash('sha256').update(secret).digest()
+}
+
+// Stored as "<iv>.<auth tag>.<ciphertext>", each base64
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12)
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv)
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()])
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.')
+}
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = String(stored).split('.').map(part => Buffer.from(part, 'base64'))
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv)
+  decipher.setAuthTag(tag)
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8')
+}
+
+const totpAt = (secret, step) => {
+  const counter = Buffer.alloc(8)
+  counter.writeBigUInt64BE(BigInt(step))
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest()
+  const offset = hmac[hmac.length - 1] & 0x0f
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0')
+}
+
+const currentStep = () => Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS)
+
+// The time step a code belongs to, if it is valid around now
+const matchTotpStep = (secret, code) => {
+  const now = currentStep()
+  for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+    const expected = Buffer.from(totpAt(secret, now + offset))
+    const actual = Buffer.from(code)
+    if (expected.length === actual.length && crypto.timingSafeEqual(expected, actual)) {
+      return now + offset
+    }
+  }
+  return null
+}
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '')
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex')
+
+// Ten codes like "3f9a1-c07be"; only their hashes are kept
+const newRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex')
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`
+  })
+  return { codes, hashes: codes.map(hashRecoveryCode) }
+}
+
+// Use up a recovery code; the row is locked so one code cannot sign in twice
+const consumeRecoveryCode = async (admin, code) => {
+  const hash = hashRecoveryCode(code)
+  return sequelize.transaction(async (t) => {
+    const locked = await Admin.findByPk(admin.id, { lock: t.LOCK.UPDATE, transaction: t })
+    const remaining = locked.twoFactorRecoveryCodes || []
+    if (!remaining.includes(hash)) return false
+    locked.twoFactorRecoveryCodes = remaining.filter(stored => stored !== hash)
+    await locked.save({ transaction: t })
+    admin.twoFactorRecoveryCodes = locked.twoFactorRecoveryCodes
+    return true
+  })
+}
+
+// Accept each time step once, even if two requests race with the same code
+const claimTotpStep = async (admin, step) => {
+  const [claimed] = await Admin.update(
+    { twoFactorLastUsedStep: step },
+    {
+      where: {
+        id: admin.id,
+        [Op.or]: [
+          { twoFactorLastUsedStep: null },
+          { twoFactorLastUsedStep: { [Op.lt]: step } }
+        ]
+      }
+    }
+  )
+  return claimed > 0
+}
+
+let cachedPolicy = null
+let cachedAt = 0
+
+/**
+ * Load which admin roles must use two-factor authentication
+ * @returns {Promise<Object>} - { requiredRoles: Array<string> }
+ */
+export const getTwoFactorPolicy = async () => {
+  if (cachedPolicy && Date.now() - cachedAt < SETTINGS_CACHE_MS) return cachedPolicy
+
+  const setting = await Setting.findOne({ where: { key: TWO_FACTOR_SETTING_KEY } })
+  let value = null
+  try {
+    value = setting ? JSON.parse(setting.value) : null
+  } catch (e) {
+    value = null
+  }
+
+  cachedPolicy = {
+    requiredRoles: (Array.isArray(value?.requiredRoles) ? value.requiredRoles : []).filter(role => ADMIN_ROLES.includes(role))
+  }
+  cachedAt = Date.now()
+  return cachedPolicy
+}
+
+/**
+ * Change which admin roles must use two-factor authentication
+ * @param {Array<string>} requiredRoles - Roles from ADMIN_ROLES
+ * @returns {Promise<Object>} - The saved policy
+ */
+export const setTwoFactorPolicy = async (requiredRoles) => {
+  if (!Array.isArray(requiredRoles) || requiredRoles.some(role => !ADMIN_ROLES.includes(role))) {
+    throw twoFactorError(`Roles must be from: ${ADMIN_ROLES.join(', ')}`)
+  }
+
+  const policy = { requiredRoles: [...new Set(requiredRoles)] }
+  const [setting, created] = await Setting.findOrCreate({
+    where: { key: TWO_FACTOR_SETTING_KEY },
+    defaults: {
+      key: TWO_FACTOR_SETTING_KEY,
+      value: JSON.stringify(policy),
+      type: 'json',
+      category: 'general',
+      description: 'Admin roles that must sign in with two-factor authentication'
+    }
+  })
+  if (!created) {
+    setting.value = JSON.stringify(policy)
+    await setting.save()
+  }
+
+  cachedPolicy = policy
+  cachedAt = Date.now()
+  return policy
+}
+
+/**
+ * Whether an admin's role must use two-factor authentication
+ * @param {string} role - Admin.role
+ * @returns {Promise<boolean>}
+ */
+export const isTwoFactorRequired = async (role) => {
+  const { requiredRoles } = await getTwoFactorPolicy()
+  return requiredRoles.includes(role)
+}
+
+/**
+ * Start enrolling: give the admin a new secret to add to their authenticator app
+ * Replaces any enrollment that was started but not confirmed.
+ * @param {Object} admin - Admin record
+ * @returns {Promise<Object>} - { secret, otpauthUrl, qrCode } (qrCode is a PNG data URL)
+ * @throws {TwoFactorError} - 400 when two-factor is already on
+ */
+export const startEnrollment = async (admin) => {
+  if (admin.twoFactorEnabled) {
+    throw twoFactorError('Two-factor authentication is already on')
+  }
+
+  const secret = base32Encode(crypto.randomBytes(20))
+  admin.twoFactorSecret = encryptSecret(secret)
+  admin.twoFactorLastUsedStep = null
+  await admin.save()
+
+  const issuer = await getStoreName()
+  const label = encodeURIComponent(`${issuer}:${admin.email}`)
+  const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`
+  const qrCode = await QRCode.toDataURL(otpauthUrl)
+
+  return { secret, otpauthUrl, qrCode }
+}
+
+/**
+ * Finish enrolling with a code from the authenticator app
+ * @param {Object} admin - Admin record
+ * @param {string} code - 6-digit code
+ * @returns {Promise<Array<string>>} - Recovery codes, shown to the admin once
+ * @throws {TwoFactorError} - 400 when not started, already on, or the code is wrong
+ */
+export const enableTwoFactor = async (admin, code) => {
+  if (admin.twoFactorEnabled) {
+    throw twoFactorError('Two-factor authentication is already on')
+  }
+  if (!admin.twoFactorSecret) {
+    throw twoFactorError('Start two-factor setup first')
+  }
+
+  const entered = String(code || '').replace(/\s/g, '')
+  const step = /^[0-9]{6}$/.test(entered) ? matchTotpStep(decryptSecret(admin.twoFactorSecret), entered) : null
+  if (step === null) {
+    throw twoFactorError('That code is not right. Check the time on your phone and try the newest code.')
+  }
+
+  const { codes, hashes } = newRecoveryCodes()
+  admin.twoFactorEnabled = true
+  admin.twoFactorRecoveryCodes = hashes
+  admin.twoFactorLastUsedStep = step
+  await admin.save()
+  return codes
+}
+
+/**
+ * Check a sign-in code: a 6-digit authenticator code or an unused recovery code
+ * @param {Object} admin - Admin record with two-factor on
+ * @param {string} code - What the admin entered
+ * @returns {Promise<Object|null>} - { method: 'totp' | 'recovery' } when accepted, else null
+ */
+export const verifyTwoFactorCode = async (admin, code) => {
+  if (!admin.twoFactorEnabled || !admin.twoFactorSecret) return null
+
+  const entered = String(code || '').replace(/\s/g, '')
+  if (/^[0-9]{6}$/.test(entered)) {
+    const step = matchTotpStep(decryptSecret(admin.twoFactorSecret), entered)
+    if (step === null || !(await claimTotpStep(admin, step))) return null
+    return { method: 'totp' }
+  }
+
+  if (normalizeRecoveryCode(entered).length === 10 && await consumeRecoveryCode(admin, entered)) {
+    return { method: 'recovery' }
+  }
+  return null
+}
+
+/**
+ * Replace the admin's recovery codes with a new set
+ * @param {Object} admin - Admin record with two-factor on
+ * @returns {Promise<Array<string>>} - The new recovery codes
+ */
+export const regenerateRecoveryCodes = async (admin) => {
+  if (!admin.twoFactorEnabled) {
+    throw twoFactorError('Two-factor authentication is not on')
+  }
+  const { codes, hashes } = newRecoveryCodes()
+  admin.twoFactorRecoveryCodes = hashes
+  await admin.save()
+  return codes
+}
+
+/**
+ * Turn two-factor off and forget the secret and recovery codes
+ * Used when an admin turns it off and when a Super Admin resets it for a colleague.
+ * @param {Object} admin - Admin record
+ * @returns {Promise<void>}
+ */
+export const disableTwoFactor = async (admin) => {
+  admin.twoFactorEnabled = false
+  admin.twoFactorSecret = null
+  admin.twoFactorRecoveryCodes = []
+  admin.twoFactorLastUsedStep = null
+  await admin.save()
+}
+
+export default {
+  TWO_FACTOR_SETTING_KEY,
+  getTwoFactorPolicy,
+  setTwoFactorPolicy,
+  isTwoFactorRequired,
+  startEnrollment,
+  enableTwoFactor,
+  verifyTwoFactorCode,
+  regenerateRecoveryCodes,
+  disableTwoFactor
+}
@@ -1,6 +1,6 @@
 import jwt from 'jsonwebtoken'
 
-export const generateToken = (id) => {
+const getJwtSecret = () => {
   const jwtSecret = process.env.JWT_SECRET
   if (!jwtSecret || jwtSecret.trim() === '') {
     const error = new Error(
@@ -9,9 +9,27 @@ export const generateToken = (id) => {
     error.name = 'ConfigurationError'
     throw error
   }
+  return jwtSecret
+}
 
-  return jwt.sign({ id }, jwtSecret, {
+export const generateToken = (id) => {
+  return jwt.sign({ id }, getJwtSecret(), {
     expiresIn: '30d'
   })
 }
 
+// Customer access token, tied to a session (services/sessionService.js) and renewed with the
+// session's refresh token; ACCESS_TOKEN_TTL is a jsonwebtoken duration (default 15m)
+export const generateAccessToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: sessionId }, getJwtSecret(), {
+    expiresIn: process.env.ACCESS_TOKEN_TTL || '15m'
+  })
+}
+
+// Proves an admin got their password right and may finish signing in with a two-factor code
+// at POST /api/admin/auth/2fa/verify; adminProtect refuses it as an access token
+export const generateTwoFactorChallengeToken = (id) => {
+  return jwt.sign({ id, purpose: 'admin_2fa' }, getJwtSecret(), {
+    expiresIn: '5m'
+  })
+}
@@ -29,9 +29,14 @@ function hexToRgb(hex) {
   } : null
 }
 
+const formatMoney = (value) => `Rs. ${(parseFloat(value) || 0).toFixed(2)}`
+
+const formatRate = (rate) => `${parseFloat(rate) || 0}%`
+
 /**
- * Generate invoice PDF for an order
- * @param {Object} order - Order object with all details
+ * Generate a GST tax invoice PDF for an order
+ * Orders placed before the tax breakdown was stored print without HSN and per-line tax.
+ * @param {Object} order - Order object with all details (taxBreakdown from taxService)
  * @param {Object} user - User object with name, email, mobile
  * @returns {Promise<string>} - Path to generated PDF file
  */
@@ -106,7 +111,7 @@ export async function generateInvoicePDF(order, user) {
       
       doc.fontSize(36).font('Helvetica-Bold')
         .fillColor(colors.primaryDark)
-        .text('INVOICE', margin, invoiceTitleY, { 
+        .text(order.taxBreakdown ? 'TAX INVOICE' : 'INVOICE', margin, invoiceTitleY, { 
           width: contentWidth, 
           align: 'center' 
         })
@@ -223,6 +228,45 @@ export async function generateInvoicePDF(order, user) {
         currentY += 15
       }
       
+      // Sold By section - the seller's GST registration as it was when the order was placed
+      const taxBreakdown = order.taxBreakdown || null
+      const seller = taxBreakdown?.seller || {}
+      const soldByX = margin + 295
+      const soldByWidth = contentWidth - 295
+
+      doc.rect(soldByX, billToBoxY, soldByWidth, billToBoxHeight)
+        .fillColor(colors.background)
+        .fill()
+      doc.rect(soldByX, billToBoxY, soldByWidth, billToBoxHeight)
+        .strokeColor(colors.primaryLight)
+        .lineWidth(1.5)
+        .stroke()
+
+      doc.fontSize(12).font('Helvetica-Bold')
+        .fillColor(colors.primaryDark)
+        .text('Sold By:', soldByX + 10, billToBoxY + 10)
+
+      let soldByY = billToBoxY + 25
+      doc.fontSize(11).font('Helvetica-Bold')
+        .fillColor(colors.textPrimary)
+        .text(seller.name || 'Arudhra Fashions', soldByX + 10, soldByY, { width: soldByWidth - 20 })
+      soldByY += 18
+
+      doc.fontSize(9).font('Helvetica')
+        .fillColor(colors.textSecondary)
+      if (seller.address) {
+        doc.text(seller.address, soldByX + 10, soldByY, { width: soldByWidth - 20, height: 24, ellipsis: true })
+        soldByY += 24
+      }
+      doc.text(`GSTIN: ${seller.gstin || 'Not registered'}`, soldByX + 10, soldByY, { width: soldByWidth - 20 })
+      soldByY += 13
+      if (taxBreakdown) {
+        const placeOfSupply = taxBreakdown.placeOfSupply || {}
+        const placeName = placeOfSupply.state || 'Not specified'
+        doc.text(`Place of Supply: ${placeName}${placeOfSupply.stateCode ? ` (${placeOfSupply.stateCode})` : ''}`,
+          soldByX + 10, soldByY, { width: soldByWidth - 20 })
+      }
+
       currentY = billToBoxY + billToBoxHeight + 20
 
       // ========== ITEMS TABLE ==========
@@ -236,101 +280,127 @@ export async function generateInvoicePDF(order, user) {
 
       // Table Header with colored background - properly fitted
       const headerY = doc.y
-      const headerRowHeight = 32
-      const primaryLightRgb = hexToRgb(colors.primaryLight)
+      const headerRowHeight = 28
       const primaryDarkRgb = hexToRgb(colors.primaryDark)
-      
-      // Draw header background
-      doc.rect(margin, headerY, contentWidth, headerRowHeight)
-        .fillColor(`rgb(${primaryDarkRgb.r}, ${primaryDarkRgb.g}, ${primaryDarkRgb.b})`)
-        .fill()
-      
-      // Column positions - properly calculated to fit within page width
-      // Total available width: contentWidth = 515.28 (pageWidth - 2*margin)
-      // Distribute columns properly to fit: ensure colTotal + colTotalWidth <= pageWidth - margin (555.28)
+      const interState = taxBreakdown?.supplyType === 'inter-state'
+
+      // Column positions - must end within pageWidth - margin (555.28)
+      // 50 + 110 + 38 + 22 + 48 + 54 + 28 + 44 + 44 + 56 + (8 gaps x 4) = 526
+      const gap = 4
       const colItem = margin + 10
-      const colItemWidth = 180
-      const colSize = colItem + colItemWidth + 8
-      const colSizeWidth = 42
-      const colColor = colSize + colSizeWidth + 8
-      const colColorWidth = 52
-      const colQty = colColor + colColorWidth + 8
-      const colQtyWidth = 32
-      const colPrice = colQty + colQtyWidth + 8
-      const colPriceWidth = 70
-      const colTotal = colPrice + colPriceWidth + 8
-      const colTotalWidth = 80
-      
-      // Verification: colTotal + colTotalWidth = 490 + 80 = 570, but should be <= 555.28
-      // Need to adjust: reduce spacing or widths slightly
-      // Recalculated: colTotal position = 40 + 10 + 180 + 8 + 42 + 8 + 52 + 8 + 32 + 8 + 70 + 8 = 466
-      // colTotal + colTotalWidth = 466 + 80 = 546, which fits!
-      
-      doc.fontSize(11).font('Helvetica-Bold')
-        .fillColor(colors.white)
-        .text('Item', colItem, headerY + 10, { width: colItemWidth, align: 'left' })
-        .text('Size', colSize, headerY + 10, { width: colSizeWidth, align: 'center' })
-        .text('Color', colColor, headerY + 10, { width: colColorWidth, align: 'center' })
-        .text('Qty', colQty, headerY + 10, { width: colQtyWidth, align: 'center' })
-        .text('Price', colPrice, headerY + 10, { width: colPriceWidth, align: 'right' })
-        .text('Total', colTotal, headerY + 10, { width: colTotalWidth, align: 'right' })
-      
-      doc.y = headerY + headerRowHeight + 12
+      const colItemWidth = 110
+      const colHsn = colItem + colItemWidth + gap
+      const colHsnWidth = 38
+      const colQty = colHsn + colHsnWidth + gap
+      const colQtyWidth = 22
+      const colPrice = colQty + colQtyWidth + gap
+      const colPriceWidth = 48
+      const colTaxable = colPrice + colPriceWidth + gap
+      const colTaxableWidth = 54
+      const colRate = colTaxable + colTaxableWidth + gap
+      const colRateWidth = 28
+      const colCgst = colRate + colRateWidth + gap
+      const colCgstWidth = 44
+      const colSgst = colCgst + colCgstWidth + gap
+      const colSgstWidth = 44
+      // Inter-state invoices have a single IGST column spanning the CGST and SGST columns
+      const colIgstWidth = colCgstWidth + gap + colSgstWidth
+      const colTotal = colSgst + colSgstWidth + gap
+      const colTotalWidth = 56
+
+      const drawTableHeader = (y) => {
+        doc.rect(margin, y, contentWidth, headerRowHeight)
+          .fillColor(`rgb(${primaryDarkRgb.r}, ${primaryDarkRgb.g}, ${primaryDarkRgb.b})`)
+          .fill()
+
+        const textY = y + 10
+        doc.fontSize(8).font('Helvetica-Bold')
+          .fillColor(colors.white)
+          .text('Item', colItem, textY, { width: colItemWidth, align: 'left' })
+          .text('HSN', colHsn, textY, { width: colHsnWidth, align: 'center' })
+          .text('Qty', colQty, textY, { width: colQtyWidth, align: 'center' })
+          .text('Price', colPrice, textY, { width: colPriceWidth, align: 'right' })
+          .text('Taxable', colTaxable, textY, { width: colTaxableWidth, align: 'right' })
+          .text('GST', colRate, textY, { width: colRateWidth, align: 'right' })
+        if (interState) {
+          doc.text('IGST', colCgst, textY, { width: colIgstWidth, align: 'right' })
+        } else {
+          doc.text('CGST', colCgst, textY, { width: colCgstWidth, align: 'right' })
+            .text('SGST', colSgst, textY, { width: colSgstWidth, align: 'right' })
+        }
+        doc.text('Total', colTotal, textY, { width: colTotalWidth, align: 'right' })
+      }
 
-      // Items rows with alternating background - no border lines
-      let itemsY = doc.y
-      doc.fontSize(10).font('Helvetica')
-        .fillColor(colors.textPrimary)
-      
-      order.items.forEach((item, index) => {
-        const itemName = item.name || item.product?.name || 'Product'
-        const size = item.size || '-'
-        const color = item.color || '-'
-        const quantity = item.quantity || 1
-        const price = parseFloat(item.price || 0)
-        const total = price * quantity
+      drawTableHeader(headerY)
+
+      // One row per order line (plus shipping when it was taxed); older orders have no tax columns
+      const rows = taxBreakdown
+        ? taxBreakdown.lines.map((line, index) => ({
+            ...line,
+            item: line.isShipping ? null : order.items[index]
+          }))
+        : order.items.map(item => ({
+            name: item.name || item.product?.name || 'Product',
+            quantity: item.quantity || 1,
+            value: parseFloat(item.price || 0) * (item.quantity || 1),
+            item
+          }))
+
+      let itemsY = headerY + headerRowHeight + 10
+
+      rows.forEach((row, index) => {
+        const item = row.item
+        const itemName = row.name || item?.name || 'Product'
+        const details = item ? [item.size, item.color].filter(Boolean).join(' / ') : ''
+        const quantity = row.quantity || 1
+        const price = item ? parseFloat(item.price || 0) : parseFloat(row.value || 0)
+        const hasTax = row.taxableValue !== undefined
+        const lineTotal = hasTax ? row.taxableValue + row.tax : row.value
 
         // Check if we need a new page
         if (itemsY > pageHeight - 250) {
           doc.addPage()
-          itemsY = margin + 20
-          // Redraw header on new page
-          doc.rect(margin, itemsY - 10, contentWidth, headerRowHeight)
-            .fillColor(`rgb(${primaryDarkRgb.r}, ${primaryDarkRgb.g}, ${primaryDarkRgb.b})`)
-            .fill()
-          doc.fontSize(11).font('Helvetica-Bold')
-            .fillColor(colors.white)
-            .text('Item', colItem, itemsY - 2, { width: colItemWidth, align: 'left' })
-            .text('Size', colSize, itemsY - 2, { width: colSizeWidth, align: 'center' })
-            .text('Color', colColor, itemsY - 2, { width: colColorWidth, align: 'center' })
-            .text('Qty', colQty, itemsY - 2, { width: colQtyWidth, align: 'center' })
-            .text('Price', colPrice, itemsY - 2, { width: colPriceWidth, align: 'right' })
-            .text('Total', colTotal, itemsY - 2, { width: colTotalWidth, align: 'right' })
-          itemsY += headerRowHeight + 12
+          drawTableHeader(margin)
+          itemsY = margin + headerRowHeight + 10
         }
 
         // Calculate item name height first (needed for row height calculations)
-        const itemNameHeight = doc.heightOfString(itemName, { width: colItemWidth })
-        const rowHeight = Math.max(24, itemNameHeight + 12)
+        doc.fontSize(9).font('Helvetica')
+        const itemNameHeight = doc.heightOfString(itemName, { width: colItemWidth }) + (details ? 11 : 0)
+        const rowHeight = Math.max(22, itemNameHeight + 10)
 
         // Alternate row background for better readability
         if (index % 2 === 0) {
-          doc.rect(margin, itemsY - 3, contentWidth, rowHeight)
+          doc.rect(margin, itemsY - 4, contentWidth, rowHeight)
             .fillColor(colors.background)
             .fill()
         }
 
-        // Item name and details - properly aligned with column widths
         doc.fillColor(colors.textPrimary)
-          .fontSize(10)
+          .fontSize(9)
           .font('Helvetica')
           .text(itemName, colItem, itemsY, { width: colItemWidth, align: 'left' })
-          .text(size || '-', colSize, itemsY, { width: colSizeWidth, align: 'center' })
-          .text(color || '-', colColor, itemsY, { width: colColorWidth, align: 'center' })
+        if (details) {
+          doc.fontSize(7)
+            .fillColor(colors.textSecondary)
+            .text(details, colItem, itemsY + itemNameHeight - 9, { width: colItemWidth, align: 'left' })
+            .fillColor(colors.textPrimary)
+            .fontSize(9)
+        }
+
+        // Use "Rs." instead of ₹ to avoid encoding issues
+        doc.text(row.hsnCode || '-', colHsn, itemsY, { width: colHsnWidth, align: 'center' })
           .text(quantity.toString(), colQty, itemsY, { width: colQtyWidth, align: 'center' })
-          // Use "Rs." instead of ₹ to avoid encoding issues
-          .text(`Rs. ${price.toFixed(2)}`, colPrice, itemsY, { width: colPriceWidth, align: 'right' })
-          .text(`Rs. ${total.toFixed(2)}`, colTotal, itemsY, { width: colTotalWidth, align: 'right' })
+          .text(price.toFixed(2), colPrice, itemsY, { width: colPriceWidth, align: 'right' })
+          .text(hasTax ? row.taxableValue.toFixed(2) : '-', colTaxable, itemsY, { width: colTaxableWidth, align: 'right' })
+          .text(hasTax ? formatRate(row.rate) : '-', colRate, itemsY, { width: colRateWidth, align: 'right' })
+        if (interState) {
+          doc.text(hasTax ? row.igst.toFixed(2) : '-', colCgst, itemsY, { width: colIgstWidth, align: 'right' })
+        } else {
+          doc.text(hasTax ? row.cgst.toFixed(2) : '-', colCgst, itemsY, { width: colCgstWidth, align: 'right' })
+            .text(hasTax ? row.sgst.toFixed(2) : '-', colSgst, itemsY, { width: colSgstWidth, align: 'right' })
+        }
+        doc.text(lineTotal.toFixed(2), colTotal, itemsY, { width: colTotalWidth, align: 'right' })
 
         itemsY += rowHeight
       })
@@ -339,47 +409,50 @@ export async function generateInvoicePDF(order, user) {
 
       // ========== TOTALS SECTION ==========
       const subtotal = parseFloat(order.subtotal || 0)
+      const discount = parseFloat(order.discount || 0)
       const shippingCost = parseFloat(order.shippingCost || 0)
+      const codFee = parseFloat(order.codFee || 0)
       const tax = parseFloat(order.tax || 0)
       const grandTotal = parseFloat(order.total || 0)
 
       // Totals section - no background box, clean and elegant
-      const totalsStartX = colTotal
-      const totalsLabelWidth = 100
-      const totalsValueWidth = colTotalWidth
+      const totalsValueWidth = 80
+      const totalsStartX = colTotal + colTotalWidth - totalsValueWidth
+      const totalsLabelWidth = 140
+      const totalsLabelX = totalsStartX - totalsLabelWidth - 10
       let totalsY = doc.y
 
-      doc.fontSize(10).font('Helvetica')
-        .fillColor(colors.textSecondary)
-        .text('Subtotal:', totalsStartX - totalsLabelWidth - 10, totalsY, { width: totalsLabelWidth, align: 'right' })
-        .fillColor(colors.textPrimary)
-        .fontSize(10)
-        .font('Helvetica')
-        .text(`Rs. ${subtotal.toFixed(2)}`, totalsStartX, totalsY, { width: totalsValueWidth, align: 'right' })
-        totalsY += 20
-
-      if (shippingCost > 0) {
+      const totalsRow = (label, value) => {
         doc.fillColor(colors.textSecondary)
           .fontSize(10)
           .font('Helvetica')
-          .text('Shipping:', totalsStartX - totalsLabelWidth - 10, totalsY, { width: totalsLabelWidth, align: 'right' })
+          .text(label, totalsLabelX, totalsY, { width: totalsLabelWidth, align: 'right' })
           .fillColor(colors.textPrimary)
-          .fontSize(10)
-          .font('Helvetica')
-          .text(`Rs. ${shippingCost.toFixed(2)}`, totalsStartX, totalsY, { width: totalsValueWidth, align: 'right' })
-        totalsY += 20
+          .text(value, totalsStartX, totalsY, { width: totalsValueWidth, align: 'right' })
+        totalsY += 18
       }
 
-      if (tax > 0) {
-        doc.fillColor(colors.textSecondary)
-          .fontSize(10)
-          .font('Helvetica')
-          .text('Tax (GST):', totalsStartX - totalsLabelWidth - 10, totalsY, { width: totalsLabelWidth, align: 'right' })
-          .fillColor(colors.textPrimary)
-          .fontSize(10)
-          .font('Helvetica')
-          .text(`Rs. ${tax.toFixed(2)}`, totalsStartX, totalsY, { width: totalsValueWidth, align: 'right' })
-        totalsY += 20
+      totalsRow('Subtotal:', formatMoney(subtotal))
+      if (discount > 0) {
+        totalsRow('Discount:', `- ${formatMoney(discount)}`)
+      }
+      if (shippingCost > 0) {
+        totalsRow('Shipping:', formatMoney(shippingCost))
+      }
+      if (codFee > 0) {
+        totalsRow('COD Fee:', formatMoney(codFee))
+      }
+
+      if (taxBreakdown) {
+        totalsRow('Taxable Value:', formatMoney(taxBreakdown.totals.taxableValue))
+        if (interState) {
+          totalsRow('IGST:', formatMoney(taxBreakdown.totals.igst))
+        } else {
+          totalsRow('CGST:', formatMoney(taxBreakdown.totals.cgst))
+          totalsRow('SGST:', formatMoney(taxBreakdown.totals.sgst))
+        }
+      } else if (tax > 0) {
+        totalsRow('Tax (GST):', formatMoney(tax))
       }
 
       // Grand Total - enhanced styling without background
@@ -387,11 +460,11 @@ export async function generateInvoicePDF(order, user) {
       
       doc.fontSize(13).font('Helvetica-Bold')
         .fillColor(colors.primaryDark)
-        .text('Total:', totalsStartX - totalsLabelWidth - 10, totalsY, { width: totalsLabelWidth, align: 'right' })
+        .text('Total:', totalsLabelX, totalsY, { width: totalsLabelWidth, align: 'right' })
         .fontSize(13)
         .font('Helvetica-Bold')
         .fillColor(colors.textPrimary)
-        .text(`Rs. ${grandTotal.toFixed(2)}`, totalsStartX, totalsY, { width: totalsValueWidth, align: 'right' })
+        .text(formatMoney(grandTotal), totalsStartX, totalsY, { width: totalsValueWidth, align: 'right' })
       
       doc.y = totalsY + 30
 
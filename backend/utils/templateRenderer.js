@@ -0,0 +1,157 @@
+/**
+ * Template renderer for admin-authored email templates
+ * Syntax:
+ * - {{name}} / {{item.name}}: value, HTML-escaped
+ * - {{{name}}}: value as-is (trusted HTML such as newsletter content)
+ * - {{#each items}}...{{/each}}: repeat for each entry; inside, names resolve against the
+ *   entry first ({{name}}, {{this}}), then the outer data. {{@index}} is the 1-based position.
+ * - {{#if name}}...{{else}}...{{/if}}: '', 0, false, null and empty lists count as false
+ */
+
+const TAG_PATTERN = /\{\{\{\s*([\w.@]+)\s*\}\}\}|\{\{\s*(?:(#each|#if)\s+([\w.@]+)|(\/each|\/if|else)|([\w.@]+))\s*\}\}/g
+
+const templateError = (message) => {
+  const error = new Error(message)
+  error.name = 'TemplateError'
+  error.statusCode = 400
+  return error
+}
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+}
+
+/**
+ * Escape text for use in HTML
+ * @param {*} value
+ * @returns {string}
+ */
+export const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char])
+
+// Split a template into text, variable and block tokens
+const tokenize = (source) => {
+  const tokens = []
+  let lastIndex = 0
+  let match
+  TAG_PATTERN.lastIndex = 0
+
+  while ((match = TAG_PATTERN.exec(source)) !== null) {
+    if (match.index > lastIndex) {
+      tokens.push({ type: 'text', value: source.slice(lastIndex, match.index) })
+    }
+    const [, rawPath, openKeyword, openPath, keyword, path] = match
+    if (rawPath) {
+      tokens.push({ type: 'var', path: rawPath, raw: true })
+    } else if (openKeyword) {
+      tokens.push({ type: 'open', block: openKeyword.slice(1), path: openPath })
+    } else if (keyword === 'else') {
+      tokens.push({ type: 'else' })
+    } else if (keyword) {
+      tokens.push({ type: 'close', block: keyword.slice(1) })
+    } else {
+      tokens.push({ type: 'var', path, raw: false })
+    }
+    lastIndex = TAG_PATTERN.lastIndex
+  }
+
+  if (lastIndex < source.length) {
+    tokens.push({ type: 'text', value: source.slice(lastIndex) })
+  }
+  return tokens
+}
+
+/**
+ * Parse a template into a tree, throwing a TemplateError for unbalanced blocks
+ * @param {string} source - Template text
+ * @returns {Array} - Parsed nodes
+ */
+export const compileTemplate = (source) => {
+  const root = { children: [] }
+  const stack = [root]
+
+  tokenize(String(source || '')).forEach(token => {
+    const current = stack[stack.length - 1]
+    const target = current.inElse ? current.elseChildren : current.children
+
+    if (token.type === 'open') {
+      const node = { ...token, children: [], elseChildren: [], inElse: false }
+      target.push(node)
+      stack.push(node)
+    } else if (token.type === 'else') {
+      if (current.block !== 'if' || current.inElse) {
+        throw templateError('{{else}} is only allowed once inside {{#if}}')
+      }
+      current.inElse = true
+    } else if (token.type === 'close') {
+      if (current.block !== token.block) {
+        throw templateError(`Unexpected {{/${token.block}}}${current.block ? ` (expected {{/${current.block}}})` : ''}`)
+      }
+      stack.pop()
+    } else {
+      target.push(token)
+    }
+  })
+
+  if (stack.length > 1) {
+    throw templateError(`Missing {{/${stack[stack.length - 1].block}}}`)
+  }
+  return root.children
+}
+
+// Look a dotted name up in the innermost scope that has it
+const lookup = (scopes, path) => {
+  const [head, ...rest] = path.split('.')
+  let value
+  if (head === 'this') {
+    value = scopes[scopes.length - 1]
+  } else {
+    const scope = [...scopes].reverse().find(s => s !== null && typeof s === 'object' && head in s)
+    value = scope ? scope[head] : undefined
+  }
+  return rest.reduce((current, key) => (current === null || current === undefined ? undefined : current[key]), value)
+}
+
+const isTruthy = (value) => (Array.isArray(value) ? value.length > 0 : Boolean(value))
+
+const stringify = (value) => {
+  if (value === null || value === undefined) return ''
+  if (Array.isArray(value)) return value.join(', ')
+  return String(value)
+}
+
+const renderNodes = (nodes, scopes, escape) => nodes.map(node => {
+  if (node.type === 'text') return node.value
+  if (node.type === 'var') {
+    const text = stringify(lookup(scopes, node.path))
+    return node.raw || !escape ? text : escapeHtml(text)
+  }
+
+  const value = lookup(scopes, node.path)
+  if (node.block === 'if') {
+    return renderNodes(isTruthy(value) ? node.children : node.elseChildren, scopes, escape)
+  }
+  if (!Array.isArray(value)) return ''
+  return value.map((entry, index) =>
+    renderNodes(node.children, [...scopes, { '@index': index + 1 }, entry], escape)).join('')
+}).join('')
+
+/**
+ * Render a template with data
+ * @param {string} source - Template text
+ * @param {Object} data - Variables
+ * @param {Object} options
+ * @param {boolean} options.escape - HTML-escape {{name}} values (default true; off for subjects and SMS)
+ * @returns {string}
+ */
+export const renderTemplate = (source, data = {}, { escape = true } = {}) =>
+  renderNodes(compileTemplate(source), [data], escape)
+
+export default {
+  escapeHtml,
+  compileTemplate,
+  renderTemplate
+}
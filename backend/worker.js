@@ -0,0 +1,31 @@
+import dotenv from 'dotenv'
+import connectDB from './config/db.js'
+
+// Import models to set up associations
+import './models/index.js'
+
+import { startWorker } from './services/messageWorker.js'
+
+// Load environment variables
+dotenv.config()
+
+// Delivers queued emails and SMS and runs the maintenance sweeps; run alongside the API server (npm run worker)
+const startMessageWorker = async () => {
+  try {
+    await connectDB()
+
+    const worker = startWorker()
+
+    const shutdown = async () => {
+      await worker.stop()
+      process.exit(0)
+    }
+    process.on('SIGINT', shutdown)
+    process.on('SIGTERM', shutdown)
+  } catch (error) {
+    console.error('Failed to start message worker:', error.message)
+    process.exit(1)
+  }
+}
+
+startMessageWorker()
@@ -11,6 +11,7 @@ import LoginModal from './components/LoginModal'
 import Newsletter from './components/Newsletter/Newsletter'
 import Home from './pages/Home'
 import Products from './pages/Products'
+import Search from './pages/Search'
 import ProductDetail from './pages/ProductDetail'
 import Cart from './pages/Cart'
 import Checkout from './pages/Checkout'
@@ -29,6 +30,7 @@ import ResetPassword from './pages/ResetPassword'
 import NotFound from './pages/NotFound'
 import ServerError from './pages/ServerError'
 import AdminDashboard from './pages/Admin/AdminDashboard'
+import AcceptInvite from './pages/Admin/AcceptInvite'
 
 // Scroll to top on route change
 function ScrollToTop() {
@@ -71,11 +73,13 @@ function App() {
               <Routes>
                 {/* Admin Routes - No Header/Footer */}
                 <Route path="/admin" element={<Navigate to="/" replace />} />
+                <Route path="/admin/accept-invite" element={<PublicLayout><AcceptInvite /></PublicLayout>} />
                 <Route path="/admin/*" element={<AdminDashboard />} />
                 
                 {/* Public Routes - With Header/Footer */}
                 <Route path="/" element={<PublicLayout><Home /></PublicLayout>} />
                 <Route path="/products/:category/:subcategory?" element={<PublicLayout><Products /></PublicLayout>} />
+                <Route path="/search" element={<PublicLayout><Search /></PublicLayout>} />
                 <Route path="/product/:id" element={<PublicLayout><ProductDetail /></PublicLayout>} />
                 <Route path="/cart" element={<PublicLayout><Cart /></PublicLayout>} />
                 <Route path="/checkout" element={<PublicLayout><Checkout /></PublicLayout>} />
@@ -84,6 +88,7 @@ function App() {
                 <Route path="/size-guide" element={<PublicLayout><SizeGuide /></PublicLayout>} />
                 <Route path="/compare" element={<PublicLayout><Compare /></PublicLayout>} />
                 <Route path="/order/:id" element={<PublicLayout><OrderTracking /></PublicLayout>} />
+                <Route path="/track" element={<PublicLayout><OrderTracking /></PublicLayout>} />
                 <Route path="/track/:tracking" element={<PublicLayout><OrderTracking /></PublicLayout>} />
                 <Route path="/contact" element={<PublicLayout><Contact /></PublicLayout>} />
                 <Route path="/faq" element={<PublicLayout><FAQ /></PublicLayout>} />
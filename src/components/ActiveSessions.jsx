@@ -0,0 +1,88 @@
+import { Monitor, Smartphone, LogOut } from 'lucide-react'
+
+// Short device label from a user agent, e.g. "Chrome on Windows"
+const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Unknown device'
+  const browser = /Edg\//.test(userAgent) ? 'Edge'
+    : /OPR\/|Opera/.test(userAgent) ? 'Opera'
+    : /Firefox\//.test(userAgent) ? 'Firefox'
+    : /Chrome\//.test(userAgent) ? 'Chrome'
+    : /Safari\//.test(userAgent) ? 'Safari'
+    : 'Browser'
+  const os = /Android/.test(userAgent) ? 'Android'
+    : /iPhone|iPad|iPod/.test(userAgent) ? 'iOS'
+    : /Windows/.test(userAgent) ? 'Windows'
+    : /Mac OS X|Macintosh/.test(userAgent) ? 'macOS'
+    : /Linux/.test(userAgent) ? 'Linux'
+    : null
+  return os ? `${browser} on ${os}` : browser
+}
+
+const isMobileDevice = (userAgent) => /Android|iPhone|iPad|iPod|Mobile/.test(userAgent || '')
+
+const formatLastUsed = (date) => {
+  if (!date) return ''
+  return new Date(date).toLocaleString('en-IN', {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  })
+}
+
+function ActiveSessions({ sessions = [], loading = false, onRevoke, onRevokeOthers }) {
+  const hasOtherSessions = sessions.some(session => !session.current)
+
+  if (loading && sessions.length === 0) {
+    return <p className="sessions-empty">Loading devices...</p>
+  }
+
+  if (sessions.length === 0) {
+    return <p className="sessions-empty">No signed-in devices found.</p>
+  }
+
+  return (
+    <div className="sessions-list">
+      {sessions.map(session => {
+        const DeviceIcon = isMobileDevice(session.userAgent) ? Smartphone : Monitor
+        return (
+          <div key={session.id} className={`session-item ${session.current ? 'current' : ''}`}>
+            <div className="session-icon">
+              <DeviceIcon size={20} />
+            </div>
+            <div className="session-details">
+              <p className="session-device">
+                {describeDevice(session.userAgent)}
+                {session.current && <span className="session-current-badge">This device</span>}
+              </p>
+              <p className="session-meta">
+                Last active {formatLastUsed(session.lastUsedAt)}
+                {session.ipAddress && ` · ${session.ipAddress}`}
+              </p>
+            </div>
+            <button
+              type="button"
+              className="btn btn-outline btn-small"
+              onClick={() => onRevoke(session)}
+            >
+              <LogOut size={14} />
+              Sign out
+            </button>
+          </div>
+        )
+      })}
+      {hasOtherSessions && (
+        <button
+          type="button"
+          className="btn btn-outline sessions-revoke-all"
+          onClick={onRevokeOthers}
+        >
+          Sign out of all other devices
+        </button>
+      )}
+    </div>
+  )
+}
+
+export default ActiveSessions
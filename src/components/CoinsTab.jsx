@@ -3,9 +3,31 @@ import { Coins, TrendingUp, TrendingDown, Clock, Gift, Info, ShoppingBag, Sparkl
 import { coinsAPI } from '../utils/api'
 import { useToast } from './Toast/ToastContainer'
 
+const CREDIT_TYPES = ['earned', 'refunded', 'admin_credit']
+
+// Short description of the earning rule, e.g. "10 coins on purchases over ₹5,000"
+const describeEarning = (earning) => {
+  if (earning.type === 'percentage') {
+    const base = `${earning.percent}% of your order value back in coins`
+    return earning.threshold > 0 ? `${base} on purchases over ₹${earning.threshold.toLocaleString()}` : base
+  }
+  if (earning.type === 'tiered') {
+    const tiers = [...(earning.tiers || [])].sort((a, b) => a.minAmount - b.minAmount)
+    return tiers.map(tier => `${tier.coins} coins over ₹${Number(tier.minAmount).toLocaleString()}`).join(', ')
+  }
+  return `${earning.coins} coins on purchases over ₹${earning.threshold.toLocaleString()}`
+}
+
+const earningHighlight = (earning) => {
+  if (earning.type === 'percentage') return `${earning.percent}% back`
+  if (earning.type === 'tiered') return `Up to ${Math.max(0, ...(earning.tiers || []).map(tier => tier.coins))} coins`
+  return `${earning.coins} coins`
+}
+
 function CoinsTab({ user, showSuccessToast, showError }) {
   const [coinBalance, setCoinBalance] = useState(0)
-  const [coinRules, setCoinRules] = useState({ earning: { threshold: 5000, coins: 10 }, redemption: { coins: 50, discountPercent: 5 } })
+  const [coinRules, setCoinRules] = useState({ earning: { type: 'flat', threshold: 5000, coins: 10 }, redemption: { coins: 50, discountPercent: 5 }, expiry: { days: 365 } })
+  const [expiring, setExpiring] = useState(null)
   const [transactions, setTransactions] = useState([])
   const [loading, setLoading] = useState(true)
   const [page, setPage] = useState(1)
@@ -25,10 +47,11 @@ function CoinsTab({ user, showSuccessToast, showError }) {
       ])
       
       setCoinBalance(balanceData.balance || 0)
+      setExpiring(balanceData.expiring || null)
       
       // Always update coin rules if provided, otherwise keep defaults
       if (balanceData.rules) {
-        setCoinRules(balanceData.rules)
+        setCoinRules(prev => ({ ...prev, ...balanceData.rules }))
       } else {
         // If rules not provided, try to load from settings API as fallback
         console.warn('Coin rules not found in balance response, using defaults')
@@ -55,6 +78,12 @@ function CoinsTab({ user, showSuccessToast, showError }) {
         return <Clock size={20} className="text-warning" />
       case 'refunded':
         return <Gift size={20} className="text-info" />
+      case 'clawback':
+        return <TrendingDown size={20} className="text-warning" />
+      case 'admin_credit':
+        return <TrendingUp size={20} className="text-success" />
+      case 'admin_debit':
+        return <TrendingDown size={20} className="text-danger" />
       default:
         return <Coins size={20} />
     }
@@ -63,10 +92,13 @@ function CoinsTab({ user, showSuccessToast, showError }) {
   const getTransactionColor = (type) => {
     switch (type) {
       case 'earned':
+      case 'admin_credit':
         return 'text-success'
       case 'spent':
+      case 'admin_debit':
         return 'text-danger'
       case 'expired':
+      case 'clawback':
         return 'text-warning'
       case 'refunded':
         return 'text-info'
@@ -90,7 +122,7 @@ function CoinsTab({ user, showSuccessToast, showError }) {
       <div className="coins-header">
         <h2>Coins & Rewards</h2>
         <p className="coins-subtitle">
-          Earn {coinRules.earning.coins} coins on purchases over ₹{coinRules.earning.threshold.toLocaleString()} and redeem {coinRules.redemption.coins} coins for {coinRules.redemption.discountPercent}% discount
+          Earn {describeEarning(coinRules.earning)} and redeem {coinRules.redemption.coins} coins for {coinRules.redemption.discountPercent}% discount
         </p>
       </div>
 
@@ -105,6 +137,11 @@ function CoinsTab({ user, showSuccessToast, showError }) {
           <div className="coin-balance-info">
             {coinRules.redemption.coins} coins = {coinRules.redemption.discountPercent}% discount
           </div>
+          {expiring && (
+            <div className="coin-balance-info">
+              <Clock size={14} /> {expiring.coins} coins expire on {new Date(expiring.expiresAt).toLocaleDateString('en-IN', { year: 'numeric', month: 'long', day: 'numeric' })}
+            </div>
+          )}
         </div>
       </div>
 
@@ -130,11 +167,11 @@ function CoinsTab({ user, showSuccessToast, showError }) {
                 <h4>Shop & Earn</h4>
               </div>
               <p className="coin-step-description">
-                Make a purchase worth <strong>₹{coinRules.earning.threshold.toLocaleString()}</strong> or more
+                Shop with us and pay for your order
               </p>
               <div className="coin-step-reward">
                 <Coins size={18} />
-                <span>Earn <strong>{coinRules.earning.coins} coins</strong> automatically</span>
+                <span>Earn <strong>{describeEarning(coinRules.earning)}</strong> automatically</span>
               </div>
             </div>
             <div className="coin-step-arrow">
@@ -169,10 +206,10 @@ function CoinsTab({ user, showSuccessToast, showError }) {
             <div className="coin-info-content">
               <h4>Earn Coins</h4>
               <p className="coin-info-main">
-                <span className="coin-info-highlight">{coinRules.earning.coins} coins</span>
+                <span className="coin-info-highlight">{earningHighlight(coinRules.earning)}</span>
               </p>
               <p className="coin-info-detail">
-                For purchases over ₹{coinRules.earning.threshold.toLocaleString()}
+                {coinRules.earning.type === 'tiered' ? 'The more you spend, the more you earn' : coinRules.earning.threshold > 0 ? `For purchases over ₹${coinRules.earning.threshold.toLocaleString()}` : 'On every purchase'}
               </p>
             </div>
           </div>
@@ -202,7 +239,7 @@ function CoinsTab({ user, showSuccessToast, showError }) {
           <ul className="coin-tips-list">
             <li>
               <CheckCircle2 size={16} />
-              <span>Coins are automatically added to your account after successful payment of ₹{coinRules.earning.threshold.toLocaleString()} or more</span>
+              <span>Coins are automatically added to your account after successful payment, and taken back if the order is cancelled or returned</span>
             </li>
             <li>
               <CheckCircle2 size={16} />
@@ -214,7 +251,7 @@ function CoinsTab({ user, showSuccessToast, showError }) {
             </li>
             <li>
               <CheckCircle2 size={16} />
-              <span>Coins never expire - use them whenever you want</span>
+              <span>{coinRules.expiry?.days > 0 ? `Coins expire ${coinRules.expiry.days} days after you receive them - the oldest coins are used first` : 'Coins never expire - use them whenever you want'}</span>
             </li>
           </ul>
         </div>
@@ -227,7 +264,7 @@ function CoinsTab({ user, showSuccessToast, showError }) {
           <div className="empty-state">
             <Coins size={48} />
             <h3>No transactions yet</h3>
-            <p>Make a purchase of ₹{coinRules.earning.threshold.toLocaleString()} or more to earn {coinRules.earning.coins} coins and see your transaction history here</p>
+            <p>Earn {describeEarning(coinRules.earning)} and see your transaction history here</p>
           </div>
         ) : (
           <>
@@ -250,7 +287,7 @@ function CoinsTab({ user, showSuccessToast, showError }) {
                     </div>
                   </div>
                   <div className={`transaction-amount ${getTransactionColor(transaction.type)}`}>
-                    {transaction.type === 'earned' || transaction.type === 'refunded' ? '+' : '-'}
+                    {CREDIT_TYPES.includes(transaction.type) ? '+' : '-'}
                     {transaction.amount} coins
                   </div>
                   <div className="transaction-balance">
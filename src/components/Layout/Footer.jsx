@@ -47,6 +47,7 @@ function Footer() {
                       <li><Link to="/dashboard">My Account</Link></li>
                       <li><Link to="/wishlist">Wishlist</Link></li>
                       <li><Link to="/dashboard" state={{ tab: 'track' }}>Track Order</Link></li>
+                      <li><Link to="/track">Find a Guest Order</Link></li>
                     </ul>
                   </div>
                 </div>
@@ -87,6 +88,7 @@ function Footer() {
                       <li><Link to="/dashboard">My Account</Link></li>
                       <li><Link to="/wishlist">Wishlist</Link></li>
                       <li><Link to="/dashboard" state={{ tab: 'track' }}>Track Order</Link></li>
+                      <li><Link to="/track">Find a Guest Order</Link></li>
                     </ul>
                   </div>
                 </div>
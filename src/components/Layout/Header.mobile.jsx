@@ -5,6 +5,7 @@ import { useAuth } from '../../context/AuthContext'
 import { useHeaderData } from '../../hooks/useHeaderData'
 import { useLoginModal } from '../../context/LoginModalContext'
 import { coinsAPI } from '../../utils/api'
+import SearchSuggestions from '../SearchSuggestions'
 
 function HeaderMobile() {
   const { isAuthenticated, user } = useAuth()
@@ -125,7 +126,7 @@ function HeaderMobile() {
   const handleSearch = (e) => {
     e.preventDefault()
     if (searchQuery.trim()) {
-      navigate(`/products?search=${encodeURIComponent(searchQuery.trim())}`)
+      navigate(`/search?q=${encodeURIComponent(searchQuery.trim())}`)
       setSearchQuery('')
     }
   }
@@ -240,6 +241,7 @@ function HeaderMobile() {
             </button>
           )}
         </form>
+        <SearchSuggestions query={searchQuery} onSelect={() => setSearchQuery('')} />
       </div>
 
       {/* Bottom Sheet for Categories */}
@@ -5,6 +5,7 @@ import { useAuth } from '../../context/AuthContext'
 import { useHeaderData } from '../../hooks/useHeaderData'
 import { useLoginModal } from '../../context/LoginModalContext'
 import { coinsAPI } from '../../utils/api'
+import SearchSuggestions from '../SearchSuggestions'
 
 function HeaderWeb() {
   const { isAuthenticated, user } = useAuth()
@@ -99,7 +100,7 @@ function HeaderWeb() {
   const handleSearch = (e) => {
     e.preventDefault()
     if (searchQuery.trim()) {
-      navigate(`/products?search=${encodeURIComponent(searchQuery.trim())}`)
+      navigate(`/search?q=${encodeURIComponent(searchQuery.trim())}`)
       setSearchQuery('')
     }
   }
@@ -193,6 +194,13 @@ function HeaderWeb() {
                           ×
                         </button>
                       </form>
+                      <SearchSuggestions
+                        query={searchQuery}
+                        onSelect={() => {
+                          setSearchQuery('')
+                          setIsSearchExpanded(false)
+                        }}
+                      />
                     </div>
                   )}
                 </div>
@@ -1,7 +1,7 @@
 import { useState, useEffect } from 'react'
 import { createPortal } from 'react-dom'
 import { useNavigate, useLocation } from 'react-router-dom'
-import { X, Mail, Lock, Smartphone, User, Eye, EyeOff, UserPlus, LogIn, AlertCircle, ArrowLeft, CheckCircle } from 'lucide-react'
+import { X, Mail, Lock, Smartphone, User, Eye, EyeOff, UserPlus, LogIn, AlertCircle, ArrowLeft, CheckCircle, KeyRound, ShieldCheck } from 'lucide-react'
 import { useAuth } from '../context/AuthContext'
 import { useAdminAuth } from '../context/AdminAuthContext'
 import { useToast } from './Toast/ToastContainer'
@@ -10,14 +10,22 @@ import { authAPI } from '../utils/api'
 function LoginModal({ isOpen, onClose, initialMode = 'login' }) {
   const navigate = useNavigate()
   const location = useLocation()
-  const { login: customerLogin, register, isAuthenticated: isCustomerAuth } = useAuth()
-  const { login: adminLogin, isAuthenticated: isAdminAuth } = useAdminAuth()
+  const { login: customerLogin, loginWithOtp, register, isAuthenticated: isCustomerAuth } = useAuth()
+  const { login: adminLogin, verifyTwoFactor: verifyAdminTwoFactor, isAuthenticated: isAdminAuth } = useAdminAuth()
   const { success, error: showError } = useToast()
   
   const [mode, setMode] = useState(initialMode)
   const [showForgotPassword, setShowForgotPassword] = useState(false)
   const [forgotPasswordSent, setForgotPasswordSent] = useState(false)
   const [redirectPath, setRedirectPath] = useState(null)
+  // Sign in with a password or with a code sent to the mobile; signup always verifies the mobile
+  const [loginMethod, setLoginMethod] = useState('password')
+  const [otpSent, setOtpSent] = useState(false)
+  const [sendingOtp, setSendingOtp] = useState(false)
+  const [otpCooldown, setOtpCooldown] = useState(0)
+  // Admins with two-factor on enter an authenticator (or recovery) code after their password
+  const [adminChallenge, setAdminChallenge] = useState(null)
+  const [twoFactorCode, setTwoFactorCode] = useState('')
 
   useEffect(() => {
     if (isOpen) {
@@ -43,7 +51,8 @@ function LoginModal({ isOpen, onClose, initialMode = 'login' }) {
     email: '',
     mobile: '',
     rememberMe: false,
-    forgotPasswordInput: ''
+    forgotPasswordInput: '',
+    otp: ''
   })
   const [error, setError] = useState('')
   const [isLoading, setIsLoading] = useState(false)
@@ -66,7 +75,8 @@ function LoginModal({ isOpen, onClose, initialMode = 'login' }) {
         email: '',
         mobile: '',
         rememberMe: false,
-        forgotPasswordInput: ''
+        forgotPasswordInput: '',
+        otp: ''
       })
       setError('')
       setShowPassword(false)
@@ -74,6 +84,10 @@ function LoginModal({ isOpen, onClose, initialMode = 'login' }) {
       setShowForgotPassword(false)
       setForgotPasswordSent(false)
       setRedirectPath(null)
+      setLoginMethod('password')
+      setOtpSent(false)
+      setAdminChallenge(null)
+      setTwoFactorCode('')
     } else {
       setFormData({
         loginInput: '',
@@ -83,23 +97,94 @@ function LoginModal({ isOpen, onClose, initialMode = 'login' }) {
         email: '',
         mobile: '',
         rememberMe: false,
-        forgotPasswordInput: ''
+        forgotPasswordInput: '',
+        otp: ''
       })
       setError('')
       setShowPassword(false)
       setShowConfirmPassword(false)
       setShowForgotPassword(false)
       setForgotPasswordSent(false)
+      setLoginMethod('password')
+      setOtpSent(false)
+      setAdminChallenge(null)
+      setTwoFactorCode('')
     }
   }, [isOpen])
 
+  useEffect(() => {
+    if (otpCooldown <= 0) return
+    const timer = setTimeout(() => setOtpCooldown(seconds => seconds - 1), 1000)
+    return () => clearTimeout(timer)
+  }, [otpCooldown])
+
   const handleChange = (e) => {
     const { name, value, type, checked } = e.target
     setFormData(prev => ({
       ...prev,
-      [name]: type === 'checkbox' ? checked : value
+      [name]: type === 'checkbox' ? checked : value,
+      // A code only works for the number it was sent to
+      ...((name === 'mobile' || name === 'loginInput') && { otp: '' })
     }))
+    if (name === 'mobile' || name === 'loginInput') {
+      setOtpSent(false)
+    }
+    setError('')
+  }
+
+  const resetOtp = () => {
+    setOtpSent(false)
+    setFormData(prev => ({ ...prev, otp: '' }))
+  }
+
+  const handleSendOtp = async (purpose) => {
+    setError('')
+    const mobile = (purpose === 'signup' ? formData.mobile : formData.loginInput).trim()
+
+    if (!/^[0-9]{10}$/.test(mobile)) {
+      setError('Please enter a valid 10-digit mobile number')
+      return
+    }
+
+    setSendingOtp(true)
+    try {
+      const data = await authAPI.requestOtp(mobile, purpose)
+      setOtpSent(true)
+      setOtpCooldown(data.resendAfter || 30)
+      success(data.message || 'Verification code sent')
+    } catch (err) {
+      setError(err.message || 'Failed to send the code. Please try again.')
+      showError(err.message || 'Failed to send the code. Please try again.')
+    } finally {
+      setSendingOtp(false)
+    }
+  }
+
+  const handleOtpLogin = async (e) => {
+    e.preventDefault()
     setError('')
+
+    if (!otpSent) {
+      await handleSendOtp('login')
+      return
+    }
+    if (!/^[0-9]{6}$/.test(formData.otp.trim())) {
+      setError('Please enter the 6-digit code we sent to your mobile')
+      return
+    }
+
+    setIsLoading(true)
+    try {
+      await loginWithOtp(formData.loginInput.trim(), formData.otp.trim())
+      success('Login successful! Welcome back!')
+      navigate(redirectPath || '/')
+      onClose()
+    } catch (err) {
+      setError(err.message || 'Login failed. Please try again.')
+      showError(err.message || 'Login failed. Please try again.')
+    } finally {
+      setIsLoading(false)
+    }
   }
 
   const handleLogin = async (e) => {
@@ -123,7 +208,12 @@ function LoginModal({ isOpen, onClose, initialMode = 'login' }) {
 
       if (isEmail) {
         try {
-          await adminLogin(input, formData.password)
+          const adminData = await adminLogin(input, formData.password)
+          if (adminData.twoFactorRequired) {
+            setAdminChallenge(adminData.challengeToken)
+            setTwoFactorCode('')
+            return
+          }
           success('Admin login successful!')
           navigate('/admin/dashboard')
           onClose()
@@ -155,6 +245,32 @@ function LoginModal({ isOpen, onClose, initialMode = 'login' }) {
     }
   }
 
+  const handleTwoFactorVerify = async (e) => {
+    e.preventDefault()
+    setError('')
+
+    if (!twoFactorCode.trim()) {
+      setError('Please enter the code from your authenticator app')
+      return
+    }
+
+    setIsLoading(true)
+    try {
+      const adminData = await verifyAdminTwoFactor(adminChallenge, twoFactorCode.trim())
+      success('Admin login successful!')
+      if (adminData.recoveryCodesRemaining !== undefined && adminData.recoveryCodesRemaining <= 3) {
+        showError(`You have ${adminData.recoveryCodesRemaining} recovery codes left. Create new ones under Account Security.`)
+      }
+      navigate('/admin/dashboard')
+      onClose()
+    } catch (err) {
+      setError(err.message || 'Verification failed. Please try again.')
+      setTwoFactorCode('')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
   const handleRegister = async (e) => {
     e.preventDefault()
     setError('')
@@ -199,12 +315,19 @@ function LoginModal({ isOpen, onClose, initialMode = 'login' }) {
       return
     }
 
+    if (!otpSent || !/^[0-9]{6}$/.test(formData.otp.trim())) {
+      setError('Please verify your mobile number with the 6-digit code we send to it')
+      setIsLoading(false)
+      return
+    }
+
     try {
       await register(
         mobile,
         formData.password,
         formData.name.trim(),
-        email
+        email,
+        formData.otp.trim()
       )
       success('Registration successful! Welcome to Arudhra Fashions!')
       navigate(redirectPath || '/')
@@ -245,15 +368,64 @@ function LoginModal({ isOpen, onClose, initialMode = 'login' }) {
   }
 
   const handleSubmit = (e) => {
-    if (showForgotPassword) {
+    if (adminChallenge) {
+      handleTwoFactorVerify(e)
+    } else if (showForgotPassword) {
       handleForgotPassword(e)
     } else if (mode === 'login') {
-      handleLogin(e)
+      if (loginMethod === 'otp') {
+        handleOtpLogin(e)
+      } else {
+        handleLogin(e)
+      }
     } else {
       handleRegister(e)
     }
   }
 
+  const renderSendOtpButton = (purpose) => (
+    <button
+      type="button"
+      className="auth-otp-send-btn"
+      onClick={() => handleSendOtp(purpose)}
+      disabled={sendingOtp || otpCooldown > 0}
+    >
+      {sendingOtp
+        ? 'Sending...'
+        : otpCooldown > 0
+          ? `Resend in ${otpCooldown}s`
+          : otpSent ? 'Resend Code' : 'Send Code'}
+    </button>
+  )
+
+  const renderOtpInput = (id) => (
+    <div className="auth-form-group">
+      <label htmlFor={id} className="auth-form-label">
+        <KeyRound size={18} />
+        Verification Code
+      </label>
+      <div className="auth-input-wrapper">
+        <KeyRound className="auth-input-icon" size={18} />
+        <input
+          type="text"
+          id={id}
+          name="otp"
+          className="auth-form-input"
+          value={formData.otp}
+          onChange={(e) => {
+            setFormData(prev => ({ ...prev, otp: e.target.value.replace(/\D/g, '') }))
+            setError('')
+          }}
+          placeholder="Enter the 6-digit code"
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          maxLength="6"
+          autoFocus
+        />
+      </div>
+    </div>
+  )
+
   if (!isOpen) return null
 
   const modalContent = (
@@ -269,7 +441,9 @@ function LoginModal({ isOpen, onClose, initialMode = 'login' }) {
         <div className="auth-modal-header">
           <h2>Arudhra Fashions</h2>
           <p>
-            {showForgotPassword 
+            {adminChallenge
+              ? 'Two-step verification'
+              : showForgotPassword 
               ? 'Reset your password' 
               : mode === 'login' 
                 ? 'Sign in to continue' 
@@ -293,7 +467,7 @@ function LoginModal({ isOpen, onClose, initialMode = 'login' }) {
           </button>
         )}
 
-        {!showForgotPassword && (
+        {!showForgotPassword && !adminChallenge && (
           <div className="auth-modal-tabs">
             <button
               className={`auth-tab ${mode === 'login' ? 'active' : ''}`}
@@ -301,6 +475,7 @@ function LoginModal({ isOpen, onClose, initialMode = 'login' }) {
                 setMode('login')
                 setError('')
                 setShowForgotPassword(false)
+                resetOtp()
               }}
             >
               <LogIn size={18} />
@@ -312,6 +487,7 @@ function LoginModal({ isOpen, onClose, initialMode = 'login' }) {
                 setMode('register')
                 setError('')
                 setShowForgotPassword(false)
+                resetOtp()
               }}
             >
               <UserPlus size={18} />
@@ -328,7 +504,50 @@ function LoginModal({ isOpen, onClose, initialMode = 'login' }) {
         )}
 
         <form className="auth-modal-form" onSubmit={handleSubmit}>
-          {showForgotPassword ? (
+          {adminChallenge ? (
+            <>
+              <div className="auth-form-group">
+                <label htmlFor="admin-2fa-code" className="auth-form-label">
+                  <ShieldCheck size={18} />
+                  Authentication Code
+                </label>
+                <div className="auth-input-wrapper">
+                  <ShieldCheck className="auth-input-icon" size={18} />
+                  <input
+                    type="text"
+                    id="admin-2fa-code"
+                    className="auth-form-input"
+                    value={twoFactorCode}
+                    onChange={(e) => {
+                      setTwoFactorCode(e.target.value)
+                      setError('')
+                    }}
+                    placeholder="6-digit code or recovery code"
+                    autoComplete="one-time-code"
+                    maxLength="12"
+                    autoFocus
+                  />
+                </div>
+                <p className="auth-form-hint">
+                  Open your authenticator app for the code. Lost your phone? Enter one of your recovery codes.
+                </p>
+              </div>
+              <div className="auth-form-options">
+                <button
+                  type="button"
+                  className="auth-forgot-link"
+                  onClick={() => {
+                    setAdminChallenge(null)
+                    setTwoFactorCode('')
+                    setFormData(prev => ({ ...prev, password: '' }))
+                    setError('')
+                  }}
+                >
+                  Back to sign in
+                </button>
+              </div>
+            </>
+          ) : showForgotPassword ? (
             <>
               {!forgotPasswordSent ? (
                 <div className="auth-form-group">
@@ -375,6 +594,48 @@ function LoginModal({ isOpen, onClose, initialMode = 'login' }) {
               </div>
               )}
             </>
+          ) : mode === 'login' && loginMethod === 'otp' ? (
+            <>
+              <div className="auth-form-group">
+                <label htmlFor="login-otp-mobile" className="auth-form-label">
+                  <Smartphone size={18} />
+                  Mobile Number
+                </label>
+                <div className="auth-otp-row">
+                  <div className="auth-input-wrapper">
+                    <Smartphone className="auth-input-icon" size={18} />
+                    <input
+                      type="tel"
+                      id="login-otp-mobile"
+                      name="loginInput"
+                      className="auth-form-input"
+                      value={formData.loginInput}
+                      onChange={handleChange}
+                      placeholder="Enter 10-digit mobile number"
+                      maxLength="10"
+                      autoFocus
+                    />
+                  </div>
+                  {renderSendOtpButton('login')}
+                </div>
+              </div>
+
+              {otpSent && renderOtpInput('login-otp')}
+
+              <div className="auth-form-options">
+                <button
+                  type="button"
+                  className="auth-forgot-link"
+                  onClick={() => {
+                    setLoginMethod('password')
+                    resetOtp()
+                    setError('')
+                  }}
+                >
+                  Sign in with password instead
+                </button>
+              </div>
+            </>
           ) : mode === 'login' ? (
             <>
               <div className="auth-form-group">
@@ -445,6 +706,24 @@ function LoginModal({ isOpen, onClose, initialMode = 'login' }) {
                   Forgot Password?
                 </button>
               </div>
+              <div className="auth-form-options">
+                <button
+                  type="button"
+                  className="auth-forgot-link"
+                  onClick={() => {
+                    setLoginMethod('otp')
+                    setFormData(prev => ({
+                      ...prev,
+                      password: '',
+                      // Keep a mobile number already typed in; an email cannot receive a code
+                      loginInput: /^[0-9]{10}$/.test(prev.loginInput.trim()) ? prev.loginInput.trim() : ''
+                    }))
+                    setError('')
+                  }}
+                >
+                  Sign in with a code sent to your mobile
+                </button>
+              </div>
             </>
           ) : (
             <>
@@ -473,23 +752,31 @@ function LoginModal({ isOpen, onClose, initialMode = 'login' }) {
                   <Smartphone size={18} />
                   Mobile Number
                 </label>
-                <div className="auth-input-wrapper">
-                  <Smartphone className="auth-input-icon" size={18} />
-                  <input
-                    type="tel"
-                    id="register-mobile"
-                    name="mobile"
-                    className="auth-form-input"
-                    value={formData.mobile}
-                    onChange={handleChange}
-                    placeholder="Enter 10-digit mobile number"
-                    maxLength="10"
-                    pattern="[0-9]{10}"
-                    required
-                  />
+                <div className="auth-otp-row">
+                  <div className="auth-input-wrapper">
+                    <Smartphone className="auth-input-icon" size={18} />
+                    <input
+                      type="tel"
+                      id="register-mobile"
+                      name="mobile"
+                      className="auth-form-input"
+                      value={formData.mobile}
+                      onChange={handleChange}
+                      placeholder="Enter 10-digit mobile number"
+                      maxLength="10"
+                      pattern="[0-9]{10}"
+                      required
+                    />
+                  </div>
+                  {renderSendOtpButton('signup')}
                 </div>
+                <p className="auth-form-hint">
+                  We send a code to this number to verify it.
+                </p>
               </div>
 
+              {otpSent && renderOtpInput('register-otp')}
+
               <div className="auth-form-group">
                 <label htmlFor="register-email" className="auth-form-label">
                   <Mail size={18} />
@@ -574,20 +861,30 @@ function LoginModal({ isOpen, onClose, initialMode = 'login' }) {
             <button
               type="submit"
               className="auth-submit-btn"
-              disabled={isLoading}
+              disabled={isLoading || sendingOtp}
             >
               {isLoading ? (
                 <>
                   <span className="btn-spinner"></span>
-                  <span>{showForgotPassword ? 'Sending...' : mode === 'login' ? 'Signing In...' : 'Registering...'}</span>
+                  <span>{adminChallenge ? 'Verifying...' : showForgotPassword ? 'Sending...' : mode === 'login' ? 'Signing In...' : 'Registering...'}</span>
                 </>
               ) : (
                 <>
-                  {showForgotPassword ? (
+                  {adminChallenge ? (
+                    <>
+                      <ShieldCheck size={18} />
+                      <span>Verify</span>
+                    </>
+                  ) : showForgotPassword ? (
                     <>
                       <Mail size={18} />
                       <span>Send Reset Link</span>
                     </>
+                  ) : mode === 'login' && loginMethod === 'otp' && !otpSent ? (
+                    <>
+                      <KeyRound size={18} />
+                      <span>Send Code</span>
+                    </>
                   ) : mode === 'login' ? (
                     <>
                       <LogIn size={18} />
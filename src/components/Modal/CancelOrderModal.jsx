@@ -0,0 +1,73 @@
+import { X } from 'lucide-react'
+import { CANCELLATION_REASONS } from '../../utils/orderStatus'
+
+function CancelOrderModal({
+  order,
+  form,
+  setForm,
+  onClose,
+  onSubmit,
+  submitting = false
+}) {
+  if (!order) return null
+
+  const orderId = order._id || order.id
+  const paidOnline = order.payment?.status === 'paid' && order.payment?.method !== 'cod'
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content cancel-order-modal" onClick={(e) => e.stopPropagation()}>
+        <button className="modal-close" onClick={onClose} aria-label="Close">
+          <X size={20} />
+        </button>
+        <div className="modal-header">
+          <h2>Cancel Order {(order.orderId || orderId).slice(-8).toUpperCase()}</h2>
+        </div>
+        <form onSubmit={onSubmit} className="modal-body">
+          <div className="form-group">
+            <label>Why are you cancelling? *</label>
+            <div className="cancel-reasons">
+              {CANCELLATION_REASONS.map(reason => (
+                <label key={reason} className="cancel-reason-option">
+                  <input
+                    type="radio"
+                    name="cancelReason"
+                    value={reason}
+                    checked={form.reason === reason}
+                    onChange={(e) => setForm(prev => ({ ...prev, reason: e.target.value }))}
+                  />
+                  <span>{reason}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+          <div className="form-group">
+            <label>{form.reason === 'Other' ? 'Tell us more *' : 'Anything else? (optional)'}</label>
+            <textarea
+              rows={3}
+              maxLength={500}
+              value={form.comment}
+              onChange={(e) => setForm(prev => ({ ...prev, comment: e.target.value }))}
+              required={form.reason === 'Other'}
+            />
+          </div>
+          <p className="cancel-order-note">
+            {paidOnline
+              ? `₹${(Number(order.total) || 0).toFixed(2)} will be refunded to your original payment method within 5-7 working days.`
+              : 'Any coins or coupon used on this order will be returned to your account.'}
+          </p>
+          <div className="modal-footer">
+            <button type="button" className="btn btn-outline" onClick={onClose}>
+              Keep Order
+            </button>
+            <button type="submit" className="btn btn-primary btn-danger" disabled={submitting || !form.reason}>
+              {submitting ? 'Cancelling...' : 'Cancel Order'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default CancelOrderModal
@@ -0,0 +1,152 @@
+import { X, RefreshCw } from 'lucide-react'
+
+const REFUND_STATUS_CLASSES = {
+  processed: 'status-success',
+  pending: 'status-warning',
+  failed: 'status-danger'
+}
+
+const formatRupees = (amount) => `₹${(Number(amount) || 0).toFixed(2)}`
+
+// Admin refund form: refund to the original Razorpay payment or as store credit (coins),
+// with the refunds already made and a status check for the ones Razorpay has not settled
+function RefundModal({
+  title,
+  maxAmount,
+  paidOnline,
+  refunds = [],
+  form,
+  setForm,
+  onClose,
+  onSubmit,
+  onSync,
+  submitting = false,
+  showReason = false
+}) {
+  const refundInProgress = refunds.some(refund => refund.status === 'pending')
+  const canRefund = maxAmount > 0 && !refundInProgress
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content refund-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>{title}</h2>
+          <button className="modal-close" onClick={onClose}>
+            <X size={20} />
+          </button>
+        </div>
+        <form onSubmit={onSubmit}>
+          <div className="modal-body">
+            {refunds.length > 0 && (
+              <div className="refund-history">
+                <label>Refunds</label>
+                {refunds.map(refund => (
+                  <div key={refund.id} className="refund-history-item">
+                    <div>
+                      <p>
+                        {formatRupees(refund.amount)}
+                        {refund.method === 'coins' ? ` as ${refund.coins} coins` : ' to original payment'}
+                      </p>
+                      <p className="text-muted">
+                        {new Date(refund.createdAt).toLocaleString()}
+                        {refund.gatewayRefundId && ` · ${refund.gatewayRefundId}`}
+                        {refund.failureReason && ` · ${refund.failureReason}`}
+                      </p>
+                    </div>
+                    <span className={`status-badge ${REFUND_STATUS_CLASSES[refund.status] || ''}`}>
+                      {refund.status}
+                    </span>
+                    {refund.status === 'pending' && refund.method === 'original' && onSync && (
+                      <button
+                        type="button"
+                        className="btn-icon"
+                        title="Check status with Razorpay"
+                        onClick={() => onSync(refund)}
+                      >
+                        <RefreshCw size={16} />
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {refundInProgress ? (
+              <p className="text-muted">
+                A refund is waiting for Razorpay. It settles automatically; use the refresh button to check now.
+              </p>
+            ) : maxAmount <= 0 ? (
+              <p className="text-muted">Nothing is left to refund.</p>
+            ) : (
+              <>
+                <div className="form-group">
+                  <label>Refund to *</label>
+                  <div className="refund-methods">
+                    <label className="refund-method-option">
+                      <input
+                        type="radio"
+                        name="refundMethod"
+                        value="original"
+                        checked={form.method === 'original'}
+                        disabled={!paidOnline}
+                        onChange={(e) => setForm(prev => ({ ...prev, method: e.target.value }))}
+                      />
+                      <span>Original payment (Razorpay)</span>
+                    </label>
+                    <label className="refund-method-option">
+                      <input
+                        type="radio"
+                        name="refundMethod"
+                        value="coins"
+                        checked={form.method === 'coins'}
+                        onChange={(e) => setForm(prev => ({ ...prev, method: e.target.value }))}
+                      />
+                      <span>Store credit (coins)</span>
+                    </label>
+                  </div>
+                  {!paidOnline && <small>This order was not paid online, so it can only be refunded as store credit.</small>}
+                </div>
+                <div className="form-group">
+                  <label>Amount (₹) *</label>
+                  <input
+                    type="number"
+                    min="0.01"
+                    max={maxAmount}
+                    step="0.01"
+                    value={form.amount}
+                    onChange={(e) => setForm(prev => ({ ...prev, amount: e.target.value }))}
+                    required
+                  />
+                  <small>Up to {formatRupees(maxAmount)}</small>
+                </div>
+                {showReason && (
+                  <div className="form-group">
+                    <label>Reason</label>
+                    <textarea
+                      rows={2}
+                      maxLength={500}
+                      value={form.reason || ''}
+                      onChange={(e) => setForm(prev => ({ ...prev, reason: e.target.value }))}
+                    />
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+          <div className="modal-footer">
+            <button type="button" className="btn btn-outline" onClick={onClose}>
+              Close
+            </button>
+            {canRefund && (
+              <button type="submit" className="btn btn-primary" disabled={submitting}>
+                {submitting ? 'Refunding...' : `Refund ${formatRupees(form.amount)}`}
+              </button>
+            )}
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default RefundModal
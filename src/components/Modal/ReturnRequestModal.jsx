@@ -0,0 +1,244 @@
+import { X, Camera } from 'lucide-react'
+import { getImageUrl } from '../../utils/api'
+import { RETURN_REASONS, MAX_RETURN_PHOTOS } from '../../utils/returnStatus'
+
+const formatRupees = (amount) => `₹${(Number(amount) || 0).toLocaleString('en-IN', { maximumFractionDigits: 2 })}`
+
+const formatOption = (option) => [option.size, option.color].filter(Boolean).join(' / ') || 'Standard'
+
+// Customer return form: pick order lines and quantities, a refund or an exchange for another
+// size/color, a reason and up to five photos. Lines come from GET /api/returns/eligibility.
+function ReturnRequestModal({
+  order,
+  eligibility,
+  form,
+  setForm,
+  onClose,
+  onSubmit,
+  onPhotosSelected,
+  submitting = false,
+  uploadingPhotos = false
+}) {
+  if (!order) return null
+
+  const orderId = order.orderId || order._id || order.id
+  const lines = eligibility?.lines || []
+  const selectedLines = lines.filter(line => form.lines[line.lineIndex]?.selected)
+  // Each line is refunded at what was paid for it: its share of the order's discounts off,
+  // its share of the GST back on
+  const refundTotal = selectedLines.reduce((sum, line) => {
+    const quantity = form.lines[line.lineIndex].quantity || 1
+    const share = quantity / line.quantity
+    return sum + Math.max(line.unitPrice * quantity - (line.discount || 0) * share, 0) + (line.tax || 0) * share
+  }, 0)
+
+  const updateLine = (lineIndex, changes) => {
+    setForm(prev => ({
+      ...prev,
+      lines: {
+        ...prev.lines,
+        [lineIndex]: { quantity: 1, exchangeVariantId: '', ...prev.lines[lineIndex], ...changes }
+      }
+    }))
+  }
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content return-request-modal" onClick={(e) => e.stopPropagation()}>
+        <button className="modal-close" onClick={onClose} aria-label="Close">
+          <X size={20} />
+        </button>
+        <div className="modal-header">
+          <h2>Return or Exchange · Order {String(orderId).slice(-8).toUpperCase()}</h2>
+        </div>
+        {!eligibility ? (
+          <div className="modal-body">
+            <p>Loading items...</p>
+          </div>
+        ) : (
+          <form onSubmit={onSubmit} className="modal-body">
+            <div className="form-group">
+              <label>What would you like? *</label>
+              <div className="return-resolutions">
+                <label className="cancel-reason-option">
+                  <input
+                    type="radio"
+                    name="returnResolution"
+                    value="refund"
+                    checked={form.resolution === 'refund'}
+                    onChange={(e) => setForm(prev => ({ ...prev, resolution: e.target.value }))}
+                  />
+                  <span>Refund</span>
+                </label>
+                <label className="cancel-reason-option">
+                  <input
+                    type="radio"
+                    name="returnResolution"
+                    value="exchange"
+                    checked={form.resolution === 'exchange'}
+                    onChange={(e) => setForm(prev => ({ ...prev, resolution: e.target.value }))}
+                  />
+                  <span>Exchange for another size or colour</span>
+                </label>
+              </div>
+            </div>
+
+            <div className="form-group">
+              <label>Items to return *</label>
+              <div className="return-lines">
+                {lines.map(line => {
+                  const selection = form.lines[line.lineIndex] || {}
+                  return (
+                    <div key={line.lineIndex} className={`return-line ${line.eligible ? '' : 'disabled'}`}>
+                      <label className="return-line-main">
+                        <input
+                          type="checkbox"
+                          checked={Boolean(selection.selected)}
+                          disabled={!line.eligible}
+                          onChange={(e) => updateLine(line.lineIndex, { selected: e.target.checked })}
+                        />
+                        {line.image && <img src={getImageUrl(line.image)} alt={line.name} />}
+                        <div>
+                          <p className="return-line-name">{line.name}</p>
+                          <p className="return-line-meta">
+                            {[line.size, line.color].filter(Boolean).join(' / ')}
+                            {line.size || line.color ? ' · ' : ''}
+                            {formatRupees(line.unitPrice)} × {line.quantity}
+                          </p>
+                          {line.eligible ? (
+                            <p className="return-line-meta">
+                              Return by {new Date(line.returnBy).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' })}
+                            </p>
+                          ) : (
+                            <p className="return-line-meta return-line-blocked">{line.ineligibleReason}</p>
+                          )}
+                        </div>
+                      </label>
+                      {selection.selected && (
+                        <div className="return-line-options">
+                          <select
+                            value={selection.quantity || 1}
+                            onChange={(e) => updateLine(line.lineIndex, { quantity: parseInt(e.target.value) })}
+                            aria-label="Quantity"
+                          >
+                            {Array.from({ length: line.returnableQuantity }, (_, i) => i + 1).map(quantity => (
+                              <option key={quantity} value={quantity}>Qty {quantity}</option>
+                            ))}
+                          </select>
+                          {form.resolution === 'exchange' && (
+                            line.exchangeOptions.length > 0 ? (
+                              <select
+                                value={selection.exchangeVariantId || ''}
+                                onChange={(e) => updateLine(line.lineIndex, { exchangeVariantId: e.target.value })}
+                                required
+                                aria-label="Exchange for"
+                              >
+                                <option value="">Exchange for...</option>
+                                {line.exchangeOptions.map(option => (
+                                  <option key={option.variantId} value={option.variantId}>
+                                    {formatOption(option)}
+                                  </option>
+                                ))}
+                              </select>
+                            ) : (
+                              <span className="return-line-blocked">No other size or colour in stock</span>
+                            )
+                          )}
+                        </div>
+                      )}
+                    </div>
+                  )
+                })}
+              </div>
+            </div>
+
+            <div className="form-group">
+              <label>Reason *</label>
+              <select
+                value={form.reason}
+                onChange={(e) => setForm(prev => ({ ...prev, reason: e.target.value }))}
+                required
+              >
+                <option value="">Select reason</option>
+                {RETURN_REASONS.map(reason => (
+                  <option key={reason} value={reason}>{reason}</option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label>{form.reason === 'Other' ? 'Tell us more *' : 'Anything else? (optional)'}</label>
+              <textarea
+                rows={3}
+                maxLength={1000}
+                value={form.comment}
+                onChange={(e) => setForm(prev => ({ ...prev, comment: e.target.value }))}
+                required={form.reason === 'Other'}
+              />
+            </div>
+
+            <div className="form-group">
+              <label>Photos (up to {MAX_RETURN_PHOTOS})</label>
+              <div className="return-photos">
+                {form.photos.map(photo => (
+                  <div key={photo} className="return-photo">
+                    <img src={getImageUrl(photo)} alt="Return evidence" />
+                    <button
+                      type="button"
+                      className="return-photo-remove"
+                      onClick={() => setForm(prev => ({ ...prev, photos: prev.photos.filter(p => p !== photo) }))}
+                      aria-label="Remove photo"
+                    >
+                      <X size={14} />
+                    </button>
+                  </div>
+                ))}
+                {form.photos.length < MAX_RETURN_PHOTOS && (
+                  <label className="return-photo-add">
+                    <Camera size={20} />
+                    <span>{uploadingPhotos ? 'Uploading...' : 'Add'}</span>
+                    <input
+                      type="file"
+                      accept="image/*"
+                      multiple
+                      disabled={uploadingPhotos}
+                      onChange={(e) => {
+                        onPhotosSelected(Array.from(e.target.files || []))
+                        e.target.value = ''
+                      }}
+                    />
+                  </label>
+                )}
+              </div>
+            </div>
+
+            {form.resolution === 'refund' && selectedLines.length > 0 && (
+              <p className="cancel-order-note">
+                Up to {formatRupees(refundTotal)} will be refunded once the items pass our quality check.
+              </p>
+            )}
+            {form.resolution === 'exchange' && selectedLines.length > 0 && (
+              <p className="cancel-order-note">
+                We send the new size or colour once the returned items pass our quality check.
+              </p>
+            )}
+
+            <div className="modal-footer">
+              <button type="button" className="btn btn-outline" onClick={onClose}>
+                Cancel
+              </button>
+              <button
+                type="submit"
+                className="btn btn-primary"
+                disabled={submitting || uploadingPhotos || selectedLines.length === 0 || !form.reason}
+              >
+                {submitting ? 'Submitting...' : 'Submit Request'}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default ReturnRequestModal
@@ -80,19 +80,7 @@ function ProductCard({ product, compact = false }) {
     e.preventDefault()
     e.stopPropagation()
     
-    if (!isAuthenticated) {
-      showError('Please login to add items to cart')
-      navigate('/dashboard', { state: { tab: 'login', redirectPath: window.location.pathname } })
-      return
-    }
-
     try {
-      const token = localStorage.getItem('token')
-      if (!token) {
-        showError('Please login again')
-        return
-      }
-
       await cartAPI.addItem(productId, 1)
       success('Added to cart!')
       window.dispatchEvent(new Event('cartUpdated'))
@@ -1,17 +1,14 @@
 import { useState, useEffect } from 'react'
 import { X, ShoppingCart, Check } from 'lucide-react'
-import { Link, useNavigate } from 'react-router-dom'
+import { Link } from 'react-router-dom'
 import { useToast } from '../Toast/ToastContainer'
 import { cartAPI } from '../../utils/api'
-import { useAuth } from '../../context/AuthContext'
 
 function QuickView({ product, isOpen, onClose }) {
   const [selectedSize, setSelectedSize] = useState('')
   const [selectedColor, setSelectedColor] = useState('')
   const [isAddingToCart, setIsAddingToCart] = useState(false)
   const { success, error: showError } = useToast()
-  const { isAuthenticated } = useAuth()
-  const navigate = useNavigate()
 
   // Normalize product data
   const productImage = product.images && product.images.length > 0 
@@ -37,13 +34,6 @@ function QuickView({ product, isOpen, onClose }) {
   if (!isOpen || !product) return null
 
   const handleAddToCart = async () => {
-    if (!isAuthenticated) {
-      showError('Please login to add items to cart')
-      navigate('/dashboard', { state: { tab: 'login', redirectPath: window.location.pathname } })
-      onClose()
-      return
-    }
-
     if (productSizes.length > 0 && !selectedSize) {
       showError('Please select a size')
       return
@@ -52,13 +42,6 @@ function QuickView({ product, isOpen, onClose }) {
     try {
       setIsAddingToCart(true)
       const productId = product._id || product.id
-      const token = localStorage.getItem('token')
-      
-      if (!token) {
-        showError('Please login again')
-        return
-      }
-
       await cartAPI.addItem(productId, 1, selectedSize || null, selectedColor || null)
       success('Product added to cart!')
       
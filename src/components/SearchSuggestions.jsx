@@ -0,0 +1,81 @@
+import { Link } from 'react-router-dom'
+import { useState, useEffect } from 'react'
+import { Search, Tag } from 'lucide-react'
+import { productsAPI } from '../utils/api'
+
+// Search-as-you-type results shown under the header search box
+function SearchSuggestions({ query, onSelect }) {
+  const [suggestions, setSuggestions] = useState(null)
+  const trimmedQuery = query.trim()
+
+  useEffect(() => {
+    if (trimmedQuery.length < 2) {
+      setSuggestions(null)
+      return
+    }
+
+    let cancelled = false
+    const debounceTimer = setTimeout(async () => {
+      try {
+        const data = await productsAPI.suggest(trimmedQuery)
+        if (!cancelled) setSuggestions(data)
+      } catch (err) {
+        console.error('Failed to load search suggestions:', err)
+      }
+    }, 250)
+
+    return () => {
+      cancelled = true
+      clearTimeout(debounceTimer)
+    }
+  }, [trimmedQuery])
+
+  if (!suggestions) return null
+
+  const { products = [], categories = [], didYouMean } = suggestions
+  const searchPath = (term) => `/search?q=${encodeURIComponent(term)}`
+
+  return (
+    <div className="search-suggestions">
+      {categories.map(category => (
+        <Link key={category.id} to={category.path} className="search-suggestion" onClick={onSelect}>
+          <Tag size={16} />
+          <span>{category.name}</span>
+        </Link>
+      ))}
+
+      {products.map(product => (
+        <Link key={product.id} to={`/product/${product.id}`} className="search-suggestion" onClick={onSelect}>
+          {product.image ? (
+            <img src={product.image} alt={product.name} />
+          ) : (
+            <Search size={16} />
+          )}
+          <span>
+            {product.name}
+            {product.category && <small>{product.category}</small>}
+          </span>
+          <strong>₹{product.price.toLocaleString()}</strong>
+        </Link>
+      ))}
+
+      {didYouMean && (
+        <Link to={searchPath(didYouMean)} className="search-suggestion search-suggestion-correction" onClick={onSelect}>
+          <Search size={16} />
+          <span>Did you mean <em>{didYouMean}</em>?</span>
+        </Link>
+      )}
+
+      {products.length === 0 && categories.length === 0 && !didYouMean ? (
+        <p className="search-suggestions-empty">No matches for "{trimmedQuery}"</p>
+      ) : (
+        <Link to={searchPath(trimmedQuery)} className="search-suggestion search-suggestion-all" onClick={onSelect}>
+          <Search size={16} />
+          <span>See all results for "{trimmedQuery}"</span>
+        </Link>
+      )}
+    </div>
+  )
+}
+
+export default SearchSuggestions
@@ -3,6 +3,17 @@ import { adminAuthAPI } from '../utils/adminApi'
 
 const AdminAuthContext = createContext()
 
+// What is kept in localStorage for the signed-in admin
+const toSession = (adminData) => ({
+  _id: adminData._id,
+  email: adminData.email,
+  name: adminData.name,
+  role: adminData.role,
+  permissions: adminData.permissions || {},
+  twoFactorEnabled: Boolean(adminData.twoFactorEnabled),
+  twoFactorRequired: Boolean(adminData.twoFactorRequired)
+})
+
 export function useAdminAuth() {
   const context = useContext(AdminAuthContext)
   if (!context) {
@@ -45,44 +56,70 @@ export function AdminAuthProvider({ children }) {
     loadAdmin()
   }, [])
 
+  useEffect(() => {
+    const handleTwoFactorRequired = () => updateAdmin({ twoFactorRequired: true })
+    window.addEventListener('admin:two-factor-required', handleTwoFactorRequired)
+    return () => window.removeEventListener('admin:two-factor-required', handleTwoFactorRequired)
+  }, [])
+
+  const startSession = (adminData) => {
+    localStorage.setItem('adminToken', adminData.token)
+    const session = toSession(adminData)
+    localStorage.setItem('adminSession', JSON.stringify(session))
+    setAdmin(session)
+  }
+
+  // Resolves with { twoFactorRequired, challengeToken } instead of signing in when the admin
+  // uses two-factor; finish with verifyTwoFactor
   const login = async (email, password) => {
     try {
       const adminData = await adminAuthAPI.login(email, password)
-      
-      // Store token and admin data
-      localStorage.setItem('adminToken', adminData.token)
-      localStorage.setItem('adminSession', JSON.stringify({
-        _id: adminData._id,
-        email: adminData.email,
-        name: adminData.name,
-        role: adminData.role
-      }))
-      
-      setAdmin({
-        _id: adminData._id,
-        email: adminData.email,
-        name: adminData.name,
-        role: adminData.role
-      })
-      
+      if (adminData.twoFactorRequired && adminData.challengeToken) {
+        return adminData
+      }
+
+      startSession(adminData)
       return adminData
     } catch (error) {
       throw new Error(error.message || 'Invalid email or password')
     }
   }
 
+  const verifyTwoFactor = async (challengeToken, code) => {
+    const adminData = await adminAuthAPI.verifyTwoFactor(challengeToken, code)
+    startSession(adminData)
+    return adminData
+  }
+
+  // Keep the stored session in step after the admin changes their two-factor setup
+  const updateAdmin = (changes) => {
+    setAdmin(prev => {
+      if (!prev) return prev
+      const session = { ...prev, ...changes }
+      localStorage.setItem('adminSession', JSON.stringify(toSession(session)))
+      return session
+    })
+  }
+
   const logout = () => {
     setAdmin(null)
     localStorage.removeItem('adminToken')
     localStorage.removeItem('adminSession')
   }
 
+  // Whether the admin's role allows an action (permissions come from the server's matrix)
+  const can = (resource, action = 'view') =>
+    Boolean(admin?.permissions?.[resource]?.includes(action))
+
   const value = {
     admin,
     loading,
     isAuthenticated: !!admin,
     login,
-    logout
+    verifyTwoFactor,
+    updateAdmin,
+    logout,
+    can
   }
 
   return <AdminAuthContext.Provider value={value}>{children}</AdminAuthContext.Provider>
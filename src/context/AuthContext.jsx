@@ -28,6 +28,7 @@ export function AuthProvider({ children }) {
             console.error('Error loading user:', error)
             // Token might be invalid, clear it
             localStorage.removeItem('token')
+            localStorage.removeItem('refreshToken')
           }
         }
       } catch (error) {
@@ -39,6 +40,13 @@ export function AuthProvider({ children }) {
     loadUser()
   }, [])
 
+  // api.js signals when the refresh token is refused (signed out elsewhere, password changed)
+  useEffect(() => {
+    const handleSessionEnded = () => setUser(null)
+    window.addEventListener('auth:session-ended', handleSessionEnded)
+    return () => window.removeEventListener('auth:session-ended', handleSessionEnded)
+  }, [])
+
   // Generate guest ID
   const getGuestId = () => {
     let guestId = localStorage.getItem('guestId')
@@ -49,18 +57,21 @@ export function AuthProvider({ children }) {
     return guestId
   }
 
-  // Register new user
-  const register = async (mobile, password, name, email) => {
+  // Register new user; otp is the code sent to the mobile number
+  const register = async (mobile, password, name, email, otp) => {
     try {
-      const response = await authAPI.register(mobile, password, name, email)
-      // Backend returns: { _id, mobile, name, email, token }
+      const response = await authAPI.register(mobile, password, name, email, otp)
+      // Backend returns: { _id, mobile, name, email, token, refreshToken }
       const token = response.token
       // Store token
       if (token) {
         localStorage.setItem('token', token)
+        localStorage.setItem('refreshToken', response.refreshToken)
+        // The server has moved the guest cart and orders to the account
+        localStorage.removeItem('guestToken')
       }
-      // Store user data (remove token from response)
-      const { token: _, ...userData } = response
+      // Store user data (remove tokens from response)
+      const { token: _, refreshToken: __, ...userData } = response
       setUser(userData)
       return userData
     } catch (error) {
@@ -73,14 +84,17 @@ export function AuthProvider({ children }) {
   const login = async (mobile, email, password) => {
     try {
       const response = await authAPI.login(mobile, email, password)
-      // Backend returns: { _id, mobile, name, email, token }
+      // Backend returns: { _id, mobile, name, email, token, refreshToken }
       const token = response.token
       // Store token
       if (token) {
         localStorage.setItem('token', token)
+        localStorage.setItem('refreshToken', response.refreshToken)
+        // The server has moved the guest cart and orders to the account
+        localStorage.removeItem('guestToken')
       }
-      // Store user data (remove token from response)
-      const { token: _, ...userData } = response
+      // Store user data (remove tokens from response)
+      const { token: _, refreshToken: __, ...userData } = response
       setUser(userData)
       return userData
     } catch (error) {
@@ -89,10 +103,37 @@ export function AuthProvider({ children }) {
     }
   }
 
-  // Logout user
-  const logout = () => {
+  // Login with a one-time code sent to the mobile number
+  const loginWithOtp = async (mobile, otp) => {
+    try {
+      const response = await authAPI.verifyOtp(mobile, otp)
+      const token = response.token
+      if (token) {
+        localStorage.setItem('token', token)
+        localStorage.setItem('refreshToken', response.refreshToken)
+        // The server has moved the guest cart and orders to the account
+        localStorage.removeItem('guestToken')
+      }
+      const { token: _, refreshToken: __, ...userData } = response
+      setUser(userData)
+      return userData
+    } catch (error) {
+      console.error('OTP login error:', error)
+      throw error
+    }
+  }
+
+  // Logout user; the tokens are kept until the server has ended the session
+  const logout = async () => {
     setUser(null)
-    localStorage.removeItem('token')
+    try {
+      await authAPI.logout()
+    } catch (error) {
+      console.error('Logout error:', error)
+    } finally {
+      localStorage.removeItem('token')
+      localStorage.removeItem('refreshToken')
+    }
   }
 
   // Reset password
@@ -146,6 +187,7 @@ export function AuthProvider({ children }) {
     getGuestId,
     register,
     login,
+    loginWithOtp,
     logout,
     resetPassword,
     updateProfile,
@@ -14,43 +14,35 @@ export function useHeaderData() {
 
   // Load cart count
   useEffect(() => {
+    // Guests have a server-side cart too (found by the guest token)
     const loadCartCount = async () => {
-      if (isAuthenticated) {
-        try {
-          const response = await cartAPI.get()
-          console.log('Header cart response:', response) // Debug log
-          
-          // Handle different response structures
-          let items = []
-          if (Array.isArray(response)) {
-            items = response
-          } else if (response?.items) {
-            items = Array.isArray(response.items) ? response.items : []
-          } else if (response?.data?.items) {
-            items = Array.isArray(response.data.items) ? response.data.items : []
-          }
-          
-          const count = items.reduce((sum, item) => sum + (item.quantity || 1), 0)
-          console.log('Cart count calculated:', count, 'from', items.length, 'items')
-          setCartCount(count)
-        } catch (err) {
-          console.error('Failed to load cart count:', err)
+      try {
+        const response = await cartAPI.get()
+        console.log('Header cart response:', response) // Debug log
+        
+        // Handle different response structures
+        let items = []
+        if (Array.isArray(response)) {
+          items = response
+        } else if (response?.items) {
+          items = Array.isArray(response.items) ? response.items : []
+        } else if (response?.data?.items) {
+          items = Array.isArray(response.data.items) ? response.data.items : []
         }
-      } else {
-        // Guest cart
-        const guestCart = JSON.parse(localStorage.getItem('cart_guest') || '[]')
-        const count = guestCart.reduce((sum, item) => sum + (item.quantity || 1), 0)
+        
+        const count = items.reduce((sum, item) => sum + (item.quantity || 1), 0)
+        console.log('Cart count calculated:', count, 'from', items.length, 'items')
         setCartCount(count)
+      } catch (err) {
+        console.error('Failed to load cart count:', err)
       }
     }
     loadCartCount()
     
-    // Listen for cart updates
-    const handleStorageChange = () => {
-      if (!isAuthenticated) {
-        const guestCart = JSON.parse(localStorage.getItem('cart_guest') || '[]')
-        const count = guestCart.reduce((sum, item) => sum + (item.quantity || 1), 0)
-        setCartCount(count)
+    // Listen for cart updates (another tab may have started a guest cart)
+    const handleStorageChange = (event) => {
+      if (!isAuthenticated && event.key === 'guestToken') {
+        loadCartCount()
       }
     }
     
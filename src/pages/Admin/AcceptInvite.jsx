@@ -0,0 +1,142 @@
+import { useEffect, useRef, useState } from 'react'
+import { useSearchParams, useNavigate } from 'react-router-dom'
+import { adminAuthAPI } from '../../utils/adminApi'
+import { useLoginModal } from '../../context/LoginModalContext'
+import { Eye, EyeOff } from 'lucide-react'
+
+// Invited admins land here from their invite email to choose a password
+const AcceptInvite = () => {
+  const [searchParams] = useSearchParams()
+  const token = searchParams.get('token')
+  const [password, setPassword] = useState('')
+  const [confirmPassword, setConfirmPassword] = useState('')
+  const [showPassword, setShowPassword] = useState(false)
+  const [status, setStatus] = useState({ type: '', message: '' })
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const navigate = useNavigate()
+  const redirectTimer = useRef(null)
+  const { openModal } = useLoginModal()
+
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+
+    if (password.length < 8) {
+      setStatus({ type: 'error', message: 'Password must be at least 8 characters.' })
+      return
+    }
+
+    if (password !== confirmPassword) {
+      setStatus({ type: 'error', message: 'Passwords do not match.' })
+      return
+    }
+
+    try {
+      setIsSubmitting(true)
+      const data = await adminAuthAPI.acceptInvite(token, password)
+      setStatus({
+        type: 'success',
+        message: `${data.message || 'Your account is ready.'} Redirecting…`
+      })
+      setPassword('')
+      setConfirmPassword('')
+      redirectTimer.current = setTimeout(() => {
+        openModal('login')
+        navigate('/')
+      }, 2000)
+    } catch (error) {
+      setStatus({
+        type: 'error',
+        message: error?.message || 'Unable to accept the invite at this time.'
+      })
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  const handleInputChange = (setter) => (event) => {
+    setter(event.target.value)
+    if (status.message) {
+      setStatus({ type: '', message: '' })
+    }
+  }
+
+  const isFormDisabled = isSubmitting || !token
+
+  useEffect(() => {
+    return () => {
+      if (redirectTimer.current) {
+        clearTimeout(redirectTimer.current)
+      }
+    }
+  }, [])
+
+  return (
+    <section className="reset-password-page">
+      <div className="reset-password-card">
+        <h1>Set up your admin account</h1>
+        <p className="reset-password-subtitle">
+          Choose a password to activate your admin account. You will log in with your email and this password.
+        </p>
+
+        {!token && (
+          <div className="reset-feedback error">
+            The invite link appears to be invalid. Ask a Super Admin to resend it.
+          </div>
+        )}
+
+        {status.message && (
+          <div className={`reset-feedback ${status.type}`}>
+            {status.message}
+          </div>
+        )}
+
+        <form className="reset-password-form" onSubmit={handleSubmit}>
+          <label htmlFor="password">Password</label>
+          <div className="reset-password-field">
+            <input
+              id="password"
+              type={showPassword ? 'text' : 'password'}
+              value={password}
+              placeholder="At least 8 characters"
+              minLength={8}
+              onChange={handleInputChange(setPassword)}
+              disabled={isFormDisabled}
+            />
+            <button
+              type="button"
+              className="password-toggle"
+              onClick={() => setShowPassword(prev => !prev)}
+              aria-label={showPassword ? 'Hide password' : 'Show password'}
+            >
+              {showPassword ? <EyeOff size={18} /> : <Eye size={18} />}
+            </button>
+          </div>
+
+          <label htmlFor="confirmPassword">Confirm password</label>
+          <div className="reset-password-field">
+            <input
+              id="confirmPassword"
+              type={showPassword ? 'text' : 'password'}
+              value={confirmPassword}
+              placeholder="Re-enter your password"
+              minLength={8}
+              onChange={handleInputChange(setConfirmPassword)}
+              disabled={isFormDisabled}
+            />
+          </div>
+
+          <button
+            type="submit"
+            className="btn primary"
+            disabled={isFormDisabled}
+            aria-busy={isSubmitting}
+          >
+            {isSubmitting ? 'Saving...' : 'Activate account'}
+          </button>
+        </form>
+      </div>
+    </section>
+  )
+}
+
+export default AcceptInvite
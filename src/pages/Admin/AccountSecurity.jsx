@@ -0,0 +1,287 @@
+import { useState, useEffect } from 'react'
+import { ShieldCheck, KeyRound, Copy } from 'lucide-react'
+import { adminAuthAPI } from '../../utils/adminApi'
+import { useAdminAuth } from '../../context/AdminAuthContext'
+import { useToast } from '../../components/Toast/ToastContainer'
+
+// The signed-in admin's own two-factor settings. When their role requires two-factor and it is
+// not on yet, the dashboard shows only this page until setup is finished.
+function AccountSecurity() {
+  const { admin, updateAdmin } = useAdminAuth()
+  const [recoveryCodesRemaining, setRecoveryCodesRemaining] = useState(null)
+  const [enrollment, setEnrollment] = useState(null)
+  const [recoveryCodes, setRecoveryCodes] = useState(null)
+  const [code, setCode] = useState('')
+  const [password, setPassword] = useState('')
+  const [action, setAction] = useState(null)
+  const [busy, setBusy] = useState(false)
+  const { error: showError, success } = useToast()
+
+  const mustSetUp = admin.twoFactorRequired && !admin.twoFactorEnabled
+
+  useEffect(() => {
+    loadStatus()
+  }, [])
+
+  const loadStatus = async () => {
+    try {
+      const data = await adminAuthAPI.getMe()
+      setRecoveryCodesRemaining(data.recoveryCodesRemaining ?? null)
+      updateAdmin({ twoFactorEnabled: data.twoFactorEnabled, twoFactorRequired: data.twoFactorRequired })
+    } catch (err) {
+      console.error('Error loading two-factor status:', err)
+    }
+  }
+
+  const resetForm = () => {
+    setAction(null)
+    setCode('')
+    setPassword('')
+  }
+
+  const handleStartSetup = async () => {
+    try {
+      setBusy(true)
+      setRecoveryCodes(null)
+      setEnrollment(await adminAuthAPI.setupTwoFactor())
+      setCode('')
+    } catch (err) {
+      console.error('Error starting two-factor setup:', err)
+      showError(err.message || 'Failed to start two-factor setup')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleEnable = async () => {
+    if (!code.trim()) {
+      showError('Enter the 6-digit code from your authenticator app')
+      return
+    }
+
+    try {
+      setBusy(true)
+      const data = await adminAuthAPI.enableTwoFactor(code.trim())
+      setEnrollment(null)
+      setRecoveryCodes(data.recoveryCodes)
+      setRecoveryCodesRemaining(data.recoveryCodes.length)
+      setCode('')
+      updateAdmin({ twoFactorEnabled: true })
+      success('Two-factor authentication is on')
+    } catch (err) {
+      console.error('Error enabling two-factor:', err)
+      showError(err.message || 'Failed to turn on two-factor authentication')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleRegenerate = async () => {
+    if (!code.trim()) {
+      showError('Enter a code from your authenticator app')
+      return
+    }
+
+    try {
+      setBusy(true)
+      const data = await adminAuthAPI.regenerateRecoveryCodes(code.trim())
+      setRecoveryCodes(data.recoveryCodes)
+      setRecoveryCodesRemaining(data.recoveryCodes.length)
+      resetForm()
+      success(data.message || 'New recovery codes created')
+    } catch (err) {
+      console.error('Error regenerating recovery codes:', err)
+      showError(err.message || 'Failed to create new recovery codes')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleDisable = async () => {
+    if (!password || !code.trim()) {
+      showError('Enter your password and a code from your authenticator app')
+      return
+    }
+
+    try {
+      setBusy(true)
+      await adminAuthAPI.disableTwoFactor(password, code.trim())
+      setRecoveryCodes(null)
+      setRecoveryCodesRemaining(null)
+      resetForm()
+      updateAdmin({ twoFactorEnabled: false })
+      success('Two-factor authentication is off')
+    } catch (err) {
+      console.error('Error disabling two-factor:', err)
+      showError(err.message || 'Failed to turn off two-factor authentication')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const copyRecoveryCodes = async () => {
+    try {
+      await navigator.clipboard.writeText(recoveryCodes.join('\n'))
+      success('Recovery codes copied')
+    } catch (err) {
+      showError('Could not copy, please write the codes down')
+    }
+  }
+
+  return (
+    <div className="admin-page">
+      <div className="admin-page-header">
+        <div>
+          <h1>Account Security</h1>
+          <p>Protect your admin account with a code from an authenticator app</p>
+        </div>
+      </div>
+
+      {mustSetUp && (
+        <div className="two-factor-notice">
+          Your role requires two-factor authentication. Set it up below to continue using the admin panel.
+        </div>
+      )}
+
+      <div className="settings-sections">
+        <div className="settings-section-card">
+          <div className="section-icon">
+            <ShieldCheck size={24} />
+          </div>
+          <div className="section-content">
+            <h2>Two-Factor Authentication</h2>
+            <p className="two-factor-status">
+              Status:{' '}
+              <span className={`status-badge ${admin.twoFactorEnabled ? 'status-active' : 'status-inactive'}`}>
+                {admin.twoFactorEnabled ? 'On' : 'Off'}
+              </span>
+              {admin.twoFactorEnabled && recoveryCodesRemaining !== null && (
+                <span className="text-muted"> · {recoveryCodesRemaining} recovery codes left</span>
+              )}
+            </p>
+
+            {!admin.twoFactorEnabled && !enrollment && (
+              <button className="btn btn-primary" onClick={handleStartSetup} disabled={busy}>
+                <ShieldCheck size={18} />
+                {busy ? 'Starting...' : 'Set Up Two-Factor'}
+              </button>
+            )}
+
+            {enrollment && (
+              <div className="two-factor-setup">
+                <p>1. Scan this QR code with an authenticator app such as Google Authenticator or Authy.</p>
+                <img src={enrollment.qrCode} alt="Two-factor QR code" className="two-factor-qr" />
+                <p className="text-muted">
+                  Can't scan it? Enter this key instead: <code className="two-factor-secret">{enrollment.secret}</code>
+                </p>
+                <p>2. Enter the 6-digit code the app shows.</p>
+                <div className="form-group">
+                  <input
+                    type="text"
+                    value={code}
+                    onChange={(e) => setCode(e.target.value)}
+                    placeholder="123456"
+                    autoComplete="one-time-code"
+                    inputMode="numeric"
+                    maxLength="6"
+                  />
+                </div>
+                <div className="two-factor-actions">
+                  <button className="btn btn-outline" onClick={() => setEnrollment(null)} disabled={busy}>Cancel</button>
+                  <button className="btn btn-primary" onClick={handleEnable} disabled={busy}>
+                    {busy ? 'Verifying...' : 'Turn On'}
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {recoveryCodes && (
+              <div className="two-factor-recovery">
+                <h3><KeyRound size={18} /> Recovery Codes</h3>
+                <p className="text-muted">
+                  Keep these somewhere safe. Each one signs you in once if you lose your authenticator.
+                  They will not be shown again.
+                </p>
+                <ul className="two-factor-recovery-list">
+                  {recoveryCodes.map(recoveryCode => (
+                    <li key={recoveryCode}><code>{recoveryCode}</code></li>
+                  ))}
+                </ul>
+                <div className="two-factor-actions">
+                  <button className="btn btn-outline btn-small" onClick={copyRecoveryCodes}>
+                    <Copy size={16} />
+                    Copy
+                  </button>
+                  <button className="btn btn-primary btn-small" onClick={() => setRecoveryCodes(null)}>
+                    I've saved them
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {admin.twoFactorEnabled && !recoveryCodes && (
+              <>
+                {!action && (
+                  <div className="two-factor-actions">
+                    <button className="btn btn-outline" onClick={() => setAction('regenerate')}>
+                      New Recovery Codes
+                    </button>
+                    {!admin.twoFactorRequired && (
+                      <button className="btn btn-outline" onClick={() => setAction('disable')}>
+                        Turn Off
+                      </button>
+                    )}
+                  </div>
+                )}
+
+                {action && (
+                  <div className="two-factor-setup">
+                    <p>
+                      {action === 'regenerate'
+                        ? 'Enter a code from your authenticator app. Your old recovery codes will stop working.'
+                        : 'Enter your password and a code from your authenticator app to turn two-factor off.'}
+                    </p>
+                    {action === 'disable' && (
+                      <div className="form-group">
+                        <label>Password</label>
+                        <input
+                          type="password"
+                          value={password}
+                          onChange={(e) => setPassword(e.target.value)}
+                          autoComplete="current-password"
+                        />
+                      </div>
+                    )}
+                    <div className="form-group">
+                      <label>Authentication Code</label>
+                      <input
+                        type="text"
+                        value={code}
+                        onChange={(e) => setCode(e.target.value)}
+                        placeholder="123456"
+                        autoComplete="one-time-code"
+                        maxLength="12"
+                      />
+                    </div>
+                    <div className="two-factor-actions">
+                      <button className="btn btn-outline" onClick={resetForm} disabled={busy}>Cancel</button>
+                      <button
+                        className="btn btn-primary"
+                        onClick={action === 'regenerate' ? handleRegenerate : handleDisable}
+                        disabled={busy}
+                      >
+                        {busy ? 'Saving...' : action === 'regenerate' ? 'Create Codes' : 'Turn Off'}
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default AccountSecurity
@@ -4,7 +4,7 @@ import {
   LayoutDashboard, Package, FolderTree, ShoppingBag, Users, FileText, 
   MessageSquare, Boxes, Settings, LogOut, Menu, X, ChevronDown, ChevronRight,
   Tag, Mail, RotateCcw, Ticket, Image as ImageIcon, FileText as FileTextIcon,
-  Coins as CoinsIcon
+  Coins as CoinsIcon, Send, UserCog, History
 } from 'lucide-react'
 import { useAdminAuth } from '../../context/AdminAuthContext'
 import DashboardOverview from './DashboardOverview'
@@ -22,10 +22,14 @@ import Returns from './Returns'
 import Coupons from './Coupons'
 import Banners from './Banners'
 import EmailTemplates from './EmailTemplates'
+import Messages from './Messages'
 import Coins from './Coins'
+import AdminUsers from './AdminUsers'
+import AuditLog from './AuditLog'
+import AccountSecurity from './AccountSecurity'
 
 function AdminDashboardWeb() {
-  const { admin, logout } = useAdminAuth()
+  const { admin, logout, can } = useAdminAuth()
   const navigate = useNavigate()
   const location = useLocation()
   const [sidebarOpen, setSidebarOpen] = useState(true)
@@ -45,6 +49,7 @@ function AdminDashboardWeb() {
           label: 'Dashboard',
           icon: LayoutDashboard,
           path: '/admin/dashboard',
+          resource: 'dashboard',
           exact: true,
           badge: null
         },
@@ -53,6 +58,7 @@ function AdminDashboardWeb() {
           label: 'Orders',
           icon: ShoppingBag,
           path: '/admin/orders',
+          resource: 'orders',
           badge: null
         }
       ]
@@ -67,6 +73,7 @@ function AdminDashboardWeb() {
           label: 'Products',
           icon: Package,
           path: '/admin/products',
+          resource: 'products',
           children: [
             { label: 'All Products', path: '/admin/products' },
             { label: 'Add Product', path: '/admin/products/add' }
@@ -76,13 +83,15 @@ function AdminDashboardWeb() {
           id: 'categories',
           label: 'Categories',
           icon: FolderTree,
-          path: '/admin/categories'
+          path: '/admin/categories',
+          resource: 'categories'
         },
         {
           id: 'inventory',
           label: 'Inventory',
           icon: Boxes,
-          path: '/admin/inventory'
+          path: '/admin/inventory',
+          resource: 'inventory'
         }
       ]
     },
@@ -95,19 +104,22 @@ function AdminDashboardWeb() {
           id: 'customers',
           label: 'Customers',
           icon: Users,
-          path: '/admin/customers'
+          path: '/admin/customers',
+          resource: 'customers'
         },
         {
           id: 'queries',
           label: 'Customer Queries',
           icon: MessageSquare,
-          path: '/admin/queries'
+          path: '/admin/queries',
+          resource: 'queries'
         },
         {
           id: 'returns',
           label: 'Returns & Refunds',
           icon: RotateCcw,
-          path: '/admin/returns'
+          path: '/admin/returns',
+          resource: 'returns'
         }
       ]
     },
@@ -120,31 +132,36 @@ function AdminDashboardWeb() {
           id: 'discounts',
           label: 'Discounts & Promotions',
           icon: Tag,
-          path: '/admin/discounts'
+          path: '/admin/discounts',
+          resource: 'discounts'
         },
         {
           id: 'coupons',
           label: 'Coupon Codes',
           icon: Ticket,
-          path: '/admin/coupons'
+          path: '/admin/coupons',
+          resource: 'coupons'
         },
         {
           id: 'coins',
           label: 'Coins & Rewards',
           icon: CoinsIcon,
-          path: '/admin/coins'
+          path: '/admin/coins',
+          resource: 'coins'
         },
         {
           id: 'banners',
           label: 'Banners & Sliders',
           icon: ImageIcon,
-          path: '/admin/banners'
+          path: '/admin/banners',
+          resource: 'banners'
         },
         {
           id: 'newsletter',
           label: 'Newsletter',
           icon: Mail,
-          path: '/admin/newsletter'
+          path: '/admin/newsletter',
+          resource: 'newsletter'
         }
       ]
     },
@@ -157,13 +174,22 @@ function AdminDashboardWeb() {
           id: 'content',
           label: 'Home Page Content',
           icon: FileText,
-          path: '/admin/content'
+          path: '/admin/content',
+          resource: 'content'
         },
         {
           id: 'email-templates',
           label: 'Email Templates',
           icon: FileTextIcon,
-          path: '/admin/email-templates'
+          path: '/admin/email-templates',
+          resource: 'email_templates'
+        },
+        {
+          id: 'messages',
+          label: 'Message Delivery',
+          icon: Send,
+          path: '/admin/messages',
+          resource: 'messages'
         }
       ]
     },
@@ -176,12 +202,36 @@ function AdminDashboardWeb() {
           id: 'settings',
           label: 'Settings',
           icon: Settings,
-          path: '/admin/settings'
+          path: '/admin/settings',
+          resource: 'settings'
+        },
+        {
+          id: 'admin-users',
+          label: 'Admin Users',
+          icon: UserCog,
+          path: '/admin/users',
+          resource: 'admins'
+        },
+        {
+          id: 'audit-log',
+          label: 'Audit Log',
+          icon: History,
+          path: '/admin/audit-log',
+          resource: 'audit'
         }
       ]
     }
   ]
 
+  // Only the sections the admin's role can view
+  const visibleSections = menuSections
+    .map(section => ({ ...section, items: section.items.filter(item => can(item.resource)) }))
+    .filter(section => section.items.length > 0)
+
+  // Pages the admin's role cannot view send them back to the dashboard
+  const allowed = (resource, element) =>
+    can(resource) ? element : <Navigate to="/admin/dashboard" replace />
+
   const toggleSection = (id) => {
     setExpandedSections(prev => ({
       ...prev,
@@ -189,6 +239,9 @@ function AdminDashboardWeb() {
     }))
   }
 
+  // Admins whose role requires two-factor see only Account Security until it is on
+  const mustSetUpTwoFactor = Boolean(admin?.twoFactorRequired && !admin?.twoFactorEnabled)
+
   const handleLogout = () => {
     logout()
     navigate('/')
@@ -265,7 +318,7 @@ function AdminDashboardWeb() {
         </div>
 
         <nav className="admin-nav">
-          {menuSections.map(section => (
+          {visibleSections.map(section => (
             <div key={section.id} className="nav-section">
               {sidebarOpen && (
                 <div className="nav-section-label">
@@ -343,6 +396,16 @@ function AdminDashboardWeb() {
               </button>
               {showProfileMenu && (
                 <div className="admin-profile-menu">
+                  <button
+                    type="button"
+                    onClick={() => {
+                      setShowProfileMenu(false)
+                      navigate('/admin/security')
+                    }}
+                    className="admin-profile-menu-item"
+                  >
+                    Account Security
+                  </button>
                   <button
                     type="button"
                     onClick={handleLogout}
@@ -356,26 +419,34 @@ function AdminDashboardWeb() {
           </div>
         </header>
         <div className="admin-content-wrapper">
-          <Routes>
-            <Route index element={<DashboardOverview />} />
-            <Route path="dashboard" element={<DashboardOverview />} />
-            <Route path="products/*" element={<Products />} />
-            <Route path="categories" element={<Categories />} />
-            <Route path="orders" element={<Orders />} />
-            <Route path="customers" element={<Customers />} />
-            <Route path="content" element={<Content />} />
-            <Route path="queries" element={<Queries />} />
-            <Route path="inventory" element={<Inventory />} />
-            <Route path="discounts" element={<Discounts />} />
-            <Route path="coupons" element={<Coupons />} />
-            <Route path="coins" element={<Coins />} />
-            <Route path="banners" element={<Banners />} />
-            <Route path="newsletter" element={<Newsletter />} />
-            <Route path="returns" element={<Returns />} />
-            <Route path="email-templates" element={<EmailTemplates />} />
-            <Route path="settings" element={<AdminSettings />} />
-            <Route path="*" element={<Navigate to="dashboard" replace />} />
-          </Routes>
+          {mustSetUpTwoFactor ? (
+            <AccountSecurity />
+          ) : (
+            <Routes>
+              <Route index element={<DashboardOverview />} />
+              <Route path="dashboard" element={<DashboardOverview />} />
+              <Route path="products/*" element={allowed('products', <Products />)} />
+              <Route path="categories" element={allowed('categories', <Categories />)} />
+              <Route path="orders" element={allowed('orders', <Orders />)} />
+              <Route path="customers" element={allowed('customers', <Customers />)} />
+              <Route path="content" element={allowed('content', <Content />)} />
+              <Route path="queries" element={allowed('queries', <Queries />)} />
+              <Route path="inventory" element={allowed('inventory', <Inventory />)} />
+              <Route path="discounts" element={allowed('discounts', <Discounts />)} />
+              <Route path="coupons" element={allowed('coupons', <Coupons />)} />
+              <Route path="coins" element={allowed('coins', <Coins />)} />
+              <Route path="banners" element={allowed('banners', <Banners />)} />
+              <Route path="newsletter" element={allowed('newsletter', <Newsletter />)} />
+              <Route path="returns" element={allowed('returns', <Returns />)} />
+              <Route path="email-templates" element={allowed('email_templates', <EmailTemplates />)} />
+              <Route path="messages" element={allowed('messages', <Messages />)} />
+              <Route path="settings" element={allowed('settings', <AdminSettings />)} />
+              <Route path="users" element={allowed('admins', <AdminUsers />)} />
+              <Route path="audit-log" element={allowed('audit', <AuditLog />)} />
+              <Route path="security" element={<AccountSecurity />} />
+              <Route path="*" element={<Navigate to="dashboard" replace />} />
+            </Routes>
+          )}
         </div>
       </main>
     </div>
@@ -1,32 +1,103 @@
 import { useState, useEffect } from 'react'
-import { Save, Store, Truck, CreditCard, Mail, Globe } from 'lucide-react'
+import { Save, Store, Truck, CreditCard, Mail, Globe, Plus, Trash2, MapPin, RotateCcw, Shield } from 'lucide-react'
 import { useToast } from '../../components/Toast/ToastContainer'
-import { adminSettingsAPI } from '../../utils/adminApi'
+import { adminSettingsAPI, adminCategoriesAPI } from '../../utils/adminApi'
+
+// The admin settings endpoint returns Setting rows; turn them into a { key: value } object
+const toSettingsObject = (rows) => (Array.isArray(rows) ? rows : []).reduce((settings, row) => {
+  let value = row.value
+  if (row.type === 'number') {
+    value = parseFloat(value)
+  } else if (row.type === 'boolean') {
+    value = value === 'true' || value === '1'
+  } else if (row.type === 'json') {
+    try {
+      value = JSON.parse(value)
+    } catch (e) {
+      value = row.value
+    }
+  }
+  settings[row.key] = value
+  return settings
+}, {})
+
+// Rate-limited endpoints and what their per-account limit counts
+const RATE_LIMIT_ENDPOINTS = [
+  { key: 'login', label: 'Customer Sign-in', account: 'per email or mobile' },
+  { key: 'adminLogin', label: 'Admin Sign-in', account: 'per email' },
+  { key: 'forgotPassword', label: 'Forgot Password', account: 'per email' },
+  { key: 'couponValidate', label: 'Coupon Checks', account: 'per signed-in customer' },
+  { key: 'contact', label: 'Contact Form', account: 'per email' },
+  { key: 'orderLookup', label: 'Order Lookup', account: 'per order' },
+  { key: 'otpRequest', label: 'Verification Code SMS', account: 'per mobile' },
+  { key: 'otpVerify', label: 'Verification Code Checks', account: 'per mobile' }
+]
 
 function AdminSettings() {
   const { success, error: showError } = useToast()
   const [loading, setLoading] = useState(true)
   const [saving, setSaving] = useState(false)
+  const [categories, setCategories] = useState([])
   const [settings, setSettings] = useState({
     store: {
       name: 'Arudhra Fashions',
       email: 'support@arudhraboutique.com',
       phone: '+91 98765 43210',
-      address: '123 Fashion Street, Mumbai, Maharashtra 400001, India'
+      address: '123 Fashion Street, Mumbai, Maharashtra 400001, India',
+      // Days after delivery a return can be requested, with per-category overrides (0 = not returnable)
+      return_windows: {
+        defaultDays: 1,
+        categories: {}
+      }
     },
     shipping: {
       freeShippingThreshold: 2000,
       standardShippingCost: 99,
       expressShippingCost: 199,
-      sameDayCost: 299
+      sameDayCost: 299,
+      shipping_zones: [],
+      shipping_slabs: {
+        basis: 'items',
+        defaultItemWeight: 500,
+        ranges: []
+      }
     },
     tax: {
-      gstRate: 18
+      gstin: '',
+      legalName: '',
+      gstState: 'Maharashtra',
+      defaultHsnCode: '6211',
+      // Apparel GST: 5% up to ₹2,500 per piece, 18% above
+      gst_slabs: [
+        { upTo: 2500, rate: 5 },
+        { upTo: null, rate: 18 }
+      ]
     },
     payment: {
       enableCOD: true,
       enableUPI: true,
-      enableCards: true
+      enableCards: true,
+      codMinOrderValue: 0,
+      codMaxOrderValue: 0,
+      codFee: 0,
+      codBlockedPinCodes: []
+    },
+    // Saved under the 'general' settings category
+    security: {
+      // Requests allowed per window; 0 turns a limit off
+      rate_limits: {
+        login: { windowMinutes: 15, maxPerIp: 30, maxPerAccount: 10 },
+        adminLogin: { windowMinutes: 15, maxPerIp: 10, maxPerAccount: 5 },
+        forgotPassword: { windowMinutes: 60, maxPerIp: 10, maxPerAccount: 3 },
+        couponValidate: { windowMinutes: 15, maxPerIp: 30, maxPerAccount: 20 },
+        contact: { windowMinutes: 60, maxPerIp: 5, maxPerAccount: 3 }
+      },
+      // Lock after `threshold` wrong passwords, doubling from baseMinutes up to maxMinutes
+      login_lockout: {
+        threshold: 5,
+        baseMinutes: 15,
+        maxMinutes: 1440
+      }
     }
   })
 
@@ -37,19 +108,31 @@ function AdminSettings() {
   const loadSettings = async () => {
     try {
       setLoading(true)
-      const [storeSettings, shippingSettings, taxSettings, paymentSettings] = await Promise.all([
+      const [storeSettings, shippingSettings, taxSettings, paymentSettings, generalSettings] = await Promise.all([
         adminSettingsAPI.getAll('store'),
         adminSettingsAPI.getAll('shipping'),
         adminSettingsAPI.getAll('tax'),
-        adminSettingsAPI.getAll('payment')
+        adminSettingsAPI.getAll('payment'),
+        adminSettingsAPI.getAll('general')
       ])
+      const { rate_limits: rateLimits, login_lockout: loginLockout } = toSettingsObject(generalSettings)
+      // Only needed for the per-category return windows; the rest of the page works without it
+      const categoryList = await adminCategoriesAPI.getAll().catch(() => [])
+      setCategories(Array.isArray(categoryList) ? categoryList : [])
 
       setSettings(prev => ({
         ...prev,
-        store: { ...prev.store, ...storeSettings },
-        shipping: { ...prev.shipping, ...shippingSettings },
-        tax: { ...prev.tax, ...taxSettings },
-        payment: { ...prev.payment, ...paymentSettings }
+        store: { ...prev.store, ...toSettingsObject(storeSettings) },
+        shipping: { ...prev.shipping, ...toSettingsObject(shippingSettings) },
+        tax: { ...prev.tax, ...toSettingsObject(taxSettings) },
+        payment: { ...prev.payment, ...toSettingsObject(paymentSettings) },
+        security: {
+          rate_limits: RATE_LIMIT_ENDPOINTS.reduce((limits, endpoint) => ({
+            ...limits,
+            [endpoint.key]: { ...prev.security.rate_limits[endpoint.key], ...rateLimits?.[endpoint.key] }
+          }), {}),
+          login_lockout: { ...prev.security.login_lockout, ...loginLockout }
+        }
       }))
     } catch (err) {
       console.error('Error loading settings:', err)
@@ -62,13 +145,25 @@ function AdminSettings() {
   const handleSave = async () => {
     setSaving(true)
     try {
-      // Save all settings
-      await adminSettingsAPI.update({
-        ...settings.store,
+      // Save each section under its own category so the server can find it (e.g. shipping rates)
+      const shipping = {
         ...settings.shipping,
-        ...settings.tax,
-        ...settings.payment
-      })
+        shipping_zones: settings.shipping.shipping_zones.map(zone => ({
+          ...zone,
+          pinPrefixes: zone.pinPrefixes.map(prefix => prefix.trim()).filter(Boolean)
+        }))
+      }
+      const payment = {
+        ...settings.payment,
+        codBlockedPinCodes: settings.payment.codBlockedPinCodes.map(pin => String(pin).trim()).filter(Boolean)
+      }
+      await Promise.all([
+        adminSettingsAPI.update(settings.store, 'store'),
+        adminSettingsAPI.update(shipping, 'shipping'),
+        adminSettingsAPI.update(settings.tax, 'tax'),
+        adminSettingsAPI.update(payment, 'payment'),
+        adminSettingsAPI.update(settings.security, 'general')
+      ])
       success('Settings saved successfully')
     } catch (err) {
       showError('Failed to save settings')
@@ -87,6 +182,59 @@ function AdminSettings() {
     }))
   }
 
+  const updateZone = (index, key, value) => {
+    const zones = settings.shipping.shipping_zones.map((zone, i) => (i === index ? { ...zone, [key]: value } : zone))
+    updateSetting('shipping', 'shipping_zones', zones)
+  }
+
+  const addZone = () => {
+    updateSetting('shipping', 'shipping_zones', [
+      ...settings.shipping.shipping_zones,
+      { id: `zone_${Date.now()}`, name: '', pinPrefixes: [], surcharge: 0, serviceable: true }
+    ])
+  }
+
+  const removeZone = (index) => {
+    updateSetting('shipping', 'shipping_zones', settings.shipping.shipping_zones.filter((_, i) => i !== index))
+  }
+
+  const updateSlabs = (changes) => {
+    updateSetting('shipping', 'shipping_slabs', { ...settings.shipping.shipping_slabs, ...changes })
+  }
+
+  const updateSlabRange = (index, key, value) => {
+    updateSlabs({
+      ranges: settings.shipping.shipping_slabs.ranges.map((range, i) => (i === index ? { ...range, [key]: value } : range))
+    })
+  }
+
+  const updateGstSlab = (index, key, value) => {
+    updateSetting('tax', 'gst_slabs', settings.tax.gst_slabs.map((slab, i) => (i === index ? { ...slab, [key]: value } : slab)))
+  }
+
+  // An empty category field falls back to the default window
+  const updateReturnWindow = (categoryId, value) => {
+    const { [categoryId]: _, ...categoryWindows } = settings.store.return_windows.categories || {}
+    updateSetting('store', 'return_windows', {
+      ...settings.store.return_windows,
+      categories: value === '' ? categoryWindows : { ...categoryWindows, [categoryId]: Math.max(0, parseFloat(value) || 0) }
+    })
+  }
+
+  const updateRateLimit = (endpoint, key, value) => {
+    updateSetting('security', 'rate_limits', {
+      ...settings.security.rate_limits,
+      [endpoint]: { ...settings.security.rate_limits[endpoint], [key]: Math.max(0, parseInt(value) || 0) }
+    })
+  }
+
+  const updateLockout = (key, value) => {
+    updateSetting('security', 'login_lockout', {
+      ...settings.security.login_lockout,
+      [key]: Math.max(1, parseInt(value) || 1)
+    })
+  }
+
   return (
     <div className="admin-page">
       <div className="admin-page-header">
@@ -186,6 +334,131 @@ function AdminSettings() {
                 onChange={(e) => updateSetting('shipping', 'sameDayCost', parseInt(e.target.value))}
               />
             </div>
+
+            <h3 style={{ marginTop: '1.5rem' }}>
+              <MapPin size={18} /> Shipping Zones
+            </h3>
+            <p className="form-hint">
+              PIN codes starting with a zone's prefixes (e.g. 600, 78) get its surcharge. The longest matching prefix wins;
+              every other PIN code uses the base rates. List same_day under a zone's methods to offer same day delivery there.
+            </p>
+            {settings.shipping.shipping_zones.map((zone, index) => (
+              <div className="form-row" key={zone.id || index}>
+                <div className="form-group">
+                  <label>Zone Name</label>
+                  <input
+                    type="text"
+                    value={zone.name}
+                    onChange={(e) => updateZone(index, 'name', e.target.value)}
+                  />
+                </div>
+                <div className="form-group">
+                  <label>PIN Prefixes (comma separated)</label>
+                  <input
+                    type="text"
+                    value={(zone.pinPrefixes || []).join(',')}
+                    onChange={(e) => updateZone(index, 'pinPrefixes', e.target.value.replace(/[^\d,]/g, '').split(','))}
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Surcharge (₹)</label>
+                  <input
+                    type="number"
+                    value={zone.surcharge}
+                    onChange={(e) => updateZone(index, 'surcharge', parseFloat(e.target.value) || 0)}
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Methods (optional)</label>
+                  <input
+                    type="text"
+                    placeholder="standard,express,same_day"
+                    value={(zone.methods || []).join(',')}
+                    onChange={(e) => {
+                      const methods = e.target.value.split(',').map(method => method.trim())
+                      updateZone(index, 'methods', methods.some(Boolean) ? methods : undefined)
+                    }}
+                  />
+                </div>
+                <div className="form-group">
+                  <label className="checkbox-label">
+                    <input
+                      type="checkbox"
+                      checked={zone.serviceable !== false}
+                      onChange={(e) => updateZone(index, 'serviceable', e.target.checked)}
+                    />
+                    <span>We deliver here</span>
+                  </label>
+                  <button type="button" className="btn-icon" onClick={() => removeZone(index)} title="Remove zone">
+                    <Trash2 size={16} />
+                  </button>
+                </div>
+              </div>
+            ))}
+            <button type="button" className="btn btn-outline btn-small" onClick={addZone}>
+              <Plus size={16} /> Add Zone
+            </button>
+
+            <h3 style={{ marginTop: '1.5rem' }}>Extra Charge Slabs</h3>
+            <div className="form-row">
+              <div className="form-group">
+                <label>Slab Basis</label>
+                <select
+                  value={settings.shipping.shipping_slabs.basis}
+                  onChange={(e) => updateSlabs({ basis: e.target.value })}
+                >
+                  <option value="items">Number of items</option>
+                  <option value="weight">Total weight (grams)</option>
+                </select>
+              </div>
+              {settings.shipping.shipping_slabs.basis === 'weight' && (
+                <div className="form-group">
+                  <label>Default Item Weight (g)</label>
+                  <input
+                    type="number"
+                    value={settings.shipping.shipping_slabs.defaultItemWeight}
+                    onChange={(e) => updateSlabs({ defaultItemWeight: parseInt(e.target.value) || 0 })}
+                  />
+                </div>
+              )}
+            </div>
+            {settings.shipping.shipping_slabs.ranges.map((range, index) => (
+              <div className="form-row" key={index}>
+                <div className="form-group">
+                  <label>Up To ({settings.shipping.shipping_slabs.basis === 'weight' ? 'grams' : 'items'}, blank = no limit)</label>
+                  <input
+                    type="number"
+                    value={range.upTo ?? ''}
+                    onChange={(e) => updateSlabRange(index, 'upTo', e.target.value === '' ? null : parseFloat(e.target.value))}
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Extra Charge (₹)</label>
+                  <input
+                    type="number"
+                    value={range.extra}
+                    onChange={(e) => updateSlabRange(index, 'extra', parseFloat(e.target.value) || 0)}
+                  />
+                </div>
+                <div className="form-group">
+                  <button
+                    type="button"
+                    className="btn-icon"
+                    onClick={() => updateSlabs({ ranges: settings.shipping.shipping_slabs.ranges.filter((_, i) => i !== index) })}
+                    title="Remove slab"
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                </div>
+              </div>
+            ))}
+            <button
+              type="button"
+              className="btn btn-outline btn-small"
+              onClick={() => updateSlabs({ ranges: [...settings.shipping.shipping_slabs.ranges, { upTo: null, extra: 0 }] })}
+            >
+              <Plus size={16} /> Add Slab
+            </button>
           </div>
         </div>
 
@@ -196,16 +469,90 @@ function AdminSettings() {
           </div>
           <div className="section-content">
             <h2>Tax Settings</h2>
-            <div className="form-group">
-              <label>GST Rate (%)</label>
-              <input
-                type="number"
-                value={settings.tax.gstRate}
-                onChange={(e) => updateSetting('tax', 'gstRate', parseInt(e.target.value))}
-                min="0"
-                max="100"
-              />
+            <div className="form-row">
+              <div className="form-group">
+                <label>GSTIN</label>
+                <input
+                  type="text"
+                  value={settings.tax.gstin}
+                  onChange={(e) => updateSetting('tax', 'gstin', e.target.value.toUpperCase())}
+                  placeholder="e.g., 27ABCDE1234F1Z5"
+                  maxLength="15"
+                />
+              </div>
+              <div className="form-group">
+                <label>Legal Name (on invoices)</label>
+                <input
+                  type="text"
+                  value={settings.tax.legalName}
+                  onChange={(e) => updateSetting('tax', 'legalName', e.target.value)}
+                  placeholder={settings.store.name}
+                />
+              </div>
             </div>
+            <div className="form-row">
+              <div className="form-group">
+                <label>Registered State</label>
+                <input
+                  type="text"
+                  value={settings.tax.gstState}
+                  onChange={(e) => updateSetting('tax', 'gstState', e.target.value)}
+                  placeholder="e.g., Maharashtra"
+                />
+              </div>
+              <div className="form-group">
+                <label>Default HSN Code</label>
+                <input
+                  type="text"
+                  value={settings.tax.defaultHsnCode}
+                  onChange={(e) => updateSetting('tax', 'defaultHsnCode', e.target.value)}
+                />
+              </div>
+            </div>
+            <p className="form-hint">
+              Deliveries within the registered state are charged CGST + SGST; other states are charged IGST.
+              Products and categories can override the HSN code and rate.
+            </p>
+            <h3 style={{ marginTop: '1.5rem' }}>GST Slabs (by price per piece)</h3>
+            {settings.tax.gst_slabs.map((slab, index) => (
+              <div className="form-row" key={index}>
+                <div className="form-group">
+                  <label>Up To (₹, blank = no limit)</label>
+                  <input
+                    type="number"
+                    value={slab.upTo ?? ''}
+                    onChange={(e) => updateGstSlab(index, 'upTo', e.target.value === '' ? null : parseFloat(e.target.value))}
+                  />
+                </div>
+                <div className="form-group">
+                  <label>GST Rate (%)</label>
+                  <input
+                    type="number"
+                    value={slab.rate}
+                    onChange={(e) => updateGstSlab(index, 'rate', parseFloat(e.target.value) || 0)}
+                    min="0"
+                    max="100"
+                  />
+                </div>
+                <div className="form-group">
+                  <button
+                    type="button"
+                    className="btn-icon"
+                    onClick={() => updateSetting('tax', 'gst_slabs', settings.tax.gst_slabs.filter((_, i) => i !== index))}
+                    title="Remove slab"
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                </div>
+              </div>
+            ))}
+            <button
+              type="button"
+              className="btn btn-outline btn-small"
+              onClick={() => updateSetting('tax', 'gst_slabs', [...settings.tax.gst_slabs, { upTo: null, rate: 18 }])}
+            >
+              <Plus size={16} /> Add Slab
+            </button>
           </div>
         </div>
 
@@ -242,6 +589,166 @@ function AdminSettings() {
                 <span>Credit/Debit Cards</span>
               </label>
             </div>
+            {settings.payment.enableCOD && (
+              <>
+                <h3 style={{ marginTop: '1.5rem' }}>Cash on Delivery</h3>
+                <div className="form-row">
+                  <div className="form-group">
+                    <label>Minimum Order Value (₹, 0 = no minimum)</label>
+                    <input
+                      type="number"
+                      value={settings.payment.codMinOrderValue}
+                      onChange={(e) => updateSetting('payment', 'codMinOrderValue', parseFloat(e.target.value) || 0)}
+                      min="0"
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label>Maximum Order Value (₹, 0 = no limit)</label>
+                    <input
+                      type="number"
+                      value={settings.payment.codMaxOrderValue}
+                      onChange={(e) => updateSetting('payment', 'codMaxOrderValue', parseFloat(e.target.value) || 0)}
+                      min="0"
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label>COD Fee (₹)</label>
+                    <input
+                      type="number"
+                      value={settings.payment.codFee}
+                      onChange={(e) => updateSetting('payment', 'codFee', parseFloat(e.target.value) || 0)}
+                      min="0"
+                    />
+                  </div>
+                </div>
+                <div className="form-group">
+                  <label>Blocked PIN Codes (comma separated; prefixes like 7911 block every PIN starting with them)</label>
+                  <input
+                    type="text"
+                    value={settings.payment.codBlockedPinCodes.join(',')}
+                    onChange={(e) => updateSetting('payment', 'codBlockedPinCodes', e.target.value.replace(/[^\d,]/g, '').split(','))}
+                    placeholder="e.g., 791,110001"
+                  />
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+
+        {/* Return Settings */}
+        <div className="settings-section-card">
+          <div className="section-icon">
+            <RotateCcw size={24} />
+          </div>
+          <div className="section-content">
+            <h2>Returns</h2>
+            <div className="form-group">
+              <label>Default Return Window (days after delivery)</label>
+              <input
+                type="number"
+                value={settings.store.return_windows.defaultDays}
+                onChange={(e) => updateSetting('store', 'return_windows', {
+                  ...settings.store.return_windows,
+                  defaultDays: Math.max(0, parseFloat(e.target.value) || 0)
+                })}
+                min="0"
+                step="0.5"
+              />
+            </div>
+            {categories.length > 0 && (
+              <>
+                <h3 style={{ marginTop: '1.5rem' }}>By Category (leave empty to use the default, 0 = not returnable)</h3>
+                <div className="form-row">
+                  {categories.map(category => (
+                    <div key={category.id} className="form-group">
+                      <label>{category.name}</label>
+                      <input
+                        type="number"
+                        value={settings.store.return_windows.categories?.[category.id] ?? ''}
+                        onChange={(e) => updateReturnWindow(category.id, e.target.value)}
+                        placeholder={String(settings.store.return_windows.defaultDays)}
+                        min="0"
+                        step="0.5"
+                      />
+                    </div>
+                  ))}
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+
+        {/* Security Settings */}
+        <div className="settings-section-card">
+          <div className="section-icon">
+            <Shield size={24} />
+          </div>
+          <div className="section-content">
+            <h2>Security</h2>
+            <h3>Account Lockout</h3>
+            <div className="form-row">
+              <div className="form-group">
+                <label>Lock After Failed Sign-ins</label>
+                <input
+                  type="number"
+                  value={settings.security.login_lockout.threshold}
+                  onChange={(e) => updateLockout('threshold', e.target.value)}
+                  min="1"
+                />
+              </div>
+              <div className="form-group">
+                <label>First Lock (minutes)</label>
+                <input
+                  type="number"
+                  value={settings.security.login_lockout.baseMinutes}
+                  onChange={(e) => updateLockout('baseMinutes', e.target.value)}
+                  min="1"
+                />
+              </div>
+              <div className="form-group">
+                <label>Longest Lock (minutes)</label>
+                <input
+                  type="number"
+                  value={settings.security.login_lockout.maxMinutes}
+                  onChange={(e) => updateLockout('maxMinutes', e.target.value)}
+                  min="1"
+                />
+              </div>
+            </div>
+            <p className="form-hint">Each further failed sign-in doubles the lock. Customers can still sign in with a code sent to their mobile.</p>
+
+            <h3 style={{ marginTop: '1.5rem' }}>Rate Limits (0 = no limit)</h3>
+            {RATE_LIMIT_ENDPOINTS.map(endpoint => (
+              <div key={endpoint.key} className="form-row">
+                <div className="form-group">
+                  <label>{endpoint.label}: Window (minutes)</label>
+                  <input
+                    type="number"
+                    value={settings.security.rate_limits[endpoint.key].windowMinutes}
+                    onChange={(e) => updateRateLimit(endpoint.key, 'windowMinutes', Math.max(1, parseInt(e.target.value) || 1))}
+                    min="1"
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Max Requests per IP</label>
+                  <input
+                    type="number"
+                    value={settings.security.rate_limits[endpoint.key].maxPerIp}
+                    onChange={(e) => updateRateLimit(endpoint.key, 'maxPerIp', e.target.value)}
+                    min="0"
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Max Requests {endpoint.account}</label>
+                  <input
+                    type="number"
+                    value={settings.security.rate_limits[endpoint.key].maxPerAccount}
+                    onChange={(e) => updateRateLimit(endpoint.key, 'maxPerAccount', e.target.value)}
+                    min="0"
+                  />
+                </div>
+              </div>
+            ))}
           </div>
         </div>
       </div>
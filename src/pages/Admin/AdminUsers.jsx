@@ -0,0 +1,332 @@
+import { useState, useEffect } from 'react'
+import { UserPlus, Mail, Send, X, ShieldOff } from 'lucide-react'
+import { adminUsersAPI } from '../../utils/adminApi'
+import { useAdminAuth } from '../../context/AdminAuthContext'
+import { useToast } from '../../components/Toast/ToastContainer'
+
+const ROLE_DESCRIPTIONS = {
+  'Super Admin': 'Full access, including admin accounts and the audit log',
+  Admin: 'Full store access except admin accounts',
+  Manager: 'Orders, stock, products and content; cannot delete, change settings, refund or adjust coins'
+}
+
+const EMPTY_INVITE = { name: '', email: '', role: 'Manager' }
+
+function AdminUsers() {
+  const { admin: currentAdmin } = useAdminAuth()
+  const [admins, setAdmins] = useState([])
+  const [roles, setRoles] = useState(Object.keys(ROLE_DESCRIPTIONS))
+  const [loading, setLoading] = useState(true)
+  const [showInviteModal, setShowInviteModal] = useState(false)
+  const [inviteData, setInviteData] = useState(EMPTY_INVITE)
+  const [inviting, setInviting] = useState(false)
+  const [twoFactorRoles, setTwoFactorRoles] = useState([])
+  const [savingPolicy, setSavingPolicy] = useState(false)
+  const { error: showError, success } = useToast()
+
+  useEffect(() => {
+    loadAdmins()
+    loadTwoFactorPolicy()
+  }, [])
+
+  const loadAdmins = async () => {
+    try {
+      setLoading(true)
+      const data = await adminUsersAPI.getAll()
+      setAdmins(data.admins || [])
+      if (data.roles?.length) setRoles(data.roles)
+    } catch (err) {
+      console.error('Error loading admin users:', err)
+      showError('Failed to load admin users')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const loadTwoFactorPolicy = async () => {
+    try {
+      const data = await adminUsersAPI.getTwoFactorPolicy()
+      setTwoFactorRoles(data.requiredRoles || [])
+    } catch (err) {
+      console.error('Error loading two-factor policy:', err)
+    }
+  }
+
+  const toggleTwoFactorRole = (role) => {
+    setTwoFactorRoles(prev => (prev.includes(role) ? prev.filter(r => r !== role) : [...prev, role]))
+  }
+
+  const handleSaveTwoFactorPolicy = async () => {
+    try {
+      setSavingPolicy(true)
+      const data = await adminUsersAPI.updateTwoFactorPolicy(twoFactorRoles)
+      setTwoFactorRoles(data.requiredRoles || [])
+      success('Two-factor requirement saved')
+    } catch (err) {
+      console.error('Error saving two-factor policy:', err)
+      showError(err.message || 'Failed to save two-factor requirement')
+    } finally {
+      setSavingPolicy(false)
+    }
+  }
+
+  const handleResetTwoFactor = async (admin) => {
+    if (!window.confirm(`Turn off two-factor authentication for ${admin.name}? Only do this if they lost their authenticator and recovery codes.`)) {
+      return
+    }
+
+    try {
+      await adminUsersAPI.resetTwoFactor(admin.id)
+      success(`Two-factor reset for ${admin.name}`)
+      loadAdmins()
+    } catch (err) {
+      console.error('Error resetting two-factor:', err)
+      showError(err.message || 'Failed to reset two-factor')
+    }
+  }
+
+  const handleInvite = async () => {
+    if (!inviteData.name.trim() || !inviteData.email.trim()) {
+      showError('Name and email are required')
+      return
+    }
+
+    try {
+      setInviting(true)
+      await adminUsersAPI.invite(inviteData)
+      success(`Invite sent to ${inviteData.email}`)
+      setShowInviteModal(false)
+      setInviteData(EMPTY_INVITE)
+      loadAdmins()
+    } catch (err) {
+      console.error('Error inviting admin:', err)
+      showError(err.message || 'Failed to send invite')
+    } finally {
+      setInviting(false)
+    }
+  }
+
+  const handleResendInvite = async (admin) => {
+    try {
+      await adminUsersAPI.resendInvite(admin.id)
+      success(`Invite resent to ${admin.email}`)
+      loadAdmins()
+    } catch (err) {
+      console.error('Error resending invite:', err)
+      showError(err.message || 'Failed to resend invite')
+    }
+  }
+
+  const handleRoleChange = async (admin, role) => {
+    try {
+      await adminUsersAPI.updateRole(admin.id, role)
+      success(`${admin.name} is now ${role === 'Admin' ? 'an' : 'a'} ${role}`)
+      loadAdmins()
+    } catch (err) {
+      console.error('Error updating admin role:', err)
+      showError(err.message || 'Failed to update role')
+    }
+  }
+
+  const handleToggleStatus = async (admin) => {
+    try {
+      await adminUsersAPI.updateStatus(admin.id, !admin.isActive)
+      success(`${admin.name} ${admin.isActive ? 'deactivated' : 'activated'}`)
+      loadAdmins()
+    } catch (err) {
+      console.error('Error updating admin status:', err)
+      showError(err.message || 'Failed to update status')
+    }
+  }
+
+  return (
+    <div className="admin-page">
+      <div className="admin-page-header">
+        <div>
+          <h1>Admin Users</h1>
+          <p>Invite admins and control what each one can access</p>
+        </div>
+        <button className="btn btn-primary" onClick={() => setShowInviteModal(true)}>
+          <UserPlus size={18} />
+          Invite Admin
+        </button>
+      </div>
+
+      <div className="two-factor-policy-card">
+        <div>
+          <h3>Require Two-Factor Authentication</h3>
+          <p className="text-muted">
+            Admins in these roles must set up an authenticator app before they can use the admin panel.
+          </p>
+        </div>
+        <div className="two-factor-policy-roles">
+          {roles.map(role => (
+            <label key={role} className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={twoFactorRoles.includes(role)}
+                onChange={() => toggleTwoFactorRole(role)}
+              />
+              {role}
+            </label>
+          ))}
+          <button className="btn btn-primary btn-small" onClick={handleSaveTwoFactorPolicy} disabled={savingPolicy}>
+            {savingPolicy ? 'Saving...' : 'Save'}
+          </button>
+        </div>
+      </div>
+
+      <div className="table-container">
+        <table className="admin-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Role</th>
+              <th>Last Login</th>
+              <th>Two-Factor</th>
+              <th>Status</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {loading ? (
+              <tr>
+                <td colSpan="6" style={{ textAlign: 'center', padding: '2rem' }}>
+                  Loading admin users...
+                </td>
+              </tr>
+            ) : admins.length === 0 ? (
+              <tr>
+                <td colSpan="6" style={{ textAlign: 'center', padding: '2rem' }}>
+                  No admin users found
+                </td>
+              </tr>
+            ) : (
+              admins.map(admin => {
+                const isSelf = admin.id === (currentAdmin?._id || currentAdmin?.id)
+                return (
+                  <tr key={admin.id}>
+                    <td>
+                      <div className="contact-info">
+                        <p>{admin.name}{isSelf && ' (you)'}</p>
+                        <p className="text-muted"><Mail size={14} /> {admin.email}</p>
+                      </div>
+                    </td>
+                    <td>
+                      <select
+                        className="status-select"
+                        value={admin.role}
+                        disabled={isSelf}
+                        onChange={(e) => handleRoleChange(admin, e.target.value)}
+                        title={isSelf ? 'You cannot change your own role' : ROLE_DESCRIPTIONS[admin.role]}
+                      >
+                        {roles.map(role => (
+                          <option key={role} value={role}>{role}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td>{admin.lastLogin ? new Date(admin.lastLogin).toLocaleString() : 'Never'}</td>
+                    <td>
+                      {admin.twoFactorEnabled ? (
+                        <span className="status-badge status-active">On</span>
+                      ) : (
+                        <span className="status-badge status-inactive">
+                          {twoFactorRoles.includes(admin.role) ? 'Not set up' : 'Off'}
+                        </span>
+                      )}
+                    </td>
+                    <td>
+                      {admin.invitePending ? (
+                        <span className="status-badge status-invited">Invite pending</span>
+                      ) : (
+                        <button
+                          className={`status-toggle ${admin.isActive ? 'active' : 'inactive'}`}
+                          onClick={() => handleToggleStatus(admin)}
+                          disabled={isSelf}
+                          title={isSelf ? 'You cannot deactivate yourself' : `Click to ${admin.isActive ? 'deactivate' : 'activate'}`}
+                        >
+                          {admin.isActive ? 'Active' : 'Inactive'}
+                        </button>
+                      )}
+                    </td>
+                    <td>
+                      {admin.invitePending && (
+                        <button className="btn-icon" title="Resend Invite" onClick={() => handleResendInvite(admin)}>
+                          <Send size={16} />
+                        </button>
+                      )}
+                      {admin.twoFactorEnabled && !isSelf && (
+                        <button className="btn-icon" title="Reset Two-Factor" onClick={() => handleResetTwoFactor(admin)}>
+                          <ShieldOff size={16} />
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                )
+              })
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Invite Admin Modal */}
+      {showInviteModal && (
+        <div className="modal-overlay" onClick={() => setShowInviteModal(false)}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h2>Invite Admin</h2>
+              <button className="modal-close" onClick={() => setShowInviteModal(false)}>
+                <X size={20} />
+              </button>
+            </div>
+            <div className="modal-body">
+              <div className="form-group">
+                <label>Name *</label>
+                <input
+                  type="text"
+                  value={inviteData.name}
+                  onChange={(e) => setInviteData({ ...inviteData, name: e.target.value })}
+                  placeholder="Full name"
+                  required
+                />
+              </div>
+              <div className="form-group">
+                <label>Email *</label>
+                <input
+                  type="email"
+                  value={inviteData.email}
+                  onChange={(e) => setInviteData({ ...inviteData, email: e.target.value })}
+                  placeholder="name@example.com"
+                  required
+                />
+              </div>
+              <div className="form-group">
+                <label>Role *</label>
+                <select
+                  value={inviteData.role}
+                  onChange={(e) => setInviteData({ ...inviteData, role: e.target.value })}
+                >
+                  {roles.map(role => (
+                    <option key={role} value={role}>{role}</option>
+                  ))}
+                </select>
+                <small>{ROLE_DESCRIPTIONS[inviteData.role]}</small>
+              </div>
+              <p className="text-muted">
+                They will get an email with a link to set their password. The link expires in 7 days.
+              </p>
+            </div>
+            <div className="modal-footer">
+              <button className="btn btn-outline" onClick={() => setShowInviteModal(false)}>Cancel</button>
+              <button className="btn btn-primary" onClick={handleInvite} disabled={inviting}>
+                {inviting ? 'Sending...' : 'Send Invite'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default AdminUsers
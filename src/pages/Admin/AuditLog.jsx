@@ -0,0 +1,322 @@
+import { useState, useEffect } from 'react'
+import { Search, Eye, Download, X } from 'lucide-react'
+import { useToast } from '../../components/Toast/ToastContainer'
+import { adminAuditLogsAPI } from '../../utils/adminApi'
+
+// Reuse the order status colours for what happened to the record
+const OPERATION_BADGES = {
+  create: 'delivered',
+  update: 'processing',
+  delete: 'cancelled',
+  request: 'pending-payment'
+}
+
+const OPERATION_LABELS = {
+  create: 'Created',
+  update: 'Updated',
+  delete: 'Deleted',
+  request: 'Request'
+}
+
+const EMPTY_FILTERS = { adminId: '', action: '', operation: '', entityType: '', entityId: '', from: '', to: '' }
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '—'
+  if (typeof value === 'object') return JSON.stringify(value, null, 2)
+  return String(value)
+}
+
+function AuditLog() {
+  const { error: showError, success } = useToast()
+  const [filters, setFilters] = useState(EMPTY_FILTERS)
+  const [entityIdQuery, setEntityIdQuery] = useState('')
+  const [filterOptions, setFilterOptions] = useState({ admins: [], actions: [], entityTypes: [] })
+  const [logs, setLogs] = useState([])
+  const [total, setTotal] = useState(0)
+  const [page, setPage] = useState(1)
+  const [pages, setPages] = useState(1)
+  const [loading, setLoading] = useState(true)
+  const [exporting, setExporting] = useState(false)
+  const [selectedLog, setSelectedLog] = useState(null)
+
+  useEffect(() => {
+    loadFilterOptions()
+  }, [])
+
+  useEffect(() => {
+    loadLogs()
+  }, [filters, page])
+
+  useEffect(() => {
+    const debounceTimer = setTimeout(() => {
+      if (entityIdQuery !== filters.entityId) {
+        updateFilter('entityId', entityIdQuery)
+      }
+    }, 500)
+    return () => clearTimeout(debounceTimer)
+  }, [entityIdQuery])
+
+  const loadFilterOptions = async () => {
+    try {
+      const data = await adminAuditLogsAPI.getFilters()
+      setFilterOptions({
+        admins: data.admins || [],
+        actions: data.actions || [],
+        entityTypes: data.entityTypes || []
+      })
+    } catch (err) {
+      console.error('Error loading audit log filters:', err)
+    }
+  }
+
+  const loadLogs = async () => {
+    try {
+      setLoading(true)
+      const data = await adminAuditLogsAPI.getAll({ ...filters, page })
+      setLogs(data.logs || [])
+      setTotal(data.total || 0)
+      setPages(data.pages || 1)
+    } catch (err) {
+      console.error('Error loading audit log:', err)
+      showError('Failed to load audit log')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const updateFilter = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }))
+    setPage(1)
+  }
+
+  const handleExport = async () => {
+    try {
+      setExporting(true)
+      await adminAuditLogsAPI.exportCsv(filters)
+      success('Audit log exported successfully')
+    } catch (err) {
+      console.error('Error exporting audit log:', err)
+      showError(err.message || 'Failed to export audit log')
+    } finally {
+      setExporting(false)
+    }
+  }
+
+  const handleClearFilters = () => {
+    setFilters(EMPTY_FILTERS)
+    setEntityIdQuery('')
+    setPage(1)
+  }
+
+  const changedFields = (log) =>
+    Array.from(new Set([...Object.keys(log.before || {}), ...Object.keys(log.after || {})]))
+
+  return (
+    <div className="admin-page">
+      <div className="admin-page-header">
+        <div>
+          <h1>Audit Log</h1>
+          <p>Every change made in the admin panel, who made it and when</p>
+        </div>
+        <div className="header-actions">
+          <button className="btn btn-outline" onClick={handleExport} disabled={exporting || total === 0}>
+            <Download size={18} />
+            {exporting ? 'Exporting...' : 'Export CSV'}
+          </button>
+        </div>
+      </div>
+
+      <div className="admin-toolbar">
+        <div className="search-box">
+          <Search size={20} />
+          <input
+            type="text"
+            placeholder="Record ID (order, product, coupon...)"
+            value={entityIdQuery}
+            onChange={(e) => setEntityIdQuery(e.target.value)}
+          />
+        </div>
+        <select
+          className="filter-select"
+          value={filters.adminId}
+          onChange={(e) => updateFilter('adminId', e.target.value)}
+        >
+          <option value="">All Admins</option>
+          {filterOptions.admins.map(admin => (
+            <option key={admin.id} value={admin.id}>{admin.name}</option>
+          ))}
+        </select>
+        <select
+          className="filter-select"
+          value={filters.action}
+          onChange={(e) => updateFilter('action', e.target.value)}
+        >
+          <option value="">All Actions</option>
+          {filterOptions.actions.map(action => (
+            <option key={action} value={action}>{action}</option>
+          ))}
+        </select>
+        <select
+          className="filter-select"
+          value={filters.entityType}
+          onChange={(e) => updateFilter('entityType', e.target.value)}
+        >
+          <option value="">All Records</option>
+          {filterOptions.entityTypes.map(entityType => (
+            <option key={entityType} value={entityType}>{entityType}</option>
+          ))}
+        </select>
+        <select
+          className="filter-select"
+          value={filters.operation}
+          onChange={(e) => updateFilter('operation', e.target.value)}
+        >
+          <option value="">All Changes</option>
+          {Object.entries(OPERATION_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <input
+          type="date"
+          className="filter-select"
+          value={filters.from}
+          max={filters.to || undefined}
+          onChange={(e) => updateFilter('from', e.target.value)}
+          aria-label="From date"
+        />
+        <input
+          type="date"
+          className="filter-select"
+          value={filters.to}
+          min={filters.from || undefined}
+          onChange={(e) => updateFilter('to', e.target.value)}
+          aria-label="To date"
+        />
+        <button className="btn btn-outline" onClick={handleClearFilters}>
+          Clear
+        </button>
+      </div>
+
+      <div className="table-container">
+        <table className="admin-table">
+          <thead>
+            <tr>
+              <th>Time</th>
+              <th>Admin</th>
+              <th>Action</th>
+              <th>Change</th>
+              <th>Record</th>
+              <th>Fields</th>
+              <th>IP Address</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {loading ? (
+              <tr>
+                <td colSpan="8" className="text-center">Loading...</td>
+              </tr>
+            ) : logs.length === 0 ? (
+              <tr>
+                <td colSpan="8" className="text-center">No audit entries found</td>
+              </tr>
+            ) : (
+              logs.map(log => (
+              <tr key={log.id}>
+                <td>{new Date(log.createdAt).toLocaleString()}</td>
+                <td>
+                  <div className="contact-info">
+                    <p>{log.admin?.name || 'Unknown admin'}</p>
+                    <p className="text-muted">{log.admin?.email}</p>
+                  </div>
+                </td>
+                <td>{log.action}</td>
+                <td>
+                  <span className={`status-badge status-${OPERATION_BADGES[log.operation]}`}>
+                    {OPERATION_LABELS[log.operation]}
+                  </span>
+                </td>
+                <td>
+                  {log.entityType}
+                  {log.entityId && <p className="text-muted">{log.entityId}</p>}
+                </td>
+                <td className="text-muted">
+                  {log.operation === 'update' ? changedFields(log).join(', ') : '-'}
+                </td>
+                <td>{log.ipAddress || '-'}</td>
+                <td>
+                  <button className="btn-icon" title="View Changes" onClick={() => setSelectedLog(log)}>
+                    <Eye size={16} />
+                  </button>
+                </td>
+              </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {pages > 1 && (
+        <div className="pagination">
+          <button className="btn btn-outline" disabled={page <= 1} onClick={() => setPage(page - 1)}>
+            Previous
+          </button>
+          <span className="pagination-info">Page {page} of {pages}</span>
+          <button className="btn btn-outline" disabled={page >= pages} onClick={() => setPage(page + 1)}>
+            Next
+          </button>
+        </div>
+      )}
+
+      {/* Audit Entry Modal */}
+      {selectedLog && (
+        <div className="modal-overlay" onClick={() => setSelectedLog(null)}>
+          <div className="modal-content large" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h2>{OPERATION_LABELS[selectedLog.operation]} {selectedLog.entityType}</h2>
+              <button className="modal-close" onClick={() => setSelectedLog(null)}>
+                <X size={20} />
+              </button>
+            </div>
+            <div className="modal-body">
+              <p><strong>Admin:</strong> {selectedLog.admin?.name} ({selectedLog.admin?.email})</p>
+              <p><strong>Time:</strong> {new Date(selectedLog.createdAt).toLocaleString()}</p>
+              <p><strong>Action:</strong> {selectedLog.action}</p>
+              <p><strong>Request:</strong> {selectedLog.method} {selectedLog.path}</p>
+              {selectedLog.entityId && <p><strong>Record ID:</strong> {selectedLog.entityId}</p>}
+              {selectedLog.ipAddress && <p><strong>IP Address:</strong> {selectedLog.ipAddress}</p>}
+
+              {changedFields(selectedLog).length > 0 ? (
+                <table className="admin-table audit-diff">
+                  <thead>
+                    <tr>
+                      <th>Field</th>
+                      <th>Before</th>
+                      <th>After</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {changedFields(selectedLog).map(field => (
+                      <tr key={field}>
+                        <td>{field}</td>
+                        <td><pre>{formatValue(selectedLog.before?.[field])}</pre></td>
+                        <td><pre>{formatValue(selectedLog.after?.[field])}</pre></td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              ) : (
+                <p className="text-muted">No field values were recorded for this entry.</p>
+              )}
+            </div>
+            <div className="modal-footer">
+              <button className="btn btn-outline" onClick={() => setSelectedLog(null)}>Close</button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default AuditLog
@@ -3,6 +3,9 @@ import { Plus, Edit, Trash2, ChevronDown, ChevronRight, X } from 'lucide-react'
 import { useToast } from '../../components/Toast/ToastContainer'
 import { adminCategoriesAPI } from '../../utils/adminApi'
 
+// GST rates offered as a flat override of the store's value-based slabs
+const GST_RATES = [0, 5, 12, 18, 28]
+
 function Categories() {
   const { success, error: showError } = useToast()
   const [expandedCategory, setExpandedCategory] = useState(null)
@@ -15,7 +18,7 @@ function Categories() {
   const [showEditCategoryModal, setShowEditCategoryModal] = useState(false)
   const [showEditSubcategoryModal, setShowEditSubcategoryModal] = useState(false)
   const [subcategoryForm, setSubcategoryForm] = useState({ categoryId: '', name: '' })
-  const [editCategoryForm, setEditCategoryForm] = useState({ id: '', name: '' })
+  const [editCategoryForm, setEditCategoryForm] = useState({ id: '', name: '', hsnCode: '', gstRate: '' })
   const [editSubcategoryForm, setEditSubcategoryForm] = useState({ id: '', name: '' })
   const [categories, setCategories] = useState([])
   const [loading, setLoading] = useState(true)
@@ -145,6 +148,12 @@ function Categories() {
     }
   }
 
+  const editCategoryUpdates = () => ({
+    name: editCategoryForm.name.trim(),
+    hsnCode: editCategoryForm.hsnCode.trim() || null,
+    gstSlabs: editCategoryForm.gstRate === '' ? null : [{ upTo: null, rate: Number(editCategoryForm.gstRate) }]
+  })
+
   const handleEditCategory = async (categoryId, updates) => {
     try {
       await adminCategoriesAPI.update(categoryId, updates)
@@ -228,12 +237,33 @@ function Categories() {
                   autoFocus
                   onKeyPress={(e) => {
                     if (e.key === 'Enter') {
-                      handleEditCategory(editCategoryForm.id, { name: editCategoryForm.name.trim() })
+                      handleEditCategory(editCategoryForm.id, editCategoryUpdates())
                       setShowEditCategoryModal(false)
                     }
                   }}
                 />
               </div>
+              <div className="form-group">
+                <label>HSN Code</label>
+                <input
+                  type="text"
+                  value={editCategoryForm.hsnCode}
+                  onChange={(e) => setEditCategoryForm({ ...editCategoryForm, hsnCode: e.target.value })}
+                  placeholder="e.g., 6204 (leave empty for the store default)"
+                />
+              </div>
+              <div className="form-group">
+                <label>GST Rate</label>
+                <select
+                  value={editCategoryForm.gstRate}
+                  onChange={(e) => setEditCategoryForm({ ...editCategoryForm, gstRate: e.target.value })}
+                >
+                  <option value="">Store default slabs</option>
+                  {GST_RATES.map(rate => (
+                    <option key={rate} value={rate}>Flat {rate}%</option>
+                  ))}
+                </select>
+              </div>
             </div>
             <div className="modal-footer">
               <button className="btn btn-outline" onClick={() => setShowEditCategoryModal(false)}>
@@ -246,7 +276,7 @@ function Categories() {
                     showError('Please enter a category name')
                     return
                   }
-                  handleEditCategory(editCategoryForm.id, { name: editCategoryForm.name.trim() })
+                  handleEditCategory(editCategoryForm.id, editCategoryUpdates())
                   setShowEditCategoryModal(false)
                 }}
               >
@@ -372,7 +402,12 @@ function Categories() {
                     <button
                       className="btn-icon"
                       onClick={() => {
-                        setEditCategoryForm({ id: category.id, name: category.name })
+                        setEditCategoryForm({
+                          id: category.id,
+                          name: category.name,
+                          hsnCode: category.hsnCode || '',
+                          gstRate: category.gstSlabs?.length === 1 ? String(category.gstSlabs[0].rate) : ''
+                        })
                         setShowEditCategoryModal(true)
                       }}
                       title="Edit Category"
@@ -1,7 +1,21 @@
 import { useState, useEffect } from 'react'
-import { Save, Coins as CoinsIcon, TrendingUp, Gift, Info } from 'lucide-react'
+import { Save, Coins as CoinsIcon, TrendingUp, TrendingDown, Gift, Info, Clock, UserCog, Plus, Trash2, Search, Wallet } from 'lucide-react'
 import { useToast } from '../../components/Toast/ToastContainer'
-import { adminSettingsAPI } from '../../utils/adminApi'
+import { adminSettingsAPI, adminCoinsAPI, adminCustomersAPI } from '../../utils/adminApi'
+
+const CREDIT_TYPES = ['earned', 'refunded', 'admin_credit']
+
+const TYPE_LABELS = {
+  earned: 'Earned',
+  spent: 'Spent',
+  expired: 'Expired',
+  refunded: 'Refunded',
+  clawback: 'Clawed back',
+  admin_credit: 'Admin credit',
+  admin_debit: 'Admin debit'
+}
+
+const parseSetting = (value) => (typeof value === 'string' ? JSON.parse(value) : value)
 
 function Coins() {
   const { success, error: showError } = useToast()
@@ -9,37 +23,82 @@ function Coins() {
   const [saving, setSaving] = useState(false)
   const [coinRules, setCoinRules] = useState({
     earning: {
+      type: 'flat',
       threshold: 5000,
-      coins: 10
+      coins: 10,
+      percent: 1,
+      maxCoins: 0,
+      tiers: [
+        { minAmount: 2000, coins: 5 },
+        { minAmount: 5000, coins: 15 }
+      ]
     },
     redemption: {
       coins: 50,
       discountPercent: 5
+    },
+    expiry: {
+      days: 365
     }
   })
+  const [summary, setSummary] = useState(null)
+
+  // Manual adjustments
+  const [customerSearch, setCustomerSearch] = useState('')
+  const [customerResults, setCustomerResults] = useState([])
+  const [selectedCustomer, setSelectedCustomer] = useState(null)
+  const [adjustment, setAdjustment] = useState({ direction: 'credit', amount: '', reason: '', expiresInDays: '' })
+  const [adjusting, setAdjusting] = useState(false)
+
+  // Ledger
+  const [ledger, setLedger] = useState([])
+  const [ledgerType, setLedgerType] = useState('')
+  const [ledgerPage, setLedgerPage] = useState(1)
+  const [ledgerPages, setLedgerPages] = useState(1)
 
   useEffect(() => {
     loadCoinRules()
+    loadSummary()
   }, [])
 
+  useEffect(() => {
+    loadLedger()
+  }, [ledgerType, ledgerPage])
+
+  useEffect(() => {
+    if (!customerSearch.trim()) {
+      setCustomerResults([])
+      return
+    }
+    const debounceTimer = setTimeout(async () => {
+      try {
+        const data = await adminCustomersAPI.getAll({ search: customerSearch.trim(), limit: 8 })
+        setCustomerResults(data.customers || [])
+      } catch (err) {
+        console.error('Error searching customers:', err)
+      }
+    }, 400)
+    return () => clearTimeout(debounceTimer)
+  }, [customerSearch])
+
   const loadCoinRules = async () => {
     try {
       setLoading(true)
       // Load all settings and find coin rules
       const allSettings = await adminSettingsAPI.getAll()
-      
+
       if (allSettings.coin_earning_rule) {
-        const earningRule = typeof allSettings.coin_earning_rule === 'string' 
-          ? JSON.parse(allSettings.coin_earning_rule) 
-          : allSettings.coin_earning_rule
-        setCoinRules(prev => ({ ...prev, earning: earningRule }))
+        const earningRule = parseSetting(allSettings.coin_earning_rule)
+        // Rules saved before earning types existed are flat rules
+        setCoinRules(prev => ({ ...prev, earning: { ...prev.earning, type: 'flat', ...earningRule } }))
       }
-      
+
       if (allSettings.coin_redemption_rule) {
-        const redemptionRule = typeof allSettings.coin_redemption_rule === 'string'
-          ? JSON.parse(allSettings.coin_redemption_rule)
-          : allSettings.coin_redemption_rule
-        setCoinRules(prev => ({ ...prev, redemption: redemptionRule }))
+        setCoinRules(prev => ({ ...prev, redemption: parseSetting(allSettings.coin_redemption_rule) }))
+      }
+
+      if (allSettings.coin_expiry_rule) {
+        setCoinRules(prev => ({ ...prev, expiry: parseSetting(allSettings.coin_expiry_rule) }))
       }
     } catch (err) {
       console.error('Error loading coin rules:', err)
@@ -49,10 +108,64 @@ function Coins() {
     }
   }
 
+  const loadSummary = async () => {
+    try {
+      setSummary(await adminCoinsAPI.getSummary())
+    } catch (err) {
+      console.error('Error loading coin summary:', err)
+    }
+  }
+
+  const loadLedger = async () => {
+    try {
+      const data = await adminCoinsAPI.getTransactions({ type: ledgerType, page: ledgerPage })
+      setLedger(data.transactions || [])
+      setLedgerPages(data.pages || 1)
+    } catch (err) {
+      console.error('Error loading coin ledger:', err)
+      showError('Failed to load coin transactions')
+    }
+  }
+
+  const loadCustomerCoins = async (customerId) => {
+    try {
+      setSelectedCustomer(await adminCoinsAPI.getCustomerCoins(customerId))
+    } catch (err) {
+      console.error('Error loading customer coins:', err)
+      showError('Failed to load customer coins')
+    }
+  }
+
+  // Only the fields of the chosen earning type are saved
+  const buildEarningRule = () => {
+    const { type, threshold, coins, percent, maxCoins, tiers } = coinRules.earning
+    if (type === 'percentage') return { type, threshold, percent, maxCoins }
+    if (type === 'tiered') return { type, tiers: [...tiers].sort((a, b) => a.minAmount - b.minAmount) }
+    return { type, threshold, coins }
+  }
+
+  const validateEarningRule = () => {
+    const { type, threshold, coins, percent, tiers } = coinRules.earning
+    if (type === 'percentage') {
+      if (percent <= 0 || percent > 100) return 'Earning percentage must be between 0 and 100'
+      if (threshold < 0) return 'Minimum purchase amount cannot be negative'
+      return null
+    }
+    if (type === 'tiered') {
+      if (tiers.length === 0) return 'Add at least one earning tier'
+      if (tiers.some(tier => tier.minAmount < 0 || tier.coins <= 0)) return 'Each tier needs a purchase amount and coins greater than 0'
+      if (new Set(tiers.map(tier => tier.minAmount)).size !== tiers.length) return 'Two tiers cannot start at the same amount'
+      return null
+    }
+    if (threshold <= 0 || coins <= 0) return 'Earning threshold and coins must be greater than 0'
+    return null
+  }
+
   const handleSave = async () => {
     // Validate inputs
-    if (coinRules.earning.threshold <= 0 || coinRules.earning.coins <= 0) {
-      showError('Earning threshold and coins must be greater than 0')
+    const earningError = validateEarningRule()
+    if (earningError) {
+      showError(earningError)
       return
     }
     if (coinRules.redemption.coins <= 0 || coinRules.redemption.discountPercent <= 0) {
@@ -63,16 +176,20 @@ function Coins() {
       showError('Discount percentage cannot exceed 100%')
       return
     }
+    if (coinRules.expiry.days < 0) {
+      showError('Expiry period cannot be negative')
+      return
+    }
 
     setSaving(true)
     try {
       // Save coin earning rule
       await adminSettingsAPI.updateSingle(
         'coin_earning_rule',
-        JSON.stringify(coinRules.earning),
+        JSON.stringify(buildEarningRule()),
         'json',
         'coins',
-        'Coin earning rule: threshold amount and coins awarded'
+        'Coin earning rule: flat, percentage or tiered coins awarded per order'
       )
 
       // Save coin redemption rule
@@ -84,6 +201,15 @@ function Coins() {
         'Coin redemption rule: coins required and discount percentage'
       )
 
+      // Save coin expiry rule
+      await adminSettingsAPI.updateSingle(
+        'coin_expiry_rule',
+        JSON.stringify({ days: Math.floor(coinRules.expiry.days) }),
+        'json',
+        'coins',
+        'Coin expiry rule: days before earned coins expire (0 = never)'
+      )
+
       success('Coin rules saved successfully')
     } catch (err) {
       console.error('Error saving coin rules:', err)
@@ -93,16 +219,71 @@ function Coins() {
     }
   }
 
+  const handleAdjust = async () => {
+    const amount = parseInt(adjustment.amount)
+    if (!amount || amount <= 0) {
+      showError('Enter the number of coins')
+      return
+    }
+    if (!adjustment.reason.trim()) {
+      showError('A reason is required')
+      return
+    }
+
+    setAdjusting(true)
+    try {
+      await adminCoinsAPI.adjust(selectedCustomer.customer.id, {
+        amount: adjustment.direction === 'credit' ? amount : -amount,
+        reason: adjustment.reason.trim(),
+        ...(adjustment.direction === 'credit' && adjustment.expiresInDays !== '' && { expiresInDays: parseInt(adjustment.expiresInDays) })
+      })
+      success(`${amount} coins ${adjustment.direction === 'credit' ? 'credited to' : 'debited from'} ${selectedCustomer.customer.name}`)
+      setAdjustment({ direction: 'credit', amount: '', reason: '', expiresInDays: '' })
+      await Promise.all([loadCustomerCoins(selectedCustomer.customer.id), loadSummary(), loadLedger()])
+    } catch (err) {
+      showError(err.message || 'Failed to adjust coins')
+    } finally {
+      setAdjusting(false)
+    }
+  }
+
   const updateEarningRule = (field, value) => {
     setCoinRules(prev => ({
       ...prev,
       earning: {
         ...prev.earning,
-        [field]: parseFloat(value) || 0
+        [field]: field === 'type' ? value : parseFloat(value) || 0
+      }
+    }))
+  }
+
+  const updateTier = (index, field, value) => {
+    setCoinRules(prev => ({
+      ...prev,
+      earning: {
+        ...prev.earning,
+        tiers: prev.earning.tiers.map((tier, i) => (i === index ? { ...tier, [field]: parseFloat(value) || 0 } : tier))
       }
     }))
   }
 
+  const addTier = () => {
+    setCoinRules(prev => {
+      const highest = Math.max(0, ...prev.earning.tiers.map(tier => tier.minAmount))
+      return {
+        ...prev,
+        earning: { ...prev.earning, tiers: [...prev.earning.tiers, { minAmount: highest + 5000, coins: 10 }] }
+      }
+    })
+  }
+
+  const removeTier = (index) => {
+    setCoinRules(prev => ({
+      ...prev,
+      earning: { ...prev.earning, tiers: prev.earning.tiers.filter((_, i) => i !== index) }
+    }))
+  }
+
   const updateRedemptionRule = (field, value) => {
     setCoinRules(prev => ({
       ...prev,
@@ -113,6 +294,39 @@ function Coins() {
     }))
   }
 
+  const earningPreview = () => {
+    const { type, threshold, coins, percent, maxCoins, tiers } = coinRules.earning
+    if (type === 'percentage') {
+      return (
+        <>
+          Customers earn <strong>{percent}% of the order value</strong> in coins
+          {threshold > 0 && <> on orders of ₹{threshold.toLocaleString()} or more</>}
+          {maxCoins > 0 && <>, up to <strong>{maxCoins} coins</strong> per order</>}
+        </>
+      )
+    }
+    if (type === 'tiered') {
+      return (
+        <>
+          {[...tiers].sort((a, b) => a.minAmount - b.minAmount).map((tier, index) => (
+            <span key={index}>
+              {index > 0 && ', '}₹{tier.minAmount.toLocaleString()}+ earns <strong>{tier.coins} coins</strong>
+            </span>
+          ))}
+        </>
+      )
+    }
+    return <>Customers purchasing ₹{threshold.toLocaleString()} or more will earn <strong>{coins} coins</strong></>
+  }
+
+  const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', { year: 'numeric', month: 'short', day: 'numeric' })
+
+  const renderAmount = (transaction) => (
+    <span className={CREDIT_TYPES.includes(transaction.type) ? 'coin-credit' : 'coin-debit'}>
+      {CREDIT_TYPES.includes(transaction.type) ? '+' : '-'}{transaction.amount}
+    </span>
+  )
+
   if (loading) {
     return (
       <div className="admin-page">
@@ -128,7 +342,7 @@ function Coins() {
       <div className="admin-page-header">
         <div>
           <h1>Coins & Rewards Configuration</h1>
-          <p>Configure coin earning and redemption rules for your loyalty program</p>
+          <p>Configure coin earning, redemption and expiry rules and adjust customer balances</p>
         </div>
         <button className="btn btn-primary" onClick={handleSave} disabled={saving}>
           <Save size={18} />
@@ -136,6 +350,37 @@ function Coins() {
         </button>
       </div>
 
+      <div className="newsletter-stats">
+        <div className="stat-mini-card">
+          <Wallet size={24} />
+          <div>
+            <h3>{summary ? summary.outstanding.toLocaleString() : '-'}</h3>
+            <p>Coins Outstanding</p>
+          </div>
+        </div>
+        <div className="stat-mini-card warning">
+          <Clock size={24} />
+          <div>
+            <h3>{summary ? summary.expiringSoon.toLocaleString() : '-'}</h3>
+            <p>Expiring in 30 Days</p>
+          </div>
+        </div>
+        <div className="stat-mini-card success">
+          <TrendingUp size={24} />
+          <div>
+            <h3>{summary ? (summary.byType.earned || 0).toLocaleString() : '-'}</h3>
+            <p>Earned</p>
+          </div>
+        </div>
+        <div className="stat-mini-card danger">
+          <TrendingDown size={24} />
+          <div>
+            <h3>{summary ? (summary.byType.expired || 0).toLocaleString() : '-'}</h3>
+            <p>Expired</p>
+          </div>
+        </div>
+      </div>
+
       <div className="coins-config-sections">
         {/* Coin Earning Rule */}
         <div className="coins-config-card">
@@ -145,46 +390,142 @@ function Coins() {
             </div>
             <div>
               <h2>Coin Earning Rule</h2>
-              <p>Set the minimum purchase amount and coins awarded</p>
+              <p>Award a flat number of coins, a percentage of the order value, or coins by spend tier</p>
             </div>
           </div>
           <div className="coins-config-content">
-            <div className="form-row">
-              <div className="form-group">
-                <label>
-                  Minimum Purchase Amount (₹)
-                  <span className="required">*</span>
-                </label>
-                <input
-                  type="number"
-                  min="0"
-                  step="100"
-                  value={coinRules.earning.threshold}
-                  onChange={(e) => updateEarningRule('threshold', e.target.value)}
-                  placeholder="e.g., 5000"
-                />
-                <small>Customers must purchase this amount or more to earn coins</small>
+            <div className="form-group">
+              <label>Earning Type</label>
+              <select
+                value={coinRules.earning.type}
+                onChange={(e) => updateEarningRule('type', e.target.value)}
+              >
+                <option value="flat">Flat - fixed coins above a purchase amount</option>
+                <option value="percentage">Percentage - share of the order value</option>
+                <option value="tiered">Tiered - more coins for bigger orders</option>
+              </select>
+            </div>
+
+            {coinRules.earning.type === 'flat' && (
+              <div className="form-row">
+                <div className="form-group">
+                  <label>
+                    Minimum Purchase Amount (₹)
+                    <span className="required">*</span>
+                  </label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="100"
+                    value={coinRules.earning.threshold}
+                    onChange={(e) => updateEarningRule('threshold', e.target.value)}
+                    placeholder="e.g., 5000"
+                  />
+                  <small>Customers must purchase this amount or more to earn coins</small>
+                </div>
+                <div className="form-group">
+                  <label>
+                    Coins Awarded
+                    <span className="required">*</span>
+                  </label>
+                  <input
+                    type="number"
+                    min="1"
+                    step="1"
+                    value={coinRules.earning.coins}
+                    onChange={(e) => updateEarningRule('coins', e.target.value)}
+                    placeholder="e.g., 10"
+                  />
+                  <small>Number of coins awarded when threshold is met</small>
+                </div>
               </div>
-              <div className="form-group">
-                <label>
-                  Coins Awarded
-                  <span className="required">*</span>
-                </label>
-                <input
-                  type="number"
-                  min="1"
-                  step="1"
-                  value={coinRules.earning.coins}
-                  onChange={(e) => updateEarningRule('coins', e.target.value)}
-                  placeholder="e.g., 10"
-                />
-                <small>Number of coins awarded when threshold is met</small>
+            )}
+
+            {coinRules.earning.type === 'percentage' && (
+              <div className="form-row">
+                <div className="form-group">
+                  <label>
+                    Coins per ₹100 (%)
+                    <span className="required">*</span>
+                  </label>
+                  <input
+                    type="number"
+                    min="0.1"
+                    max="100"
+                    step="0.1"
+                    value={coinRules.earning.percent}
+                    onChange={(e) => updateEarningRule('percent', e.target.value)}
+                    placeholder="e.g., 1"
+                  />
+                  <small>Percentage of the order value awarded as coins (rounded down)</small>
+                </div>
+                <div className="form-group">
+                  <label>Minimum Purchase Amount (₹)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="100"
+                    value={coinRules.earning.threshold}
+                    onChange={(e) => updateEarningRule('threshold', e.target.value)}
+                    placeholder="e.g., 1000"
+                  />
+                  <small>0 = every order earns coins</small>
+                </div>
+                <div className="form-group">
+                  <label>Maximum Coins per Order</label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="1"
+                    value={coinRules.earning.maxCoins}
+                    onChange={(e) => updateEarningRule('maxCoins', e.target.value)}
+                    placeholder="e.g., 100"
+                  />
+                  <small>0 = no limit</small>
+                </div>
               </div>
-            </div>
+            )}
+
+            {coinRules.earning.type === 'tiered' && (
+              <>
+                {coinRules.earning.tiers.map((tier, index) => (
+                  <div className="coins-tier-row" key={index}>
+                    <div className="form-group">
+                      <label>Orders From (₹)</label>
+                      <input
+                        type="number"
+                        min="0"
+                        step="100"
+                        value={tier.minAmount}
+                        onChange={(e) => updateTier(index, 'minAmount', e.target.value)}
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Coins Awarded</label>
+                      <input
+                        type="number"
+                        min="1"
+                        step="1"
+                        value={tier.coins}
+                        onChange={(e) => updateTier(index, 'coins', e.target.value)}
+                      />
+                    </div>
+                    <button className="btn-icon danger" title="Remove tier" onClick={() => removeTier(index)}>
+                      <Trash2 size={16} />
+                    </button>
+                  </div>
+                ))}
+                <button className="btn btn-outline" onClick={addTier}>
+                  <Plus size={18} />
+                  Add Tier
+                </button>
+              </>
+            )}
+
             <div className="coins-config-preview">
               <Info size={18} />
               <div>
-                <strong>Preview:</strong> Customers purchasing ₹{coinRules.earning.threshold.toLocaleString()} or more will earn <strong>{coinRules.earning.coins} coins</strong>
+                <strong>Preview:</strong> {earningPreview()}
               </div>
             </div>
           </div>
@@ -244,6 +585,260 @@ function Coins() {
           </div>
         </div>
 
+        {/* Coin Expiry Rule */}
+        <div className="coins-config-card">
+          <div className="coins-config-header">
+            <div className="coins-config-icon expiry-icon">
+              <Clock size={28} />
+            </div>
+            <div>
+              <h2>Coin Expiry</h2>
+              <p>Set how long coins stay valid after they are credited</p>
+            </div>
+          </div>
+          <div className="coins-config-content">
+            <div className="form-row">
+              <div className="form-group">
+                <label>Expiry Period (days)</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="1"
+                  value={coinRules.expiry.days}
+                  onChange={(e) => setCoinRules(prev => ({ ...prev, expiry: { days: parseInt(e.target.value) || 0 } }))}
+                  placeholder="e.g., 365"
+                />
+                <small>0 = coins never expire. Applies to coins credited from now on.</small>
+              </div>
+            </div>
+            <div className="coins-config-preview">
+              <Info size={18} />
+              <div>
+                <strong>Preview:</strong> {coinRules.expiry.days > 0
+                  ? <>Coins expire <strong>{coinRules.expiry.days} days</strong> after they are credited; the oldest coins are spent first</>
+                  : <>Coins <strong>never expire</strong></>}
+              </div>
+            </div>
+          </div>
+        </div>
+
+        {/* Manual Adjustments */}
+        <div className="coins-config-card">
+          <div className="coins-config-header">
+            <div className="coins-config-icon adjust-icon">
+              <UserCog size={28} />
+            </div>
+            <div>
+              <h2>Adjust Customer Coins</h2>
+              <p>Credit or debit a customer's coins by hand, e.g. as a goodwill gesture or to correct a mistake</p>
+            </div>
+          </div>
+          <div className="coins-config-content">
+            <div className="form-group">
+              <label>Customer</label>
+              <div className="search-box">
+                <Search size={20} />
+                <input
+                  type="text"
+                  placeholder="Search by name, email or mobile..."
+                  value={customerSearch}
+                  onChange={(e) => setCustomerSearch(e.target.value)}
+                />
+              </div>
+              {customerResults.length > 0 && (
+                <ul className="coins-customer-results">
+                  {customerResults.map(customer => (
+                    <li
+                      key={customer.id}
+                      onClick={() => {
+                        setCustomerSearch('')
+                        setCustomerResults([])
+                        loadCustomerCoins(customer.id)
+                      }}
+                    >
+                      <strong>{customer.name}</strong> <span className="text-muted">{customer.email}{customer.mobile ? ` · ${customer.mobile}` : ''}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            {selectedCustomer && (
+              <>
+                <div className="coins-config-preview">
+                  <CoinsIcon size={18} />
+                  <div>
+                    <strong>{selectedCustomer.customer.name}</strong> has <strong>{selectedCustomer.balance} coins</strong>
+                    {selectedCustomer.expiring && (
+                      <> · {selectedCustomer.expiring.coins} expire on {formatDate(selectedCustomer.expiring.expiresAt)}</>
+                    )}
+                  </div>
+                </div>
+
+                <div className="form-row">
+                  <div className="form-group">
+                    <label>Adjustment</label>
+                    <select
+                      value={adjustment.direction}
+                      onChange={(e) => setAdjustment({ ...adjustment, direction: e.target.value })}
+                    >
+                      <option value="credit">Credit (add coins)</option>
+                      <option value="debit">Debit (remove coins)</option>
+                    </select>
+                  </div>
+                  <div className="form-group">
+                    <label>
+                      Coins
+                      <span className="required">*</span>
+                    </label>
+                    <input
+                      type="number"
+                      min="1"
+                      step="1"
+                      value={adjustment.amount}
+                      onChange={(e) => setAdjustment({ ...adjustment, amount: e.target.value })}
+                      placeholder="e.g., 25"
+                    />
+                  </div>
+                  {adjustment.direction === 'credit' && (
+                    <div className="form-group">
+                      <label>Expires After (days)</label>
+                      <input
+                        type="number"
+                        min="0"
+                        step="1"
+                        value={adjustment.expiresInDays}
+                        onChange={(e) => setAdjustment({ ...adjustment, expiresInDays: e.target.value })}
+                        placeholder={`Default: ${coinRules.expiry.days || 'never'}`}
+                      />
+                      <small>Leave empty to use the expiry period; 0 = never</small>
+                    </div>
+                  )}
+                </div>
+                <div className="form-group">
+                  <label>
+                    Reason
+                    <span className="required">*</span>
+                  </label>
+                  <input
+                    type="text"
+                    value={adjustment.reason}
+                    onChange={(e) => setAdjustment({ ...adjustment, reason: e.target.value })}
+                    placeholder="Shown in the customer's coin history"
+                  />
+                </div>
+                <button className="btn btn-primary" onClick={handleAdjust} disabled={adjusting}>
+                  {adjusting ? 'Saving...' : adjustment.direction === 'credit' ? 'Credit Coins' : 'Debit Coins'}
+                </button>
+
+                {selectedCustomer.transactions.length > 0 && (
+                  <div className="table-container">
+                    <table className="admin-table">
+                      <thead>
+                        <tr>
+                          <th>Date</th>
+                          <th>Type</th>
+                          <th>Coins</th>
+                          <th>Balance</th>
+                          <th>Description</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {selectedCustomer.transactions.map(transaction => (
+                          <tr key={transaction.id}>
+                            <td>{formatDate(transaction.createdAt)}</td>
+                            <td>{TYPE_LABELS[transaction.type] || transaction.type}</td>
+                            <td>{renderAmount(transaction)}</td>
+                            <td>{transaction.balanceAfter}</td>
+                            <td>{transaction.description}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+
+        {/* Coin Ledger */}
+        <div className="coins-config-card">
+          <div className="coins-config-header">
+            <div className="coins-config-icon earning-icon">
+              <Wallet size={28} />
+            </div>
+            <div>
+              <h2>Coin Ledger</h2>
+              <p>Every coin credited and debited across customers</p>
+            </div>
+          </div>
+          <div className="coins-config-content">
+            <div className="admin-toolbar">
+              <select
+                className="filter-select"
+                value={ledgerType}
+                onChange={(e) => {
+                  setLedgerType(e.target.value)
+                  setLedgerPage(1)
+                }}
+              >
+                <option value="">All Types</option>
+                {Object.entries(TYPE_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="table-container">
+              <table className="admin-table">
+                <thead>
+                  <tr>
+                    <th>Date</th>
+                    <th>Customer</th>
+                    <th>Type</th>
+                    <th>Coins</th>
+                    <th>Balance</th>
+                    <th>Description</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {ledger.length === 0 ? (
+                    <tr>
+                      <td colSpan="6" className="text-center">No coin transactions found</td>
+                    </tr>
+                  ) : (
+                    ledger.map(transaction => (
+                      <tr key={transaction.id}>
+                        <td>{formatDate(transaction.createdAt)}</td>
+                        <td>
+                          <button className="btn-link" onClick={() => loadCustomerCoins(transaction.user.id)}>
+                            {transaction.user?.name || '-'}
+                          </button>
+                        </td>
+                        <td>{TYPE_LABELS[transaction.type] || transaction.type}</td>
+                        <td>{renderAmount(transaction)}</td>
+                        <td>{transaction.balanceAfter}</td>
+                        <td>{transaction.description}</td>
+                      </tr>
+                    ))
+                  )}
+                </tbody>
+              </table>
+            </div>
+            {ledgerPages > 1 && (
+              <div className="pagination">
+                <button className="btn btn-outline" disabled={ledgerPage <= 1} onClick={() => setLedgerPage(ledgerPage - 1)}>
+                  Previous
+                </button>
+                <span className="pagination-info">Page {ledgerPage} of {ledgerPages}</span>
+                <button className="btn btn-outline" disabled={ledgerPage >= ledgerPages} onClick={() => setLedgerPage(ledgerPage + 1)}>
+                  Next
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+
         {/* Information Section */}
         <div className="coins-config-info">
           <div className="coins-config-info-header">
@@ -252,16 +847,19 @@ function Coins() {
           </div>
           <ul className="coins-config-info-list">
             <li>
-              <strong>Coin Earning:</strong> When a customer makes a purchase of ₹{coinRules.earning.threshold.toLocaleString()} or more, they automatically receive {coinRules.earning.coins} coins in their account.
+              <strong>Coin Earning:</strong> Coins are credited by the earning rule above once an order is paid (Cash on Delivery orders when the cash is collected).
             </li>
             <li>
               <strong>Coin Redemption:</strong> Customers can redeem {coinRules.redemption.coins} coins at checkout to get a {coinRules.redemption.discountPercent}% discount on their order total.
             </li>
             <li>
-              <strong>Balance Tracking:</strong> All coin transactions (earned and spent) are tracked in the customer's account and visible in their dashboard.
+              <strong>Expiry:</strong> {coinRules.expiry.days > 0 ? `Coins expire ${coinRules.expiry.days} days after they are credited.` : 'Coins do not expire.'} The oldest coins are always spent first.
+            </li>
+            <li>
+              <strong>Cancellations & Returns:</strong> Coins earned on a cancelled or returned order are taken back (only as many as the customer still has), and coins spent on a cancelled order are refunded.
             </li>
             <li>
-              <strong>Automatic Application:</strong> Coins are automatically added after successful payment and can be used immediately on future orders.
+              <strong>Balance Tracking:</strong> Every credit and debit, including manual adjustments and their reason, is recorded in the ledger and shown in the customer's dashboard.
             </li>
           </ul>
         </div>
@@ -1,10 +1,12 @@
 import { useState, useEffect } from 'react'
-import { Search, Eye, Mail, Phone, Package, Calendar, Users, X } from 'lucide-react'
+import { Search, Eye, Mail, Phone, Package, Calendar, Users, X, Lock, Unlock } from 'lucide-react'
 import { adminCustomersAPI } from '../../utils/adminApi'
 import { useToast } from '../../components/Toast/ToastContainer'
 
 function Customers() {
   const [searchQuery, setSearchQuery] = useState('')
+  const [lockedFilter, setLockedFilter] = useState('')
+  const [lockedCount, setLockedCount] = useState(0)
   const [customers, setCustomers] = useState([])
   const [loading, setLoading] = useState(true)
   const [selectedCustomer, setSelectedCustomer] = useState(null)
@@ -22,8 +24,12 @@ function Customers() {
       if (searchQuery) {
         filters.search = searchQuery
       }
+      if (lockedFilter) {
+        filters.locked = lockedFilter
+      }
       const data = await adminCustomersAPI.getAll(filters)
       setCustomers(data.customers || [])
+      setLockedCount(data.lockedCount || 0)
     } catch (err) {
       console.error('Error loading customers:', err)
       showError('Failed to load customers')
@@ -39,7 +45,7 @@ function Customers() {
       }
     }, 500)
     return () => clearTimeout(debounceTimer)
-  }, [searchQuery])
+  }, [searchQuery, lockedFilter])
 
   const handleToggleStatus = async (customerId) => {
     try {
@@ -52,6 +58,20 @@ function Customers() {
     }
   }
 
+  const handleUnlock = async (customerId) => {
+    try {
+      await adminCustomersAPI.unlock(customerId)
+      success('Customer account unlocked')
+      loadCustomers()
+      if (selectedCustomer?.id === customerId) {
+        setSelectedCustomer({ ...selectedCustomer, locked: false, lockedUntil: null, failedLoginAttempts: 0 })
+      }
+    } catch (err) {
+      console.error('Error unlocking customer:', err)
+      showError(err.message || 'Failed to unlock customer')
+    }
+  }
+
   const handleViewDetails = async (customerId) => {
     try {
       const customer = await adminCustomersAPI.getById(customerId)
@@ -84,6 +104,14 @@ function Customers() {
             onChange={(e) => setSearchQuery(e.target.value)}
           />
         </div>
+        <select
+          className="filter-select"
+          value={lockedFilter}
+          onChange={(e) => setLockedFilter(e.target.value)}
+        >
+          <option value="">All Customers</option>
+          <option value="true">Locked Accounts</option>
+        </select>
       </div>
 
       <div className="customers-stats">
@@ -101,6 +129,13 @@ function Customers() {
             <p>Total Orders</p>
           </div>
         </div>
+        <div className="stat-mini-card danger">
+          <Lock size={24} />
+          <div>
+            <h3>{lockedCount}</h3>
+            <p>Locked Accounts</p>
+          </div>
+        </div>
       </div>
 
       <div className="table-container">
@@ -150,11 +185,23 @@ function Customers() {
                     >
                       {customer.status === 'active' ? 'Active' : 'Inactive'}
                     </button>
+                    {customer.locked && (
+                      <p className="customer-lock-note" title={`${customer.failedLoginAttempts} failed sign-in attempts`}>
+                        <Lock size={12} /> Locked until {new Date(customer.lockedUntil).toLocaleString()}
+                      </p>
+                    )}
                   </td>
                   <td>
-                    <button className="btn-icon" title="View Details" onClick={() => handleViewDetails(customer.id)}>
-                      <Eye size={16} />
-                    </button>
+                    <div className="action-buttons">
+                      <button className="btn-icon" title="View Details" onClick={() => handleViewDetails(customer.id)}>
+                        <Eye size={16} />
+                      </button>
+                      {customer.locked && (
+                        <button className="btn-icon" title="Unlock Account" onClick={() => handleUnlock(customer.id)}>
+                          <Unlock size={16} />
+                        </button>
+                      )}
+                    </div>
                   </td>
                 </tr>
               ))
@@ -207,6 +254,19 @@ function Customers() {
                     </span>
                   </p>
                 </div>
+                <div className="detail-item">
+                  <label>Sign-in</label>
+                  {selectedCustomer.locked ? (
+                    <p>
+                      Locked until {new Date(selectedCustomer.lockedUntil).toLocaleString()} after {selectedCustomer.failedLoginAttempts} failed attempts{' '}
+                      <button className="btn btn-outline btn-small" onClick={() => handleUnlock(selectedCustomer.id)}>
+                        Unlock
+                      </button>
+                    </p>
+                  ) : (
+                    <p>{selectedCustomer.failedLoginAttempts > 0 ? `${selectedCustomer.failedLoginAttempts} failed attempts since last sign-in` : 'No failed attempts'}</p>
+                  )}
+                </div>
                 {selectedCustomer.addresses && selectedCustomer.addresses.length > 0 && (
                   <div className="detail-item full-width">
                     <label>Addresses</label>
@@ -218,12 +218,17 @@ function DashboardOverview() {
             <div className="order-status-list">
               {orderStatusBreakdown.map((item, index) => {
                 const statusColors = {
-                  'Pending': '#FFA500',
-                  'Processing': '#4A90E2',
+                  'Pending Payment': '#FFA500',
+                  'Pending Confirmation': '#FFA500',
+                  'Confirmed': '#4A90E2',
+                  'Packed': '#5F7FD8',
                   'Shipped': '#7B68EE',
+                  'Out for Delivery': '#9370DB',
                   'Delivered': '#50C878',
                   'Cancelled': '#FF6B6B',
-                  'Returned': '#FF69B4'
+                  'Return Requested': '#FFB6C1',
+                  'Returned': '#FF69B4',
+                  'Refunded': '#A9A9A9'
                 }
                 const color = statusColors[item.status] || '#666'
                 return (
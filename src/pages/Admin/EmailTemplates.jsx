@@ -3,66 +3,11 @@ import { Search, Edit, Mail, Eye, X, Plus, Info, Copy, Settings, Trash2 } from '
 import { useToast } from '../../components/Toast/ToastContainer'
 import { adminEmailTemplatesAPI } from '../../utils/adminApi'
 
-// Default variables for each template type
-const DEFAULT_VARIABLES = {
-  order_confirmation: [
-    { name: 'orderNumber', label: 'Order Number', description: 'Order ID/Number' },
-    { name: 'customerName', label: 'Customer Name', description: 'Full name of customer' },
-    { name: 'orderDate', label: 'Order Date', description: 'Date of order' },
-    { name: 'orderTotal', label: 'Order Total', description: 'Total amount' },
-    { name: 'orderItems', label: 'Order Items', description: 'List of ordered items' },
-    { name: 'shippingAddress', label: 'Shipping Address', description: 'Delivery address' }
-  ],
-  shipping_notification: [
-    { name: 'orderNumber', label: 'Order Number', description: 'Order ID/Number' },
-    { name: 'customerName', label: 'Customer Name', description: 'Full name of customer' },
-    { name: 'trackingNumber', label: 'Tracking Number', description: 'Shipping tracking code' },
-    { name: 'carrier', label: 'Carrier', description: 'Shipping carrier name' },
-    { name: 'estimatedDelivery', label: 'Estimated Delivery', description: 'Expected delivery date' }
-  ],
-  order_cancelled: [
-    { name: 'orderNumber', label: 'Order Number', description: 'Order ID/Number' },
-    { name: 'customerName', label: 'Customer Name', description: 'Full name of customer' },
-    { name: 'cancellationReason', label: 'Cancellation Reason', description: 'Reason for cancellation' },
-    { name: 'refundAmount', label: 'Refund Amount', description: 'Amount to be refunded' }
-  ],
-  password_reset: [
-    { name: 'customerName', label: 'Customer Name', description: 'Full name of customer' },
-    { name: 'resetLink', label: 'Reset Link', description: 'Password reset URL' },
-    { name: 'expiryTime', label: 'Expiry Time', description: 'Link expiration time' }
-  ],
-  welcome: [
-    { name: 'customerName', label: 'Customer Name', description: 'Full name of customer' },
-    { name: 'signupDate', label: 'Signup Date', description: 'Account creation date' }
-  ],
-  promotional: [
-    { name: 'customerName', label: 'Customer Name', description: 'Full name of customer' },
-    { name: 'discountCode', label: 'Discount Code', description: 'Promo code' },
-    { name: 'discountPercent', label: 'Discount Percent', description: 'Discount percentage' },
-    { name: 'validUntil', label: 'Valid Until', description: 'Offer expiration date' }
-  ],
-  reminder: [
-    { name: 'customerName', label: 'Customer Name', description: 'Full name of customer' },
-    { name: 'reminderMessage', label: 'Reminder Message', description: 'Reminder content' },
-    { name: 'actionLink', label: 'Action Link', description: 'Link to take action' }
-  ]
-}
-
-// Default template types
-const DEFAULT_TEMPLATE_TYPES = [
-  { value: 'order_confirmation', label: 'Order Confirmation' },
-  { value: 'shipping_notification', label: 'Shipping Notification' },
-  { value: 'order_cancelled', label: 'Order Cancelled' },
-  { value: 'password_reset', label: 'Password Reset' },
-  { value: 'welcome', label: 'Welcome' },
-  { value: 'promotional', label: 'Promotional' },
-  { value: 'reminder', label: 'Reminder' }
-]
-
 function EmailTemplates() {
   const { success, error: showError } = useToast()
   const [searchQuery, setSearchQuery] = useState('')
   const [typeFilter, setTypeFilter] = useState('')
+  const [channelFilter, setChannelFilter] = useState('email')
   const [editingTemplate, setEditingTemplate] = useState(null)
   const [showTemplateModal, setShowTemplateModal] = useState(false)
   const [showVariablesModal, setShowVariablesModal] = useState(false)
@@ -70,24 +15,10 @@ function EmailTemplates() {
   const [templates, setTemplates] = useState([])
   const [loading, setLoading] = useState(true)
   const [saving, setSaving] = useState(false)
-  const [templateTypes, setTemplateTypes] = useState(() => {
-    const saved = localStorage.getItem('templateTypes')
-    if (saved) {
-      return JSON.parse(saved)
-    }
-    // Initialize with defaults and save to localStorage
-    localStorage.setItem('templateTypes', JSON.stringify(DEFAULT_TEMPLATE_TYPES))
-    return DEFAULT_TEMPLATE_TYPES
-  })
-  const [templateVariables, setTemplateVariables] = useState(() => {
-    const saved = localStorage.getItem('templateVariables')
-    if (saved) {
-      return JSON.parse(saved)
-    }
-    // Initialize with defaults and save to localStorage
-    localStorage.setItem('templateVariables', JSON.stringify(DEFAULT_VARIABLES))
-    return DEFAULT_VARIABLES
-  })
+  // Template types and their variables come from the server; built-in types are the ones the store sends
+  const [templateTypes, setTemplateTypes] = useState([])
+  const [preview, setPreview] = useState(null)
+  const [previewing, setPreviewing] = useState(false)
   const [newVariable, setNewVariable] = useState({ name: '', label: '', description: '' })
   const [editingVariable, setEditingVariable] = useState(null)
   const [newType, setNewType] = useState({ value: '', label: '' })
@@ -95,14 +26,19 @@ function EmailTemplates() {
   const [templateForm, setTemplateForm] = useState({
     name: '',
     type: '',
+    channel: 'email',
     subject: '',
     body: '',
     variables: []
   })
 
+  useEffect(() => {
+    loadTemplateTypes()
+  }, [])
+
   useEffect(() => {
     loadTemplates()
-  }, [typeFilter])
+  }, [typeFilter, channelFilter])
 
   useEffect(() => {
     const debounceTimer = setTimeout(() => {
@@ -114,7 +50,7 @@ function EmailTemplates() {
   const loadTemplates = async () => {
     try {
       setLoading(true)
-      const data = await adminEmailTemplatesAPI.getAll(typeFilter || undefined)
+      const data = await adminEmailTemplatesAPI.getAll({ type: typeFilter || undefined, channel: channelFilter })
       setTemplates(Array.isArray(data) ? data : [])
     } catch (err) {
       console.error('Error loading templates:', err)
@@ -124,11 +60,48 @@ function EmailTemplates() {
     }
   }
 
+  const loadTemplateTypes = async () => {
+    try {
+      const data = await adminEmailTemplatesAPI.getTypes()
+      setTemplateTypes(Array.isArray(data) ? data : [])
+    } catch (err) {
+      console.error('Error loading template types:', err)
+      showError('Failed to load template types')
+    }
+  }
+
+  // Save the admin-defined types (built-in ones are not stored); returns false if the save failed
+  const saveTemplateTypes = async (updatedTypes) => {
+    try {
+      const data = await adminEmailTemplatesAPI.saveTypes(updatedTypes.filter(t => !t.builtIn))
+      setTemplateTypes(Array.isArray(data) ? data : [])
+      return true
+    } catch (err) {
+      console.error('Error saving template types:', err)
+      showError(err.message || 'Failed to save template types')
+      return false
+    }
+  }
+
+  const handlePreview = async (templateData) => {
+    try {
+      setPreviewing(true)
+      const data = await adminEmailTemplatesAPI.preview(templateData)
+      setPreview(data)
+    } catch (err) {
+      console.error('Error previewing template:', err)
+      showError(err.message || 'Failed to preview template')
+    } finally {
+      setPreviewing(false)
+    }
+  }
+
   const handleAddTemplate = () => {
     setEditingTemplate(null)
     setTemplateForm({
       name: '',
       type: '',
+      channel: channelFilter,
       subject: '',
       body: '',
       variables: []
@@ -137,7 +110,8 @@ function EmailTemplates() {
   }
 
   const handleSave = async () => {
-    if (!templateForm.name || !templateForm.type || !templateForm.subject || !templateForm.body) {
+    const needsSubject = templateForm.channel !== 'sms'
+    if (!templateForm.name || !templateForm.type || (needsSubject && !templateForm.subject) || !templateForm.body) {
       showError('Please fill in all required fields')
       return
     }
@@ -154,7 +128,7 @@ function EmailTemplates() {
       }
       setEditingTemplate(null)
       setShowTemplateModal(false)
-      setTemplateForm({ name: '', type: '', subject: '', body: '', variables: [] })
+      setTemplateForm({ name: '', type: '', channel: channelFilter, subject: '', body: '', variables: [] })
       await loadTemplates()
     } catch (err) {
       console.error('Error saving template:', err)
@@ -171,6 +145,7 @@ function EmailTemplates() {
       setTemplateForm({
         name: fullTemplate.name || '',
         type: fullTemplate.type || '',
+        channel: fullTemplate.channel || 'email',
         subject: fullTemplate.subject || '',
         body: fullTemplate.body || '',
         variables: fullTemplate.variables || []
@@ -183,9 +158,14 @@ function EmailTemplates() {
 
   // Get available variables for current template type
   const getAvailableVariables = () => {
-    return templateVariables[templateForm.type] || []
+    return getSelectedType()?.variables || []
   }
 
+  const getSelectedType = () => templateTypes.find(t => t.value === templateForm.type)
+
+  // Built-in types belong to one channel; admin-defined types can be used for either
+  const typesForChannel = (channel) => templateTypes.filter(t => !t.channel || t.channel === channel)
+
   // Insert variable into body at cursor position
   const insertVariable = (varName) => {
     const textarea = document.getElementById('template-body-textarea')
@@ -217,7 +197,7 @@ function EmailTemplates() {
   }
 
   // Add or update variable
-  const handleSaveVariable = () => {
+  const handleSaveVariable = async () => {
     if (!newVariable.name || !newVariable.label || !templateForm.type) {
       showError('Please fill in variable name, label, and select a template type')
       return
@@ -229,7 +209,7 @@ function EmailTemplates() {
       return
     }
 
-    const currentVars = templateVariables[templateForm.type] || []
+    const currentVars = getAvailableVariables()
     
     // Check if variable name already exists (excluding the one being edited)
     if (editingVariable) {
@@ -246,34 +226,29 @@ function EmailTemplates() {
       }
     }
 
-    const updated = {
-      ...templateVariables,
-      [templateForm.type]: editingVariable
-        ? currentVars.map((v, idx) => idx === editingVariable.index 
-            ? { name: varName, label: newVariable.label, description: newVariable.description }
-            : v)
-        : [...currentVars, { name: varName, label: newVariable.label, description: newVariable.description }]
-    }
-    setTemplateVariables(updated)
-    localStorage.setItem('templateVariables', JSON.stringify(updated))
+    const variables = editingVariable
+      ? currentVars.map((v, idx) => idx === editingVariable.index 
+          ? { name: varName, label: newVariable.label, description: newVariable.description }
+          : v)
+      : [...currentVars, { name: varName, label: newVariable.label, description: newVariable.description }]
+    const saved = await saveTemplateTypes(templateTypes.map(t =>
+      t.value === templateForm.type ? { ...t, variables } : t))
+    if (!saved) return
     setNewVariable({ name: '', label: '', description: '' })
     setEditingVariable(null)
     success(editingVariable ? 'Variable updated successfully' : 'Variable added successfully')
   }
 
   // Delete variable
-  const handleDeleteVariable = (varIndex) => {
+  const handleDeleteVariable = async (varIndex) => {
     if (!window.confirm('Are you sure you want to delete this variable?')) {
       return
     }
 
-    const currentVars = templateVariables[templateForm.type] || []
-    const updated = {
-      ...templateVariables,
-      [templateForm.type]: currentVars.filter((_, idx) => idx !== varIndex)
-    }
-    setTemplateVariables(updated)
-    localStorage.setItem('templateVariables', JSON.stringify(updated))
+    const variables = getAvailableVariables().filter((_, idx) => idx !== varIndex)
+    const saved = await saveTemplateTypes(templateTypes.map(t =>
+      t.value === templateForm.type ? { ...t, variables } : t))
+    if (!saved) return
     if (editingVariable && editingVariable.index === varIndex) {
       setEditingVariable(null)
       setNewVariable({ name: '', label: '', description: '' })
@@ -298,7 +273,7 @@ function EmailTemplates() {
   }
 
   // Add or update template type
-  const handleSaveType = () => {
+  const handleSaveType = async () => {
     if (!newType.value || !newType.label) {
       showError('Please fill in both type value and label')
       return
@@ -323,19 +298,19 @@ function EmailTemplates() {
 
     const updated = editingType !== null
       ? templateTypes.map((t, idx) => idx === editingType 
-          ? { value: typeValue, label: newType.label }
+          ? { ...t, value: typeValue, label: newType.label }
           : t)
-      : [...templateTypes, { value: typeValue, label: newType.label }]
+      : [...templateTypes, { value: typeValue, label: newType.label, variables: [] }]
     
-    setTemplateTypes(updated)
-    localStorage.setItem('templateTypes', JSON.stringify(updated))
+    const saved = await saveTemplateTypes(updated)
+    if (!saved) return
     setNewType({ value: '', label: '' })
     setEditingType(null)
     success(editingType !== null ? 'Template type updated successfully' : 'Template type added successfully')
   }
 
   // Delete template type
-  const handleDeleteType = (typeIndex) => {
+  const handleDeleteType = async (typeIndex) => {
     const type = templateTypes[typeIndex]
     
     // Check if any templates are using this type
@@ -349,9 +324,8 @@ function EmailTemplates() {
       return
     }
 
-    const updated = templateTypes.filter((_, idx) => idx !== typeIndex)
-    setTemplateTypes(updated)
-    localStorage.setItem('templateTypes', JSON.stringify(updated))
+    const saved = await saveTemplateTypes(templateTypes.filter((_, idx) => idx !== typeIndex))
+    if (!saved) return
     if (editingType === typeIndex) {
       setEditingType(null)
       setNewType({ value: '', label: '' })
@@ -385,7 +359,7 @@ function EmailTemplates() {
       <div className="admin-page-header">
         <div>
           <h1>Email Templates</h1>
-          <p>Manage email templates for order confirmations, notifications, and more</p>
+          <p>Manage email and SMS templates for order confirmations, notifications, and more</p>
         </div>
         <button 
           className="btn btn-primary"
@@ -406,13 +380,24 @@ function EmailTemplates() {
             onChange={(e) => setSearchQuery(e.target.value)}
           />
         </div>
+        <select 
+          className="filter-select"
+          value={channelFilter}
+          onChange={(e) => {
+            setChannelFilter(e.target.value)
+            setTypeFilter('')
+          }}
+        >
+          <option value="email">Email</option>
+          <option value="sms">SMS</option>
+        </select>
         <select 
           className="filter-select"
           value={typeFilter}
           onChange={(e) => setTypeFilter(e.target.value)}
         >
           <option value="">All Types</option>
-          {templateTypes.map(type => (
+          {typesForChannel(channelFilter).map(type => (
             <option key={type.value} value={type.value}>{type.label}</option>
           ))}
         </select>
@@ -440,7 +425,15 @@ function EmailTemplates() {
                   <span className="template-type">{template.type}</span>
                 </div>
                 <div style={{ display: 'flex', gap: '0.5rem' }}>
-                  <span className="template-channel">Email</span>
+                  <span className="template-channel">{template.channel === 'sms' ? 'SMS' : 'Email'}</span>
+                  <button 
+                    className="btn-icon" 
+                    title="Preview"
+                    onClick={() => handlePreview({ id: template.id })}
+                    disabled={previewing}
+                  >
+                    <Eye size={16} />
+                  </button>
                   <button 
                     className="btn-icon" 
                     title="Edit"
@@ -476,7 +469,7 @@ function EmailTemplates() {
                   if (!saving) {
                     setShowTemplateModal(false)
                     setEditingTemplate(null)
-      setTemplateForm({ name: '', type: '', subject: '', body: '', variables: [] })
+      setTemplateForm({ name: '', type: '', channel: channelFilter, subject: '', body: '', variables: [] })
                   }
                 }}
                 disabled={saving}
@@ -508,7 +501,7 @@ function EmailTemplates() {
                       style={{ flex: 1 }}
                     >
                       <option value="">Select Type</option>
-                      {templateTypes.map(type => (
+                      {typesForChannel(templateForm.channel).map(type => (
                         <option key={type.value} value={type.value}>{type.label}</option>
                       ))}
                     </select>
@@ -524,20 +517,22 @@ function EmailTemplates() {
                   </div>
                 </div>
               </div>
-              <div className="form-group">
-                <label>Subject *</label>
-                <input
-                  type="text"
-                  value={templateForm.subject}
-                  onChange={(e) => setTemplateForm({ ...templateForm, subject: e.target.value })}
-                  placeholder="Your order has been confirmed"
-                  required
-                  disabled={saving}
-                />
-              </div>
+              {templateForm.channel !== 'sms' && (
+                <div className="form-group">
+                  <label>Subject *</label>
+                  <input
+                    type="text"
+                    value={templateForm.subject}
+                    onChange={(e) => setTemplateForm({ ...templateForm, subject: e.target.value })}
+                    placeholder="Your order has been confirmed"
+                    required
+                    disabled={saving}
+                  />
+                </div>
+              )}
               <div className="form-group">
                 <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '0.5rem' }}>
-                  <label>Email Body *</label>
+                  <label>{templateForm.channel === 'sms' ? 'Message *' : 'Email Body *'}</label>
                   {templateForm.type && (
                     <button
                       type="button"
@@ -560,7 +555,10 @@ function EmailTemplates() {
                   required
                   disabled={saving}
                 />
-                <small>Use variables like {'{{orderNumber}}'}, {'{{customerName}}'}, etc.</small>
+                <small>
+                  Use variables like {'{{orderNumber}}'}, {'{{customerName}}'}, etc. Values are HTML-escaped; use {'{{{content}}}'} for trusted HTML.
+                  Repeat rows with {'{{#each items}}...{{/each}}'} and show optional parts with {'{{#if discount}}...{{else}}...{{/if}}'}.
+                </small>
                 {templateForm.type && getAvailableVariables().length > 0 && (
                   <div className="variables-preview" style={{ marginTop: '0.75rem', padding: '0.75rem', background: 'var(--bg-light)', borderRadius: '6px' }}>
                     <div style={{ fontSize: '0.875rem', fontWeight: 600, marginBottom: '0.5rem', color: 'var(--text-primary)' }}>
@@ -592,13 +590,27 @@ function EmailTemplates() {
                   if (!saving) {
                     setShowTemplateModal(false)
                     setEditingTemplate(null)
-                    setTemplateForm({ name: '', type: '', subject: '', body: '', variables: [] })
+                    setTemplateForm({ name: '', type: '', channel: channelFilter, subject: '', body: '', variables: [] })
                   }
                 }}
                 disabled={saving}
               >
                 Cancel
               </button>
+              <button 
+                className="btn btn-outline" 
+                onClick={() => handlePreview({
+                  type: templateForm.type,
+                  channel: templateForm.channel,
+                  subject: templateForm.subject,
+                  body: templateForm.body,
+                  variables: templateForm.variables
+                })}
+                disabled={saving || previewing || !templateForm.type || !templateForm.body}
+              >
+                <Eye size={16} />
+                {previewing ? 'Rendering...' : 'Preview'}
+              </button>
               <button 
                 className="btn btn-primary" 
                 onClick={handleSave}
@@ -663,22 +675,26 @@ function EmailTemplates() {
                               >
                                 <Plus size={14} />
                               </button>
-                              <button
-                                type="button"
-                                className="btn-icon-small"
-                                onClick={() => handleEditVariable(variable, idx)}
-                                title="Edit variable"
-                              >
-                                <Edit size={14} />
-                              </button>
-                              <button
-                                type="button"
-                                className="btn-icon-small btn-icon-danger"
-                                onClick={() => handleDeleteVariable(idx)}
-                                title="Delete variable"
-                              >
-                                <Trash2 size={14} />
-                              </button>
+                              {!getSelectedType()?.builtIn && (
+                                <>
+                                  <button
+                                    type="button"
+                                    className="btn-icon-small"
+                                    onClick={() => handleEditVariable(variable, idx)}
+                                    title="Edit variable"
+                                  >
+                                    <Edit size={14} />
+                                  </button>
+                                  <button
+                                    type="button"
+                                    className="btn-icon-small btn-icon-danger"
+                                    onClick={() => handleDeleteVariable(idx)}
+                                    title="Delete variable"
+                                  >
+                                    <Trash2 size={14} />
+                                  </button>
+                                </>
+                              )}
                             </div>
                             <div style={{ fontSize: '0.875rem', fontWeight: 600, color: 'var(--text-primary)' }}>
                               {variable.label}
@@ -694,59 +710,65 @@ function EmailTemplates() {
                     </div>
                   </div>
 
-                  <div style={{ borderTop: '1px solid var(--border)', paddingTop: '1.5rem' }}>
-                    <h3 style={{ fontSize: '1rem', marginBottom: '0.75rem' }}>
-                      {editingVariable ? 'Edit Variable' : 'Add Variable'}
-                    </h3>
-                    <div className="form-group">
-                      <label>Variable Name *</label>
-                      <input
-                        type="text"
-                        value={newVariable.name}
-                        onChange={(e) => setNewVariable({ ...newVariable, name: e.target.value })}
-                        placeholder="orderStatus"
-                        style={{ fontFamily: 'monospace' }}
-                        disabled={editingVariable !== null}
-                      />
-                      <small>Use camelCase (e.g., orderStatus, customerEmail)</small>
-                    </div>
-                    <div className="form-group">
-                      <label>Variable Label *</label>
-                      <input
-                        type="text"
-                        value={newVariable.label}
-                        onChange={(e) => setNewVariable({ ...newVariable, label: e.target.value })}
-                        placeholder="Order Status"
-                      />
-                    </div>
-                    <div className="form-group">
-                      <label>Description</label>
-                      <input
-                        type="text"
-                        value={newVariable.description}
-                        onChange={(e) => setNewVariable({ ...newVariable, description: e.target.value })}
-                        placeholder="Current status of the order"
-                      />
-                    </div>
-                    <div style={{ display: 'flex', gap: '0.5rem' }}>
-                      <button
-                        type="button"
-                        className="btn btn-primary"
-                        onClick={handleSaveVariable}
-                      >
-                        {editingVariable ? <><Edit size={16} /> Update</> : <><Plus size={16} /> Add</>} Variable
-                      </button>
-                      {editingVariable && (
+                  {getSelectedType()?.builtIn ? (
+                    <p style={{ fontSize: '0.875rem', color: 'var(--text-secondary)' }}>
+                      The store fills these variables when it sends this email, so they cannot be changed here.
+                    </p>
+                  ) : (
+                    <div style={{ borderTop: '1px solid var(--border)', paddingTop: '1.5rem' }}>
+                      <h3 style={{ fontSize: '1rem', marginBottom: '0.75rem' }}>
+                        {editingVariable ? 'Edit Variable' : 'Add Variable'}
+                      </h3>
+                      <div className="form-group">
+                        <label>Variable Name *</label>
+                        <input
+                          type="text"
+                          value={newVariable.name}
+                          onChange={(e) => setNewVariable({ ...newVariable, name: e.target.value })}
+                          placeholder="orderStatus"
+                          style={{ fontFamily: 'monospace' }}
+                          disabled={editingVariable !== null}
+                        />
+                        <small>Use camelCase (e.g., orderStatus, customerEmail)</small>
+                      </div>
+                      <div className="form-group">
+                        <label>Variable Label *</label>
+                        <input
+                          type="text"
+                          value={newVariable.label}
+                          onChange={(e) => setNewVariable({ ...newVariable, label: e.target.value })}
+                          placeholder="Order Status"
+                        />
+                      </div>
+                      <div className="form-group">
+                        <label>Description</label>
+                        <input
+                          type="text"
+                          value={newVariable.description}
+                          onChange={(e) => setNewVariable({ ...newVariable, description: e.target.value })}
+                          placeholder="Current status of the order"
+                        />
+                      </div>
+                      <div style={{ display: 'flex', gap: '0.5rem' }}>
                         <button
                           type="button"
-                          className="btn btn-outline"
-                          onClick={handleCancelEditVariable}
+                          className="btn btn-primary"
+                          onClick={handleSaveVariable}
                         >
-                          Cancel
+                          {editingVariable ? <><Edit size={16} /> Update</> : <><Plus size={16} /> Add</>} Variable
                         </button>
-                      )}
+                        {editingVariable && (
+                          <button
+                            type="button"
+                            className="btn btn-outline"
+                            onClick={handleCancelEditVariable}
+                          >
+                            Cancel
+                          </button>
+                        )}
+                      </div>
                     </div>
-                  </div>
+                  )}
                 </>
               ) : (
                 <div style={{ textAlign: 'center', padding: '2rem' }}>
@@ -791,24 +813,28 @@ function EmailTemplates() {
                           {type.value}
                         </code>
                       </div>
-                      <div style={{ display: 'flex', gap: '0.5rem' }}>
-                        <button
-                          type="button"
-                          className="btn-icon-small"
-                          onClick={() => handleEditType(type, idx)}
-                          title="Edit type"
-                        >
-                          <Edit size={14} />
-                        </button>
-                        <button
-                          type="button"
-                          className="btn-icon-small btn-icon-danger"
-                          onClick={() => handleDeleteType(idx)}
-                          title="Delete type"
-                        >
-                          <Trash2 size={14} />
-                        </button>
-                      </div>
+                      {type.builtIn ? (
+                        <span className="template-channel">Built-in</span>
+                      ) : (
+                        <div style={{ display: 'flex', gap: '0.5rem' }}>
+                          <button
+                            type="button"
+                            className="btn-icon-small"
+                            onClick={() => handleEditType(type, idx)}
+                            title="Edit type"
+                          >
+                            <Edit size={14} />
+                          </button>
+                          <button
+                            type="button"
+                            className="btn-icon-small btn-icon-danger"
+                            onClick={() => handleDeleteType(idx)}
+                            title="Delete type"
+                          >
+                            <Trash2 size={14} />
+                          </button>
+                        </div>
+                      )}
                     </div>
                   ))}
                 </div>
@@ -870,6 +896,52 @@ function EmailTemplates() {
           </div>
         </div>
       )}
+
+      {/* Preview Modal */}
+      {preview && (
+        <div className="modal-overlay" onClick={() => setPreview(null)}>
+          <div className="modal-content large" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h2>Preview</h2>
+              <button 
+                className="modal-close" 
+                onClick={() => setPreview(null)}
+              >
+                <X size={20} />
+              </button>
+            </div>
+            <div className="modal-body">
+              {preview.text !== undefined ? (
+                <>
+                  <small>Rendered against a sample order ({preview.text.length} characters).</small>
+                  <pre style={{ whiteSpace: 'pre-wrap', padding: '0.75rem', marginTop: '0.75rem', background: 'var(--bg-light)', borderRadius: '6px' }}>
+                    {preview.text}
+                  </pre>
+                </>
+              ) : (
+                <>
+                  <p><strong>Subject:</strong> {preview.subject}</p>
+                  <small>Rendered against a sample order.</small>
+                  <iframe
+                    title="Email preview"
+                    sandbox=""
+                    srcDoc={preview.html}
+                    style={{ width: '100%', height: '480px', border: '1px solid var(--border)', borderRadius: '6px', marginTop: '0.75rem', background: '#fff' }}
+                  />
+                </>
+              )}
+            </div>
+            <div className="modal-footer">
+              <button 
+                className="btn btn-outline" 
+                onClick={() => setPreview(null)}
+              >
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   )
 }
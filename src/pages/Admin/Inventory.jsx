@@ -1,5 +1,5 @@
-import { useState, useEffect } from 'react'
-import { Search, AlertTriangle, Package, Edit, AlertCircle, X } from 'lucide-react'
+import { useState, useEffect, Fragment } from 'react'
+import { Search, AlertTriangle, Package, Edit, AlertCircle, X, ChevronDown, ChevronRight, Plus, Layers } from 'lucide-react'
 import { useToast } from '../../components/Toast/ToastContainer'
 import { adminInventoryAPI } from '../../utils/adminApi'
 
@@ -13,6 +13,9 @@ function Inventory() {
   const [loading, setLoading] = useState(true)
   const [editingItem, setEditingItem] = useState(null)
   const [stockForm, setStockForm] = useState({ stockCount: '', type: 'adjustment', reason: '' })
+  const [expandedProducts, setExpandedProducts] = useState({})
+  const [variantModal, setVariantModal] = useState(null)
+  const [variantForm, setVariantForm] = useState({ size: '', color: '', sku: '', barcode: '', price: '', stockCount: '', isActive: true })
 
   useEffect(() => {
     loadInventory()
@@ -61,28 +64,111 @@ function Inventory() {
     }
   }
 
-  const handleUpdateStock = async (productId) => {
+  const reloadAll = async () => {
+    await loadInventory()
+    await loadLowStock()
+    await loadOutOfStock()
+  }
+
+  const handleUpdateStock = async (item) => {
     if (!stockForm.stockCount && stockForm.type === 'adjustment') {
       showError('Please enter stock count')
       return
     }
     try {
-      await adminInventoryAPI.update(productId, parseFloat(stockForm.stockCount) || 0, stockForm.type, stockForm.reason)
-      await loadInventory()
-      await loadLowStock()
-      await loadOutOfStock()
+      const stockCount = parseFloat(stockForm.stockCount) || 0
+      if (item.variantId) {
+        await adminInventoryAPI.updateVariantStock(item.variantId, stockCount, stockForm.type, stockForm.reason)
+      } else {
+        await adminInventoryAPI.update(item.id, stockCount, stockForm.type, stockForm.reason)
+      }
+      await reloadAll()
       setEditingItem(null)
       setStockForm({ stockCount: '', type: 'adjustment', reason: '' })
       success('Stock updated successfully')
     } catch (err) {
-      showError('Failed to update stock')
+      showError(err.message || 'Failed to update stock')
     }
   }
 
+  const toggleExpanded = (productId) => {
+    setExpandedProducts(prev => ({ ...prev, [productId]: !prev[productId] }))
+  }
+
+  const openVariantModal = (product, variant = null) => {
+    setVariantModal({ product, variant })
+    setVariantForm({
+      size: variant?.size || '',
+      color: variant?.color || '',
+      sku: variant?.sku || '',
+      barcode: variant?.barcode || '',
+      price: variant?.price ?? '',
+      stockCount: '',
+      isActive: variant ? variant.isActive : true
+    })
+  }
+
+  const closeVariantModal = () => {
+    setVariantModal(null)
+    setVariantForm({ size: '', color: '', sku: '', barcode: '', price: '', stockCount: '', isActive: true })
+  }
+
+  const handleSaveVariant = async () => {
+    try {
+      if (variantModal.variant) {
+        await adminInventoryAPI.updateVariant(variantModal.variant.id, {
+          sku: variantForm.sku,
+          barcode: variantForm.barcode,
+          price: variantForm.price,
+          isActive: variantForm.isActive
+        })
+        success('Variant updated successfully')
+      } else {
+        await adminInventoryAPI.createVariant(variantModal.product.id, {
+          size: variantForm.size,
+          color: variantForm.color,
+          sku: variantForm.sku,
+          barcode: variantForm.barcode,
+          price: variantForm.price,
+          stockCount: parseInt(variantForm.stockCount) || 0
+        })
+        setExpandedProducts(prev => ({ ...prev, [variantModal.product.id]: true }))
+        success('Variant added successfully')
+      }
+      await reloadAll()
+      closeVariantModal()
+    } catch (err) {
+      showError(err.message || 'Failed to save variant')
+    }
+  }
+
+  const renderStockBadge = (stockCount) => (
+    stockCount === 0 ? (
+      <span className="status-badge status-danger">
+        <AlertCircle size={14} />
+        Out of Stock
+      </span>
+    ) : stockCount < 10 ? (
+      <span className="status-badge status-warning">
+        <AlertTriangle size={14} />
+        Low Stock
+      </span>
+    ) : (
+      <span className="status-badge status-success">
+        <Package size={14} />
+        In Stock
+      </span>
+    )
+  )
+
   const filteredInventory = inventory.filter(item =>
     !searchQuery || 
     item.productName?.toLowerCase().includes(searchQuery.toLowerCase()) ||
-    item.sku?.toLowerCase().includes(searchQuery.toLowerCase())
+    item.sku?.toLowerCase().includes(searchQuery.toLowerCase()) ||
+    item.variants?.some(variant =>
+      variant.sku?.toLowerCase().includes(searchQuery.toLowerCase()) ||
+      variant.barcode?.toLowerCase().includes(searchQuery.toLowerCase())
+    )
   )
 
   return (
@@ -101,7 +187,7 @@ function Inventory() {
             <div className="alert alert-danger">
               <AlertCircle size={20} />
               <div>
-                <strong>{outOfStockItems.length} products are out of stock</strong>
+                <strong>{outOfStockItems.length} products or variants are out of stock</strong>
                 <p>Immediate action required</p>
               </div>
             </div>
@@ -110,7 +196,7 @@ function Inventory() {
             <div className="alert alert-warning">
               <AlertTriangle size={20} />
               <div>
-                <strong>{lowStockItems.length} products are running low on stock</strong>
+                <strong>{lowStockItems.length} products or variants are running low on stock</strong>
                 <p>Consider restocking soon</p>
               </div>
             </div>
@@ -123,7 +209,7 @@ function Inventory() {
           <Search size={20} />
           <input
             type="text"
-            placeholder="Search by product name or SKU..."
+            placeholder="Search by product name, SKU or barcode..."
             value={searchQuery}
             onChange={(e) => setSearchQuery(e.target.value)}
           />
@@ -166,45 +252,110 @@ function Inventory() {
                 </td>
               </tr>
             ) : (
-              filteredInventory.map(item => (
-                <tr key={item.id}>
-                  <td><strong>{item.productName}</strong></td>
-                  <td>{item.sku || 'N/A'}</td>
-                  <td>
-                    <span className={item.stockCount === 0 ? 'text-danger' : item.stockCount < 10 ? 'text-warning' : ''}>
-                      {item.stockCount || 0}
-                    </span>
-                  </td>
-                  <td>
-                    {item.stockCount === 0 ? (
-                      <span className="status-badge status-danger">
-                        <AlertCircle size={14} />
-                        Out of Stock
-                      </span>
-                    ) : item.stockCount < 10 ? (
-                      <span className="status-badge status-warning">
-                        <AlertTriangle size={14} />
-                        Low Stock
-                      </span>
-                    ) : (
-                      <span className="status-badge status-success">
-                        <Package size={14} />
-                        In Stock
-                      </span>
-                    )}
-                  </td>
-                  <td>{item.updatedAt ? new Date(item.updatedAt).toLocaleDateString() : 'N/A'}</td>
-                  <td>
-                    <button
-                      className="btn-icon"
-                      title="Update Stock"
-                      onClick={() => setEditingItem(item)}
-                    >
-                      <Edit size={16} />
-                    </button>
-                  </td>
-                </tr>
-              ))
+              filteredInventory.map(item => {
+                const variants = item.variants || []
+                const hasSplitVariants = variants.length > 1
+                const isExpanded = expandedProducts[item.id]
+
+                return (
+                  <Fragment key={item.id}>
+                    <tr>
+                      <td>
+                        {hasSplitVariants ? (
+                          <button
+                            className="btn-icon"
+                            title={isExpanded ? 'Hide variants' : 'Show variants'}
+                            onClick={() => toggleExpanded(item.id)}
+                          >
+                            {isExpanded ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+                          </button>
+                        ) : null}
+                        <strong>{item.productName}</strong>
+                        {hasSplitVariants && <small> ({variants.length} variants)</small>}
+                      </td>
+                      <td>{variants.length === 1 ? variants[0].sku : hasSplitVariants ? '—' : item.sku || 'N/A'}</td>
+                      <td>
+                        <span className={item.stockCount === 0 ? 'text-danger' : item.stockCount < 10 ? 'text-warning' : ''}>
+                          {item.stockCount || 0}
+                        </span>
+                      </td>
+                      <td>{renderStockBadge(item.stockCount)}</td>
+                      <td>{item.updatedAt ? new Date(item.updatedAt).toLocaleDateString() : 'N/A'}</td>
+                      <td>
+                        {!hasSplitVariants && (
+                          <button
+                            className="btn-icon"
+                            title="Update Stock"
+                            onClick={() => setEditingItem({
+                              ...item,
+                              variantId: variants[0]?.id || null
+                            })}
+                          >
+                            <Edit size={16} />
+                          </button>
+                        )}
+                        {variants.length === 1 && (
+                          <button
+                            className="btn-icon"
+                            title="Edit Variant"
+                            onClick={() => openVariantModal(item, variants[0])}
+                          >
+                            <Layers size={16} />
+                          </button>
+                        )}
+                        <button
+                          className="btn-icon"
+                          title="Add Size/Color Variant"
+                          onClick={() => openVariantModal(item)}
+                        >
+                          <Plus size={16} />
+                        </button>
+                      </td>
+                    </tr>
+                    {hasSplitVariants && isExpanded && variants.map(variant => (
+                      <tr key={variant.id} className="variant-row">
+                        <td style={{ paddingLeft: '2.5rem' }}>
+                          <Layers size={14} /> {variant.label}
+                          {variant.price !== null && <small> (₹{variant.price})</small>}
+                          {!variant.isActive && <small> (inactive)</small>}
+                        </td>
+                        <td>
+                          {variant.sku}
+                          {variant.barcode && <div><small>{variant.barcode}</small></div>}
+                        </td>
+                        <td>
+                          <span className={variant.stockCount === 0 ? 'text-danger' : variant.stockCount < 10 ? 'text-warning' : ''}>
+                            {variant.stockCount || 0}
+                          </span>
+                        </td>
+                        <td>{renderStockBadge(variant.stockCount)}</td>
+                        <td>{variant.updatedAt ? new Date(variant.updatedAt).toLocaleDateString() : 'N/A'}</td>
+                        <td>
+                          <button
+                            className="btn-icon"
+                            title="Update Stock"
+                            onClick={() => setEditingItem({
+                              ...variant,
+                              id: item.id,
+                              variantId: variant.id,
+                              productName: `${item.productName} - ${variant.label}`
+                            })}
+                          >
+                            <Edit size={16} />
+                          </button>
+                          <button
+                            className="btn-icon"
+                            title="Edit Variant"
+                            onClick={() => openVariantModal(item, variant)}
+                          >
+                            <Layers size={16} />
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </Fragment>
+                )
+              })
             )}
           </tbody>
         </table>
@@ -285,7 +436,7 @@ function Inventory() {
               </button>
               <button 
                 className="btn btn-primary" 
-                onClick={() => handleUpdateStock(editingItem.id)}
+                onClick={() => handleUpdateStock(editingItem)}
               >
                 Update Stock
               </button>
@@ -293,6 +444,116 @@ function Inventory() {
           </div>
         </div>
       )}
+
+      {/* Add/Edit Variant Modal */}
+      {variantModal && (
+        <div className="modal-overlay" onClick={closeVariantModal}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h2>{variantModal.variant ? 'Edit Variant' : 'Add Variant'} - {variantModal.product.productName}</h2>
+              <button className="modal-close" onClick={closeVariantModal}>
+                <X size={20} />
+              </button>
+            </div>
+            <div className="modal-body">
+              <div className="form-row">
+                <div className="form-group">
+                  <label>Size</label>
+                  <select
+                    value={variantForm.size}
+                    onChange={(e) => setVariantForm({ ...variantForm, size: e.target.value })}
+                    disabled={!!variantModal.variant}
+                  >
+                    <option value="">Any size</option>
+                    {['XS', 'S', 'M', 'L', 'XL', 'XXL'].map(size => (
+                      <option key={size} value={size}>{size}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label>Color</label>
+                  <input
+                    type="text"
+                    value={variantForm.color}
+                    onChange={(e) => setVariantForm({ ...variantForm, color: e.target.value })}
+                    placeholder="e.g. Pink (leave empty for any color)"
+                    disabled={!!variantModal.variant}
+                  />
+                </div>
+              </div>
+              <div className="form-row">
+                <div className="form-group">
+                  <label>SKU</label>
+                  <input
+                    type="text"
+                    value={variantForm.sku}
+                    onChange={(e) => setVariantForm({ ...variantForm, sku: e.target.value })}
+                    placeholder="Generated automatically if empty"
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Barcode</label>
+                  <input
+                    type="text"
+                    value={variantForm.barcode}
+                    onChange={(e) => setVariantForm({ ...variantForm, barcode: e.target.value })}
+                    placeholder="EAN/UPC (optional)"
+                  />
+                </div>
+              </div>
+              <div className="form-row">
+                <div className="form-group">
+                  <label>Price Override (₹)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    value={variantForm.price}
+                    onChange={(e) => setVariantForm({ ...variantForm, price: e.target.value })}
+                    placeholder="Uses product price if empty"
+                  />
+                </div>
+                {variantModal.variant ? (
+                  <div className="form-group">
+                    <label>
+                      <input
+                        type="checkbox"
+                        checked={variantForm.isActive}
+                        onChange={(e) => setVariantForm({ ...variantForm, isActive: e.target.checked })}
+                      />
+                      {' '}Active (available for purchase)
+                    </label>
+                  </div>
+                ) : (
+                  <div className="form-group">
+                    <label>Initial Stock</label>
+                    <input
+                      type="number"
+                      min="0"
+                      value={variantForm.stockCount}
+                      onChange={(e) => setVariantForm({ ...variantForm, stockCount: e.target.value })}
+                      placeholder="0"
+                    />
+                  </div>
+                )}
+              </div>
+              {!variantModal.variant && (variantModal.product.variants || []).some(v => !v.size && !v.color) && (
+                <small>
+                  This product still has a standard variant that matches every size and color.
+                  Move its stock to the new variants and deactivate it once the split is complete.
+                </small>
+              )}
+            </div>
+            <div className="modal-footer">
+              <button className="btn btn-outline" onClick={closeVariantModal}>
+                Cancel
+              </button>
+              <button className="btn btn-primary" onClick={handleSaveVariant}>
+                {variantModal.variant ? 'Save Variant' : 'Add Variant'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   )
 }
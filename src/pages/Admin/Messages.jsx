@@ -0,0 +1,351 @@
+import { useState, useEffect } from 'react'
+import { Search, Mail, MessageSquare, RotateCcw, Eye, AlertTriangle, CheckCircle, Clock, X } from 'lucide-react'
+import { useToast } from '../../components/Toast/ToastContainer'
+import { adminMessagesAPI } from '../../utils/adminApi'
+
+// Reuse the order status colours: sent = delivered, dead = cancelled
+const STATUS_BADGES = {
+  pending: 'pending-payment',
+  processing: 'processing',
+  sent: 'delivered',
+  dead: 'cancelled'
+}
+
+const STATUS_LABELS = {
+  pending: 'Pending',
+  processing: 'Sending',
+  sent: 'Sent',
+  dead: 'Failed'
+}
+
+const formatKind = (kind) => kind.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase())
+
+function Messages() {
+  const { success, error: showError } = useToast()
+  const [searchQuery, setSearchQuery] = useState('')
+  const [statusFilter, setStatusFilter] = useState('dead')
+  const [channelFilter, setChannelFilter] = useState('')
+  const [messages, setMessages] = useState([])
+  const [stats, setStats] = useState(null)
+  const [page, setPage] = useState(1)
+  const [pages, setPages] = useState(1)
+  const [loading, setLoading] = useState(true)
+  const [selectedMessage, setSelectedMessage] = useState(null)
+
+  useEffect(() => {
+    loadMessages()
+  }, [statusFilter, channelFilter, page])
+
+  useEffect(() => {
+    const debounceTimer = setTimeout(() => {
+      if (page === 1) {
+        loadMessages()
+      } else {
+        setPage(1)
+      }
+    }, 500)
+    return () => clearTimeout(debounceTimer)
+  }, [searchQuery])
+
+  useEffect(() => {
+    loadStats()
+  }, [])
+
+  const loadMessages = async () => {
+    try {
+      setLoading(true)
+      const filters = { status: statusFilter, page }
+      if (channelFilter) filters.channel = channelFilter
+      if (searchQuery) filters.search = searchQuery
+      const data = await adminMessagesAPI.getAll(filters)
+      setMessages(data.messages || [])
+      setPages(data.pages || 1)
+    } catch (err) {
+      console.error('Error loading messages:', err)
+      showError('Failed to load messages')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const loadStats = async () => {
+    try {
+      const data = await adminMessagesAPI.getStats()
+      setStats(data)
+    } catch (err) {
+      console.error('Error loading message stats:', err)
+    }
+  }
+
+  const refresh = async () => {
+    await Promise.all([loadMessages(), loadStats()])
+  }
+
+  const handleView = async (id) => {
+    try {
+      const data = await adminMessagesAPI.getById(id)
+      setSelectedMessage(data)
+    } catch (err) {
+      showError('Failed to load message')
+    }
+  }
+
+  const handleRetry = async (id) => {
+    try {
+      await adminMessagesAPI.retry(id)
+      setSelectedMessage(null)
+      await refresh()
+      success('Message queued again')
+    } catch (err) {
+      showError(err.message || 'Failed to retry message')
+    }
+  }
+
+  const handleRetryAll = async () => {
+    const channelLabel = channelFilter ? `${channelFilter === 'sms' ? 'SMS' : 'email'} ` : ''
+    if (window.confirm(`Send all failed ${channelLabel}messages again?`)) {
+      try {
+        const result = await adminMessagesAPI.retryAllFailed(channelFilter ? { channel: channelFilter } : {})
+        await refresh()
+        success(result.message || 'Failed messages queued again')
+      } catch (err) {
+        showError('Failed to retry messages')
+      }
+    }
+  }
+
+  return (
+    <div className="admin-page">
+      <div className="admin-page-header">
+        <div>
+          <h1>Message Delivery</h1>
+          <p>Track queued emails and SMS and retry failed sends</p>
+        </div>
+        <div className="header-actions">
+          <button className="btn btn-primary" onClick={handleRetryAll} disabled={!stats?.dead}>
+            <RotateCcw size={18} />
+            Retry All Failed
+          </button>
+        </div>
+      </div>
+
+      <div className="newsletter-stats">
+        <div className="stat-mini-card">
+          <Clock size={24} />
+          <div>
+            <h3>{stats ? stats.pending + stats.processing : '-'}</h3>
+            <p>Queued</p>
+          </div>
+        </div>
+        <div className="stat-mini-card warning">
+          <RotateCcw size={24} />
+          <div>
+            <h3>{stats ? stats.retrying : '-'}</h3>
+            <p>Retrying</p>
+          </div>
+        </div>
+        <div className="stat-mini-card success">
+          <CheckCircle size={24} />
+          <div>
+            <h3>{stats ? stats.sent : '-'}</h3>
+            <p>Sent</p>
+          </div>
+        </div>
+        <div className="stat-mini-card danger">
+          <AlertTriangle size={24} />
+          <div>
+            <h3>{stats ? stats.dead : '-'}</h3>
+            <p>Failed</p>
+          </div>
+        </div>
+      </div>
+
+      <div className="admin-toolbar">
+        <div className="search-box">
+          <Search size={20} />
+          <input
+            type="text"
+            placeholder="Search by email or mobile number..."
+            value={searchQuery}
+            onChange={(e) => setSearchQuery(e.target.value)}
+          />
+        </div>
+        <select
+          className="filter-select"
+          value={statusFilter}
+          onChange={(e) => {
+            setStatusFilter(e.target.value)
+            setPage(1)
+          }}
+        >
+          <option value="dead">Failed</option>
+          <option value="retrying">Retrying</option>
+          <option value="pending">Pending</option>
+          <option value="sent">Sent</option>
+          <option value="all">All Status</option>
+        </select>
+        <select
+          className="filter-select"
+          value={channelFilter}
+          onChange={(e) => {
+            setChannelFilter(e.target.value)
+            setPage(1)
+          }}
+        >
+          <option value="">All Channels</option>
+          <option value="email">Email</option>
+          <option value="sms">SMS</option>
+        </select>
+      </div>
+
+      <div className="table-container">
+        <table className="admin-table">
+          <thead>
+            <tr>
+              <th>Recipient</th>
+              <th>Channel</th>
+              <th>Type</th>
+              <th>Subject / Message</th>
+              <th>Attempts</th>
+              <th>Status</th>
+              <th>Last Error</th>
+              <th>Updated</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {loading ? (
+              <tr>
+                <td colSpan="9" className="text-center">Loading...</td>
+              </tr>
+            ) : messages.length === 0 ? (
+              <tr>
+                <td colSpan="9" className="text-center">No messages found</td>
+              </tr>
+            ) : (
+              messages.map(message => (
+              <tr key={message.id}>
+                <td>{message.recipient}</td>
+                <td>
+                  {message.channel === 'sms' ? <MessageSquare size={16} /> : <Mail size={16} />}
+                  {' '}{message.channel === 'sms' ? 'SMS' : 'Email'}
+                </td>
+                <td>{formatKind(message.kind)}</td>
+                <td>{message.subject || message.body || '-'}</td>
+                <td>{message.attempts} / {message.maxAttempts}</td>
+                <td>
+                  <span className={`status-badge status-${STATUS_BADGES[message.status]}`}>
+                    {STATUS_LABELS[message.status]}
+                  </span>
+                </td>
+                <td className="text-muted">{message.lastError || '-'}</td>
+                <td>{new Date(message.updatedAt).toLocaleString()}</td>
+                <td>
+                  <button className="btn-icon" title="View" onClick={() => handleView(message.id)}>
+                    <Eye size={16} />
+                  </button>
+                  {message.status === 'dead' && (
+                    <button className="btn-icon" title="Retry" onClick={() => handleRetry(message.id)}>
+                      <RotateCcw size={16} />
+                    </button>
+                  )}
+                </td>
+              </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {pages > 1 && (
+        <div className="pagination">
+          <button className="btn btn-outline" disabled={page <= 1} onClick={() => setPage(page - 1)}>
+            Previous
+          </button>
+          <span className="pagination-info">Page {page} of {pages}</span>
+          <button className="btn btn-outline" disabled={page >= pages} onClick={() => setPage(page + 1)}>
+            Next
+          </button>
+        </div>
+      )}
+
+      {/* Message Detail Modal */}
+      {selectedMessage && (
+        <div className="modal-overlay" onClick={() => setSelectedMessage(null)}>
+          <div className="modal-content large" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h2>{formatKind(selectedMessage.kind)} to {selectedMessage.recipient}</h2>
+              <button className="modal-close" onClick={() => setSelectedMessage(null)}>
+                <X size={20} />
+              </button>
+            </div>
+            <div className="modal-body">
+              <p>
+                <strong>Status:</strong>{' '}
+                <span className={`status-badge status-${STATUS_BADGES[selectedMessage.status]}`}>
+                  {STATUS_LABELS[selectedMessage.status]}
+                </span>
+                {' '}after {selectedMessage.attempts} of {selectedMessage.maxAttempts} attempts
+              </p>
+              {selectedMessage.sentAt && (
+                <p><strong>Sent:</strong> {new Date(selectedMessage.sentAt).toLocaleString()}</p>
+              )}
+              {selectedMessage.status === 'pending' && selectedMessage.attempts > 0 && (
+                <p><strong>Next attempt:</strong> {new Date(selectedMessage.runAt).toLocaleString()}</p>
+              )}
+              {selectedMessage.metadata?.orderId && (
+                <p><strong>Order:</strong> {selectedMessage.metadata.orderId}</p>
+              )}
+              {selectedMessage.batchId && (
+                <p><strong>Batch:</strong> {selectedMessage.batchId}</p>
+              )}
+
+              {selectedMessage.attemptLog?.length > 0 && (
+                <div className="form-group">
+                  <label>Failed Attempts</label>
+                  <ul>
+                    {selectedMessage.attemptLog.map((attempt, index) => (
+                      <li key={index}>
+                        <small>{new Date(attempt.at).toLocaleString()}</small> — {attempt.error}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {selectedMessage.channel === 'sms' ? (
+                <pre style={{ whiteSpace: 'pre-wrap', padding: '0.75rem', marginTop: '0.75rem', background: 'var(--bg-light)', borderRadius: '6px' }}>
+                  {selectedMessage.payload?.body}
+                </pre>
+              ) : (
+                <>
+                  <p><strong>Subject:</strong> {selectedMessage.payload?.subject}</p>
+                  {selectedMessage.payload?.pdfName && (
+                    <p><strong>Attachment:</strong> {selectedMessage.payload.pdfName}</p>
+                  )}
+                  <iframe
+                    title="Email content"
+                    sandbox=""
+                    srcDoc={selectedMessage.payload?.html || ''}
+                    style={{ width: '100%', height: '420px', border: '1px solid var(--border)', borderRadius: '6px', marginTop: '0.75rem', background: '#fff' }}
+                  />
+                </>
+              )}
+            </div>
+            <div className="modal-footer">
+              <button className="btn btn-outline" onClick={() => setSelectedMessage(null)}>Close</button>
+              {selectedMessage.status === 'dead' && (
+                <button className="btn btn-primary" onClick={() => handleRetry(selectedMessage.id)}>
+                  <RotateCcw size={18} />
+                  Retry
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default Messages
@@ -58,10 +58,10 @@ function Newsletter() {
       return
     }
     try {
-      await adminNewsletterAPI.send(sendForm.subject, sendForm.content)
+      const result = await adminNewsletterAPI.send(sendForm.subject, sendForm.content)
       setShowSendModal(false)
       setSendForm({ subject: '', content: '' })
-      success('Newsletter sent successfully')
+      success(result?.message || 'Newsletter queued for sending')
     } catch (err) {
       showError('Failed to send newsletter')
     }
@@ -1,16 +1,28 @@
 import { useState, useEffect } from 'react'
-import { Search, Eye, Package, Truck, CheckCircle, Download, Mail } from 'lucide-react'
-import { adminOrdersAPI } from '../../utils/adminApi'
+import { Search, Eye, Package, Truck, CheckCircle, Download, Mail, ClipboardCheck, Banknote, RotateCcw } from 'lucide-react'
+import { adminOrdersAPI, adminRefundsAPI } from '../../utils/adminApi'
 import { useToast } from '../../components/Toast/ToastContainer'
+import { useAdminAuth } from '../../context/AdminAuthContext'
+import RefundModal from '../../components/Modal/RefundModal'
+
+// Payment statuses with money that can still go back to the customer
+const REFUNDABLE_PAYMENT_STATUSES = ['paid', 'partially_refunded']
 
 function Orders() {
   const [searchQuery, setSearchQuery] = useState('')
   const [statusFilter, setStatusFilter] = useState('')
   const [orders, setOrders] = useState([])
   const [loading, setLoading] = useState(true)
+  const [refundOrder, setRefundOrder] = useState(null)
+  const [refundForm, setRefundForm] = useState({ method: 'original', amount: '', reason: '' })
+  const [refunding, setRefunding] = useState(false)
   const { success, error: showError } = useToast()
+  const { can } = useAdminAuth()
 
-  const statusOptions = ['Processing', 'Shipped', 'Delivered', 'Cancelled', 'Returned']
+  const statusOptions = [
+    'Pending Payment', 'Pending Confirmation', 'Confirmed', 'Packed', 'Shipped', 'Out for Delivery',
+    'Delivered', 'Cancelled', 'Return Requested', 'Returned', 'Refunded'
+  ]
 
   useEffect(() => {
     loadOrders()
@@ -52,12 +64,75 @@ function Orders() {
   }
 
   const updateOrderStatus = async (orderId, newStatus) => {
+    let note
+    if (newStatus === 'Cancelled') {
+      note = window.prompt(`Reason for cancelling order ${orderId} (shown in the order history):`)
+      if (note === null) return
+    }
     try {
-      await adminOrdersAPI.updateStatus(orderId, newStatus)
+      await adminOrdersAPI.updateStatus(orderId, newStatus, note)
       await loadOrders()
       success('Order status updated successfully')
     } catch (err) {
-      showError('Failed to update order status')
+      showError(err.message || 'Failed to update order status')
+    }
+  }
+
+  const confirmCodOrder = async (orderId) => {
+    if (!window.confirm(`Confirm Cash on Delivery order ${orderId}? It will move to Confirmed and can be packed.`)) {
+      return
+    }
+    try {
+      await adminOrdersAPI.confirmCod(orderId)
+      await loadOrders()
+      success('COD order confirmed')
+    } catch (err) {
+      showError(err.message || 'Failed to confirm COD order')
+    }
+  }
+
+  const openRefund = async (orderId) => {
+    try {
+      const data = await adminRefundsAPI.getForOrder(orderId)
+      setRefundOrder(data)
+      setRefundForm({
+        method: data.paidOnline ? 'original' : 'coins',
+        amount: data.refundableAmount,
+        reason: ''
+      })
+    } catch (err) {
+      showError(err.message || 'Failed to load refunds')
+    }
+  }
+
+  const issueRefund = async (e) => {
+    e.preventDefault()
+    try {
+      setRefunding(true)
+      const data = await adminRefundsAPI.create({
+        orderId: refundOrder.orderId,
+        method: refundForm.method,
+        amount: Number(refundForm.amount),
+        reason: refundForm.reason
+      })
+      success(data.message || 'Refund processed successfully')
+      setRefundOrder(null)
+      await loadOrders()
+    } catch (err) {
+      showError(err.message || 'Failed to refund order')
+    } finally {
+      setRefunding(false)
+    }
+  }
+
+  const syncRefund = async (refund) => {
+    try {
+      const data = await adminRefundsAPI.sync(refund.id)
+      success(data.message)
+      setRefundOrder(await adminRefundsAPI.getForOrder(refundOrder.orderId))
+      await loadOrders()
+    } catch (err) {
+      showError(err.message || 'Failed to check refund status')
     }
   }
 
@@ -100,11 +175,18 @@ function Orders() {
             <p>Total Orders</p>
           </div>
         </div>
+        <div className="stat-mini-card">
+          <ClipboardCheck size={24} />
+          <div>
+            <h3>{orders.filter(o => o.status === 'Pending Confirmation').length}</h3>
+            <p>Awaiting COD Confirmation</p>
+          </div>
+        </div>
         <div className="stat-mini-card">
           <Truck size={24} />
           <div>
-            <h3>{orders.filter(o => o.status === 'Shipped').length}</h3>
-            <p>Shipped</p>
+            <h3>{orders.filter(o => ['Shipped', 'Out for Delivery'].includes(o.status)).length}</h3>
+            <p>In Transit</p>
           </div>
         </div>
         <div className="stat-mini-card">
@@ -152,14 +234,24 @@ function Orders() {
                       <p className="text-muted">{order.email}</p>
                     </div>
                   </td>
-                  <td>₹{order.amount.toLocaleString()}</td>
                   <td>
+                    ₹{Number(order.amount).toLocaleString()}
+                    {order.paymentMethod === 'cod' && (
+                      <p className="text-muted">
+                        <Banknote size={12} /> COD {order.paymentStatus === 'paid' ? '· Collected' : '· To collect'}
+                      </p>
+                    )}
+                  </td>
+                  <td>
+                    {/* Only the moves the order lifecycle allows from the current status */}
                     <select
-                      className={`status-select status-${order.status.toLowerCase()}`}
+                      className={`status-select status-${order.status.toLowerCase().replace(/\s+/g, '-')}`}
                       value={order.status}
+                      disabled={!order.nextStatuses?.length}
                       onChange={(e) => updateOrderStatus(order.id, e.target.value)}
                     >
-                      {statusOptions.map(status => (
+                      <option value={order.status} disabled>{order.status}</option>
+                      {(order.nextStatuses || []).map(status => (
                         <option key={status} value={status}>{status}</option>
                       ))}
                     </select>
@@ -169,6 +261,16 @@ function Orders() {
                     <button className="btn-icon" title="View Details" onClick={() => window.location.href = `/order/${order.id}`}>
                       <Eye size={16} />
                     </button>
+                    {order.status === 'Pending Confirmation' && order.paymentMethod === 'cod' && (
+                      <button className="btn-icon" title="Confirm COD Order" onClick={() => confirmCodOrder(order.id)}>
+                        <ClipboardCheck size={16} />
+                      </button>
+                    )}
+                    {can('returns', 'refund') && (REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentStatus) || order.refundStatus === 'initiated') && (
+                      <button className="btn-icon" title="Refund" onClick={() => openRefund(order.id)}>
+                        <RotateCcw size={16} />
+                      </button>
+                    )}
                   </td>
                   <td>
                     <button 
@@ -185,6 +287,23 @@ function Orders() {
           </tbody>
         </table>
       </div>
+
+      {/* Refund Modal */}
+      {refundOrder && (
+        <RefundModal
+          title={`Refund Order ${refundOrder.orderId}`}
+          maxAmount={refundOrder.refundableAmount}
+          paidOnline={refundOrder.paidOnline}
+          refunds={refundOrder.refunds}
+          form={refundForm}
+          setForm={setRefundForm}
+          onClose={() => setRefundOrder(null)}
+          onSubmit={issueRefund}
+          onSync={syncRefund}
+          submitting={refunding}
+          showReason
+        />
+      )}
     </div>
   )
 }
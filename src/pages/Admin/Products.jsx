@@ -131,7 +131,10 @@ function Products() {
     sizes: [],
     colors: [],
     material: '',
-    care: ''
+    care: '',
+    weight: '',
+    hsnCode: '',
+    gstRate: ''
   })
   const [isSubmitting, setIsSubmitting] = useState(false)
   const [uploadingImages, setUploadingImages] = useState(false)
@@ -268,8 +271,17 @@ function Products() {
         return
       }
 
+      const { weight, gstRate, ...formFields } = productForm
       const productData = {
-        ...productForm,
+        ...formFields,
+        hsnCode: productForm.hsnCode.trim() || null,
+        // Empty means the category's (or the store's) GST slabs apply
+        gstSlabs: gstRate === '' ? null : [{ upTo: null, rate: Number(gstRate) }],
+        // Shipping weight (grams) feeds weight-based shipping slabs
+        shippingInfo: {
+          ...(editingProduct?.shippingInfo || {}),
+          weight: weight ? Number(weight) : null
+        },
         price: Number(productForm.price),
         originalPrice: productForm.originalPrice ? Number(productForm.originalPrice) : undefined,
         stockCount: Number(productForm.stockCount),
@@ -338,7 +350,10 @@ function Products() {
         sizes: product.sizes || [],
         colors: product.colors || [],
         material: product.material || '',
-        care: product.care || ''
+        care: product.care || '',
+        weight: product.shippingInfo?.weight || '',
+        hsnCode: product.hsnCode || '',
+        gstRate: product.gstSlabs?.length === 1 ? String(product.gstSlabs[0].rate) : ''
       })
     } catch (err) {
       showError('Failed to load product for editing')
@@ -451,6 +466,39 @@ function Products() {
                     min="0" 
                   />
                 </div>
+                <div className="form-group">
+                  <label>Shipping Weight (g)</label>
+                  <input 
+                    type="number" 
+                    name="weight"
+                    value={productForm.weight}
+                    onChange={handleFormChange}
+                    min="0" 
+                  />
+                </div>
+                <div className="form-group">
+                  <label>HSN Code</label>
+                  <input 
+                    type="text" 
+                    name="hsnCode"
+                    value={productForm.hsnCode}
+                    onChange={handleFormChange}
+                    placeholder="Category default"
+                  />
+                </div>
+                <div className="form-group">
+                  <label>GST Rate</label>
+                  <select 
+                    name="gstRate"
+                    value={productForm.gstRate}
+                    onChange={handleFormChange}
+                  >
+                    <option value="">Category / store default</option>
+                    {[0, 5, 12, 18, 28].map(rate => (
+                      <option key={rate} value={rate}>Flat {rate}%</option>
+                    ))}
+                  </select>
+                </div>
               </div>
             </div>
 
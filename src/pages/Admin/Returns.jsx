@@ -1,15 +1,38 @@
 import { useState, useEffect } from 'react'
-import { Search, Package, CheckCircle, XCircle, Clock, Eye, X } from 'lucide-react'
+import { Search, Package, CheckCircle, XCircle, Clock, Eye, X, Truck } from 'lucide-react'
 import { useToast } from '../../components/Toast/ToastContainer'
-import { adminReturnsAPI } from '../../utils/adminApi'
+import { adminReturnsAPI, adminRefundsAPI } from '../../utils/adminApi'
+import { getImageUrl } from '../../utils/api'
+import { useAdminAuth } from '../../context/AdminAuthContext'
+import RefundModal from '../../components/Modal/RefundModal'
+import { RETURN_STATUS_LABELS, getReturnStatusLabel, getReturnStatusClass } from '../../utils/returnStatus'
+
+// Button label for a return ready to refund, by its refund status
+const REFUND_ACTION_LABELS = {
+  initiated: 'Refund Pending',
+  failed: 'Retry Refund'
+}
+
+const EMPTY_STATUS_CHANGE = { note: '', pickup: { date: '', courier: '', trackingNumber: '' } }
+
+const formatOptions = (size, color) => [size, color].filter(Boolean).join(' / ')
 
 function Returns() {
   const { success, error: showError } = useToast()
+  const { can } = useAdminAuth()
   const [searchQuery, setSearchQuery] = useState('')
   const [statusFilter, setStatusFilter] = useState('')
   const [returns, setReturns] = useState([])
   const [loading, setLoading] = useState(true)
   const [selectedReturn, setSelectedReturn] = useState(null)
+  const [refundReturn, setRefundReturn] = useState(null)
+  const [refundForm, setRefundForm] = useState({ method: 'original', amount: '' })
+  const [refunding, setRefunding] = useState(false)
+  // { returnItem, status } while the admin fills in the note/pickup for a status change;
+  // status 'exchanged' dispatches the exchange
+  const [statusChange, setStatusChange] = useState(null)
+  const [statusForm, setStatusForm] = useState(EMPTY_STATUS_CHANGE)
+  const [updatingStatus, setUpdatingStatus] = useState(false)
 
   useEffect(() => {
     loadReturns()
@@ -38,26 +61,101 @@ function Returns() {
     }
   }
 
-  const updateStatus = async (id, newStatus) => {
+  const updateStatus = async (id, newStatus, details) => {
     try {
-      await adminReturnsAPI.updateStatus(id, newStatus)
+      await adminReturnsAPI.updateStatus(id, newStatus, details)
       await loadReturns()
       success('Return status updated')
+      return true
+    } catch (err) {
+      showError(err.message || 'Failed to update return status')
+      return false
+    }
+  }
+
+  const openStatusChange = (returnItem, status) => {
+    setStatusForm(EMPTY_STATUS_CHANGE)
+    setStatusChange({ returnItem, status })
+  }
+
+  const submitStatusChange = async (e) => {
+    e.preventDefault()
+    const { returnItem, status } = statusChange
+    setUpdatingStatus(true)
+    try {
+      if (status === 'exchanged') {
+        const data = await adminReturnsAPI.dispatchExchange(returnItem.id, { note: statusForm.note })
+        success(data.message || 'Exchange dispatched')
+        await loadReturns()
+        setStatusChange(null)
+        return
+      }
+      const updated = await updateStatus(returnItem.id, status, {
+        note: statusForm.note,
+        ...(status === 'pickup_scheduled' && { pickup: statusForm.pickup })
+      })
+      if (updated) setStatusChange(null)
+    } catch (err) {
+      showError(err.message || 'Failed to dispatch exchange')
+    } finally {
+      setUpdatingStatus(false)
+    }
+  }
+
+  const openRefund = async (id) => {
+    try {
+      const details = await adminReturnsAPI.getById(id)
+      setRefundReturn(details)
+      setRefundForm({
+        method: details.paidOnline ? 'original' : 'coins',
+        amount: details.refundableAmount
+      })
+    } catch (err) {
+      showError(err.message || 'Failed to load return')
+    }
+  }
+
+  const processRefund = async (e) => {
+    e.preventDefault()
+    try {
+      setRefunding(true)
+      const data = await adminReturnsAPI.processRefund(refundReturn.id, {
+        method: refundForm.method,
+        amount: Number(refundForm.amount)
+      })
+      success(data.message || 'Refund processed successfully')
+      setRefundReturn(null)
+      await loadReturns()
     } catch (err) {
-      showError('Failed to update return status')
+      showError(err.message || 'Failed to process refund')
+    } finally {
+      setRefunding(false)
     }
   }
 
-  const processRefund = async (id) => {
+  const syncRefund = async (refund) => {
     try {
-      await adminReturnsAPI.processRefund(id)
+      const data = await adminRefundsAPI.sync(refund.id)
+      success(data.message)
+      setRefundReturn(await adminReturnsAPI.getById(refundReturn.id))
       await loadReturns()
-      success('Refund processed successfully')
     } catch (err) {
-      showError('Failed to process refund')
+      showError(err.message || 'Failed to check refund status')
     }
   }
 
+  // Refunds follow a passed quality check; exchanges can be refunded too when the
+  // replacement cannot be sent
+  const canProcessRefund = (returnItem) =>
+    can('returns', 'refund') && returnItem.status === 'qc_passed' && returnItem.refundStatus !== 'refunded'
+
+  const canDispatchExchange = (returnItem) =>
+    can('returns', 'update') && returnItem.status === 'qc_passed' && returnItem.resolution === 'exchange'
+
+  // Approve and reject have their own buttons on pending returns
+  const getMoveOptions = (returnItem) =>
+    returnItem.status === 'pending' ? [] : (returnItem.nextStatuses || [])
+
   const filteredReturns = returns.filter(returnItem =>
     !searchQuery || 
     returnItem.orderId?.toLowerCase().includes(searchQuery.toLowerCase()) ||
@@ -68,35 +166,31 @@ function Returns() {
   const getStatusIcon = (status) => {
     switch (status) {
       case 'approved':
+      case 'qc_passed':
+      case 'refunded':
+      case 'exchanged':
         return <CheckCircle size={16} className="text-success" />
       case 'rejected':
+      case 'qc_failed':
         return <XCircle size={16} className="text-danger" />
       case 'pending':
         return <Clock size={16} className="text-warning" />
+      case 'pickup_scheduled':
+      case 'picked_up':
+        return <Truck size={16} />
       default:
         return <Package size={16} />
     }
   }
 
-  const getStatusColor = (status) => {
-    switch (status) {
-      case 'approved':
-        return 'status-success'
-      case 'rejected':
-        return 'status-danger'
-      case 'pending':
-        return 'status-warning'
-      default:
-        return ''
-    }
-  }
+  const getStatusColor = (status) => `status-${getReturnStatusClass(status)}`
 
   return (
     <div className="admin-page">
       <div className="admin-page-header">
         <div>
           <h1>Returns & Refunds</h1>
-          <p>Manage product returns and process refunds</p>
+          <p>Manage product returns and exchanges, and process refunds</p>
         </div>
       </div>
 
@@ -116,10 +210,9 @@ function Returns() {
           onChange={(e) => setStatusFilter(e.target.value)}
         >
           <option value="">All Status</option>
-          <option value="pending">Pending</option>
-          <option value="approved">Approved</option>
-          <option value="rejected">Rejected</option>
-          <option value="refunded">Refunded</option>
+          {Object.entries(RETURN_STATUS_LABELS).map(([status, label]) => (
+            <option key={status} value={status}>{label}</option>
+          ))}
         </select>
       </div>
 
@@ -130,7 +223,7 @@ function Returns() {
               <th>Return ID</th>
               <th>Order ID</th>
               <th>Customer</th>
-              <th>Product</th>
+              <th>Items</th>
               <th>Reason</th>
               <th>Status</th>
               <th>Request Date</th>
@@ -158,17 +251,25 @@ function Returns() {
                   <td>{returnItem.customerName}</td>
                   <td>
                     <div className="product-info">
-                      <p>{returnItem.productName}</p>
-                      {returnItem.quantity && (
-                        <p className="text-muted">Qty: {returnItem.quantity}</p>
-                      )}
+                      {(returnItem.items?.length ? returnItem.items : [{ name: returnItem.productName, quantity: returnItem.quantity }]).map((line, index) => (
+                        <p key={index}>
+                          {line.name} × {line.quantity}
+                          {line.exchangeVariantId && (
+                            <span className="text-muted"> → {formatOptions(line.exchangeSize, line.exchangeColor)}</span>
+                          )}
+                        </p>
+                      ))}
+                      <p className="text-muted">
+                        {returnItem.resolution === 'exchange' ? 'Exchange' : 'Refund'}
+                        {returnItem.photos?.length > 0 && ` · ${returnItem.photos.length} photo(s)`}
+                      </p>
                     </div>
                   </td>
                   <td>{returnItem.reason}</td>
                   <td>
                     <span className={`status-badge ${getStatusColor(returnItem.status)}`}>
                       {getStatusIcon(returnItem.status)}
-                      {returnItem.status}
+                      {getReturnStatusLabel(returnItem.status)}
                     </span>
                   </td>
                   <td>{new Date(returnItem.createdAt).toLocaleDateString()}</td>
@@ -181,7 +282,7 @@ function Returns() {
                       >
                         <Eye size={16} />
                       </button>
-                      {returnItem.status === 'pending' && (
+                      {returnItem.status === 'pending' && can('returns', 'update') && (
                         <>
                           <button
                             className="btn-icon text-success"
@@ -193,18 +294,38 @@ function Returns() {
                           <button
                             className="btn-icon text-danger"
                             title="Reject"
-                            onClick={() => updateStatus(returnItem.id, 'rejected')}
+                            onClick={() => openStatusChange(returnItem, 'rejected')}
                           >
                             <XCircle size={16} />
                           </button>
                         </>
                       )}
-                      {returnItem.status === 'approved' && returnItem.refundStatus !== 'refunded' && (
+                      {getMoveOptions(returnItem).length > 0 && can('returns', 'update') && (
+                        <select
+                          className="status-select"
+                          value=""
+                          onChange={(e) => e.target.value && openStatusChange(returnItem, e.target.value)}
+                        >
+                          <option value="">Move to...</option>
+                          {getMoveOptions(returnItem).map(status => (
+                            <option key={status} value={status}>{getReturnStatusLabel(status)}</option>
+                          ))}
+                        </select>
+                      )}
+                      {canDispatchExchange(returnItem) && (
                         <button
                           className="btn btn-sm btn-primary"
-                          onClick={() => processRefund(returnItem.id)}
+                          onClick={() => openStatusChange(returnItem, 'exchanged')}
+                        >
+                          Dispatch Exchange
+                        </button>
+                      )}
+                      {canProcessRefund(returnItem) && (
+                        <button
+                          className={`btn btn-sm ${returnItem.resolution === 'exchange' ? 'btn-outline' : 'btn-primary'}`}
+                          onClick={() => openRefund(returnItem.id)}
                         >
-                          Process Refund
+                          {REFUND_ACTION_LABELS[returnItem.refundStatus] || 'Process Refund'}
                         </button>
                       )}
                     </div>
@@ -222,8 +343,8 @@ function Returns() {
           <div className="modal-content" onClick={(e) => e.stopPropagation()}>
             <div className="modal-header">
               <h2>Return Details</h2>
-              <button 
-                className="modal-close" 
+              <button
+                className="modal-close"
                 onClick={() => setSelectedReturn(null)}
               >
                 <X size={20} />
@@ -243,49 +364,125 @@ function Returns() {
                 <p>{selectedReturn.customerName}</p>
               </div>
               <div className="detail-group">
-                <label>Product</label>
-                <p>{selectedReturn.productName}</p>
+                <label>Customer Wants</label>
+                <p>{selectedReturn.resolution === 'exchange' ? 'Exchange for another size/colour' : 'Refund'}</p>
               </div>
               <div className="detail-group">
-                <label>Quantity</label>
-                <p>{selectedReturn.quantity || 1}</p>
+                <label>Items</label>
+                <div className="return-admin-items">
+                  {(selectedReturn.items?.length ? selectedReturn.items : [{ name: selectedReturn.productName, quantity: selectedReturn.quantity || 1 }]).map((line, index) => (
+                    <div key={index} className="return-admin-item">
+                      {line.image && <img src={getImageUrl(line.image)} alt={line.name} />}
+                      <div>
+                        <p>{line.name}</p>
+                        <p className="text-muted">
+                          {formatOptions(line.size, line.color) && `${formatOptions(line.size, line.color)} · `}
+                          Qty {line.quantity}
+                          {line.amount !== undefined && ` · ₹${Number(line.amount).toLocaleString()}`}
+                        </p>
+                        {line.exchangeVariantId && (
+                          <p className="text-muted">
+                            Exchange for {formatOptions(line.exchangeSize, line.exchangeColor)}
+                          </p>
+                        )}
+                      </div>
+                    </div>
+                  ))}
+                </div>
               </div>
               <div className="detail-group">
                 <label>Reason</label>
                 <p>{selectedReturn.reason}</p>
               </div>
-              {selectedReturn.description && (
+              {selectedReturn.comment && (
                 <div className="detail-group">
                   <label>Description</label>
-                  <p>{selectedReturn.description}</p>
+                  <p>{selectedReturn.comment}</p>
+                </div>
+              )}
+              {selectedReturn.photos?.length > 0 && (
+                <div className="detail-group">
+                  <label>Photos</label>
+                  <div className="return-photos">
+                    {selectedReturn.photos.map(photo => (
+                      <a key={photo} href={getImageUrl(photo)} target="_blank" rel="noopener noreferrer" className="return-photo">
+                        <img src={getImageUrl(photo)} alt="Return evidence" />
+                      </a>
+                    ))}
+                  </div>
                 </div>
               )}
               <div className="detail-group">
                 <label>Status</label>
                 <span className={`status-badge ${getStatusColor(selectedReturn.status)}`}>
                   {getStatusIcon(selectedReturn.status)}
-                  {selectedReturn.status}
+                  {getReturnStatusLabel(selectedReturn.status)}
                 </span>
               </div>
+              {selectedReturn.pickup && (
+                <div className="detail-group">
+                  <label>Pickup</label>
+                  <p>
+                    {new Date(selectedReturn.pickup.date).toLocaleDateString()}
+                    {selectedReturn.pickup.courier && ` · ${selectedReturn.pickup.courier}`}
+                    {selectedReturn.pickup.trackingNumber && ` · ${selectedReturn.pickup.trackingNumber}`}
+                  </p>
+                </div>
+              )}
+              {selectedReturn.qcNotes && (
+                <div className="detail-group">
+                  <label>Quality Check Notes</label>
+                  <p>{selectedReturn.qcNotes}</p>
+                </div>
+              )}
               {selectedReturn.refundAmount && (
                 <div className="detail-group">
                   <label>Refund Amount</label>
-                  <p>₹{selectedReturn.refundAmount.toLocaleString()}</p>
+                  <p>₹{Number(selectedReturn.refundAmount).toLocaleString()}</p>
+                </div>
+              )}
+              {selectedReturn.refund && (
+                <div className="detail-group">
+                  <label>Refund</label>
+                  <p>
+                    ₹{Number(selectedReturn.refund.amount).toLocaleString()}
+                    {selectedReturn.refund.method === 'coins' ? ` as ${selectedReturn.refund.coins} coins` : ' to original payment'}
+                    {' · '}{selectedReturn.refund.status}
+                    {selectedReturn.refund.failureReason && ` (${selectedReturn.refund.failureReason})`}
+                  </p>
                 </div>
               )}
               <div className="detail-group">
                 <label>Request Date</label>
                 <p>{new Date(selectedReturn.createdAt).toLocaleString()}</p>
               </div>
+              {selectedReturn.statusHistory?.length > 0 && (
+                <div className="detail-group">
+                  <label>History</label>
+                  <div className="refund-history">
+                    {selectedReturn.statusHistory.map((entry, index) => (
+                      <div key={index} className="refund-history-item">
+                        <div>
+                          <p>{getReturnStatusLabel(entry.status)}{entry.note && ` · ${entry.note}`}</p>
+                          <p className="text-muted">
+                            {new Date(entry.date).toLocaleString()}
+                            {entry.actor?.name && ` · ${entry.actor.name}`}
+                          </p>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
             </div>
             <div className="modal-footer">
-              <button 
-                className="btn btn-outline" 
+              <button
+                className="btn btn-outline"
                 onClick={() => setSelectedReturn(null)}
               >
                 Close
               </button>
-              {selectedReturn.status === 'pending' && (
+              {selectedReturn.status === 'pending' && can('returns', 'update') && (
                 <>
                   <button
                     className="btn btn-success"
@@ -299,7 +496,7 @@ function Returns() {
                   <button
                     className="btn btn-danger"
                     onClick={() => {
-                      updateStatus(selectedReturn.id, 'rejected')
+                      openStatusChange(selectedReturn, 'rejected')
                       setSelectedReturn(null)
                     }}
                   >
@@ -307,21 +504,154 @@ function Returns() {
                   </button>
                 </>
               )}
-              {selectedReturn.status === 'approved' && selectedReturn.refundStatus !== 'refunded' && (
+              {can('returns', 'update') && getMoveOptions(selectedReturn).map(status => (
+                <button
+                  key={status}
+                  className={`btn ${['rejected', 'qc_failed'].includes(status) ? 'btn-danger' : 'btn-outline'}`}
+                  onClick={() => {
+                    openStatusChange(selectedReturn, status)
+                    setSelectedReturn(null)
+                  }}
+                >
+                  {getReturnStatusLabel(status)}
+                </button>
+              ))}
+              {canDispatchExchange(selectedReturn) && (
+                <button
+                  className="btn btn-primary"
+                  onClick={() => {
+                    openStatusChange(selectedReturn, 'exchanged')
+                    setSelectedReturn(null)
+                  }}
+                >
+                  Dispatch Exchange
+                </button>
+              )}
+              {canProcessRefund(selectedReturn) && (
                 <button
                   className="btn btn-primary"
                   onClick={() => {
-                    processRefund(selectedReturn.id)
+                    openRefund(selectedReturn.id)
                     setSelectedReturn(null)
                   }}
                 >
-                  Process Refund
+                  {REFUND_ACTION_LABELS[selectedReturn.refundStatus] || 'Process Refund'}
                 </button>
               )}
             </div>
           </div>
         </div>
       )}
+
+      {/* Status Change Modal */}
+      {statusChange && (
+        <div className="modal-overlay" onClick={() => setStatusChange(null)}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h2>
+                {statusChange.status === 'exchanged'
+                  ? 'Dispatch Exchange'
+                  : `${getReturnStatusLabel(statusChange.status)} · Return #${statusChange.returnItem.returnId}`}
+              </h2>
+              <button className="modal-close" onClick={() => setStatusChange(null)}>
+                <X size={20} />
+              </button>
+            </div>
+            <form onSubmit={submitStatusChange}>
+              <div className="modal-body">
+                {statusChange.status === 'pickup_scheduled' && (
+                  <>
+                    <div className="form-group">
+                      <label>Pickup Date *</label>
+                      <input
+                        type="date"
+                        value={statusForm.pickup.date}
+                        onChange={(e) => setStatusForm(prev => ({ ...prev, pickup: { ...prev.pickup, date: e.target.value } }))}
+                        required
+                      />
+                    </div>
+                    <div className="form-row">
+                      <div className="form-group">
+                        <label>Courier</label>
+                        <input
+                          type="text"
+                          value={statusForm.pickup.courier}
+                          onChange={(e) => setStatusForm(prev => ({ ...prev, pickup: { ...prev.pickup, courier: e.target.value } }))}
+                        />
+                      </div>
+                      <div className="form-group">
+                        <label>Tracking Number</label>
+                        <input
+                          type="text"
+                          value={statusForm.pickup.trackingNumber}
+                          onChange={(e) => setStatusForm(prev => ({ ...prev, pickup: { ...prev.pickup, trackingNumber: e.target.value } }))}
+                        />
+                      </div>
+                    </div>
+                  </>
+                )}
+                {statusChange.status === 'exchanged' && (
+                  <p className="text-muted">
+                    Stock for the replacement sizes/colours is taken when you dispatch:{' '}
+                    {(statusChange.returnItem.items || [])
+                      .map(line => `${line.name} (${formatOptions(line.exchangeSize, line.exchangeColor)}) × ${line.quantity}`)
+                      .join(', ')}
+                  </p>
+                )}
+                {statusChange.status === 'qc_passed' && (
+                  <p className="text-muted">The returned items go back into stock.</p>
+                )}
+                <div className="form-group">
+                  <label>
+                    {statusChange.status === 'qc_failed'
+                      ? 'Why did the items fail quality check? *'
+                      : statusChange.status === 'exchanged'
+                        ? 'Shipment details (optional)'
+                        : 'Note (optional)'}
+                  </label>
+                  <textarea
+                    rows={3}
+                    maxLength={1000}
+                    value={statusForm.note}
+                    onChange={(e) => setStatusForm(prev => ({ ...prev, note: e.target.value }))}
+                    required={statusChange.status === 'qc_failed'}
+                  />
+                </div>
+              </div>
+              <div className="modal-footer">
+                <button type="button" className="btn btn-outline" onClick={() => setStatusChange(null)}>
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className={`btn ${['rejected', 'qc_failed'].includes(statusChange.status) ? 'btn-danger' : 'btn-primary'}`}
+                  disabled={updatingStatus}
+                >
+                  {updatingStatus
+                    ? 'Saving...'
+                    : statusChange.status === 'exchanged' ? 'Dispatch' : getReturnStatusLabel(statusChange.status)}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Refund Modal */}
+      {refundReturn && (
+        <RefundModal
+          title={`Refund Return #${refundReturn.returnId}`}
+          maxAmount={refundReturn.refundStatus === 'refunded' ? 0 : refundReturn.refundableAmount}
+          paidOnline={refundReturn.paidOnline}
+          refunds={refundReturn.refunds}
+          form={refundForm}
+          setForm={setRefundForm}
+          onClose={() => setRefundReturn(null)}
+          onSubmit={processRefund}
+          onSync={syncRefund}
+          submitting={refunding}
+        />
+      )}
     </div>
   )
 }
@@ -11,7 +11,7 @@ function Cart() {
   const [cartItems, setCartItems] = useState([])
   const [loading, setLoading] = useState(true)
 
-  // Load cart from API or localStorage
+  // Load cart from API (guests have a server-side cart too)
   useEffect(() => {
     loadCart()
     
@@ -30,29 +30,22 @@ function Cart() {
   const loadCart = async () => {
     try {
       setLoading(true)
-      if (isAuthenticated && user) {
-        // Load user cart from API
-        const response = await cartAPI.get()
-        
-        // Handle different response structures
-        let items = []
-        if (Array.isArray(response)) {
-          // If response is directly an array
-          items = response
-        } else if (response?.items) {
-          // If response has items property
-          items = Array.isArray(response.items) ? response.items : []
-        } else if (response?.data?.items) {
-          // If response is wrapped in data
-          items = Array.isArray(response.data.items) ? response.data.items : []
-        }
-        
-        setCartItems(items)
-      } else {
-        // Load guest cart from localStorage
-        const guestCart = JSON.parse(localStorage.getItem(`cart_guest`) || '[]')
-        setCartItems(guestCart)
+      const response = await cartAPI.get()
+      
+      // Handle different response structures
+      let items = []
+      if (Array.isArray(response)) {
+        // If response is directly an array
+        items = response
+      } else if (response?.items) {
+        // If response has items property
+        items = Array.isArray(response.items) ? response.items : []
+      } else if (response?.data?.items) {
+        // If response is wrapped in data
+        items = Array.isArray(response.data.items) ? response.data.items : []
       }
+      
+      setCartItems(items)
     } catch (err) {
       console.error('Failed to load cart:', err)
       console.error('Error details:', err.message, err.stack)
@@ -64,118 +57,92 @@ function Cart() {
   }
 
   const updateQuantity = async (itemId, change) => {
-    if (isAuthenticated) {
-      try {
-        // Find item by matching the itemId pattern (product-size-color-index)
-        const itemIndex = cartItems.findIndex((i, idx) => {
-          const iId = i._id || i.id || `${i.product || 'item'}-${i.size || 'default'}-${i.color || 'default'}-${idx}`
-          return iId === itemId
-        })
-        
-        if (itemIndex === -1) return
-        const item = cartItems[itemIndex]
-        
-        const newQuantity = item.quantity + change
-        if (newQuantity < 1) {
-          await removeItem(itemId)
-          return
-        }
-        
-        // Backend uses productId as itemId, but we need to handle size/color variants
-        // For now, update locally and reload from server
-        const updatedItems = [...cartItems]
-        updatedItems[itemIndex] = { ...item, quantity: newQuantity }
-        setCartItems(updatedItems)
-        
-        // Try to update via API using productId
-        if (item.product) {
-          try {
-            await cartAPI.updateItem(item.product, newQuantity)
-          } catch (apiErr) {
-            console.error('API update failed, will reload:', apiErr)
-          }
+    try {
+      // Find item by matching the itemId pattern (product-size-color-index)
+      const itemIndex = cartItems.findIndex((i, idx) => {
+        const iId = i._id || i.id || `${i.product || 'item'}-${i.size || 'default'}-${i.color || 'default'}-${idx}`
+        return iId === itemId
+      })
+      
+      if (itemIndex === -1) return
+      const item = cartItems[itemIndex]
+      
+      const newQuantity = item.quantity + change
+      if (newQuantity < 1) {
+        await removeItem(itemId)
+        return
+      }
+      
+      // Backend uses productId as itemId, but we need to handle size/color variants
+      // For now, update locally and reload from server
+      const updatedItems = [...cartItems]
+      updatedItems[itemIndex] = { ...item, quantity: newQuantity }
+      setCartItems(updatedItems)
+      
+      // Try to update via API using productId
+      if (item.product) {
+        try {
+          await cartAPI.updateItem(item.product, newQuantity)
+        } catch (apiErr) {
+          console.error('API update failed, will reload:', apiErr)
         }
-        
-        // Reload cart to ensure sync
-        setTimeout(() => loadCart(), 200)
-        
-        // Dispatch cart update event
-        window.dispatchEvent(new Event('cartUpdated'))
-      } catch (err) {
-        console.error('Failed to update quantity:', err)
-        showError('Failed to update quantity')
-        loadCart() // Reload on error
       }
-    } else {
-      // Guest cart - update localStorage
-      setCartItems(items => {
-        const updated = items.map(item => {
-          if ((item._id === itemId || item.id === itemId)) {
-            const newQuantity = item.quantity + change
-            return { ...item, quantity: Math.max(1, newQuantity) }
-          }
-          return item
-        })
-        localStorage.setItem('cart_guest', JSON.stringify(updated))
-        return updated
-      })
+      
+      // Reload cart to ensure sync
+      setTimeout(() => loadCart(), 200)
+      
+      // Dispatch cart update event
+      window.dispatchEvent(new Event('cartUpdated'))
+    } catch (err) {
+      console.error('Failed to update quantity:', err)
+      showError('Failed to update quantity')
+      loadCart() // Reload on error
     }
   }
 
   const removeItem = async (itemId) => {
-    if (isAuthenticated) {
-      try {
-        // Find item index
-        const itemIndex = cartItems.findIndex((i, idx) => {
-          const iId = i._id || i.id || `${i.product || 'item'}-${i.size || 'default'}-${i.color || 'default'}-${idx}`
-          return iId === itemId
-        })
-        
-        if (itemIndex === -1) return
-        
-        const item = cartItems[itemIndex]
-        
-        // Backend expects productId for removal, but we need to handle it differently
-        // Since items don't have IDs, we'll need to rebuild the items array without this item
-        const updatedItems = cartItems.filter((i, idx) => {
-          const iId = i._id || i.id || `${i.product || 'item'}-${i.size || 'default'}-${i.color || 'default'}-${idx}`
-          return iId !== itemId
-        })
-        
-        // Update cart via API - we'll need to send the updated items array
-        // For now, let's reload the cart after a brief delay
-        setCartItems(updatedItems)
-        
-        // Try to remove via API if item has product ID
-        if (item.product) {
-          try {
-            await cartAPI.removeItem(item.product) // Backend might need productId
-          } catch (apiErr) {
-            console.error('API remove failed, reloading cart:', apiErr)
-          }
+    try {
+      // Find item index
+      const itemIndex = cartItems.findIndex((i, idx) => {
+        const iId = i._id || i.id || `${i.product || 'item'}-${i.size || 'default'}-${i.color || 'default'}-${idx}`
+        return iId === itemId
+      })
+      
+      if (itemIndex === -1) return
+      
+      const item = cartItems[itemIndex]
+      
+      // Backend expects productId for removal, but we need to handle it differently
+      // Since items don't have IDs, we'll need to rebuild the items array without this item
+      const updatedItems = cartItems.filter((i, idx) => {
+        const iId = i._id || i.id || `${i.product || 'item'}-${i.size || 'default'}-${i.color || 'default'}-${idx}`
+        return iId !== itemId
+      })
+      
+      // Update cart via API - we'll need to send the updated items array
+      // For now, let's reload the cart after a brief delay
+      setCartItems(updatedItems)
+      
+      // Try to remove via API if item has product ID
+      if (item.product) {
+        try {
+          await cartAPI.removeItem(item.product) // Backend might need productId
+        } catch (apiErr) {
+          console.error('API remove failed, reloading cart:', apiErr)
         }
-        
-        // Reload cart to ensure sync
-        setTimeout(() => loadCart(), 100)
-        
-        success('Item removed from cart')
-        // Dispatch cart update event
-        window.dispatchEvent(new Event('cartUpdated'))
-      } catch (err) {
-        console.error('Failed to remove item:', err)
-        showError('Failed to remove item')
-        // Reload cart on error
-        loadCart()
       }
-    } else {
-      // Guest cart - update localStorage
-      setCartItems(items => {
-        const updated = items.filter(item => item._id !== itemId && item.id !== itemId)
-        localStorage.setItem('cart_guest', JSON.stringify(updated))
-        // Dispatch cart update event
-        window.dispatchEvent(new Event('cartUpdated'))
-        return updated
-      })
+      
+      // Reload cart to ensure sync
+      setTimeout(() => loadCart(), 100)
+      
+      success('Item removed from cart')
+      // Dispatch cart update event
+      window.dispatchEvent(new Event('cartUpdated'))
+    } catch (err) {
+      console.error('Failed to remove item:', err)
+      showError('Failed to remove item')
+      // Reload cart on error
+      loadCart()
     }
   }
 
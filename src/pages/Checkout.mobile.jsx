@@ -1,8 +1,8 @@
 import { useState, useEffect, useRef } from 'react'
 import { Link, useNavigate } from 'react-router-dom'
-import { CreditCard, ChevronDown, X, Smartphone, Building2, Wallet, Shield, CheckCircle2, User, Phone, Mail, MapPin, Tag, CheckCircle, IndianRupee, Package, ShoppingBag, Plus, Check, ChevronRight, ChevronLeft, ArrowLeft } from 'lucide-react'
+import { CreditCard, ChevronDown, X, Smartphone, Building2, Wallet, Shield, CheckCircle2, Banknote, User, Phone, Mail, MapPin, Tag, CheckCircle, IndianRupee, Package, ShoppingBag, Plus, Check, ChevronRight, ChevronLeft, ArrowLeft } from 'lucide-react'
 import { useAuth } from '../context/AuthContext'
-import { cartAPI, ordersAPI, couponsAPI, settingsAPI, addressesAPI, paymentAPI } from '../utils/api'
+import { cartAPI, ordersAPI, couponsAPI, addressesAPI, paymentAPI, shippingAPI } from '../utils/api'
 import { useToast } from '../components/Toast/ToastContainer'
 
 function CheckoutMobile() {
@@ -22,11 +22,8 @@ function CheckoutMobile() {
   const [loadingCoupons, setLoadingCoupons] = useState(false)
   const couponInputRef = useRef(null)
   const couponDropdownRef = useRef(null)
-  const [shippingCosts, setShippingCosts] = useState({
-    free: 0,
-    standard: 100,
-    express: 200
-  })
+  const [shippingQuote, setShippingQuote] = useState(null)
+  const [shippingQuoteError, setShippingQuoteError] = useState('')
   const [savedAddresses, setSavedAddresses] = useState([])
   const [selectedAddressId, setSelectedAddressId] = useState(null)
   const [showAddAddress, setShowAddAddress] = useState(false)
@@ -82,7 +79,6 @@ function CheckoutMobile() {
   // Load cart items and settings
   useEffect(() => {
     loadCart()
-    loadShippingSettings()
     if (isAuthenticated && user) {
       loadSavedAddresses()
       loadSavedPaymentMethods()
@@ -148,32 +144,41 @@ function CheckoutMobile() {
     }))
   }
 
-  const loadShippingSettings = async () => {
+  const loadShippingQuote = async () => {
     try {
-      const settings = await settingsAPI.getShipping()
-      if (settings) {
-        setShippingCosts(prev => ({
-          ...prev,
-          free: settings.freeShipping || 0,
-          standard: settings.standardShipping || 100,
-          express: settings.expressShipping || 200
+      const quote = await shippingAPI.getQuote({
+        pinCode: formData.zipCode,
+        method: formData.shippingMethod,
+        state: formData.state,
+        discount: goodsDiscount,
+        shippingDiscount,
+        paymentMethod: formData.paymentMethod,
+        // Signed-in users are quoted from their server-side cart
+        items: isAuthenticated ? [] : cartItems.map(item => ({
+          productId: item.product?._id || item.productId || item.id,
+          quantity: item.quantity
         }))
-      }
+      })
+      setShippingQuote(quote)
+      setShippingQuoteError('')
     } catch (err) {
-      console.error('Failed to load shipping settings:', err)
+      console.error('Failed to load shipping quote:', err)
+      if (formData.shippingMethod !== 'free') {
+        // The chosen method is not offered for this PIN code; fall back to the cheapest one
+        setFormData(prev => ({ ...prev, shippingMethod: 'free' }))
+      } else {
+        setShippingQuote(null)
+        setShippingQuoteError(err.message || 'Shipping is not available for this PIN code')
+      }
     }
   }
 
   const loadCart = async () => {
     try {
       setLoading(true)
-      if (isAuthenticated && user) {
-        const response = await cartAPI.get()
-        setCartItems(response.items || [])
-      } else {
-        const guestCart = JSON.parse(localStorage.getItem('cart_guest') || '[]')
-        setCartItems(guestCart)
-      }
+      // Guests have a server-side cart too (found by the guest token)
+      const response = await cartAPI.get()
+      setCartItems(response.items || [])
     } catch (err) {
       console.error('Failed to load cart:', err)
       showError('Failed to load cart')
@@ -292,8 +297,7 @@ function CheckoutMobile() {
     const price = item.product?.price || item.price || 0
     return sum + (price * item.quantity)
   }, 0)
-  const shipping = shippingCosts[formData.shippingMethod] || 0
-  const tax = subtotal * 0.18
+  const shipping = shippingQuote ? shippingQuote.cost : 0
   
   let couponDiscount = 0
   if (appliedCoupon) {
@@ -318,7 +322,58 @@ function CheckoutMobile() {
     }
   }
   
-  const total = Math.max(0, subtotal + shipping + tax - couponDiscount)
+  // Same formula as the server: GST (quoted by the server from each product's HSN slab) is charged
+  // after discounts, free shipping only waives shipping
+  const shippingDiscount = appliedCoupon?.type === 'free_shipping' ? couponDiscount : 0
+  const goodsDiscount = Math.min(couponDiscount - shippingDiscount, subtotal)
+  const tax = shippingQuote?.tax ? shippingQuote.tax.totals.tax : 0
+  const taxLabel = shippingQuote?.tax?.supplyType === 'intra-state' ? 'GST (CGST + SGST)' : 'GST (IGST)'
+  const codFee = shippingQuote?.codFee || 0
+  const codAvailable = Boolean(shippingQuote?.cod?.available)
+  const total = Math.max(0, subtotal - goodsDiscount + shipping - shippingDiscount + codFee + tax)
+
+  // Quote shipping and GST whenever the address, method, cart or discounts change; orders are charged by the same rules
+  useEffect(() => {
+    if (cartItems.length === 0) return
+    if (formData.zipCode && formData.zipCode.length !== 6) return
+    loadShippingQuote()
+  }, [formData.zipCode, formData.state, formData.shippingMethod, formData.paymentMethod, cartItems, isAuthenticated, goodsDiscount, shippingDiscount])
+
+  const renderShippingRows = () => (
+    <>
+      <div className="summary-row-mobile">
+        <span className="summary-label-mobile">Shipping{shippingQuote?.zone && shippingQuote.zone.id !== 'default' ? ` (${shippingQuote.zone.name})` : ''}</span>
+        <span className="summary-value-mobile">{shipping === 0 ? 'FREE' : `₹${shipping.toFixed(2)}`}</span>
+      </div>
+      {shippingQuote?.methods?.length > 1 && (
+        <div className="summary-row-mobile">
+          <select
+            value={shippingQuote.method}
+            onChange={(e) => setFormData(prev => ({ ...prev, shippingMethod: e.target.value }))}
+            style={{ width: '100%', padding: '6px 8px', borderRadius: '6px', border: '1px solid #e5e7eb' }}
+          >
+            {shippingQuote.methods.map(method => (
+              <option key={method.id} value={method.id}>
+                {method.name} - {method.cost === 0 ? 'FREE' : `₹${method.cost.toFixed(2)}`}
+                {method.estimatedDays ? ` (${method.estimatedDays})` : ''}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+      {codFee > 0 && (
+        <div className="summary-row-mobile">
+          <span className="summary-label-mobile">COD Fee</span>
+          <span className="summary-value-mobile">₹{codFee.toFixed(2)}</span>
+        </div>
+      )}
+      {shippingQuoteError && (
+        <div className="summary-row-mobile">
+          <span className="summary-label-mobile" style={{ color: '#dc2626' }}>{shippingQuoteError}</span>
+        </div>
+      )}
+    </>
+  )
 
   const handleApplyCoupon = async () => {
     if (!couponCode.trim()) {
@@ -375,14 +430,14 @@ function CheckoutMobile() {
       return
     }
 
-    if (!isAuthenticated) {
-      showError('Please login to place an order')
-      navigate('/dashboard', { state: { tab: 'login', redirectPath: window.location.pathname } })
+    if (!formData.name || !formData.mobile || !formData.address || !formData.city || !formData.state || !formData.zipCode) {
+      showError('Please fill in all required shipping address fields')
       return
     }
 
-    if (!formData.name || !formData.mobile || !formData.address || !formData.city || !formData.state || !formData.zipCode) {
-      showError('Please fill in all required shipping address fields')
+    // Guests look their order up later with this email
+    if (!isAuthenticated && !formData.email) {
+      showError('Please enter your email address so we can send you the order details')
       return
     }
 
@@ -391,23 +446,25 @@ function CheckoutMobile() {
       return
     }
 
-    const subtotal = cartItems.reduce((sum, item) => {
-      const price = parseFloat(item.product?.price || item.price || 0)
-      return sum + (price * item.quantity)
-    }, 0)
-
-    let shippingCost = 0
-    if (formData.shippingMethod === 'standard') shippingCost = shippingCosts.standard
-    else if (formData.shippingMethod === 'express') shippingCost = shippingCosts.express
-    else if (subtotal < 2000) shippingCost = shippingCosts.standard
+    if (shippingQuoteError) {
+      showError(shippingQuoteError)
+      return
+    }
 
-    const discount = appliedCoupon ? (subtotal * (appliedCoupon.discountPercent / 100)) : 0
-    const tax = (subtotal - discount) * 0.18
-    const total = subtotal - discount + shippingCost + tax
+    if (formData.paymentMethod === 'cod' && !codAvailable) {
+      showError(shippingQuote?.cod?.reason || 'Cash on Delivery is not available for this order')
+      return
+    }
 
     setSubmitting(true)
 
     try {
+      // Cash on Delivery orders are placed straight away and confirmed by the team
+      if (formData.paymentMethod === 'cod') {
+        await processOrderAfterPayment({}, total)
+        return
+      }
+
       if (useSavedPayment && selectedPaymentMethodId) {
         const savedMethod = savedPaymentMethods.find(m => (m.id || m._id) === selectedPaymentMethodId)
         if (savedMethod && formData.paymentMethod === 'card' && savedMethod.razorpayPaymentId) {
@@ -429,7 +486,8 @@ function CheckoutMobile() {
         const orderResponse = await paymentAPI.createRazorpayOrder({
           amount: Math.round(total),
           currency: 'INR',
-          receipt: `order_${Date.now()}`
+          receipt: `order_${Date.now()}`,
+          checkout: getCheckoutDetails()
         })
 
         if (!orderResponse.orderId) {
@@ -438,7 +496,7 @@ function CheckoutMobile() {
 
         const options = {
           key: import.meta.env.VITE_RAZORPAY_KEY_ID || '',
-          amount: Math.round(total * 100),
+          amount: orderResponse.amount,
           currency: 'INR',
           name: 'Arudhra Fashions',
           description: 'Order Payment',
@@ -490,7 +548,8 @@ function CheckoutMobile() {
       const orderResponse = await paymentAPI.createRazorpayOrder({
         amount: Math.round(total),
         currency: 'INR',
-        receipt: `order_${Date.now()}`
+        receipt: `order_${Date.now()}`,
+        checkout: getCheckoutDetails()
       })
 
       if (!orderResponse.orderId) {
@@ -499,7 +558,7 @@ function CheckoutMobile() {
 
       const options = {
         key: import.meta.env.VITE_RAZORPAY_KEY_ID || '',
-        amount: Math.round(total * 100),
+        amount: orderResponse.amount,
         currency: 'INR',
         name: 'Arudhra Fashions',
         description: 'Order Payment',
@@ -538,7 +597,8 @@ function CheckoutMobile() {
       const orderResponse = await paymentAPI.createRazorpayOrder({
         amount: Math.round(total),
         currency: 'INR',
-        receipt: `order_${Date.now()}`
+        receipt: `order_${Date.now()}`,
+        checkout: getCheckoutDetails()
       })
 
       if (!orderResponse.orderId) {
@@ -547,7 +607,7 @@ function CheckoutMobile() {
 
       const options = {
         key: import.meta.env.VITE_RAZORPAY_KEY_ID || '',
-        amount: Math.round(total * 100),
+        amount: orderResponse.amount,
         currency: 'INR',
         name: 'Arudhra Fashions',
         description: 'Order Payment',
@@ -583,6 +643,24 @@ function CheckoutMobile() {
     }
   }
 
+  // Checkout details stored with the Razorpay order so the payment webhook can
+  // still create the order if the browser never returns from the payment
+  const getCheckoutDetails = () => ({
+    shippingAddress: {
+      name: formData.name,
+      mobile: formData.mobile,
+      email: formData.email || null,
+      address: formData.address,
+      city: formData.city,
+      state: formData.state,
+      zipCode: formData.zipCode
+    },
+    shippingMethod: formData.shippingMethod || 'free',
+    couponCode: appliedCoupon?.code || null,
+    discount: couponDiscount || 0,
+    payment: { method: formData.paymentMethod }
+  })
+
   const processOrderAfterPayment = async (razorpayResponse, total, savedMethod = null) => {
     try {
       const orderItems = cartItems.map(item => ({
@@ -627,7 +705,7 @@ function CheckoutMobile() {
         payment: paymentData,
         shippingMethod: formData.shippingMethod || 'free',
         couponCode: appliedCoupon?.code || null,
-        discount: appliedCoupon ? (orderItems.reduce((sum, item) => sum + (parseFloat(item.price) * item.quantity), 0) * (appliedCoupon.discountPercent / 100)) : 0
+        discount: couponDiscount || 0
       }
 
       const order = await ordersAPI.create(orderData)
@@ -638,8 +716,15 @@ function CheckoutMobile() {
         console.error('Failed to clear cart:', err)
       }
       
-      success('Order placed successfully!')
-      navigate(`/order/${order._id || order.id || order.orderId}`)
+      success(formData.paymentMethod === 'cod'
+        ? 'Order placed! We will confirm your Cash on Delivery order shortly.'
+        : 'Order placed successfully!')
+      if (isAuthenticated) {
+        navigate(`/order/${order._id || order.id || order.orderId}`)
+      } else {
+        // Guests see the order through the public lookup, using the email they just gave
+        navigate(`/order/${order.orderId}`, { state: { email: formData.email } })
+      }
     } catch (err) {
       console.error('Failed to create order:', err)
       throw err
@@ -753,7 +838,12 @@ function CheckoutMobile() {
               </div>
 
               <div className="form-group-mobile">
-                <label>Email Address <span className="optional">(Optional)</span></label>
+                <label>
+                  Email Address{' '}
+                  {isAuthenticated
+                    ? <span className="optional">(Optional)</span>
+                    : <span className="required">*</span>}
+                </label>
                 <div className="input-with-icon-mobile">
                   <Mail size={18} className="input-icon-mobile" />
                   <input
@@ -761,10 +851,13 @@ function CheckoutMobile() {
                     name="email"
                     value={formData.email}
                     onChange={handleChange}
+                    required={!isAuthenticated}
                     placeholder="your@email.com"
                   />
                 </div>
-                <small className="form-hint-mobile">For order updates and tracking</small>
+                <small className="form-hint-mobile">
+                  {isAuthenticated ? 'For order updates and tracking' : 'For order updates, and to look up your order without an account'}
+                </small>
               </div>
             </div>
 
@@ -988,6 +1081,30 @@ function CheckoutMobile() {
                   </div>
                   <CheckCircle2 className="payment-check-icon-mobile" size={20} />
                 </label>
+                {shippingQuote?.cod && (
+                  <label className="payment-option-mobile" style={codAvailable ? undefined : { opacity: 0.6 }}>
+                    <input
+                      type="radio"
+                      name="paymentMethod"
+                      value="cod"
+                      checked={formData.paymentMethod === 'cod'}
+                      onChange={handleChange}
+                      disabled={!codAvailable}
+                    />
+                    <div className="payment-option-content-mobile">
+                      <Banknote size={24} />
+                      <div className="payment-option-text-mobile">
+                        <span className="payment-option-title-mobile">Cash on Delivery</span>
+                        <span className="payment-option-desc-mobile">
+                          {codAvailable
+                            ? (shippingQuote.cod.fee > 0 ? `Pay in cash at your door (₹${shippingQuote.cod.fee} COD fee)` : 'Pay in cash at your door')
+                            : shippingQuote.cod.reason}
+                        </span>
+                      </div>
+                    </div>
+                    <CheckCircle2 className="payment-check-icon-mobile" size={20} />
+                  </label>
+                )}
               </div>
             </div>
 
@@ -1569,12 +1686,9 @@ function CheckoutMobile() {
                   <span className="summary-value-mobile discount-value-mobile">-₹{couponDiscount.toFixed(2)}</span>
                 </div>
               )}
+              {renderShippingRows()}
               <div className="summary-row-mobile">
-                <span className="summary-label-mobile">Shipping</span>
-                <span className="summary-value-mobile">{shipping === 0 ? 'FREE' : `₹${shipping.toFixed(2)}`}</span>
-              </div>
-              <div className="summary-row-mobile">
-                <span className="summary-label-mobile">GST (18%)</span>
+                <span className="summary-label-mobile">{taxLabel}</span>
                 <span className="summary-value-mobile">₹{tax.toFixed(2)}</span>
               </div>
               <div className="summary-divider-mobile"></div>
@@ -1655,12 +1769,9 @@ function CheckoutMobile() {
                   <span className="summary-value-mobile discount-value-mobile">-₹{couponDiscount.toFixed(2)}</span>
                 </div>
               )}
+              {renderShippingRows()}
               <div className="summary-row-mobile">
-                <span className="summary-label-mobile">Shipping</span>
-                <span className="summary-value-mobile">{shipping === 0 ? 'FREE' : `₹${shipping.toFixed(2)}`}</span>
-              </div>
-              <div className="summary-row-mobile">
-                <span className="summary-label-mobile">GST (18%)</span>
+                <span className="summary-label-mobile">{taxLabel}</span>
                 <span className="summary-value-mobile">₹{tax.toFixed(2)}</span>
               </div>
               <div className="summary-divider-mobile"></div>
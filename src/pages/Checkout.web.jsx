@@ -1,9 +1,10 @@
 import { useState, useEffect, useRef, useMemo } from 'react'
 import { Link, useNavigate } from 'react-router-dom'
-import { CreditCard, Lock, ChevronDown, X, Smartphone, Building2, Wallet, Shield, CheckCircle2, User, Phone, Mail, MapPin, Tag, CheckCircle, IndianRupee, Package, ShoppingBag, FileText, Plus, Check, Coins, TrendingUp } from 'lucide-react'
+import { CreditCard, Lock, ChevronDown, X, Smartphone, Building2, Wallet, Shield, CheckCircle2, Banknote, User, Phone, Mail, MapPin, Tag, CheckCircle, IndianRupee, Package, ShoppingBag, FileText, Plus, Check, Coins, TrendingUp } from 'lucide-react'
 import { useAuth } from '../context/AuthContext'
-import { cartAPI, ordersAPI, couponsAPI, discountsAPI, settingsAPI, addressesAPI, paymentAPI, coinsAPI } from '../utils/api'
+import { cartAPI, ordersAPI, couponsAPI, discountsAPI, addressesAPI, paymentAPI, shippingAPI, coinsAPI } from '../utils/api'
 import { useToast } from '../components/Toast/ToastContainer'
+import { calculateEarnedCoins, getNextEarning } from '../utils/coinRules'
 
 function CheckoutWeb() {
   const { user, isAuthenticated, getGuestId } = useAuth()
@@ -18,7 +19,7 @@ function CheckoutWeb() {
   const [couponError, setCouponError] = useState('')
   const [validatingCoupon, setValidatingCoupon] = useState(false)
   const [coinBalance, setCoinBalance] = useState(0)
-  const [coinRules, setCoinRules] = useState({ earning: { threshold: 5000, coins: 10 }, redemption: { coins: 50, discountPercent: 5 } })
+  const [coinRules, setCoinRules] = useState({ earning: { type: 'flat', threshold: 5000, coins: 10 }, redemption: { coins: 50, discountPercent: 5 } })
   const [coinsToRedeem, setCoinsToRedeem] = useState(0)
   const [coinDiscount, setCoinDiscount] = useState(0)
   const [loadingCoins, setLoadingCoins] = useState(false)
@@ -35,11 +36,8 @@ function CheckoutWeb() {
   const couponInputRef = useRef(null)
   const couponDropdownRef = useRef(null)
   const discountDropdownRef = useRef(null)
-  const [shippingCosts, setShippingCosts] = useState({
-    free: 0,
-    standard: 100,
-    express: 200
-  })
+  const [shippingQuote, setShippingQuote] = useState(null)
+  const [shippingQuoteError, setShippingQuoteError] = useState('')
   const [savedAddresses, setSavedAddresses] = useState([])
   const [selectedAddressId, setSelectedAddressId] = useState(null)
   const [showAddAddress, setShowAddAddress] = useState(false)
@@ -102,7 +100,6 @@ function CheckoutWeb() {
   // Load cart items and settings
   useEffect(() => {
     loadCart()
-    loadShippingSettings()
     if (isAuthenticated && user) {
       loadSavedAddresses()
       loadSavedPaymentMethods()
@@ -301,35 +298,41 @@ function CheckoutWeb() {
     }))
   }
 
-  const loadShippingSettings = async () => {
+  const loadShippingQuote = async () => {
     try {
-      const settings = await settingsAPI.getShipping()
-      if (settings) {
-        setShippingCosts(prev => ({
-          ...prev,
-          free: settings.freeShipping || 0,
-          standard: settings.standardShipping || 100,
-          express: settings.expressShipping || 200
+      const quote = await shippingAPI.getQuote({
+        pinCode: formData.zipCode,
+        method: formData.shippingMethod,
+        state: formData.state,
+        discount: goodsDiscount,
+        shippingDiscount,
+        paymentMethod: formData.paymentMethod,
+        // Signed-in users are quoted from their server-side cart
+        items: isAuthenticated ? [] : cartItems.map(item => ({
+          productId: item.product?._id || item.productId || item.id,
+          quantity: item.quantity
         }))
-      }
+      })
+      setShippingQuote(quote)
+      setShippingQuoteError('')
     } catch (err) {
-      console.error('Failed to load shipping settings:', err)
-      // Use defaults
+      console.error('Failed to load shipping quote:', err)
+      if (formData.shippingMethod !== 'free') {
+        // The chosen method is not offered for this PIN code; fall back to the cheapest one
+        setFormData(prev => ({ ...prev, shippingMethod: 'free' }))
+      } else {
+        setShippingQuote(null)
+        setShippingQuoteError(err.message || 'Shipping is not available for this PIN code')
+      }
     }
   }
 
   const loadCart = async () => {
     try {
       setLoading(true)
-      if (isAuthenticated && user) {
-        // Load user cart from API
-        const response = await cartAPI.get()
-        setCartItems(response.items || [])
-      } else {
-        // Load guest cart from localStorage
-        const guestCart = JSON.parse(localStorage.getItem('cart_guest') || '[]')
-        setCartItems(guestCart)
-      }
+      // Guests have a server-side cart too (found by the guest token)
+      const response = await cartAPI.get()
+      setCartItems(response.items || [])
     } catch (err) {
       console.error('Failed to load cart:', err)
       showError('Failed to load cart')
@@ -489,15 +492,14 @@ function CheckoutWeb() {
   }, [])
 
   // Calculate totals (subtotal already calculated above with useMemo)
-  const shipping = shippingCosts[formData.shippingMethod] || 0
-  const tax = subtotal * 0.18
+  const shipping = shippingQuote ? shippingQuote.cost : 0
   
   // Calculate coupon discount properly
   let couponDiscount = 0
   if (appliedCoupon) {
     console.log('=== Calculating discount ===')
     console.log('Applied coupon:', JSON.stringify(appliedCoupon, null, 2))
-    console.log('Subtotal:', subtotal, 'Shipping:', shipping, 'Tax:', tax)
+    console.log('Subtotal:', subtotal, 'Shipping:', shipping)
     
     const discountValue = parseFloat(appliedCoupon.discount || 0)
     const couponType = appliedCoupon.type
@@ -569,24 +571,76 @@ function CheckoutWeb() {
     console.log(`Final discount discount: ₹${discountDiscount.toFixed(2)}`)
   }
   
-  const total = Math.max(0, subtotal + shipping + tax - couponDiscount - discountDiscount - coinDiscount)
+  // Same formula as the server: GST is charged on the goods after discounts (quoted by the
+  // server, which knows each product's HSN slab), and a free-shipping coupon only waives the shipping line
+  const shippingDiscount = appliedCoupon?.type === 'free_shipping' ? couponDiscount : 0
+  const goodsDiscount = Math.min(couponDiscount - shippingDiscount + discountDiscount + coinDiscount, subtotal)
+  const tax = shippingQuote?.tax ? shippingQuote.tax.totals.tax : 0
+  const taxLabel = shippingQuote?.tax?.supplyType === 'intra-state' ? 'GST (CGST + SGST)' : 'GST (IGST)'
+  const codFee = shippingQuote?.codFee || 0
+  const codAvailable = Boolean(shippingQuote?.cod?.available)
+  const total = Math.max(0, subtotal - goodsDiscount + shipping - shippingDiscount + codFee + tax)
+
+  // Quote shipping and GST whenever the address, method, cart or discounts change; orders are charged by the same rules
+  useEffect(() => {
+    if (cartItems.length === 0) return
+    if (formData.zipCode && formData.zipCode.length !== 6) return
+    loadShippingQuote()
+  }, [formData.zipCode, formData.state, formData.shippingMethod, formData.paymentMethod, cartItems, isAuthenticated, goodsDiscount, shippingDiscount])
   
-  // Calculate coins that will be earned from this purchase
+  // Calculate coins that will be earned from this purchase, and what spending more would earn
   const coinsToEarn = useMemo(() => {
     if (!isAuthenticated || !coinRules.earning) return 0
-    if (total >= coinRules.earning.threshold) {
-      return coinRules.earning.coins
-    }
-    return 0
+    return calculateEarnedCoins(total, coinRules.earning)
+  }, [total, coinRules.earning, isAuthenticated])
+  const nextEarning = useMemo(() => {
+    if (!isAuthenticated || !coinRules.earning) return null
+    return getNextEarning(total, coinRules.earning)
   }, [total, coinRules.earning, isAuthenticated])
   
   console.log(`=== Total Calculation ===`)
   console.log(`Subtotal: ₹${subtotal.toFixed(2)}`)
   console.log(`Shipping: ₹${shipping.toFixed(2)}`)
-  console.log(`Tax (18%): ₹${tax.toFixed(2)}`)
+  console.log(`Tax (${taxLabel}): ₹${tax.toFixed(2)}`)
   console.log(`Coupon Discount: -₹${couponDiscount.toFixed(2)}`)
   console.log(`TOTAL: ₹${total.toFixed(2)}`)
 
+  const renderShippingRows = () => (
+    <>
+      <div className="summary-row-enhanced">
+        <span className="summary-label">Shipping{shippingQuote?.zone && shippingQuote.zone.id !== 'default' ? ` (${shippingQuote.zone.name})` : ''}</span>
+        <span className="summary-value">{shipping === 0 ? 'FREE' : `₹${shipping.toFixed(2)}`}</span>
+      </div>
+      {shippingQuote?.methods?.length > 1 && (
+        <div className="summary-row-enhanced">
+          <select
+            value={shippingQuote.method}
+            onChange={(e) => setFormData(prev => ({ ...prev, shippingMethod: e.target.value }))}
+            style={{ width: '100%', padding: '6px 8px', borderRadius: '6px', border: '1px solid #e5e7eb' }}
+          >
+            {shippingQuote.methods.map(method => (
+              <option key={method.id} value={method.id}>
+                {method.name} - {method.cost === 0 ? 'FREE' : `₹${method.cost.toFixed(2)}`}
+                {method.estimatedDays ? ` (${method.estimatedDays})` : ''}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+      {codFee > 0 && (
+        <div className="summary-row-enhanced">
+          <span className="summary-label">COD Fee</span>
+          <span className="summary-value">₹{codFee.toFixed(2)}</span>
+        </div>
+      )}
+      {shippingQuoteError && (
+        <div className="summary-row-enhanced">
+          <span className="summary-label" style={{ color: '#dc2626' }}>{shippingQuoteError}</span>
+        </div>
+      )}
+    </>
+  )
+
   const handleApplyCoupon = async () => {
     if (!couponCode.trim()) {
       setCouponError('Please enter a coupon code')
@@ -713,41 +767,42 @@ function CheckoutWeb() {
       return
     }
 
-    if (!isAuthenticated) {
-      showError('Please login to place an order')
-      navigate('/dashboard', { state: { tab: 'login', redirectPath: window.location.pathname } })
-      return
-    }
-
     // Validate required fields
     if (!formData.name || !formData.mobile || !formData.address || !formData.city || !formData.state || !formData.zipCode) {
       showError('Please fill in all required shipping address fields')
       return
     }
 
+    // Guests look their order up later with this email
+    if (!isAuthenticated && !formData.email) {
+      showError('Please enter your email address so we can send you the order details')
+      return
+    }
+
     if (!formData.paymentMethod) {
       showError('Please select a payment method')
       return
     }
 
-    // Calculate order total
-    const subtotal = cartItems.reduce((sum, item) => {
-      const price = parseFloat(item.product?.price || item.price || 0)
-      return sum + (price * item.quantity)
-    }, 0)
-
-    let shippingCost = 0
-    if (formData.shippingMethod === 'standard') shippingCost = shippingCosts.standard
-    else if (formData.shippingMethod === 'express') shippingCost = shippingCosts.express
-    else if (subtotal < 2000) shippingCost = shippingCosts.standard
+    if (shippingQuoteError) {
+      showError(shippingQuoteError)
+      return
+    }
 
-    const discount = appliedCoupon ? (subtotal * (appliedCoupon.discountPercent / 100)) : 0
-    const tax = (subtotal - discount) * 0.18
-    const total = subtotal - discount + shippingCost + tax
+    if (formData.paymentMethod === 'cod' && !codAvailable) {
+      showError(shippingQuote?.cod?.reason || 'Cash on Delivery is not available for this order')
+      return
+    }
 
     setSubmitting(true)
 
     try {
+      // Cash on Delivery orders are placed straight away and confirmed by the team
+      if (formData.paymentMethod === 'cod') {
+        await processOrderAfterPayment({}, total)
+        return
+      }
+
       // If using saved payment method, use saved preferences
       if (useSavedPayment && selectedPaymentMethodId) {
         const savedMethod = savedPaymentMethods.find(m => (m.id || m._id) === selectedPaymentMethodId)
@@ -776,7 +831,8 @@ function CheckoutWeb() {
         const orderResponse = await paymentAPI.createRazorpayOrder({
           amount: Math.round(total),
           currency: 'INR',
-          receipt: `order_${Date.now()}`
+          receipt: `order_${Date.now()}`,
+          checkout: getCheckoutDetails()
         })
 
         if (!orderResponse.orderId) {
@@ -786,7 +842,7 @@ function CheckoutWeb() {
         // Open Razorpay checkout
         const options = {
           key: import.meta.env.VITE_RAZORPAY_KEY_ID || '',
-          amount: Math.round(total * 100), // Convert to paise
+          amount: orderResponse.amount, // In paise, priced by the server
           currency: 'INR',
           name: 'Arudhra Fashions',
           description: 'Order Payment',
@@ -807,6 +863,7 @@ function CheckoutWeb() {
           },
           modal: {
             ondismiss: function() {
+              releaseCoinHold(orderResponse.orderId)
               setSubmitting(false)
             }
           },
@@ -819,6 +876,7 @@ function CheckoutWeb() {
         razorpay.on('payment.failed', function(response) {
           console.error('Payment failed:', response.error)
           showError(response.error.description || 'Payment failed. Please try again.')
+          releaseCoinHold(orderResponse.orderId)
           setSubmitting(false)
         })
         razorpay.open()
@@ -840,7 +898,8 @@ function CheckoutWeb() {
       const orderResponse = await paymentAPI.createRazorpayOrder({
         amount: Math.round(total),
         currency: 'INR',
-        receipt: `order_${Date.now()}`
+        receipt: `order_${Date.now()}`,
+        checkout: getCheckoutDetails()
       })
 
       if (!orderResponse.orderId) {
@@ -852,7 +911,7 @@ function CheckoutWeb() {
       // We'll need to open checkout but pre-fill the saved card
       const options = {
         key: import.meta.env.VITE_RAZORPAY_KEY_ID || '',
-        amount: Math.round(total * 100),
+        amount: orderResponse.amount,
         currency: 'INR',
         name: 'Arudhra Fashions',
         description: 'Order Payment',
@@ -867,6 +926,7 @@ function CheckoutWeb() {
         },
         modal: {
           ondismiss: function() {
+            releaseCoinHold(orderResponse.orderId)
             setSubmitting(false)
           }
         },
@@ -878,6 +938,7 @@ function CheckoutWeb() {
       const razorpay = new window.Razorpay(options)
       razorpay.on('payment.failed', function(response) {
         showError(response.error.description || 'Payment failed. Please try again.')
+        releaseCoinHold(orderResponse.orderId)
         setSubmitting(false)
       })
       razorpay.open()
@@ -892,7 +953,8 @@ function CheckoutWeb() {
       const orderResponse = await paymentAPI.createRazorpayOrder({
         amount: Math.round(total),
         currency: 'INR',
-        receipt: `order_${Date.now()}`
+        receipt: `order_${Date.now()}`,
+        checkout: getCheckoutDetails()
       })
 
       if (!orderResponse.orderId) {
@@ -901,7 +963,7 @@ function CheckoutWeb() {
 
       const options = {
         key: import.meta.env.VITE_RAZORPAY_KEY_ID || '',
-        amount: Math.round(total * 100),
+        amount: orderResponse.amount,
         currency: 'INR',
         name: 'Arudhra Fashions',
         description: 'Order Payment',
@@ -918,6 +980,7 @@ function CheckoutWeb() {
         },
         modal: {
           ondismiss: function() {
+            releaseCoinHold(orderResponse.orderId)
             setSubmitting(false)
           }
         },
@@ -929,6 +992,7 @@ function CheckoutWeb() {
       const razorpay = new window.Razorpay(options)
       razorpay.on('payment.failed', function(response) {
         showError(response.error.description || 'Payment failed. Please try again.')
+        releaseCoinHold(orderResponse.orderId)
         setSubmitting(false)
       })
       razorpay.open()
@@ -937,22 +1001,45 @@ function CheckoutWeb() {
     }
   }
 
+  // Checkout details stored with the Razorpay order so the payment webhook can
+  // still create the order if the browser never returns from the payment
+  const getCheckoutDetails = () => ({
+    shippingAddress: {
+      name: formData.name,
+      mobile: formData.mobile,
+      email: formData.email || null,
+      address: formData.address,
+      city: formData.city,
+      state: formData.state,
+      zipCode: formData.zipCode
+    },
+    shippingMethod: formData.shippingMethod || 'free',
+    couponCode: appliedCoupon?.code || null,
+    discountCode: appliedDiscount?.code || null,
+    discount: couponDiscount || 0,
+    discountDiscount: discountDiscount || 0,
+    coinsRedeemed: coinsToRedeem > 0 && coinBalance >= coinsToRedeem ? coinsToRedeem : 0,
+    coinDiscount: coinDiscount || 0,
+    payment: { method: formData.paymentMethod }
+  })
+
+  // Coins are held when the Razorpay order is created and only spent once the order is
+  // placed; give them back straight away if the customer closes or fails the payment
+  const releaseCoinHold = async (razorpayOrderId) => {
+    if (!(coinsToRedeem > 0)) return
+    try {
+      await paymentAPI.releaseRazorpayOrder(razorpayOrderId)
+    } catch (err) {
+      // Held coins are also released by the payment webhook and when they go stale
+      console.error('Failed to release held coins:', err)
+    }
+    await loadCoinBalance()
+  }
+
   const processOrderAfterPayment = async (razorpayResponse, total, savedMethod = null) => {
     try {
-      // Redeem coins if any were selected
-      let redeemedCoins = 0
-      if (coinsToRedeem > 0 && coinBalance >= coinsToRedeem) {
-        try {
-          await coinsAPI.redeem(coinsToRedeem)
-          redeemedCoins = coinsToRedeem
-          // Reload coin balance
-          await loadCoinBalance()
-        } catch (err) {
-          console.error('Failed to redeem coins:', err)
-          showError('Failed to redeem coins. Please try again.')
-          throw err
-        }
-      }
+      // The coins held with the Razorpay order are committed when the order is created
+      const redeemedCoins = coinsToRedeem > 0 && coinBalance >= coinsToRedeem ? coinsToRedeem : 0
 
       // Prepare order items
       const orderItems = cartItems.map(item => ({
@@ -1001,7 +1088,8 @@ function CheckoutWeb() {
         discountCode: appliedDiscount?.code || null,
         discount: couponDiscount || 0,
         discountDiscount: discountDiscount || 0,
-        coinsRedeemed: redeemedCoins
+        coinsRedeemed: redeemedCoins,
+        coinDiscount: redeemedCoins > 0 ? coinDiscount : 0
       }
 
       // Create order via API
@@ -1014,8 +1102,15 @@ function CheckoutWeb() {
         console.error('Failed to clear cart:', err)
       }
       
-      success('Order placed successfully!')
-      navigate(`/order/${order._id || order.id || order.orderId}`)
+      success(formData.paymentMethod === 'cod'
+        ? 'Order placed! We will confirm your Cash on Delivery order shortly.'
+        : 'Order placed successfully!')
+      if (isAuthenticated) {
+        navigate(`/order/${order._id || order.id || order.orderId}`)
+      } else {
+        // Guests see the order through the public lookup, using the email they just gave
+        navigate(`/order/${order.orderId}`, { state: { email: formData.email } })
+      }
     } catch (err) {
       console.error('Failed to create order:', err)
       throw err
@@ -1118,7 +1213,12 @@ function CheckoutWeb() {
                   </div>
 
                   <div className="form-group">
-                    <label>Email Address <span className="optional">(Optional)</span></label>
+                    <label>
+                      Email Address{' '}
+                      {isAuthenticated
+                        ? <span className="optional">(Optional)</span>
+                        : <span className="required">*</span>}
+                    </label>
                     <div className="input-with-icon">
                       <Mail size={18} className="input-icon" />
                       <input
@@ -1126,10 +1226,13 @@ function CheckoutWeb() {
                         name="email"
                         value={formData.email}
                         onChange={handleChange}
+                        required={!isAuthenticated}
                         placeholder="your@email.com"
                       />
                     </div>
-                    <small className="input-hint">For order updates and tracking</small>
+                    <small className="input-hint">
+                      {isAuthenticated ? 'For order updates and tracking' : 'For order updates, and to look up your order without an account'}
+                    </small>
                   </div>
                 </div>
 
@@ -1354,6 +1457,30 @@ function CheckoutWeb() {
                       </div>
                       <CheckCircle2 className="payment-check-icon" size={20} />
                     </label>
+                    {shippingQuote?.cod && (
+                      <label className="payment-option" style={codAvailable ? undefined : { opacity: 0.6, cursor: 'not-allowed' }}>
+                        <input
+                          type="radio"
+                          name="paymentMethod"
+                          value="cod"
+                          checked={formData.paymentMethod === 'cod'}
+                          onChange={handleChange}
+                          disabled={!codAvailable}
+                        />
+                        <div className="payment-option-content">
+                          <Banknote size={24} />
+                          <div className="payment-option-text">
+                            <span className="payment-option-title">Cash on Delivery</span>
+                            <span className="payment-option-desc">
+                              {codAvailable
+                                ? (shippingQuote.cod.fee > 0 ? `Pay in cash at your door (₹${shippingQuote.cod.fee} COD fee)` : 'Pay in cash at your door')
+                                : shippingQuote.cod.reason}
+                            </span>
+                          </div>
+                        </div>
+                        <CheckCircle2 className="payment-check-icon" size={20} />
+                      </label>
+                    )}
                   </div>
                 </div>
 
@@ -1860,15 +1987,15 @@ function CheckoutWeb() {
                           <div className="coin-earning-preview-info">from this purchase</div>
                         </div>
                       </div>
-                    ) : total > 0 && coinRules.earning ? (
+                    ) : total > 0 && nextEarning ? (
                       <div className="coin-earning-preview-card coin-earning-preview-card-info">
                         <div className="coin-earning-preview-icon">
                           <Coins size={24} />
                         </div>
                         <div className="coin-earning-preview-content">
-                          <div className="coin-earning-preview-label">Earn {coinRules.earning.coins} coins</div>
+                          <div className="coin-earning-preview-label">Earn {nextEarning.coins} coins</div>
                           <div className="coin-earning-preview-info">
-                            Add ₹{(coinRules.earning.threshold - total).toFixed(2)} more to earn coins
+                            Add ₹{(nextEarning.amount - total).toFixed(2)} more to earn coins
                           </div>
                         </div>
                       </div>
@@ -2218,12 +2345,9 @@ function CheckoutWeb() {
                       </span>
                     </div>
                   )}
+                  {renderShippingRows()}
                   <div className="summary-row-enhanced">
-                    <span className="summary-label">Shipping</span>
-                    <span className="summary-value">{shipping === 0 ? 'FREE' : `₹${shipping.toFixed(2)}`}</span>
-                  </div>
-                  <div className="summary-row-enhanced">
-                    <span className="summary-label">GST (18%)</span>
+                    <span className="summary-label">{taxLabel}</span>
                     <span className="summary-value">₹{tax.toFixed(2)}</span>
                   </div>
                   <div className="summary-divider-enhanced"></div>
@@ -2504,12 +2628,9 @@ function CheckoutWeb() {
                   </span>
                 </div>
               )}
+              {renderShippingRows()}
               <div className="summary-row-enhanced">
-                <span className="summary-label">Shipping</span>
-                <span className="summary-value">{shipping === 0 ? 'FREE' : `₹${shipping.toFixed(2)}`}</span>
-              </div>
-              <div className="summary-row-enhanced">
-                <span className="summary-label">GST (18%)</span>
+                <span className="summary-label">{taxLabel}</span>
                 <span className="summary-value">₹{tax.toFixed(2)}</span>
               </div>
               <div className="summary-divider-enhanced"></div>
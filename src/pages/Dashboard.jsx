@@ -7,6 +7,10 @@ import { ordersAPI, addressesAPI, paymentAPI, authAPI, newsletterAPI, returnsAPI
 import { useAuth } from '../context/AuthContext'
 import { useLoginModal } from '../context/LoginModalContext'
 import { useToast } from '../components/Toast/ToastContainer'
+import { MAX_RETURN_PHOTOS } from '../utils/returnStatus'
+
+// lines: { [order line index]: { selected, quantity, exchangeVariantId } }
+const EMPTY_RETURN_FORM = { lines: {}, resolution: 'refund', reason: '', comment: '', photos: [] }
 
 function Dashboard() {
   const isMobile = useDevice()
@@ -69,14 +73,16 @@ function Dashboard() {
   const [loadingPreferences, setLoadingPreferences] = useState(false)
   const [showReturnForm, setShowReturnForm] = useState(false)
   const [selectedOrderForReturn, setSelectedOrderForReturn] = useState(null)
-  const [returnForm, setReturnForm] = useState({
-    orderId: '',
-    productId: '',
-    productName: '',
-    reason: '',
-    amount: ''
-  })
+  const [returnForm, setReturnForm] = useState(EMPTY_RETURN_FORM)
+  const [returnEligibility, setReturnEligibility] = useState(null)
+  const [submittingReturn, setSubmittingReturn] = useState(false)
+  const [uploadingReturnPhotos, setUploadingReturnPhotos] = useState(false)
   const [returns, setReturns] = useState([])
+  const [orderToCancel, setOrderToCancel] = useState(null)
+  const [cancelForm, setCancelForm] = useState({ reason: '', comment: '' })
+  const [cancellingOrder, setCancellingOrder] = useState(false)
+  const [sessions, setSessions] = useState([])
+  const [loadingSessions, setLoadingSessions] = useState(false)
 
   // Handle tab from location state
   useEffect(() => {
@@ -99,98 +105,140 @@ function Dashboard() {
     }
   }, [isAuthenticated])
 
-  const loadReturns = async () => {
+  // Signed-in devices are listed on the profile tab
+  useEffect(() => {
+    if (isAuthenticated && activeTab === 'profile') {
+      loadSessions()
+    }
+  }, [isAuthenticated, activeTab])
+
+  const loadSessions = async () => {
     try {
-      if (isAuthenticated) {
-        const returnsData = await returnsAPI.getAll()
-        setReturns(Array.isArray(returnsData) ? returnsData : [])
-      }
+      setLoadingSessions(true)
+      const data = await authAPI.getSessions()
+      setSessions(Array.isArray(data) ? data : [])
     } catch (err) {
-      console.error('Failed to load returns:', err)
+      console.error('Failed to load sessions:', err)
+    } finally {
+      setLoadingSessions(false)
     }
   }
 
-  // Helper function to check if order can be returned (within 24 hours of delivery)
-  const canReturnOrder = (order) => {
-    if (order.status !== 'Delivered') {
-      return { canReturn: false, message: 'Return requests can only be made for delivered orders' }
-    }
-
-    // Find when order was marked as "Delivered" from statusHistory
-    let deliveredDate = null
-    if (order.statusHistory && Array.isArray(order.statusHistory)) {
-      const deliveredStatus = order.statusHistory.find(
-        entry => entry.status === 'Delivered'
-      )
-      if (deliveredStatus && deliveredStatus.date) {
-        deliveredDate = new Date(deliveredStatus.date)
-      }
+  const handleRevokeSession = async (session) => {
+    if (session.current) {
+      handleLogout()
+      return
     }
-
-    // If not found in statusHistory, use updatedAt as fallback
-    if (!deliveredDate && order.updatedAt) {
-      deliveredDate = new Date(order.updatedAt)
+    try {
+      await authAPI.revokeSession(session.id)
+      setSessions(prev => prev.filter(s => s.id !== session.id))
+      showSuccessToast('Device signed out')
+    } catch (err) {
+      showError(err.message || 'Failed to sign out device')
     }
+  }
 
-    if (!deliveredDate) {
-      return { canReturn: false, message: 'Unable to determine delivery date' }
+  const handleRevokeOtherSessions = async () => {
+    try {
+      const data = await authAPI.revokeOtherSessions()
+      setSessions(prev => prev.filter(s => s.current))
+      showSuccessToast(data.message || 'Signed out of all other devices')
+    } catch (err) {
+      showError(err.message || 'Failed to sign out other devices')
     }
+  }
 
-    // Calculate hours since delivery
-    const now = new Date()
-    const hoursSinceDelivery = (now - deliveredDate) / (1000 * 60 * 60)
-
-    if (hoursSinceDelivery > 24) {
-      return { 
-        canReturn: false, 
-        message: 'Return requests must be submitted within 24 hours of delivery. The 24-hour window has expired.' 
+  const loadReturns = async () => {
+    try {
+      if (isAuthenticated) {
+        const returnsData = await returnsAPI.getAll()
+        setReturns(Array.isArray(returnsData) ? returnsData : [])
       }
+    } catch (err) {
+      console.error('Failed to load returns:', err)
     }
-
-    return { canReturn: true }
   }
 
-  const handleOrderSelectForReturn = (order) => {
-    const returnCheck = canReturnOrder(order)
-    if (!returnCheck.canReturn) {
-      showError(returnCheck.message)
+  // Return windows are per category, so the server works out what can be returned
+  const handleOrderSelectForReturn = async (order) => {
+    if (!['Delivered', 'Return Requested'].includes(order.status)) {
+      showError('Return requests can only be made for delivered orders')
       return
     }
+    setReturnForm(EMPTY_RETURN_FORM)
+    setReturnEligibility(null)
     setSelectedOrderForReturn(order)
     setShowReturnForm(true)
+
+    try {
+      const eligibility = await returnsAPI.getEligibility(order.orderId || order._id || order.id)
+      if (!eligibility.returnable) {
+        const reasons = [...new Set(eligibility.lines.map(line => line.ineligibleReason).filter(Boolean))]
+        showError(reasons.length === 1 ? reasons[0] : 'None of the items on this order can be returned')
+        setShowReturnForm(false)
+        return
+      }
+      setReturnEligibility(eligibility)
+    } catch (err) {
+      console.error('Failed to load return eligibility:', err)
+      showError(err.message || 'Failed to load order items')
+      setShowReturnForm(false)
+    }
   }
 
-  const handleProductSelectForReturn = (item) => {
-    setReturnForm(prev => ({
-      ...prev,
-      orderId: selectedOrderForReturn.orderId || selectedOrderForReturn._id || selectedOrderForReturn.id,
-      productId: item.product || item.productId,
-      productName: item.name,
-      amount: item.price * item.quantity
-    }))
+  const handleReturnPhotosSelected = async (files) => {
+    if (files.length === 0) return
+    const room = MAX_RETURN_PHOTOS - returnForm.photos.length
+    if (files.length > room) {
+      showError(`You can attach up to ${MAX_RETURN_PHOTOS} photos`)
+      return
+    }
+
+    setUploadingReturnPhotos(true)
+    try {
+      const { photos } = await returnsAPI.uploadPhotos(files)
+      setReturnForm(prev => ({ ...prev, photos: [...prev.photos, ...photos] }))
+    } catch (err) {
+      console.error('Failed to upload return photos:', err)
+      showError(err.message || 'Failed to upload photos')
+    } finally {
+      setUploadingReturnPhotos(false)
+    }
   }
 
   const handleSubmitReturn = async (e) => {
     e.preventDefault()
-    if (!returnForm.orderId || !returnForm.productId || !returnForm.reason || !returnForm.amount) {
-      showError('Please fill in all required fields')
+    const items = Object.entries(returnForm.lines)
+      .filter(([, line]) => line.selected)
+      .map(([lineIndex, line]) => ({
+        lineIndex: parseInt(lineIndex),
+        quantity: line.quantity || 1,
+        ...(returnForm.resolution === 'exchange' && { exchangeVariantId: line.exchangeVariantId })
+      }))
+
+    if (items.length === 0 || !returnForm.reason) {
+      showError('Please choose the items to return and a reason')
       return
     }
-
-    // Double-check 24-hour window before submitting
-    if (selectedOrderForReturn) {
-      const returnCheck = canReturnOrder(selectedOrderForReturn)
-      if (!returnCheck.canReturn) {
-        showError(returnCheck.message)
-        return
-      }
+    if (returnForm.resolution === 'exchange' && items.some(item => !item.exchangeVariantId)) {
+      showError('Please choose the size or colour you want instead')
+      return
     }
 
+    setSubmittingReturn(true)
     try {
-      await returnsAPI.create(returnForm)
+      await returnsAPI.create({
+        orderId: selectedOrderForReturn.orderId || selectedOrderForReturn._id || selectedOrderForReturn.id,
+        items,
+        resolution: returnForm.resolution,
+        reason: returnForm.reason,
+        comment: returnForm.comment,
+        photos: returnForm.photos
+      })
       showSuccessToast('Return request submitted successfully')
       setShowReturnForm(false)
-      setReturnForm({ orderId: '', productId: '', productName: '', reason: '', amount: '' })
+      setReturnForm(EMPTY_RETURN_FORM)
+      setReturnEligibility(null)
       setSelectedOrderForReturn(null)
       loadReturns()
       loadOrders()
@@ -198,6 +246,40 @@ function Dashboard() {
       console.error('Failed to submit return:', err)
       const errorMessage = err.message || 'Failed to submit return request'
       showError(errorMessage)
+    } finally {
+      setSubmittingReturn(false)
+    }
+  }
+
+  const handleOrderSelectForCancel = (order) => {
+    setCancelForm({ reason: '', comment: '' })
+    setOrderToCancel(order)
+  }
+
+  const handleSubmitCancel = async (e) => {
+    e.preventDefault()
+    if (!cancelForm.reason) {
+      showError('Please choose a reason for cancelling')
+      return
+    }
+    if (cancelForm.reason === 'Other' && !cancelForm.comment.trim()) {
+      showError('Please tell us why you are cancelling')
+      return
+    }
+
+    try {
+      setCancellingOrder(true)
+      const cancelled = await ordersAPI.cancel(orderToCancel._id || orderToCancel.id, cancelForm.reason, cancelForm.comment)
+      showSuccessToast(cancelled.payment?.refundStatus
+        ? 'Order cancelled. Your refund has been started and reaches your account in 5-7 working days.'
+        : 'Order cancelled successfully')
+      setOrderToCancel(null)
+      loadOrders()
+    } catch (err) {
+      console.error('Failed to cancel order:', err)
+      showError(err.message || 'Failed to cancel order')
+    } finally {
+      setCancellingOrder(false)
     }
   }
 
@@ -374,7 +456,8 @@ function Dashboard() {
     
     try {
       await changePassword(passwordForm.currentPassword, passwordForm.newPassword)
-      showSuccessToast('Password changed successfully!')
+      showSuccessToast('Password changed successfully! Other devices have been signed out.')
+      setSessions(prev => prev.filter(s => s.current))
       setShowChangePassword(false)
       setPasswordForm({
         currentPassword: '',
@@ -452,9 +535,23 @@ function Dashboard() {
         handleOrderSelectForReturn={handleOrderSelectForReturn}
         returnForm={returnForm}
         setReturnForm={setReturnForm}
-        handleProductSelectForReturn={handleProductSelectForReturn}
+        returnEligibility={returnEligibility}
+        handleReturnPhotosSelected={handleReturnPhotosSelected}
+        submittingReturn={submittingReturn}
+        uploadingReturnPhotos={uploadingReturnPhotos}
         handleSubmitReturn={handleSubmitReturn}
         returns={returns}
+        orderToCancel={orderToCancel}
+        setOrderToCancel={setOrderToCancel}
+        cancelForm={cancelForm}
+        setCancelForm={setCancelForm}
+        cancellingOrder={cancellingOrder}
+        handleOrderSelectForCancel={handleOrderSelectForCancel}
+        handleSubmitCancel={handleSubmitCancel}
+        sessions={sessions}
+        loadingSessions={loadingSessions}
+        handleRevokeSession={handleRevokeSession}
+        handleRevokeOtherSessions={handleRevokeOtherSessions}
       />
     )
   }
@@ -522,9 +619,23 @@ function Dashboard() {
       handleOrderSelectForReturn={handleOrderSelectForReturn}
       returnForm={returnForm}
       setReturnForm={setReturnForm}
-      handleProductSelectForReturn={handleProductSelectForReturn}
+      returnEligibility={returnEligibility}
+      handleReturnPhotosSelected={handleReturnPhotosSelected}
+      submittingReturn={submittingReturn}
+      uploadingReturnPhotos={uploadingReturnPhotos}
       handleSubmitReturn={handleSubmitReturn}
       returns={returns}
+      orderToCancel={orderToCancel}
+      setOrderToCancel={setOrderToCancel}
+      cancelForm={cancelForm}
+      setCancelForm={setCancelForm}
+      cancellingOrder={cancellingOrder}
+      handleOrderSelectForCancel={handleOrderSelectForCancel}
+      handleSubmitCancel={handleSubmitCancel}
+      sessions={sessions}
+      loadingSessions={loadingSessions}
+      handleRevokeSession={handleRevokeSession}
+      handleRevokeOtherSessions={handleRevokeOtherSessions}
     />
   )
 }
@@ -1,12 +1,17 @@
 import { useState, useEffect, useRef } from 'react'
 import { Link, useNavigate, useLocation } from 'react-router-dom'
-import { Package, User, MapPin, CreditCard, Settings, LogOut, Lock, Truck, Search, CheckCircle, Download, Eye, EyeOff, LogIn, Plus, Shield, Smartphone, Building2, Wallet, Mail, AlertTriangle, ChevronRight, Edit2, Trash2, X, RotateCcw, Coins } from 'lucide-react'
+import { Package, User, MapPin, CreditCard, Settings, LogOut, Lock, Truck, Search, CheckCircle, Download, Eye, EyeOff, LogIn, Plus, Shield, Smartphone, Building2, Wallet, Mail, AlertTriangle, ChevronRight, Edit2, Trash2, X, RotateCcw, Coins, XCircle } from 'lucide-react'
 import { useAuth } from '../context/AuthContext'
 import { useLoginModal } from '../context/LoginModalContext'
 import ConfirmationModal from '../components/Modal/ConfirmationModal'
+import CancelOrderModal from '../components/Modal/CancelOrderModal'
+import ReturnRequestModal from '../components/Modal/ReturnRequestModal'
 import { useToast } from '../components/Toast/ToastContainer'
-import { ordersAPI, addressesAPI, paymentAPI, cartAPI, authAPI, newsletterAPI, returnsAPI, coinsAPI } from '../utils/api'
+import { ordersAPI, addressesAPI, paymentAPI, cartAPI, authAPI, newsletterAPI, coinsAPI } from '../utils/api'
 import CoinsTab from '../components/CoinsTab'
+import ActiveSessions from '../components/ActiveSessions'
+import { getStatusClass, getProgressSteps, canCancelOrder } from '../utils/orderStatus'
+import { getReturnStatusLabel, getReturnStatusClass, getReturnProgressSteps } from '../utils/returnStatus'
 
 function DashboardMobile({
   orders = [],
@@ -70,9 +75,23 @@ function DashboardMobile({
   handleOrderSelectForReturn,
   returnForm,
   setReturnForm,
-  handleProductSelectForReturn,
+  returnEligibility,
+  handleReturnPhotosSelected,
+  submittingReturn,
+  uploadingReturnPhotos,
   handleSubmitReturn,
-  returns = []
+  returns = [],
+  orderToCancel,
+  setOrderToCancel,
+  cancelForm,
+  setCancelForm,
+  cancellingOrder,
+  handleOrderSelectForCancel,
+  handleSubmitCancel,
+  sessions = [],
+  loadingSessions = false,
+  handleRevokeSession,
+  handleRevokeOtherSessions
 }) {
   const { logout, updateProfile, changePassword } = useAuth()
   const navigate = useNavigate()
@@ -129,15 +148,6 @@ function DashboardMobile({
   const [localNewsletterStatus, setLocalNewsletterStatus] = useState(newsletterStatus || { subscribed: false, email: null })
   const [localLoadingPreferences, setLocalLoadingPreferences] = useState(loadingPreferences || false)
   const [localShowDeleteModal, setLocalShowDeleteModal] = useState(showDeleteModal || false)
-  const [localShowReturnForm, setLocalShowReturnForm] = useState(showReturnForm || false)
-  const [localSelectedOrderForReturn, setLocalSelectedOrderForReturn] = useState(selectedOrderForReturn || null)
-  const [localReturnForm, setLocalReturnForm] = useState(returnForm || {
-    orderId: '',
-    productId: '',
-    productName: '',
-    reason: '',
-    amount: ''
-  })
   const [localReturns, setLocalReturns] = useState(returns || [])
   
   // Local state fallbacks (only used if props not provided)
@@ -689,8 +699,8 @@ function DashboardMobile({
                             })}
                           </p>
                         </div>
-                        <span className={`order-status-badge-mobile ${(order.status || 'Processing').toLowerCase()}`}>
-                          {order.status || 'Processing'}
+                        <span className={`order-status-badge-mobile ${getStatusClass(order.status)}`}>
+                          {order.status || 'Confirmed'}
                         </span>
                       </div>
                       <div className="order-card-body-mobile">
@@ -728,6 +738,12 @@ function DashboardMobile({
                           <Download size={16} />
                           Invoice
                         </button>
+                        {canCancelOrder(order) && (
+                          <button className="btn btn-outline btn-sm-mobile" onClick={() => handleOrderSelectForCancel(order)}>
+                            <XCircle size={16} />
+                            Cancel
+                          </button>
+                        )}
                         {order.trackingNumber && (
                           <Link to={`/track/${order.trackingNumber}`} className="btn btn-primary btn-sm-mobile">
                             Track
@@ -742,6 +758,15 @@ function DashboardMobile({
           </div>
         )}
 
+        <CancelOrderModal
+          order={orderToCancel}
+          form={cancelForm}
+          setForm={setCancelForm}
+          onClose={() => setOrderToCancel(null)}
+          onSubmit={handleSubmitCancel}
+          submitting={cancellingOrder}
+        />
+
         {/* Profile Tab */}
         {activeTab === 'profile' && (
           <div className="dashboard-section-mobile">
@@ -898,6 +923,19 @@ function DashboardMobile({
                 </form>
               )}
             </div>
+
+            <div className="profile-card-mobile">
+              <div className="card-header-mobile">
+                <h3>Signed-in Devices</h3>
+                <p className="card-description-mobile">Sign out of any device you don't recognise</p>
+              </div>
+              <ActiveSessions
+                sessions={sessions}
+                loading={loadingSessions}
+                onRevoke={handleRevokeSession}
+                onRevokeOthers={handleRevokeOtherSessions}
+              />
+            </div>
           </div>
         )}
 
@@ -1731,18 +1769,13 @@ function DashboardMobile({
                                 </p>
                               ) : null}
                             </div>
-                            <span className={`order-status-badge-mobile ${(order.status || 'Processing').toLowerCase()}`}>
-                              {order.status || 'Processing'}
+                            <span className={`order-status-badge-mobile ${getStatusClass(order.status)}`}>
+                              {order.status || 'Confirmed'}
                             </span>
                           </div>
 
                           <div className="status-timeline-mobile">
-                            {[
-                              { label: 'Placed', status: 'completed' },
-                              { label: 'Processing', status: (order.status?.toLowerCase() === 'processing' || order.status?.toLowerCase() === 'shipped' || order.status?.toLowerCase() === 'delivered') ? 'completed' : 'pending' },
-                              { label: 'Shipped', status: (order.status?.toLowerCase() === 'shipped' || order.status?.toLowerCase() === 'delivered') ? 'completed' : 'pending' },
-                              { label: 'Delivered', status: order.status?.toLowerCase() === 'delivered' ? 'completed' : 'pending' }
-                            ].map((step, index) => (
+                            {getProgressSteps(order.status).map((step, index) => (
                               <div key={index} className={`timeline-step-mobile ${step.status}`}>
                                 <div className="timeline-marker-mobile">
                                   {step.status === 'completed' ? (
@@ -1786,8 +1819,8 @@ function DashboardMobile({
                             {new Date(ret.requestedAt || ret.createdAt).toLocaleDateString()}
                           </p>
                         </div>
-                        <span className={`order-status-badge-mobile ${ret.status}`}>
-                          {ret.status}
+                        <span className={`order-status-badge-mobile return-status ${getReturnStatusClass(ret.status)}`}>
+                          {getReturnStatusLabel(ret.status)}
                         </span>
                       </div>
                       <div className="order-card-body-mobile">
@@ -1795,18 +1828,55 @@ function DashboardMobile({
                           <span className="order-info-label">Order ID:</span>
                           <span className="order-info-value">{ret.orderId}</span>
                         </div>
-                        <div className="order-info-row-mobile">
-                          <span className="order-info-label">Product:</span>
-                          <span className="order-info-value">{ret.productName}</span>
-                        </div>
+                        {(ret.items?.length ? ret.items : [{ name: ret.productName, quantity: 1 }]).map((line, idx) => (
+                          <div key={idx} className="order-info-row-mobile">
+                            <span className="order-info-label">
+                              {line.name}
+                              {[line.size, line.color].filter(Boolean).length > 0 && ` (${[line.size, line.color].filter(Boolean).join(' / ')})`}
+                            </span>
+                            <span className="order-info-value">
+                              {line.quantity}x
+                              {ret.resolution === 'exchange' && line.exchangeVariantId &&
+                                ` → ${[line.exchangeSize, line.exchangeColor].filter(Boolean).join(' / ')}`}
+                            </span>
+                          </div>
+                        ))}
                         <div className="order-info-row-mobile">
                           <span className="order-info-label">Reason:</span>
                           <span className="order-info-value">{ret.reason}</span>
                         </div>
                         <div className="order-info-row-mobile">
-                          <span className="order-info-label">Amount:</span>
+                          <span className="order-info-label">{ret.resolution === 'exchange' ? 'Exchange:' : 'Refund:'}</span>
                           <span className="order-info-value">₹{parseFloat(ret.amount).toLocaleString()}</span>
                         </div>
+                        {ret.status === 'pickup_scheduled' && ret.pickup?.date && (
+                          <div className="order-info-row-mobile">
+                            <span className="order-info-label">Pickup:</span>
+                            <span className="order-info-value">
+                              {new Date(ret.pickup.date).toLocaleDateString('en-IN', { dateStyle: 'medium' })}
+                              {ret.pickup.courier && ` · ${ret.pickup.courier}`}
+                            </span>
+                          </div>
+                        )}
+                        {ret.status === 'qc_failed' && ret.qcNotes && (
+                          <p className="order-info-label">{ret.qcNotes}</p>
+                        )}
+                        <div className="timeline-compact return-timeline">
+                          {getReturnProgressSteps(ret).map((step, index) => (
+                            <div key={index} className={`timeline-step-compact ${step.status}`}>
+                              <div className="timeline-marker-compact">
+                                {step.status === 'completed' ? (
+                                  <CheckCircle size={14} />
+                                ) : step.status === 'failed' ? (
+                                  <XCircle size={14} />
+                                ) : (
+                                  <div className="timeline-dot-compact"></div>
+                                )}
+                              </div>
+                              <span className="timeline-label">{step.label}</span>
+                            </div>
+                          ))}
+                        </div>
                       </div>
                     </div>
                   ))}
@@ -1845,8 +1915,8 @@ function DashboardMobile({
                             })}
                           </p>
                         </div>
-                        <span className={`order-status-badge-mobile ${(order.status || 'Processing').toLowerCase()}`}>
-                          {order.status || 'Processing'}
+                        <span className={`order-status-badge-mobile ${getStatusClass(order.status)}`}>
+                          {order.status || 'Confirmed'}
                         </span>
                       </div>
                       <div className="order-card-body-mobile">
@@ -1875,14 +1945,7 @@ function DashboardMobile({
                           View Details
                         </Link>
                         <button 
-                          onClick={() => {
-                            if (handleOrderSelectForReturn) {
-                              handleOrderSelectForReturn(order)
-                            } else {
-                              setLocalSelectedOrderForReturn(order)
-                              setLocalShowReturnForm(true)
-                            }
-                          }}
+                          onClick={() => handleOrderSelectForReturn(order)}
                           className="btn btn-primary btn-sm-mobile"
                         >
                           Request Return
@@ -1895,132 +1958,18 @@ function DashboardMobile({
             )}
 
             {/* Return Form Modal */}
-            {(showReturnForm || localShowReturnForm) && (selectedOrderForReturn || localSelectedOrderForReturn) && (
-              <div className="modal-overlay" onClick={() => {
-                if (setShowReturnForm) {
-                  setShowReturnForm(false)
-                } else {
-                  setLocalShowReturnForm(false)
-                }
-              }}>
-                <div className="modal-content" onClick={(e) => e.stopPropagation()}>
-                  <div className="modal-header">
-                    <h2>Request Return</h2>
-                    <button className="modal-close" onClick={() => {
-                      if (setShowReturnForm) {
-                        setShowReturnForm(false)
-                      } else {
-                        setLocalShowReturnForm(false)
-                      }
-                    }}>
-                      ×
-                    </button>
-                  </div>
-                  <form onSubmit={(e) => {
-                    if (handleSubmitReturn) {
-                      handleSubmitReturn(e)
-                    } else {
-                      e.preventDefault()
-                      const currentReturnForm = returnForm || localReturnForm
-                      const currentSelectedOrder = selectedOrderForReturn || localSelectedOrderForReturn
-                      if (!currentReturnForm.orderId || !currentReturnForm.productId || !currentReturnForm.reason || !currentReturnForm.amount) {
-                        showError('Please fill in all required fields')
-                        return
-                      }
-                      returnsAPI.create(currentReturnForm)
-                        .then(() => {
-                          showSuccessToast('Return request submitted successfully')
-                          setLocalShowReturnForm(false)
-                          setLocalReturnForm({ orderId: '', productId: '', productName: '', reason: '', amount: '' })
-                          setLocalSelectedOrderForReturn(null)
-                          loadOrdersFinal()
-                        })
-                        .catch((err) => {
-                          console.error('Failed to submit return:', err)
-                          showError('Failed to submit return request')
-                        })
-                    }
-                  }} className="modal-body">
-                    <div className="form-group">
-                      <label>Select Product *</label>
-                      <select
-                        value={(returnForm || localReturnForm).productId}
-                        onChange={(e) => {
-                          const currentSelectedOrder = selectedOrderForReturn || localSelectedOrderForReturn
-                          const item = currentSelectedOrder.items?.find(i => 
-                            (i.product || i.productId) === e.target.value
-                          )
-                          if (item) {
-                            if (handleProductSelectForReturn) {
-                              handleProductSelectForReturn(item)
-                            } else {
-                              setLocalReturnForm(prev => ({
-                                ...prev,
-                                orderId: currentSelectedOrder.orderId || currentSelectedOrder._id || currentSelectedOrder.id,
-                                productId: item.product || item.productId,
-                                productName: item.name,
-                                amount: item.price * item.quantity
-                              }))
-                            }
-                          }
-                        }}
-                        required
-                      >
-                        <option value="">Select a product</option>
-                        {(selectedOrderForReturn || localSelectedOrderForReturn).items?.map((item, idx) => (
-                          <option key={idx} value={item.product || item.productId}>
-                            {item.name} - ₹{parseFloat(item.price * item.quantity).toLocaleString()}
-                          </option>
-                        ))}
-                      </select>
-                    </div>
-                    <div className="form-group">
-                      <label>Reason for Return *</label>
-                      <select
-                        value={(returnForm || localReturnForm).reason}
-                        onChange={(e) => {
-                          if (setReturnForm) {
-                            setReturnForm(prev => ({ ...prev, reason: e.target.value }))
-                          } else {
-                            setLocalReturnForm(prev => ({ ...prev, reason: e.target.value }))
-                          }
-                        }}
-                        required
-                      >
-                        <option value="">Select reason</option>
-                        <option value="Size not fitting">Size not fitting</option>
-                        <option value="Changed mind">Changed mind</option>
-                        <option value="Defective item">Defective item</option>
-                        <option value="Wrong item received">Wrong item received</option>
-                        <option value="Quality issues">Quality issues</option>
-                        <option value="Other">Other</option>
-                      </select>
-                    </div>
-                    <div className="form-group">
-                      <label>Refund Amount</label>
-                      <input
-                        type="text"
-                        value={`₹${parseFloat((returnForm || localReturnForm).amount || 0).toLocaleString()}`}
-                        disabled
-                      />
-                    </div>
-                    <div className="modal-footer">
-                      <button type="button" className="btn btn-outline" onClick={() => {
-                        if (setShowReturnForm) {
-                          setShowReturnForm(false)
-                        } else {
-                          setLocalShowReturnForm(false)
-                        }
-                      }}>
-                        Cancel
-                      </button>
-                      <button type="submit" className="btn btn-primary">
-                        Submit Return Request
-                      </button>
-                    </div>
-                  </form>
-                </div>
-              </div>
+            {showReturnForm && (
+              <ReturnRequestModal
+                order={selectedOrderForReturn}
+                eligibility={returnEligibility}
+                form={returnForm}
+                setForm={setReturnForm}
+                onClose={() => setShowReturnForm(false)}
+                onSubmit={handleSubmitReturn}
+                onPhotosSelected={handleReturnPhotosSelected}
+                submitting={submittingReturn}
+                uploadingPhotos={uploadingReturnPhotos}
+              />
             )}
           </div>
         )}
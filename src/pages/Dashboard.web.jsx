@@ -1,13 +1,18 @@
 import { useState, useEffect, useRef } from 'react'
 import { Link, useNavigate, useLocation } from 'react-router-dom'
 import { returnsAPI } from '../utils/api'
-import { Package, User, MapPin, CreditCard, Settings, LogOut, Lock, Truck, Search, CheckCircle, Download, Eye, EyeOff, LogIn, Plus, Shield, Smartphone, Building2, Wallet, Mail, AlertTriangle, RotateCcw, Coins } from 'lucide-react'
+import { Package, User, MapPin, CreditCard, Settings, LogOut, Lock, Truck, Search, CheckCircle, Download, Eye, EyeOff, LogIn, Plus, Shield, Smartphone, Building2, Wallet, Mail, AlertTriangle, RotateCcw, Coins, XCircle } from 'lucide-react'
 import { useAuth } from '../context/AuthContext'
 import { useLoginModal } from '../context/LoginModalContext'
 import ConfirmationModal from '../components/Modal/ConfirmationModal'
+import CancelOrderModal from '../components/Modal/CancelOrderModal'
+import ReturnRequestModal from '../components/Modal/ReturnRequestModal'
 import { useToast } from '../components/Toast/ToastContainer'
 import { ordersAPI, addressesAPI, paymentAPI, cartAPI, authAPI, newsletterAPI, coinsAPI } from '../utils/api'
 import CoinsTab from '../components/CoinsTab'
+import ActiveSessions from '../components/ActiveSessions'
+import { getStatusClass, getProgressSteps, canCancelOrder } from '../utils/orderStatus'
+import { getReturnStatusLabel, getReturnStatusClass, getReturnProgressSteps } from '../utils/returnStatus'
 
 function DashboardWeb({ 
   orders, addresses, paymentMethods, loading, 
@@ -24,7 +29,11 @@ function DashboardWeb({
   loadAddresses, loadPaymentMethods, showDeleteModal, setShowDeleteModal,
   showSuccessToast, showError, user, isAuthenticated, openModal,
   showReturnForm, setShowReturnForm, selectedOrderForReturn, handleOrderSelectForReturn,
-  returnForm, setReturnForm, handleProductSelectForReturn, handleSubmitReturn, returns
+  returnForm, setReturnForm, returnEligibility, handleReturnPhotosSelected, submittingReturn,
+  uploadingReturnPhotos, handleSubmitReturn, returns,
+  orderToCancel, setOrderToCancel, cancelForm, setCancelForm, cancellingOrder,
+  handleOrderSelectForCancel, handleSubmitCancel,
+  sessions, loadingSessions, handleRevokeSession, handleRevokeOtherSessions
 }) {
   const navigate = useNavigate()
   const location = useLocation()
@@ -184,8 +193,8 @@ function DashboardWeb({
                                   day: 'numeric' 
                                 })}</p>
                               </div>
-                              <span className={`order-status ${(order.status || 'Processing').toLowerCase()}`}>
-                                {order.status || 'Processing'}
+                              <span className={`order-status ${getStatusClass(order.status)}`}>
+                                {order.status || 'Confirmed'}
                               </span>
                             </div>
                             <div className="order-details">
@@ -215,6 +224,12 @@ function DashboardWeb({
                                 <Download size={16} />
                                 Invoice
                               </button>
+                              {canCancelOrder(order) && (
+                                <button className="btn btn-outline" onClick={() => handleOrderSelectForCancel(order)}>
+                                  <XCircle size={16} />
+                                  Cancel Order
+                                </button>
+                              )}
                               {order.status === 'Delivered' && (
                                 <button className="btn btn-outline">Reorder</button>
                               )}
@@ -233,6 +248,15 @@ function DashboardWeb({
               </div>
             )}
 
+            <CancelOrderModal
+              order={orderToCancel}
+              form={cancelForm}
+              setForm={setCancelForm}
+              onClose={() => setOrderToCancel(null)}
+              onSubmit={handleSubmitCancel}
+              submitting={cancellingOrder}
+            />
+
             {/* Profile Tab */}
             {isAuthenticated && activeTab === 'profile' && (
               <div className="dashboard-section">
@@ -393,6 +417,21 @@ function DashboardWeb({
                       </form>
                     )}
                   </div>
+
+                  <div className="profile-card">
+                    <div className="profile-card-header">
+                      <h3>Signed-in Devices</h3>
+                      <p className="profile-card-description">Devices where you are signed in. Sign out of any you don't recognise.</p>
+                    </div>
+                    <div className="profile-sessions">
+                      <ActiveSessions
+                        sessions={sessions}
+                        loading={loadingSessions}
+                        onRevoke={handleRevokeSession}
+                        onRevokeOthers={handleRevokeOtherSessions}
+                      />
+                    </div>
+                  </div>
                 </div>
               </div>
             )}
@@ -1190,8 +1229,8 @@ function DashboardWeb({
                                   ) : null}
                                 </div>
                                 <div className="order-status-badge">
-                                  <span className={`status-text ${(order.status || 'Processing').toLowerCase()}`}>
-                                    {order.status || 'Processing'}
+                                  <span className={`status-text ${getStatusClass(order.status)}`}>
+                                    {order.status || 'Confirmed'}
                                   </span>
                                 </div>
                               </div>
@@ -1199,12 +1238,7 @@ function DashboardWeb({
                               <div className="order-card-body">
                                 <div className="status-timeline-compact">
                                   <div className="timeline-compact">
-                                    {[
-                                      { label: 'Placed', status: 'completed' },
-                                      { label: 'Processing', status: (order.status?.toLowerCase() === 'processing' || order.status?.toLowerCase() === 'shipped' || order.status?.toLowerCase() === 'delivered') ? 'completed' : 'pending' },
-                                      { label: 'Shipped', status: (order.status?.toLowerCase() === 'shipped' || order.status?.toLowerCase() === 'delivered') ? 'completed' : 'pending' },
-                                      { label: 'Delivered', status: order.status?.toLowerCase() === 'delivered' ? 'completed' : 'pending' }
-                                    ].map((step, index) => (
+                                    {getProgressSteps(order.status).map((step, index) => (
                                       <div key={index} className={`timeline-step-compact ${step.status}`}>
                                         <div className="timeline-marker-compact">
                                           {step.status === 'completed' ? (
@@ -1253,15 +1287,52 @@ function DashboardWeb({
                                 {new Date(ret.requestedAt || ret.createdAt).toLocaleDateString()}
                               </p>
                             </div>
-                            <span className={`order-status ${ret.status}`}>
-                              {ret.status}
+                            <span className={`order-status return-status ${getReturnStatusClass(ret.status)}`}>
+                              {getReturnStatusLabel(ret.status)}
                             </span>
                           </div>
                           <div className="order-details">
                             <p><strong>Order ID:</strong> {ret.orderId}</p>
-                            <p><strong>Product:</strong> {ret.productName}</p>
-                            <p><strong>Reason:</strong> {ret.reason}</p>
-                            <p><strong>Amount:</strong> ₹{parseFloat(ret.amount).toLocaleString()}</p>
+                            {(ret.items?.length ? ret.items : [{ name: ret.productName, quantity: 1 }]).map((line, idx) => (
+                              <p key={idx} className="order-item-preview">
+                                {line.name}
+                                {[line.size, line.color].filter(Boolean).length > 0 && ` (${[line.size, line.color].filter(Boolean).join(' / ')})`}
+                                {' '}- {line.quantity}x
+                                {ret.resolution === 'exchange' && line.exchangeVariantId &&
+                                  ` → ${[line.exchangeSize, line.exchangeColor].filter(Boolean).join(' / ')}`}
+                              </p>
+                            ))}
+                            <p><strong>Reason:</strong> {ret.reason}{ret.comment ? ` - ${ret.comment}` : ''}</p>
+                            <p>
+                              <strong>{ret.resolution === 'exchange' ? 'Exchange' : 'Refund'}:</strong>{' '}
+                              ₹{parseFloat(ret.amount).toLocaleString()}
+                            </p>
+                            {ret.status === 'pickup_scheduled' && ret.pickup?.date && (
+                              <p className="tracking">
+                                Pickup on {new Date(ret.pickup.date).toLocaleDateString('en-IN', { dateStyle: 'medium' })}
+                                {ret.pickup.courier && ` by ${ret.pickup.courier}`}
+                                {ret.pickup.trackingNumber && ` · ${ret.pickup.trackingNumber}`}
+                              </p>
+                            )}
+                            {ret.status === 'qc_failed' && ret.qcNotes && (
+                              <p className="tracking">{ret.qcNotes}</p>
+                            )}
+                            <div className="timeline-compact return-timeline">
+                              {getReturnProgressSteps(ret).map((step, index) => (
+                                <div key={index} className={`timeline-step-compact ${step.status}`}>
+                                  <div className="timeline-marker-compact">
+                                    {step.status === 'completed' ? (
+                                      <CheckCircle size={16} />
+                                    ) : step.status === 'failed' ? (
+                                      <XCircle size={16} />
+                                    ) : (
+                                      <div className="timeline-dot-compact"></div>
+                                    )}
+                                  </div>
+                                  <span className="timeline-label">{step.label}</span>
+                                </div>
+                              ))}
+                            </div>
                           </div>
                         </div>
                       ))}
@@ -1297,8 +1368,8 @@ function DashboardWeb({
                                 day: 'numeric' 
                               })}</p>
                             </div>
-                            <span className={`order-status ${(order.status || 'Processing').toLowerCase()}`}>
-                              {order.status || 'Processing'}
+                            <span className={`order-status ${getStatusClass(order.status)}`}>
+                              {order.status || 'Confirmed'}
                             </span>
                           </div>
                           <div className="order-details">
@@ -1330,73 +1401,18 @@ function DashboardWeb({
                 )}
 
                 {/* Return Form Modal */}
-                {showReturnForm && selectedOrderForReturn && (
-                  <div className="modal-overlay" onClick={() => setShowReturnForm(false)}>
-                    <div className="modal-content" onClick={(e) => e.stopPropagation()}>
-                      <div className="modal-header">
-                        <h2>Request Return</h2>
-                        <button className="modal-close" onClick={() => setShowReturnForm(false)}>
-                          ×
-                        </button>
-                      </div>
-                      <form onSubmit={handleSubmitReturn} className="modal-body">
-                        <div className="form-group">
-                          <label>Select Product *</label>
-                          <select
-                            value={returnForm.productId}
-                            onChange={(e) => {
-                              const item = selectedOrderForReturn.items?.find(i => 
-                                (i.product || i.productId) === e.target.value
-                              )
-                              if (item) {
-                                handleProductSelectForReturn(item)
-                              }
-                            }}
-                            required
-                          >
-                            <option value="">Select a product</option>
-                            {selectedOrderForReturn.items?.map((item, idx) => (
-                              <option key={idx} value={item.product || item.productId}>
-                                {item.name} - ₹{parseFloat(item.price * item.quantity).toLocaleString()}
-                              </option>
-                            ))}
-                          </select>
-                        </div>
-                        <div className="form-group">
-                          <label>Reason for Return *</label>
-                          <select
-                            value={returnForm.reason}
-                            onChange={(e) => setReturnForm(prev => ({ ...prev, reason: e.target.value }))}
-                            required
-                          >
-                            <option value="">Select reason</option>
-                            <option value="Size not fitting">Size not fitting</option>
-                            <option value="Changed mind">Changed mind</option>
-                            <option value="Defective item">Defective item</option>
-                            <option value="Wrong item received">Wrong item received</option>
-                            <option value="Quality issues">Quality issues</option>
-                            <option value="Other">Other</option>
-                          </select>
-                        </div>
-                        <div className="form-group">
-                          <label>Refund Amount</label>
-                          <input
-                            type="text"
-                            value={`₹${parseFloat(returnForm.amount || 0).toLocaleString()}`}
-                            disabled
-                          />
-                        </div>
-                        <div className="modal-footer">
-                          <button type="button" className="btn btn-outline" onClick={() => setShowReturnForm(false)}>
-                            Cancel
-                          </button>
-                          <button type="submit" className="btn btn-primary">
-                            Submit Return Request
-                          </button>
-                        </div>
-                      </form>
-                    </div>
-                  </div>
+                {showReturnForm && (
+                  <ReturnRequestModal
+                    order={selectedOrderForReturn}
+                    eligibility={returnEligibility}
+                    form={returnForm}
+                    setForm={setReturnForm}
+                    onClose={() => setShowReturnForm(false)}
+                    onSubmit={handleSubmitReturn}
+                    onPhotosSelected={handleReturnPhotosSelected}
+                    submitting={submittingReturn}
+                    uploadingPhotos={uploadingReturnPhotos}
+                  />
                 )}
               </div>
             )}
@@ -1,46 +1,57 @@
-import { useParams, Link } from 'react-router-dom'
-import { Package, Truck, CheckCircle, Clock, ArrowLeft, MapPin, IndianRupee, Calendar, Hash, User, Phone, Mail } from 'lucide-react'
+import { useParams, Link, useLocation } from 'react-router-dom'
+import { Package, Truck, CheckCircle, Clock, ArrowLeft, MapPin, IndianRupee, Calendar, Hash, User, Phone, Mail, Search } from 'lucide-react'
 import { useAuth } from '../context/AuthContext'
 import { useState, useEffect } from 'react'
 import { ordersAPI } from '../utils/api'
+import { getStatusClass, getProgressSteps } from '../utils/orderStatus'
 import { useToast } from '../components/Toast/ToastContainer'
 
 function OrderTracking() {
   const { id, tracking } = useParams()
+  const location = useLocation()
   const { isAuthenticated } = useAuth()
-  const { error: showError } = useToast()
+  const { success, error: showError } = useToast()
   const [order, setOrder] = useState(null)
-  const [guestOrder, setGuestOrder] = useState(null)
   const [loading, setLoading] = useState(true)
+  // Public lookup for guest orders (and orders from another account): order ID or tracking
+  // number with the order's email, or with a code sent to the order's mobile
+  const [lookup, setLookup] = useState({ reference: id || tracking || '', email: '', otp: '' })
+  const [lookupMethod, setLookupMethod] = useState('email')
+  const [otpSent, setOtpSent] = useState(false)
+  const [lookingUp, setLookingUp] = useState(false)
 
   useEffect(() => {
     loadOrder()
   }, [id, tracking, isAuthenticated])
 
   const loadOrder = async () => {
+    const reference = id || tracking
+    setOrder(null)
+    setLookup(current => ({ ...current, reference: reference || '' }))
+    if (!reference) {
+      setLoading(false)
+      return
+    }
+
     try {
       setLoading(true)
-      
+
       if (isAuthenticated) {
-        // Load order from API
         try {
-          const orderData = await ordersAPI.getById(id || tracking)
-          setOrder(orderData)
+          setOrder(await ordersAPI.getById(reference))
+          return
         } catch (err) {
+          // Not one of this account's orders; the lookup form below can still find it
           console.error('Failed to load order:', err)
-          // Fallback to guest orders if API fails
-          const guestOrders = JSON.parse(localStorage.getItem('guestOrders') || '[]')
-          const foundOrder = guestOrders.find(o => (o.id === id || o.trackingNumber === tracking))
-          if (foundOrder) {
-            setGuestOrder(foundOrder)
-          }
         }
-      } else {
-        // Load guest order from localStorage
-        const guestOrders = JSON.parse(localStorage.getItem('guestOrders') || '[]')
-        const foundOrder = guestOrders.find(o => (o.id === id || o.trackingNumber === tracking))
-        if (foundOrder) {
-          setGuestOrder(foundOrder)
+      }
+
+      // Straight after a guest checkout the email the order was placed with comes along
+      if (location.state?.email) {
+        try {
+          setOrder(await ordersAPI.lookup(reference, { email: location.state.email }))
+        } catch (err) {
+          console.error('Failed to look up order:', err)
         }
       }
     } catch (err) {
@@ -51,7 +62,55 @@ function OrderTracking() {
     }
   }
 
-  const currentOrder = order || guestOrder
+  const handleLookupChange = (e) => {
+    setLookup({ ...lookup, [e.target.name]: e.target.value })
+  }
+
+  const handleSendLookupCode = async () => {
+    if (!lookup.reference.trim()) {
+      showError('Please enter your order ID or tracking number')
+      return
+    }
+
+    try {
+      setLookingUp(true)
+      const response = await ordersAPI.requestLookupOtp(lookup.reference.trim())
+      setOtpSent(true)
+      success(response.message || 'We have sent you a verification code')
+    } catch (err) {
+      console.error('Failed to send lookup code:', err)
+      showError(err.message || 'Failed to send the code')
+    } finally {
+      setLookingUp(false)
+    }
+  }
+
+  const handleLookup = async (e) => {
+    e.preventDefault()
+    const reference = lookup.reference.trim()
+    const credentials = lookupMethod === 'email'
+      ? { email: lookup.email.trim() }
+      : { otp: lookup.otp.trim() }
+
+    if (!reference || !Object.values(credentials)[0]) {
+      showError(lookupMethod === 'email'
+        ? 'Please enter your order ID and the email address used for the order'
+        : 'Please enter your order ID and the code we sent you')
+      return
+    }
+
+    try {
+      setLookingUp(true)
+      setOrder(await ordersAPI.lookup(reference, credentials))
+    } catch (err) {
+      console.error('Failed to look up order:', err)
+      showError(err.message || 'We could not find an order with those details')
+    } finally {
+      setLookingUp(false)
+    }
+  }
+
+  const currentOrder = order
 
   if (loading) {
     return (
@@ -71,13 +130,93 @@ function OrderTracking() {
     return (
       <div className="order-tracking-page">
         <div className="container">
-          <div className="empty-state">
-            <Package size={48} />
-            <h2>Order Not Found</h2>
-            <p>We couldn't find an order with that ID.</p>
-            <Link to="/" className="btn btn-primary">
-              Go Home
-            </Link>
+          <div className="order-lookup-card">
+            <div className="order-header-icon-wrapper">
+              <Search size={28} />
+            </div>
+            <h2>Find Your Order</h2>
+            <p className="order-lookup-subtitle">
+              Enter your order ID or tracking number with the email address you used at checkout,
+              or get a code on the mobile number the order was placed with.
+            </p>
+
+            <form onSubmit={handleLookup} className="order-lookup-form">
+              <div className="form-group">
+                <label>Order ID or Tracking Number</label>
+                <input
+                  type="text"
+                  name="reference"
+                  value={lookup.reference}
+                  onChange={handleLookupChange}
+                  placeholder="ORD-..."
+                />
+              </div>
+
+              <div className="order-lookup-methods">
+                <button
+                  type="button"
+                  className={`order-lookup-method ${lookupMethod === 'email' ? 'active' : ''}`}
+                  onClick={() => setLookupMethod('email')}
+                >
+                  Email
+                </button>
+                <button
+                  type="button"
+                  className={`order-lookup-method ${lookupMethod === 'otp' ? 'active' : ''}`}
+                  onClick={() => setLookupMethod('otp')}
+                >
+                  Mobile Code
+                </button>
+              </div>
+
+              {lookupMethod === 'email' ? (
+                <div className="form-group">
+                  <label>Email Address</label>
+                  <input
+                    type="email"
+                    name="email"
+                    value={lookup.email}
+                    onChange={handleLookupChange}
+                    placeholder="your@email.com"
+                  />
+                </div>
+              ) : (
+                <div className="form-group">
+                  <label>Verification Code</label>
+                  <div className="order-lookup-otp-row">
+                    <input
+                      type="text"
+                      name="otp"
+                      value={lookup.otp}
+                      onChange={handleLookupChange}
+                      placeholder="6-digit code"
+                      autoComplete="one-time-code"
+                      inputMode="numeric"
+                      maxLength="6"
+                    />
+                    <button
+                      type="button"
+                      className="btn btn-outline"
+                      onClick={handleSendLookupCode}
+                      disabled={lookingUp}
+                    >
+                      {otpSent ? 'Resend Code' : 'Send Code'}
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              <button type="submit" className="btn btn-primary" disabled={lookingUp}>
+                {lookingUp ? 'Looking up...' : 'Find Order'}
+              </button>
+            </form>
+
+            {!isAuthenticated && (
+              <p className="order-lookup-hint">
+                Have an account? <Link to="/dashboard">Log in</Link> to see all your orders.
+                Guest orders move to your account when you sign in or sign up with the same mobile number.
+              </p>
+            )}
           </div>
         </div>
       </div>
@@ -85,29 +224,21 @@ function OrderTracking() {
   }
 
   const getStatusIcon = (status) => {
-    switch (status.toLowerCase()) {
+    switch (getStatusClass(status)) {
       case 'delivered':
         return <CheckCircle size={24} className="status-icon delivered" />
       case 'shipped':
+      case 'out-for-delivery':
         return <Truck size={24} className="status-icon shipped" />
-      case 'processing':
-        return <Clock size={24} className="status-icon processing" />
+      case 'confirmed':
+      case 'packed':
+        return <Clock size={24} className="status-icon confirmed" />
       default:
         return <Package size={24} className="status-icon" />
     }
   }
 
-  const getStatusSteps = (status) => {
-    const steps = [
-      { label: 'Order Placed', status: 'completed' },
-      { label: 'Processing', status: status === 'processing' || status === 'shipped' || status === 'delivered' ? 'completed' : 'pending' },
-      { label: 'Shipped', status: status === 'shipped' || status === 'delivered' ? 'completed' : 'pending' },
-      { label: 'Delivered', status: status === 'delivered' ? 'completed' : 'pending' }
-    ]
-    return steps
-  }
-
-  const statusSteps = getStatusSteps(currentOrder.status)
+  const statusSteps = getProgressSteps(currentOrder.status, 'Order Placed')
 
   return (
     <div className="order-tracking-page">
@@ -166,7 +297,7 @@ function OrderTracking() {
                 <Package size={16} />
                 <span>Status</span>
               </div>
-              <div className={`info-item-value status-value ${currentOrder.status.toLowerCase()}`}>
+              <div className={`info-item-value status-value ${getStatusClass(currentOrder.status)}`}>
                 {getStatusIcon(currentOrder.status)}
                 <span>{currentOrder.status}</span>
               </div>
@@ -172,19 +172,7 @@ function ProductDetail() {
   }
 
   const handleAddToCart = async () => {
-    if (!isAuthenticated) {
-      showError('Please login to add items to cart')
-      navigate('/dashboard', { state: { tab: 'login', redirectPath: window.location.pathname } })
-      return
-    }
-    
     try {
-      const token = localStorage.getItem('token')
-      if (!token) {
-        showError('Please login again')
-        return
-      }
-
       await cartAPI.addItem(id, quantity, selectedSize, selectedColor)
       success('Product added to cart!')
       // Dispatch cart update event
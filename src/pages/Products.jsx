@@ -4,6 +4,25 @@ import ProductCard from '../components/ProductCard/ProductCard'
 import { Filter, X, ArrowRight } from 'lucide-react'
 import { productsAPI } from '../utils/api'
 
+const SORT_LABELS = {
+  newest: 'Newest',
+  price_asc: 'Price: Low to High',
+  price_desc: 'Price: High to Low',
+  rating: 'Top Rated',
+  best_selling: 'Best Selling',
+  discount: 'Biggest Discount'
+}
+
+const DISCOUNT_OPTIONS = [10, 20, 30, 40, 50]
+
+// Facet values from the API, keeping selected values that no longer match anything
+const facetOptions = (values = [], selected = []) => [
+  ...values,
+  ...selected
+    .filter(value => !values.some(option => option.value.toLowerCase() === value.toLowerCase()))
+    .map(value => ({ value, count: 0 }))
+]
+
 function Products() {
   const { category, subcategory } = useParams()
   const [searchParams] = useSearchParams()
@@ -12,11 +31,13 @@ function Products() {
   const [allProducts, setAllProducts] = useState([])
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
+  const [sort, setSort] = useState('newest')
+  const [facets, setFacets] = useState(null)
   const [filters, setFilters] = useState({
-    priceRange: [0, 50000],
+    priceBucket: null,
     sizes: [],
     colors: [],
-    discount: [],
+    minDiscount: null,
     style: [],
     material: [],
     sleeveLength: [],
@@ -73,11 +94,22 @@ function Products() {
         if (filters.colors.length > 0) {
           apiFilters.colors = filters.colors
         }
-        if (filters.priceRange[1] < 50000) {
-          apiFilters.maxPrice = filters.priceRange[1]
+        if (filters.material.length > 0) {
+          apiFilters.materials = filters.material
+        }
+        if (filters.priceBucket) {
+          if (filters.priceBucket.min > 0) apiFilters.minPrice = filters.priceBucket.min
+          // Buckets exclude their upper bound and prices have two decimals
+          if (filters.priceBucket.max) apiFilters.maxPrice = filters.priceBucket.max - 0.01
         }
-        if (filters.priceRange[0] > 0) {
-          apiFilters.minPrice = filters.priceRange[0]
+        if (filters.minDiscount) {
+          apiFilters.minDiscount = filters.minDiscount
+        }
+        apiFilters.sort = sort
+
+        // Filter counts are only shown on pages with the filter sidebar
+        if (!category || subcategory || searchQuery) {
+          apiFilters.facets = 'true'
         }
         
         // Add search query if present
@@ -109,6 +141,7 @@ function Products() {
           console.warn('No products returned from API. Response:', response)
         }
         setAllProducts(response.products || [])
+        setFacets(response.facets || null)
       } catch (err) {
         console.error('Failed to fetch products:', err)
         setError('Failed to load products. Please try again later.')
@@ -118,7 +151,7 @@ function Products() {
     }
     
     fetchProducts()
-  }, [category, subcategory, filters.sizes, filters.colors, filters.priceRange[0], filters.priceRange[1], searchQuery])
+  }, [category, subcategory, filters.sizes, filters.colors, filters.material, filters.priceBucket, filters.minDiscount, sort, searchQuery])
 
   // Filter products based on category and subcategory (client-side filtering for additional filters)
   const filteredProducts = useMemo(() => {
@@ -128,11 +161,6 @@ function Products() {
     if (filters.style.length > 0) {
       // This would need to be handled by API or removed
     }
-    if (filters.material.length > 0) {
-      filtered = filtered.filter(p => 
-        filters.material.some(m => p.material?.toLowerCase().includes(m.toLowerCase()))
-      )
-    }
     if (filters.brand.length > 0) {
       filtered = filtered.filter(p => 
         filters.brand.includes(p.brand)
@@ -140,7 +168,7 @@ function Products() {
     }
 
     return filtered
-  }, [allProducts, filters.style, filters.material, filters.brand])
+  }, [allProducts, filters.style, filters.brand])
 
   // Group products by subcategory for "View All" pages
   const groupedProducts = useMemo(() => {
@@ -176,6 +204,14 @@ function Products() {
     }))
   }
 
+  // Price bucket and minimum discount take a single value; ticking the selected one clears it
+  const handleSingleFilterChange = (filterType, value, isSelected) => {
+    setFilters(prev => ({
+      ...prev,
+      [filterType]: isSelected ? null : value
+    }))
+  }
+
   return (
     <div className="products-page">
       <div className="container">
@@ -183,6 +219,16 @@ function Products() {
           <h1>{pageTitle}</h1>
           {!isViewAllPage && (
             <div className="products-controls">
+              <select
+                className="sort-select"
+                value={sort}
+                onChange={(e) => setSort(e.target.value)}
+                aria-label="Sort products"
+              >
+                {Object.entries(SORT_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
               <button 
                 className="filter-btn"
                 onClick={() => setShowFilters(!showFilters)}
@@ -214,18 +260,29 @@ function Products() {
 
             <div className="filters-content">
               <div className="filter-section">
-                <h4>Price Range</h4>
-                <input type="range" min="0" max="50000" step="100" />
-                <div className="price-range">
-                  <span>₹0</span>
-                  <span>₹50,000</span>
+                <h4>Price</h4>
+                <div className="discount-filters">
+                  {(facets?.price || []).map(bucket => {
+                    const isSelected = filters.priceBucket?.min === bucket.min
+                    return (
+                      <label key={bucket.min} className="discount-option">
+                        <input
+                          type="checkbox"
+                          checked={isSelected}
+                          onChange={() => handleSingleFilterChange('priceBucket', { min: bucket.min, max: bucket.max }, isSelected)}
+                        />
+                        <span>{bucket.label}</span>
+                        <small className="facet-count">({bucket.count})</small>
+                      </label>
+                    )
+                  })}
                 </div>
               </div>
 
               <div className="filter-section">
                 <h4>Size</h4>
                 <div className="size-filters">
-                  {['XS', 'S', 'M', 'L', 'XL', 'XXL'].map(size => (
+                  {facetOptions(facets?.sizes, filters.sizes).map(({ value: size, count }) => (
                     <label key={size} className="size-option">
                       <input 
                         type="checkbox" 
@@ -233,6 +290,7 @@ function Products() {
                         onChange={() => handleFilterChange('sizes', size)}
                       />
                       <span>{size}</span>
+                      <small className="facet-count">({count})</small>
                     </label>
                   ))}
                 </div>
@@ -241,7 +299,7 @@ function Products() {
               <div className="filter-section">
                 <h4>Color</h4>
                 <div className="color-filters">
-                  {['Black', 'White', 'Red', 'Blue', 'Green', 'Yellow', 'Pink'].map(color => (
+                  {facetOptions(facets?.colors, filters.colors).map(({ value: color, count }) => (
                     <label key={color} className="color-option">
                       <input 
                         type="checkbox" 
@@ -249,6 +307,7 @@ function Products() {
                         onChange={() => handleFilterChange('colors', color)}
                       />
                       <span>{color}</span>
+                      <small className="facet-count">({count})</small>
                     </label>
                   ))}
                 </div>
@@ -257,14 +316,14 @@ function Products() {
               <div className="filter-section">
                 <h4>Discount</h4>
                 <div className="discount-filters">
-                  {['10%', '20%', '30%', '40%', '50%+'].map(discount => (
+                  {DISCOUNT_OPTIONS.map(discount => (
                     <label key={discount} className="discount-option">
                       <input 
                         type="checkbox" 
-                        checked={filters.discount.includes(discount)}
-                        onChange={() => handleFilterChange('discount', discount)}
+                        checked={filters.minDiscount === discount}
+                        onChange={() => handleSingleFilterChange('minDiscount', discount, filters.minDiscount === discount)}
                       />
-                      <span>{discount} OFF</span>
+                      <span>{discount}% OFF or more</span>
                     </label>
                   ))}
                 </div>
@@ -289,7 +348,7 @@ function Products() {
               <div className="filter-section">
                 <h4>Material/Fabric</h4>
                 <div className="material-filters">
-                  {['Cotton', 'Polyester', 'Silk', 'Denim', 'Linen', 'Wool'].map(material => (
+                  {facetOptions(facets?.materials, filters.material).map(({ value: material, count }) => (
                     <label key={material} className="material-option">
                       <input 
                         type="checkbox" 
@@ -297,6 +356,7 @@ function Products() {
                         onChange={() => handleFilterChange('material', material)}
                       />
                       <span>{material}</span>
+                      <small className="facet-count">({count})</small>
                     </label>
                   ))}
                 </div>
@@ -0,0 +1,170 @@
+import { Link, useSearchParams } from 'react-router-dom'
+import { useState, useEffect } from 'react'
+import ProductCard from '../components/ProductCard/ProductCard'
+import { productsAPI } from '../utils/api'
+
+const PAGE_SIZE = 24
+
+const SORT_LABELS = {
+  relevance: 'Most Relevant',
+  newest: 'Newest',
+  price_asc: 'Price: Low to High',
+  price_desc: 'Price: High to Low',
+  rating: 'Top Rated',
+  best_selling: 'Best Selling',
+  discount: 'Biggest Discount'
+}
+
+function Search() {
+  const [searchParams, setSearchParams] = useSearchParams()
+  const query = (searchParams.get('q') || '').trim()
+  const exact = searchParams.get('exact') === 'true'
+  const page = Number(searchParams.get('page')) || 1
+  const sort = searchParams.get('sort') || 'relevance'
+  const [results, setResults] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    if (!query) {
+      setResults(null)
+      setLoading(false)
+      return
+    }
+
+    const fetchResults = async () => {
+      try {
+        setLoading(true)
+        setError(null)
+        const data = await productsAPI.getAll({
+          search: query,
+          exact: exact ? 'true' : undefined,
+          sort: sort === 'relevance' ? undefined : sort,
+          page,
+          limit: PAGE_SIZE
+        })
+        setResults(data)
+      } catch (err) {
+        console.error('Failed to search products:', err)
+        setError('Failed to load search results. Please try again later.')
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    fetchResults()
+  }, [query, exact, sort, page])
+
+  const searchPath = (term, options = {}) =>
+    `/search?q=${encodeURIComponent(term)}${options.exact ? '&exact=true' : ''}`
+
+  const changeSort = (nextSort) => {
+    const params = new URLSearchParams(searchParams)
+    params.set('sort', nextSort)
+    params.delete('page')
+    setSearchParams(params)
+  }
+
+  const goToPage = (nextPage) => {
+    const params = new URLSearchParams(searchParams)
+    params.set('page', nextPage)
+    setSearchParams(params)
+    window.scrollTo(0, 0)
+  }
+
+  const products = results?.products || []
+  const search = results?.search
+
+  return (
+    <div className="products-page search-page">
+      <div className="container">
+        <div className="products-header">
+          <h1>
+            {query ? `Search Results for "${search?.query || query}"` : 'Search'}
+          </h1>
+          {results && query && (
+            <p className="search-result-count">
+              {results.total} {results.total === 1 ? 'product' : 'products'} found
+            </p>
+          )}
+          {query && (
+            <div className="products-controls">
+              <select
+                className="sort-select"
+                value={sort}
+                onChange={(e) => changeSort(e.target.value)}
+                aria-label="Sort results"
+              >
+                {Object.entries(SORT_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+          )}
+        </div>
+
+        {search?.correctedFrom && (
+          <div className="search-correction">
+            <p>
+              Showing results for <strong>{search.query}</strong>.{' '}
+              Search instead for{' '}
+              <Link to={searchPath(search.correctedFrom, { exact: true })}>{search.correctedFrom}</Link>
+            </p>
+          </div>
+        )}
+
+        {search?.didYouMean && (
+          <div className="search-correction">
+            <p>
+              Did you mean{' '}
+              <Link to={searchPath(search.didYouMean)}><strong>{search.didYouMean}</strong></Link>?
+            </p>
+          </div>
+        )}
+
+        <div className="products-content">
+          {!query ? (
+            <div className="no-products">
+              <p>Type in the search box to find products.</p>
+            </div>
+          ) : loading ? (
+            <div className="loading-spinner">
+              <p>Searching...</p>
+            </div>
+          ) : error ? (
+            <div className="error-message">
+              <p>{error}</p>
+            </div>
+          ) : products.length > 0 ? (
+            <>
+              <div className="products-grid grid-medium">
+                {products.map(product => (
+                  <ProductCard key={product._id || product.id} product={product} />
+                ))}
+              </div>
+
+              {results.pages > 1 && (
+                <div className="pagination">
+                  <button className="btn btn-outline" disabled={page <= 1} onClick={() => goToPage(page - 1)}>
+                    Previous
+                  </button>
+                  <span className="pagination-info">Page {page} of {results.pages}</span>
+                  <button className="btn btn-outline" disabled={page >= results.pages} onClick={() => goToPage(page + 1)}>
+                    Next
+                  </button>
+                </div>
+              )}
+            </>
+          ) : (
+            <div className="no-products">
+              <p>No products found for "{query}".</p>
+              <p>Check the spelling or try a more general term.</p>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default Search
@@ -44,6 +44,10 @@ const apiCall = async (endpoint, options = {}) => {
       try {
         const errorData = await response.json()
         errorMessage = errorData.message || errorMessage
+        // The admin's role now requires two-factor; AdminAuthContext sends them to set it up
+        if (errorData.code === 'TWO_FACTOR_SETUP_REQUIRED') {
+          window.dispatchEvent(new Event('admin:two-factor-required'))
+        }
       } catch (e) {
         errorMessage = `HTTP ${response.status}: ${response.statusText}`
       }
@@ -77,7 +81,45 @@ export const adminAuthAPI = {
       includeAuth: false
     }),
   
-  getMe: () => apiCall('/admin/auth/me')
+  getMe: () => apiCall('/admin/auth/me'),
+
+  acceptInvite: (token, password) =>
+    apiCall('/admin/auth/accept-invite', {
+      method: 'POST',
+      body: { token, password },
+      includeAuth: false
+    }),
+
+  // Second sign-in step when two-factor is on (challengeToken comes from login)
+  verifyTwoFactor: (challengeToken, code) =>
+    apiCall('/admin/auth/2fa/verify', {
+      method: 'POST',
+      body: { challengeToken, code },
+      includeAuth: false
+    }),
+
+  setupTwoFactor: () =>
+    apiCall('/admin/auth/2fa/setup', {
+      method: 'POST'
+    }),
+
+  enableTwoFactor: (code) =>
+    apiCall('/admin/auth/2fa/enable', {
+      method: 'POST',
+      body: { code }
+    }),
+
+  regenerateRecoveryCodes: (code) =>
+    apiCall('/admin/auth/2fa/recovery-codes', {
+      method: 'POST',
+      body: { code }
+    }),
+
+  disableTwoFactor: (password, code) =>
+    apiCall('/admin/auth/2fa/disable', {
+      method: 'POST',
+      body: { password, code }
+    })
 }
 
 // Admin Dashboard API
@@ -193,10 +235,16 @@ export const adminOrdersAPI = {
   
   getById: (id) => apiCall(`/admin/orders/${id}`),
   
-  updateStatus: (id, status) =>
+  updateStatus: (id, status, note) =>
     apiCall(`/admin/orders/${id}/status`, {
       method: 'PUT',
-      body: { status }
+      body: { status, note }
+    }),
+  
+  confirmCod: (id, note) =>
+    apiCall(`/admin/orders/${id}/confirm-cod`, {
+      method: 'PUT',
+      body: { note }
     }),
   
   downloadInvoice: async (id) => {
@@ -270,6 +318,32 @@ export const adminCustomersAPI = {
   toggleStatus: (id) =>
     apiCall(`/admin/customers/${id}/status`, {
       method: 'PUT'
+    }),
+
+  unlock: (id) =>
+    apiCall(`/admin/customers/${id}/unlock`, {
+      method: 'PUT'
+    })
+}
+
+// Admin Coins API (loyalty ledger)
+export const adminCoinsAPI = {
+  getSummary: () => apiCall('/admin/coins/summary'),
+  getTransactions: (filters = {}) => {
+    const queryParams = new URLSearchParams()
+    Object.keys(filters).forEach(key => {
+      if (filters[key] !== undefined && filters[key] !== null && filters[key] !== '') {
+        queryParams.append(key, filters[key])
+      }
+    })
+    const queryString = queryParams.toString()
+    return apiCall(`/admin/coins/transactions${queryString ? `?${queryString}` : ''}`)
+  },
+  getCustomerCoins: (customerId) => apiCall(`/admin/customers/${customerId}/coins`),
+  adjust: (customerId, adjustment) =>
+    apiCall(`/admin/customers/${customerId}/coins`, {
+      method: 'POST',
+      body: adjustment
     })
 }
 
@@ -339,8 +413,8 @@ export const adminSettingsAPI = {
     const query = category ? `?category=${category}` : ''
     return apiCall(`/admin/settings/all${query}`)
   },
-  update: (settings) =>
-    apiCall('/admin/settings/update', {
+  update: (settings, category) =>
+    apiCall(`/admin/settings/update${category ? `?category=${category}` : ''}`, {
       method: 'PUT',
       body: settings
     }),
@@ -389,13 +463,44 @@ export const adminReturnsAPI = {
     return apiCall(`/admin/returns/all${queryString ? `?${queryString}` : ''}`)
   },
   getById: (id) => apiCall(`/admin/returns/details/${id}`),
-  updateStatus: (id, status) =>
+  // pickup ({ date, courier, trackingNumber }) is for pickup_scheduled; note is required for qc_failed
+  updateStatus: (id, status, { note, pickup } = {}) =>
     apiCall(`/admin/returns/status/${id}`, {
       method: 'PUT',
-      body: { status }
+      body: { status, note, pickup }
     }),
-  processRefund: (id) =>
+  dispatchExchange: (id, { note } = {}) =>
+    apiCall(`/admin/returns/exchange/${id}`, {
+      method: 'POST',
+      body: { note }
+    }),
+  processRefund: (id, { method, amount } = {}) =>
     apiCall(`/admin/returns/refund/${id}`, {
+      method: 'POST',
+      body: { method, amount }
+    })
+}
+
+// Admin Refunds API
+export const adminRefundsAPI = {
+  getAll: (filters = {}) => {
+    const queryParams = new URLSearchParams()
+    Object.keys(filters).forEach(key => {
+      if (filters[key] !== undefined && filters[key] !== null && filters[key] !== '') {
+        queryParams.append(key, filters[key])
+      }
+    })
+    const queryString = queryParams.toString()
+    return apiCall(`/admin/refunds${queryString ? `?${queryString}` : ''}`)
+  },
+  getForOrder: (orderId) => apiCall(`/admin/refunds/order/${encodeURIComponent(orderId)}`),
+  create: (data) =>
+    apiCall('/admin/refunds', {
+      method: 'POST',
+      body: data
+    }),
+  sync: (id) =>
+    apiCall(`/admin/refunds/${id}/sync`, {
       method: 'POST'
     })
 }
@@ -692,7 +797,23 @@ export const adminInventoryAPI = {
     }),
   getLowStock: (threshold = 20) =>
     apiCall(`/admin/inventory/low-stock?threshold=${threshold}`),
-  getOutOfStock: () => apiCall('/admin/inventory/out-of-stock')
+  getOutOfStock: () => apiCall('/admin/inventory/out-of-stock'),
+  getVariants: (productId) => apiCall(`/admin/inventory/products/${productId}/variants`),
+  createVariant: (productId, variantData) =>
+    apiCall(`/admin/inventory/products/${productId}/variants`, {
+      method: 'POST',
+      body: variantData
+    }),
+  updateVariant: (variantId, variantData) =>
+    apiCall(`/admin/inventory/variants/${variantId}`, {
+      method: 'PUT',
+      body: variantData
+    }),
+  updateVariantStock: (variantId, stockCount, type, reason) =>
+    apiCall(`/admin/inventory/variants/${variantId}/stock`, {
+      method: 'PUT',
+      body: { stockCount, type, reason }
+    })
 }
 
 // Admin Email Templates API
@@ -700,6 +821,7 @@ export const adminEmailTemplatesAPI = {
   getAll: (filters = {}) => {
     const queryParams = new URLSearchParams()
     if (filters.type) queryParams.append('type', filters.type)
+    if (filters.channel) queryParams.append('channel', filters.channel)
     const query = queryParams.toString()
     return apiCall(`/admin/email-templates/all${query ? `?${query}` : ''}`)
   },
@@ -713,9 +835,134 @@ export const adminEmailTemplatesAPI = {
     apiCall(`/admin/email-templates/update/${id}`, {
       method: 'PUT',
       body: templateData
+    }),
+  getTypes: () => apiCall('/admin/email-templates/types'),
+  saveTypes: (types) =>
+    apiCall('/admin/email-templates/types', {
+      method: 'PUT',
+      body: { types }
+    }),
+  // Render a saved template ({ id }) or an unsaved one ({ type, subject, body }); orderId renders a real order
+  preview: (templateData) =>
+    apiCall('/admin/email-templates/preview', {
+      method: 'POST',
+      body: templateData
+    })
+}
+
+// Admin Messages API (queued emails and SMS)
+export const adminMessagesAPI = {
+  getAll: (filters = {}) => {
+    const queryParams = new URLSearchParams()
+    if (filters.status) queryParams.append('status', filters.status)
+    if (filters.channel) queryParams.append('channel', filters.channel)
+    if (filters.kind) queryParams.append('kind', filters.kind)
+    if (filters.batchId) queryParams.append('batchId', filters.batchId)
+    if (filters.search) queryParams.append('search', filters.search)
+    if (filters.page) queryParams.append('page', filters.page)
+    if (filters.limit) queryParams.append('limit', filters.limit)
+    const query = queryParams.toString()
+    return apiCall(`/admin/messages${query ? `?${query}` : ''}`)
+  },
+  getStats: (batchId) => apiCall(`/admin/messages/stats${batchId ? `?batchId=${encodeURIComponent(batchId)}` : ''}`),
+  getById: (id) => apiCall(`/admin/messages/${id}`),
+  retry: (id) =>
+    apiCall(`/admin/messages/${id}/retry`, {
+      method: 'POST'
+    }),
+  retryAllFailed: (filters = {}) =>
+    apiCall('/admin/messages/retry-dead', {
+      method: 'POST',
+      body: filters
     })
 }
 
+// Admin Users API (Super Admin only)
+export const adminUsersAPI = {
+  getAll: () => apiCall('/admin/users'),
+  invite: (adminData) =>
+    apiCall('/admin/users/invite', {
+      method: 'POST',
+      body: adminData
+    }),
+  resendInvite: (id) =>
+    apiCall(`/admin/users/${id}/resend-invite`, {
+      method: 'POST'
+    }),
+  updateRole: (id, role) =>
+    apiCall(`/admin/users/${id}/role`, {
+      method: 'PUT',
+      body: { role }
+    }),
+  updateStatus: (id, isActive) =>
+    apiCall(`/admin/users/${id}/status`, {
+      method: 'PUT',
+      body: { isActive }
+    }),
+  resetTwoFactor: (id) =>
+    apiCall(`/admin/users/${id}/reset-two-factor`, {
+      method: 'POST'
+    }),
+  getTwoFactorPolicy: () => apiCall('/admin/users/two-factor-policy'),
+  updateTwoFactorPolicy: (requiredRoles) =>
+    apiCall('/admin/users/two-factor-policy', {
+      method: 'PUT',
+      body: { requiredRoles }
+    })
+}
+
+// Admin Audit Log API (Super Admin only)
+const auditQuery = (filters = {}) => {
+  const queryParams = new URLSearchParams()
+  Object.keys(filters).forEach(key => {
+    if (filters[key] !== undefined && filters[key] !== null && filters[key] !== '') {
+      queryParams.append(key, filters[key])
+    }
+  })
+  const queryString = queryParams.toString()
+  return queryString ? `?${queryString}` : ''
+}
+
+export const adminAuditLogsAPI = {
+  getAll: (filters = {}) => apiCall(`/admin/audit-logs${auditQuery(filters)}`),
+
+  getFilters: () => apiCall('/admin/audit-logs/filters'),
+
+  exportCsv: async (filters = {}) => {
+    const token = getAdminToken()
+    if (!token) {
+      throw new Error('Admin authentication required')
+    }
+
+    const response = await fetch(`${API_BASE_URL}/admin/audit-logs/export${auditQuery(filters)}`, {
+      headers: {
+        'Authorization': `Bearer ${token}`
+      }
+    })
+
+    if (!response.ok) {
+      let errorMessage = 'Failed to export audit log'
+      try {
+        const errorData = await response.json()
+        errorMessage = errorData.message || errorMessage
+      } catch (e) {
+        errorMessage = `HTTP ${response.status}: ${response.statusText}`
+      }
+      throw new Error(errorMessage)
+    }
+
+    const blob = await response.blob()
+    const url = window.URL.createObjectURL(blob)
+    const a = document.createElement('a')
+    a.href = url
+    a.download = `audit-log-${new Date().toISOString().split('T')[0]}.csv`
+    document.body.appendChild(a)
+    a.click()
+    window.URL.revokeObjectURL(url)
+    document.body.removeChild(a)
+  }
+}
+
 export default {
   adminAuthAPI,
   adminDashboardAPI,
@@ -723,16 +970,21 @@ export default {
   adminProductsAPI,
   adminOrdersAPI,
   adminCustomersAPI,
+  adminCoinsAPI,
   adminBannersAPI,
   adminCouponsAPI,
   adminSettingsAPI,
   adminQueriesAPI,
   adminReturnsAPI,
+  adminRefundsAPI,
   adminCategoriesAPI,
   adminDiscountsAPI,
   adminNewsletterAPI,
   adminContentAPI,
   adminInventoryAPI,
-  adminEmailTemplatesAPI
+  adminEmailTemplatesAPI,
+  adminMessagesAPI,
+  adminUsersAPI,
+  adminAuditLogsAPI
 }
 
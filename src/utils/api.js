@@ -31,6 +31,66 @@ const getToken = () => {
   return localStorage.getItem('token')
 }
 
+// Anonymous token for a guest's server-side cart and checkout (issued by POST /cart)
+const getGuestToken = () => {
+  return localStorage.getItem('guestToken')
+}
+
+// Sign-in ended (refresh token refused): drop the tokens and tell AuthContext
+const endSession = () => {
+  localStorage.removeItem('token')
+  localStorage.removeItem('refreshToken')
+  window.dispatchEvent(new Event('auth:session-ended'))
+}
+
+// Access tokens are short-lived; swap the refresh token for a new pair. Requests that fail
+// together share one refresh. Resolves to whether there is a fresh access token to retry with.
+let refreshPromise = null
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const refreshToken = localStorage.getItem('refreshToken')
+      if (!refreshToken) return false
+
+      try {
+        const response = await fetch(`${API_BASE_URL}/auth/refresh`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ refreshToken })
+        })
+        if (!response.ok) {
+          // Another tab may have just refreshed with the same token
+          if (localStorage.getItem('refreshToken') !== refreshToken) return true
+          if (response.status === 401) endSession()
+          return false
+        }
+        const data = await response.json()
+        localStorage.setItem('token', data.token)
+        localStorage.setItem('refreshToken', data.refreshToken)
+        return true
+      } catch (error) {
+        console.error('Token refresh error:', error)
+        return false
+      }
+    })().finally(() => {
+      refreshPromise = null
+    })
+  }
+  return refreshPromise
+}
+
+// fetch with the access token, refreshing it once if it has expired (for uploads and downloads)
+const authFetch = async (url, init = {}, retried = false) => {
+  const response = await fetch(url, {
+    ...init,
+    headers: { ...init.headers, Authorization: `Bearer ${getToken()}` }
+  })
+  if (response.status === 401 && !retried && await refreshAccessToken()) {
+    return authFetch(url, init, true)
+  }
+  return response
+}
+
 // Helper function to get headers
 const getHeaders = (includeAuth = true) => {
   const headers = {
@@ -43,13 +103,20 @@ const getHeaders = (includeAuth = true) => {
       headers.Authorization = `Bearer ${token}`
     }
   }
+
+  // Guests identify their cart with the guest token; it is also sent when signing in or
+  // registering so the guest cart and orders move to the account
+  const guestToken = getGuestToken()
+  if (guestToken && !headers.Authorization) {
+    headers['X-Guest-Token'] = guestToken
+  }
   
   return headers
 }
 
 // Generic API call function
 const apiCall = async (endpoint, options = {}) => {
-  const { method = 'GET', body, includeAuth = true } = options
+  const { method = 'GET', body, includeAuth = true, retried = false } = options
   
   const config = {
     method,
@@ -72,6 +139,11 @@ const apiCall = async (endpoint, options = {}) => {
   
   try {
     const response = await fetch(`${API_BASE_URL}${endpoint}`, config)
+
+    // Expired access token: refresh it and try once more
+    if (response.status === 401 && includeAuth && !retried && getToken() && await refreshAccessToken()) {
+      return apiCall(endpoint, { ...options, retried: true })
+    }
     
     // Check if response is ok before parsing JSON
     if (!response.ok) {
@@ -116,10 +188,10 @@ const apiCall = async (endpoint, options = {}) => {
 
 // Auth API
 export const authAPI = {
-  register: (mobile, password, name, email) =>
+  register: (mobile, password, name, email, otp) =>
     apiCall('/auth/register', {
       method: 'POST',
-      body: { mobile, password, name, email },
+      body: { mobile, password, name, email, otp },
       includeAuth: false
     }),
   
@@ -129,6 +201,39 @@ export const authAPI = {
       body: { mobile, email, password },
       includeAuth: false
     }),
+
+  // purpose is 'login' (sign in with the code) or 'signup' (verify the mobile before registering)
+  requestOtp: (mobile, purpose = 'login') =>
+    apiCall('/auth/otp/request', {
+      method: 'POST',
+      body: { mobile, purpose },
+      includeAuth: false
+    }),
+
+  verifyOtp: (mobile, otp) =>
+    apiCall('/auth/otp/verify', {
+      method: 'POST',
+      body: { mobile, otp },
+      includeAuth: false
+    }),
+
+  logout: () =>
+    apiCall('/auth/logout', {
+      method: 'POST'
+    }),
+
+  // Devices the customer is signed in on
+  getSessions: () => apiCall('/auth/sessions'),
+
+  revokeSession: (id) =>
+    apiCall(`/auth/sessions/${id}`, {
+      method: 'DELETE'
+    }),
+
+  revokeOtherSessions: () =>
+    apiCall('/auth/sessions', {
+      method: 'DELETE'
+    }),
   
   resetPassword: (token, newPassword) =>
     apiCall('/auth/reset-password', {
@@ -184,6 +289,8 @@ export const productsAPI = {
     return apiCall(`/products${queryString ? `?${queryString}` : ''}`, { includeAuth: false })
   },
   
+  suggest: (query) => apiCall(`/products/suggest?q=${encodeURIComponent(query)}`, { includeAuth: false }),
+
   getById: (id) => apiCall(`/products/${id}`, { includeAuth: false }),
   
   getRelated: (id) => apiCall(`/products/${id}/related`, { includeAuth: false }),
@@ -212,11 +319,17 @@ export const productsAPI = {
 export const cartAPI = {
   get: () => apiCall('/cart'),
   
-  addItem: (productId, quantity, size, color) =>
-    apiCall('/cart', {
+  addItem: async (productId, quantity, size, color) => {
+    const cart = await apiCall('/cart', {
       method: 'POST',
       body: { productId, quantity, size, color }
-    }),
+    })
+    // A guest's first item starts their cart and comes back with its guest token
+    if (cart?.guestToken) {
+      localStorage.setItem('guestToken', cart.guestToken)
+    }
+    return cart
+  },
   
   updateItem: (itemId, quantity) =>
     apiCall(`/cart/${itemId}`, {
@@ -246,6 +359,27 @@ export const ordersAPI = {
   getAll: () => apiCall('/orders'),
   
   getById: (id) => apiCall(`/orders/${id}`),
+
+  // Look an order up by order ID or tracking number with its email or a code sent to its mobile
+  lookup: (orderId, { email, otp } = {}) =>
+    apiCall('/orders/lookup', {
+      method: 'POST',
+      body: { orderId, email, otp },
+      includeAuth: false
+    }),
+
+  requestLookupOtp: (orderId) =>
+    apiCall('/orders/lookup/otp', {
+      method: 'POST',
+      body: { orderId },
+      includeAuth: false
+    }),
+  
+  cancel: (id, reason, comment) =>
+    apiCall(`/orders/${id}/cancel`, {
+      method: 'POST',
+      body: { reason, comment }
+    }),
   
   downloadInvoice: async (id) => {
     const token = getToken()
@@ -254,11 +388,7 @@ export const ordersAPI = {
     }
     
     const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5001/api'
-    const response = await fetch(`${API_BASE_URL}/orders/${id}/invoice`, {
-      headers: {
-        'Authorization': `Bearer ${token}`
-      }
-    })
+    const response = await authFetch(`${API_BASE_URL}/orders/${id}/invoice`)
     
     if (!response.ok) {
       throw new Error('Failed to download invoice')
@@ -372,6 +502,12 @@ export const paymentAPI = {
     apiCall('/payment-methods/razorpay/verify', {
       method: 'POST',
       body: paymentData
+    }),
+
+  // Give back coins held for a Razorpay order that was abandoned or failed
+  releaseRazorpayOrder: (razorpayOrderId) =>
+    apiCall(`/payment-methods/razorpay/order/${razorpayOrderId}/release`, {
+      method: 'POST'
     })
 }
 
@@ -406,6 +542,20 @@ export const settingsAPI = {
   getContact: () => apiCall('/settings/contact', { includeAuth: false })
 }
 
+// Shipping API
+export const shippingAPI = {
+  getQuote: ({ pinCode, method, state, discount, shippingDiscount, items = [] } = {}) => {
+    const params = new URLSearchParams()
+    if (pinCode) params.append('pinCode', pinCode)
+    if (method) params.append('method', method)
+    if (state) params.append('state', state)
+    if (discount) params.append('discount', discount)
+    if (shippingDiscount) params.append('shippingDiscount', shippingDiscount)
+    if (items.length > 0) params.append('items', JSON.stringify(items))
+    return apiCall(`/shipping/quote?${params.toString()}`)
+  }
+}
+
 // Contact API
 export const contactAPI = {
   submit: (formData) =>
@@ -419,12 +569,39 @@ export const contactAPI = {
 // Returns API
 export const returnsAPI = {
   getAll: () => apiCall('/returns'),
+  // Per order line: quantity that can still be returned, return window and exchange options
+  getEligibility: (orderId) => apiCall(`/returns/eligibility/${encodeURIComponent(orderId)}`),
   create: (returnData) =>
     apiCall('/returns', {
       method: 'POST',
       body: returnData
     }),
-  getById: (id) => apiCall(`/returns/${id}`)
+  getById: (id) => apiCall(`/returns/${id}`),
+  uploadPhotos: async (files) => {
+    const formData = new FormData()
+    files.forEach(file => {
+      formData.append('photos', file)
+    })
+
+    // Don't set Content-Type - browser will set it with boundary for FormData
+    const response = await authFetch(`${API_BASE_URL}/returns/photos`, {
+      method: 'POST',
+      body: formData
+    })
+
+    if (!response.ok) {
+      let errorMessage = 'Failed to upload photos'
+      try {
+        const errorData = await response.json()
+        errorMessage = errorData.message || errorMessage
+      } catch (e) {
+        errorMessage = `HTTP ${response.status}: ${response.statusText}`
+      }
+      throw new Error(errorMessage)
+    }
+
+    return response.json()
+  }
 }
 
 // Newsletter API
@@ -474,10 +651,6 @@ export const coinsAPI = {
   calculateDiscount: (coinsToRedeem, subtotal) => apiCall('/coins/calculate-discount', {
     method: 'POST',
     body: { coinsToRedeem, subtotal }
-  }),
-  redeem: (coinsToRedeem, orderId = null) => apiCall('/coins/redeem', {
-    method: 'POST',
-    body: { coinsToRedeem, orderId }
   })
 }
 
@@ -509,6 +682,7 @@ export default {
   couponsAPI,
   discountsAPI,
   settingsAPI,
+  shippingAPI,
   contactAPI,
   returnsAPI,
   newsletterAPI,
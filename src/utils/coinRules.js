@@ -0,0 +1,42 @@
+// Coin earning rules as the storefront previews them; orders are credited by
+// calculateEarnedCoins() in backend/services/coinService.js, which this must match
+
+// Coins an order total earns under the earning rule (flat, percentage or tiered)
+export const calculateEarnedCoins = (amount, rule = {}) => {
+  const total = parseFloat(amount) || 0
+  if (total <= 0) return 0
+
+  if (rule.type === 'tiered') {
+    const tier = (rule.tiers || [])
+      .filter(t => total >= parseFloat(t.minAmount || 0))
+      .sort((a, b) => parseFloat(b.minAmount || 0) - parseFloat(a.minAmount || 0))[0]
+    return tier ? Math.floor(parseFloat(tier.coins) || 0) : 0
+  }
+
+  if (total < parseFloat(rule.threshold || 0)) return 0
+
+  if (rule.type === 'percentage') {
+    const coins = Math.floor((total * (parseFloat(rule.percent) || 0)) / 100)
+    const maxCoins = parseInt(rule.maxCoins) || 0
+    return maxCoins > 0 ? Math.min(coins, maxCoins) : coins
+  }
+
+  return Math.floor(parseFloat(rule.coins) || 0)
+}
+
+// The next order total that earns more coins than this one, or null when spending more earns
+// nothing extra (or only more of a percentage): { amount, coins }
+export const getNextEarning = (amount, rule = {}) => {
+  const total = parseFloat(amount) || 0
+  const current = calculateEarnedCoins(total, rule)
+  const steps = rule.type === 'tiered'
+    ? (rule.tiers || []).map(tier => parseFloat(tier.minAmount || 0))
+    : [parseFloat(rule.threshold || 0)]
+
+  const next = steps
+    .filter(step => step > total)
+    .sort((a, b) => a - b)
+    .map(step => ({ amount: step, coins: calculateEarnedCoins(step, rule) }))
+    .find(step => step.coins > current)
+  return next || null
+}
@@ -0,0 +1,46 @@
+// Order statuses as the customer sees them; the lifecycle itself lives in
+// backend/services/orderLifecycleService.js
+
+// The happy path, in order
+const PROGRESS_STATUSES = ['Confirmed', 'Packed', 'Shipped', 'Out for Delivery', 'Delivered']
+
+// Statuses an order only reaches after it was delivered
+const AFTER_DELIVERY_STATUSES = ['Return Requested', 'Returned', 'Refunded']
+
+// Customers may cancel an order until it is shipped
+const CUSTOMER_CANCELLABLE_STATUSES = ['Pending Payment', 'Pending Confirmation', 'Confirmed', 'Packed']
+
+// Must match the reasons POST /api/orders/:id/cancel accepts
+export const CANCELLATION_REASONS = [
+  'Ordered by mistake',
+  'Found a better price elsewhere',
+  'Delivery is taking too long',
+  'Want to change size or colour',
+  'Want to change the delivery address',
+  'Other'
+]
+
+export const canCancelOrder = (order) => CUSTOMER_CANCELLABLE_STATUSES.includes(order?.status)
+
+// 'Out for Delivery' -> 'out-for-delivery', for status CSS classes
+export const getStatusClass = (status) => (status || 'Confirmed').toLowerCase().replace(/\s+/g, '-')
+
+/**
+ * Progress steps for an order timeline
+ * @param {string} status - Order status
+ * @param {string} placedLabel - Label of the first step (e.g. 'Placed' or 'Order Placed')
+ * @returns {Array<{ label: string, status: 'completed'|'pending' }>}
+ */
+export const getProgressSteps = (status, placedLabel = 'Placed') => {
+  const reached = AFTER_DELIVERY_STATUSES.includes(status)
+    ? PROGRESS_STATUSES.length - 1
+    : PROGRESS_STATUSES.indexOf(status)
+
+  return [
+    { label: placedLabel, status: 'completed' },
+    ...PROGRESS_STATUSES.map((label, index) => ({
+      label,
+      status: index <= reached ? 'completed' : 'pending'
+    }))
+  ]
+}
@@ -0,0 +1,69 @@
+// Return request statuses as the customer and admin see them; the lifecycle itself lives in
+// backend/services/returnService.js
+
+export const RETURN_STATUS_LABELS = {
+  pending: 'Requested',
+  approved: 'Approved',
+  rejected: 'Rejected',
+  pickup_scheduled: 'Pickup Scheduled',
+  picked_up: 'Picked Up',
+  received: 'Received',
+  qc_passed: 'QC Passed',
+  qc_failed: 'QC Failed',
+  refunded: 'Refunded',
+  exchanged: 'Exchanged'
+}
+
+// Must match the reasons POST /api/returns accepts
+export const RETURN_REASONS = [
+  'Size issue',
+  'Quality issue',
+  'Wrong item received',
+  'Damaged item',
+  'Not as described',
+  'Changed my mind',
+  'Other'
+]
+
+export const MAX_RETURN_PHOTOS = 5
+
+export const getReturnStatusLabel = (status) => RETURN_STATUS_LABELS[status] || status
+
+// 'pickup_scheduled' -> 'pickup-scheduled', for status CSS classes
+export const getReturnStatusClass = (status) => (status || 'pending').replace(/_/g, '-')
+
+// How far along the happy path each status is
+const STEP_REACHED = {
+  pending: 0,
+  approved: 1,
+  pickup_scheduled: 1,
+  picked_up: 2,
+  received: 3,
+  qc_passed: 4,
+  refunded: 5,
+  exchanged: 5
+}
+
+/**
+ * Progress steps for a return timeline
+ * A rejected return stops at approval and a failed quality check at the check itself.
+ * @param {Object} returnRequest - Return with status and resolution
+ * @returns {Array<{ label: string, status: 'completed'|'failed'|'pending' }>}
+ */
+export const getReturnProgressSteps = ({ status, resolution }) => {
+  const labels = [
+    'Requested',
+    status === 'rejected' ? 'Rejected' : 'Approved',
+    'Picked Up',
+    'Received',
+    status === 'qc_failed' ? 'QC Failed' : 'Quality Check',
+    resolution === 'exchange' ? 'Exchanged' : 'Refunded'
+  ]
+  const failedAt = status === 'rejected' ? 1 : status === 'qc_failed' ? 4 : -1
+  const reached = failedAt >= 0 ? failedAt - 1 : STEP_REACHED[status] ?? 0
+
+  return labels.map((label, index) => ({
+    label,
+    status: index === failedAt ? 'failed' : index <= reached ? 'completed' : 'pending'
+  }))
+}